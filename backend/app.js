@@ -17,7 +17,15 @@ import { activityLogger } from "./src/middleware/activityLogger.js";
 // Import routes
 import authRoutes from "./src/routes/auth.js";
 import userRoutes from "./src/routes/user.js";
-import fileRoutes from "./src/routes/files.js";
+import rolesRoutes from "./src/routes/roles.js";
+import categoriesRoutes from "./src/routes/categories.js";
+import budgetsRoutes from "./src/routes/budgets.js";
+import approvalsRoutes from "./src/routes/approvals.js";
+import auditRoutes from "./src/routes/audit.js";
+import trashRoutes from "./src/routes/trash.js";
+import donorRoutes from "./src/routes/donors.js";
+import taxExemptionRoutes from "./src/routes/taxExemption.js";
+import attachmentRoutes from "./src/routes/attachments.js";
 import adminRoutes from "./src/routes/admin.js";
 import donationsRoutes from "./src/routes/donations.js";
 import expensesRoutes from "./src/routes/expenses.js";
@@ -26,6 +34,10 @@ import rentRoutes from "./src/routes/rent.js";
 import shopRoutes from "./src/routes/shop.js";
 import loansRoutes from "./src/routes/loans.js";
 import rentPenaltiesRoutes from "./src/routes/rentPenalties.js";
+import ledgerRoutes from "./src/routes/ledger.js";
+import chequesRoutes from "./src/routes/cheques.js";
+import bankReconciliationRoutes from "./src/routes/bankReconciliation.js";
+import financialYearsRoutes from "./src/routes/financialYears.js";
 
 // Import new repository-based routes
 import shopsNewRoutes from "./src/routes/shopsNew.js";
@@ -36,13 +48,16 @@ import sequelizeRoutes from "./src/routes/sequelize/index.js";
 
 // Import models
 import { User } from "./src/models/User.js";
-import { UploadedFile } from "./src/models/UploadedFile.js";
 import { Shop } from "./src/models/Shop.js";
 import { Tenant } from "./src/models/Tenant.js";
 import { Agreement } from "./src/models/Agreement.js";
 import { Loan } from "./src/models/Loan.js";
 import { RentPenalty } from "./src/models/RentPenalty.js";
 import { Transaction } from "./src/models/Transaction.js";
+import { seedSystemRoles } from "./src/services/permissionService.js";
+import { seedChartOfAccounts } from "./src/services/generalLedgerService.js";
+import * as taxExemptionService from "./src/services/taxExemptionService.js";
+import * as attachmentService from "./src/services/attachmentService.js";
 
 // Import Sequelize configuration
 import { initializeSequelize } from "./src/config/sequelize.js";
@@ -119,33 +134,38 @@ import { query, checkDatabaseHealth } from "./src/config/db.js";
 
 let connection;
 
-// Create additional database tables
-// Create additional tables for temple management models
-const createAdditionalTables = async () => {
-  const additionalSchemas = [
-    Shop.getTableSchema(),
-    Tenant.getTableSchema(),
-    Agreement.getTableSchema(),
-    Loan.getTableSchema(),
-    RentPenalty.getTableSchema(),
-    Transaction.getTableSchema(),
-    UploadedFile.getTableSchema(),
-  ];
-
-  for (const schema of additionalSchemas) {
-    try {
-      await query(schema);
-      logger.info("Additional table schema executed successfully");
-    } catch (error) {
-      logger.warn(
-        "Additional table creation warning (may already exist):",
-        error.message
-      );
-    }
+// Reference data and backfills that depend on configuration. The tables
+// themselves come from the versioned migrations run by initializeDatabase.
+const seedDatabase = async () => {
+  // Donations recorded before 80G eligibility was tracked
+  try {
+    await taxExemptionService.assessUnflaggedDonations();
+  } catch (error) {
+    logger.warn("80G eligibility backfill warning:", error.message);
+  }
+
+  try {
+    await seedChartOfAccounts();
+  } catch (error) {
+    logger.warn("Chart of accounts seeding warning:", error.message);
+  }
+
+  try {
+    await seedSystemRoles();
+  } catch (error) {
+    logger.warn("System role seeding warning:", error.message);
+  }
+
+  // Files staged for forms that were never saved
+  try {
+    const discarded = await attachmentService.discardAbandonedUploads();
+    if (discarded > 0) logger.info(`Discarded ${discarded} abandoned upload(s)`);
+  } catch (error) {
+    logger.warn("Abandoned upload cleanup warning:", error.message);
   }
 };
 
-// Initialize Sequelize models and sync database
+// Initialize Sequelize models
 const initializeSequelizeModels = async () => {
   try {
     logger.info("Initializing Sequelize models...");
@@ -300,10 +320,6 @@ const agreementController = new CrudController("agreements", Agreement);
 const loanController = new CrudController("loans", Loan);
 const rentPenaltyController = new CrudController("rent_penalties", RentPenalty);
 const transactionController = new CrudController("transactions", Transaction);
-const uploadedFileController = new CrudController(
-  "uploaded_files",
-  UploadedFile
-);
 
 // Routes
 
@@ -335,7 +351,15 @@ app.get("/health", async (req, res) => {
 // API routes
 app.use("/api/auth", authRoutes);
 app.use("/api/users", userRoutes);
-app.use("/api/files", fileRoutes);
+app.use("/api/roles", rolesRoutes);
+app.use("/api/categories", categoriesRoutes);
+app.use("/api/budgets", budgetsRoutes);
+app.use("/api/approvals", approvalsRoutes);
+app.use("/api/audit", auditRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/donors", donorRoutes);
+app.use("/api/80g", taxExemptionRoutes);
+app.use("/api/attachments", attachmentRoutes);
 app.use("/api/admin", adminRoutes);
 
 // New organized API routes with proper authentication and authorization
@@ -345,6 +369,10 @@ app.use("/api/transactions", transactionsRoutes);
 app.use("/api/rent", rentRoutes);
 app.use("/api/loans", loansRoutes);
 app.use("/api/rent-penalties", rentPenaltiesRoutes);
+app.use("/api/ledger", ledgerRoutes);
+app.use("/api/cheques", chequesRoutes);
+app.use("/api/bank-reconciliation", bankReconciliationRoutes);
+app.use("/api/financial-years", financialYearsRoutes);
 
 // Repository-based routes with enhanced error handling
 app.use("/api/shops", shopsNewRoutes);
@@ -374,7 +402,7 @@ app.get("/api/health", (req, res) => {
 
 // Note: All entity-specific routes have been removed to prevent bypassing authentication
 // Protected routes are available through their respective routers:
-// - File operations: /api/files (protected)
+// - Attachments: /api/attachments (protected)
 // - Donations: /api/donations (protected) 
 // - Expenses: /api/expenses (protected)
 // - Rent management: /api/rent (protected)
@@ -386,6 +414,6 @@ app.use(notFoundHandler);
 app.use(errorHandler);
 
 // Export the additional tables function
-export { createAdditionalTables, initializeSequelizeModels };
+export { seedDatabase, initializeSequelizeModels };
 
 export default app;
@@ -0,0 +1,67 @@
+#!/usr/bin/env node
+
+/**
+ * Database migrations from the command line:
+ *
+ *   npm run migrate -- up            apply every pending migration
+ *   npm run migrate -- down [steps]  revert the last (or last <steps>) applied
+ *   npm run migrate -- status        list migrations and whether they have run
+ *
+ * Uses the DB_* settings from .env. The server also applies pending
+ * migrations when it starts.
+ */
+
+import mysql from "mysql2/promise";
+import env from "./src/config/env.js";
+import { migrateUp, migrateDown, migrationStatus } from "./src/config/migrator.js";
+
+const USAGE = "Usage: node migrate.js up | down [steps] | status";
+
+const commands = {
+  up: async (connection) => {
+    const applied = await migrateUp(connection);
+    console.log(applied.length ? `Applied ${applied.join(", ")}` : "Nothing to apply");
+  },
+
+  down: async (connection, steps = "1") => {
+    if (!/^[1-9]\d*$/.test(steps)) throw new Error(USAGE);
+    const reverted = await migrateDown(connection, { steps: Number(steps) });
+    console.log(reverted.length ? `Reverted ${reverted.join(", ")}` : "Nothing to revert");
+  },
+
+  status: async (connection) => {
+    const status = await migrationStatus(connection);
+    for (const { version, name, state, appliedAt } of status) {
+      const when = appliedAt ? new Date(appliedAt).toISOString() : "";
+      console.log(`${String(version).padStart(4, "0")}  ${state.padEnd(8)} ${name.padEnd(32)} ${when}`);
+    }
+    // Non-zero so deploy scripts can tell a tampered history from a clean one
+    if (status.some(({ state }) => state === "changed" || state === "missing")) {
+      process.exitCode = 1;
+    }
+  },
+};
+
+const [command, ...args] = process.argv.slice(2);
+
+if (!commands[command]) {
+  console.error(USAGE);
+  process.exit(2);
+}
+
+const connection = await mysql.createConnection({
+  host: env.DB_HOST,
+  user: env.DB_USER,
+  password: env.DB_PASSWORD,
+  database: env.DB_NAME,
+  port: env.DB_PORT,
+});
+
+try {
+  await commands[command](connection, ...args);
+} catch (error) {
+  console.error(error.message);
+  process.exitCode = 1;
+} finally {
+  await connection.end();
+}
@@ -0,0 +1,758 @@
+/**
+ * Baseline: the schema as it stood when versioned migrations were introduced.
+ *
+ * Until then tables were created at every startup by CREATE TABLE IF NOT
+ * EXISTS, from config/db.js and from each model's getTableSchema(), and
+ * columns added later were patched in with ensureTableColumns. The two
+ * sources disagreed, so which shape a table took depended on which ran
+ * first. On an empty database this creates the tables as the models
+ * describe them; on one that grew up the old way it adds what either
+ * source left out, so every installation continues from the same schema.
+ *
+ * Like every migration, this file must not change once released.
+ */
+
+// In dependency order: a table comes after those its foreign keys reference
+const TABLES = [
+  `CREATE TABLE IF NOT EXISTS users (
+    id VARCHAR(36) PRIMARY KEY,
+    username VARCHAR(50) UNIQUE NOT NULL,
+    email VARCHAR(100) UNIQUE NOT NULL,
+    password_hash VARCHAR(255) NOT NULL,
+    role VARCHAR(50) NOT NULL DEFAULT 'Viewer',
+    status ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
+    email_verified BOOLEAN DEFAULT FALSE,
+    failed_login_attempts INT NOT NULL DEFAULT 0,
+    lockout_count INT NOT NULL DEFAULT 0,
+    locked_until TIMESTAMP NULL,
+    totp_secret VARCHAR(255) NULL,
+    totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+    totp_last_step BIGINT NULL,
+    last_login TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_username (username),
+    INDEX idx_email (email),
+    INDEX idx_role (role),
+    INDEX idx_status (status)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS tenants (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NOT NULL,
+    email VARCHAR(100) NOT NULL,
+    address TEXT NOT NULL,
+    business_type VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP(3) NULL,
+    deleted_by VARCHAR(36) NULL,
+    INDEX idx_deleted_at (deleted_at),
+    status ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
+    id_proof VARCHAR(200) NULL,
+    INDEX idx_name (name),
+    INDEX idx_phone (phone),
+    UNIQUE KEY uq_tenants_email (email),
+    INDEX idx_status (status),
+    INDEX idx_business_type (business_type)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS shops (
+    id VARCHAR(36) PRIMARY KEY,
+    shop_number VARCHAR(20) UNIQUE NOT NULL,
+    size DECIMAL(10,2) NOT NULL,
+    monthly_rent DECIMAL(10,2) NOT NULL,
+    deposit DECIMAL(10,2) NOT NULL,
+    status ENUM('Vacant', 'Occupied', 'Maintenance') NOT NULL DEFAULT 'Vacant',
+    tenant_id VARCHAR(36) NULL,
+    agreement_id VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP(3) NULL,
+    deleted_by VARCHAR(36) NULL,
+    INDEX idx_deleted_at (deleted_at),
+    description TEXT NULL,
+    INDEX idx_shop_number (shop_number),
+    INDEX idx_status (status),
+    INDEX idx_tenant (tenant_id),
+    INDEX idx_agreement (agreement_id),
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS agreements (
+    id VARCHAR(36) PRIMARY KEY,
+    shop_id VARCHAR(36) NOT NULL,
+    tenant_id VARCHAR(36) NOT NULL,
+    agreement_date DATE NOT NULL,
+    start_date DATE NULL,
+    end_date DATE NULL,
+    duration INT NOT NULL,
+    monthly_rent DECIMAL(10,2) NOT NULL,
+    security_deposit DECIMAL(10,2) NOT NULL,
+    advance_rent DECIMAL(10,2) NOT NULL,
+    agreement_type ENUM('Residential', 'Commercial') NOT NULL,
+    status ENUM('Active', 'Expired', 'Terminated') NOT NULL DEFAULT 'Active',
+    next_due_date DATE NOT NULL,
+    last_payment_date DATE NULL,
+    has_active_loan BOOLEAN DEFAULT FALSE,
+    active_loan_id VARCHAR(36) NULL,
+    pending_penalties JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP(3) NULL,
+    deleted_by VARCHAR(36) NULL,
+    INDEX idx_deleted_at (deleted_at),
+    INDEX idx_shop (shop_id),
+    INDEX idx_tenant (tenant_id),
+    INDEX idx_status (status),
+    INDEX idx_next_due_date (next_due_date),
+    INDEX idx_agreement_type (agreement_type),
+    FOREIGN KEY (shop_id) REFERENCES shops(id) ON DELETE CASCADE,
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS loans (
+    id VARCHAR(36) PRIMARY KEY,
+    tenant_id VARCHAR(36) NOT NULL,
+    tenant_name VARCHAR(100) NOT NULL,
+    agreement_id VARCHAR(36) NOT NULL,
+    loan_amount DECIMAL(12,2) NOT NULL,
+    interest_rate DECIMAL(5,2) NOT NULL,
+    disbursed_date DATE NOT NULL,
+    loan_duration INT NOT NULL,
+    monthly_emi DECIMAL(10,2) NOT NULL,
+    outstanding_balance DECIMAL(12,2) NOT NULL,
+    total_repaid DECIMAL(12,2) DEFAULT 0.00,
+    status ENUM('Active', 'Completed', 'Defaulted') NOT NULL DEFAULT 'Active',
+    next_emi_date DATE NOT NULL,
+    last_payment_date DATE NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP(3) NULL,
+    deleted_by VARCHAR(36) NULL,
+    INDEX idx_deleted_at (deleted_at),
+    INDEX idx_tenant (tenant_id),
+    INDEX idx_agreement (agreement_id),
+    INDEX idx_status (status),
+    INDEX idx_next_emi_date (next_emi_date),
+    INDEX idx_disbursed_date (disbursed_date),
+    FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE CASCADE,
+    FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS rent_penalties (
+    id VARCHAR(36) PRIMARY KEY,
+    agreement_id VARCHAR(36) NOT NULL,
+    invoice_id VARCHAR(36) NULL UNIQUE,
+    reason ENUM('LateFee', 'ChequeBounce') NOT NULL DEFAULT 'LateFee',
+    bounced_transaction_id VARCHAR(36) NULL,
+    tenant_name VARCHAR(100) NOT NULL,
+    rent_amount DECIMAL(10,2) NOT NULL,
+    due_date DATE NOT NULL,
+    paid_date DATE NULL,
+    penalty_type ENUM('flat', 'percentage', 'per_day') NULL,
+    penalty_rate DECIMAL(5,2) NOT NULL,
+    penalty_amount DECIMAL(10,2) NOT NULL,
+    penalty_paid BOOLEAN DEFAULT FALSE,
+    penalty_paid_date DATE NULL,
+    status ENUM('Pending', 'Paid') NOT NULL DEFAULT 'Pending',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP(3) NULL,
+    deleted_by VARCHAR(36) NULL,
+    INDEX idx_deleted_at (deleted_at),
+    INDEX idx_agreement (agreement_id),
+    INDEX idx_status (status),
+    INDEX idx_due_date (due_date),
+    INDEX idx_penalty_paid (penalty_paid),
+    INDEX idx_bounced_transaction (bounced_transaction_id),
+    FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS donors (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    name_key VARCHAR(100) NOT NULL,
+    phone VARCHAR(20) NULL,
+    address TEXT NULL,
+    gotra VARCHAR(100) NULL,
+    pan CHAR(10) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    INDEX idx_name_key (name_key),
+    INDEX idx_phone (phone),
+    INDEX idx_pan (pan)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS transactions (
+    id VARCHAR(36) PRIMARY KEY,
+    date DATE NOT NULL,
+    type ENUM('Donation', 'Expense', 'Utilities', 'Salary', 'RentIncome') NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    sub_category VARCHAR(100) NULL,
+    description TEXT NOT NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    receipt_number VARCHAR(50) NULL,
+    donor_name VARCHAR(100) NULL,
+    donor_contact VARCHAR(20) NULL,
+    donor_id VARCHAR(36) NULL,
+    family_members INT NULL,
+    amount_per_person DECIMAL(10,2) NULL,
+    vendor VARCHAR(100) NULL,
+    receipt VARCHAR(255) NULL,
+    tenant_name VARCHAR(100) NULL,
+    tenant_contact VARCHAR(20) NULL,
+    agreement_id VARCHAR(36) NULL,
+    shop_number VARCHAR(20) NULL,
+    payee_name VARCHAR(100) NULL,
+    payee_contact VARCHAR(20) NULL,
+    loan_id VARCHAR(36) NULL,
+    emi_amount DECIMAL(10,2) NULL,
+    penalty_id VARCHAR(36) NULL,
+    penalty_amount DECIMAL(10,2) NULL,
+    payment_mode ENUM('Cash', 'UPI', 'Cheque', 'Bank Transfer') NOT NULL DEFAULT 'Cash',
+    payment_reference VARCHAR(100) NULL,
+    cheque_date DATE NULL,
+    clearing_status ENUM('Cleared', 'Pending', 'Bounced') NOT NULL DEFAULT 'Cleared',
+    clearing_date DATE NULL,
+    bounce_reason VARCHAR(255) NULL,
+    receipt_print_count INT NOT NULL DEFAULT 0,
+    receipt_printed_at TIMESTAMP NULL,
+    eligible_80g TINYINT(1) NULL,
+    idempotency_key VARCHAR(100) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    deleted_at TIMESTAMP(3) NULL,
+    deleted_by VARCHAR(36) NULL,
+    INDEX idx_deleted_at (deleted_at),
+    INDEX idx_date (date),
+    INDEX idx_type (type),
+    INDEX idx_category (category),
+    INDEX idx_receipt_number (receipt_number),
+    INDEX idx_agreement (agreement_id),
+    INDEX idx_loan (loan_id),
+    INDEX idx_penalty (penalty_id),
+    INDEX idx_donor (donor_id),
+    INDEX idx_payment_mode (payment_mode),
+    INDEX idx_clearing_status (clearing_status),
+    UNIQUE KEY uq_receipt_number_type (receipt_number, type),
+    UNIQUE KEY uq_idempotency_key (idempotency_key),
+    FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE SET NULL,
+    FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE SET NULL,
+    FOREIGN KEY (penalty_id) REFERENCES rent_penalties(id) ON DELETE SET NULL,
+    FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE SET NULL
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS uploaded_files (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(255) NOT NULL,
+    size INT NOT NULL,
+    type VARCHAR(100) NOT NULL,
+    base64 LONGTEXT NOT NULL,
+    uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    compressed_size INT NULL,
+    entity_type ENUM('agreement', 'loan', 'transaction') NOT NULL,
+    entity_id VARCHAR(36) NOT NULL,
+    INDEX idx_entity (entity_type, entity_id),
+    INDEX idx_uploaded_at (uploaded_at)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS refresh_tokens (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    family_id VARCHAR(36) NULL,
+    token_hash VARCHAR(255) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    is_revoked BOOLEAN DEFAULT FALSE,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(500) NULL,
+    last_used_at TIMESTAMP NULL,
+    replaced_by VARCHAR(36) NULL,
+    session_started_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_family_id (family_id),
+    INDEX idx_token_hash (token_hash),
+    INDEX idx_expires_at (expires_at)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS files (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    filename VARCHAR(255) NOT NULL,
+    original_name VARCHAR(255) NOT NULL,
+    mime_type VARCHAR(100) NOT NULL,
+    size_bytes BIGINT NOT NULL,
+    s3_key VARCHAR(500) NOT NULL,
+    s3_bucket VARCHAR(100) NOT NULL,
+    status ENUM('uploading', 'uploaded', 'failed') DEFAULT 'uploading',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+    INDEX idx_user_id (user_id),
+    INDEX idx_status (status),
+    INDEX idx_s3_key (s3_key)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS receipt_sequences (
+    transaction_type ENUM('Donation', 'Expense', 'Utilities', 'Salary', 'RentIncome') PRIMARY KEY,
+    next_number INT NOT NULL DEFAULT 1,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS rent_invoices (
+    id VARCHAR(36) PRIMARY KEY,
+    agreement_id VARCHAR(36) NOT NULL,
+    period CHAR(7) NOT NULL,
+    due_date DATE NOT NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    status ENUM('Unpaid', 'Partial', 'Paid') NOT NULL DEFAULT 'Unpaid',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_agreement_period (agreement_id, period),
+    INDEX idx_status (status),
+    INDEX idx_due_date (due_date),
+    FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS rent_invoice_payments (
+    id VARCHAR(36) PRIMARY KEY,
+    agreement_id VARCHAR(36) NOT NULL,
+    transaction_id VARCHAR(36) NOT NULL,
+    invoice_id VARCHAR(36) NULL,
+    amount DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_agreement (agreement_id),
+    INDEX idx_transaction (transaction_id),
+    INDEX idx_invoice (invoice_id),
+    FOREIGN KEY (invoice_id) REFERENCES rent_invoices(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS loan_installments (
+    id VARCHAR(36) PRIMARY KEY,
+    loan_id VARCHAR(36) NOT NULL,
+    installment_number INT NOT NULL,
+    due_date DATE NOT NULL,
+    opening_balance DECIMAL(12,2) NOT NULL,
+    emi_amount DECIMAL(10,2) NOT NULL,
+    principal_component DECIMAL(12,2) NOT NULL,
+    interest_component DECIMAL(10,2) NOT NULL,
+    closing_balance DECIMAL(12,2) NOT NULL,
+    amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+    status ENUM('Pending', 'Partial', 'Paid') NOT NULL DEFAULT 'Pending',
+    paid_date DATE NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_loan_installment (loan_id, installment_number),
+    INDEX idx_due_date (due_date),
+    INDEX idx_status (status),
+    FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS ledger_accounts (
+    id VARCHAR(36) PRIMARY KEY,
+    code VARCHAR(60) NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    type ENUM('Asset', 'Liability', 'Equity', 'Income', 'Expense') NOT NULL,
+    parent_code VARCHAR(60) NULL,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_ledger_account_code (code),
+    INDEX idx_type (type),
+    INDEX idx_parent_code (parent_code)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS journal_entries (
+    id VARCHAR(36) PRIMARY KEY,
+    entry_date DATE NOT NULL,
+    source_type VARCHAR(30) NOT NULL,
+    source_id VARCHAR(36) NOT NULL,
+    description VARCHAR(255) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_source (source_type, source_id),
+    INDEX idx_entry_date (entry_date)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS journal_lines (
+    id VARCHAR(36) PRIMARY KEY,
+    entry_id VARCHAR(36) NOT NULL,
+    account_id VARCHAR(36) NOT NULL,
+    debit DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    credit DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+    INDEX idx_entry (entry_id),
+    INDEX idx_account (account_id),
+    FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE,
+    FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS bank_statements (
+    id VARCHAR(36) PRIMARY KEY,
+    file_name VARCHAR(255) NOT NULL,
+    format ENUM('CSV', 'OFX') NOT NULL,
+    layout VARCHAR(30) NOT NULL,
+    period_from DATE NOT NULL,
+    period_to DATE NOT NULL,
+    line_count INT NOT NULL DEFAULT 0,
+    imported_by VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_period (period_from, period_to)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS bank_statement_lines (
+    id VARCHAR(36) PRIMARY KEY,
+    statement_id VARCHAR(36) NOT NULL,
+    line_number INT NOT NULL DEFAULT 0,
+    line_date DATE NOT NULL,
+    description VARCHAR(255) NOT NULL DEFAULT '',
+    reference VARCHAR(100) NULL,
+    amount DECIMAL(12,2) NOT NULL,
+    balance DECIMAL(14,2) NULL,
+    fingerprint CHAR(64) NOT NULL,
+    transaction_id VARCHAR(36) NULL,
+    match_type ENUM('Auto', 'Manual') NULL,
+    ignored BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_bank_line_fingerprint (fingerprint),
+    UNIQUE KEY uq_bank_line_transaction (transaction_id),
+    INDEX idx_line_date (line_date),
+    FOREIGN KEY (statement_id) REFERENCES bank_statements(id) ON DELETE CASCADE,
+    FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS bank_reconciliations (
+    period CHAR(7) PRIMARY KEY,
+    statement_balance DECIMAL(14,2) NULL,
+    book_balance DECIMAL(14,2) NOT NULL,
+    locked BOOLEAN NOT NULL DEFAULT TRUE,
+    notes VARCHAR(255) NULL,
+    reconciled_by VARCHAR(36) NULL,
+    reconciled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS financial_years (
+    year CHAR(7) PRIMARY KEY,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    status ENUM('Open', 'Closed') NOT NULL DEFAULT 'Open',
+    surplus DECIMAL(14,2) NULL,
+    closed_by VARCHAR(36) NULL,
+    closed_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_financial_year_start (start_date),
+    INDEX idx_status (status)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS financial_year_balances (
+    id VARCHAR(36) PRIMARY KEY,
+    year CHAR(7) NOT NULL,
+    account_id VARCHAR(36) NOT NULL,
+    debit DECIMAL(14,2) NOT NULL DEFAULT 0,
+    credit DECIMAL(14,2) NOT NULL DEFAULT 0,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_year_account (year, account_id),
+    FOREIGN KEY (year) REFERENCES financial_years(year) ON DELETE CASCADE,
+    FOREIGN KEY (account_id) REFERENCES ledger_accounts(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS financial_year_events (
+    id VARCHAR(36) PRIMARY KEY,
+    year CHAR(7) NOT NULL,
+    action ENUM('Close', 'Reopen') NOT NULL,
+    reason VARCHAR(500) NULL,
+    user_id VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_year (year),
+    FOREIGN KEY (year) REFERENCES financial_years(year) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS user_tokens (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    purpose ENUM('PasswordReset', 'EmailVerification') NOT NULL,
+    token_hash CHAR(64) NOT NULL,
+    expires_at TIMESTAMP NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_token_hash (token_hash),
+    INDEX idx_user_purpose (user_id, purpose),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS login_history (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NULL,
+    email VARCHAR(255) NOT NULL,
+    ip_address VARCHAR(45) NULL,
+    user_agent VARCHAR(500) NULL,
+    device_hash CHAR(64) NOT NULL,
+    success BOOLEAN NOT NULL,
+    failure_reason ENUM('InvalidPassword', 'InvalidTwoFactorCode', 'AccountLocked', 'AccountInactive', 'UnknownAccount') NULL,
+    new_device BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    INDEX idx_user_created (user_id, created_at),
+    INDEX idx_user_device (user_id, device_hash),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS user_recovery_codes (
+    id VARCHAR(36) PRIMARY KEY,
+    user_id VARCHAR(36) NOT NULL,
+    code_hash CHAR(64) NOT NULL,
+    used_at TIMESTAMP NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_user_code (user_id, code_hash),
+    FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS roles (
+    id VARCHAR(36) PRIMARY KEY,
+    name VARCHAR(50) NOT NULL UNIQUE,
+    description VARCHAR(255) NULL,
+    is_system BOOLEAN NOT NULL DEFAULT FALSE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS role_permissions (
+    role_id VARCHAR(36) NOT NULL,
+    permission VARCHAR(100) NOT NULL,
+    PRIMARY KEY (role_id, permission),
+    FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS change_requests (
+    id VARCHAR(36) PRIMARY KEY,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id VARCHAR(36) NULL,
+    action ENUM('create', 'update', 'delete') NOT NULL,
+    payload JSON NULL,
+    original JSON NULL,
+    amount DECIMAL(12,2) NULL,
+    status ENUM('Pending', 'Approved', 'Rejected', 'Cancelled') NOT NULL DEFAULT 'Pending',
+    requested_by VARCHAR(36) NOT NULL,
+    requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    reviewed_by VARCHAR(36) NULL,
+    reviewed_at TIMESTAMP NULL,
+    review_note VARCHAR(500) NULL,
+    INDEX idx_status_requested (status, requested_at),
+    INDEX idx_entity (entity_id, status),
+    INDEX idx_requested_by (requested_by)
+  ) ENGINE=InnoDB`,
+
+  `CREATE TABLE IF NOT EXISTS audit_log (
+    seq BIGINT AUTO_INCREMENT PRIMARY KEY,
+    created_at DATETIME(3) NOT NULL,
+    actor_id VARCHAR(36) NULL,
+    actor_name VARCHAR(100) NULL,
+    ip_address VARCHAR(45) NULL,
+    entity_type VARCHAR(30) NOT NULL,
+    entity_id VARCHAR(36) NOT NULL,
+    action VARCHAR(20) NOT NULL,
+    changes JSON NOT NULL,
+    context JSON NULL,
+    prev_hash CHAR(64) NULL,
+    hash CHAR(64) NOT NULL,
+    INDEX idx_entity (entity_type, entity_id, seq),
+    INDEX idx_actor_created (actor_id, created_at),
+    INDEX idx_created (created_at)
+  ) ENGINE=InnoDB`,
+];
+
+const columnsOf = async (db, table) =>
+  (
+    await db.query(
+      `SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE FROM INFORMATION_SCHEMA.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+      [table]
+    )
+  ).reduce((columns, row) => ({ ...columns, [row.COLUMN_NAME]: row }), {});
+
+const indexesOf = async (db, table) =>
+  (await db.query(`SHOW INDEX FROM ${table}`)).map((row) => ({
+    name: row.Key_name,
+    column: row.Column_name,
+    unique: Number(row.Non_unique) === 0,
+  }));
+
+// columns maps column name -> ALTER TABLE fragment; returns the names added
+const addMissingColumns = async (db, table, columns) => {
+  const existing = await columnsOf(db, table);
+  const added = [];
+  for (const [column, alter] of Object.entries(columns)) {
+    if (existing[column]) continue;
+    db.log.info(`>> Adding missing column: ${table}.${column}`);
+    await db.query(`ALTER TABLE ${table} ${alter}`);
+    added.push(column);
+  }
+  return added;
+};
+
+const addMissingIndex = async (db, table, name, columns) => {
+  if ((await indexesOf(db, table)).some((index) => index.name === name)) return;
+  await db.query(`ALTER TABLE ${table} ADD INDEX ${name} (${columns})`);
+};
+
+// A unique key that existing duplicates prevent is reported, not fatal, as
+// it was before migrations; the duplicates have to be cleaned up by hand
+const addUniqueKey = async (db, table, name, columns) => {
+  if ((await indexesOf(db, table)).some((index) => index.name === name)) return;
+  try {
+    await db.query(`ALTER TABLE ${table} ADD UNIQUE KEY ${name} (${columns})`);
+  } catch (error) {
+    if (error.code !== 'ER_DUP_ENTRY') throw error;
+    db.log.warn(`>> Duplicate values in ${table} (${columns}) prevent unique key ${name}; clean them up and add it by hand`);
+  }
+};
+
+const reconcileUsers = async (db) => {
+  await addMissingColumns(db, 'users', {
+    password_hash: "ADD COLUMN password_hash VARCHAR(255) NOT NULL DEFAULT ''",
+    email_verified: 'ADD COLUMN email_verified BOOLEAN DEFAULT FALSE',
+    failed_login_attempts: 'ADD COLUMN failed_login_attempts INT NOT NULL DEFAULT 0',
+    lockout_count: 'ADD COLUMN lockout_count INT NOT NULL DEFAULT 0',
+    locked_until: 'ADD COLUMN locked_until TIMESTAMP NULL',
+    totp_secret: 'ADD COLUMN totp_secret VARCHAR(255) NULL',
+    totp_enabled: 'ADD COLUMN totp_enabled BOOLEAN NOT NULL DEFAULT FALSE',
+    totp_last_step: 'ADD COLUMN totp_last_step BIGINT NULL',
+    updated_at: 'ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP',
+  });
+  // Roles used to be a fixed ENUM
+  if ((await columnsOf(db, 'users')).role?.DATA_TYPE === 'enum') {
+    await db.query("ALTER TABLE users MODIFY COLUMN role VARCHAR(50) NOT NULL DEFAULT 'Viewer'");
+  }
+};
+
+const reconcileTenants = async (db) => {
+  // Tenant email used to carry a plain index instead of a unique one
+  for (const index of await indexesOf(db, 'tenants')) {
+    if (index.column === 'email' && !index.unique) {
+      await db.query(`ALTER TABLE tenants DROP INDEX ${index.name}`);
+    }
+  }
+  const indexes = await indexesOf(db, 'tenants');
+  if (!indexes.some((index) => index.column === 'email' && index.unique)) {
+    await addUniqueKey(db, 'tenants', 'uq_tenants_email', 'email');
+  }
+};
+
+// config/db.js created agreements with start and end dates; the model has a
+// duration and the rent schedule. Each gets the other's columns, and
+// agreements without a schedule start it from their start date.
+const reconcileAgreements = async (db) => {
+  const added = await addMissingColumns(db, 'agreements', {
+    start_date: 'ADD COLUMN start_date DATE NULL AFTER agreement_date',
+    end_date: 'ADD COLUMN end_date DATE NULL AFTER start_date',
+    duration: 'ADD COLUMN duration INT NULL AFTER end_date',
+    security_deposit: 'ADD COLUMN security_deposit DECIMAL(10,2) NULL AFTER monthly_rent',
+    advance_rent: 'ADD COLUMN advance_rent DECIMAL(10,2) NULL AFTER security_deposit',
+    agreement_type: "ADD COLUMN agreement_type ENUM('Residential', 'Commercial') NULL AFTER advance_rent",
+    next_due_date: 'ADD COLUMN next_due_date DATE NULL AFTER status, ADD INDEX idx_next_due_date (next_due_date)',
+    last_payment_date: 'ADD COLUMN last_payment_date DATE NULL AFTER next_due_date',
+    has_active_loan: 'ADD COLUMN has_active_loan BOOLEAN DEFAULT FALSE AFTER last_payment_date',
+    active_loan_id: 'ADD COLUMN active_loan_id VARCHAR(36) NULL AFTER has_active_loan',
+    pending_penalties: 'ADD COLUMN pending_penalties JSON NULL AFTER active_loan_id',
+  });
+  if (!added.includes('duration')) return;
+
+  await db.query(
+    `UPDATE agreements
+     SET duration = COALESCE(TIMESTAMPDIFF(MONTH, start_date, end_date), 0),
+         security_deposit = 0,
+         advance_rent = 0,
+         agreement_type = 'Commercial',
+         next_due_date = COALESCE(start_date, agreement_date)`
+  );
+  await db.query(
+    `ALTER TABLE agreements
+     MODIFY COLUMN start_date DATE NULL,
+     MODIFY COLUMN duration INT NOT NULL,
+     MODIFY COLUMN security_deposit DECIMAL(10,2) NOT NULL,
+     MODIFY COLUMN advance_rent DECIMAL(10,2) NOT NULL,
+     MODIFY COLUMN agreement_type ENUM('Residential', 'Commercial') NOT NULL,
+     MODIFY COLUMN status ENUM('Active', 'Expired', 'Terminated') NOT NULL DEFAULT 'Active',
+     MODIFY COLUMN next_due_date DATE NOT NULL,
+     ADD INDEX idx_agreement_type (agreement_type)`
+  );
+};
+
+const reconcileRentPenalties = (db) =>
+  addMissingColumns(db, 'rent_penalties', {
+    invoice_id: 'ADD COLUMN invoice_id VARCHAR(36) NULL UNIQUE AFTER agreement_id',
+    reason: "ADD COLUMN reason ENUM('LateFee', 'ChequeBounce') NOT NULL DEFAULT 'LateFee' AFTER invoice_id",
+    bounced_transaction_id:
+      'ADD COLUMN bounced_transaction_id VARCHAR(36) NULL AFTER reason, ADD INDEX idx_bounced_transaction (bounced_transaction_id)',
+    penalty_type: "ADD COLUMN penalty_type ENUM('flat', 'percentage', 'per_day') NULL AFTER paid_date",
+  });
+
+const reconcileTransactions = async (db) => {
+  await addMissingColumns(db, 'transactions', {
+    donor_id:
+      'ADD COLUMN donor_id VARCHAR(36) NULL AFTER donor_contact, ADD INDEX idx_donor (donor_id), ADD FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE SET NULL',
+    payment_mode:
+      "ADD COLUMN payment_mode ENUM('Cash', 'UPI', 'Cheque', 'Bank Transfer') NOT NULL DEFAULT 'Cash' AFTER penalty_amount",
+    payment_reference: 'ADD COLUMN payment_reference VARCHAR(100) NULL AFTER payment_mode',
+    cheque_date: 'ADD COLUMN cheque_date DATE NULL AFTER payment_reference',
+    clearing_status:
+      "ADD COLUMN clearing_status ENUM('Cleared', 'Pending', 'Bounced') NOT NULL DEFAULT 'Cleared' AFTER cheque_date",
+    clearing_date: 'ADD COLUMN clearing_date DATE NULL AFTER clearing_status',
+    bounce_reason: 'ADD COLUMN bounce_reason VARCHAR(255) NULL AFTER clearing_date',
+    receipt_print_count: 'ADD COLUMN receipt_print_count INT NOT NULL DEFAULT 0 AFTER bounce_reason',
+    receipt_printed_at: 'ADD COLUMN receipt_printed_at TIMESTAMP NULL AFTER receipt_print_count',
+    eligible_80g: 'ADD COLUMN eligible_80g TINYINT(1) NULL AFTER receipt_printed_at',
+    idempotency_key: 'ADD COLUMN idempotency_key VARCHAR(100) NULL AFTER eligible_80g',
+  });
+  // Expenses may be recorded without a receipt number
+  if ((await columnsOf(db, 'transactions')).receipt_number.IS_NULLABLE === 'NO') {
+    await db.query('ALTER TABLE transactions MODIFY COLUMN receipt_number VARCHAR(50) NULL');
+  }
+  await addMissingIndex(db, 'transactions', 'idx_payment_mode', 'payment_mode');
+  await addMissingIndex(db, 'transactions', 'idx_clearing_status', 'clearing_status');
+  await addUniqueKey(db, 'transactions', 'uq_receipt_number_type', 'receipt_number, type');
+  await addUniqueKey(db, 'transactions', 'uq_idempotency_key', 'idempotency_key');
+};
+
+const reconcileRefreshTokens = async (db) => {
+  await addMissingColumns(db, 'refresh_tokens', {
+    family_id: 'ADD COLUMN family_id VARCHAR(36) NULL AFTER user_id, ADD INDEX idx_family_id (family_id)',
+    ip_address: 'ADD COLUMN ip_address VARCHAR(45) NULL AFTER is_revoked',
+    user_agent: 'ADD COLUMN user_agent VARCHAR(500) NULL AFTER ip_address',
+    last_used_at: 'ADD COLUMN last_used_at TIMESTAMP NULL AFTER user_agent',
+    replaced_by: 'ADD COLUMN replaced_by VARCHAR(36) NULL AFTER last_used_at',
+    session_started_at: 'ADD COLUMN session_started_at TIMESTAMP NULL AFTER replaced_by',
+  });
+  // Tokens issued before sessions were tracked each become their own session
+  await db.query('UPDATE refresh_tokens SET family_id = id WHERE family_id IS NULL');
+};
+
+export async function up(db) {
+  for (const statement of TABLES) {
+    await db.query(statement);
+  }
+
+  await reconcileUsers(db);
+  await reconcileTenants(db);
+  await reconcileAgreements(db);
+  await reconcileRentPenalties(db);
+  await reconcileTransactions(db);
+  await reconcileRefreshTokens(db);
+
+  // Soft deletion (see trashService)
+  for (const table of ['shops', 'tenants', 'agreements', 'loans', 'rent_penalties', 'transactions']) {
+    await addMissingColumns(db, table, {
+      deleted_at: 'ADD COLUMN deleted_at TIMESTAMP(3) NULL, ADD INDEX idx_deleted_at (deleted_at)',
+      deleted_by: 'ADD COLUMN deleted_by VARCHAR(36) NULL AFTER deleted_at',
+    });
+  }
+}
+
+export async function down(db) {
+  await db.query('SET FOREIGN_KEY_CHECKS = 0');
+  try {
+    for (const statement of [...TABLES].reverse()) {
+      const [, table] = /CREATE TABLE IF NOT EXISTS (\w+)/.exec(statement);
+      await db.query(`DROP TABLE IF EXISTS ${table}`);
+    }
+  } finally {
+    await db.query('SET FOREIGN_KEY_CHECKS = 1');
+  }
+}
@@ -0,0 +1,131 @@
+/**
+ * Blob store: attachments move out of uploaded_files.base64 into the
+ * configured blob store (config/blobStore.js), addressed by the SHA-256 of
+ * their content. blobs holds one row per distinct content; uploaded_files
+ * rows point at it, so the same file attached twice is stored once.
+ *
+ * Existing rows are moved one at a time: the data URL is decoded, written to
+ * the store unless it is already there, and the row is pointed at its hash.
+ * Rows that are already moved are skipped, so an interrupted run can simply
+ * be repeated. The base64 column is dropped once every row has moved.
+ *
+ * The presigned-S3 files table is no longer used by the application and is
+ * left as it is, so the objects it names can still be found.
+ */
+
+const columnsOf = async (db, table) =>
+  (
+    await db.query(
+      `SELECT COLUMN_NAME FROM INFORMATION_SCHEMA.COLUMNS
+       WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ?`,
+      [table]
+    )
+  ).map((row) => row.COLUMN_NAME);
+
+const foreignKeysOf = async (db, table) =>
+  db.query(
+    `SELECT CONSTRAINT_NAME AS name, COLUMN_NAME AS \`column\` FROM INFORMATION_SCHEMA.KEY_COLUMN_USAGE
+     WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = ? AND REFERENCED_TABLE_NAME IS NOT NULL`,
+    [table]
+  );
+
+// The bytes of a stored attachment: a data URL, or bare base64 from older clients
+const decode = (base64) => Buffer.from(base64.replace(/^data:[^,]*,/, ''), 'base64');
+
+export async function up(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS blobs (
+    sha256 CHAR(64) PRIMARY KEY,
+    size BIGINT NOT NULL,
+    content_type VARCHAR(100) NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+  ) ENGINE=InnoDB`);
+
+  const columns = await columnsOf(db, 'uploaded_files');
+  if (!columns.includes('sha256')) {
+    await db.query('ALTER TABLE uploaded_files ADD COLUMN sha256 CHAR(64) NULL AFTER type');
+  }
+  if (!columns.includes('uploaded_by')) {
+    await db.query('ALTER TABLE uploaded_files ADD COLUMN uploaded_by VARCHAR(36) NULL AFTER entity_id');
+  }
+
+  if (columns.includes('base64')) {
+    const pending = await db.query('SELECT id FROM uploaded_files WHERE sha256 IS NULL');
+    if (pending.length > 0) {
+      // Only loaded when there is something to move, so an empty database
+      // can be migrated without the application's configuration
+      const { createHash } = await import('crypto');
+      const { Readable } = await import('stream');
+      const { blobStore, blobKey } = await import('../src/config/blobStore.js');
+      const store = blobStore();
+
+      db.log.info(`>> Moving ${pending.length} attachment(s) into the blob store`);
+      for (const { id } of pending) {
+        const [row] = await db.query('SELECT type, base64 FROM uploaded_files WHERE id = ?', [id]);
+        const content = decode(row.base64 || '');
+        const sha256 = createHash('sha256').update(content).digest('hex');
+        if (!(await store.exists(blobKey(sha256)))) {
+          await store.put(blobKey(sha256), Readable.from([content]), {
+            size: content.length,
+            contentType: row.type,
+          });
+        }
+        await db.query('INSERT IGNORE INTO blobs (sha256, size, content_type) VALUES (?, ?, ?)', [
+          sha256,
+          content.length,
+          row.type,
+        ]);
+        await db.query('UPDATE uploaded_files SET sha256 = ? WHERE id = ?', [sha256, id]);
+      }
+    }
+    await db.query('ALTER TABLE uploaded_files DROP COLUMN base64');
+  }
+
+  const linked = (await foreignKeysOf(db, 'uploaded_files')).map((key) => key.column);
+  if (!linked.includes('sha256')) {
+    await db.query(`ALTER TABLE uploaded_files
+      MODIFY sha256 CHAR(64) NOT NULL,
+      ADD INDEX idx_sha256 (sha256),
+      ADD FOREIGN KEY (sha256) REFERENCES blobs(sha256) ON DELETE RESTRICT`);
+  }
+  if (!linked.includes('uploaded_by')) {
+    await db.query(`ALTER TABLE uploaded_files
+      ADD INDEX idx_uploaded_by (uploaded_by),
+      ADD FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL`);
+  }
+}
+
+export async function down(db) {
+  const columns = await columnsOf(db, 'uploaded_files');
+  if (!columns.includes('base64')) {
+    await db.query('ALTER TABLE uploaded_files ADD COLUMN base64 LONGTEXT NULL AFTER type');
+  }
+
+  const pending = await db.query('SELECT id FROM uploaded_files WHERE base64 IS NULL');
+  if (pending.length > 0) {
+    const { blobStore, blobKey } = await import('../src/config/blobStore.js');
+    const store = blobStore();
+
+    db.log.info(`>> Copying ${pending.length} attachment(s) back out of the blob store`);
+    for (const { id } of pending) {
+      const [row] = await db.query('SELECT type, sha256 FROM uploaded_files WHERE id = ?', [id]);
+      const chunks = [];
+      for await (const chunk of await store.get(blobKey(row.sha256))) {
+        chunks.push(chunk);
+      }
+      const base64 = `data:${row.type};base64,${Buffer.concat(chunks).toString('base64')}`;
+      await db.query('UPDATE uploaded_files SET base64 = ? WHERE id = ?', [base64, id]);
+    }
+  }
+
+  // The stored objects are left in place; they are not referenced once blobs is gone
+  for (const key of await foreignKeysOf(db, 'uploaded_files')) {
+    if (key.column === 'sha256' || key.column === 'uploaded_by') {
+      await db.query(`ALTER TABLE uploaded_files DROP FOREIGN KEY ${key.name}`);
+    }
+  }
+  await db.query(`ALTER TABLE uploaded_files
+    MODIFY base64 LONGTEXT NOT NULL,
+    DROP COLUMN sha256,
+    DROP COLUMN uploaded_by`);
+  await db.query('DROP TABLE IF EXISTS blobs');
+}
@@ -0,0 +1,42 @@
+/**
+ * Attachments on any record: uploaded_files.entity_type becomes a plain
+ * string, so tenants, shops, donors and change requests can have files as
+ * well as agreements, loans and transactions. Which types exist, and who may
+ * see them, is decided by attachmentService.
+ *
+ * entity_type and entity_id may now be NULL for a staged upload: a file sent
+ * ahead of the record it belongs to, such as the bill for an expense that has
+ * not been saved yet.
+ *
+ * Going down deletes the attachments the old enum cannot hold. Their content
+ * stays in the blob store; it is no longer referenced.
+ */
+
+const OLD_TYPES = ['agreement', 'loan', 'transaction'];
+
+export async function up(db) {
+  await db.query(`ALTER TABLE uploaded_files
+    MODIFY entity_type VARCHAR(30) NULL,
+    MODIFY entity_id VARCHAR(36) NULL`);
+}
+
+export async function down(db) {
+  const placeholders = OLD_TYPES.map(() => '?').join(', ');
+  const dropped = await db.query(
+    `SELECT COUNT(*) AS count FROM uploaded_files
+     WHERE entity_type IS NULL OR entity_id IS NULL OR entity_type NOT IN (${placeholders})`,
+    OLD_TYPES
+  );
+  if (dropped[0].count > 0) {
+    db.log.info(`>> Deleting ${dropped[0].count} attachment(s) the old schema cannot hold`);
+    await db.query(
+      `DELETE FROM uploaded_files
+       WHERE entity_type IS NULL OR entity_id IS NULL OR entity_type NOT IN (${placeholders})`,
+      OLD_TYPES
+    );
+    await db.query('DELETE FROM blobs WHERE NOT EXISTS (SELECT 1 FROM uploaded_files WHERE sha256 = blobs.sha256)');
+  }
+  await db.query(`ALTER TABLE uploaded_files
+    MODIFY entity_type ENUM('agreement', 'loan', 'transaction') NOT NULL,
+    MODIFY entity_id VARCHAR(36) NOT NULL`);
+}
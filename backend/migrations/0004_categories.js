@@ -0,0 +1,138 @@
+/**
+ * Donation and expense categories move out of the frontend into the
+ * categories table, so an Admin can add a festival or retire a head of
+ * expense without a release. Sub-categories are rows pointing at their
+ * category through parent_id.
+ *
+ * code is the value written to transactions.category and sub_category; the
+ * categories and sub-categories the forms offered until now are created with
+ * the codes those forms used, so existing entries keep their labels.
+ * Entries that are already seeded are skipped, so an interrupted run can
+ * simply be repeated.
+ */
+
+import { randomUUID } from 'crypto';
+
+// [code, English label, Marathi label, rules, sub-categories]
+const DEFAULTS = {
+  Donation: [
+    ['Vargani', 'Vargani (Festival Collection)', 'वर्गणी', { perPerson: true }, [
+      ['shivJayanti', 'Shiv Jayanti', 'शिव जयंती'],
+      ['ganeshUtsav', 'Ganesh Utsav', 'गणेश उत्सव'],
+      ['yatra', 'Yatra', 'यात्रा'],
+      ['navratri', 'Navratri', 'नवरात्र'],
+      ['bailPola', 'Bail Pola', 'बैल पोळा'],
+      ['ashadhiEkadashi', 'Ashadhi Ekadashi', 'आषाढी एकादशी'],
+      ['diwali', 'Diwali', 'दिवाळी'],
+      ['dasra', 'Dasra', 'दसरा'],
+      ['mahaShivratri', 'Maha Shivratri', 'महाशिवरात्री'],
+      ['shreekrishnaJanmashtami', 'ShreeKrushna Janmashtami', 'श्रीकृष्ण जन्माष्टमी'],
+    ]],
+    ['Dengi', 'Dengi (Donation)', 'देणगी', null, [
+      ['yatraUtsav', 'Yatra Utsav', 'यात्रा उत्सव'],
+      ['bandkam', 'Bandkam (Construction)', 'बांधकाम'],
+      ['itar', 'Itar (Other)', 'इतर'],
+    ]],
+    ['Shaskiy Nidhi', 'Shaskiy Nidhi (Government Fund)', 'शासकीय निधी', null, [
+      ['kendraShashan', 'Kendra Shashan (Central Government)', 'केंद्र शासन'],
+      ['rajyaShashan', 'Rajya Shashan (State Government)', 'राज्य शासन'],
+      ['mantriNidhi', 'Mantri Nidhi (Minister Funding)', 'मंत्री निधी'],
+      ['aamdarNidhi', 'Aamdar Nidhi (MLA Funding)', 'आमदार निधी'],
+      ['khajdarNidhi', 'Khajdar Nidhi (MP Funding)', 'खासदार निधी'],
+      ['grampanchayat', 'Grampanchayat', 'ग्रामपंचायत'],
+      ['panchayatSamiti', 'Panchayat Samiti', 'पंचायत समिती'],
+    ]],
+  ],
+  Expense: [
+    ['Utsav', 'Festivals', 'उत्सव', null, [
+      ['parayan', 'Parayan', 'पारायण'],
+      ['dindi', 'Dindi', 'दिंडी'],
+      ['shivjayanti', 'Shiv Jayanti', 'शिवजयंती'],
+      ['ganeshUtsav', 'Ganesh Utsav', 'गणेश उत्सव'],
+      ['yatra', 'Yatra', 'यात्रा'],
+      ['navratra', 'Navratra', 'नवरात्र'],
+      ['bailPola', 'Bail Pola', 'बैल पोळा'],
+      ['ashadhiEkadashi', 'Ashadhi Ekadashi', 'आषाढी एकादशी'],
+      ['diwali', 'Diwali', 'दिवाळी'],
+      ['dasra', 'Dasra', 'दसरा'],
+      ['mahashivratri', 'Maha Shivratri', 'महाशिवरात्री'],
+      ['shreeKrushnaJanmashtami', 'Krishna Janmashtami', 'कृष्ण जन्माष्टमी'],
+      ['ramNavami', 'Ram Navami', 'राम नवमी'],
+    ]],
+    ['Gala Kharch', 'Shop Expenses', 'गाळा खर्च', null, [
+      ['bandhkam', 'Construction', 'बांधकाम'],
+      ['putalaKharch', 'Statue Maintenance', 'पुतळा देखभाल'],
+      ['karmchariPagar', 'Employee Salary', 'कर्मचारी पगार'],
+      ['karmchariKharch', 'Employee Expenses', 'कर्मचारी खर्च'],
+      ['safayi', 'Cleaning', 'सफाई'],
+      ['itar', 'Other', 'इतर'],
+    ]],
+    ['Mandir Dekhbhal', 'Temple Maintenance', 'मंदिर खर्च', null, [
+      ['bandhkam', 'Construction', 'बांधकाम'],
+      ['pooja', 'Pooja', 'पूजा'],
+      ['karmchariPagar', 'Employee Salary', 'कर्मचारी पगार'],
+      ['karmchariKharch', 'Employee Expenses', 'कर्मचारी खर्च'],
+      ['safayi', 'Cleaning', 'सफाई'],
+      ['soundLightMaintenance', 'Sound/Light System/CCTV/Electronic', 'ध्वनी/प्रकाश/सीसीटीव्ही/इलेक्ट्रॉनिक'],
+      ['flowerDecoration', 'Flower Decoration', 'फुलसजावट'],
+      ['securityServices', 'Security Services', 'सुरक्षा सेवा'],
+      ['bijliBill', 'Electricity', 'वीज'],
+      ['paani', 'Water', 'पाणी'],
+      ['itar', 'Other', 'इतर'],
+    ]],
+  ],
+};
+
+// The id of the entry, creating it unless it is already there
+const ensureEntry = async (db, { type, parentId, code, labelEn, labelMr, sortOrder, rules = null }) => {
+  const [existing] = await db.query(
+    'SELECT id FROM categories WHERE type = ? AND parent_id <=> ? AND code = ?',
+    [type, parentId, code]
+  );
+  if (existing) return existing.id;
+
+  const id = randomUUID();
+  await db.query(
+    `INSERT INTO categories (id, type, parent_id, code, label_en, label_mr, sort_order, rules)
+     VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+    [id, type, parentId, code, labelEn, labelMr, sortOrder, rules ? JSON.stringify(rules) : null]
+  );
+  return id;
+};
+
+export async function up(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS categories (
+    id VARCHAR(36) PRIMARY KEY,
+    type ENUM('Donation', 'Expense') NOT NULL,
+    parent_id VARCHAR(36) NULL,
+    code VARCHAR(100) NOT NULL,
+    label_en VARCHAR(100) NOT NULL,
+    label_mr VARCHAR(100) NOT NULL,
+    active BOOLEAN NOT NULL DEFAULT TRUE,
+    sort_order INT NOT NULL DEFAULT 0,
+    rules JSON NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_categories_code (type, parent_id, code),
+    INDEX idx_parent (parent_id),
+    FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE CASCADE
+  ) ENGINE=InnoDB`);
+
+  for (const [type, categories] of Object.entries(DEFAULTS)) {
+    for (const [index, [code, labelEn, labelMr, rules, subCategories]] of categories.entries()) {
+      const parentId = await ensureEntry(db, {
+        type, parentId: null, code, labelEn, labelMr, sortOrder: index + 1, rules,
+      });
+      for (const [subIndex, [subCode, subLabelEn, subLabelMr]] of subCategories.entries()) {
+        await ensureEntry(db, {
+          type, parentId, code: subCode, labelEn: subLabelEn, labelMr: subLabelMr, sortOrder: subIndex + 1,
+        });
+      }
+    }
+  }
+}
+
+// Transactions keep their category codes, which the frontend shows as they are
+export async function down(db) {
+  await db.query('DROP TABLE IF EXISTS categories');
+}
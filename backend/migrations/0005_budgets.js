@@ -0,0 +1,36 @@
+/**
+ * Budgets per financial year for expense categories and sub-categories.
+ *
+ * A row with an empty sub_category budgets the whole category, so a festival
+ * can have one figure or one per head of expense (or both). An empty string
+ * rather than NULL keeps the unique key effective.
+ *
+ * The new budget.manage permission is granted to the built-in Treasurer role,
+ * which holds it by default on new installations.
+ */
+
+export async function up(db) {
+  await db.query(`CREATE TABLE IF NOT EXISTS budgets (
+    id VARCHAR(36) PRIMARY KEY,
+    year CHAR(7) NOT NULL,
+    category VARCHAR(100) NOT NULL,
+    sub_category VARCHAR(100) NOT NULL DEFAULT '',
+    amount DECIMAL(12,2) NOT NULL,
+    notes VARCHAR(500) NULL,
+    created_by VARCHAR(36) NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+    UNIQUE KEY uq_budgets_line (year, category, sub_category),
+    INDEX idx_year (year)
+  ) ENGINE=InnoDB`);
+
+  await db.query(
+    `INSERT IGNORE INTO role_permissions (role_id, permission)
+     SELECT id, 'budget.manage' FROM roles WHERE name = 'Treasurer' AND is_system = TRUE`
+  );
+}
+
+export async function down(db) {
+  await db.query("DELETE FROM role_permissions WHERE permission = 'budget.manage'");
+  await db.query('DROP TABLE IF EXISTS budgets');
+}
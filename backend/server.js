@@ -1,5 +1,5 @@
 import app, {
-  createAdditionalTables,
+  seedDatabase,
   initializeSequelizeModels,
 } from "./app.js";
 
@@ -10,6 +10,9 @@ import {
 
 import { closeConnection as closeSequelizeConnection } from "./src/config/sequelize.js";
 import { RefreshToken } from "./src/models/RefreshToken.js";
+import { generateDueInvoices } from "./src/services/rentInvoicesService.js";
+import { applyLatePenalties } from "./src/services/rentPenaltiesService.js";
+import { markDefaultedLoans } from "./src/services/loanScheduleService.js";
 import env from "./src/config/env.js";
 
 import pino from "pino";
@@ -55,8 +58,8 @@ const startServer = async () => {
   try {
     logger.info(">> Initializing primary (non-Sequelize) database...");
     await initializeDatabase();
-    logger.info(">> Running additional table creation (idempotent)...");
-    await createAdditionalTables();
+    logger.info(">> Seeding reference data...");
+    await seedDatabase();
     logger.info(">> Initializing Sequelize models / connection...");
     await initializeSequelizeModels();
 
@@ -73,12 +76,13 @@ const startServer = async () => {
       logger.info(">> API route groups:");
       logger.info(`   * Auth:            /api/auth`);
       logger.info(`   * Users:           /api/users`);
-      logger.info(`   * Files:           /api/files`);
+      logger.info(`   * Attachments:     /api/attachments`);
       logger.info(`   * Admin:           /api/admin`);
       logger.info(`   * Donations:       /api/donations`);
       logger.info(`   * Expenses:        /api/expenses`);
       logger.info(`   * Transactions:    /api/transactions`);
       logger.info(`   * Rent:            /api/rent`);
+      logger.info(`   * Rent Invoices:   /api/rent/invoices`);
       logger.info(`   * Shops:           /api/shops`);
       logger.info(`   * Tenants:         /api/rent/tenants`);
       logger.info(`   * Agreements:      /api/rent/agreements`);
@@ -96,6 +100,28 @@ const startServer = async () => {
         logger.error({ err }, "Failed to cleanup expired refresh tokens");
       }
     }, 60 * 60 * 1000);
+
+    // Monthly rent invoices, then late fees on whatever is still unpaid,
+    // then loan defaults (all idempotent, so frequent runs are safe)
+    const runRentJobs = async () => {
+      try {
+        await generateDueInvoices();
+      } catch (err) {
+        logger.error({ err }, "Failed to generate due rent invoices");
+      }
+      try {
+        await applyLatePenalties();
+      } catch (err) {
+        logger.error({ err }, "Failed to apply late-fee penalties");
+      }
+      try {
+        await markDefaultedLoans();
+      } catch (err) {
+        logger.error({ err }, "Failed to mark defaulted loans");
+      }
+    };
+    runRentJobs();
+    setInterval(runRentJobs, 6 * 60 * 60 * 1000);
   } catch (error) {
     logger.error({ err: error }, ">> Failed to start server");
     process.exit(1);
@@ -0,0 +1,161 @@
+import fs from "fs";
+import fsp from "fs/promises";
+import path from "path";
+import { randomUUID } from "crypto";
+import { pipeline } from "stream/promises";
+import {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} from "@aws-sdk/client-s3";
+import env from "./env.js";
+import pino from "pino";
+
+const logger = pino({ name: "blob-store" });
+
+const blobError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Objects are addressed by the SHA-256 of their content, fanned out so no
+// directory (or S3 prefix) holds everything
+export const blobKey = (sha256) => `sha256/${sha256.slice(0, 2)}/${sha256.slice(2, 4)}/${sha256}`;
+
+// Files under BLOB_STORE_PATH. Writes go to a temporary file that is renamed
+// into place, so a reader never sees half an object.
+const localStore = () => {
+  const root = path.resolve(env.BLOB_STORE_PATH);
+  const fileFor = (key) => path.join(root, ...key.split("/"));
+
+  return {
+    put: async (key, body) => {
+      const file = fileFor(key);
+      await fsp.mkdir(path.dirname(file), { recursive: true });
+      const temp = `${file}.${randomUUID()}.tmp`;
+      try {
+        await pipeline(body, fs.createWriteStream(temp));
+        await fsp.rename(temp, file);
+      } catch (error) {
+        await fsp.rm(temp, { force: true });
+        throw error;
+      }
+    },
+
+    get: async (key) => {
+      const file = fileFor(key);
+      try {
+        await fsp.access(file);
+      } catch {
+        throw blobError(`Blob ${key} not found`, "BLOB_NOT_FOUND");
+      }
+      return fs.createReadStream(file);
+    },
+
+    exists: async (key) => {
+      try {
+        await fsp.access(fileFor(key));
+        return true;
+      } catch {
+        return false;
+      }
+    },
+
+    remove: async (key) => {
+      await fsp.rm(fileFor(key), { force: true });
+    },
+  };
+};
+
+// An S3 bucket, or any S3-compatible service at BLOB_STORE_S3_ENDPOINT
+const s3Store = () => {
+  const bucket = env.BLOB_STORE_S3_BUCKET || env.AWS_S3_BUCKET;
+  if (!bucket) {
+    throw new Error("BLOB_STORE is s3 but no bucket is configured");
+  }
+  const client = new S3Client({
+    region: env.AWS_REGION,
+    ...(env.AWS_ACCESS_KEY_ID && env.AWS_SECRET_ACCESS_KEY && {
+      credentials: {
+        accessKeyId: env.AWS_ACCESS_KEY_ID,
+        secretAccessKey: env.AWS_SECRET_ACCESS_KEY,
+      },
+    }),
+    ...(env.BLOB_STORE_S3_ENDPOINT && {
+      endpoint: env.BLOB_STORE_S3_ENDPOINT,
+      forcePathStyle: true,
+    }),
+  });
+  const missing = (error) => error.name === "NoSuchKey" || error.name === "NotFound"
+    || error.$metadata?.httpStatusCode === 404;
+
+  return {
+    put: async (key, body, { size, contentType } = {}) => {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentLength: size,
+        ContentType: contentType,
+      }));
+    },
+
+    get: async (key) => {
+      try {
+        const { Body } = await client.send(new GetObjectCommand({ Bucket: bucket, Key: key }));
+        return Body;
+      } catch (error) {
+        if (missing(error)) throw blobError(`Blob ${key} not found`, "BLOB_NOT_FOUND");
+        throw error;
+      }
+    },
+
+    exists: async (key) => {
+      try {
+        await client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+        return true;
+      } catch (error) {
+        if (missing(error)) return false;
+        throw error;
+      }
+    },
+
+    remove: async (key) => {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+  };
+};
+
+// Drivers build a store with put(key, stream, { size, contentType }),
+// get(key) -> readable stream, exists(key) and remove(key); get rejects with
+// code BLOB_NOT_FOUND for an unknown key. More can be added with registerBlobStore.
+const drivers = {
+  local: localStore,
+  s3: s3Store,
+};
+
+const stores = new Map();
+
+export const registerBlobStore = (name, create) => {
+  drivers[name] = create;
+  stores.delete(name);
+};
+
+export const activeBlobStore = () => env.BLOB_STORE;
+
+// The configured store, created on first use
+export const blobStore = () => {
+  const name = activeBlobStore();
+  if (!stores.has(name)) {
+    const create = drivers[name];
+    if (!create) {
+      throw new Error(`Unknown blob store: ${name}`);
+    }
+    stores.set(name, create());
+    logger.info(`>> Blob store: ${name}`);
+  }
+  return stores.get(name);
+};
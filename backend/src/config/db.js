@@ -1,6 +1,7 @@
 import mysql from "mysql2/promise";
 import env from "./env.js";
 import pino from "pino";
+import { migrateUp } from "./migrator.js";
 
 const logger = pino({ name: "database" });
 
@@ -278,126 +279,6 @@ export const transaction = async (callback) => {
   }
 };
 
-// Function to ensure users table has all required columns
-const ensureUsersTableSchema = async () => {
-  try {
-    logger.info(">> Checking users table schema...");
-    
-    // Check if email_verified column exists
-    const columns = await query(`
-      SELECT COLUMN_NAME 
-      FROM INFORMATION_SCHEMA.COLUMNS 
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'users'
-    `);
-    
-    const columnNames = columns.map(col => col.COLUMN_NAME);
-    
-    // Add missing columns
-    const requiredColumns = {
-      'password_hash': 'ADD COLUMN password_hash VARCHAR(255) NOT NULL DEFAULT ""',
-      'email_verified': 'ADD COLUMN email_verified BOOLEAN DEFAULT FALSE',
-      'updated_at': 'ADD COLUMN updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP'
-    };
-    
-    for (const [columnName, alterStatement] of Object.entries(requiredColumns)) {
-      if (!columnNames.includes(columnName)) {
-        logger.info(`>> Adding missing column: ${columnName}`);
-        try {
-          await query(`ALTER TABLE users ${alterStatement}`);
-          logger.info(`>> Successfully added column: ${columnName}`);
-        } catch (error) {
-          logger.warn(`>> Failed to add column ${columnName}:`, error.message);
-        }
-      }
-    }
-    
-    logger.info(">> Users table schema validation completed");
-  } catch (error) {
-    logger.warn(">> Users table schema check failed (table may not exist yet):", error.message);
-  }
-};
-
-// Function to ensure tenant email has unique index and clean up non-unique indexes
-const ensureTenantEmailUnique = async () => {
-  try {
-    logger.info(">> Checking tenants table email index...");
-    
-    // Check if tenants table exists first
-    const tables = await query(`
-      SELECT TABLE_NAME 
-      FROM INFORMATION_SCHEMA.TABLES 
-      WHERE TABLE_SCHEMA = DATABASE() AND TABLE_NAME = 'tenants'
-    `);
-    
-    if (tables.length === 0) {
-      logger.info(">> Tenants table does not exist yet, skipping email index check");
-      return;
-    }
-
-    // Check existing indexes on email column
-    const indexes = await query(`
-      SHOW INDEX FROM tenants WHERE Column_name='email'
-    `);
-    
-    logger.info(`>> Found ${indexes.length} index(es) on tenants.email column`);
-    
-    let hasUniqueIndex = false;
-    const nonUniqueIndexes = [];
-    
-    for (const index of indexes) {
-      logger.info(`>> Index found: ${index.Key_name}, Non_unique: ${index.Non_unique}`);
-      
-      if (index.Non_unique === 0) {
-        hasUniqueIndex = true;
-        logger.info(`>> Unique index already exists: ${index.Key_name}`);
-      } else {
-        nonUniqueIndexes.push(index.Key_name);
-        logger.info(`>> Non-unique index found: ${index.Key_name}`);
-      }
-    }
-    
-    // Drop non-unique indexes on email column
-    for (const indexName of nonUniqueIndexes) {
-      try {
-        logger.info(`>> Dropping non-unique index: ${indexName}`);
-        await query(`ALTER TABLE tenants DROP INDEX ${indexName}`);
-        logger.info(`>> Successfully dropped non-unique index: ${indexName}`);
-      } catch (error) {
-        if (error.code === 'ER_CANT_DROP_FIELD_OR_KEY') {
-          logger.warn(`>> Index ${indexName} doesn't exist, skipping drop`);
-        } else {
-          logger.warn(`>> Failed to drop index ${indexName}:`, error.message);
-        }
-      }
-    }
-    
-    // Add unique index if it doesn't exist
-    if (!hasUniqueIndex) {
-      try {
-        logger.info(">> Adding unique index uq_tenants_email to email column");
-        await query(`ALTER TABLE tenants ADD UNIQUE INDEX uq_tenants_email (email)`);
-        logger.info(">> Successfully added unique index uq_tenants_email");
-      } catch (error) {
-        if (error.code === 'ER_TOO_MANY_KEYS') {
-          logger.warn(">> Too many keys error (ER_TOO_MANY_KEYS): Cannot add more indexes to tenants table");
-          logger.warn(">> Consider dropping unused indexes or increasing MySQL key_buffer_size");
-        } else if (error.code === 'ER_DUP_KEYNAME') {
-          logger.warn(">> Unique index uq_tenants_email already exists");
-        } else if (error.code === 'ER_DUP_ENTRY') {
-          logger.warn(">> Duplicate email entries exist, cannot create unique index");
-          logger.warn(">> Please clean up duplicate email addresses in tenants table first");
-        } else {
-          logger.warn(">> Failed to add unique index uq_tenants_email:", error.message);
-        }
-      }
-    }
-    
-    logger.info(">> Tenants email index validation completed");
-  } catch (error) {
-    logger.warn(">> Tenants email index check failed:", error.message);
-  }
-};
-
 // Function to initialize receipt sequences
 const initializeReceiptSequences = async () => {
   try {
@@ -439,190 +320,16 @@ const initializeReceiptSequences = async () => {
   }
 };
 
-// Database migrations
+// Bring the schema up to date (see config/migrator.js), then seed the receipt sequences
 const runMigrations = async () => {
-  logger.info("Running database migrations...");
-
-  const migrations = [
-    // Users table with authentication fields
-    `CREATE TABLE IF NOT EXISTS users (
-      id VARCHAR(36) PRIMARY KEY,
-      username VARCHAR(50) UNIQUE NOT NULL,
-      email VARCHAR(100) UNIQUE NOT NULL,
-      password_hash VARCHAR(255) NOT NULL,
-      role ENUM('Admin', 'Treasurer', 'Viewer') NOT NULL DEFAULT 'Viewer',
-      status ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
-      email_verified BOOLEAN DEFAULT FALSE,
-      last_login TIMESTAMP NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      INDEX idx_username (username),
-      INDEX idx_email (email),
-      INDEX idx_role (role),
-      INDEX idx_status (status)
-    ) ENGINE=InnoDB`,
-
-    // Tenants table (created before shops due to foreign key reference)
-    `CREATE TABLE IF NOT EXISTS tenants (
-      id VARCHAR(36) PRIMARY KEY,
-      name VARCHAR(100) NOT NULL,
-      phone VARCHAR(20) NOT NULL,
-      email VARCHAR(100) NOT NULL,
-      address TEXT NOT NULL,
-      business_type VARCHAR(100) NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      status ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
-      id_proof VARCHAR(200) NULL,
-      INDEX idx_name (name),
-      INDEX idx_phone (phone),
-      UNIQUE KEY uq_tenants_email (email),
-      INDEX idx_status (status),
-      INDEX idx_business_type (business_type)
-    ) ENGINE=InnoDB`,
-
-    // Shops table
-    `CREATE TABLE IF NOT EXISTS shops (
-      id VARCHAR(36) PRIMARY KEY,
-      shop_number VARCHAR(20) UNIQUE NOT NULL,
-      size DECIMAL(10,2) NOT NULL,
-      monthly_rent DECIMAL(10,2) NOT NULL,
-      deposit DECIMAL(10,2) NOT NULL,
-      status ENUM('Vacant', 'Occupied', 'Maintenance') NOT NULL DEFAULT 'Vacant',
-      tenant_id VARCHAR(36) NULL,
-      agreement_id VARCHAR(36) NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      description TEXT NULL,
-      INDEX idx_shop_number (shop_number),
-      INDEX idx_status (status),
-      INDEX idx_tenant (tenant_id),
-      INDEX idx_agreement (agreement_id),
-      FOREIGN KEY (tenant_id) REFERENCES tenants(id) ON DELETE SET NULL
-    ) ENGINE=InnoDB`,
-
-    // Refresh tokens table
-    `CREATE TABLE IF NOT EXISTS refresh_tokens (
-      id VARCHAR(36) PRIMARY KEY,
-      user_id VARCHAR(36) NOT NULL,
-      token_hash VARCHAR(255) NOT NULL,
-      expires_at TIMESTAMP NOT NULL,
-      is_revoked BOOLEAN DEFAULT FALSE,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      INDEX idx_user_id (user_id),
-      INDEX idx_token_hash (token_hash),
-      INDEX idx_expires_at (expires_at)
-    ) ENGINE=InnoDB`,
-
-    // Files table for S3 integration
-    `CREATE TABLE IF NOT EXISTS files (
-      id VARCHAR(36) PRIMARY KEY,
-      user_id VARCHAR(36) NOT NULL,
-      filename VARCHAR(255) NOT NULL,
-      original_name VARCHAR(255) NOT NULL,
-      mime_type VARCHAR(100) NOT NULL,
-      size_bytes BIGINT NOT NULL,
-      s3_key VARCHAR(500) NOT NULL,
-      s3_bucket VARCHAR(100) NOT NULL,
-      status ENUM('uploading', 'uploaded', 'failed') DEFAULT 'uploading',
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
-      FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
-      INDEX idx_user_id (user_id),
-      INDEX idx_status (status),
-      INDEX idx_s3_key (s3_key)
-    ) ENGINE=InnoDB`,
-
-    // Agreements table for rent agreements
-    `CREATE TABLE IF NOT EXISTS agreements (
-      id VARCHAR(36) PRIMARY KEY,
-      tenant_id VARCHAR(36) NOT NULL,
-      shop_id VARCHAR(36) NOT NULL,
-      start_date DATE NOT NULL,
-      end_date DATE,
-      monthly_rent DECIMAL(10,2) NOT NULL,
-      status ENUM('Active','Expired','Terminated') DEFAULT 'Active',
-      agreement_date DATE NOT NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      FOREIGN KEY (tenant_id) REFERENCES tenants(id),
-      FOREIGN KEY (shop_id) REFERENCES shops(id),
-      INDEX idx_tenant_id (tenant_id),
-      INDEX idx_shop_id (shop_id),
-      INDEX idx_status (status),
-      INDEX idx_start_date (start_date),
-      INDEX idx_end_date (end_date)
-    ) ENGINE=InnoDB`,
-
-    // Transactions table (foreign keys temporarily removed for donations testing)
-    `CREATE TABLE IF NOT EXISTS transactions (
-      id VARCHAR(36) PRIMARY KEY,
-      date DATE NOT NULL,
-      type ENUM('Donation', 'Expense', 'Utilities', 'Salary', 'RentIncome') NOT NULL,
-      category VARCHAR(100) NOT NULL,
-      sub_category VARCHAR(100) NULL,
-      description TEXT NOT NULL,
-      amount DECIMAL(12,2) NOT NULL,
-      receipt_number VARCHAR(50) NOT NULL,
-      donor_name VARCHAR(100) NULL,
-      donor_contact VARCHAR(20) NULL,
-      family_members INT NULL,
-      amount_per_person DECIMAL(10,2) NULL,
-      vendor VARCHAR(100) NULL,
-      receipt VARCHAR(255) NULL,
-      tenant_name VARCHAR(100) NULL,
-      tenant_contact VARCHAR(20) NULL,
-      agreement_id VARCHAR(36) NULL,
-      shop_number VARCHAR(20) NULL,
-      payee_name VARCHAR(100) NULL,
-      payee_contact VARCHAR(20) NULL,
-      loan_id VARCHAR(36) NULL,
-      emi_amount DECIMAL(10,2) NULL,
-      penalty_id VARCHAR(36) NULL,
-      penalty_amount DECIMAL(10,2) NULL,
-      idempotency_key VARCHAR(100) NULL,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      INDEX idx_date (date),
-      INDEX idx_type (type),
-      INDEX idx_category (category),
-      INDEX idx_receipt_number (receipt_number),
-      INDEX idx_agreement (agreement_id),
-      INDEX idx_loan (loan_id),
-      INDEX idx_penalty (penalty_id),
-      INDEX idx_idempotency_key (idempotency_key),
-      UNIQUE KEY uq_receipt_number_type (receipt_number, type),
-      UNIQUE KEY uq_idempotency_key (idempotency_key)
-    ) ENGINE=InnoDB`,
-
-    // Receipt sequences table for atomic receipt number allocation
-    `CREATE TABLE IF NOT EXISTS receipt_sequences (
-      transaction_type ENUM('Donation', 'Expense', 'Utilities', 'Salary', 'RentIncome') PRIMARY KEY,
-      next_number INT NOT NULL DEFAULT 1,
-      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-      updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
-    ) ENGINE=InnoDB`,
-  ];
-
-  const migrationNames = ["users", "tenants", "shops", "refresh_tokens", "files", "agreements", "transactions", "receipt_sequences"];
-
-  for (let i = 0; i < migrations.length; i++) {
-    try {
-      await query(migrations[i]);
-      logger.info(`>> Migration ${migrationNames[i]} executed successfully`);
-    } catch (error) {
-      logger.error("Migration failed:", error);
-      throw error;
-    }
+  const connection = await pool.getConnection();
+  try {
+    await migrateUp(connection);
+  } finally {
+    connection.release();
   }
 
-  // Post-migration: Ensure users table has all required columns
-  await ensureUsersTableSchema();
-
-  // Post-migration: Ensure tenants email has unique index
-  await ensureTenantEmailUnique();
-
-  // Post-migration: Initialize receipt sequences
   await initializeReceiptSequences();
-
-  logger.info(">> Database migrations completed");
 };
 
 // Graceful shutdown
@@ -634,29 +341,33 @@ export const closeDatabaseConnection = async () => {
 };
 
 // Function to atomically allocate the next receipt number
-export const allocateReceiptNumber = async (transactionType) => {
-  return await transaction(async (connection) => {
-    // Get and increment the next receipt number atomically
-    const [result] = await connection.execute(
-      'UPDATE receipt_sequences SET next_number = next_number + 1 WHERE transaction_type = ?',
-      [transactionType]
-    );
-    
-    if (result.affectedRows === 0) {
-      throw new Error(`Receipt sequence not found for transaction type: ${transactionType}`);
-    }
-    
-    // Get the allocated number
-    const [rows] = await connection.execute(
-      'SELECT next_number - 1 as allocated_number FROM receipt_sequences WHERE transaction_type = ?',
-      [transactionType]
-    );
-    
-    const receiptNumber = rows[0].allocated_number.toString().padStart(4, '0');
-    logger.info(`Allocated receipt number ${receiptNumber} for ${transactionType}`);
-    
-    return receiptNumber;
-  });
+// Pass `connection` to allocate inside the caller's transaction: a write that
+// rolls back then gives its number back instead of leaving a gap
+export const allocateReceiptNumber = async (transactionType, connection = null) => {
+  if (!connection) {
+    return transaction((conn) => allocateReceiptNumber(transactionType, conn));
+  }
+
+  // Get and increment the next receipt number atomically
+  const [result] = await connection.execute(
+    'UPDATE receipt_sequences SET next_number = next_number + 1 WHERE transaction_type = ?',
+    [transactionType]
+  );
+  
+  if (result.affectedRows === 0) {
+    throw new Error(`Receipt sequence not found for transaction type: ${transactionType}`);
+  }
+  
+  // Get the allocated number
+  const [rows] = await connection.execute(
+    'SELECT next_number - 1 as allocated_number FROM receipt_sequences WHERE transaction_type = ?',
+    [transactionType]
+  );
+  
+  const receiptNumber = rows[0].allocated_number.toString().padStart(4, '0');
+  logger.info(`Allocated receipt number ${receiptNumber} for ${transactionType}`);
+  
+  return receiptNumber;
 };
 
 // Function to get the next receipt number without allocating it (for preview)
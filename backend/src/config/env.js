@@ -4,6 +4,19 @@ import { z } from "zod";
 // Load environment variables
 dotenv.config();
 
+// Edits and deletions that can be held for approval, named after the kind of
+// entry: rent.payment is a RentIncome transaction, transaction any other type
+const APPROVAL_ACTIONS = [
+  "donation.update",
+  "donation.delete",
+  "expense.update",
+  "expense.delete",
+  "rent.payment.update",
+  "rent.payment.delete",
+  "transaction.update",
+  "transaction.delete",
+];
+
 // Environment schema validation
 const envSchema = z.object({
   // Server
@@ -48,6 +61,91 @@ const envSchema = z.object({
   // SES
   SES_FROM_EMAIL: z.string().email().optional(),
 
+  // Outgoing mail: ses sends through SES, file writes each message to MAIL_FILE_DIR
+  // and log only logs it. Defaults to ses in production and file elsewhere.
+  MAIL_TRANSPORT: z.enum(["ses", "file", "log"]).optional(),
+  MAIL_FILE_DIR: z.string().default("mail-outbox"),
+
+  // Attachment storage: local keeps files under BLOB_STORE_PATH, s3 puts them in
+  // BLOB_STORE_S3_BUCKET (falling back to AWS_S3_BUCKET) with the AWS credentials.
+  // BLOB_STORE_S3_ENDPOINT points the s3 driver at an S3-compatible service.
+  BLOB_STORE: z.enum(["local", "s3"]).default("local"),
+  BLOB_STORE_PATH: z.string().default("storage/blobs"),
+  BLOB_STORE_S3_BUCKET: z.string().optional(),
+  BLOB_STORE_S3_ENDPOINT: z.string().url().optional(),
+  ATTACHMENT_MAX_BYTES: z.string().transform(Number).pipe(z.number().int().min(1)).default("10485760"),
+  // Expenses above this amount need at least one attachment (0 turns that off)
+  EXPENSE_ATTACHMENT_REQUIRED_ABOVE: z.string().transform(Number).pipe(z.number().min(0)).default("0"),
+
+  // Links in account emails point at the frontend
+  APP_URL: z.string().url().default("http://localhost:5173"),
+  PASSWORD_RESET_TTL_MINUTES: z.string().transform(Number).pipe(z.number().int().min(5)).default("60"),
+  EMAIL_VERIFICATION_TTL_HOURS: z.string().transform(Number).pipe(z.number().int().min(1)).default("48"),
+
+  // Late-fee penalty engine
+  // PENALTY_MODE: flat (PENALTY_RATE is a fixed amount), percentage (of the
+  // unpaid rent) or per_day (PENALTY_RATE charged for each day late after the grace days)
+  PENALTY_MODE: z.enum(["flat", "percentage", "per_day"]).default("percentage"),
+  PENALTY_RATE: z.string().transform(Number).pipe(z.number().min(0)).default("2"),
+  PENALTY_GRACE_DAYS: z.string().transform(Number).pipe(z.number().int().min(0)).default("5"),
+
+  // Loans: an Active loan is marked Defaulted once this many installments are overdue
+  LOAN_DEFAULT_MISSED_INSTALLMENTS: z.string().transform(Number).pipe(z.number().int().min(1)).default("3"),
+
+  // Bank reconciliation: how many days a statement line may be from a transaction's date and still auto-match
+  BANK_MATCH_WINDOW_DAYS: z.string().transform(Number).pipe(z.number().int().min(0)).default("5"),
+
+  // Donation receipts: letterhead and signature block printed on every receipt
+  RECEIPT_TEMPLE_NAME: z.string().default("Shree Kshetra Khandeshar Devasthan Kusalamb"),
+  RECEIPT_TEMPLE_NAME_MR: z.string().default("श्री क्षेत्र खंडेश्वर देवस्थान कुसळंब"),
+  RECEIPT_TEMPLE_ADDRESS: z.string().default(""),
+  RECEIPT_REGISTRATION_NO: z.string().default(""),
+  RECEIPT_SIGNATORY: z.string().default("Treasurer"),
+  RECEIPT_SIGNATORY_MR: z.string().default("खजिनदार"),
+
+  // 80G certificates and Form 10BD: the trust's PAN and its 80G unique registration
+  // number (URN) with the date it was issued. Donations in the excluded categories
+  // (comma separated) are never eligible; nor is cash above ₹2,000 (section 80G(5D)).
+  RECEIPT_TRUST_PAN: z.string().default(""),
+  RECEIPT_80G_URN: z.string().default(""),
+  RECEIPT_80G_URN_DATE: z.string().default(""),
+  EXEMPTION_80G_EXCLUDED_CATEGORIES: z
+    .string()
+    .default("Shaskiy Nidhi")
+    .transform((value) => value.split(",").map((category) => category.trim()).filter(Boolean))
+    .pipe(z.array(z.string())),
+
+  // Account lockout: after LOGIN_MAX_FAILED_ATTEMPTS wrong passwords in a row the
+  // account is locked for LOGIN_LOCKOUT_MINUTES, doubling with each further lockout
+  // up to LOGIN_LOCKOUT_MAX_MINUTES
+  LOGIN_MAX_FAILED_ATTEMPTS: z.string().transform(Number).pipe(z.number().int().min(1)).default("5"),
+  LOGIN_LOCKOUT_MINUTES: z.string().transform(Number).pipe(z.number().int().min(1)).default("15"),
+  LOGIN_LOCKOUT_MAX_MINUTES: z.string().transform(Number).pipe(z.number().int().min(1)).default("1440"),
+
+  // Two-factor authentication (TOTP). Users in TWO_FACTOR_REQUIRED_ROLES (comma
+  // separated, e.g. "Admin,Treasurer") must enroll before they can sign in.
+  // Secrets are encrypted with TWO_FACTOR_ENCRYPTION_KEY, falling back to JWT_SECRET.
+  TWO_FACTOR_REQUIRED_ROLES: z
+    .string()
+    .default("")
+    .transform((value) => value.split(",").map((role) => role.trim()).filter(Boolean))
+    .pipe(z.array(z.string())),
+  TWO_FACTOR_ISSUER: z.string().default("Khandeshwar Management System"),
+  TWO_FACTOR_ENCRYPTION_KEY: z
+    .string()
+    .min(32, "TWO_FACTOR_ENCRYPTION_KEY must be at least 32 characters long")
+    .optional(),
+
+  // Maker-checker approvals. Changes listed in APPROVAL_REQUIRED_FOR (comma
+  // separated, none by default) wait for a second user with approval.review;
+  // new expenses above APPROVAL_EXPENSE_THRESHOLD do too (0 turns that off)
+  APPROVAL_REQUIRED_FOR: z
+    .string()
+    .default("")
+    .transform((value) => value.split(",").map((action) => action.trim()).filter(Boolean))
+    .pipe(z.array(z.enum(APPROVAL_ACTIONS))),
+  APPROVAL_EXPENSE_THRESHOLD: z.string().transform(Number).pipe(z.number().min(0)).default("0"),
+
   // CORS
   CORS_ORIGINS: z.string().default("http://localhost:5173"),
 
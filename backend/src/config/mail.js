@@ -0,0 +1,49 @@
+import fs from "fs/promises";
+import path from "path";
+import { sendEmail as sendSesEmail } from "./aws.js";
+import env from "./env.js";
+import pino from "pino";
+
+const logger = pino({ name: "mail" });
+
+// Writes each message as a JSON file so links can be opened without a mail server
+const fileTransport = async (message) => {
+  const dir = path.resolve(env.MAIL_FILE_DIR);
+  await fs.mkdir(dir, { recursive: true });
+
+  const sentAt = new Date().toISOString();
+  const slug = message.subject.toLowerCase().replace(/[^a-z0-9]+/g, "-").slice(0, 40);
+  const file = path.join(dir, `${sentAt.replace(/[:.]/g, "-")}-${slug}.json`);
+  await fs.writeFile(file, JSON.stringify({ ...message, sentAt }, null, 2));
+
+  logger.info("Email written to file:", { to: message.to, subject: message.subject, file });
+  return { file };
+};
+
+const logTransport = async (message) => {
+  logger.info("Email (log transport):", message);
+};
+
+// Transports take { to, subject, html, text }; more (e.g. SMTP) can be added with registerMailTransport
+const transports = {
+  ses: sendSesEmail,
+  file: fileTransport,
+  log: logTransport,
+};
+
+export const registerMailTransport = (name, send) => {
+  transports[name] = send;
+};
+
+export const activeMailTransport = () =>
+  env.MAIL_TRANSPORT || (env.NODE_ENV === "production" ? "ses" : "file");
+
+// Send an email through the configured transport
+export const sendMail = async (message) => {
+  const name = activeMailTransport();
+  const send = transports[name];
+  if (!send) {
+    throw new Error(`Unknown mail transport: ${name}`);
+  }
+  return send(message);
+};
@@ -0,0 +1,216 @@
+import { createHash } from "crypto";
+import { readdir, readFile } from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import pino from "pino";
+
+/**
+ * Versioned schema migrations.
+ *
+ * Each file in backend/migrations is named NNNN_description.js and exports
+ * up(db) and down(db); db.query(sql, params) runs a statement on the
+ * migration's own connection and db.log is a logger. Applied migrations are
+ * recorded in schema_migrations with a SHA-256 checksum of the file, and a
+ * migration that has been edited or removed since it was applied stops every
+ * further run: change the schema with a new migration instead, and update
+ * the model's getTableSchema() to match (test-schema-migrations.js checks).
+ *
+ * MySQL commits DDL implicitly, so a migration is not wrapped in a
+ * transaction; one that fails part way is not recorded and should be
+ * written so that running it again finishes the job.
+ */
+
+const logger = pino({ name: "migrations" });
+
+export const MIGRATIONS_DIR = path.resolve(
+  path.dirname(fileURLToPath(import.meta.url)),
+  "../../migrations"
+);
+
+const FILE_PATTERN = /^(\d{4})_([a-z0-9_]+)\.js$/;
+
+// Held while migrating so two servers starting together do not both migrate
+const LOCK_NAME = "schema_migrations";
+const LOCK_TIMEOUT_SECONDS = 60;
+
+const migrationError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Line endings are normalised so a checkout on Windows has the same checksum
+export const checksumOf = (source) =>
+  createHash("sha256").update(source.replace(/\r\n/g, "\n")).digest("hex");
+
+/**
+ * The migration files in version order, with their checksums. The modules
+ * themselves are imported when they are run.
+ */
+export async function loadMigrations(dir = MIGRATIONS_DIR) {
+  const migrations = [];
+  for (const file of (await readdir(dir)).sort()) {
+    const match = FILE_PATTERN.exec(file);
+    if (!match) continue;
+    const version = Number(match[1]);
+    if (migrations.some((migration) => migration.version === version)) {
+      throw migrationError(`Two migrations share version ${match[1]}`, "MIGRATION_DUPLICATE_VERSION");
+    }
+    migrations.push({
+      version,
+      name: match[2],
+      file: path.join(dir, file),
+      checksum: checksumOf(await readFile(path.join(dir, file), "utf8")),
+    });
+  }
+  return migrations;
+}
+
+const handle = (connection) => ({
+  query: async (sql, params = []) => {
+    const [rows] = await connection.query(sql, params);
+    return rows;
+  },
+  log: logger,
+});
+
+const ensureMigrationsTable = (connection) =>
+  connection.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INT PRIMARY KEY,
+      name VARCHAR(100) NOT NULL,
+      checksum CHAR(64) NOT NULL,
+      execution_ms INT NOT NULL,
+      applied_at TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP(3)
+    ) ENGINE=InnoDB
+  `);
+
+const appliedMigrations = async (connection) => {
+  const [rows] = await connection.query("SELECT * FROM schema_migrations ORDER BY version");
+  return rows;
+};
+
+// Every applied migration must still exist unchanged
+const verify = (migrations, applied) => {
+  for (const row of applied) {
+    const migration = migrations.find((candidate) => candidate.version === row.version);
+    if (!migration) {
+      throw migrationError(
+        `Migration ${row.version} (${row.name}) was applied but its file is missing`,
+        "MIGRATION_MISSING"
+      );
+    }
+    if (migration.checksum !== row.checksum) {
+      throw migrationError(
+        `Migration ${path.basename(migration.file)} has changed since it was applied; ` +
+          "add a new migration instead of editing one that has run",
+        "MIGRATION_CHECKSUM_MISMATCH"
+      );
+    }
+  }
+};
+
+const withLock = async (connection, work) => {
+  const [[{ acquired }]] = await connection.query("SELECT GET_LOCK(?, ?) AS acquired", [
+    LOCK_NAME,
+    LOCK_TIMEOUT_SECONDS,
+  ]);
+  if (acquired !== 1) {
+    throw migrationError("Another process is running migrations", "MIGRATION_LOCKED");
+  }
+  try {
+    return await work();
+  } finally {
+    await connection.query("SELECT RELEASE_LOCK(?)", [LOCK_NAME]);
+  }
+};
+
+const load = async (migration) => {
+  const module = await import(pathToFileURL(migration.file).href);
+  if (typeof module.up !== "function" || typeof module.down !== "function") {
+    throw migrationError(
+      `Migration ${path.basename(migration.file)} must export up() and down()`,
+      "MIGRATION_INVALID"
+    );
+  }
+  return module;
+};
+
+/**
+ * Apply every pending migration in order. Returns the versions applied.
+ */
+export async function migrateUp(connection, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  await ensureMigrationsTable(connection);
+
+  return withLock(connection, async () => {
+    const applied = await appliedMigrations(connection);
+    verify(migrations, applied);
+
+    const done = [];
+    for (const migration of migrations) {
+      if (applied.some((row) => row.version === migration.version)) continue;
+      logger.info(`>> Applying migration ${migration.version} ${migration.name}`);
+      const started = Date.now();
+      await (await load(migration)).up(handle(connection));
+      await connection.query(
+        "INSERT INTO schema_migrations (version, name, checksum, execution_ms) VALUES (?, ?, ?, ?)",
+        [migration.version, migration.name, migration.checksum, Date.now() - started]
+      );
+      done.push(migration.version);
+    }
+    logger.info(done.length ? `>> Applied ${done.length} migration(s)` : ">> Database schema is up to date");
+    return done;
+  });
+}
+
+/**
+ * Revert the most recently applied migrations, newest first. Returns the
+ * versions reverted.
+ */
+export async function migrateDown(connection, { steps = 1, dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  await ensureMigrationsTable(connection);
+
+  return withLock(connection, async () => {
+    const applied = await appliedMigrations(connection);
+    verify(migrations, applied);
+
+    const done = [];
+    for (const row of applied.reverse().slice(0, steps)) {
+      const migration = migrations.find((candidate) => candidate.version === row.version);
+      logger.info(`>> Reverting migration ${migration.version} ${migration.name}`);
+      await (await load(migration)).down(handle(connection));
+      await connection.query("DELETE FROM schema_migrations WHERE version = ?", [row.version]);
+      done.push(migration.version);
+    }
+    return done;
+  });
+}
+
+/**
+ * Every known migration, applied or not. state is 'applied', 'pending',
+ * 'changed' (applied, but the file no longer matches its checksum) or
+ * 'missing' (applied, but the file is gone).
+ */
+export async function migrationStatus(connection, { dir = MIGRATIONS_DIR } = {}) {
+  const migrations = await loadMigrations(dir);
+  await ensureMigrationsTable(connection);
+  const applied = await appliedMigrations(connection);
+
+  const status = migrations.map((migration) => {
+    const row = applied.find((candidate) => candidate.version === migration.version);
+    return {
+      version: migration.version,
+      name: migration.name,
+      state: !row ? "pending" : row.checksum === migration.checksum ? "applied" : "changed",
+      appliedAt: row?.applied_at ?? null,
+    };
+  });
+  for (const row of applied) {
+    if (!migrations.some((migration) => migration.version === row.version)) {
+      status.push({ version: row.version, name: row.name, state: "missing", appliedAt: row.applied_at });
+    }
+  }
+  return status.sort((a, b) => a.version - b.version);
+}
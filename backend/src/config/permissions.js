@@ -0,0 +1,126 @@
+/**
+ * Named permissions.
+ *
+ * Routes ask for a permission, never for a role. Which roles hold which
+ * permissions is stored in role_permissions and edited by an Admin; the
+ * defaults below are only used when a built-in role is first created, and
+ * they match what each role could do before permissions existed.
+ *
+ * The Admin role always holds every permission, so it cannot be locked out.
+ */
+
+export const ADMIN_ROLE = 'Admin';
+
+// key -> short description, grouped by area for the role editor
+export const PERMISSION_GROUPS = {
+  donations: {
+    'donation.view': 'View donations',
+    'donation.create': 'Record donations',
+    'donation.update': 'Edit donations',
+    'donation.delete': 'Delete donations',
+    'donation.receipt.print': 'Print donation receipts',
+    'donor.view': 'View donors and their giving history',
+    'donor.manage': 'Edit, merge and de-duplicate donors',
+  },
+  expenses: {
+    'expense.view': 'View expenses',
+    'expense.create': 'Record expenses',
+    'expense.update': 'Edit expenses',
+    'expense.delete': 'Delete expenses',
+  },
+  rent: {
+    'rent.view': 'View tenants, leases, invoices and rent payments',
+    'rent.tenant.manage': 'Add, edit and remove tenants',
+    'rent.payment.create': 'Collect rent',
+    'rent.payment.delete': 'Delete rent payments',
+    'rent.invoice.generate': 'Generate rent invoices',
+    'agreement.view': 'View rent agreements',
+    'agreement.manage': 'Create, edit and delete rent agreements',
+    'shop.view': 'View shops',
+    'shop.manage': 'Create and edit shops',
+    'shop.delete': 'Delete shops',
+    'penalty.view': 'View rent penalties',
+    'penalty.manage': 'Create and edit rent penalties',
+    'penalty.delete': 'Delete rent penalties',
+    'penalty.run': 'Run the late fee job',
+  },
+  loans: {
+    'loan.view': 'View loans',
+    'loan.manage': 'Create and edit loans and record repayments',
+    'loan.delete': 'Delete loans',
+  },
+  accounts: {
+    'transaction.view': 'View all transactions',
+    'transaction.manage': 'Create, edit and delete any transaction',
+    'cheque.view': 'View pending cheques',
+    'cheque.manage': 'Clear and bounce cheques',
+    'bank.view': 'View bank statements and reconciliations',
+    'bank.reconcile': 'Import statements and reconcile',
+    'bank.statement.delete': 'Delete bank statements',
+    'bank.month.reopen': 'Reopen a reconciled month',
+    'ledger.view': 'View the general ledger',
+    'ledger.rebuild': 'Rebuild the general ledger',
+    'financialYear.view': 'View financial years',
+    'financialYear.close': 'Close and reopen financial years',
+  },
+  approvals: {
+    'approval.review': 'Approve or reject changes requested by others',
+  },
+  reports: {
+    'report.view': 'View reports',
+    'report.export': 'Export reports',
+    'budget.manage': 'Set expense budgets for a financial year',
+  },
+  administration: {
+    'user.view': 'View users',
+    'user.manage': 'Create, edit, unlock and remove users',
+    'role.manage': 'Create roles and change their permissions',
+    'category.manage': 'Add, relabel, reorder and retire donation and expense categories',
+    'audit.view': 'View the audit trail',
+    'trash.restore': 'View deleted records and restore them',
+    'trash.purge': 'Permanently delete records from the trash',
+    'file.manage': 'Manage every uploaded file',
+  },
+};
+
+export const PERMISSIONS = Object.values(PERMISSION_GROUPS).flatMap((group) => Object.keys(group));
+
+const VIEW_PERMISSIONS = [
+  'donation.view',
+  'donor.view',
+  'expense.view',
+  'agreement.view',
+  'shop.view',
+  'penalty.view',
+  'loan.view',
+  'cheque.view',
+  'bank.view',
+  'ledger.view',
+  'financialYear.view',
+  'report.view',
+];
+
+// Permissions given to the other built-in roles when they are created
+export const DEFAULT_ROLE_PERMISSIONS = {
+  Treasurer: [
+    ...VIEW_PERMISSIONS,
+    'donation.create',
+    'donation.update',
+    'donation.receipt.print',
+    'donor.manage',
+    'expense.create',
+    'expense.update',
+    'shop.manage',
+    'penalty.manage',
+    'loan.manage',
+    'cheque.manage',
+    'bank.reconcile',
+    'approval.review',
+    'report.export',
+    'budget.manage',
+    'user.view',
+  ],
+  Viewer: [...VIEW_PERMISSIONS],
+};
+
+export const SYSTEM_ROLES = [ADMIN_ROLE, ...Object.keys(DEFAULT_ROLE_PERMISSIONS)];
@@ -36,15 +36,11 @@ export const testConnection = async () => {
   }
 };
 
-// Initialize database with sync
+// Connect; the tables are created by the versioned migrations (see
+// config/migrator.js), never by syncing these models
 export const initializeSequelize = async () => {
   try {
     await testConnection();
-    
-    // Sync all models (create tables if they don't exist)
-    await sequelize.sync({ alter: env.NODE_ENV === 'development' });
-    
-    logger.info('✅ Database synchronized successfully');
     return sequelize;
   } catch (error) {
     logger.error('❌ Failed to initialize Sequelize:', error);
@@ -1,15 +1,21 @@
 import jwt from 'jsonwebtoken';
 import { User } from '../models/User.js';
 import { RefreshToken } from '../models/RefreshToken.js';
-import { sendEmail } from '../config/aws.js';
+import { UserToken } from '../models/UserToken.js';
+import * as accountEmailService from '../services/accountEmailService.js';
+import * as loginSecurityService from '../services/loginSecurityService.js';
+import * as twoFactorService from '../services/twoFactorService.js';
+import * as sessionService from '../services/sessionService.js';
+import * as permissionService from '../services/permissionService.js';
 import env from '../config/env.js';
 import { asyncHandler } from '../middleware/error.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'AuthController' });
 
-// Generate access token
-const generateAccessToken = (user) => {
+// Generate access token. sessionId (the refresh token family) lets the auth
+// middleware reject the token as soon as its session is revoked.
+const generateAccessToken = (user, sessionId) => {
   try {
     const { id: userId, username, email, role } = user;
     
@@ -25,6 +31,7 @@ const generateAccessToken = (user) => {
         username,
         email,
         role,
+        ...(sessionId && { sid: sessionId }),
       },
       env.JWT_SECRET,
       { expiresIn: env.JWT_EXPIRES_IN }
@@ -39,6 +46,13 @@ const generateAccessToken = (user) => {
   }
 };
 
+// The signed-in user as the frontend sees it: profile plus the role's
+// permissions, which drive what the UI shows
+const userPayload = async (user) => ({
+  ...user.toSafeObject(),
+  permissions: await permissionService.permissionsForRole(user.role),
+});
+
 // Register new user
 export const register = asyncHandler(async (req, res) => {
   const { username, email, password, role } = req.validatedData;
@@ -50,6 +64,8 @@ export const register = asyncHandler(async (req, res) => {
   });
 
   // Check if user already exists
+  await permissionService.assertRoleExists(role || 'Viewer');
+
   console.log('[AuthController] Checking for existing user by email...');
   const existingUserByEmail = await User.findByEmail(email);
   if (existingUserByEmail) {
@@ -82,24 +98,17 @@ export const register = asyncHandler(async (req, res) => {
   console.log('[AuthController] User created successfully:', { id: user.id, username: user.username });
 
   // Generate tokens
-  const accessToken = generateAccessToken(user);
-  const { token: refreshToken } = await RefreshToken.create(user.id);
+  const { token: refreshToken, familyId } = await RefreshToken.create(
+    user.id,
+    loginSecurityService.clientInfo(req)
+  );
+  const accessToken = generateAccessToken(user, familyId);
 
-  // Send welcome email (if SES is configured)
+  // Send the email verification link
   try {
-    await sendEmail({
-      to: user.email,
-      subject: 'Welcome to Khandeshwar Management System',
-      html: `
-        <h2>Welcome ${user.username}!</h2>
-        <p>Your account has been successfully created.</p>
-        <p>Role: ${user.role}</p>
-        <p>You can now log in to the system.</p>
-      `,
-      text: `Welcome ${user.username}! Your account has been successfully created with role: ${user.role}. You can now log in to the system.`,
-    });
+    await accountEmailService.sendVerificationEmail(user);
   } catch (emailError) {
-    logger.warn('Failed to send welcome email:', emailError);
+    logger.warn('Failed to send verification email:', emailError);
     // Don't fail registration if email fails
   }
 
@@ -113,7 +122,7 @@ export const register = asyncHandler(async (req, res) => {
   res.status(201).json({
     success: true,
     data: {
-      user: user.toSafeObject(),
+      user: await userPayload(user),
       tokens: {
         accessToken,
         refreshToken,
@@ -124,6 +133,102 @@ export const register = asyncHandler(async (req, res) => {
   });
 });
 
+const lockedResponse = (res, lockedUntil) =>
+  res.status(423).json({
+    success: false,
+    error: 'Account is locked after too many failed sign-in attempts. Try again later or ask an administrator to unlock it.',
+    lockedUntil,
+  });
+
+// Finish a sign-in once every check has passed: clear the failure counters,
+// record the attempt and issue tokens. extra is merged into the response data.
+const completeLogin = async (req, res, user, extra = {}) => {
+  // Clear failed-attempt counters and record the sign-in
+  try {
+    await loginSecurityService.recordSuccessfulLogin(user.id);
+  } catch (lockoutError) {
+    logger.error('Error clearing failed login count:', {
+      error: lockoutError.message,
+      userId: user.id
+    });
+  }
+
+  const attempt = await loginSecurityService.logAttempt(req, { userId: user.id, email: user.email, success: true });
+  const newDevice = !!attempt?.newDevice;
+  if (newDevice) {
+    logger.info('Login from a new device:', { userId: user.id, ip: req.ip });
+    accountEmailService.sendNewDeviceAlert(user, attempt).catch((mailError) => {
+      logger.error('Failed to send new device alert:', { error: mailError.message, userId: user.id });
+    });
+  }
+
+  // Update last login with error handling
+  try {
+    await user.updateLastLogin();
+  } catch (updateError) {
+    logger.error('Error updating last login:', {
+      error: updateError.message,
+      userId: user.id,
+      username: user.username
+    });
+    // Continue with login even if last login update fails
+  }
+
+  // Generate tokens with error handling
+  let accessToken, refreshToken, sessionId;
+  try {
+    const refreshTokenRecord = await RefreshToken.create(user.id, loginSecurityService.clientInfo(req));
+    refreshToken = refreshTokenRecord.token;
+    sessionId = refreshTokenRecord.familyId;
+  } catch (refreshError) {
+    logger.error('Error creating refresh token:', {
+      error: refreshError.message,
+      userId: user.id,
+      username: user.username
+    });
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred during login. Please try again.',
+    });
+  }
+
+  try {
+    accessToken = generateAccessToken(user, sessionId);
+  } catch (tokenError) {
+    logger.error('Error generating access token:', {
+      error: tokenError.message,
+      userId: user.id,
+      username: user.username
+    });
+    return res.status(500).json({
+      success: false,
+      error: 'An error occurred during login. Please try again.',
+    });
+  }
+
+  logger.info('User logged in successfully:', {
+    userId: user.id,
+    username: user.username,
+    email: user.email.substring(0, 3) + '***',
+    ip: req.ip
+  });
+
+  res.json({
+    success: true,
+    data: {
+      user: await userPayload(user),
+      tokens: {
+        accessToken,
+        refreshToken,
+        accessTokenExpiresIn: env.JWT_EXPIRES_IN,
+        refreshTokenExpiresIn: env.JWT_REFRESH_EXPIRES_IN,
+      },
+      newDevice,
+      ...extra,
+    },
+  });
+};
+
 // Login user
 export const login = asyncHandler(async (req, res) => {
   try {
@@ -203,6 +308,7 @@ export const login = asyncHandler(async (req, res) => {
         email: email.substring(0, 3) + '***',
         ip: req.ip
       });
+      await loginSecurityService.logAttempt(req, { email, success: false, failureReason: 'UnknownAccount' });
       return res.status(401).json({
         success: false,
         error: 'Invalid email or password',
@@ -217,12 +323,34 @@ export const login = asyncHandler(async (req, res) => {
         status: user.status,
         ip: req.ip
       });
+      await loginSecurityService.logAttempt(req, {
+        userId: user.id,
+        email,
+        success: false,
+        failureReason: 'AccountInactive',
+      });
       return res.status(401).json({
         success: false,
         error: 'Account is inactive',
       });
     }
 
+    // A locked account is refused before the password is checked
+    if (user.isLocked()) {
+      logger.warn('Login attempt on locked account:', {
+        userId: user.id,
+        lockedUntil: user.lockedUntil,
+        ip: req.ip
+      });
+      await loginSecurityService.logAttempt(req, {
+        userId: user.id,
+        email,
+        success: false,
+        failureReason: 'AccountLocked',
+      });
+      return lockedResponse(res, user.lockedUntil);
+    }
+
     // Verify password with error handling
     let isPasswordValid;
     try {
@@ -247,74 +375,51 @@ export const login = asyncHandler(async (req, res) => {
         email: email.substring(0, 3) + '***',
         ip: req.ip
       });
-      return res.status(401).json({
-        success: false,
-        error: 'Invalid email or password',
-      });
-    }
-
-    // Update last login with error handling
-    try {
-      await user.updateLastLogin();
-    } catch (updateError) {
-      logger.error('Error updating last login:', {
-        error: updateError.message,
+      await loginSecurityService.logAttempt(req, {
         userId: user.id,
-        username: user.username
+        email,
+        success: false,
+        failureReason: 'InvalidPassword',
       });
-      // Continue with login even if last login update fails
-    }
 
-    // Generate tokens with error handling
-    let accessToken, refreshToken;
-    try {
-      accessToken = generateAccessToken(user);
-    } catch (tokenError) {
-      logger.error('Error generating access token:', {
-        error: tokenError.message,
-        userId: user.id,
-        username: user.username
-      });
-      return res.status(500).json({
+      let failure = { locked: false };
+      try {
+        failure = await loginSecurityService.recordFailedAttempt(user.id);
+      } catch (lockoutError) {
+        logger.error('Error recording failed login:', {
+          error: lockoutError.message,
+          userId: user.id
+        });
+      }
+
+      if (failure.locked) {
+        return lockedResponse(res, failure.lockedUntil);
+      }
+      return res.status(401).json({
         success: false,
-        error: 'An error occurred during login. Please try again.',
+        error: 'Invalid email or password',
       });
     }
 
-    try {
-      const refreshTokenRecord = await RefreshToken.create(user.id);
-      refreshToken = refreshTokenRecord.token;
-    } catch (refreshError) {
-      logger.error('Error creating refresh token:', {
-        error: refreshError.message,
+    // With two-factor authentication the password only earns a challenge;
+    // the tokens come from verifyLoginTwoFactor
+    if (user.totpEnabled || user.isTwoFactorRequired()) {
+      const twoFactor = user.totpEnabled ? 'verify' : 'enroll';
+      logger.info('Password accepted, two-factor step required:', {
         userId: user.id,
-        username: user.username
+        twoFactor,
+        ip: req.ip
       });
-      return res.status(500).json({
-        success: false,
-        error: 'An error occurred during login. Please try again.',
+      return res.json({
+        success: true,
+        data: {
+          twoFactor,
+          challengeToken: twoFactorService.issueChallenge(user, twoFactor),
+        },
       });
     }
 
-    logger.info('User logged in successfully:', {
-      userId: user.id,
-      username: user.username,
-      email: email.substring(0, 3) + '***',
-      ip: req.ip
-    });
-
-    res.json({
-      success: true,
-      data: {
-        user: user.toSafeObject(),
-        tokens: {
-          accessToken,
-          refreshToken,
-          accessTokenExpiresIn: env.JWT_EXPIRES_IN,
-          refreshTokenExpiresIn: env.JWT_REFRESH_EXPIRES_IN,
-        },
-      },
-    });
+    return await completeLogin(req, res, user);
 
   } catch (error) {
     // Catch any unexpected errors not handled above
@@ -336,9 +441,15 @@ export const login = asyncHandler(async (req, res) => {
 export const refreshToken = asyncHandler(async (req, res) => {
   const { refreshToken: token } = req.validatedData;
 
-  // Find and validate refresh token
-  const refreshTokenRecord = await RefreshToken.findByToken(token);
-  if (!refreshTokenRecord || !refreshTokenRecord.isValid()) {
+  // Rotate the refresh token; replaying an old one revokes the whole session
+  const rotation = await RefreshToken.rotate(token, loginSecurityService.clientInfo(req));
+  if (rotation.status === 'reused') {
+    return res.status(401).json({
+      success: false,
+      error: 'This refresh token was already used. The session has been signed out for your safety; please sign in again.',
+    });
+  }
+  if (rotation.status !== 'rotated') {
     return res.status(401).json({
       success: false,
       error: 'Invalid or expired refresh token',
@@ -346,20 +457,17 @@ export const refreshToken = asyncHandler(async (req, res) => {
   }
 
   // Get user
-  const user = await User.findById(refreshTokenRecord.userId);
+  const user = await User.findById(rotation.userId);
   if (!user || user.status !== 'Active') {
+    await RefreshToken.revokeFamily(rotation.userId, rotation.familyId);
     return res.status(401).json({
       success: false,
       error: 'User not found or inactive',
     });
   }
 
-  // Revoke old refresh token
-  await refreshTokenRecord.revoke();
-
-  // Generate new tokens
-  const accessToken = generateAccessToken(user);
-  const { token: newRefreshToken } = await RefreshToken.create(user.id);
+  const accessToken = generateAccessToken(user, rotation.familyId);
+  const newRefreshToken = rotation.token;
 
   logger.info('Tokens refreshed successfully:', {
     userId: user.id,
@@ -369,7 +477,7 @@ export const refreshToken = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      user: user.toSafeObject(),
+      user: await userPayload(user),
       tokens: {
         accessToken,
         refreshToken: newRefreshToken,
@@ -387,8 +495,10 @@ export const logout = asyncHandler(async (req, res) => {
   if (token) {
     const refreshTokenRecord = await RefreshToken.findByToken(token);
     if (refreshTokenRecord) {
-      await refreshTokenRecord.revoke();
+      await RefreshToken.revokeFamily(refreshTokenRecord.userId, refreshTokenRecord.familyId);
     }
+  } else if (req.user && req.sessionId) {
+    await RefreshToken.revokeFamily(req.user.id, req.sessionId);
   }
 
   logger.info('User logged out:', {
@@ -475,7 +585,7 @@ export const getProfile = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      user: user.toSafeObject(),
+      user: await userPayload(user),
     },
   });
 });
@@ -514,13 +624,23 @@ export const updateProfile = asyncHandler(async (req, res) => {
     }
   }
 
-  // Update user
+  // Update user; a new email address has to be verified again
   const updateData = {};
   if (username) updateData.username = username;
   if (email) updateData.email = email;
+  const emailChanged = email && email !== user.email;
+  if (emailChanged) updateData.email_verified = false;
 
   await user.update(updateData);
 
+  if (emailChanged) {
+    try {
+      await accountEmailService.sendVerificationEmail(user);
+    } catch (emailError) {
+      logger.warn('Failed to send verification email:', emailError);
+    }
+  }
+
   logger.info('Profile updated successfully:', {
     userId: user.id,
     updates: updateData,
@@ -529,7 +649,304 @@ export const updateProfile = asyncHandler(async (req, res) => {
   res.json({
     success: true,
     data: {
-      user: user.toSafeObject(),
+      user: await userPayload(user),
+    },
+  });
+});
+
+const PASSWORD_RESET_SENT =
+  'If an account exists for that email, a password reset link has been sent.';
+
+// Request a password reset link. Always answers the same way so it cannot be
+// used to find out which emails have accounts.
+export const forgotPassword = asyncHandler(async (req, res) => {
+  const { email } = req.validatedData;
+  const user = await User.findByEmail(email);
+
+  if (user && user.status === 'Active') {
+    try {
+      await accountEmailService.sendPasswordResetEmail(user);
+    } catch (emailError) {
+      logger.error('Failed to send password reset email:', {
+        error: emailError.message,
+        userId: user.id,
+      });
+    }
+  } else {
+    logger.warn('Password reset requested for unknown or inactive account:', {
+      email: email.substring(0, 3) + '***',
+      ip: req.ip,
+    });
+  }
+
+  res.json({
+    success: true,
+    data: {
+      message: PASSWORD_RESET_SENT,
     },
   });
-});
\ No newline at end of file
+});
+
+// Set a new password with a reset link token
+export const resetPassword = asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.validatedData;
+
+  const record = await UserToken.consume(token, 'PasswordReset');
+  const user = record && (await User.findById(record.userId));
+  if (!user || user.status !== 'Active') {
+    return res.status(400).json({
+      success: false,
+      error: 'This password reset link is invalid or has expired',
+    });
+  }
+
+  await user.updatePassword(newPassword);
+
+  // A reset proves control of the mailbox, so it also lifts any lockout
+  await loginSecurityService.recordSuccessfulLogin(user.id);
+
+  // The link arrived at this address, so it is verified too
+  if (!user.emailVerified) {
+    await user.update({ email_verified: true });
+  }
+
+  // Sign out every session that used the old password
+  await RefreshToken.revokeAllForUser(user.id);
+
+  logger.info('Password reset successfully:', {
+    userId: user.id,
+    username: user.username,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Password has been reset. Please log in with your new password.',
+    },
+  });
+});
+
+// Confirm an email address with a verification link token
+export const verifyEmail = asyncHandler(async (req, res) => {
+  const { token } = req.validatedData;
+
+  const record = await UserToken.consume(token, 'EmailVerification');
+  const user = record && (await User.findById(record.userId));
+  if (!user) {
+    return res.status(400).json({
+      success: false,
+      error: 'This verification link is invalid or has expired',
+    });
+  }
+
+  await user.update({ email_verified: true });
+
+  logger.info('Email verified:', {
+    userId: user.id,
+    username: user.username,
+  });
+
+  res.json({
+    success: true,
+    data: {
+      user: await userPayload(user),
+      message: 'Email verified successfully',
+    },
+  });
+});
+
+// Send the current user a new verification link
+export const resendVerification = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+
+  if (!user) {
+    return res.status(404).json({
+      success: false,
+      error: 'User not found',
+    });
+  }
+
+  if (user.emailVerified) {
+    return res.status(400).json({
+      success: false,
+      error: 'Email is already verified',
+    });
+  }
+
+  await accountEmailService.sendVerificationEmail(user);
+
+  res.json({
+    success: true,
+    data: {
+      message: 'Verification email sent',
+    },
+  });
+});
+
+// ----- Two-factor authentication -----
+
+// A wrong second-step code counts towards the lockout just like a wrong password
+const rejectTwoFactorCode = async (req, res, user) => {
+  logger.warn('Login attempt with invalid two-factor code:', { userId: user.id, ip: req.ip });
+  await loginSecurityService.logAttempt(req, {
+    userId: user.id,
+    email: user.email,
+    success: false,
+    failureReason: 'InvalidTwoFactorCode',
+  });
+
+  const failure = await loginSecurityService.recordFailedAttempt(user.id);
+  if (failure.locked) {
+    return lockedResponse(res, failure.lockedUntil);
+  }
+  return res.status(401).json({
+    success: false,
+    error: 'Invalid verification code',
+  });
+};
+
+// Load the user a login challenge was issued to, if they may still sign in
+const challengedUser = async (challengeToken) => {
+  const challenge = twoFactorService.readChallenge(challengeToken);
+  const user = await User.findById(challenge.userId);
+  return { challenge, user: user && user.status === 'Active' ? user : null };
+};
+
+// Second sign-in step: answer the login challenge with a TOTP or recovery code.
+// An enrollment challenge is answered with the first code from the new authenticator.
+export const verifyLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken, code, recoveryCode } = req.validatedData;
+
+  const { challenge, user } = await challengedUser(challengeToken);
+  if (!user) {
+    return res.status(401).json({
+      success: false,
+      error: 'Your sign-in has expired. Please sign in again.',
+    });
+  }
+  if (user.isLocked()) {
+    return lockedResponse(res, user.lockedUntil);
+  }
+
+  if (challenge.purpose === 'enroll' && !user.totpEnabled) {
+    if (!code) {
+      return res.status(400).json({
+        success: false,
+        error: 'Enter the code from your authenticator app',
+      });
+    }
+    const recoveryCodes = await twoFactorService.confirmEnrollment(user, code);
+    if (!recoveryCodes) {
+      return await rejectTwoFactorCode(req, res, user);
+    }
+    return await completeLogin(req, res, user, { recoveryCodes });
+  }
+
+  const { valid } = await twoFactorService.verifyLogin(user, { code, recoveryCode });
+  if (!valid) {
+    return await rejectTwoFactorCode(req, res, user);
+  }
+
+  return await completeLogin(req, res, user);
+});
+
+// Enrollment during sign-in, for a role that requires 2FA
+export const setupLoginTwoFactor = asyncHandler(async (req, res) => {
+  const { challengeToken } = req.validatedData;
+
+  const { challenge, user } = await challengedUser(challengeToken);
+  if (!user || challenge.purpose !== 'enroll') {
+    return res.status(401).json({
+      success: false,
+      error: 'Your sign-in has expired. Please sign in again.',
+    });
+  }
+
+  const enrollment = await twoFactorService.beginEnrollment(user);
+
+  res.json({ success: true, data: enrollment });
+});
+
+// Current user's 2FA status
+export const getTwoFactorStatus = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  res.json({ success: true, data: await twoFactorService.getStatus(user) });
+});
+
+// Start enrolling the current user
+export const setupTwoFactor = asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id);
+  const enrollment = await twoFactorService.beginEnrollment(user);
+  res.json({ success: true, data: enrollment });
+});
+
+// Confirm enrollment with a code from the app; returns the recovery codes once
+export const enableTwoFactor = asyncHandler(async (req, res) => {
+  const { code } = req.validatedData;
+
+  const user = await User.findById(req.user.id);
+  const recoveryCodes = await twoFactorService.confirmEnrollment(user, code);
+  if (!recoveryCodes) {
+    return res.status(400).json({
+      success: false,
+      error: 'Invalid verification code',
+    });
+  }
+
+  res.json({ success: true, data: { recoveryCodes } });
+});
+
+// Turn 2FA off for the current user, confirmed with their password
+export const disableTwoFactor = asyncHandler(async (req, res) => {
+  const { password } = req.validatedData;
+
+  const user = await User.findById(req.user.id);
+  if (user.isTwoFactorRequired()) {
+    return res.status(403).json({
+      success: false,
+      error: 'Two-factor authentication is required for your role',
+    });
+  }
+  if (!(await user.verifyPassword(password))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password is incorrect',
+    });
+  }
+
+  await twoFactorService.disable(user.id);
+
+  res.json({ success: true, data: { message: 'Two-factor authentication disabled' } });
+});
+
+// Replace the current user's recovery codes, confirmed with their password
+export const regenerateRecoveryCodes = asyncHandler(async (req, res) => {
+  const { password } = req.validatedData;
+
+  const user = await User.findById(req.user.id);
+  if (!(await user.verifyPassword(password))) {
+    return res.status(400).json({
+      success: false,
+      error: 'Password is incorrect',
+    });
+  }
+
+  const recoveryCodes = await twoFactorService.regenerateRecoveryCodes(user);
+
+  res.json({ success: true, data: { recoveryCodes } });
+});
+
+// Active sessions for the signed-in user
+export const getSessions = asyncHandler(async (req, res) => {
+  const sessions = await sessionService.listSessions(req.user.id, req.sessionId);
+  res.json({ success: true, data: { sessions } });
+});
+
+// Sign out one of the user's own sessions
+export const revokeSession = asyncHandler(async (req, res) => {
+  const { id } = req.validatedData;
+
+  await sessionService.revokeSession(req.user.id, id, req.user.id);
+
+  res.json({ success: true, data: { message: 'Session signed out' } });
+});
@@ -1,4 +1,5 @@
 import * as agreementsService from '../services/rentAgreementsService.js';
+import * as auditService from '../services/auditService.js';
 
 /**
  * Controller for rent agreements API endpoints
@@ -55,6 +56,12 @@ export async function createAgreement(req, res, next) {
     console.log('Creating agreement with data:', req.body);
     
     const agreement = await agreementsService.createAgreement(req.body);
+    await auditService.record(auditService.actorFrom(req), {
+      entityType: 'Agreement',
+      entityId: agreement.id,
+      action: 'create',
+      after: agreement,
+    });
     
     res.status(201).json({ 
       success: true, 
@@ -72,7 +79,15 @@ export async function updateAgreement(req, res, next) {
     
     console.log('Updating agreement:', id, 'with data:', req.body);
     
+    const before = await agreementsService.getAgreementById(id);
     const agreement = await agreementsService.updateAgreement(id, req.body);
+    await auditService.record(auditService.actorFrom(req), {
+      entityType: 'Agreement',
+      entityId: id,
+      action: 'update',
+      before,
+      after: agreement,
+    });
     
     res.status(200).json({ 
       success: true, 
@@ -90,7 +105,7 @@ export async function deleteAgreement(req, res, next) {
     
     console.log('Deleting agreement:', id);
     
-    const result = await agreementsService.deleteAgreement(id);
+    const result = await agreementsService.deleteAgreement(id, auditService.actorFrom(req));
     
     res.status(200).json({ 
       success: true, 
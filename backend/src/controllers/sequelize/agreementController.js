@@ -1,5 +1,7 @@
-import { Agreement, Tenant, Loan, RentPenalty, UploadedFile } from '../../models/sequelize/index.js';
+import { Agreement, Tenant, Loan, RentPenalty } from '../../models/sequelize/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import * as auditService from '../../services/auditService.js';
+import * as trashService from '../../services/trashService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'AgreementController' });
@@ -16,8 +18,7 @@ export class AgreementController {
         includeOptions.push(
           { model: Tenant, as: 'tenant' },
           { model: Loan, as: 'loans' },
-          { model: RentPenalty, as: 'rentPenalties' },
-          { model: UploadedFile, as: 'uploadedFiles' }
+          { model: RentPenalty, as: 'rentPenalties' }
         );
       }
 
@@ -69,8 +70,7 @@ export class AgreementController {
         includeOptions.push(
           { model: Tenant, as: 'tenant' },
           { model: Loan, as: 'loans' },
-          { model: RentPenalty, as: 'rentPenalties' },
-          { model: UploadedFile, as: 'uploadedFiles' }
+          { model: RentPenalty, as: 'rentPenalties' }
         );
       }
 
@@ -127,6 +127,9 @@ export class AgreementController {
       }
 
       const agreement = await Agreement.create(agreementData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Agreement', entityId: agreement.id, action: 'create', after: agreement
+      });
 
       logger.info(`Created agreement: ${agreement.id}`, { agreementData });
 
@@ -203,7 +206,11 @@ export class AgreementController {
         }
       }
 
+      const before = agreement.get({ plain: true });
       await agreement.update(updateData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Agreement', entityId: id, action: 'update', before, after: agreement
+      });
 
       logger.info(`Updated agreement: ${id}`, { updateData });
 
@@ -255,7 +262,8 @@ export class AgreementController {
         });
       }
 
-      await agreement.destroy();
+      // Takes its loans and penalties to the trash with it
+      await trashService.moveToTrash('Agreement', id, auditService.actorFrom(req));
 
       logger.info(`Deleted agreement: ${id}`);
 
@@ -268,6 +276,15 @@ export class AgreementController {
       });
     } catch (error) {
       logger.error('Error deleting agreement:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       return res.status(500).json({
         success: false,
         error: {
@@ -1,4 +1,9 @@
-import { Loan, Tenant, Agreement } from '../../models/sequelize/index.js';
+import { sequelize, Loan, LoanInstallment, Tenant, Agreement } from '../../models/sequelize/index.js';
+import * as loanScheduleService from '../../services/loanScheduleService.js';
+import * as generalLedgerService from '../../services/generalLedgerService.js';
+import * as financialYearService from '../../services/financialYearService.js';
+import * as auditService from '../../services/auditService.js';
+import * as trashService from '../../services/trashService.js';
 import { v4 as uuidv4 } from 'uuid';
 import pino from 'pino';
 
@@ -144,16 +149,64 @@ export class LoanController {
         });
       }
 
-      const loan = await Loan.create(loanData);
+      // EMI, balances and the first due date always come from the schedule
+      const disbursedDate = new Date(loanData.disbursed_date).toISOString().slice(0, 10);
+      const { monthlyEmi, installments } = loanScheduleService.buildAmortizationSchedule({
+        loanAmount: loanData.loan_amount,
+        interestRate: loanData.interest_rate,
+        loanDuration: loanData.loan_duration,
+        disbursedDate
+      });
+
+      await financialYearService.assertDatesOpen(null, [disbursedDate]);
+      const loan = await sequelize.transaction(async (t) => {
+        const created = await Loan.create({
+          ...loanData,
+          disbursed_date: disbursedDate,
+          monthly_emi: monthlyEmi,
+          outstanding_balance: loanData.loan_amount,
+          total_repaid: 0,
+          status: 'Active',
+          next_emi_date: installments[0].dueDate,
+          last_payment_date: null
+        }, { transaction: t });
+
+        await LoanInstallment.bulkCreate(installments.map(installment => ({
+          id: uuidv4(),
+          loan_id: created.id,
+          installment_number: installment.installmentNumber,
+          due_date: installment.dueDate,
+          opening_balance: installment.openingBalance,
+          emi_amount: installment.emiAmount,
+          principal_component: installment.principalComponent,
+          interest_component: installment.interestComponent,
+          closing_balance: installment.closingBalance
+        })), { transaction: t });
+
+        return created;
+      });
+      await generalLedgerService.syncSource('Loan', loan.id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Loan', entityId: loan.id, action: 'create', after: loan
+      });
 
-      logger.info(`Created loan: ${loan.id}`, { loanData });
+      logger.info(`Created loan: ${loan.id}`, { loanData, installments: installments.length });
 
       return res.status(201).json({
         success: true,
-        data: { loan }
+        data: { loan, installments }
       });
     } catch (error) {
       logger.error('Error creating loan:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       
       if (error.name === 'SequelizeValidationError') {
         return res.status(400).json({
@@ -190,6 +243,118 @@ export class LoanController {
     }
   }
 
+  // GET /api/loans/:id/schedule - Get amortization schedule
+  static async getSchedule(req, res) {
+    try {
+      const { id } = req.params;
+
+      const loan = await Loan.findByPk(id);
+      if (!loan) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: 'Loan not found',
+            code: 'LOAN_NOT_FOUND'
+          }
+        });
+      }
+
+      const installments = await LoanInstallment.findAll({
+        where: { loan_id: id },
+        order: [['installment_number', 'ASC']]
+      });
+
+      return res.json({
+        success: true,
+        data: { installments }
+      });
+    } catch (error) {
+      logger.error('Error fetching loan schedule:', error);
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to fetch loan schedule',
+          code: 'FETCH_LOAN_SCHEDULE_ERROR'
+        }
+      });
+    }
+  }
+
+  // POST /api/loans/:id/repayments - Post an EMI repayment
+  static async recordRepayment(req, res) {
+    try {
+      const { id } = req.params;
+      const { amount, date, receipt_number, description, payment_mode, payment_reference, cheque_date } = req.body;
+
+      const before = await Loan.findByPk(id);
+      const result = await loanScheduleService.postRepayment(id, {
+        amount,
+        date: date ? new Date(date).toISOString().slice(0, 10) : undefined,
+        receiptNumber: receipt_number,
+        description,
+        paymentMode: payment_mode,
+        paymentReference: payment_reference,
+        chequeDate: cheque_date ? new Date(cheque_date).toISOString().slice(0, 10) : undefined,
+        clearingStatus: payment_mode === 'Cheque' ? 'Pending' : 'Cleared'
+      });
+
+      const actor = auditService.actorFrom(req);
+      await auditService.record(actor, {
+        entityType: 'Transaction', entityId: result.transaction.id, action: 'create', after: result.transaction
+      });
+      await auditService.record(actor, {
+        entityType: 'Loan', entityId: id, action: 'update', before, after: result.loan,
+        context: { repaymentId: result.transaction.id }
+      });
+
+      logger.info(`Posted repayment for loan: ${id}`, { amount });
+
+      return res.status(201).json({
+        success: true,
+        data: result
+      });
+    } catch (error) {
+      logger.error('Error posting loan repayment:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
+
+      if (error.statusCode === 404) {
+        return res.status(404).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'LOAN_NOT_FOUND'
+          }
+        });
+      }
+
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'INVALID_REPAYMENT'
+          }
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        error: {
+          message: 'Failed to post loan repayment',
+          code: 'LOAN_REPAYMENT_ERROR'
+        }
+      });
+    }
+  }
+
   // PUT /api/loans/:id - Update loan
   static async update(req, res) {
     try {
@@ -245,7 +410,13 @@ export class LoanController {
         }
       }
 
+      await financialYearService.assertDatesOpen(null, [loan.disbursed_date, updateData.disbursed_date]);
+      const before = loan.get({ plain: true });
       await loan.update(updateData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Loan', entityId: id, action: 'update', before, after: loan
+      });
+      await generalLedgerService.syncSource('Loan', id);
 
       logger.info(`Updated loan: ${id}`, { updateData });
 
@@ -255,6 +426,15 @@ export class LoanController {
       });
     } catch (error) {
       logger.error('Error updating loan:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       
       if (error.name === 'SequelizeValidationError') {
         return res.status(400).json({
@@ -297,7 +477,7 @@ export class LoanController {
         });
       }
 
-      await loan.destroy();
+      await trashService.moveToTrash('Loan', id, auditService.actorFrom(req));
 
       logger.info(`Deleted loan: ${id}`);
 
@@ -310,6 +490,15 @@ export class LoanController {
       });
     } catch (error) {
       logger.error('Error deleting loan:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       return res.status(500).json({
         success: false,
         error: {
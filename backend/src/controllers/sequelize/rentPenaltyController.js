@@ -1,10 +1,28 @@
 import { RentPenalty, Tenant, Agreement } from '../../models/sequelize/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import * as generalLedgerService from '../../services/generalLedgerService.js';
+import * as financialYearService from '../../services/financialYearService.js';
+import * as auditService from '../../services/auditService.js';
+import * as trashService from '../../services/trashService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'RentPenaltyController' });
 
 export class RentPenaltyController {
+  // Keep agreements.pending_penalties listing the agreement's Pending penalty ids
+  static async syncPendingPenalties(agreementId) {
+    if (!agreementId) return;
+    const pending = await RentPenalty.findAll({
+      where: { agreement_id: agreementId, status: 'Pending' },
+      attributes: ['id'],
+      order: [['due_date', 'ASC']]
+    });
+    await Agreement.update(
+      { pending_penalties: pending.length ? pending.map(p => p.id) : null },
+      { where: { id: agreementId } }
+    );
+  }
+
   // GET /api/rent-penalties - Get all rent penalties
   static async getAll(req, res) {
     try {
@@ -144,7 +162,13 @@ export class RentPenaltyController {
         });
       }
 
+      await financialYearService.assertDatesOpen(null, [rentPenaltyData.due_date]);
       const rentPenalty = await RentPenalty.create(rentPenaltyData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'RentPenalty', entityId: rentPenalty.id, action: 'create', after: rentPenalty
+      });
+      await RentPenaltyController.syncPendingPenalties(rentPenalty.agreement_id);
+      await generalLedgerService.syncSource('RentPenalty', rentPenalty.id);
 
       logger.info(`Created rent penalty: ${rentPenalty.id}`, { rentPenaltyData });
 
@@ -154,6 +178,15 @@ export class RentPenaltyController {
       });
     } catch (error) {
       logger.error('Error creating rent penalty:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       
       if (error.name === 'SequelizeValidationError') {
         return res.status(400).json({
@@ -245,7 +278,18 @@ export class RentPenaltyController {
         }
       }
 
+      await financialYearService.assertDatesOpen(null, [rentPenalty.due_date, updateData.due_date]);
+      const previousAgreementId = rentPenalty.agreement_id;
+      const before = rentPenalty.get({ plain: true });
       await rentPenalty.update(updateData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'RentPenalty', entityId: id, action: 'update', before, after: rentPenalty
+      });
+      await RentPenaltyController.syncPendingPenalties(previousAgreementId);
+      if (rentPenalty.agreement_id !== previousAgreementId) {
+        await RentPenaltyController.syncPendingPenalties(rentPenalty.agreement_id);
+      }
+      await generalLedgerService.syncSource('RentPenalty', id);
 
       logger.info(`Updated rent penalty: ${id}`, { updateData });
 
@@ -255,6 +299,15 @@ export class RentPenaltyController {
       });
     } catch (error) {
       logger.error('Error updating rent penalty:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       
       if (error.name === 'SequelizeValidationError') {
         return res.status(400).json({
@@ -297,7 +350,8 @@ export class RentPenaltyController {
         });
       }
 
-      await rentPenalty.destroy();
+      // Also refreshes the agreement's pending penalties
+      await trashService.moveToTrash('RentPenalty', id, auditService.actorFrom(req));
 
       logger.info(`Deleted rent penalty: ${id}`);
 
@@ -310,6 +364,15 @@ export class RentPenaltyController {
       });
     } catch (error) {
       logger.error('Error deleting rent penalty:', error);
+      if (error.statusCode === 409) {
+        return res.status(409).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'FINANCIAL_YEAR_CLOSED'
+          }
+        });
+      }
       return res.status(500).json({
         success: false,
         error: {
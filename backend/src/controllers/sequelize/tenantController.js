@@ -1,5 +1,7 @@
-import { Tenant, Agreement, Loan, RentPenalty, UploadedFile } from '../../models/sequelize/index.js';
+import { Tenant, Agreement, Loan, RentPenalty } from '../../models/sequelize/index.js';
 import { v4 as uuidv4 } from 'uuid';
+import * as auditService from '../../services/auditService.js';
+import * as trashService from '../../services/trashService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'TenantController' });
@@ -30,8 +32,7 @@ export class TenantController {
         includeOptions.push(
           { model: Agreement, as: 'agreements' },
           { model: Loan, as: 'loans' },
-          { model: RentPenalty, as: 'rentPenalties' },
-          { model: UploadedFile, as: 'uploadedFiles' }
+          { model: RentPenalty, as: 'rentPenalties' }
         );
       }
 
@@ -90,8 +91,7 @@ export class TenantController {
         includeOptions.push(
           { model: Agreement, as: 'agreements' },
           { model: Loan, as: 'loans' },
-          { model: RentPenalty, as: 'rentPenalties' },
-          { model: UploadedFile, as: 'uploadedFiles' }
+          { model: RentPenalty, as: 'rentPenalties' }
         );
       }
 
@@ -136,6 +136,9 @@ export class TenantController {
       };
 
       const tenant = await Tenant.create(tenantData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Tenant', entityId: tenant.id, action: 'create', after: tenant
+      });
 
       logger.info(`Created tenant: ${tenant.id}`, { tenantData });
 
@@ -198,7 +201,11 @@ export class TenantController {
         });
       }
 
+      const before = tenant.get({ plain: true });
       await tenant.update(updateData);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Tenant', entityId: id, action: 'update', before, after: tenant
+      });
 
       logger.info(`Updated tenant: ${id}`, { updateData });
 
@@ -250,7 +257,8 @@ export class TenantController {
         });
       }
 
-      await tenant.destroy();
+      // Refused while live shops or agreements still refer to the tenant
+      await trashService.moveToTrash('Tenant', id, auditService.actorFrom(req));
 
       logger.info(`Deleted tenant: ${id}`);
 
@@ -263,6 +271,15 @@ export class TenantController {
       });
     } catch (error) {
       logger.error('Error deleting tenant:', error);
+      if (error.statusCode === 400) {
+        return res.status(400).json({
+          success: false,
+          error: {
+            message: error.message,
+            code: 'TENANT_IN_USE'
+          }
+        });
+      }
       return res.status(500).json({
         success: false,
         error: {
@@ -1,4 +1,5 @@
 import * as shopsService from '../services/shopsService.js';
+import * as auditService from '../services/auditService.js';
 
 /**
  * Controller for shops API endpoints
@@ -55,6 +56,12 @@ export async function createShop(req, res, next) {
     console.log('Creating shop with data:', req.body);
     
     const shop = await shopsService.createShop(req.body);
+    await auditService.record(auditService.actorFrom(req), {
+      entityType: 'Shop',
+      entityId: shop.id,
+      action: 'create',
+      after: shop,
+    });
     
     res.status(201).json({ 
       success: true, 
@@ -72,7 +79,15 @@ export async function updateShop(req, res, next) {
     
     console.log('Updating shop:', id, 'with data:', req.body);
     
+    const before = await shopsService.getShopById(id);
     const shop = await shopsService.updateShop(id, req.body);
+    await auditService.record(auditService.actorFrom(req), {
+      entityType: 'Shop',
+      entityId: id,
+      action: 'update',
+      before,
+      after: shop,
+    });
     
     res.status(200).json({ 
       success: true, 
@@ -90,7 +105,7 @@ export async function deleteShop(req, res, next) {
     
     console.log('Deleting shop:', id);
     
-    const result = await shopsService.deleteShop(id);
+    const result = await shopsService.deleteShop(id, auditService.actorFrom(req));
     
     res.status(200).json({ 
       success: true, 
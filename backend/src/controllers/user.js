@@ -1,11 +1,17 @@
 import { User } from "../models/User.js";
 import { asyncHandler } from "../middleware/error.js";
+import * as accountEmailService from "../services/accountEmailService.js";
+import * as loginSecurityService from "../services/loginSecurityService.js";
+import * as twoFactorService from "../services/twoFactorService.js";
+import * as sessionService from "../services/sessionService.js";
+import * as permissionService from "../services/permissionService.js";
+import * as auditService from "../services/auditService.js";
 import pino from "pino";
 import { v4 as uuidv4 } from "uuid";
 
 const logger = pino({ name: "UserController" });
 
-// Get all users (Admin/Treasurer)
+// Get all users (user.view)
 export const getAllUsers = asyncHandler(async (req, res) => {
   // Generate unique request ID for tracking
   const requestId = uuidv4().substring(0, 8);
@@ -96,7 +102,7 @@ export const getAllUsers = asyncHandler(async (req, res) => {
           : "desc",
     };
 
-    if (rawRole && ["Admin", "Treasurer", "Viewer"].includes(rawRole)) {
+    if (rawRole && typeof rawRole === "string") {
       safeOptions.role = rawRole;
     }
     if (rawStatus && ["Active", "Inactive"].includes(rawStatus)) {
@@ -249,7 +255,7 @@ export const getUserById = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { user: user.toSafeObject() } });
 });
 
-// Create user (Admin only)
+// Create user (user.manage)
 export const createUser = asyncHandler(async (req, res) => {
   const { username, email, password, role } = req.validatedData;
 
@@ -266,6 +272,8 @@ export const createUser = asyncHandler(async (req, res) => {
       .json({ success: false, error: "Username already taken" });
   }
 
+  await permissionService.assertRoleExists(role || "Viewer");
+
   const user = await User.create({
     username,
     email,
@@ -273,6 +281,13 @@ export const createUser = asyncHandler(async (req, res) => {
     role: role || "Viewer",
   });
 
+  await auditService.record(auditService.actorFrom(req), {
+    entityType: "User",
+    entityId: user.id,
+    action: "create",
+    after: user.toSafeObject(),
+  });
+
   logger.info("User created by admin:", {
     createdUserId: user.id,
     createdBy: req.user.id,
@@ -280,6 +295,12 @@ export const createUser = asyncHandler(async (req, res) => {
     role: user.role,
   });
 
+  try {
+    await accountEmailService.sendVerificationEmail(user);
+  } catch (emailError) {
+    logger.warn("Failed to send verification email:", emailError);
+  }
+
   res.status(201).json({ success: true, data: { user: user.toSafeObject() } });
 });
 
@@ -292,18 +313,25 @@ export const updateUser = asyncHandler(async (req, res) => {
     return res.status(404).json({ success: false, error: "User not found" });
   }
 
-  if (req.user.role !== "Admin" && req.user.id !== id) {
+  const canManageUsers = await permissionService.hasPermission(req.user, "user.manage");
+  if (!canManageUsers && req.user.id !== id) {
     return res
       .status(403)
       .json({ success: false, error: "You can only update your own profile" });
   }
 
+  // A new email address has to be verified again
   const updateData = {};
   if (username) updateData.username = username;
   if (email) updateData.email = email;
+  const emailChanged = email && email !== user.email;
+  if (emailChanged) updateData.email_verified = false;
 
-  if (req.user.role === "Admin") {
-    if (role) updateData.role = role;
+  if (canManageUsers) {
+    if (role) {
+      await permissionService.assertRoleExists(role);
+      updateData.role = role;
+    }
     if (status) updateData.status = status;
   }
 
@@ -324,7 +352,23 @@ export const updateUser = asyncHandler(async (req, res) => {
     }
   }
 
+  const before = user.toSafeObject();
   await user.update(updateData);
+  await auditService.record(auditService.actorFrom(req), {
+    entityType: "User",
+    entityId: user.id,
+    action: "update",
+    before,
+    after: user.toSafeObject(),
+  });
+
+  if (emailChanged) {
+    try {
+      await accountEmailService.sendVerificationEmail(user);
+    } catch (emailError) {
+      logger.warn("Failed to send verification email:", emailError);
+    }
+  }
 
   logger.info("User updated:", {
     updatedUserId: user.id,
@@ -335,7 +379,7 @@ export const updateUser = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { user: user.toSafeObject() } });
 });
 
-// Delete user (Admin only) - soft delete
+// Delete user (user.manage) - soft delete
 export const deleteUser = asyncHandler(async (req, res) => {
   const { id } = req.validatedData;
 
@@ -350,7 +394,15 @@ export const deleteUser = asyncHandler(async (req, res) => {
     return res.status(404).json({ success: false, error: "User not found" });
   }
 
+  const before = user.toSafeObject();
   await user.delete();
+  await auditService.record(auditService.actorFrom(req), {
+    entityType: "User",
+    entityId: user.id,
+    action: "delete",
+    before,
+    after: user.toSafeObject(),
+  });
 
   logger.info("User deleted (soft):", {
     deletedUserId: user.id,
@@ -361,7 +413,104 @@ export const deleteUser = asyncHandler(async (req, res) => {
   res.json({ success: true, data: { message: "User deleted successfully" } });
 });
 
-// Get user statistics (Admin only)
+// Lift a lockout after repeated failed sign-ins (user.manage)
+export const unlockUser = asyncHandler(async (req, res) => {
+  const { id } = req.validatedData;
+
+  const before = await User.findById(id);
+  const user = await loginSecurityService.unlockUser(id);
+  await auditService.record(auditService.actorFrom(req), {
+    entityType: "User",
+    entityId: user.id,
+    action: "update",
+    before: before?.toSafeObject(),
+    after: user.toSafeObject(),
+  });
+
+  logger.info("User unlocked:", {
+    unlockedUserId: user.id,
+    unlockedBy: req.user.id,
+  });
+
+  res.json({ success: true, data: { user: user.toSafeObject() } });
+});
+
+// Clear a user's two-factor enrollment, e.g. after a lost phone (user.manage).
+// A role that requires 2FA will be asked to enroll again at the next sign-in.
+export const resetTwoFactor = asyncHandler(async (req, res) => {
+  const { id } = req.validatedData;
+
+  const user = await User.findById(id);
+  if (!user) {
+    return res.status(404).json({ success: false, error: "User not found" });
+  }
+
+  await twoFactorService.disable(id);
+
+  logger.info("Two-factor authentication reset:", {
+    resetUserId: id,
+    resetBy: req.user.id,
+  });
+
+  const updatedUser = await User.findById(id);
+  await auditService.record(auditService.actorFrom(req), {
+    entityType: "User",
+    entityId: id,
+    action: "update",
+    before: user.toSafeObject(),
+    after: updatedUser.toSafeObject(),
+  });
+  res.json({ success: true, data: { user: updatedUser.toSafeObject() } });
+});
+
+// Recent sign-in attempts for a user (user managers, or the user themselves)
+export const getLoginHistory = asyncHandler(async (req, res) => {
+  const { id } = req.validatedData;
+
+  if (req.user.id !== id && !(await permissionService.hasPermission(req.user, "user.manage"))) {
+    return res
+      .status(403)
+      .json({ success: false, error: "You can only view your own login history" });
+  }
+
+  const user = await User.findById(id);
+  if (!user) {
+    return res.status(404).json({ success: false, error: "User not found" });
+  }
+
+  const history = await loginSecurityService.getLoginHistory(id, req.query.limit);
+
+  res.json({ success: true, data: { history: history.map((entry) => entry.toJSON()) } });
+});
+
+// A user's active sessions (user.manage)
+export const getUserSessions = asyncHandler(async (req, res) => {
+  const { id } = req.validatedData;
+
+  const sessions = await sessionService.listSessions(id);
+
+  res.json({ success: true, data: { sessions } });
+});
+
+// Sign out one of a user's sessions (user.manage)
+export const revokeUserSession = asyncHandler(async (req, res) => {
+  const { id, sessionId } = req.validatedData;
+
+  await sessionService.revokeSession(id, sessionId, req.user.id);
+
+  res.json({ success: true, data: { message: "Session signed out" } });
+});
+
+// Sign a user out everywhere (user.manage)
+export const revokeUserSessions = asyncHandler(async (req, res) => {
+  const { id } = req.validatedData;
+
+  await sessionService.revokeAllSessions(id, req.user.id);
+
+  res.json({ success: true, data: { message: "All sessions signed out" } });
+});
+
+// Get user statistics (user.view)
 export const getUserStats = asyncHandler(async (req, res) => {
   const totalResult = await User.findAll({ limit: 1 });
   const activeResult = await User.findAll({ status: "Active", limit: 1 });
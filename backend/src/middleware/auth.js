@@ -2,6 +2,8 @@
 import jwt from "jsonwebtoken";
 import env from "../config/env.js";
 import { query } from "../config/db.js";
+import { RefreshToken } from "../models/RefreshToken.js";
+import * as permissionService from "../services/permissionService.js";
 import pino from "pino";
 
 const logger = pino({ name: "auth" });
@@ -21,6 +23,8 @@ function rowsOf(result) {
  * - Verifies JWT with env.JWT_SECRET
  * - Accepts both "id" and "userId" in token payload
  * - Loads Active user from DB and attaches to req.user
+ * - If the token carries a session id (sid), the session must still be live;
+ *   it is attached as req.sessionId
  * - Never throws; returns 401/503 JSON on failure
  */
 export const authenticate = async (req, res, next) => {
@@ -99,7 +103,27 @@ export const authenticate = async (req, res, next) => {
         .json({ success: false, error: "Invalid or expired token" });
     }
 
+    // Session check: a revoked session stops working right away
+    if (decoded.sid) {
+      let sessionActive;
+      try {
+        sessionActive = await RefreshToken.touchSession(decoded.sid);
+      } catch (dbErr) {
+        logger.error({ msg: "Auth session lookup failed", error: dbErr?.message });
+        return res
+          .status(503)
+          .json({ success: false, error: "Auth store unavailable" });
+      }
+      if (!sessionActive) {
+        logger.warn("Session revoked or expired for token", { userId });
+        return res
+          .status(401)
+          .json({ success: false, error: "Session has been signed out" });
+      }
+    }
+
     req.user = userRows[0]; // { id, username, email, role, status }
+    req.sessionId = decoded.sid || null;
     logger.info("Auth OK", {
       userId: req.user.id,
       role: req.user.role,
@@ -148,6 +172,48 @@ export const authorize = (roles = []) => {
 /** Compose helper: require auth + specific roles */
 export const requireRoles = (roles = []) => [authenticate, authorize(roles)];
 
+/**
+ * Authorize by permission:
+ * - The user's role must hold at least one of the named permissions
+ * - Attaches the role's permissions as req.permissions
+ * - Returns 401 if not authenticated, 403 if no permission matches
+ */
+export const authorizePermission = (...permissions) => {
+  return async (req, res, next) => {
+    if (!req.user) {
+      return res
+        .status(401)
+        .json({ success: false, error: "Authentication required" });
+    }
+
+    let granted;
+    try {
+      granted = await permissionService.permissionsForRole(req.user.role);
+    } catch (e) {
+      logger.error({ msg: "Permission lookup failed", error: e?.message });
+      return res
+        .status(503)
+        .json({ success: false, error: "Auth store unavailable" });
+    }
+
+    if (!permissions.some((permission) => granted.includes(permission))) {
+      return res.status(403).json({
+        success: false,
+        error: `Access denied. Required permission: ${permissions.join(" or ")}`,
+      });
+    }
+
+    req.permissions = granted;
+    return next();
+  };
+};
+
+/** Compose helper: require auth + one of the named permissions */
+export const requirePermission = (...permissions) => [
+  authenticate,
+  authorizePermission(...permissions),
+];
+
 /**
  * Optional authentication:
  * - If token present & valid, attaches req.user (Active only)
@@ -168,7 +234,10 @@ export const optionalAuth = async (req, res, next) => {
       [userId, "Active"]
     );
     const userRows = rowsOf(rs);
-    if (userRows.length) req.user = userRows[0];
+    if (userRows.length) {
+      req.user = userRows[0];
+      req.sessionId = decoded.sid || null;
+    }
     return next();
   } catch {
     return next();
@@ -77,6 +77,31 @@ export const authRateLimit = rateLimit({
   },
 });
 
+// Account email rate limiter (password reset and verification links).
+// Counts every request, since forgot-password answers 200 whether or not the email exists.
+export const accountEmailRateLimit = rateLimit({
+  windowMs: 60 * 60 * 1000, // 1 hour
+  max: 5, // 5 emails per hour
+  message: {
+    success: false,
+    error: 'Too many email requests, please try again after an hour',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    logger.warn('Account email rate limit exceeded', {
+      ip: req.ip,
+      userAgent: req.get('User-Agent'),
+      url: req.url,
+    });
+    
+    res.status(429).json({
+      success: false,
+      error: 'Too many email requests, please try again after an hour',
+    });
+  },
+});
+
 // File upload rate limiter
 export const fileUploadRateLimit = rateLimit({
   windowMs: 60 * 1000, // 1 minute
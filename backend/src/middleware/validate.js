@@ -87,6 +87,44 @@ export const validate = (schema) => {
   };
 }
 
+// Role names are free text so Admins can add custom roles; whether the role
+// exists is checked where it is assigned
+const roleName = z.string()
+  .trim()
+  .min(2, 'Role name must be at least 2 characters')
+  .max(50, 'Role name must be less than 50 characters')
+  .regex(/^[A-Za-z][A-Za-z0-9 _-]*$/, 'Role name can only contain letters, numbers, spaces, dashes and underscores');
+
+// Income-tax PAN: five letters (the fourth is the holder type), four digits, a letter
+export const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+
+// Donor details; a blank optional field clears it
+const donorFields = {
+  name: z.string().trim().min(1, 'Donor name is required').max(100, 'Donor name must be at most 100 characters'),
+  phone: z.string().regex(/^\d{10}$/, 'Phone must be 10 digits').optional().or(z.literal('')),
+  address: z.string().trim().max(500, 'Address must be at most 500 characters').optional(),
+  gotra: z.string().trim().max(100, 'Gotra must be at most 100 characters').optional(),
+  pan: z.string().trim().toUpperCase()
+    .regex(PAN_PATTERN, 'PAN must be 5 letters, 4 digits and a letter')
+    .optional().or(z.literal('')),
+};
+
+const financialYear = z.string().regex(/^\d{4}-\d{2}$/, 'Financial year must look like 2024-25');
+
+// Category labels, order and rules (see categoryService.RULES)
+const categoryFields = {
+  labelEn: z.string().trim().min(1, 'English label is required').max(100, 'Label must be at most 100 characters'),
+  labelMr: z.string().trim().min(1, 'Marathi label is required').max(100, 'Label must be at most 100 characters'),
+  active: z.boolean().optional(),
+  sortOrder: z.number().int().min(0).optional(),
+  rules: z.object({
+    perPerson: z.boolean().optional(),
+  }).strict().optional(),
+};
+
+// Records that files can be attached to, as stored in uploaded_files.entity_type
+export const ATTACHMENT_ENTITY_TYPES = ['agreement', 'loan', 'transaction', 'tenant', 'shop', 'donor', 'change_request'];
+
 // Common validation schemas
 export const schemas = {
   // User registration schema
@@ -99,7 +137,7 @@ export const schemas = {
     password: z.string()
       .min(8, 'Password must be at least 8 characters')
       .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
-    role: z.enum(['Admin', 'Treasurer', 'Viewer']).optional().default('Viewer'),
+    role: roleName.optional().default('Viewer'),
   }),
 
   // User login schema
@@ -122,7 +160,7 @@ export const schemas = {
       .regex(/^[a-zA-Z0-9_]+$/, 'Username can only contain letters, numbers, and underscores')
       .optional(),
     email: z.string().email('Invalid email address').optional(),
-    role: z.enum(['Admin', 'Treasurer', 'Viewer']).optional(),
+    role: roleName.optional(),
     status: z.enum(['Active', 'Inactive']).optional(),
   }),
 
@@ -134,11 +172,50 @@ export const schemas = {
       .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
   }),
 
-  // File upload schema
-  fileUpload: z.object({
-    filename: z.string().min(1, 'Filename is required'),
-    contentType: z.string().min(1, 'Content type is required'),
-    size: z.number().positive('File size must be positive').max(10 * 1024 * 1024, 'File size must be less than 10MB'),
+  // Forgot password schema
+  forgotPassword: z.object({
+    email: z.string().email('Invalid email address'),
+  }),
+
+  // Reset password schema (token comes from the emailed link)
+  resetPassword: z.object({
+    token: z.string().regex(/^[a-f0-9]{64}$/, 'Invalid reset token'),
+    newPassword: z.string()
+      .min(8, 'Password must be at least 8 characters')
+      .regex(/^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)/, 'Password must contain at least one lowercase letter, one uppercase letter, and one number'),
+  }),
+
+  // Email verification schema
+  verifyEmail: z.object({
+    token: z.string().regex(/^[a-f0-9]{64}$/, 'Invalid verification token'),
+  }),
+
+  // Two-factor schemas
+  loginTwoFactor: z.object({
+    challengeToken: z.string().min(1, 'Sign-in challenge is required'),
+    code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits').optional(),
+    recoveryCode: z.string().regex(/^[a-fA-F0-9]{4}-?[a-fA-F0-9]{4}$/, 'Invalid recovery code').optional(),
+  }).refine((data) => data.code || data.recoveryCode, {
+    message: 'Enter a code from your authenticator app or a recovery code',
+    path: ['code'],
+  }),
+
+  twoFactorChallenge: z.object({
+    challengeToken: z.string().min(1, 'Sign-in challenge is required'),
+  }),
+
+  twoFactorCode: z.object({
+    code: z.string().regex(/^\d{6}$/, 'Code must be 6 digits'),
+  }),
+
+  confirmPassword: z.object({
+    password: z.string().min(1, 'Password is required'),
+  }),
+
+  // A user's session, for Admin revocation
+  userSession: z.object({
+    id: z.string().min(1, 'User ID is required'),
+    sessionId: z.string().uuid('Invalid session ID'),
   }),
 
   // Pagination schema
@@ -147,10 +224,156 @@ export const schemas = {
     limit: z.string().transform(Number).pipe(z.number().min(1).max(100)).optional().default('10'),
     sort: z.enum(['id', 'username', 'email', 'role', 'status', 'email_verified', 'last_login', 'created_at', 'updated_at']).optional().default('created_at'),
     order: z.enum(['asc', 'desc']).optional().default('desc'),
-    role: z.enum(['Admin', 'Treasurer', 'Viewer']).optional(),
+    role: roleName.optional(),
     status: z.enum(['Active', 'Inactive']).optional(),
   }),
 
+  // Custom role creation
+  createRole: z.object({
+    name: roleName,
+    description: z.string().trim().max(255).optional(),
+    permissions: z.array(z.string()).default([]),
+  }),
+
+  // Role update; permissions replaces the whole set
+  updateRole: z.object({
+    id: z.string().uuid('Invalid role ID'),
+    description: z.string().trim().max(255).nullable().optional(),
+    permissions: z.array(z.string()).optional(),
+  }),
+
+  // Change requests waiting for (or past) approval
+  changeRequestList: z.object({
+    status: z.enum(['Pending', 'Approved', 'Rejected', 'Cancelled']).optional(),
+  }),
+
+  // Approving or rejecting a change request
+  changeRequestReview: z.object({
+    id: z.string().uuid('Invalid change request ID'),
+    note: z.string().trim().max(500, 'Note must be at most 500 characters').optional(),
+  }),
+
+  // Audit trail search; from and to are inclusive dates
+  auditSearch: z.object({
+    actorId: z.string().uuid('Invalid user ID').optional(),
+    entityType: z.enum(['User', 'Shop', 'Tenant', 'Agreement', 'Loan', 'RentPenalty', 'Transaction', 'Donor', 'Attachment', 'Category', 'Budget']).optional(),
+    entityId: z.string().trim().min(1).max(36).optional(),
+    action: z.enum(['create', 'update', 'delete', 'restore', 'purge']).optional(),
+    from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'From date must be in YYYY-MM-DD format').optional(),
+    to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'To date must be in YYYY-MM-DD format').optional(),
+    page: z.string().transform(Number).pipe(z.number().min(1)).optional().default('1'),
+    limit: z.string().transform(Number).pipe(z.number().min(1).max(100)).optional().default('50'),
+  }),
+
+  // Donor list and autocomplete; q matches phone digits, PAN or name
+  donorList: z.object({
+    q: z.string().trim().max(100).optional(),
+    limit: z.string().transform(Number).pipe(z.number().min(1).max(100)).optional().default('20'),
+  }),
+
+  createDonor: z.object(donorFields),
+
+  updateDonor: z.object({
+    id: z.string().uuid('Invalid donor ID'),
+    ...donorFields,
+  }).partial({ name: true }),
+
+  // Merge the source donors into the donor in the URL
+  donorMerge: z.object({
+    id: z.string().uuid('Invalid donor ID'),
+    sourceIds: z.array(z.string().uuid('Invalid donor ID')).min(1, 'Choose at least one donor to merge'),
+  }),
+
+  // 80G annual statement for one donor
+  donorStatement: z.object({
+    id: z.string().uuid('Invalid donor ID'),
+    year: financialYear,
+  }),
+
+  // Form 10BD export
+  form10bd: z.object({
+    year: financialYear,
+  }),
+
+  trashList: z.object({
+    entityType: z.enum(['Shop', 'Tenant', 'Agreement', 'Loan', 'RentPenalty', 'Transaction']).optional(),
+  }),
+
+  trashItem: z.object({
+    entityType: z.enum(['Shop', 'Tenant', 'Agreement', 'Loan', 'RentPenalty', 'Transaction']),
+    id: z.string().trim().min(1).max(36),
+  }),
+
+  // Attachments: the entity's files, and the multipart fields sent ahead of them
+  attachmentTarget: z.object({
+    entityType: z.enum(ATTACHMENT_ENTITY_TYPES),
+    entityId: z.string().trim().min(1).max(36),
+  }),
+
+  // One record (entityId), or several of a type (entityIds, comma separated)
+  attachmentList: z.object({
+    entityType: z.enum(ATTACHMENT_ENTITY_TYPES),
+    entityId: z.string().trim().min(1).max(36).optional(),
+    entityIds: z.string()
+      .transform((value) => [...new Set(value.split(',').map((id) => id.trim()).filter(Boolean))])
+      .pipe(z.array(z.string().max(36)).max(100, 'At most 100 records at once'))
+      .optional(),
+  }).refine((data) => Boolean(data.entityId) !== Boolean(data.entityIds), {
+    message: 'Give either entityId or entityIds',
+  }),
+
+  attachmentItem: z.object({
+    id: z.string().uuid('Invalid attachment ID'),
+  }),
+
+  categoryList: z.object({
+    type: z.enum(['Donation', 'Expense']).optional(),
+  }),
+
+  // A category needs its type; a sub-category names its category instead.
+  // The code is what transactions store and cannot be changed later.
+  createCategory: z.object({
+    type: z.enum(['Donation', 'Expense']).optional(),
+    parentId: z.string().uuid('Invalid category ID').optional(),
+    code: z.string().trim().min(1, 'Code is required').max(100, 'Code must be at most 100 characters'),
+    ...categoryFields,
+  }).refine((data) => data.type || data.parentId, {
+    message: 'Give the type of a category, or the category a sub-category belongs to',
+    path: ['type'],
+  }),
+
+  updateCategory: z.object({
+    id: z.string().uuid('Invalid category ID'),
+    ...categoryFields,
+  }).partial({ labelEn: true, labelMr: true }),
+
+  // Sibling categories, in their new order
+  categoryOrder: z.object({
+    ids: z.array(z.string().uuid('Invalid category ID')).min(1).max(200),
+  }),
+
+  budgetReport: z.object({
+    year: financialYear,
+  }),
+
+  // The budget of an expense category, or of one of its sub-categories
+  setBudget: z.object({
+    year: financialYear,
+    category: z.string().trim().min(1, 'Category is required').max(100),
+    subCategory: z.string().trim().max(100).optional().or(z.literal('')).transform((value) => value || null),
+    amount: z.coerce.number().min(0, 'Budget cannot be negative'),
+    notes: z.string().trim().max(500, 'Notes must be at most 500 characters').optional().transform((value) => value || null),
+  }),
+
+  // An expense about to be saved; excludeId is the expense being edited
+  budgetCheck: z.object({
+    date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
+    category: z.string().min(1, 'Category is required'),
+    subCategory: z.string().optional().transform((value) => value || null),
+    amount: z.coerce.number().positive('Amount must be positive'),
+    excludeId: z.string().max(36).optional(),
+  }),
+
   // ID parameter schema - accepts both legacy and UUID v4 formats
   idParam: z.object({
     id: z.string().refine(
@@ -170,56 +393,56 @@ export const schemas = {
   }),
 };
 
-// Validate file upload parameters
-export const validateFileUpload = (req, res, next) => {
-  const schema = z.object({
-    filename: z.string().min(1, 'Filename is required'),
-    contentType: z.string().min(1, 'Content type is required'),
-    size: z.number().positive('File size must be positive').max(10 * 1024 * 1024, 'File size must be less than 10MB'),
-  });
+// Payment details carried by every money entry (donations, expenses, rent)
+export const PAYMENT_MODES = ['Cash', 'UPI', 'Cheque', 'Bank Transfer'];
+export const CLEARING_STATUSES = ['Cleared', 'Pending', 'Bounced'];
 
-  try {
-    logger.info('File upload validation attempt', {
-      method: req.method,
-      url: req.url,
-      ip: req.ip
-    });
+export const paymentDetailsShape = {
+  paymentMode: z.enum(PAYMENT_MODES).optional(),
+  paymentReference: z.string().max(100, 'Reference must be at most 100 characters').optional().or(z.literal('')),
+  chequeDate: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Cheque date must be in YYYY-MM-DD format').optional().or(z.literal('')),
+  clearingStatus: z.enum(CLEARING_STATUSES).optional(),
+};
 
-    const validatedData = schema.parse(req.body);
-    req.validatedData = validatedData;
-    
-    logger.info('File upload validation successful', {
-      method: req.method,
-      url: req.url,
-      filename: validatedData.filename,
-      size: validatedData.size
-    });
-    
-    return next();
-  } catch (error) {
-    logger.error('File upload validation failed:', {
-      error: error.message,
-      method: req.method,
-      url: req.url,
-      ip: req.ip
+// superRefine check: non-cash payments need a reference, cheques also a date.
+// Bounces only happen through /api/cheques, which also reverses the payment
+export const checkPaymentDetails = (data, ctx) => {
+  if (data.clearingStatus === 'Bounced') {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['clearingStatus'],
+      message: 'Use the cheque bounce action to mark a cheque as bounced',
     });
-    
-    if (error instanceof z.ZodError) {
-      const errorMessages = error.errors.map(err => ({
-        field: err.path.join('.'),
-        message: err.message,
-      }));
-
-      return res.status(400).json({
-        success: false,
-        error: 'File upload validation failed',
-        details: errorMessages,
-      });
-    }
+  }
+  if (!data.paymentMode || data.paymentMode === 'Cash') return;
 
-    return res.status(500).json({
-      success: false,
-      error: 'Validation error',
+  if (!data.paymentReference) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['paymentReference'],
+      message: data.paymentMode === 'Cheque'
+        ? 'Cheque number is required for cheque payments'
+        : `Reference number is required for ${data.paymentMode} payments`,
+    });
+  }
+  if (data.paymentMode === 'Cheque' && !data.chequeDate) {
+    ctx.addIssue({
+      code: z.ZodIssueCode.custom,
+      path: ['chequeDate'],
+      message: 'Cheque date is required for cheque payments',
     });
   }
-};
\ No newline at end of file
+};
+
+// Cheques stay Pending until they clear; every other mode is Cleared on receipt
+export const withPaymentDefaults = (data) => {
+  if (!data.paymentMode) return data;
+  return {
+    ...data,
+    clearingStatus: data.clearingStatus ?? (data.paymentMode === 'Cheque' ? 'Pending' : 'Cleared'),
+  };
+};
+
+// On edit the clearing status is only re-derived when the payment mode itself changes
+export const withChangedPaymentDefaults = (data, previousMode) =>
+  data.paymentMode && data.paymentMode !== previousMode ? withPaymentDefaults(data) : data;
@@ -25,6 +25,8 @@ export class Agreement {
         shop_id VARCHAR(36) NOT NULL,
         tenant_id VARCHAR(36) NOT NULL,
         agreement_date DATE NOT NULL,
+        start_date DATE NULL,
+        end_date DATE NULL,
         duration INT NOT NULL,
         monthly_rent DECIMAL(10,2) NOT NULL,
         security_deposit DECIMAL(10,2) NOT NULL,
@@ -37,6 +39,9 @@ export class Agreement {
         active_loan_id VARCHAR(36) NULL,
         pending_penalties JSON NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP(3) NULL,
+        deleted_by VARCHAR(36) NULL,
+        INDEX idx_deleted_at (deleted_at),
         INDEX idx_shop (shop_id),
         INDEX idx_tenant (tenant_id),
         INDEX idx_status (status),
@@ -0,0 +1,195 @@
+import crypto from 'crypto';
+import { query } from '../config/db.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'AuditLogModel' });
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value ?? null);
+
+// JSON with object keys sorted at every level. MySQL's JSON type does not keep
+// key order, so hashes are always taken over this form.
+export const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+};
+
+// The hash of an entry covers every column except seq and the hash itself,
+// plus the hash of the entry before it.
+export const chainHash = (prevHash, entry) =>
+  crypto
+    .createHash('sha256')
+    .update(
+      canonicalJson([
+        prevHash || '',
+        entry.createdAt,
+        entry.actorId || null,
+        entry.actorName || null,
+        entry.ipAddress || null,
+        entry.entityType,
+        entry.entityId,
+        entry.action,
+        entry.changes,
+        entry.context || null,
+      ])
+    )
+    .digest('hex');
+
+// created_at is written and read back as text so the hashed value survives
+// the round trip whatever the connection's time zone.
+const SELECT_COLUMNS = `al.*, DATE_FORMAT(al.created_at, '%Y-%m-%d %H:%i:%s.%f') AS created_at_text`;
+
+// One row per change to a user, shop, tenant, agreement, loan, penalty or
+// transaction. Rows are only ever appended; each carries the hash of the one
+// before it, so editing or removing a row breaks the chain from that point on.
+export class AuditLog {
+  constructor(data = {}) {
+    this.seq = data.seq === undefined ? undefined : Number(data.seq);
+    this.createdAt = data.created_at_text ? data.created_at_text.slice(0, 23) : data.createdAt; // 'YYYY-MM-DD HH:MM:SS.mmm', UTC
+    this.actorId = data.actor_id || data.actorId || null;
+    this.actorName = data.actor_name || data.actorName || null;
+    this.ipAddress = data.ip_address || data.ipAddress || null;
+    this.entityType = data.entity_type || data.entityType; // 'User' | 'Shop' | 'Tenant' | 'Agreement' | 'Loan' | 'RentPenalty' | 'Transaction' | 'Donor'
+    this.entityId = data.entity_id || data.entityId;
+    this.action = data.action; // 'create' | 'update' | 'delete'
+    this.changes = parseJson(data.changes) || []; // [{ field, from, to }]
+    this.context = parseJson(data.context);
+    this.prevHash = data.prev_hash || data.prevHash || null;
+    this.hash = data.hash;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS audit_log (
+        seq BIGINT AUTO_INCREMENT PRIMARY KEY,
+        created_at DATETIME(3) NOT NULL,
+        actor_id VARCHAR(36) NULL,
+        actor_name VARCHAR(100) NULL,
+        ip_address VARCHAR(45) NULL,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(36) NOT NULL,
+        action VARCHAR(20) NOT NULL,
+        changes JSON NOT NULL,
+        context JSON NULL,
+        prev_hash CHAR(64) NULL,
+        hash CHAR(64) NOT NULL,
+        INDEX idx_entity (entity_type, entity_id, seq),
+        INDEX idx_actor_created (actor_id, created_at),
+        INDEX idx_created (created_at)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  /**
+   * Append an entry inside the caller's transaction. The newest row is locked
+   * while the entry is chained to it, so concurrent writers queue up instead
+   * of both chaining to the same predecessor.
+   */
+  static async append(connection, entry) {
+    const [last] = await connection.execute(
+      'SELECT hash FROM audit_log ORDER BY seq DESC LIMIT 1 FOR UPDATE'
+    );
+    const prevHash = last[0]?.hash || null;
+    const hash = chainHash(prevHash, entry);
+
+    const [result] = await connection.execute(
+      `INSERT INTO audit_log
+         (created_at, actor_id, actor_name, ip_address, entity_type, entity_id, action, changes, context, prev_hash, hash)
+       VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [
+        entry.createdAt,
+        entry.actorId || null,
+        entry.actorName || null,
+        entry.ipAddress || null,
+        entry.entityType,
+        entry.entityId,
+        entry.action,
+        JSON.stringify(entry.changes),
+        entry.context ? JSON.stringify(entry.context) : null,
+        prevHash,
+        hash,
+      ]
+    );
+
+    return new AuditLog({ ...entry, seq: result.insertId, prevHash, hash });
+  }
+
+  // Newest first. from and to are inclusive 'YYYY-MM-DD' dates (UTC).
+  static async search({ actorId = null, entityType = null, entityId = null, action = null, from = null, to = null, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (actorId) {
+      conditions.push('al.actor_id = ?');
+      params.push(actorId);
+    }
+    if (entityType) {
+      conditions.push('al.entity_type = ?');
+      params.push(entityType);
+    }
+    if (entityId) {
+      conditions.push('al.entity_id = ?');
+      params.push(entityId);
+    }
+    if (action) {
+      conditions.push('al.action = ?');
+      params.push(action);
+    }
+    if (from) {
+      conditions.push('al.created_at >= ?');
+      params.push(from);
+    }
+    if (to) {
+      conditions.push('al.created_at < DATE_ADD(?, INTERVAL 1 DAY)');
+      params.push(to);
+    }
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+
+    try {
+      const [{ total }] = await query(`SELECT COUNT(*) AS total FROM audit_log al ${where}`, params);
+      const rows = await query(
+        `SELECT ${SELECT_COLUMNS} FROM audit_log al ${where}
+         ORDER BY al.seq DESC
+         LIMIT ${Number(limit)} OFFSET ${Number(offset)}`,
+        params
+      );
+      return { entries: rows.map((row) => new AuditLog(row)), total: Number(total) };
+    } catch (error) {
+      logger.error('Failed to search audit log:', { error: error.message, entityType, entityId });
+      throw error;
+    }
+  }
+
+  // The next entries in chain order, for verification
+  static async findAfter(seq, limit = 1000) {
+    const rows = await query(
+      `SELECT ${SELECT_COLUMNS} FROM audit_log al WHERE al.seq > ? ORDER BY al.seq LIMIT ${Number(limit)}`,
+      [seq]
+    );
+    return rows.map((row) => new AuditLog(row));
+  }
+
+  toJSON() {
+    return {
+      seq: this.seq,
+      createdAt: this.createdAt ? `${this.createdAt.replace(' ', 'T')}Z` : null,
+      actorId: this.actorId,
+      actorName: this.actorName,
+      ipAddress: this.ipAddress,
+      entityType: this.entityType,
+      entityId: this.entityId,
+      action: this.action,
+      changes: this.changes,
+      context: this.context,
+      hash: this.hash,
+    };
+  }
+}
+
+export default AuditLog;
@@ -0,0 +1,51 @@
+export class BankReconciliation {
+  constructor(data = {}) {
+    this.period = data.period; // 'YYYY-MM'
+    this.statementBalance = data.statementBalance;
+    this.bookBalance = data.bookBalance;
+    this.locked = data.locked;
+    this.notes = data.notes;
+    this.reconciledBy = data.reconciledBy;
+    this.reconciledAt = data.reconciledAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS bank_reconciliations (
+        period CHAR(7) PRIMARY KEY,
+        statement_balance DECIMAL(14,2) NULL,
+        book_balance DECIMAL(14,2) NOT NULL,
+        locked BOOLEAN NOT NULL DEFAULT TRUE,
+        notes VARCHAR(255) NULL,
+        reconciled_by VARCHAR(36) NULL,
+        reconciled_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new BankReconciliation({
+      period: row.period,
+      statementBalance: row.statement_balance === null ? null : parseFloat(row.statement_balance),
+      bookBalance: parseFloat(row.book_balance),
+      locked: Boolean(row.locked),
+      notes: row.notes,
+      reconciledBy: row.reconciled_by,
+      reconciledAt: row.reconciled_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      period: this.period,
+      statement_balance: this.statementBalance ?? null,
+      book_balance: this.bookBalance,
+      locked: this.locked ?? true,
+      notes: this.notes ?? null,
+      reconciled_by: this.reconciledBy ?? null
+    };
+  }
+}
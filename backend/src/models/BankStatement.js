@@ -0,0 +1,59 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+export class BankStatement {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.fileName = data.fileName;
+    this.format = data.format; // 'CSV' | 'OFX'
+    this.layout = data.layout; // detected bank layout, e.g. 'SBI', 'HDFC', 'Generic'
+    this.periodFrom = data.periodFrom;
+    this.periodTo = data.periodTo;
+    this.lineCount = data.lineCount;
+    this.importedBy = data.importedBy;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS bank_statements (
+        id VARCHAR(36) PRIMARY KEY,
+        file_name VARCHAR(255) NOT NULL,
+        format ENUM('CSV', 'OFX') NOT NULL,
+        layout VARCHAR(30) NOT NULL,
+        period_from DATE NOT NULL,
+        period_to DATE NOT NULL,
+        line_count INT NOT NULL DEFAULT 0,
+        imported_by VARCHAR(36) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_period (period_from, period_to)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new BankStatement({
+      id: row.id,
+      fileName: row.file_name,
+      format: row.format,
+      layout: row.layout,
+      periodFrom: toDateOnly(row.period_from),
+      periodTo: toDateOnly(row.period_to),
+      lineCount: row.line_count,
+      importedBy: row.imported_by,
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      file_name: this.fileName,
+      format: this.format,
+      layout: this.layout,
+      period_from: this.periodFrom,
+      period_to: this.periodTo,
+      line_count: this.lineCount ?? 0,
+      imported_by: this.importedBy ?? null
+    };
+  }
+}
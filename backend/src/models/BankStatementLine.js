@@ -0,0 +1,80 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+export class BankStatementLine {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.statementId = data.statementId;
+    this.lineNumber = data.lineNumber; // position in the imported file
+    this.lineDate = data.lineDate;
+    this.description = data.description;
+    this.reference = data.reference;
+    this.amount = data.amount; // positive for credits to the account, negative for debits
+    this.balance = data.balance;
+    this.fingerprint = data.fingerprint; // identifies the line across overlapping imports
+    this.transactionId = data.transactionId;
+    this.matchType = data.matchType; // 'Auto' | 'Manual' while matched
+    this.ignored = data.ignored; // bank charges, interest and other lines with no transaction
+    this.status = data.transactionId ? 'Matched' : data.ignored ? 'Ignored' : 'Unmatched';
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS bank_statement_lines (
+        id VARCHAR(36) PRIMARY KEY,
+        statement_id VARCHAR(36) NOT NULL,
+        line_number INT NOT NULL DEFAULT 0,
+        line_date DATE NOT NULL,
+        description VARCHAR(255) NOT NULL DEFAULT '',
+        reference VARCHAR(100) NULL,
+        amount DECIMAL(12,2) NOT NULL,
+        balance DECIMAL(14,2) NULL,
+        fingerprint CHAR(64) NOT NULL,
+        transaction_id VARCHAR(36) NULL,
+        match_type ENUM('Auto', 'Manual') NULL,
+        ignored BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_bank_line_fingerprint (fingerprint),
+        UNIQUE KEY uq_bank_line_transaction (transaction_id),
+        INDEX idx_line_date (line_date),
+        FOREIGN KEY (statement_id) REFERENCES bank_statements(id) ON DELETE CASCADE,
+        FOREIGN KEY (transaction_id) REFERENCES transactions(id) ON DELETE SET NULL
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new BankStatementLine({
+      id: row.id,
+      statementId: row.statement_id,
+      lineNumber: row.line_number,
+      lineDate: toDateOnly(row.line_date),
+      description: row.description,
+      reference: row.reference,
+      amount: parseFloat(row.amount),
+      balance: row.balance === null || row.balance === undefined ? null : parseFloat(row.balance),
+      fingerprint: row.fingerprint,
+      transactionId: row.transaction_id,
+      matchType: row.transaction_id ? row.match_type : null,
+      ignored: Boolean(row.ignored),
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      statement_id: this.statementId,
+      line_number: this.lineNumber ?? 0,
+      line_date: this.lineDate,
+      description: this.description || '',
+      reference: this.reference || null,
+      amount: this.amount,
+      balance: this.balance ?? null,
+      fingerprint: this.fingerprint,
+      transaction_id: this.transactionId ?? null,
+      match_type: this.matchType ?? null,
+      ignored: Boolean(this.ignored)
+    };
+  }
+}
@@ -0,0 +1,38 @@
+// Distinct attachment content, keyed by its SHA-256; the bytes live in the
+// blob store (config/blobStore.js) and uploaded_files rows point here
+export class Blob {
+  constructor(data = {}) {
+    this.sha256 = data.sha256;
+    this.size = data.size;
+    this.contentType = data.contentType;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS blobs (
+        sha256 CHAR(64) PRIMARY KEY,
+        size BIGINT NOT NULL,
+        content_type VARCHAR(100) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new Blob({
+      sha256: row.sha256,
+      size: Number(row.size),
+      contentType: row.content_type,
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      sha256: this.sha256,
+      size: this.size,
+      content_type: this.contentType
+    };
+  }
+}
@@ -0,0 +1,59 @@
+// The amount planned for an expense category, or one of its sub-categories,
+// in a financial year. subCategory is null for the whole category.
+export class Budget {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.year = data.year; // '2025-26'
+    this.category = data.category; // an Expense category code
+    this.subCategory = data.subCategory || null;
+    this.amount = data.amount;
+    this.notes = data.notes || null;
+    this.createdBy = data.createdBy || null;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS budgets (
+        id VARCHAR(36) PRIMARY KEY,
+        year CHAR(7) NOT NULL,
+        category VARCHAR(100) NOT NULL,
+        sub_category VARCHAR(100) NOT NULL DEFAULT '',
+        amount DECIMAL(12,2) NOT NULL,
+        notes VARCHAR(500) NULL,
+        created_by VARCHAR(36) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_budgets_line (year, category, sub_category),
+        INDEX idx_year (year)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new Budget({
+      id: row.id,
+      year: row.year,
+      category: row.category,
+      subCategory: row.sub_category || null,
+      amount: parseFloat(row.amount),
+      notes: row.notes,
+      createdBy: row.created_by,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      year: this.year,
+      category: this.category,
+      sub_category: this.subCategory || '',
+      amount: this.amount,
+      notes: this.notes,
+      created_by: this.createdBy
+    };
+  }
+}
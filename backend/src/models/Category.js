@@ -0,0 +1,71 @@
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value ?? null);
+
+// A donation or expense category, or a sub-category of one (parentId set).
+// code is what transactions store in category / sub_category and never
+// changes; the labels are what the screens show.
+export class Category {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.type = data.type; // 'Donation' or 'Expense'
+    this.parentId = data.parentId || null;
+    this.code = data.code;
+    this.labelEn = data.labelEn;
+    this.labelMr = data.labelMr;
+    this.active = data.active ?? true;
+    this.sortOrder = data.sortOrder ?? 0;
+    this.rules = data.rules || {}; // see categoryService.RULES
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS categories (
+        id VARCHAR(36) PRIMARY KEY,
+        type ENUM('Donation', 'Expense') NOT NULL,
+        parent_id VARCHAR(36) NULL,
+        code VARCHAR(100) NOT NULL,
+        label_en VARCHAR(100) NOT NULL,
+        label_mr VARCHAR(100) NOT NULL,
+        active BOOLEAN NOT NULL DEFAULT TRUE,
+        sort_order INT NOT NULL DEFAULT 0,
+        rules JSON NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_categories_code (type, parent_id, code),
+        INDEX idx_parent (parent_id),
+        FOREIGN KEY (parent_id) REFERENCES categories(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new Category({
+      id: row.id,
+      type: row.type,
+      parentId: row.parent_id,
+      code: row.code,
+      labelEn: row.label_en,
+      labelMr: row.label_mr,
+      active: Boolean(row.active),
+      sortOrder: row.sort_order,
+      rules: parseJson(row.rules),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      type: this.type,
+      parent_id: this.parentId,
+      code: this.code,
+      label_en: this.labelEn,
+      label_mr: this.labelMr,
+      active: this.active,
+      sort_order: this.sortOrder,
+      rules: Object.keys(this.rules).length > 0 ? JSON.stringify(this.rules) : null
+    };
+  }
+}
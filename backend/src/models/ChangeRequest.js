@@ -0,0 +1,216 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/db.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'ChangeRequestModel' });
+
+// Fields left out of the diff shown to reviewers. Attached files are shown
+// as the request's own attachments instead of as ids.
+const DIFF_IGNORED = [
+  'id',
+  'type',
+  'createdAt',
+  'idempotencyKey',
+  'receiptPrintCount',
+  'receiptPrintedAt',
+  'attachmentIds',
+];
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value ?? null);
+
+const blank = (value) => value === undefined || value === null || value === '';
+
+// A create, update or delete of a transactions entry held until a second user
+// approves it. payload is what will be written; original is the entry as it
+// stood when the change was requested, kept for the reviewer's diff.
+export class ChangeRequest {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.entityType = data.entity_type || data.entityType; // transactions.type: 'Donation' | 'Expense' | 'RentIncome' | ...
+    this.entityId = data.entity_id || data.entityId || null; // set for a create once it is approved
+    this.action = data.action; // 'create' | 'update' | 'delete'
+    this.payload = parseJson(data.payload);
+    this.original = parseJson(data.original);
+    this.amount = data.amount === null || data.amount === undefined ? null : parseFloat(data.amount);
+    this.status = data.status || 'Pending'; // 'Pending' | 'Approved' | 'Rejected' | 'Cancelled'
+    this.requestedBy = data.requested_by || data.requestedBy;
+    this.requestedByName = data.requested_by_name || data.requestedByName || null;
+    this.requestedAt = data.requested_at || data.requestedAt;
+    this.reviewedBy = data.reviewed_by || data.reviewedBy || null;
+    this.reviewedByName = data.reviewed_by_name || data.reviewedByName || null;
+    this.reviewedAt = data.reviewed_at || data.reviewedAt || null;
+    this.reviewNote = data.review_note || data.reviewNote || null;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS change_requests (
+        id VARCHAR(36) PRIMARY KEY,
+        entity_type VARCHAR(30) NOT NULL,
+        entity_id VARCHAR(36) NULL,
+        action ENUM('create', 'update', 'delete') NOT NULL,
+        payload JSON NULL,
+        original JSON NULL,
+        amount DECIMAL(12,2) NULL,
+        status ENUM('Pending', 'Approved', 'Rejected', 'Cancelled') NOT NULL DEFAULT 'Pending',
+        requested_by VARCHAR(36) NOT NULL,
+        requested_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        reviewed_by VARCHAR(36) NULL,
+        reviewed_at TIMESTAMP NULL,
+        review_note VARCHAR(500) NULL,
+        INDEX idx_status_requested (status, requested_at),
+        INDEX idx_entity (entity_id, status),
+        INDEX idx_requested_by (requested_by)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static async create({ entityType, entityId = null, action, payload = null, original = null, amount = null, requestedBy }) {
+    const id = uuidv4();
+    try {
+      await query(
+        `INSERT INTO change_requests
+           (id, entity_type, entity_id, action, payload, original, amount, requested_by)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          entityType,
+          entityId,
+          action,
+          payload ? JSON.stringify(payload) : null,
+          original ? JSON.stringify(original) : null,
+          amount,
+          requestedBy,
+        ]
+      );
+      return await ChangeRequest.findById(id);
+    } catch (error) {
+      logger.error('Failed to create change request:', { error: error.message, entityType, entityId, action });
+      throw error;
+    }
+  }
+
+  // Requests with the usernames of both people, newest first
+  static async findAll({ status = null, requestedBy = null, limit = 100 } = {}) {
+    const conditions = [];
+    const params = [];
+    if (status) {
+      conditions.push('cr.status = ?');
+      params.push(status);
+    }
+    if (requestedBy) {
+      conditions.push('cr.requested_by = ?');
+      params.push(requestedBy);
+    }
+
+    try {
+      const rows = await query(
+        `SELECT cr.*, maker.username AS requested_by_name, checker.username AS reviewed_by_name
+         FROM change_requests cr
+         LEFT JOIN users maker ON maker.id = cr.requested_by
+         LEFT JOIN users checker ON checker.id = cr.reviewed_by
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY cr.requested_at DESC
+         LIMIT ${Number(limit)}`,
+        params
+      );
+      return rows.map((row) => new ChangeRequest(row));
+    } catch (error) {
+      logger.error('Failed to list change requests:', { error: error.message, status });
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    try {
+      const rows = await query(
+        `SELECT cr.*, maker.username AS requested_by_name, checker.username AS reviewed_by_name
+         FROM change_requests cr
+         LEFT JOIN users maker ON maker.id = cr.requested_by
+         LEFT JOIN users checker ON checker.id = cr.reviewed_by
+         WHERE cr.id = ?`,
+        [id]
+      );
+      return rows[0] ? new ChangeRequest(rows[0]) : null;
+    } catch (error) {
+      logger.error('Failed to find change request:', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  static async findPendingForEntity(entityId) {
+    const rows = await query(
+      "SELECT * FROM change_requests WHERE entity_id = ? AND status = 'Pending' LIMIT 1",
+      [entityId]
+    );
+    return rows[0] ? new ChangeRequest(rows[0]) : null;
+  }
+
+  /**
+   * Move a Pending request to its outcome. Returns false when it is no longer
+   * Pending, so two reviewers cannot both act on it.
+   */
+  static async close(id, { status, reviewedBy, note = null }) {
+    const result = await query(
+      `UPDATE change_requests
+       SET status = ?, reviewed_by = ?, reviewed_at = NOW(), review_note = ?
+       WHERE id = ? AND status = 'Pending'`,
+      [status, reviewedBy, note, id]
+    );
+    return result.affectedRows > 0;
+  }
+
+  // Put an approved request back in the queue when applying it failed
+  static async reopen(id) {
+    await query(
+      `UPDATE change_requests
+       SET status = 'Pending', reviewed_by = NULL, reviewed_at = NULL, review_note = NULL
+       WHERE id = ?`,
+      [id]
+    );
+  }
+
+  static async setEntityId(id, entityId) {
+    await query('UPDATE change_requests SET entity_id = ? WHERE id = ?', [entityId, id]);
+  }
+
+  // Field-by-field changes: everything for a create, the changed fields for an
+  // update and what is being removed for a delete
+  diff() {
+    const before = this.original || {};
+    const after = this.action === 'delete' ? {} : this.payload || {};
+    const fields = this.action === 'update' ? Object.keys(after) : Object.keys({ ...before, ...after });
+
+    return fields
+      .filter((field) => !DIFF_IGNORED.includes(field))
+      .map((field) => ({
+        field,
+        from: blank(before[field]) ? null : before[field],
+        to: blank(after[field]) ? null : after[field],
+      }))
+      .filter(({ from, to }) => String(from) !== String(to));
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      entityType: this.entityType,
+      entityId: this.entityId,
+      action: this.action,
+      amount: this.amount,
+      status: this.status,
+      original: this.original,
+      payload: this.payload,
+      changes: this.diff(),
+      requestedBy: this.requestedBy,
+      requestedByName: this.requestedByName,
+      requestedAt: this.requestedAt,
+      reviewedBy: this.reviewedBy,
+      reviewedByName: this.reviewedByName,
+      reviewedAt: this.reviewedAt,
+      reviewNote: this.reviewNote,
+    };
+  }
+}
+
+export default ChangeRequest;
@@ -0,0 +1,56 @@
+export class Donor {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.phone = data.phone; // 10 digits
+    this.address = data.address;
+    this.gotra = data.gotra; // gotra or family name
+    this.pan = data.pan;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS donors (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(100) NOT NULL,
+        name_key VARCHAR(100) NOT NULL,
+        phone VARCHAR(20) NULL,
+        address TEXT NULL,
+        gotra VARCHAR(100) NULL,
+        pan CHAR(10) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        INDEX idx_name_key (name_key),
+        INDEX idx_phone (phone),
+        INDEX idx_pan (pan)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new Donor({
+      id: row.id,
+      name: row.name,
+      phone: row.phone,
+      address: row.address,
+      gotra: row.gotra,
+      pan: row.pan,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  // name_key is derived by donorService and written alongside
+  toDbObject() {
+    return {
+      id: this.id,
+      name: this.name,
+      phone: this.phone || null,
+      address: this.address || null,
+      gotra: this.gotra || null,
+      pan: this.pan || null
+    };
+  }
+}
@@ -0,0 +1,59 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+export class FinancialYear {
+  constructor(data = {}) {
+    this.year = data.year; // '2024-25' for 1 April 2024 - 31 March 2025
+    this.startDate = data.startDate;
+    this.endDate = data.endDate;
+    this.status = data.status; // 'Open' | 'Closed'
+    this.surplus = data.surplus; // income less expenses transferred to the General Fund on closing
+    this.closedBy = data.closedBy;
+    this.closedAt = data.closedAt;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS financial_years (
+        year CHAR(7) PRIMARY KEY,
+        start_date DATE NOT NULL,
+        end_date DATE NOT NULL,
+        status ENUM('Open', 'Closed') NOT NULL DEFAULT 'Open',
+        surplus DECIMAL(14,2) NULL,
+        closed_by VARCHAR(36) NULL,
+        closed_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_financial_year_start (start_date),
+        INDEX idx_status (status)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new FinancialYear({
+      year: row.year,
+      startDate: toDateOnly(row.start_date),
+      endDate: toDateOnly(row.end_date),
+      status: row.status,
+      surplus: row.surplus === null ? null : parseFloat(row.surplus),
+      closedBy: row.closed_by,
+      closedAt: row.closed_at,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      year: this.year,
+      start_date: this.startDate,
+      end_date: this.endDate,
+      status: this.status || 'Open',
+      surplus: this.surplus ?? null,
+      closed_by: this.closedBy ?? null,
+      closed_at: this.closedAt ?? null
+    };
+  }
+}
@@ -0,0 +1,54 @@
+export class FinancialYearBalance {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.year = data.year; // the year these balances open
+    this.accountId = data.accountId;
+    this.accountCode = data.accountCode;
+    this.accountName = data.accountName;
+    this.accountType = data.accountType;
+    this.debit = data.debit;
+    this.credit = data.credit;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS financial_year_balances (
+        id VARCHAR(36) PRIMARY KEY,
+        year CHAR(7) NOT NULL,
+        account_id VARCHAR(36) NOT NULL,
+        debit DECIMAL(14,2) NOT NULL DEFAULT 0,
+        credit DECIMAL(14,2) NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_year_account (year, account_id),
+        FOREIGN KEY (year) REFERENCES financial_years(year) ON DELETE CASCADE,
+        FOREIGN KEY (account_id) REFERENCES ledger_accounts(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  // Rows joined with ledger_accounts carry the account's code, name and type
+  static fromDbRow(row) {
+    return new FinancialYearBalance({
+      id: row.id,
+      year: row.year,
+      accountId: row.account_id,
+      accountCode: row.code,
+      accountName: row.name,
+      accountType: row.type,
+      debit: parseFloat(row.debit),
+      credit: parseFloat(row.credit),
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      year: this.year,
+      account_id: this.accountId,
+      debit: this.debit ?? 0,
+      credit: this.credit ?? 0
+    };
+  }
+}
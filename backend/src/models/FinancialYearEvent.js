@@ -0,0 +1,46 @@
+export class FinancialYearEvent {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.year = data.year;
+    this.action = data.action; // 'Close' | 'Reopen'
+    this.reason = data.reason; // required when reopening
+    this.userId = data.userId;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS financial_year_events (
+        id VARCHAR(36) PRIMARY KEY,
+        year CHAR(7) NOT NULL,
+        action ENUM('Close', 'Reopen') NOT NULL,
+        reason VARCHAR(500) NULL,
+        user_id VARCHAR(36) NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_year (year),
+        FOREIGN KEY (year) REFERENCES financial_years(year) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new FinancialYearEvent({
+      id: row.id,
+      year: row.year,
+      action: row.action,
+      reason: row.reason,
+      userId: row.user_id,
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      year: this.year,
+      action: this.action,
+      reason: this.reason ?? null,
+      user_id: this.userId ?? null
+    };
+  }
+}
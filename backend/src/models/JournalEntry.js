@@ -0,0 +1,48 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+export class JournalEntry {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.entryDate = data.entryDate;
+    this.sourceType = data.sourceType; // 'Transaction' | 'Loan' | 'RentPenalty' | 'RentInvoice' | 'Agreement' | 'FinancialYear'
+    this.sourceId = data.sourceId;
+    this.description = data.description;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS journal_entries (
+        id VARCHAR(36) PRIMARY KEY,
+        entry_date DATE NOT NULL,
+        source_type VARCHAR(30) NOT NULL,
+        source_id VARCHAR(36) NOT NULL,
+        description VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_source (source_type, source_id),
+        INDEX idx_entry_date (entry_date)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new JournalEntry({
+      id: row.id,
+      entryDate: toDateOnly(row.entry_date),
+      sourceType: row.source_type,
+      sourceId: row.source_id,
+      description: row.description,
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      entry_date: this.entryDate,
+      source_type: this.sourceType,
+      source_id: this.sourceId,
+      description: this.description
+    };
+  }
+}
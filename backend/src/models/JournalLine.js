@@ -0,0 +1,45 @@
+export class JournalLine {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.entryId = data.entryId;
+    this.accountId = data.accountId;
+    this.debit = data.debit;
+    this.credit = data.credit;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS journal_lines (
+        id VARCHAR(36) PRIMARY KEY,
+        entry_id VARCHAR(36) NOT NULL,
+        account_id VARCHAR(36) NOT NULL,
+        debit DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+        credit DECIMAL(12,2) NOT NULL DEFAULT 0.00,
+        INDEX idx_entry (entry_id),
+        INDEX idx_account (account_id),
+        FOREIGN KEY (entry_id) REFERENCES journal_entries(id) ON DELETE CASCADE,
+        FOREIGN KEY (account_id) REFERENCES ledger_accounts(id)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new JournalLine({
+      id: row.id,
+      entryId: row.entry_id,
+      accountId: row.account_id,
+      debit: parseFloat(row.debit),
+      credit: parseFloat(row.credit)
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      entry_id: this.entryId,
+      account_id: this.accountId,
+      debit: this.debit,
+      credit: this.credit
+    };
+  }
+}
@@ -0,0 +1,51 @@
+export class LedgerAccount {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.code = data.code;
+    this.name = data.name;
+    this.type = data.type; // 'Asset' | 'Liability' | 'Equity' | 'Income' | 'Expense'
+    this.parentCode = data.parentCode; // group account for per-category accounts
+    this.isSystem = data.isSystem;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS ledger_accounts (
+        id VARCHAR(36) PRIMARY KEY,
+        code VARCHAR(60) NOT NULL,
+        name VARCHAR(150) NOT NULL,
+        type ENUM('Asset', 'Liability', 'Equity', 'Income', 'Expense') NOT NULL,
+        parent_code VARCHAR(60) NULL,
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_ledger_account_code (code),
+        INDEX idx_type (type),
+        INDEX idx_parent_code (parent_code)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new LedgerAccount({
+      id: row.id,
+      code: row.code,
+      name: row.name,
+      type: row.type,
+      parentCode: row.parent_code,
+      isSystem: Boolean(row.is_system),
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      code: this.code,
+      name: this.name,
+      type: this.type,
+      parent_code: this.parentCode ?? null,
+      is_system: this.isSystem ? 1 : 0
+    };
+  }
+}
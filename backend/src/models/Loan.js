@@ -35,6 +35,9 @@ export class Loan {
         next_emi_date DATE NOT NULL,
         last_payment_date DATE NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP(3) NULL,
+        deleted_by VARCHAR(36) NULL,
+        INDEX idx_deleted_at (deleted_at),
         INDEX idx_tenant (tenant_id),
         INDEX idx_agreement (agreement_id),
         INDEX idx_status (status),
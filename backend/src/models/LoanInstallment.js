@@ -0,0 +1,81 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+export class LoanInstallment {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.loanId = data.loanId;
+    this.installmentNumber = data.installmentNumber;
+    this.dueDate = data.dueDate;
+    this.openingBalance = data.openingBalance;
+    this.emiAmount = data.emiAmount;
+    this.principalComponent = data.principalComponent;
+    this.interestComponent = data.interestComponent;
+    this.closingBalance = data.closingBalance;
+    this.amountPaid = data.amountPaid;
+    this.status = data.status; // 'Pending' | 'Partial' | 'Paid'
+    this.paidDate = data.paidDate;
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS loan_installments (
+        id VARCHAR(36) PRIMARY KEY,
+        loan_id VARCHAR(36) NOT NULL,
+        installment_number INT NOT NULL,
+        due_date DATE NOT NULL,
+        opening_balance DECIMAL(12,2) NOT NULL,
+        emi_amount DECIMAL(10,2) NOT NULL,
+        principal_component DECIMAL(12,2) NOT NULL,
+        interest_component DECIMAL(10,2) NOT NULL,
+        closing_balance DECIMAL(12,2) NOT NULL,
+        amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        status ENUM('Pending', 'Partial', 'Paid') NOT NULL DEFAULT 'Pending',
+        paid_date DATE NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_loan_installment (loan_id, installment_number),
+        INDEX idx_due_date (due_date),
+        INDEX idx_status (status),
+        FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new LoanInstallment({
+      id: row.id,
+      loanId: row.loan_id,
+      installmentNumber: row.installment_number,
+      dueDate: toDateOnly(row.due_date),
+      openingBalance: parseFloat(row.opening_balance),
+      emiAmount: parseFloat(row.emi_amount),
+      principalComponent: parseFloat(row.principal_component),
+      interestComponent: parseFloat(row.interest_component),
+      closingBalance: parseFloat(row.closing_balance),
+      amountPaid: parseFloat(row.amount_paid),
+      status: row.status,
+      paidDate: toDateOnly(row.paid_date),
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      loan_id: this.loanId,
+      installment_number: this.installmentNumber,
+      due_date: this.dueDate,
+      opening_balance: this.openingBalance,
+      emi_amount: this.emiAmount,
+      principal_component: this.principalComponent,
+      interest_component: this.interestComponent,
+      closing_balance: this.closingBalance,
+      amount_paid: this.amountPaid ?? 0,
+      status: this.status || 'Pending',
+      paid_date: this.paidDate ?? null
+    };
+  }
+}
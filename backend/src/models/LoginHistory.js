@@ -0,0 +1,134 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/db.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'LoginHistoryModel' });
+
+// A device is identified by its user agent string; good enough to notice a new
+// browser or machine without storing anything more invasive than the header itself.
+export const deviceHash = (userAgent) =>
+  crypto.createHash('sha256').update(userAgent || '').digest('hex');
+
+// One row per sign-in attempt, successful or not. Attempts against unknown
+// emails are kept too (with no user_id) so credential stuffing shows up.
+export class LoginHistory {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId || null;
+    this.email = data.email;
+    this.ipAddress = data.ip_address || data.ipAddress || null;
+    this.userAgent = data.user_agent || data.userAgent || null;
+    this.deviceHash = data.device_hash || data.deviceHash;
+    this.success = !!data.success;
+    this.failureReason = data.failure_reason || data.failureReason || null; // 'InvalidPassword' | 'InvalidTwoFactorCode' | 'AccountLocked' | 'AccountInactive' | 'UnknownAccount'
+    this.newDevice = !!(data.new_device ?? data.newDevice);
+    this.createdAt = data.created_at || data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS login_history (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NULL,
+        email VARCHAR(255) NOT NULL,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(500) NULL,
+        device_hash CHAR(64) NOT NULL,
+        success BOOLEAN NOT NULL,
+        failure_reason ENUM('InvalidPassword', 'InvalidTwoFactorCode', 'AccountLocked', 'AccountInactive', 'UnknownAccount') NULL,
+        new_device BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_user_created (user_id, created_at),
+        INDEX idx_user_device (user_id, device_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  // Record an attempt. For a successful sign-in, newDevice is worked out here:
+  // the user has signed in before, but never from this device.
+  static async record({ userId = null, email, ipAddress, userAgent, success, failureReason = null }) {
+    try {
+      const id = uuidv4();
+      const hash = deviceHash(userAgent);
+      let newDevice = false;
+
+      if (success && userId) {
+        const [seen] = await query(
+          `SELECT
+             COUNT(*) AS total,
+             SUM(device_hash = ?) AS same_device
+           FROM login_history
+           WHERE user_id = ? AND success = TRUE`,
+          [hash, userId]
+        );
+        newDevice = Number(seen.total) > 0 && Number(seen.same_device || 0) === 0;
+      }
+
+      await query(
+        `INSERT INTO login_history
+           (id, user_id, email, ip_address, user_agent, device_hash, success, failure_reason, new_device)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+        [
+          id,
+          userId,
+          email,
+          ipAddress || null,
+          userAgent ? userAgent.slice(0, 500) : null,
+          hash,
+          success,
+          failureReason,
+          newDevice,
+        ]
+      );
+
+      return new LoginHistory({
+        id,
+        userId,
+        email,
+        ipAddress,
+        userAgent,
+        deviceHash: hash,
+        success,
+        failureReason,
+        newDevice,
+        createdAt: new Date(),
+      });
+    } catch (error) {
+      logger.error('Failed to record login attempt:', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // Most recent attempts for a user, newest first
+  static async findByUser(userId, limit = 50) {
+    try {
+      const safeLimit = Math.min(Math.max(parseInt(limit, 10) || 50, 1), 200);
+      const rows = await query(
+        `SELECT * FROM login_history WHERE user_id = ?
+         ORDER BY created_at DESC LIMIT ${safeLimit}`,
+        [userId]
+      );
+      return rows.map((row) => new LoginHistory(row));
+    } catch (error) {
+      logger.error('Failed to load login history:', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      userId: this.userId,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      success: this.success,
+      failureReason: this.failureReason,
+      newDevice: this.newDevice,
+      createdAt: this.createdAt,
+    };
+  }
+}
+
+export default LoginHistory;
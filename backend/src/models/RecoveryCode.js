@@ -0,0 +1,102 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/db.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'RecoveryCodeModel' });
+
+const CODE_COUNT = 10;
+
+// Codes are shown as xxxx-xxxx; case and the dash are ignored when one is entered
+const normalize = (code) => String(code || '').replace(/[\s-]/g, '').toLowerCase();
+const hashCode = (code) => crypto.createHash('sha256').update(normalize(code)).digest('hex');
+
+// Single-use two-factor recovery codes, for signing in without the authenticator app.
+// Only hashes are stored; the codes are shown to the user once, when issued.
+export class RecoveryCode {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.codeHash = data.code_hash || data.codeHash;
+    this.usedAt = data.used_at || data.usedAt;
+    this.createdAt = data.created_at || data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS user_recovery_codes (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        code_hash CHAR(64) NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_user_code (user_id, code_hash),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  // Replace a user's codes with a fresh set and return the plain codes
+  static async issue(userId) {
+    try {
+      await RecoveryCode.deleteForUser(userId);
+
+      const codes = Array.from({ length: CODE_COUNT }, () => {
+        const hex = crypto.randomBytes(4).toString('hex');
+        return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+      });
+
+      for (const code of codes) {
+        await query(
+          'INSERT INTO user_recovery_codes (id, user_id, code_hash) VALUES (?, ?, ?)',
+          [uuidv4(), userId, hashCode(code)]
+        );
+      }
+
+      logger.info('Recovery codes issued:', { userId, count: codes.length });
+      return codes;
+    } catch (error) {
+      logger.error('Failed to issue recovery codes:', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  // Use up a code. Returns false when it is unknown or already used.
+  static async consume(userId, code) {
+    try {
+      const result = await query(
+        `UPDATE user_recovery_codes SET used_at = NOW()
+         WHERE user_id = ? AND code_hash = ? AND used_at IS NULL`,
+        [userId, hashCode(code)]
+      );
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Failed to consume recovery code:', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  static async countUnused(userId) {
+    try {
+      const [row] = await query(
+        'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = ? AND used_at IS NULL',
+        [userId]
+      );
+      return Number(row.remaining);
+    } catch (error) {
+      logger.error('Failed to count recovery codes:', { error: error.message, userId });
+      throw error;
+    }
+  }
+
+  static async deleteForUser(userId) {
+    try {
+      await query('DELETE FROM user_recovery_codes WHERE user_id = ?', [userId]);
+    } catch (error) {
+      logger.error('Failed to delete recovery codes:', { error: error.message, userId });
+      throw error;
+    }
+  }
+}
+
+export default RecoveryCode;
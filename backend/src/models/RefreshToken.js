@@ -6,6 +6,8 @@ import pino from 'pino';
 
 const logger = pino({ name: 'RefreshTokenModel' });
 
+const SESSION_TOUCH_INTERVAL_MS = 5 * 60 * 1000;
+
 export class RefreshToken {
   constructor(data = {}) {
     this.id = data.id;
@@ -14,10 +16,19 @@ export class RefreshToken {
     this.expiresAt = data.expires_at || data.expiresAt;
     this.isRevoked = data.is_revoked || data.isRevoked || false;
     this.createdAt = data.created_at || data.createdAt;
+    this.familyId = data.family_id || data.familyId;
+    this.ipAddress = data.ip_address || data.ipAddress || null;
+    this.userAgent = data.user_agent || data.userAgent || null;
+    this.lastUsedAt = data.last_used_at || data.lastUsedAt || null;
+    this.replacedBy = data.replaced_by || data.replacedBy || null;
+    this.sessionStartedAt = data.session_started_at || data.sessionStartedAt || this.createdAt;
   }
 
-  // Create a new refresh token
-  static async create(userId) {
+  /**
+   * Create a new refresh token. Every sign-in starts a new family (session);
+   * rotation passes the family on so the session keeps its id and start time.
+   */
+  static async create(userId, { familyId, sessionStartedAt, ipAddress, userAgent } = {}) {
     try {
       // Validate JWT refresh secret is available
       if (!env.JWT_REFRESH_SECRET || env.JWT_REFRESH_SECRET.length < 32) {
@@ -26,6 +37,7 @@ export class RefreshToken {
       }
 
       const id = uuidv4();
+      const family = familyId || id;
       const token = jwt.sign({ userId, tokenId: id }, env.JWT_REFRESH_SECRET, {
         expiresIn: env.JWT_REFRESH_EXPIRES_IN,
       });
@@ -39,14 +51,24 @@ export class RefreshToken {
       expiresAt.setDate(expiresAt.getDate() + 7); // 7 days from now
       
       await query(
-        `INSERT INTO refresh_tokens (id, user_id, token_hash, expires_at)
-         VALUES (?, ?, ?, ?)`,
-        [id, userId, tokenHash, expiresAt]
+        `INSERT INTO refresh_tokens
+           (id, user_id, token_hash, expires_at, family_id, ip_address, user_agent, session_started_at, last_used_at)
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, NOW())`,
+        [
+          id,
+          userId,
+          tokenHash,
+          expiresAt,
+          family,
+          ipAddress || null,
+          userAgent ? userAgent.substring(0, 500) : null,
+          sessionStartedAt || new Date(),
+        ]
       );
 
-      logger.info('Refresh token created:', { id, userId });
+      logger.info('Refresh token created:', { id, userId, familyId: family });
       
-      return { token, tokenId: id };
+      return { token, tokenId: id, familyId: family };
     } catch (error) {
       logger.error('Failed to create refresh token:', {
         error: error.message,
@@ -89,6 +111,128 @@ export class RefreshToken {
     }
   }
 
+  /**
+   * Exchange a refresh token for a new one in the same family.
+   *
+   * Each token can be rotated once. Presenting a token that was already
+   * rotated means it was copied, so the whole family is revoked and both the
+   * thief and the real user have to sign in again. Returns
+   * { status: 'rotated', userId, token, familyId }, { status: 'reused' } or
+   * { status: 'invalid' }.
+   */
+  static async rotate(token, client = {}) {
+    let decoded;
+    try {
+      decoded = jwt.verify(token, env.JWT_REFRESH_SECRET);
+    } catch (error) {
+      logger.warn('Invalid or expired refresh token:', { error: error.message });
+      return { status: 'invalid' };
+    }
+
+    const crypto = await import('crypto');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+
+    const [record] = await query(
+      'SELECT * FROM refresh_tokens WHERE id = ? AND token_hash = ?',
+      [decoded.tokenId, tokenHash]
+    );
+    if (!record || new Date(record.expires_at) <= new Date()) {
+      return { status: 'invalid' };
+    }
+
+    const current = new RefreshToken(record);
+    if (current.isRevoked) {
+      if (current.replacedBy) {
+        await RefreshToken.revokeFamily(current.userId, current.familyId);
+        logger.warn('Refresh token reuse detected, session revoked:', {
+          userId: current.userId,
+          familyId: current.familyId,
+        });
+        return { status: 'reused' };
+      }
+      return { status: 'invalid' };
+    }
+
+    const next = await RefreshToken.create(current.userId, {
+      familyId: current.familyId || current.id,
+      sessionStartedAt: current.sessionStartedAt,
+      ...client,
+    });
+
+    // Claim the old token; if a concurrent request got there first, this one is the replay
+    const result = await query(
+      'UPDATE refresh_tokens SET is_revoked = TRUE, replaced_by = ? WHERE id = ? AND is_revoked = FALSE',
+      [next.tokenId, current.id]
+    );
+    if (result.affectedRows === 0) {
+      await RefreshToken.revokeFamily(current.userId, next.familyId);
+      logger.warn('Refresh token reuse detected, session revoked:', {
+        userId: current.userId,
+        familyId: next.familyId,
+      });
+      return { status: 'reused' };
+    }
+
+    return { status: 'rotated', userId: current.userId, token: next.token, familyId: next.familyId };
+  }
+
+  // Active sessions for a user: the live token of each family
+  static async findActiveSessions(userId) {
+    try {
+      const tokens = await query(
+        `SELECT * FROM refresh_tokens
+         WHERE user_id = ? AND is_revoked = FALSE AND expires_at > NOW()
+         ORDER BY COALESCE(last_used_at, created_at) DESC`,
+        [userId]
+      );
+
+      return tokens.map(token => new RefreshToken(token));
+    } catch (error) {
+      logger.error('Failed to find active sessions:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke every token in a session. Returns false when the user has no
+   * active token in that family.
+   */
+  static async revokeFamily(userId, familyId) {
+    try {
+      const result = await query(
+        'UPDATE refresh_tokens SET is_revoked = TRUE WHERE user_id = ? AND family_id = ? AND is_revoked = FALSE',
+        [userId, familyId]
+      );
+
+      logger.info('Session revoked:', { userId, familyId, tokens: result.affectedRows });
+      return result.affectedRows > 0;
+    } catch (error) {
+      logger.error('Failed to revoke session:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Check that an access token's session is still live and record that it
+   * was used. The timestamp is only written every few minutes to keep
+   * authenticated requests cheap.
+   */
+  static async touchSession(familyId) {
+    const [active] = await query(
+      `SELECT id, last_used_at FROM refresh_tokens
+       WHERE family_id = ? AND is_revoked = FALSE AND expires_at > NOW()
+       LIMIT 1`,
+      [familyId]
+    );
+    if (!active) return false;
+
+    const lastUsed = active.last_used_at ? new Date(active.last_used_at).getTime() : 0;
+    if (Date.now() - lastUsed > SESSION_TOUCH_INTERVAL_MS) {
+      await query('UPDATE refresh_tokens SET last_used_at = NOW() WHERE id = ?', [active.id]);
+    }
+    return true;
+  }
+
   // Find all refresh tokens for a user
   static async findByUserId(userId) {
     try {
@@ -135,11 +279,11 @@ export class RefreshToken {
     }
   }
 
-  // Clean up expired tokens
+  // Clean up expired tokens. Revoked ones are kept until they expire so a replay is still recognised.
   static async cleanupExpired() {
     try {
       const result = await query(
-        'DELETE FROM refresh_tokens WHERE expires_at < NOW() OR is_revoked = TRUE'
+        'DELETE FROM refresh_tokens WHERE expires_at < NOW()'
       );
 
       logger.info('Cleaned up expired refresh tokens:', { deleted: result.affectedRows });
@@ -165,9 +309,52 @@ export class RefreshToken {
       expires_at: this.expiresAt,
       is_revoked: this.isRevoked,
       created_at: this.createdAt,
+      family_id: this.familyId,
+      ip_address: this.ipAddress,
+      user_agent: this.userAgent,
+      last_used_at: this.lastUsedAt,
+      replaced_by: this.replacedBy,
+      session_started_at: this.sessionStartedAt,
     };
   }
 
+  // Session view for the API: ids are family ids, never token ids
+  toSessionJSON(currentSessionId = null) {
+    return {
+      id: this.familyId,
+      ipAddress: this.ipAddress,
+      userAgent: this.userAgent,
+      createdAt: this.sessionStartedAt,
+      lastUsedAt: this.lastUsedAt || this.createdAt,
+      expiresAt: this.expiresAt,
+      current: Boolean(currentSessionId) && currentSessionId === this.familyId,
+    };
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS refresh_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        family_id VARCHAR(36) NULL,
+        token_hash VARCHAR(255) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        is_revoked BOOLEAN DEFAULT FALSE,
+        ip_address VARCHAR(45) NULL,
+        user_agent VARCHAR(500) NULL,
+        last_used_at TIMESTAMP NULL,
+        replaced_by VARCHAR(36) NULL,
+        session_started_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+        INDEX idx_user_id (user_id),
+        INDEX idx_family_id (family_id),
+        INDEX idx_token_hash (token_hash),
+        INDEX idx_expires_at (expires_at)
+      ) ENGINE=InnoDB;
+    `;
+  }
+
   // Create from database row
   static fromDbRow(row) {
     return new RefreshToken(row);
@@ -0,0 +1,61 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+export class RentInvoice {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.agreementId = data.agreementId;
+    this.period = data.period; // 'YYYY-MM'
+    this.dueDate = data.dueDate;
+    this.amount = data.amount;
+    this.amountPaid = data.amountPaid;
+    this.status = data.status; // 'Unpaid' | 'Partial' | 'Paid'
+    this.createdAt = data.createdAt;
+    this.updatedAt = data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS rent_invoices (
+        id VARCHAR(36) PRIMARY KEY,
+        agreement_id VARCHAR(36) NOT NULL,
+        period CHAR(7) NOT NULL,
+        due_date DATE NOT NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        amount_paid DECIMAL(10,2) NOT NULL DEFAULT 0.00,
+        status ENUM('Unpaid', 'Partial', 'Paid') NOT NULL DEFAULT 'Unpaid',
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_agreement_period (agreement_id, period),
+        INDEX idx_status (status),
+        INDEX idx_due_date (due_date),
+        FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new RentInvoice({
+      id: row.id,
+      agreementId: row.agreement_id,
+      period: row.period,
+      dueDate: toDateOnly(row.due_date),
+      amount: parseFloat(row.amount),
+      amountPaid: parseFloat(row.amount_paid),
+      status: row.status,
+      createdAt: row.created_at,
+      updatedAt: row.updated_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      agreement_id: this.agreementId,
+      period: this.period,
+      due_date: this.dueDate,
+      amount: this.amount,
+      amount_paid: this.amountPaid ?? 0,
+      status: this.status || 'Unpaid'
+    };
+  }
+}
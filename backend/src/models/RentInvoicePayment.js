@@ -0,0 +1,48 @@
+export class RentInvoicePayment {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.agreementId = data.agreementId;
+    this.transactionId = data.transactionId;
+    this.invoiceId = data.invoiceId; // null while the amount is unapplied tenant credit
+    this.amount = data.amount;
+    this.createdAt = data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS rent_invoice_payments (
+        id VARCHAR(36) PRIMARY KEY,
+        agreement_id VARCHAR(36) NOT NULL,
+        transaction_id VARCHAR(36) NOT NULL,
+        invoice_id VARCHAR(36) NULL,
+        amount DECIMAL(10,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        INDEX idx_agreement (agreement_id),
+        INDEX idx_transaction (transaction_id),
+        INDEX idx_invoice (invoice_id),
+        FOREIGN KEY (invoice_id) REFERENCES rent_invoices(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static fromDbRow(row) {
+    return new RentInvoicePayment({
+      id: row.id,
+      agreementId: row.agreement_id,
+      transactionId: row.transaction_id,
+      invoiceId: row.invoice_id,
+      amount: parseFloat(row.amount),
+      createdAt: row.created_at
+    });
+  }
+
+  toDbObject() {
+    return {
+      id: this.id,
+      agreement_id: this.agreementId,
+      transaction_id: this.transactionId,
+      invoice_id: this.invoiceId ?? null,
+      amount: this.amount
+    };
+  }
+}
@@ -2,10 +2,14 @@ export class RentPenalty {
   constructor(data = {}) {
     this.id = data.id;
     this.agreementId = data.agreementId;
+    this.invoiceId = data.invoiceId; // rent invoice that fell overdue (engine-raised penalties)
+    this.reason = data.reason; // 'LateFee' | 'ChequeBounce'
+    this.bouncedTransactionId = data.bouncedTransactionId; // bounced cheque a ChequeBounce charge was raised for
     this.tenantName = data.tenantName;
     this.rentAmount = data.rentAmount;
     this.dueDate = data.dueDate;
     this.paidDate = data.paidDate;
+    this.penaltyType = data.penaltyType; // 'flat' | 'percentage' | 'per_day'
     this.penaltyRate = data.penaltyRate;
     this.penaltyAmount = data.penaltyAmount;
     this.penaltyPaid = data.penaltyPaid;
@@ -19,20 +23,28 @@ export class RentPenalty {
       CREATE TABLE IF NOT EXISTS rent_penalties (
         id VARCHAR(36) PRIMARY KEY,
         agreement_id VARCHAR(36) NOT NULL,
+        invoice_id VARCHAR(36) NULL UNIQUE,
+        reason ENUM('LateFee', 'ChequeBounce') NOT NULL DEFAULT 'LateFee',
+        bounced_transaction_id VARCHAR(36) NULL,
         tenant_name VARCHAR(100) NOT NULL,
         rent_amount DECIMAL(10,2) NOT NULL,
         due_date DATE NOT NULL,
         paid_date DATE NULL,
+        penalty_type ENUM('flat', 'percentage', 'per_day') NULL,
         penalty_rate DECIMAL(5,2) NOT NULL,
         penalty_amount DECIMAL(10,2) NOT NULL,
         penalty_paid BOOLEAN DEFAULT FALSE,
         penalty_paid_date DATE NULL,
         status ENUM('Pending', 'Paid') NOT NULL DEFAULT 'Pending',
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP(3) NULL,
+        deleted_by VARCHAR(36) NULL,
+        INDEX idx_deleted_at (deleted_at),
         INDEX idx_agreement (agreement_id),
         INDEX idx_status (status),
         INDEX idx_due_date (due_date),
         INDEX idx_penalty_paid (penalty_paid),
+        INDEX idx_bounced_transaction (bounced_transaction_id),
         FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE CASCADE
       ) ENGINE=InnoDB;
     `;
@@ -42,10 +54,14 @@ export class RentPenalty {
     return new RentPenalty({
       id: row.id,
       agreementId: row.agreement_id,
+      invoiceId: row.invoice_id,
+      reason: row.reason,
+      bouncedTransactionId: row.bounced_transaction_id,
       tenantName: row.tenant_name,
       rentAmount: parseFloat(row.rent_amount),
       dueDate: row.due_date,
       paidDate: row.paid_date,
+      penaltyType: row.penalty_type,
       penaltyRate: parseFloat(row.penalty_rate),
       penaltyAmount: parseFloat(row.penalty_amount),
       penaltyPaid: row.penalty_paid,
@@ -59,10 +75,14 @@ export class RentPenalty {
     return {
       id: this.id,
       agreement_id: this.agreementId,
+      invoice_id: this.invoiceId ?? null,
+      reason: this.reason || 'LateFee',
+      bounced_transaction_id: this.bouncedTransactionId ?? null,
       tenant_name: this.tenantName,
       rent_amount: this.rentAmount,
       due_date: this.dueDate,
       paid_date: this.paidDate,
+      penalty_type: this.penaltyType,
       penalty_rate: this.penaltyRate,
       penalty_amount: this.penaltyAmount,
       penalty_paid: this.penaltyPaid,
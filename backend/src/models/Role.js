@@ -0,0 +1,168 @@
+import { v4 as uuidv4 } from 'uuid';
+import { query, transaction } from '../config/db.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'RoleModel' });
+
+// A named set of permissions. users.role holds the role name. System roles
+// (Admin, Treasurer, Viewer) cannot be renamed or deleted.
+export class Role {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.name = data.name;
+    this.description = data.description || null;
+    this.isSystem = Boolean(data.is_system ?? data.isSystem);
+    this.permissions = data.permissions || [];
+    this.userCount = Number(data.user_count ?? data.userCount ?? 0);
+    this.createdAt = data.created_at || data.createdAt;
+    this.updatedAt = data.updated_at || data.updatedAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS roles (
+        id VARCHAR(36) PRIMARY KEY,
+        name VARCHAR(50) NOT NULL UNIQUE,
+        description VARCHAR(255) NULL,
+        is_system BOOLEAN NOT NULL DEFAULT FALSE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  static getPermissionsTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS role_permissions (
+        role_id VARCHAR(36) NOT NULL,
+        permission VARCHAR(100) NOT NULL,
+        PRIMARY KEY (role_id, permission),
+        FOREIGN KEY (role_id) REFERENCES roles(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  // Every role with its permissions and how many users hold it
+  static async findAll() {
+    try {
+      const roles = await query(
+        `SELECT r.*, (SELECT COUNT(*) FROM users u WHERE u.role = r.name) AS user_count
+         FROM roles r ORDER BY r.is_system DESC, r.name`
+      );
+      const grants = await query('SELECT role_id, permission FROM role_permissions ORDER BY permission');
+
+      return roles.map((row) => new Role({
+        ...row,
+        permissions: grants.filter((grant) => grant.role_id === row.id).map((grant) => grant.permission),
+      }));
+    } catch (error) {
+      logger.error('Failed to list roles:', { error: error.message });
+      throw error;
+    }
+  }
+
+  static async findById(id) {
+    const roles = await Role.findAll();
+    return roles.find((role) => role.id === id) || null;
+  }
+
+  static async findByName(name) {
+    try {
+      const [row] = await query('SELECT * FROM roles WHERE name = ?', [name]);
+      return row ? new Role(row) : null;
+    } catch (error) {
+      logger.error('Failed to find role:', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  static async permissionsFor(name) {
+    try {
+      const rows = await query(
+        `SELECT rp.permission FROM role_permissions rp
+         JOIN roles r ON r.id = rp.role_id
+         WHERE r.name = ?`,
+        [name]
+      );
+      return rows.map((row) => row.permission);
+    } catch (error) {
+      logger.error('Failed to load role permissions:', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  static async create({ name, description = null, permissions = [], isSystem = false }) {
+    const id = uuidv4();
+    try {
+      await transaction(async (connection) => {
+        await connection.execute(
+          'INSERT INTO roles (id, name, description, is_system) VALUES (?, ?, ?, ?)',
+          [id, name, description, isSystem]
+        );
+        for (const permission of permissions) {
+          await connection.execute(
+            'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+            [id, permission]
+          );
+        }
+      });
+
+      logger.info('Role created:', { id, name });
+      return await Role.findById(id);
+    } catch (error) {
+      logger.error('Failed to create role:', { error: error.message, name });
+      throw error;
+    }
+  }
+
+  // Replace the description and, when given, the whole permission set
+  static async update(id, { description, permissions }) {
+    try {
+      await transaction(async (connection) => {
+        if (description !== undefined) {
+          await connection.execute('UPDATE roles SET description = ? WHERE id = ?', [description, id]);
+        }
+        if (permissions !== undefined) {
+          await connection.execute('DELETE FROM role_permissions WHERE role_id = ?', [id]);
+          for (const permission of permissions) {
+            await connection.execute(
+              'INSERT INTO role_permissions (role_id, permission) VALUES (?, ?)',
+              [id, permission]
+            );
+          }
+        }
+      });
+
+      logger.info('Role updated:', { id });
+      return await Role.findById(id);
+    } catch (error) {
+      logger.error('Failed to update role:', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  static async delete(id) {
+    try {
+      await query('DELETE FROM roles WHERE id = ?', [id]);
+      logger.info('Role deleted:', { id });
+    } catch (error) {
+      logger.error('Failed to delete role:', { error: error.message, id });
+      throw error;
+    }
+  }
+
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      description: this.description,
+      isSystem: this.isSystem,
+      permissions: this.permissions,
+      userCount: this.userCount,
+      createdAt: this.createdAt,
+      updatedAt: this.updatedAt,
+    };
+  }
+}
+
+export default Role;
@@ -42,6 +42,9 @@ export class Shop {
         tenant_id VARCHAR(36) NULL,
         agreement_id VARCHAR(36) NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP(3) NULL,
+        deleted_by VARCHAR(36) NULL,
+        INDEX idx_deleted_at (deleted_at),
         description TEXT NULL,
         INDEX idx_shop_number (shop_number),
         INDEX idx_status (status),
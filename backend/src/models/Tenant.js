@@ -21,6 +21,9 @@ export class Tenant {
         address TEXT NOT NULL,
         business_type VARCHAR(100) NOT NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP(3) NULL,
+        deleted_by VARCHAR(36) NULL,
+        INDEX idx_deleted_at (deleted_at),
         status ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
         id_proof VARCHAR(200) NULL,
         INDEX idx_name (name),
@@ -1,3 +1,5 @@
+import { toDateOnly } from '../utils/dateHelpers.js';
+
 export class Transaction {
   constructor(data = {}) {
     const timestamp = new Date().toISOString();
@@ -19,6 +21,7 @@ export class Transaction {
     this.receiptNumber = data.receiptNumber;
     this.donorName = data.donorName;
     this.donorContact = data.donorContact;
+    this.donorId = data.donorId; // donors row the donation is filed under
     this.familyMembers = data.familyMembers;
     this.amountPerPerson = data.amountPerPerson;
     this.vendor = data.vendor;
@@ -33,6 +36,15 @@ export class Transaction {
     this.emiAmount = data.emiAmount;
     this.penaltyId = data.penaltyId;
     this.penaltyAmount = data.penaltyAmount;
+    this.paymentMode = data.paymentMode; // 'Cash' | 'UPI' | 'Cheque' | 'Bank Transfer'
+    this.paymentReference = data.paymentReference; // UPI ref / cheque no. / bank ref
+    this.chequeDate = data.chequeDate;
+    this.clearingStatus = data.clearingStatus; // 'Cleared' | 'Pending' | 'Bounced'
+    this.clearingDate = data.clearingDate; // when a cheque was marked cleared or bounced
+    this.bounceReason = data.bounceReason;
+    this.receiptPrintCount = data.receiptPrintCount; // receipts printed so far; every print after the first is a duplicate
+    this.receiptPrintedAt = data.receiptPrintedAt;
+    this.eligible80g = data.eligible80g; // donation qualifies for an 80G certificate; null until assessed
     this.idempotencyKey = data.idempotencyKey;
     this.createdAt = data.createdAt;
 
@@ -61,6 +73,7 @@ export class Transaction {
         receipt_number VARCHAR(50) NULL,
         donor_name VARCHAR(100) NULL,
         donor_contact VARCHAR(20) NULL,
+        donor_id VARCHAR(36) NULL,
         family_members INT NULL,
         amount_per_person DECIMAL(10,2) NULL,
         vendor VARCHAR(100) NULL,
@@ -75,7 +88,20 @@ export class Transaction {
         emi_amount DECIMAL(10,2) NULL,
         penalty_id VARCHAR(36) NULL,
         penalty_amount DECIMAL(10,2) NULL,
+        payment_mode ENUM('Cash', 'UPI', 'Cheque', 'Bank Transfer') NOT NULL DEFAULT 'Cash',
+        payment_reference VARCHAR(100) NULL,
+        cheque_date DATE NULL,
+        clearing_status ENUM('Cleared', 'Pending', 'Bounced') NOT NULL DEFAULT 'Cleared',
+        clearing_date DATE NULL,
+        bounce_reason VARCHAR(255) NULL,
+        receipt_print_count INT NOT NULL DEFAULT 0,
+        receipt_printed_at TIMESTAMP NULL,
+        eligible_80g TINYINT(1) NULL,
+        idempotency_key VARCHAR(100) NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        deleted_at TIMESTAMP(3) NULL,
+        deleted_by VARCHAR(36) NULL,
+        INDEX idx_deleted_at (deleted_at),
         INDEX idx_date (date),
         INDEX idx_type (type),
         INDEX idx_category (category),
@@ -83,9 +109,15 @@ export class Transaction {
         INDEX idx_agreement (agreement_id),
         INDEX idx_loan (loan_id),
         INDEX idx_penalty (penalty_id),
+        INDEX idx_donor (donor_id),
+        INDEX idx_payment_mode (payment_mode),
+        INDEX idx_clearing_status (clearing_status),
+        UNIQUE KEY uq_receipt_number_type (receipt_number, type),
+        UNIQUE KEY uq_idempotency_key (idempotency_key),
         FOREIGN KEY (agreement_id) REFERENCES agreements(id) ON DELETE SET NULL,
         FOREIGN KEY (loan_id) REFERENCES loans(id) ON DELETE SET NULL,
-        FOREIGN KEY (penalty_id) REFERENCES rent_penalties(id) ON DELETE SET NULL
+        FOREIGN KEY (penalty_id) REFERENCES rent_penalties(id) ON DELETE SET NULL,
+        FOREIGN KEY (donor_id) REFERENCES donors(id) ON DELETE SET NULL
       ) ENGINE=InnoDB;
     `;
 
@@ -121,6 +153,7 @@ export class Transaction {
       receiptNumber: row.receipt_number,
       donorName: row.donor_name,
       donorContact: row.donor_contact,
+      donorId: row.donor_id,
       familyMembers: row.family_members,
       amountPerPerson: row.amount_per_person ? parseFloat(row.amount_per_person) : null,
       vendor: row.vendor,
@@ -135,6 +168,15 @@ export class Transaction {
       emiAmount: row.emi_amount ? parseFloat(row.emi_amount) : null,
       penaltyId: row.penalty_id,
       penaltyAmount: row.penalty_amount ? parseFloat(row.penalty_amount) : null,
+      paymentMode: row.payment_mode,
+      paymentReference: row.payment_reference,
+      chequeDate: toDateOnly(row.cheque_date),
+      clearingStatus: row.clearing_status,
+      clearingDate: toDateOnly(row.clearing_date),
+      bounceReason: row.bounce_reason,
+      receiptPrintCount: row.receipt_print_count ?? 0,
+      receiptPrintedAt: row.receipt_printed_at,
+      eligible80g: row.eligible_80g == null ? null : Boolean(row.eligible_80g),
       idempotencyKey: row.idempotency_key,
       createdAt: row.created_at
     });
@@ -191,6 +233,7 @@ export class Transaction {
       { prop: 'receiptNumber', db: 'receipt_number' },
       { prop: 'donorName', db: 'donor_name' },
       { prop: 'donorContact', db: 'donor_contact' },
+      { prop: 'donorId', db: 'donor_id' },
       { prop: 'familyMembers', db: 'family_members' },
       { prop: 'amountPerPerson', db: 'amount_per_person' },
       { prop: 'vendor', db: 'vendor' },
@@ -205,6 +248,13 @@ export class Transaction {
       { prop: 'emiAmount', db: 'emi_amount' },
       { prop: 'penaltyId', db: 'penalty_id' },
       { prop: 'penaltyAmount', db: 'penalty_amount' },
+      { prop: 'paymentMode', db: 'payment_mode' },
+      { prop: 'paymentReference', db: 'payment_reference' },
+      { prop: 'chequeDate', db: 'cheque_date' },
+      { prop: 'clearingStatus', db: 'clearing_status' },
+      { prop: 'clearingDate', db: 'clearing_date' },
+      { prop: 'bounceReason', db: 'bounce_reason' },
+      { prop: 'eligible80g', db: 'eligible_80g' },
       { prop: 'idempotencyKey', db: 'idempotency_key' }
     ];
 
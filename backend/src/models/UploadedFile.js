@@ -4,11 +4,12 @@ export class UploadedFile {
     this.name = data.name;
     this.size = data.size;
     this.type = data.type;
-    this.base64 = data.base64;
+    this.sha256 = data.sha256; // content in the blob store, see Blob
     this.uploadedAt = data.uploadedAt;
     this.compressedSize = data.compressedSize;
-    this.entityType = data.entityType; // 'agreement', 'loan', 'transaction'
+    this.entityType = data.entityType; // see attachmentService; null while staged
     this.entityId = data.entityId;
+    this.uploadedBy = data.uploadedBy;
   }
 
   static getTableSchema() {
@@ -18,13 +19,18 @@ export class UploadedFile {
         name VARCHAR(255) NOT NULL,
         size INT NOT NULL,
         type VARCHAR(100) NOT NULL,
-        base64 LONGTEXT NOT NULL,
+        sha256 CHAR(64) NOT NULL,
         uploaded_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         compressed_size INT NULL,
-        entity_type ENUM('agreement', 'loan', 'transaction') NOT NULL,
-        entity_id VARCHAR(36) NOT NULL,
+        entity_type VARCHAR(30) NULL,
+        entity_id VARCHAR(36) NULL,
+        uploaded_by VARCHAR(36) NULL,
+        FOREIGN KEY (sha256) REFERENCES blobs(sha256) ON DELETE RESTRICT,
+        FOREIGN KEY (uploaded_by) REFERENCES users(id) ON DELETE SET NULL,
         INDEX idx_entity (entity_type, entity_id),
-        INDEX idx_uploaded_at (uploaded_at)
+        INDEX idx_uploaded_at (uploaded_at),
+        INDEX idx_sha256 (sha256),
+        INDEX idx_uploaded_by (uploaded_by)
       ) ENGINE=InnoDB;
     `;
   }
@@ -35,11 +41,12 @@ export class UploadedFile {
       name: row.name,
       size: row.size,
       type: row.type,
-      base64: row.base64,
+      sha256: row.sha256,
       uploadedAt: row.uploaded_at,
       compressedSize: row.compressed_size,
       entityType: row.entity_type,
-      entityId: row.entity_id
+      entityId: row.entity_id,
+      uploadedBy: row.uploaded_by
     });
   }
 
@@ -49,11 +56,12 @@ export class UploadedFile {
       name: this.name,
       size: this.size,
       type: this.type,
-      base64: this.base64,
+      sha256: this.sha256,
       uploaded_at: this.uploadedAt,
       compressed_size: this.compressedSize,
       entity_type: this.entityType,
-      entity_id: this.entityId
+      entity_id: this.entityId,
+      uploaded_by: this.uploadedBy
     };
   }
-}
\ No newline at end of file
+}
@@ -1,6 +1,7 @@
 import bcrypt from "bcryptjs";
 import { v4 as uuidv4 } from "uuid";
 import { query } from "../config/db.js";
+import env from "../config/env.js";
 import pino from "pino";
 
 const logger = pino({ name: "UserModel" });
@@ -14,6 +15,12 @@ export class User {
     this.role = data.role || "Viewer";
     this.status = data.status || "Active";
     this.emailVerified = data.email_verified || data.emailVerified || false;
+    this.failedLoginAttempts = data.failed_login_attempts ?? data.failedLoginAttempts ?? 0; // wrong passwords since the last success or lockout
+    this.lockoutCount = data.lockout_count ?? data.lockoutCount ?? 0; // lockouts since the last success; each doubles the next one
+    this.lockedUntil = data.locked_until || data.lockedUntil || null;
+    this.totpSecret = data.totp_secret || data.totpSecret || null; // encrypted; set during enrollment, before totp_enabled
+    this.totpEnabled = !!(data.totp_enabled ?? data.totpEnabled);
+    this.totpLastStep = data.totp_last_step ?? data.totpLastStep ?? null; // last accepted time step, so a code works once
     this.lastLogin = data.last_login || data.lastLogin;
     this.createdAt = data.created_at || data.createdAt;
     this.updatedAt = data.updated_at || data.updatedAt;
@@ -241,7 +248,7 @@ export class User {
       });
 
       // Get paginated results with retry mechanism for ER_WRONG_ARGUMENTS
-      const dataQuery = `SELECT id, username, email, role, status, email_verified, last_login, created_at, updated_at
+      const dataQuery = `SELECT id, username, email, role, status, email_verified, failed_login_attempts, lockout_count, locked_until, totp_enabled, last_login, created_at, updated_at
    FROM users${whereClause}
    ORDER BY ${sortColumn} ${sortOrder}
    LIMIT ? OFFSET ?`;
@@ -289,7 +296,7 @@ export class User {
           });
           
           // Retry with inlined LIMIT/OFFSET (no parameter binding for LIMIT/OFFSET)
-          const fallbackQuery = `SELECT id, username, email, role, status, email_verified, last_login, created_at, updated_at
+          const fallbackQuery = `SELECT id, username, email, role, status, email_verified, failed_login_attempts, lockout_count, locked_until, totp_enabled, last_login, created_at, updated_at
    FROM users${whereClause}
    ORDER BY ${sortColumn} ${sortOrder}
    LIMIT ${safeLimit} OFFSET ${safeOffset}`;
@@ -482,6 +489,16 @@ export class User {
     }
   }
 
+  // Whether a lockout is in force
+  isLocked() {
+    return !!this.lockedUntil && new Date(this.lockedUntil) > new Date();
+  }
+
+  // Whether this user's role has to use two-factor authentication
+  isTwoFactorRequired() {
+    return env.TWO_FACTOR_REQUIRED_ROLES.includes(this.role);
+  }
+
   // Delete user (soft delete by setting status to Inactive)
   async delete() {
     try {
@@ -507,6 +524,10 @@ export class User {
       role: this.role,
       status: this.status,
       emailVerified: this.emailVerified,
+      failedLoginAttempts: this.failedLoginAttempts,
+      lockedUntil: this.isLocked() ? this.lockedUntil : null,
+      twoFactorEnabled: this.totpEnabled,
+      twoFactorRequired: this.isTwoFactorRequired(),
       lastLogin: this.lastLogin,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
@@ -523,6 +544,12 @@ export class User {
       role: this.role,
       status: this.status,
       email_verified: this.emailVerified,
+      failed_login_attempts: this.failedLoginAttempts,
+      lockout_count: this.lockoutCount,
+      locked_until: this.lockedUntil,
+      totp_secret: this.totpSecret,
+      totp_enabled: this.totpEnabled,
+      totp_last_step: this.totpLastStep,
       last_login: this.lastLogin,
       created_at: this.createdAt,
       updated_at: this.updatedAt,
@@ -542,9 +569,15 @@ export class User {
         username VARCHAR(50) UNIQUE NOT NULL,
         email VARCHAR(100) UNIQUE NOT NULL,
         password_hash VARCHAR(255) NOT NULL,
-        role ENUM('Admin', 'Treasurer', 'Viewer') NOT NULL DEFAULT 'Viewer',
+        role VARCHAR(50) NOT NULL DEFAULT 'Viewer',
         status ENUM('Active', 'Inactive') NOT NULL DEFAULT 'Active',
         email_verified BOOLEAN DEFAULT FALSE,
+        failed_login_attempts INT NOT NULL DEFAULT 0,
+        lockout_count INT NOT NULL DEFAULT 0,
+        locked_until TIMESTAMP NULL,
+        totp_secret VARCHAR(255) NULL,
+        totp_enabled BOOLEAN NOT NULL DEFAULT FALSE,
+        totp_last_step BIGINT NULL,
         last_login TIMESTAMP NULL,
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP ON UPDATE CURRENT_TIMESTAMP,
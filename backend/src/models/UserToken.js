@@ -0,0 +1,109 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { query } from '../config/db.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'UserTokenModel' });
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Single-use tokens mailed to a user: password reset and email verification links.
+// Only a hash is stored; the raw token exists in the email alone.
+export class UserToken {
+  constructor(data = {}) {
+    this.id = data.id;
+    this.userId = data.user_id || data.userId;
+    this.purpose = data.purpose; // 'PasswordReset' | 'EmailVerification'
+    this.tokenHash = data.token_hash || data.tokenHash;
+    this.expiresAt = data.expires_at || data.expiresAt;
+    this.usedAt = data.used_at || data.usedAt; // set once the token has been consumed
+    this.createdAt = data.created_at || data.createdAt;
+  }
+
+  static getTableSchema() {
+    return `
+      CREATE TABLE IF NOT EXISTS user_tokens (
+        id VARCHAR(36) PRIMARY KEY,
+        user_id VARCHAR(36) NOT NULL,
+        purpose ENUM('PasswordReset', 'EmailVerification') NOT NULL,
+        token_hash CHAR(64) NOT NULL,
+        expires_at TIMESTAMP NOT NULL,
+        used_at TIMESTAMP NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE KEY uq_token_hash (token_hash),
+        INDEX idx_user_purpose (user_id, purpose),
+        FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+      ) ENGINE=InnoDB;
+    `;
+  }
+
+  // Issue a new token, invalidating any earlier unused token for the same purpose
+  static async create(userId, purpose, ttlMs) {
+    try {
+      await query(
+        `UPDATE user_tokens SET used_at = NOW()
+         WHERE user_id = ? AND purpose = ? AND used_at IS NULL`,
+        [userId, purpose]
+      );
+
+      const id = uuidv4();
+      const token = crypto.randomBytes(32).toString('hex');
+      const expiresAt = new Date(Date.now() + ttlMs);
+
+      await query(
+        `INSERT INTO user_tokens (id, user_id, purpose, token_hash, expires_at)
+         VALUES (?, ?, ?, ?, ?)`,
+        [id, userId, purpose, hashToken(token), expiresAt]
+      );
+
+      logger.info('User token created:', { id, userId, purpose });
+
+      return { token, tokenId: id, expiresAt };
+    } catch (error) {
+      logger.error('Failed to create user token:', { error: error.message, userId, purpose });
+      throw error;
+    }
+  }
+
+  // Mark a token used and return it, or null when it is unknown, expired or already used.
+  // The conditional UPDATE makes consumption atomic, so a token works exactly once.
+  static async consume(token, purpose) {
+    try {
+      const tokenHash = hashToken(token);
+      const result = await query(
+        `UPDATE user_tokens SET used_at = NOW()
+         WHERE token_hash = ? AND purpose = ? AND used_at IS NULL AND expires_at > NOW()`,
+        [tokenHash, purpose]
+      );
+      if (result.affectedRows === 0) {
+        logger.warn('Invalid, expired or used token presented:', { purpose });
+        return null;
+      }
+
+      const rows = await query('SELECT * FROM user_tokens WHERE token_hash = ?', [tokenHash]);
+      return new UserToken(rows[0]);
+    } catch (error) {
+      logger.error('Failed to consume user token:', { error: error.message, purpose });
+      throw error;
+    }
+  }
+
+  // Clean up tokens that can no longer be used
+  static async cleanupExpired() {
+    try {
+      const result = await query(
+        'DELETE FROM user_tokens WHERE expires_at < NOW() OR used_at IS NOT NULL'
+      );
+
+      logger.info('Cleaned up used and expired user tokens:', { deleted: result.affectedRows });
+      return result.affectedRows;
+    } catch (error) {
+      logger.error('Failed to cleanup user tokens:', error);
+      throw error;
+    }
+  }
+
+  static fromDbRow(row) {
+    return new UserToken(row);
+  }
+}
@@ -106,11 +106,20 @@ const Agreement = sequelize.define('Agreement', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.STRING(36),
+    allowNull: true
   }
 }, {
   tableName: 'agreements',
   timestamps: true,
   underscored: true,
+  paranoid: true,
   indexes: [
     {
       fields: ['shop_id']
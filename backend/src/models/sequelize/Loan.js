@@ -112,11 +112,20 @@ const Loan = sequelize.define('Loan', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.STRING(36),
+    allowNull: true
   }
 }, {
   tableName: 'loans',
   timestamps: true,
   underscored: true,
+  paranoid: true,
   indexes: [
     {
       fields: ['tenant_id']
@@ -0,0 +1,85 @@
+import { DataTypes } from 'sequelize';
+import sequelize from '../../config/sequelize.js';
+
+const LoanInstallment = sequelize.define('LoanInstallment', {
+  id: {
+    type: DataTypes.STRING(36),
+    primaryKey: true,
+    allowNull: false,
+  },
+  loan_id: {
+    type: DataTypes.STRING(36),
+    allowNull: false,
+    references: {
+      model: 'loans',
+      key: 'id'
+    },
+    onDelete: 'CASCADE'
+  },
+  installment_number: {
+    type: DataTypes.INTEGER,
+    allowNull: false,
+    validate: {
+      min: 1
+    }
+  },
+  due_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: false,
+    validate: {
+      isDate: true
+    }
+  },
+  opening_balance: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  emi_amount: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  principal_component: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  interest_component: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false
+  },
+  closing_balance: {
+    type: DataTypes.DECIMAL(12, 2),
+    allowNull: false
+  },
+  amount_paid: {
+    type: DataTypes.DECIMAL(10, 2),
+    allowNull: false,
+    defaultValue: 0.00
+  },
+  status: {
+    type: DataTypes.ENUM('Pending', 'Partial', 'Paid'),
+    allowNull: false,
+    defaultValue: 'Pending'
+  },
+  paid_date: {
+    type: DataTypes.DATEONLY,
+    allowNull: true
+  }
+}, {
+  tableName: 'loan_installments',
+  timestamps: true,
+  underscored: true,
+  indexes: [
+    {
+      unique: true,
+      fields: ['loan_id', 'installment_number']
+    },
+    {
+      fields: ['due_date']
+    },
+    {
+      fields: ['status']
+    }
+  ]
+});
+
+export default LoanInstallment;
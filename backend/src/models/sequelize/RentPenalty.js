@@ -16,6 +16,11 @@ const RentPenalty = sequelize.define('RentPenalty', {
     },
     onDelete: 'CASCADE'
   },
+  invoice_id: {
+    type: DataTypes.STRING(36),
+    allowNull: true,
+    unique: true
+  },
   tenant_id: {
     type: DataTypes.STRING(36),
     allowNull: false,
@@ -53,6 +58,10 @@ const RentPenalty = sequelize.define('RentPenalty', {
       isDate: true
     }
   },
+  penalty_type: {
+    type: DataTypes.ENUM('flat', 'percentage', 'per_day'),
+    allowNull: true
+  },
   penalty_rate: {
     type: DataTypes.DECIMAL(5, 2),
     allowNull: false,
@@ -94,11 +103,20 @@ const RentPenalty = sequelize.define('RentPenalty', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.STRING(36),
+    allowNull: true
   }
 }, {
   tableName: 'rent_penalties',
   timestamps: true,
   underscored: true,
+  paranoid: true,
   indexes: [
     {
       fields: ['agreement_id']
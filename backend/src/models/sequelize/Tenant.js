@@ -64,11 +64,20 @@ const Tenant = sequelize.define('Tenant', {
     type: DataTypes.DATE,
     allowNull: false,
     defaultValue: DataTypes.NOW
+  },
+  deleted_at: {
+    type: DataTypes.DATE,
+    allowNull: true
+  },
+  deleted_by: {
+    type: DataTypes.STRING(36),
+    allowNull: true
   }
 }, {
   tableName: 'tenants',
   timestamps: true,
   underscored: true,
+  paranoid: true,
   indexes: [
     {
       fields: ['name']
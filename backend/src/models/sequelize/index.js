@@ -2,8 +2,8 @@ import sequelize from '../../config/sequelize.js';
 import Tenant from './Tenant.js';
 import Agreement from './Agreement.js';
 import Loan from './Loan.js';
+import LoanInstallment from './LoanInstallment.js';
 import RentPenalty from './RentPenalty.js';
-import UploadedFile from './UploadedFile.js';
 
 // Define associations
 // Tenant↔Agreements (1:N)
@@ -39,6 +39,17 @@ Loan.belongsTo(Agreement, {
   as: 'agreement'
 });
 
+// Loan↔LoanInstallments (1:N)
+Loan.hasMany(LoanInstallment, {
+  foreignKey: 'loan_id',
+  as: 'installments',
+  onDelete: 'CASCADE'
+});
+LoanInstallment.belongsTo(Loan, {
+  foreignKey: 'loan_id',
+  as: 'loan'
+});
+
 // Tenant↔RentPenalties (1:N)
 Tenant.hasMany(RentPenalty, {
   foreignKey: 'tenant_id',
@@ -61,35 +72,13 @@ RentPenalty.belongsTo(Agreement, {
   as: 'agreement'
 });
 
-// Tenant↔UploadedFiles (1:N)
-Tenant.hasMany(UploadedFile, {
-  foreignKey: 'tenant_id',
-  as: 'uploadedFiles',
-  onDelete: 'SET NULL'
-});
-UploadedFile.belongsTo(Tenant, {
-  foreignKey: 'tenant_id',
-  as: 'tenant'
-});
-
-// Agreement↔UploadedFiles (1:N)
-Agreement.hasMany(UploadedFile, {
-  foreignKey: 'agreement_id',
-  as: 'uploadedFiles',
-  onDelete: 'SET NULL'
-});
-UploadedFile.belongsTo(Agreement, {
-  foreignKey: 'agreement_id',
-  as: 'agreement'
-});
-
 export {
   sequelize,
   Tenant,
   Agreement,
   Loan,
-  RentPenalty,
-  UploadedFile
+  LoanInstallment,
+  RentPenalty
 };
 
 export default {
@@ -97,6 +86,6 @@ export default {
   Tenant,
   Agreement,
   Loan,
-  RentPenalty,
-  UploadedFile
+  LoanInstallment,
+  RentPenalty
 };
\ No newline at end of file
@@ -17,7 +17,7 @@ export async function listAgreements({ limit = 50, offset = 0, status = null } =
     const params = [];
     
     if (status) {
-      whereClause = 'WHERE a.status = ?';
+      whereClause = 'AND a.status = ?';
       params.push(status);
     }
     
@@ -31,7 +31,7 @@ export async function listAgreements({ limit = 50, offset = 0, status = null } =
       FROM agreements a
       LEFT JOIN tenants t ON t.id = a.tenant_id
       LEFT JOIN shops s ON s.id = a.shop_id
-      ${whereClause}
+      WHERE a.deleted_at IS NULL ${whereClause}
       ORDER BY a.created_at DESC
       LIMIT ${validLimit} OFFSET ${validOffset}
     `;
@@ -53,11 +53,11 @@ export async function countAgreements({ status = null } = {}) {
     const params = [];
     
     if (status) {
-      whereClause = 'WHERE status = ?';
+      whereClause = 'AND status = ?';
       params.push(status);
     }
     
-    const queryStr = `SELECT COUNT(*) AS cnt FROM agreements ${whereClause}`;
+    const queryStr = `SELECT COUNT(*) AS cnt FROM agreements WHERE deleted_at IS NULL ${whereClause}`;
     
     const rows = await query(queryStr, params);
     return rows[0].cnt;
@@ -79,7 +79,7 @@ export async function getAgreementById(id) {
        FROM agreements a
        LEFT JOIN tenants t ON t.id = a.tenant_id
        LEFT JOIN shops s ON s.id = a.shop_id
-       WHERE a.id = ?`,
+       WHERE a.id = ? AND a.deleted_at IS NULL`,
       [id]
     );
     return rows[0] || null;
@@ -149,21 +149,4 @@ export async function updateAgreement(id, agreementData) {
     console.error('Error updating agreement:', error);
     throw new Error(`Failed to update agreement: ${error.message}`);
   }
-}
-
-/**
- * Delete agreement
- */
-export async function deleteAgreement(id) {
-  try {
-    const result = await query(
-      'DELETE FROM agreements WHERE id = ?',
-      [id]
-    );
-    
-    return { affectedRows: result.affectedRows };
-  } catch (error) {
-    console.error('Error deleting agreement:', error);
-    throw new Error(`Failed to delete agreement: ${error.message}`);
-  }
 }
\ No newline at end of file
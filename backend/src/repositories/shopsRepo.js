@@ -17,7 +17,7 @@ export async function listShops({ limit = 50, offset = 0, status = null } = {})
     const params = [];
     
     if (status) {
-      whereClause = 'WHERE status = ?';
+      whereClause = 'AND status = ?';
       params.push(status);
     }
     
@@ -27,7 +27,7 @@ export async function listShops({ limit = 50, offset = 0, status = null } = {})
       SELECT id, shop_number, size, monthly_rent, deposit, status, 
              tenant_id, agreement_id, description, created_at 
       FROM shops 
-      ${whereClause}
+      WHERE deleted_at IS NULL ${whereClause}
       ORDER BY created_at DESC 
       LIMIT ${validLimit} OFFSET ${validOffset}
     `;
@@ -49,11 +49,11 @@ export async function countShops({ status = null } = {}) {
     const params = [];
     
     if (status) {
-      whereClause = 'WHERE status = ?';
+      whereClause = 'AND status = ?';
       params.push(status);
     }
     
-    const queryStr = `SELECT COUNT(*) AS cnt FROM shops ${whereClause}`;
+    const queryStr = `SELECT COUNT(*) AS cnt FROM shops WHERE deleted_at IS NULL ${whereClause}`;
     
     const rows = await query(queryStr, params);
     return rows[0].cnt;
@@ -69,7 +69,7 @@ export async function countShops({ status = null } = {}) {
 export async function getShopById(id) {
   try {
     const rows = await query(
-      'SELECT * FROM shops WHERE id = ?',
+      'SELECT * FROM shops WHERE id = ? AND deleted_at IS NULL',
       [id]
     );
     return rows[0] || null;
@@ -140,21 +140,4 @@ export async function updateShop(id, shopData) {
     console.error('Error updating shop:', error);
     throw new Error(`Failed to update shop: ${error.message}`);
   }
-}
-
-/**
- * Delete shop
- */
-export async function deleteShop(id) {
-  try {
-    const result = await query(
-      'DELETE FROM shops WHERE id = ?',
-      [id]
-    );
-    
-    return { affectedRows: result.affectedRows };
-  } catch (error) {
-    console.error('Error deleting shop:', error);
-    throw new Error(`Failed to delete shop: ${error.message}`);
-  }
 }
\ No newline at end of file
@@ -1,6 +1,6 @@
 import express from 'express';
 import { validate, schemas } from '../middleware/validate.js';
-import { requireRoles } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { logActivity } from '../middleware/activityLogger.js';
 
 // Mock user controller functions for testing
@@ -204,8 +204,8 @@ const mockGetUserStats = (req, res) => {
 
 const router = express.Router();
 
-// All admin routes require admin role
-router.use(...requireRoles(['Admin']));
+// All admin routes require user management
+router.use(...requirePermission('user.manage'));
 
 // User management routes
 router.get('/users/stats', mockGetUserStats);
@@ -0,0 +1,39 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as approvalService from '../services/approvalService.js';
+import * as auditService from '../services/auditService.js';
+
+const router = express.Router();
+
+// GET /api/approvals - Change requests, newest first (reviewers see all, others their own)
+router.get('/', authenticate, validate(schemas.changeRequestList), asyncHandler(async (req, res) => {
+  const requests = await approvalService.listRequests(req.user, req.validatedData);
+  res.json({ success: true, data: requests });
+}));
+
+// POST /api/approvals/:id/approve - Apply a change requested by someone else
+router.post('/:id/approve', ...requirePermission('approval.review'), validate(schemas.changeRequestReview), asyncHandler(async (req, res) => {
+  const request = await approvalService.approve(
+    req.validatedData.id,
+    req.user,
+    req.validatedData.note,
+    auditService.actorFrom(req)
+  );
+  res.json({ success: true, data: request });
+}));
+
+// POST /api/approvals/:id/reject - Turn down a change requested by someone else
+router.post('/:id/reject', ...requirePermission('approval.review'), validate(schemas.changeRequestReview), asyncHandler(async (req, res) => {
+  const request = await approvalService.reject(req.validatedData.id, req.user, req.validatedData.note);
+  res.json({ success: true, data: request });
+}));
+
+// POST /api/approvals/:id/cancel - Withdraw your own pending change
+router.post('/:id/cancel', authenticate, validate(schemas.changeRequestReview), asyncHandler(async (req, res) => {
+  const request = await approvalService.cancel(req.validatedData.id, req.user);
+  res.json({ success: true, data: request });
+}));
+
+export default router;
@@ -0,0 +1,155 @@
+import express from 'express';
+import busboy from 'busboy';
+import { pipeline } from 'stream/promises';
+import { validate, schemas } from '../middleware/validate.js';
+import { authenticate } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import { fileUploadRateLimit } from '../middleware/rateLimit.js';
+import * as attachmentService from '../services/attachmentService.js';
+import * as auditService from '../services/auditService.js';
+import env from '../config/env.js';
+
+const router = express.Router();
+
+// Files accepted in one upload request
+const MAX_FILES_PER_UPLOAD = 10;
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Reads a multipart upload, streaming each file part into the attachment
+ * store as it arrives. The entityType and entityId fields must come before
+ * the files; access is checked once, before the first file is read. With
+ * neither field the files are staged, to be attached when a form is saved.
+ * Either every file is stored or, if one fails, those already stored are
+ * removed.
+ */
+const receiveUpload = (req) => new Promise((resolve, reject) => {
+  let parser;
+  try {
+    parser = busboy({ headers: req.headers, limits: { files: MAX_FILES_PER_UPLOAD, fields: 10 } });
+  } catch {
+    reject(httpError('Expected a multipart/form-data upload', 400));
+    return;
+  }
+
+  const fields = {};
+  const uploads = [];
+  let target;
+  parser.on('field', (name, value) => {
+    fields[name] = value;
+  });
+  parser.on('file', (name, file, info) => {
+    target ??= Promise.resolve().then(() => {
+      if (fields.entityType === undefined && fields.entityId === undefined) {
+        return {};
+      }
+      const parsed = schemas.attachmentTarget.safeParse(fields);
+      if (!parsed.success) {
+        throw httpError('entityType and entityId must be sent before the files', 400);
+      }
+      return attachmentService.assertCanAttach(req.user, parsed.data).then(() => parsed.data);
+    });
+    uploads.push(
+      target
+        .then((entity) => attachmentService.addAttachment({
+          ...entity,
+          name: info.filename,
+          type: info.mimeType,
+          content: file,
+        }, auditService.actorFrom(req)))
+        .finally(() => file.resume())
+    );
+  });
+  let tooMany = false;
+
+  parser.on('filesLimit', () => {
+    tooMany = true;
+  });
+  parser.on('error', reject);
+  parser.on('close', async () => {
+    const results = await Promise.allSettled(uploads);
+    const stored = results.filter((result) => result.status === 'fulfilled').map((result) => result.value);
+    const failure = tooMany
+      ? httpError(`At most ${MAX_FILES_PER_UPLOAD} files can be uploaded at once`, 400)
+      : results.find((result) => result.status === 'rejected')?.reason;
+    if (failure) {
+      for (const attachment of stored) {
+        await attachmentService.deleteAttachment(req.user, attachment.id, auditService.actorFrom(req)).catch(() => {});
+      }
+      reject(failure);
+      return;
+    }
+    if (stored.length === 0) {
+      reject(httpError('No file was uploaded', 400));
+      return;
+    }
+    resolve(stored);
+  });
+  req.pipe(parser);
+});
+
+// GET /api/attachments?entityType=&entityId= (or &entityIds=a,b,c) - Records' attachments
+router.get('/', authenticate, validate(schemas.attachmentList), asyncHandler(async (req, res) => {
+  const attachments = await attachmentService.listAttachments(req.user, req.validatedData);
+  res.json({ success: true, data: attachments });
+}));
+
+// POST /api/attachments - Upload files (multipart: entityType, entityId, then one or more files; without the fields they are staged)
+router.post('/', authenticate, fileUploadRateLimit, asyncHandler(async (req, res) => {
+  const attachments = await receiveUpload(req);
+  res.status(201).json({ success: true, data: attachments });
+}));
+
+// GET /api/attachments/limits - What the forms need to know before uploading
+router.get('/limits', authenticate, (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      maxBytes: env.ATTACHMENT_MAX_BYTES,
+      maxFiles: MAX_FILES_PER_UPLOAD,
+      expenseRequiredAbove: env.EXPENSE_ATTACHMENT_REQUIRED_ABOVE,
+    },
+  });
+});
+
+// GET /api/attachments/:id - An attachment's details
+router.get('/:id', authenticate, validate(schemas.attachmentItem), asyncHandler(async (req, res) => {
+  const attachment = await attachmentService.getAttachment(req.user, req.validatedData.id);
+  res.json({ success: true, data: attachment });
+}));
+
+// GET /api/attachments/:id/content - The file itself, streamed from the blob store
+router.get('/:id/content', authenticate, validate(schemas.attachmentItem), asyncHandler(async (req, res) => {
+  const { attachment, blob, content } = await attachmentService.openAttachment(req.user, req.validatedData.id);
+  const etag = `"${blob.sha256}"`;
+  // Content never changes under a hash, so a cached copy is always good
+  if (req.get('If-None-Match') === etag) {
+    content.destroy?.();
+    res.status(304).end();
+    return;
+  }
+
+  const disposition = req.query.download === 'true' ? 'attachment' : 'inline';
+  res.set({
+    'Content-Type': attachment.type,
+    'Content-Length': String(blob.size),
+    'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(attachment.name)}`,
+    'Cache-Control': 'private, max-age=0, must-revalidate',
+    'X-Content-Type-Options': 'nosniff',
+    ETag: etag,
+  });
+  await pipeline(content, res);
+}));
+
+// DELETE /api/attachments/:id - Remove an attachment
+router.delete('/:id', authenticate, validate(schemas.attachmentItem), asyncHandler(async (req, res) => {
+  await attachmentService.deleteAttachment(req.user, req.validatedData.id, auditService.actorFrom(req));
+  res.json({ success: true, message: 'Attachment deleted' });
+}));
+
+export default router;
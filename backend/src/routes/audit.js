@@ -0,0 +1,26 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import { createPaginationInfo } from '../utils/helpers.js';
+import * as auditService from '../services/auditService.js';
+
+const router = express.Router();
+
+// GET /api/audit - Search the audit trail, newest first
+router.get('/', ...requirePermission('audit.view'), validate(schemas.auditSearch), asyncHandler(async (req, res) => {
+  const { page, limit, ...filters } = req.validatedData;
+  const { entries, total } = await auditService.search({ ...filters, limit, offset: (page - 1) * limit });
+  res.json({
+    success: true,
+    data: { entries, pagination: createPaginationInfo(page, limit, total) },
+  });
+}));
+
+// GET /api/audit/verify - Recompute the hash chain and report the first broken entry
+router.get('/verify', ...requirePermission('audit.view'), asyncHandler(async (req, res) => {
+  const result = await auditService.verifyChain();
+  res.json({ success: true, data: result });
+}));
+
+export default router;
@@ -1,6 +1,6 @@
 import express from 'express';
 import { validate, schemas } from '../middleware/validate.js';
-import { authRateLimit } from '../middleware/rateLimit.js';
+import { authRateLimit, accountEmailRateLimit } from '../middleware/rateLimit.js';
 import {
   register,
   login,
@@ -10,6 +10,19 @@ import {
   changePassword,
   getProfile,
   updateProfile,
+  forgotPassword,
+  resetPassword,
+  verifyEmail,
+  resendVerification,
+  verifyLoginTwoFactor,
+  setupLoginTwoFactor,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  disableTwoFactor,
+  regenerateRecoveryCodes,
+  getSessions,
+  revokeSession,
 } from '../controllers/auth.js';
 import { authenticate, optionalAuth } from '../middleware/auth.js';
 
@@ -18,13 +31,26 @@ const router = express.Router();
 // Public routes
 router.post('/register', authRateLimit, validate(schemas.register), register);
 router.post('/login', authRateLimit, validate(schemas.login), login);
+router.post('/login/2fa', authRateLimit, validate(schemas.loginTwoFactor), verifyLoginTwoFactor);
+router.post('/login/2fa/setup', authRateLimit, validate(schemas.twoFactorChallenge), setupLoginTwoFactor);
 router.post('/refresh', validate(schemas.refreshToken), refreshToken);
+router.post('/forgot-password', accountEmailRateLimit, validate(schemas.forgotPassword), forgotPassword);
+router.post('/reset-password', authRateLimit, validate(schemas.resetPassword), resetPassword);
+router.post('/verify-email', authRateLimit, validate(schemas.verifyEmail), verifyEmail);
 
 // Protected routes
 router.post('/logout', optionalAuth, logout);
 router.post('/logout-all', authenticate, logoutAll);
 router.post('/change-password', authenticate, validate(schemas.changePassword), changePassword);
+router.post('/resend-verification', authenticate, accountEmailRateLimit, resendVerification);
 router.get('/profile', authenticate, getProfile);
 router.put('/profile', authenticate, validate(schemas.updateUser), updateProfile);
+router.get('/2fa', authenticate, getTwoFactorStatus);
+router.post('/2fa/setup', authenticate, setupTwoFactor);
+router.post('/2fa/enable', authenticate, validate(schemas.twoFactorCode), enableTwoFactor);
+router.post('/2fa/disable', authenticate, validate(schemas.confirmPassword), disableTwoFactor);
+router.post('/2fa/recovery-codes', authenticate, validate(schemas.confirmPassword), regenerateRecoveryCodes);
+router.get('/sessions', authenticate, getSessions);
+router.delete('/sessions/:id', authenticate, validate(schemas.idParam), revokeSession);
 
 export default router;
\ No newline at end of file
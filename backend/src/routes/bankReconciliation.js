@@ -0,0 +1,272 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { z } from 'zod';
+import * as bankReconciliationService from '../services/bankReconciliationService.js';
+import * as auditService from '../services/auditService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'bank-reconciliation-router' });
+const router = express.Router();
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+const periodSchema = z.object({
+  period: z.string().regex(/^\d{4}-(0[1-9]|1[0-2])$/, 'Period must be in YYYY-MM format'),
+});
+
+const importSchema = z.object({
+  fileName: z.string().max(255).optional(),
+  // Statement file contents as text; the frontend reads the file before posting it
+  content: z.string().min(1, 'Statement content is required').max(5 * 1024 * 1024, 'Statement must be under 5MB'),
+  format: z.enum(['CSV', 'OFX']).optional(),
+});
+
+const lineListSchema = z.object({
+  from: dateString.optional(),
+  to: dateString.optional(),
+  status: z.enum(['Matched', 'Unmatched', 'Ignored']).optional(),
+  statementId: z.string().optional(),
+});
+
+const matchSchema = z.object({
+  transactionId: z.string().min(1, 'Transaction is required'),
+});
+
+const ignoreSchema = z.object({
+  ignored: z.boolean().default(true),
+});
+
+const createFromLineSchema = z.object({
+  type: z.enum(['Donation', 'Expense']),
+  category: z.string().min(1, 'Category is required'),
+  description: z.string().optional(),
+  donorName: z.string().optional(),
+  payeeName: z.string().optional(),
+}).superRefine((data, ctx) => {
+  if (data.type === 'Donation' && !data.donorName) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['donorName'], message: 'Donor name is required' });
+  }
+  if (data.type === 'Expense' && !data.payeeName) {
+    ctx.addIssue({ code: z.ZodIssueCode.custom, path: ['payeeName'], message: 'Payee name is required' });
+  }
+});
+
+const reconcileSchema = z.object({
+  statementBalance: z.number().optional(),
+  notes: z.string().max(255).optional(),
+});
+
+const handleError = (res, error, fallback) => {
+  if (error instanceof z.ZodError) {
+    return res.status(422).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.errors
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// POST /api/bank-reconciliation/statements - Import a CSV or OFX bank statement
+router.post('/statements', ...requirePermission('bank.reconcile'), async (req, res) => {
+  try {
+    const body = importSchema.parse(req.body);
+    const result = await bankReconciliationService.importStatement(body, req.user?.id);
+    return res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to import bank statement');
+  }
+});
+
+// GET /api/bank-reconciliation/statements - Imported statements, newest first
+router.get('/statements', ...requirePermission('bank.view'), async (req, res) => {
+  try {
+    const statements = await bankReconciliationService.listStatements();
+    return res.json({
+      success: true,
+      data: statements
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch bank statements');
+  }
+});
+
+// DELETE /api/bank-reconciliation/statements/:id - Remove a wrongly imported statement
+router.delete('/statements/:id', ...requirePermission('bank.statement.delete'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const statement = await bankReconciliationService.deleteStatement(req.params.id);
+    return res.json({
+      success: true,
+      data: statement
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to delete bank statement');
+  }
+});
+
+// GET /api/bank-reconciliation/lines - Statement lines with their matched transactions
+router.get('/lines', ...requirePermission('bank.view'), async (req, res) => {
+  try {
+    const filters = lineListSchema.parse(req.query);
+    const lines = await bankReconciliationService.listLines(filters);
+    return res.json({
+      success: true,
+      data: lines
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch statement lines');
+  }
+});
+
+// GET /api/bank-reconciliation/lines/:id/candidates - Transactions a line could be linked to
+router.get('/lines/:id/candidates', ...requirePermission('bank.reconcile'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const candidates = await bankReconciliationService.getCandidates(req.params.id);
+    return res.json({
+      success: true,
+      data: candidates
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch match candidates');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/match - Link a line to a transaction by hand
+router.post('/lines/:id/match', ...requirePermission('bank.reconcile'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const { transactionId } = matchSchema.parse(req.body);
+    const line = await bankReconciliationService.matchLine(req.params.id, transactionId);
+    return res.json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to match statement line');
+  }
+});
+
+// DELETE /api/bank-reconciliation/lines/:id/match - Undo a match
+router.delete('/lines/:id/match', ...requirePermission('bank.reconcile'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const line = await bankReconciliationService.unmatchLine(req.params.id);
+    return res.json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to unmatch statement line');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/ignore - Mark a line as needing no transaction (or undo)
+router.post('/lines/:id/ignore', ...requirePermission('bank.reconcile'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const { ignored } = ignoreSchema.parse(req.body || {});
+    const line = await bankReconciliationService.setLineIgnored(req.params.id, ignored);
+    return res.json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to update statement line');
+  }
+});
+
+// POST /api/bank-reconciliation/lines/:id/transaction - Record a line as a new donation or expense
+router.post('/lines/:id/transaction', ...requirePermission('bank.reconcile'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const details = createFromLineSchema.parse(req.body);
+    const line = await bankReconciliationService.createTransactionFromLine(req.params.id, details, auditService.actorFrom(req));
+    return res.status(201).json({
+      success: true,
+      data: line
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to create transaction from statement line');
+  }
+});
+
+// POST /api/bank-reconciliation/auto-match - Retry auto-matching for unmatched lines
+router.post('/auto-match', ...requirePermission('bank.reconcile'), async (req, res) => {
+  try {
+    const result = await bankReconciliationService.runAutoMatch();
+    return res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to auto-match statement lines');
+  }
+});
+
+// GET /api/bank-reconciliation/months - Months with statement lines and their reconciliation state
+router.get('/months', ...requirePermission('bank.view'), async (req, res) => {
+  try {
+    const months = await bankReconciliationService.listMonths();
+    return res.json({
+      success: true,
+      data: months
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch reconciliation months');
+  }
+});
+
+// GET /api/bank-reconciliation/months/:period - Statement vs book balance for one month
+router.get('/months/:period', ...requirePermission('bank.view'), async (req, res) => {
+  try {
+    const { period } = periodSchema.parse(req.params);
+    const summary = await bankReconciliationService.getMonthSummary(period);
+    return res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch reconciliation summary');
+  }
+});
+
+// POST /api/bank-reconciliation/months/:period/reconcile - Mark a month reconciled and lock it
+router.post('/months/:period/reconcile', ...requirePermission('bank.reconcile'), async (req, res) => {
+  try {
+    const { period } = periodSchema.parse(req.params);
+    const details = reconcileSchema.parse(req.body || {});
+    const reconciliation = await bankReconciliationService.reconcileMonth(period, details, req.user?.id);
+    return res.json({
+      success: true,
+      data: reconciliation
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to reconcile month');
+  }
+});
+
+// POST /api/bank-reconciliation/months/:period/reopen - Unlock a reconciled month
+router.post('/months/:period/reopen', ...requirePermission('bank.month.reopen'), async (req, res) => {
+  try {
+    const { period } = periodSchema.parse(req.params);
+    const reconciliation = await bankReconciliationService.reopenMonth(period, req.user?.id);
+    return res.json({
+      success: true,
+      data: reconciliation
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to reopen month');
+  }
+});
+
+export default router;
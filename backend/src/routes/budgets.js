@@ -0,0 +1,35 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as budgetService from '../services/budgetService.js';
+import * as auditService from '../services/auditService.js';
+
+const router = express.Router();
+
+// GET /api/budgets?year=2025-26 - Budget against actual spending per expense category
+router.get('/', ...requirePermission('report.view'), validate(schemas.budgetReport), asyncHandler(async (req, res) => {
+  const report = await budgetService.getBudgetReport(req.validatedData.year);
+  res.json({ success: true, data: report });
+}));
+
+// PUT /api/budgets - Set (or replace) a category's or sub-category's budget for a year
+router.put('/', ...requirePermission('budget.manage'), validate(schemas.setBudget), asyncHandler(async (req, res) => {
+  const budget = await budgetService.setBudget(req.validatedData, auditService.actorFrom(req));
+  res.json({ success: true, data: budget });
+}));
+
+// POST /api/budgets/check - Budgets an expense would exceed, asked before saving it
+router.post('/check', ...requirePermission('expense.create', 'expense.update'), validate(schemas.budgetCheck), asyncHandler(async (req, res) => {
+  const { excludeId, ...expense } = req.validatedData;
+  const warnings = await budgetService.checkExpense(expense, excludeId);
+  res.json({ success: true, data: warnings });
+}));
+
+// DELETE /api/budgets/:id - Remove a budget
+router.delete('/:id', ...requirePermission('budget.manage'), validate(schemas.idParam), asyncHandler(async (req, res) => {
+  await budgetService.deleteBudget(req.validatedData.id, auditService.actorFrom(req));
+  res.json({ success: true, data: { message: 'Budget deleted' } });
+}));
+
+export default router;
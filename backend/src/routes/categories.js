@@ -0,0 +1,42 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { authenticate, requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as categoryService from '../services/categoryService.js';
+import * as auditService from '../services/auditService.js';
+
+const router = express.Router();
+
+// GET /api/categories - Donation and expense categories with their sub-categories,
+// inactive ones included so old entries keep their labels (any signed-in user)
+router.get('/', authenticate, validate(schemas.categoryList), asyncHandler(async (req, res) => {
+  const categories = await categoryService.listCategories(req.validatedData);
+  res.json({ success: true, data: categories });
+}));
+
+// POST /api/categories - Add a category, or a sub-category (parentId)
+router.post('/', ...requirePermission('category.manage'), validate(schemas.createCategory), asyncHandler(async (req, res) => {
+  const category = await categoryService.createCategory(req.validatedData, auditService.actorFrom(req));
+  res.status(201).json({ success: true, data: category });
+}));
+
+// PUT /api/categories/order - Reorder sibling categories
+router.put('/order', ...requirePermission('category.manage'), validate(schemas.categoryOrder), asyncHandler(async (req, res) => {
+  const categories = await categoryService.reorderCategories(req.validatedData.ids);
+  res.json({ success: true, data: categories });
+}));
+
+// PUT /api/categories/:id - Relabel, reorder, (de)activate or change the rules
+router.put('/:id', ...requirePermission('category.manage'), validate(schemas.updateCategory), asyncHandler(async (req, res) => {
+  const { id, ...changes } = req.validatedData;
+  const category = await categoryService.updateCategory(id, changes, auditService.actorFrom(req));
+  res.json({ success: true, data: category });
+}));
+
+// DELETE /api/categories/:id - Delete a category nothing is filed under
+router.delete('/:id', ...requirePermission('category.manage'), validate(schemas.idParam), asyncHandler(async (req, res) => {
+  await categoryService.deleteCategory(req.validatedData.id, auditService.actorFrom(req));
+  res.json({ success: true, data: { message: 'Category deleted' } });
+}));
+
+export default router;
@@ -0,0 +1,97 @@
+import express from 'express';
+import { validate, schemas, CLEARING_STATUSES } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { z } from 'zod';
+import * as chequeService from '../services/chequeService.js';
+import * as auditService from '../services/auditService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'cheques-router' });
+const router = express.Router();
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+
+const chequeListSchema = z.object({
+  status: z.enum([...CLEARING_STATUSES, 'all']).default('Pending'),
+});
+
+const clearChequeSchema = z.object({
+  date: dateString.optional(),
+});
+
+const bounceChequeSchema = z.object({
+  date: dateString.optional(),
+  reason: z.string().max(255, 'Reason must be at most 255 characters').optional(),
+  bounceCharge: z.number().min(0, 'Bounce charge cannot be negative').optional(),
+});
+
+const handleError = (res, error, fallback) => {
+  if (error instanceof z.ZodError) {
+    return res.status(422).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.errors
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// GET /api/cheques - Cheques by clearing status (Pending by default)
+router.get('/', ...requirePermission('cheque.view'), async (req, res) => {
+  try {
+    const { status } = chequeListSchema.parse(req.query);
+    const cheques = await chequeService.listCheques({ status: status === 'all' ? null : status });
+    return res.json({
+      success: true,
+      data: cheques
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch cheques');
+  }
+});
+
+// POST /api/cheques/:id/clear - Mark a pending cheque as cleared by the bank
+router.post('/:id/clear', ...requirePermission('cheque.manage'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const { date } = clearChequeSchema.parse(req.body || {});
+    const cheque = await chequeService.clearCheque(req.params.id, date ? { date } : {}, {
+      actor: auditService.actorFrom(req)
+    });
+    return res.json({
+      success: true,
+      data: cheque
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to clear cheque');
+  }
+});
+
+// POST /api/cheques/:id/bounce - Mark a cheque as bounced and reverse its payment
+router.post('/:id/bounce', ...requirePermission('cheque.manage'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const { date, ...details } = bounceChequeSchema.parse(req.body || {});
+    const result = await chequeService.bounceCheque(req.params.id, {
+      ...(date ? { date } : {}),
+      ...details
+    }, { actor: auditService.actorFrom(req) });
+    return res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to bounce cheque');
+  }
+});
+
+export default router;
@@ -1,17 +1,26 @@
 import express from 'express';
-import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas, PAN_PATTERN, PAYMENT_MODES, paymentDetailsShape, checkPaymentDetails, withPaymentDefaults } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
 import { z } from 'zod';
-import { query, allocateReceiptNumber, getNextReceiptNumber } from '../config/db.js';
+import { query, transaction, allocateReceiptNumber, getNextReceiptNumber } from '../config/db.js';
 import { Transaction } from '../models/Transaction.js';
 import { generateId } from '../utils/helpers.js';
+import * as generalLedgerService from '../services/generalLedgerService.js';
+import * as financialYearService from '../services/financialYearService.js';
+import * as transactionService from '../services/transactionService.js';
+import * as approvalService from '../services/approvalService.js';
+import * as categoryService from '../services/categoryService.js';
+import * as auditService from '../services/auditService.js';
+import * as donorService from '../services/donorService.js';
+import * as taxExemptionService from '../services/taxExemptionService.js';
+import env from '../config/env.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'donations-router' });
 const router = express.Router();
 
 // Validation schemas using Zod
-const donationCreateSchema = z.object({
+const donationFieldsSchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
   category: z.string().min(1, 'Category is required'),
   subCategory: z.string().optional(),
@@ -20,12 +29,22 @@ const donationCreateSchema = z.object({
   receiptNumber: z.string().min(1, 'Receipt number is required'),
   donorName: z.string().min(1, 'Donor name is required'),
   donorContact: z.string().regex(/^\d{10}$/, 'Contact must be 10 digits').optional().or(z.literal('')),
+  // A donor picked in the form; without it one is found or created from the name and contact
+  donorId: z.string().uuid('Invalid donor ID').optional(),
+  // Recorded on the donor, for 80G certificates
+  donorPan: z.string().trim().toUpperCase()
+    .regex(PAN_PATTERN, 'PAN must be 5 letters, 4 digits and a letter')
+    .optional().or(z.literal('')),
   familyMembers: z.number().int().positive().optional(),
   amountPerPerson: z.number().positive().optional(),
   idempotencyKey: z.string().min(1, 'Idempotency key is required'),
+  ...paymentDetailsShape,
+  paymentMode: z.enum(PAYMENT_MODES).default('Cash'),
 });
 
-const donationUpdateSchema = donationCreateSchema.partial();
+const donationCreateSchema = donationFieldsSchema.superRefine(checkPaymentDetails).transform(withPaymentDefaults);
+
+const donationUpdateSchema = donationFieldsSchema.partial().superRefine(checkPaymentDetails);
 
 // Middleware to validate donation creation
 const validateDonationCreate = (req, res, next) => {
@@ -58,10 +77,10 @@ const validateDonationUpdate = (req, res, next) => {
 };
 
 // GET /api/donations - Get all donations
-router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async (req, res) => {
+router.get('/', ...requirePermission('donation.view'), async (req, res) => {
   try {
     const rows = await query(
-      'SELECT * FROM transactions WHERE type = ? ORDER BY date DESC, created_at DESC',
+      'SELECT * FROM transactions WHERE type = ? AND deleted_at IS NULL ORDER BY date DESC, created_at DESC',
       ['Donation']
     );
     const donations = rows.map(row => Transaction.fromDbRow(row));
@@ -80,7 +99,7 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
 });
 
 // GET /api/donations/next-receipt-number - Get next receipt number for preview
-router.get('/next-receipt-number', authenticate, authorize(['Admin', 'Treasurer']), async (req, res) => {
+router.get('/next-receipt-number', ...requirePermission('donation.create'), async (req, res) => {
   try {
     const nextReceiptNumber = await getNextReceiptNumber('Donation');
     
@@ -98,11 +117,11 @@ router.get('/next-receipt-number', authenticate, authorize(['Admin', 'Treasurer'
 });
 
 // GET /api/donations/:id - Get donation by ID
-router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), validate(schemas.idParam), async (req, res) => {
+router.get('/:id', ...requirePermission('donation.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const rows = await query(
-      'SELECT * FROM transactions WHERE id = ? AND type = ?',
+      'SELECT * FROM transactions WHERE id = ? AND type = ? AND deleted_at IS NULL',
       [id, 'Donation']
     );
 
@@ -127,10 +146,63 @@ router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), va
   }
 });
 
+// POST /api/donations/:id/receipt-prints - Record a receipt print; every print after the first is a duplicate
+router.post('/:id/receipt-prints', ...requirePermission('donation.receipt.print'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const rows = await transaction(async (connection) => {
+      await connection.execute(
+        `UPDATE transactions
+         SET receipt_print_count = receipt_print_count + 1, receipt_printed_at = NOW()
+         WHERE id = ? AND type = ? AND deleted_at IS NULL`,
+        [id, 'Donation']
+      );
+      const [updated] = await connection.execute(
+        'SELECT * FROM transactions WHERE id = ? AND type = ? AND deleted_at IS NULL',
+        [id, 'Donation']
+      );
+      return updated;
+    });
+
+    if (rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'Donation not found'
+      });
+    }
+
+    const donation = Transaction.fromDbRow(rows[0]);
+    logger.info('Donation receipt printed:', { id, printCount: donation.receiptPrintCount });
+    return res.json({
+      success: true,
+      data: {
+        donation,
+        printCount: donation.receiptPrintCount,
+        copy: donation.receiptPrintCount > 1 ? 'Duplicate' : 'Original',
+        letterhead: {
+          templeName: env.RECEIPT_TEMPLE_NAME,
+          templeNameMr: env.RECEIPT_TEMPLE_NAME_MR,
+          address: env.RECEIPT_TEMPLE_ADDRESS,
+          registrationNumber: env.RECEIPT_REGISTRATION_NO,
+          signatory: env.RECEIPT_SIGNATORY,
+          signatoryMr: env.RECEIPT_SIGNATORY_MR
+        }
+      }
+    });
+  } catch (error) {
+    logger.error('Record receipt print error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to record receipt print'
+    });
+  }
+});
+
 // POST /api/donations - Create new donation
-router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateDonationCreate, async (req, res) => {
+router.post('/', ...requirePermission('donation.create'), validateDonationCreate, async (req, res) => {
   try {
-    const { idempotencyKey, ...donationData } = req.body;
+    const { idempotencyKey, donorPan, ...donationData } = req.body;
     
     // Check for existing donation with the same idempotency key
     const existingDonation = await query(
@@ -148,6 +220,10 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateDonati
       });
     }
     
+    // Checked before a receipt number is used up
+    await financialYearService.assertDatesOpen(null, [donationData.date]);
+    await categoryService.assertCategory({ ...donationData, type: 'Donation' });
+
     // Allocate receipt number atomically
     const allocatedReceiptNumber = await allocateReceiptNumber('Donation');
     
@@ -160,18 +236,28 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateDonati
     };
     
     const donation = new Transaction(fullDonationData);
-    const dbObject = donation.toDbObject();
 
-    const fields = Object.keys(dbObject).join(', ');
-    const placeholders = Object.keys(dbObject)
-      .map(() => '?')
-      .join(', ');
-    const values = Object.values(dbObject);
-
-    await query(
-      `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
-      values
-    );
+    await transaction(async (connection) => {
+      donation.donorId = await donorService.resolveDonor(connection, { ...donation, donorPan });
+      donation.eligible80g = taxExemptionService.isEligible(donation);
+      const dbObject = donation.toDbObject();
+      const fields = Object.keys(dbObject).join(', ');
+      const placeholders = Object.keys(dbObject)
+        .map(() => '?')
+        .join(', ');
+      const values = Object.values(dbObject);
+      await connection.execute(
+        `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
+        values
+      );
+      await generalLedgerService.syncTransaction(connection, donation.id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Transaction',
+        entityId: donation.id,
+        action: 'create',
+        after: donation,
+      }, connection);
+    });
 
     logger.info('Donation created successfully:', { 
       id: donation.id, 
@@ -186,6 +272,12 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateDonati
     });
   } catch (error) {
     logger.error('Create donation error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     
     // Handle specific duplicate key errors
     if (error.code === 'ER_DUP_ENTRY') {
@@ -210,41 +302,23 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateDonati
   }
 });
 
-// PUT /api/donations/:id - Update donation
-router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(schemas.idParam), validateDonationUpdate, async (req, res) => {
+// PUT /api/donations/:id - Update donation, or hold the change for approval
+router.put('/:id', ...requirePermission('donation.update'), validate(schemas.idParam), validateDonationUpdate, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const existing = await transactionService.getEntry(id, 'Donation');
+    await categoryService.assertCategory({ ...existing, ...req.body }, existing);
 
-    // Check if donation exists
-    const existingRows = await query(
-      'SELECT * FROM transactions WHERE id = ? AND type = ?',
-      [id, 'Donation']
-    );
-    
-    if (existingRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Donation not found'
+    const request = await approvalService.submitIfRequired(req.user, 'update', existing, req.body);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Change sent for approval'
       });
     }
 
-    const updatedDonation = new Transaction({ ...existingRows[0], ...updateData });
-    const dbObject = updatedDonation.toDbObject();
-
-    const setClause = Object.keys(dbObject)
-      .filter(key => key !== 'id' && key !== 'created_at')
-      .map(key => `${key} = ?`)
-      .join(', ');
-
-    const values = Object.keys(dbObject)
-      .filter(key => key !== 'id' && key !== 'created_at')
-      .map(key => dbObject[key]);
-
-    await query(
-      `UPDATE transactions SET ${setClause} WHERE id = ? AND type = ?`,
-      [...values, id, 'Donation']
-    );
+    const updatedDonation = await transactionService.updateEntry(id, req.body, 'Donation', { actor: auditService.actorFrom(req) });
 
     logger.info('Donation updated successfully:', { id });
     return res.json({
@@ -253,6 +327,12 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
     });
   } catch (error) {
     logger.error('Update donation error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to update donation'
@@ -260,23 +340,23 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
   }
 });
 
-// DELETE /api/donations/:id - Delete donation
-router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+// DELETE /api/donations/:id - Delete donation, or hold the deletion for approval
+router.delete('/:id', ...requirePermission('donation.delete'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
+    const existing = await transactionService.getEntry(id, 'Donation');
 
-    const result = await query(
-      'DELETE FROM transactions WHERE id = ? AND type = ?',
-      [id, 'Donation']
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Donation not found'
+    const request = await approvalService.submitIfRequired(req.user, 'delete', existing);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Deletion sent for approval'
       });
     }
 
+    await transactionService.deleteEntry(id, 'Donation', { actor: auditService.actorFrom(req) });
+
     logger.info('Donation deleted successfully:', { id });
     return res.json({
       success: true,
@@ -284,6 +364,12 @@ router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idPar
     });
   } catch (error) {
     logger.error('Delete donation error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete donation'
@@ -0,0 +1,54 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as donorService from '../services/donorService.js';
+import * as auditService from '../services/auditService.js';
+
+const router = express.Router();
+
+// GET /api/donors - Search donors by phone, PAN or name (also the donation form's autocomplete)
+router.get('/', ...requirePermission('donor.view', 'donation.create'), validate(schemas.donorList), asyncHandler(async (req, res) => {
+  const donors = await donorService.listDonors(req.validatedData);
+  res.json({ success: true, data: donors });
+}));
+
+// GET /api/donors/duplicates - Groups of donors that look like the same person
+router.get('/duplicates', ...requirePermission('donor.manage'), asyncHandler(async (req, res) => {
+  const groups = await donorService.findDuplicates();
+  res.json({ success: true, data: groups });
+}));
+
+// POST /api/donors/link-donations - File donations recorded without a donor under one
+router.post('/link-donations', ...requirePermission('donor.manage'), asyncHandler(async (req, res) => {
+  const result = await donorService.linkUnassignedDonations();
+  res.json({ success: true, data: result, message: `${result.linked} donations linked` });
+}));
+
+// POST /api/donors - Add a donor
+router.post('/', ...requirePermission('donor.manage', 'donation.create'), validate(schemas.createDonor), asyncHandler(async (req, res) => {
+  const donor = await donorService.createDonor(req.validatedData, auditService.actorFrom(req));
+  res.status(201).json({ success: true, data: donor });
+}));
+
+// GET /api/donors/:id - Donor profile with lifetime giving by category and year
+router.get('/:id', ...requirePermission('donor.view'), validate(schemas.idParam), asyncHandler(async (req, res) => {
+  const profile = await donorService.getProfile(req.validatedData.id);
+  res.json({ success: true, data: profile });
+}));
+
+// PUT /api/donors/:id - Edit a donor's details
+router.put('/:id', ...requirePermission('donor.manage'), validate(schemas.updateDonor), asyncHandler(async (req, res) => {
+  const { id, ...changes } = req.validatedData;
+  const donor = await donorService.updateDonor(id, changes, auditService.actorFrom(req));
+  res.json({ success: true, data: donor });
+}));
+
+// POST /api/donors/:id/merge - Merge other donors, and their donations, into this one
+router.post('/:id/merge', ...requirePermission('donor.manage'), validate(schemas.donorMerge), asyncHandler(async (req, res) => {
+  const { id, sourceIds } = req.validatedData;
+  const profile = await donorService.merge(id, sourceIds, auditService.actorFrom(req));
+  res.json({ success: true, data: profile, message: 'Donors merged' });
+}));
+
+export default router;
@@ -1,17 +1,21 @@
 import express from 'express';
-import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas, PAYMENT_MODES, paymentDetailsShape, checkPaymentDetails, withPaymentDefaults } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
 import { z } from 'zod';
 import { query } from '../config/db.js';
 import { Transaction } from '../models/Transaction.js';
-import { generateId } from '../utils/helpers.js';
+import * as transactionService from '../services/transactionService.js';
+import * as approvalService from '../services/approvalService.js';
+import * as categoryService from '../services/categoryService.js';
+import * as attachmentService from '../services/attachmentService.js';
+import * as auditService from '../services/auditService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'expenses-router' });
 const router = express.Router();
 
 // Validation schemas using Zod
-const expenseCreateSchema = z.object({
+const expenseFieldsSchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
   category: z.string().min(1, 'Category is required'),
   subCategory: z.string().optional(),
@@ -19,10 +23,15 @@ const expenseCreateSchema = z.object({
   amount: z.coerce.number().positive('Amount must be positive'),
   payeeName: z.string().min(1, 'Payee name is required'),
   payeeContact: z.string().regex(/^\d{10}$/, 'Contact must be 10 digits').optional().or(z.literal('')),
-  receiptImages: z.array(z.string()).optional(),
+  // Staged uploads (POST /api/attachments without a record) to attach: the bill, cheque photos
+  attachmentIds: z.array(z.string().uuid('Invalid attachment ID')).max(10).optional(),
+  ...paymentDetailsShape,
+  paymentMode: z.enum(PAYMENT_MODES).default('Cash'),
 });
 
-const expenseUpdateSchema = expenseCreateSchema.partial();
+const expenseCreateSchema = expenseFieldsSchema.superRefine(checkPaymentDetails).transform(withPaymentDefaults);
+
+const expenseUpdateSchema = expenseFieldsSchema.partial().superRefine(checkPaymentDetails);
 
 // Middleware to validate expense creation
 const validateExpenseCreate = (req, res, next) => {
@@ -55,10 +64,10 @@ const validateExpenseUpdate = (req, res, next) => {
 };
 
 // GET /api/expenses - Get all expenses
-router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async (req, res) => {
+router.get('/', ...requirePermission('expense.view'), async (req, res) => {
   try {
     const rows = await query(
-      'SELECT * FROM transactions WHERE type = ? ORDER BY date DESC, created_at DESC',
+      'SELECT * FROM transactions WHERE type = ? AND deleted_at IS NULL ORDER BY date DESC, created_at DESC',
       ['Expense']
     );
     const expenses = rows.map(row => Transaction.fromDbRow(row));
@@ -77,11 +86,11 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
 });
 
 // GET /api/expenses/:id - Get expense by ID
-router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), validate(schemas.idParam), async (req, res) => {
+router.get('/:id', ...requirePermission('expense.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const rows = await query(
-      'SELECT * FROM transactions WHERE id = ? AND type = ?',
+      'SELECT * FROM transactions WHERE id = ? AND type = ? AND deleted_at IS NULL',
       [id, 'Expense']
     );
 
@@ -106,29 +115,27 @@ router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), va
   }
 });
 
-// POST /api/expenses - Create new expense
-router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateExpenseCreate, async (req, res) => {
+// POST /api/expenses - Create new expense, or hold it for approval when above the threshold
+router.post('/', ...requirePermission('expense.create'), validateExpenseCreate, async (req, res) => {
   try {
-    const expenseData = {
-      ...req.body,
-      id: generateId(),
-      type: 'Expense',
+    const expenseData = { ...req.body, type: 'Expense' };
+    await categoryService.assertCategory(expenseData);
+    await attachmentService.assertStaged(req.user, expenseData.attachmentIds);
+    await attachmentService.assertRequiredAttachments(expenseData, { attachmentIds: expenseData.attachmentIds });
+
+    const request = await approvalService.submitIfRequired(req.user, 'create', expenseData, expenseData);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Expense sent for approval'
+      });
+    }
+
+    const expense = await transactionService.createEntry({
+      ...expenseData,
       createdAt: new Date().toISOString(),
-    };
-    
-    const expense = new Transaction(expenseData);
-    const dbObject = expense.toDbObject();
-
-    const fields = Object.keys(dbObject).map(k => `\`${k}\``).join(', ');
-    const placeholders = Object.keys(dbObject)
-      .map(() => '?')
-      .join(', ');
-    const values = Object.values(dbObject);
-
-    await query(
-      `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
-      values
-    );
+    }, { actor: auditService.actorFrom(req) });
 
     logger.info('Expense created successfully:', { id: expense.id, amount: expense.amount });
     return res.status(201).json({
@@ -137,6 +144,12 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateExpens
     });
   } catch (error) {
     logger.error('Create expense error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to create expense'
@@ -144,41 +157,29 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), validateExpens
   }
 });
 
-// PUT /api/expenses/:id - Update expense
-router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(schemas.idParam), validateExpenseUpdate, async (req, res) => {
+// PUT /api/expenses/:id - Update expense, or hold the change for approval
+router.put('/:id', ...requirePermission('expense.update'), validate(schemas.idParam), validateExpenseUpdate, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
-
-    // Check if expense exists
-    const existingRows = await query(
-      'SELECT * FROM transactions WHERE id = ? AND type = ?',
-      [id, 'Expense']
+    const changes = req.body;
+    const existing = await transactionService.getEntry(id, 'Expense');
+    await categoryService.assertCategory({ ...existing, ...changes }, existing);
+    await attachmentService.assertStaged(req.user, changes.attachmentIds);
+    await attachmentService.assertRequiredAttachments(
+      { ...existing, ...changes },
+      { attachmentIds: changes.attachmentIds, existing }
     );
-    
-    if (existingRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Expense not found'
+
+    const request = await approvalService.submitIfRequired(req.user, 'update', existing, changes);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Change sent for approval'
       });
     }
 
-    const updatedExpense = new Transaction({ ...existingRows[0], ...updateData });
-    const dbObject = updatedExpense.toDbObject();
-
-    const setClause = Object.keys(dbObject)
-      .filter(key => key !== 'id' && key !== 'created_at')
-      .map(key => `\`${key}\` = ?`)
-      .join(', ');
-
-    const values = Object.keys(dbObject)
-      .filter(key => key !== 'id' && key !== 'created_at')
-      .map(key => dbObject[key]);
-
-    await query(
-      `UPDATE transactions SET ${setClause} WHERE id = ? AND type = ?`,
-      [...values, id, 'Expense']
-    );
+    const updatedExpense = await transactionService.updateEntry(id, changes, 'Expense', { actor: auditService.actorFrom(req) });
 
     logger.info('Expense updated successfully:', { id });
     return res.json({
@@ -187,6 +188,12 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
     });
   } catch (error) {
     logger.error('Update expense error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to update expense'
@@ -194,23 +201,23 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
   }
 });
 
-// DELETE /api/expenses/:id - Delete expense
-router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+// DELETE /api/expenses/:id - Delete expense, or hold the deletion for approval
+router.delete('/:id', ...requirePermission('expense.delete'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
-
-    const result = await query(
-      'DELETE FROM transactions WHERE id = ? AND type = ?',
-      [id, 'Expense']
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Expense not found'
+    const existing = await transactionService.getEntry(id, 'Expense');
+
+    const request = await approvalService.submitIfRequired(req.user, 'delete', existing);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Deletion sent for approval'
       });
     }
 
+    await transactionService.deleteEntry(id, 'Expense', { actor: auditService.actorFrom(req) });
+
     logger.info('Expense deleted successfully:', { id });
     return res.json({
       success: true,
@@ -218,6 +225,12 @@ router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idPar
     });
   } catch (error) {
     logger.error('Delete expense error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete expense'
@@ -0,0 +1,101 @@
+import express from 'express';
+import { requirePermission } from '../middleware/auth.js';
+import { z } from 'zod';
+import * as financialYearService from '../services/financialYearService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'financial-years-router' });
+const router = express.Router();
+
+const yearSchema = z.object({
+  year: z.string().regex(/^\d{4}-\d{2}$/, 'Financial year must look like 2024-25'),
+});
+
+const closeSchema = z.object({
+  notes: z.string().max(500).optional(),
+});
+
+const reopenSchema = z.object({
+  reason: z.string().trim().min(1, 'A reason is required to reopen a financial year').max(500),
+});
+
+const handleError = (res, error, fallback) => {
+  if (error instanceof z.ZodError) {
+    return res.status(422).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.errors
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// GET /api/financial-years - Financial years from the first recorded entry to today, newest first
+router.get('/', ...requirePermission('financialYear.view'), async (req, res) => {
+  try {
+    const years = await financialYearService.listYears();
+    return res.json({
+      success: true,
+      data: years
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch financial years');
+  }
+});
+
+// GET /api/financial-years/:year - One year with opening balances, totals and close/reopen history
+router.get('/:year', ...requirePermission('financialYear.view'), async (req, res) => {
+  try {
+    const { year } = yearSchema.parse(req.params);
+    const financialYear = await financialYearService.getYear(year);
+    return res.json({
+      success: true,
+      data: financialYear
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch financial year');
+  }
+});
+
+// POST /api/financial-years/:year/close - Close a year and carry its balances forward
+router.post('/:year/close', ...requirePermission('financialYear.close'), async (req, res) => {
+  try {
+    const { year } = yearSchema.parse(req.params);
+    const details = closeSchema.parse(req.body || {});
+    const financialYear = await financialYearService.closeYear(year, details, req.user?.id);
+    return res.json({
+      success: true,
+      data: financialYear
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to close financial year');
+  }
+});
+
+// POST /api/financial-years/:year/reopen - Reopen a closed year with a reason
+router.post('/:year/reopen', ...requirePermission('financialYear.close'), async (req, res) => {
+  try {
+    const { year } = yearSchema.parse(req.params);
+    const details = reopenSchema.parse(req.body || {});
+    const financialYear = await financialYearService.reopenYear(year, details, req.user?.id);
+    return res.json({
+      success: true,
+      data: financialYear
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to reopen financial year');
+  }
+});
+
+export default router;
@@ -0,0 +1,101 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { z } from 'zod';
+import * as generalLedgerService from '../services/generalLedgerService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'ledger-router' });
+const router = express.Router();
+
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+
+const trialBalanceSchema = z.object({
+  asOf: dateString.optional(),
+});
+
+const accountLedgerSchema = z.object({
+  from: dateString.optional(),
+  to: dateString.optional(),
+}).refine(({ from, to }) => !from || !to || from <= to, {
+  message: 'From date must not be after to date',
+  path: ['from'],
+});
+
+const handleError = (res, error, fallback) => {
+  if (error instanceof z.ZodError) {
+    return res.status(422).json({
+      success: false,
+      error: 'Validation failed',
+      details: error.errors
+    });
+  }
+  if (error.statusCode) {
+    return res.status(error.statusCode).json({
+      success: false,
+      error: error.message
+    });
+  }
+
+  logger.error(`${fallback}:`, error);
+  return res.status(500).json({
+    success: false,
+    error: fallback
+  });
+};
+
+// GET /api/ledger/accounts - Chart of accounts with balances
+router.get('/accounts', ...requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const accounts = await generalLedgerService.getChartOfAccounts();
+    return res.json({
+      success: true,
+      data: accounts
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch chart of accounts');
+  }
+});
+
+// GET /api/ledger/accounts/:id/entries - Journal lines for one account with running balance
+router.get('/accounts/:id/entries', ...requirePermission('ledger.view'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const range = accountLedgerSchema.parse(req.query);
+    const ledger = await generalLedgerService.getAccountLedger(req.params.id, range);
+    return res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch account ledger');
+  }
+});
+
+// GET /api/ledger/trial-balance - Trial balance, optionally as of a date
+router.get('/trial-balance', ...requirePermission('ledger.view'), async (req, res) => {
+  try {
+    const { asOf } = trialBalanceSchema.parse(req.query);
+    const trialBalance = await generalLedgerService.getTrialBalance({ asOf });
+    return res.json({
+      success: true,
+      data: trialBalance
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to fetch trial balance');
+  }
+});
+
+// POST /api/ledger/rebuild - Repost the journal from the source records
+router.post('/rebuild', ...requirePermission('ledger.rebuild'), async (req, res) => {
+  try {
+    const result = await generalLedgerService.rebuildLedger();
+    return res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    return handleError(res, error, 'Failed to rebuild general ledger');
+  }
+});
+
+export default router;
@@ -1,18 +1,49 @@
 import express from 'express';
-import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { query } from '../config/db.js';
+import { validate, schemas, PAYMENT_MODES, paymentDetailsShape, checkPaymentDetails, withPaymentDefaults } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { z } from 'zod';
+import { query, transaction } from '../config/db.js';
 import { Loan } from '../models/Loan.js';
 import { generateId } from '../utils/helpers.js';
+import * as loanScheduleService from '../services/loanScheduleService.js';
+import * as generalLedgerService from '../services/generalLedgerService.js';
+import * as financialYearService from '../services/financialYearService.js';
+import * as auditService from '../services/auditService.js';
+import * as trashService from '../services/trashService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'loans-router' });
 const router = express.Router();
 
+const dateString = z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format');
+
+// Only the fields the amortization schedule is built from are checked here
+const loanCreateSchema = z.object({
+  loanAmount: z.coerce.number().positive('Loan amount must be positive'),
+  interestRate: z.coerce.number().min(0, 'Interest rate cannot be negative').max(100),
+  loanDuration: z.coerce.number().int().min(1, 'Loan duration must be at least 1 month'),
+  disbursedDate: z.string().regex(/^\d{4}-\d{2}-\d{2}/, 'Disbursed date must be in YYYY-MM-DD format'),
+}).passthrough();
+
+const loanRepaymentSchema = z.object({
+  amount: z.number().positive('Amount must be positive'),
+  date: dateString.optional(),
+  receiptNumber: z.string().optional(),
+  description: z.string().optional(),
+  ...paymentDetailsShape,
+  paymentMode: z.enum(PAYMENT_MODES).default('Cash'),
+}).superRefine(checkPaymentDetails).transform(withPaymentDefaults);
+
+const validationError = (res, error) => res.status(422).json({
+  success: false,
+  error: 'Validation failed',
+  details: error.errors
+});
+
 // GET /api/loans - Get all loans
-router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async (req, res) => {
+router.get('/', ...requirePermission('loan.view'), async (req, res) => {
   try {
-    const rows = await query('SELECT * FROM loans ORDER BY created_at DESC');
+    const rows = await query('SELECT * FROM loans WHERE deleted_at IS NULL ORDER BY created_at DESC');
     const loans = rows.map(row => Loan.fromDbRow(row));
     
     res.json({
@@ -29,10 +60,10 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
 });
 
 // GET /api/loans/:id - Get loan by ID
-router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), validate(schemas.idParam), async (req, res) => {
+router.get('/:id', ...requirePermission('loan.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
-    const rows = await query('SELECT * FROM loans WHERE id = ?', [id]);
+    const rows = await query('SELECT * FROM loans WHERE id = ? AND deleted_at IS NULL', [id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -55,48 +86,134 @@ router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), va
   }
 });
 
-// POST /api/loans - Create new loan
-router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, res) => {
+// GET /api/loans/:id/schedule - Amortization schedule (principal/interest per installment)
+router.get('/:id/schedule', ...requirePermission('loan.view'), validate(schemas.idParam), async (req, res) => {
   try {
-    const loanData = {
-      ...req.body,
-      id: generateId(),
-      createdAt: new Date().toISOString(),
-    };
+    const installments = await loanScheduleService.getSchedule(req.params.id);
+    res.json({
+      success: true,
+      data: installments
+    });
+  } catch (error) {
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('Get loan schedule error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch loan schedule'
+    });
+  }
+});
+
+// POST /api/loans - Create new loan along with its amortization schedule
+router.post('/', ...requirePermission('loan.manage'), async (req, res) => {
+  try {
+    const body = loanCreateSchema.parse(req.body);
+    const disbursedDate = body.disbursedDate.slice(0, 10);
+    const id = generateId();
+
+    // EMI, balances and the first due date always come from the schedule
+    const { monthlyEmi, installments } = loanScheduleService.buildAmortizationSchedule({
+      ...body,
+      disbursedDate
+    });
 
-    const loan = new Loan(loanData);
+    const loan = new Loan({
+      ...body,
+      id,
+      disbursedDate,
+      monthlyEmi,
+      outstandingBalance: body.loanAmount,
+      totalRepaid: 0,
+      status: 'Active',
+      nextEmiDate: installments[0].dueDate,
+      lastPaymentDate: null,
+      createdAt: new Date().toISOString(),
+    });
     const dbObject = loan.toDbObject();
 
     const fields = Object.keys(dbObject).join(', ');
     const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
     const values = Object.values(dbObject);
 
-    await query(
-      `INSERT INTO loans (${fields}) VALUES (${placeholders})`,
-      values
-    );
+    await transaction(async (connection) => {
+      await financialYearService.assertDatesOpen(connection, [disbursedDate]);
+      await connection.execute(
+        `INSERT INTO loans (${fields}) VALUES (${placeholders})`,
+        values
+      );
+      await loanScheduleService.createSchedule(connection, {
+        ...body,
+        id,
+        disbursedDate
+      });
+      await generalLedgerService.syncLoan(connection, id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Loan', entityId: id, action: 'create', after: loan
+      }, connection);
+    });
 
     res.status(201).json({
       success: true,
-      data: loan
+      data: { ...loan, installments }
     });
   } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
     logger.error('Create loan error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
   }
 });
 
+// POST /api/loans/:id/repayments - Post an EMI repayment against the schedule
+router.post('/:id/repayments', ...requirePermission('loan.manage'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const repayment = loanRepaymentSchema.parse(req.body);
+    const [before] = await query('SELECT * FROM loans WHERE id = ? AND deleted_at IS NULL', [req.params.id]);
+    const result = await loanScheduleService.postRepayment(req.params.id, repayment);
+
+    const actor = auditService.actorFrom(req);
+    await auditService.record(actor, {
+      entityType: 'Transaction', entityId: result.transaction.id, action: 'create', after: result.transaction
+    });
+    await auditService.record(actor, {
+      entityType: 'Loan', entityId: req.params.id, action: 'update',
+      before: before && Loan.fromDbRow(before), after: result.loan,
+      context: { repaymentId: result.transaction.id }
+    });
+
+    res.status(201).json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return validationError(res, error);
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({ success: false, error: error.message });
+    }
+    logger.error('Loan repayment error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to post loan repayment'
+    });
+  }
+});
+
 // PUT /api/loans/:id - Update loan
-router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(schemas.idParam), async (req, res) => {
+router.put('/:id', ...requirePermission('loan.manage'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
     // Check if loan exists
-    const existingRows = await query('SELECT * FROM loans WHERE id = ?', [id]);
+    const existingRows = await query('SELECT * FROM loans WHERE id = ? AND deleted_at IS NULL', [id]);
     if (existingRows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -116,7 +233,14 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
       .filter(key => key !== 'id' && key !== 'created_at')
       .map(key => dbObject[key]);
 
-    await query(`UPDATE loans SET ${setClause} WHERE id = ?`, [...values, id]);
+    await transaction(async (connection) => {
+      await financialYearService.assertDatesOpen(connection, [existingRows[0].disbursed_date, updateData.disbursedDate]);
+      await connection.execute(`UPDATE loans SET ${setClause} WHERE id = ?`, [...values, id]);
+      await generalLedgerService.syncLoan(connection, id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Loan', entityId: id, action: 'update', before: Loan.fromDbRow(existingRows[0]), after: loan
+      }, connection);
+    });
 
     res.json({
       success: true,
@@ -124,7 +248,7 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
     });
   } catch (error) {
     logger.error('Update loan error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
@@ -132,18 +256,12 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
 });
 
 // DELETE /api/loans/:id - Delete loan
-router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.delete('/:id', ...requirePermission('loan.delete'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM loans WHERE id = ?', [id]);
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Loan not found'
-      });
-    }
+    // Repayments stay, unlinked, until the loan is restored (see trashService)
+    await trashService.moveToTrash('Loan', id, auditService.actorFrom(req));
 
     res.json({
       success: true,
@@ -151,7 +269,7 @@ router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idPar
     });
   } catch (error) {
     logger.error('Delete loan error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
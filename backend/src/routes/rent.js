@@ -1,29 +1,75 @@
 import express from 'express';
-import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas, paymentDetailsShape, checkPaymentDetails, withPaymentDefaults } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
 import { z } from 'zod';
-import { query } from '../config/db.js';
+import { query, transaction } from '../config/db.js';
 import { Shop } from '../models/Shop.js';
 import { Tenant } from '../models/Tenant.js';
 import { Agreement } from '../models/Agreement.js';
 import { Transaction } from '../models/Transaction.js';
 import { generateId } from '../utils/helpers.js';
+import * as rentInvoicesService from '../services/rentInvoicesService.js';
+import * as tenantLedgerService from '../services/tenantLedgerService.js';
+import * as generalLedgerService from '../services/generalLedgerService.js';
+import * as financialYearService from '../services/financialYearService.js';
+import * as transactionService from '../services/transactionService.js';
+import * as approvalService from '../services/approvalService.js';
+import * as auditService from '../services/auditService.js';
+import * as attachmentService from '../services/attachmentService.js';
+import * as trashService from '../services/trashService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'rent-router' });
 const router = express.Router();
 
 // Validation schemas using Zod
-const rentPaymentCreateSchema = z.object({
+const rentPaymentFieldsSchema = z.object({
   agreementId: z.string().min(1, 'Agreement ID is required'),
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
   amount: z.number().positive('Amount must be positive'),
-  paymentMethod: z.enum(['Cash', 'Check', 'Bank Transfer', 'UPI']).default('Cash'),
+  // Older clients send paymentMethod (with 'Check'); paymentMode wins when both are present
+  paymentMethod: z.enum(['Cash', 'Check', 'Bank Transfer', 'UPI']).optional(),
   description: z.string().optional(),
   receiptNumber: z.string().optional(),
+  // Staged uploads to attach, e.g. a photo of the cheque
+  attachmentIds: z.array(z.string().uuid('Invalid attachment ID')).max(10).optional(),
+  ...paymentDetailsShape,
 });
 
-const rentPaymentUpdateSchema = rentPaymentCreateSchema.partial();
+const fromLegacyPaymentMethod = ({ paymentMethod, ...data }) => ({
+  ...data,
+  paymentMode: data.paymentMode ?? (paymentMethod === 'Check' ? 'Cheque' : paymentMethod),
+});
+
+const rentPaymentCreateSchema = rentPaymentFieldsSchema
+  .transform((data) => {
+    const payment = fromLegacyPaymentMethod(data);
+    return { ...payment, paymentMode: payment.paymentMode ?? 'Cash' };
+  })
+  .superRefine(checkPaymentDetails)
+  .transform(withPaymentDefaults);
+
+const rentPaymentUpdateSchema = rentPaymentFieldsSchema.partial()
+  .transform(fromLegacyPaymentMethod)
+  .superRefine(checkPaymentDetails);
+
+const rentInvoiceListSchema = z.object({
+  agreementId: z.string().optional(),
+  status: z.enum(['Unpaid', 'Partial', 'Paid']).optional(),
+  period: z.string().regex(/^\d{4}-\d{2}$/, 'Period must be in YYYY-MM format').optional(),
+});
+
+const rentInvoiceGenerateSchema = z.object({
+  asOf: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+});
+
+const tenantLedgerSchema = z.object({
+  from: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+  to: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+}).refine(({ from, to }) => !from || !to || from <= to, {
+  message: 'From date must not be after to date',
+  path: ['from'],
+});
 
 // Tenant validation schemas using Zod
 const tenantCreateSchema = z.object({
@@ -54,9 +100,9 @@ const validateRentPaymentCreate = (req, res, next) => {
 };
 
 // GET /api/rent/units - Get all rental units (shops)
-router.get('/units', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/units', ...requirePermission('rent.view'), async (req, res) => {
   try {
-    const rows = await query('SELECT * FROM shops ORDER BY shop_number');
+    const rows = await query('SELECT * FROM shops WHERE deleted_at IS NULL ORDER BY shop_number');
     const units = rows.map(row => Shop.fromDbRow(row));
     
     return res.json({
@@ -73,9 +119,9 @@ router.get('/units', authenticate, authorize(['Admin']), async (req, res) => {
 });
 
 // GET /api/rent/tenants - Get all tenants
-router.get('/tenants', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/tenants', ...requirePermission('rent.view'), async (req, res) => {
   try {
-    const rows = await query('SELECT * FROM tenants ORDER BY name');
+    const rows = await query('SELECT * FROM tenants WHERE deleted_at IS NULL ORDER BY name');
     const tenants = rows.map(row => Tenant.fromDbRow(row));
     
     return res.json({
@@ -92,7 +138,7 @@ router.get('/tenants', authenticate, authorize(['Admin']), async (req, res) => {
 });
 
 // POST /api/rent/tenants - Create new tenant
-router.post('/tenants', authenticate, authorize(['Admin']), async (req, res) => {
+router.post('/tenants', ...requirePermission('rent.tenant.manage'), async (req, res) => {
   try {
     // Validate input
     const validatedData = tenantCreateSchema.parse(req.body);
@@ -143,6 +189,12 @@ router.post('/tenants', authenticate, authorize(['Admin']), async (req, res) =>
     // Fetch the created tenant with the database-generated created_at
     const createdTenantRows = await query('SELECT * FROM tenants WHERE id = ?', [tenant.id]);
     const createdTenant = Tenant.fromDbRow(createdTenantRows[0]);
+    await auditService.record(auditService.actorFrom(req), {
+      entityType: 'Tenant',
+      entityId: createdTenant.id,
+      action: 'create',
+      after: createdTenant,
+    });
     
     logger.info('Tenant created successfully:', { id: tenant.id, name: tenant.name });
     return res.status(201).json({
@@ -167,10 +219,10 @@ router.post('/tenants', authenticate, authorize(['Admin']), async (req, res) =>
 });
 
 // GET /api/rent/tenants/:id - Get tenant by ID
-router.get('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.get('/tenants/:id', ...requirePermission('rent.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
-    const rows = await query('SELECT * FROM tenants WHERE id = ?', [id]);
+    const rows = await query('SELECT * FROM tenants WHERE id = ? AND deleted_at IS NULL', [id]);
     
     if (rows.length === 0) {
       return res.status(404).json({
@@ -194,13 +246,46 @@ router.get('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.
   }
 });
 
+// GET /api/rent/tenants/:id/ledger - Statement of account (running balance) for a tenant
+router.get('/tenants/:id/ledger', ...requirePermission('rent.view'), validate(schemas.idParam), async (req, res) => {
+  try {
+    const range = tenantLedgerSchema.parse(req.query);
+    const ledger = await tenantLedgerService.getTenantLedger(req.params.id, range);
+
+    return res.json({
+      success: true,
+      data: ledger
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
+
+    logger.error('Get tenant ledger error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch tenant ledger'
+    });
+  }
+});
+
 // PUT /api/rent/tenants/:id - Update tenant
-router.put('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.put('/tenants/:id', ...requirePermission('rent.tenant.manage'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     
     // Check if tenant exists
-    const existingRows = await query('SELECT * FROM tenants WHERE id = ?', [id]);
+    const existingRows = await query('SELECT * FROM tenants WHERE id = ? AND deleted_at IS NULL', [id]);
     if (existingRows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -280,6 +365,13 @@ router.put('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.
     // Fetch updated tenant
     const updatedRows = await query('SELECT * FROM tenants WHERE id = ?', [id]);
     const updatedTenant = Tenant.fromDbRow(updatedRows[0]);
+    await auditService.record(auditService.actorFrom(req), {
+      entityType: 'Tenant',
+      entityId: id,
+      action: 'update',
+      before: Tenant.fromDbRow(existingRows[0]),
+      after: updatedTenant,
+    });
     
     logger.info('Tenant updated successfully:', { id, updatedFields: Object.keys(validatedData) });
     return res.json({
@@ -304,12 +396,12 @@ router.put('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.
 });
 
   // implement /api/rent/tenants/:id - Update tenant
-  router.put('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+  router.put('/tenants/:id', ...requirePermission('rent.tenant.manage'), validate(schemas.idParam), async (req, res) => {
     try {
       const { id } = req.params;
 
       // Check if tenant exists
-      const existingRows = await query('SELECT * FROM tenants WHERE id = ?', [id]);
+      const existingRows = await query('SELECT * FROM tenants WHERE id = ? AND deleted_at IS NULL', [id]);
       if (existingRows.length === 0) {
         return res.status(404).json({
           success: false,
@@ -386,6 +478,13 @@ router.put('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.
       // Fetch updated tenant
       const updatedRows = await query('SELECT * FROM tenants WHERE id = ?', [id]);
       const updatedTenant = Tenant.fromDbRow(updatedRows[0]);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Tenant',
+        entityId: id,
+        action: 'update',
+        before: Tenant.fromDbRow(existingRows[0]),
+        after: updatedTenant,
+      });
 
       logger.info('Tenant updated successfully:', { id, updatedFields: Object.keys(validatedData) });
       return res.json({
@@ -411,40 +510,13 @@ router.put('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.
 
 
 // DELETE /api/rent/tenants/:id - Delete tenant
-router.delete('/tenants/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.delete('/tenants/:id', ...requirePermission('rent.tenant.manage'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     
-    // Check if tenant exists
-    const existingRows = await query('SELECT * FROM tenants WHERE id = ?', [id]);
-    if (existingRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Tenant not found'
-      });
-    }
-    
-    // Check if tenant is referenced by any shops or agreements
-    const referencedInShops = await query('SELECT id FROM shops WHERE tenant_id = ?', [id]);
-    const referencedInAgreements = await query('SELECT id FROM agreements WHERE tenant_id = ?', [id]);
-    
-    if (referencedInShops.length > 0 || referencedInAgreements.length > 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Cannot delete tenant: tenant is referenced by existing shops or agreements'
-      });
-    }
-    
-    // Delete tenant
-    const result = await query('DELETE FROM tenants WHERE id = ?', [id]);
-    
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Tenant not found'
-      });
-    }
-    
+    // Refused while live shops or agreements still refer to the tenant
+    await trashService.moveToTrash('Tenant', id, auditService.actorFrom(req));
+
     logger.info('Tenant deleted successfully:', { id });
     return res.json({
       success: true,
@@ -452,6 +524,12 @@ router.delete('/tenants/:id', authenticate, authorize(['Admin']), validate(schem
     });
   } catch (error) {
     logger.error('Delete tenant error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete tenant'
@@ -460,13 +538,14 @@ router.delete('/tenants/:id', authenticate, authorize(['Admin']), validate(schem
 });
 
 // GET /api/rent/leases - Get all agreements (leases)
-router.get('/leases', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/leases', ...requirePermission('rent.view'), async (req, res) => {
   try {
     const rows = await query(`
       SELECT a.*, s.shop_number, t.name AS tenant_name 
       FROM agreements a
       LEFT JOIN shops s ON a.shop_id = s.id
       LEFT JOIN tenants t ON a.tenant_id = t.id
+      WHERE a.deleted_at IS NULL
       ORDER BY a.agreement_date DESC
     `);
     
@@ -490,7 +569,7 @@ router.get('/leases', authenticate, authorize(['Admin']), async (req, res) => {
 });
 
 // GET /api/rent/payments - Get all rent payments
-router.get('/payments', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/payments', ...requirePermission('rent.view'), async (req, res) => {
   try {
     const rows = await query(`
       SELECT t.*, a.shop_id, s.shop_number, tn.tenant_name
@@ -498,7 +577,7 @@ router.get('/payments', authenticate, authorize(['Admin']), async (req, res) =>
       LEFT JOIN agreements a ON t.agreement_id = a.id
       LEFT JOIN shops s ON a.shop_id = s.id
       LEFT JOIN tenants tn ON a.tenant_id = tn.id
-      WHERE t.type = 'RentIncome'
+      WHERE t.type = 'RentIncome' AND t.deleted_at IS NULL
       ORDER BY t.date DESC, t.created_at DESC
     `);
     
@@ -522,7 +601,7 @@ router.get('/payments', authenticate, authorize(['Admin']), async (req, res) =>
 });
 
 // GET /api/rent/agreements/:id - Get agreement by ID
-router.get('/agreements/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.get('/agreements/:id', ...requirePermission('rent.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const rows = await query(`
@@ -530,7 +609,7 @@ router.get('/agreements/:id', authenticate, authorize(['Admin']), validate(schem
       FROM agreements a
       LEFT JOIN shops s ON a.shop_id = s.id
       LEFT JOIN tenants t ON a.tenant_id = t.id
-      WHERE a.id = ?
+      WHERE a.id = ? AND a.deleted_at IS NULL
     `, [id]);
 
     if (rows.length === 0) {
@@ -560,13 +639,14 @@ router.get('/agreements/:id', authenticate, authorize(['Admin']), validate(schem
 });
 
 // GET /api/rent/agreements
-router.get('/agreements', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/agreements', ...requirePermission('rent.view'), async (req, res) => {
   try {
     const rows = await query(`
       SELECT a.*, s.shop_number, t.name AS tenant_name
       FROM agreements a
       LEFT JOIN shops s ON a.shop_id = s.id
       LEFT JOIN tenants t ON a.tenant_id = t.id
+      WHERE a.deleted_at IS NULL
       ORDER BY a.agreement_date DESC
     `);
 
@@ -589,14 +669,90 @@ router.get('/agreements', authenticate, authorize(['Admin']), async (req, res) =
   }
 });
 
+// GET /api/rent/invoices - List rent invoices (filter by agreementId, status, period)
+router.get('/invoices', ...requirePermission('rent.view'), async (req, res) => {
+  try {
+    const filters = rentInvoiceListSchema.parse(req.query);
+    const invoices = await rentInvoicesService.listInvoices(filters);
+
+    return res.json({
+      success: true,
+      data: invoices
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    logger.error('Get rent invoices error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rent invoices'
+    });
+  }
+});
+
+// GET /api/rent/invoices/summary - Paid/partial/unpaid position per shop
+router.get('/invoices/summary', ...requirePermission('rent.view'), async (req, res) => {
+  try {
+    const summary = await rentInvoicesService.getShopInvoiceSummary();
+
+    return res.json({
+      success: true,
+      data: summary
+    });
+  } catch (error) {
+    logger.error('Get rent invoice summary error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rent invoice summary'
+    });
+  }
+});
+
+// POST /api/rent/invoices/generate - Raise all due invoices now (also runs on a schedule)
+router.post('/invoices/generate', ...requirePermission('rent.invoice.generate'), async (req, res) => {
+  try {
+    const { asOf } = rentInvoiceGenerateSchema.parse(req.body || {});
+    const result = await rentInvoicesService.generateDueInvoices(asOf ? { asOf } : {});
+
+    return res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    logger.error('Generate rent invoices error:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to generate rent invoices'
+    });
+  }
+});
+
 // POST /api/rent/payments - Create new rent payment
-router.post('/payments', authenticate, authorize(['Admin']), validateRentPaymentCreate, async (req, res) => {
+router.post('/payments', ...requirePermission('rent.payment.create'), validateRentPaymentCreate, async (req, res) => {
   try {
-    const { agreementId, date, amount, paymentMethod, description, receiptNumber } = req.body;
+    const {
+      agreementId, date, amount, description, receiptNumber,
+      paymentMode, paymentReference, chequeDate, clearingStatus, attachmentIds = []
+    } = req.body;
+    await attachmentService.assertStaged(req.user, attachmentIds);
     
     // Verify agreement exists
     const agreementRows = await query(
-      'SELECT a.*, s.shop_number, t.name AS tenant_name FROM agreements a LEFT JOIN shops s ON a.shop_id = s.id LEFT JOIN tenants t ON a.tenant_id = t.id WHERE a.id = ?',
+      'SELECT a.*, s.shop_number, t.name AS tenant_name FROM agreements a LEFT JOIN shops s ON a.shop_id = s.id LEFT JOIN tenants t ON a.tenant_id = t.id WHERE a.id = ? AND a.deleted_at IS NULL',
       [agreementId]
     );
     
@@ -622,6 +778,10 @@ router.post('/payments', authenticate, authorize(['Admin']), validateRentPayment
       tenantContact: '',
       agreementId,
       shopNumber: agreement.shop_number,
+      paymentMode,
+      paymentReference,
+      chequeDate,
+      clearingStatus,
       createdAt: new Date().toISOString(),
     };
     
@@ -634,10 +794,32 @@ router.post('/payments', authenticate, authorize(['Admin']), validateRentPayment
       .join(', ');
     const values = Object.values(dbObject);
 
-    await query(
-      `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
-      values
-    );
+    // Record the payment and settle it against open rent invoices atomically
+    const settlement = await transaction(async (connection) => {
+      await financialYearService.assertDatesOpen(connection, [date]);
+      await connection.execute(
+        `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
+        values
+      );
+      await attachmentService.attach(
+        connection,
+        attachmentIds,
+        { entityType: 'transaction', entityId: payment.id },
+        { uploadedBy: req.user.id }
+      );
+      await generalLedgerService.syncTransaction(connection, payment.id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'Transaction',
+        entityId: payment.id,
+        action: 'create',
+        after: payment,
+      }, connection);
+      return rentInvoicesService.settlePayment(connection, {
+        agreementId,
+        transactionId: payment.id,
+        amount,
+      });
+    });
 
     logger.info('Rent payment created successfully:', { id: payment.id, amount: payment.amount, agreementId });
     return res.status(201).json({
@@ -645,11 +827,18 @@ router.post('/payments', authenticate, authorize(['Admin']), validateRentPayment
       data: {
         ...payment,
         shopNumber: agreement.shop_number,
-        tenantName: agreement.tenant_name
+        tenantName: agreement.tenant_name,
+        settlement
       }
     });
   } catch (error) {
     logger.error('Create rent payment error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to create rent payment'
@@ -658,7 +847,7 @@ router.post('/payments', authenticate, authorize(['Admin']), validateRentPayment
 });
 
 // GET /api/rent/payments/:id - Get rent payment by ID
-router.get('/payments/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.get('/payments/:id', ...requirePermission('rent.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const rows = await query(`
@@ -667,7 +856,7 @@ router.get('/payments/:id', authenticate, authorize(['Admin']), validate(schemas
       LEFT JOIN agreements a ON t.agreement_id = a.id
       LEFT JOIN shops s ON a.shop_id = s.id
       LEFT JOIN tenants tn ON a.tenant_id = tn.id
-      WHERE t.id = ? AND t.type = 'RentIncome'
+      WHERE t.id = ? AND t.type = 'RentIncome' AND t.deleted_at IS NULL
     `, [id]);
 
     if (rows.length === 0) {
@@ -696,23 +885,24 @@ router.get('/payments/:id', authenticate, authorize(['Admin']), validate(schemas
   }
 });
 
-// DELETE /api/rent/payments/:id - Delete rent payment
-router.delete('/payments/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+// DELETE /api/rent/payments/:id - Delete rent payment, or hold the deletion for approval
+router.delete('/payments/:id', ...requirePermission('rent.payment.delete'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
+    const existing = await transactionService.getEntry(id, 'RentIncome');
 
-    const result = await query(
-      'DELETE FROM transactions WHERE id = ? AND type = ?',
-      [id, 'RentIncome']
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Rent payment not found'
+    const request = await approvalService.submitIfRequired(req.user, 'delete', existing);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Deletion sent for approval'
       });
     }
 
+    // Reopens the invoices this payment settled before moving it to the trash
+    await transactionService.deleteEntry(id, 'RentIncome', { actor: auditService.actorFrom(req) });
+
     logger.info('Rent payment deleted successfully:', { id });
     return res.json({
       success: true,
@@ -720,6 +910,12 @@ router.delete('/payments/:id', authenticate, authorize(['Admin']), validate(sche
     });
   } catch (error) {
     logger.error('Delete rent payment error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete rent payment'
@@ -1,25 +1,22 @@
 import { Router } from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { getAgreements, getAgreementById, createAgreement, updateAgreement, deleteAgreement } from '../controllers/rentAgreementsController.js';
 
 const router = Router();
 
-// All routes require authentication
-router.use(authenticate);
-
 // GET /api/rent/agreements - List all agreements
-router.get('/', authorize(['Admin', 'Treasurer', 'Viewer']), getAgreements);
+router.get('/', ...requirePermission('agreement.view'), getAgreements);
 
 // GET /api/rent/agreements/:id - Get agreement by ID
-router.get('/:id', authorize(['Admin', 'Treasurer', 'Viewer']), getAgreementById);
+router.get('/:id', ...requirePermission('agreement.view'), getAgreementById);
 
 // POST /api/rent/agreements - Create new agreement
-router.post('/', authorize(['Admin']), createAgreement);
+router.post('/', ...requirePermission('agreement.manage'), createAgreement);
 
 // PUT /api/rent/agreements/:id - Update agreement
-router.put('/:id', authorize(['Admin']), updateAgreement);
+router.put('/:id', ...requirePermission('agreement.manage'), updateAgreement);
 
 // DELETE /api/rent/agreements/:id - Delete agreement
-router.delete('/:id', authorize(['Admin']), deleteAgreement);
+router.delete('/:id', ...requirePermission('agreement.manage'), deleteAgreement);
 
 export default router;
\ No newline at end of file
@@ -1,18 +1,67 @@
 import express from 'express';
 import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
-import { query } from '../config/db.js';
+import { requirePermission } from '../middleware/auth.js';
+import { z } from 'zod';
+import { query, transaction } from '../config/db.js';
 import { RentPenalty } from '../models/RentPenalty.js';
 import { generateId } from '../utils/helpers.js';
+import * as rentPenaltiesService from '../services/rentPenaltiesService.js';
+import * as generalLedgerService from '../services/generalLedgerService.js';
+import * as financialYearService from '../services/financialYearService.js';
+import * as auditService from '../services/auditService.js';
+import * as trashService from '../services/trashService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'rent-penalties-router' });
 const router = express.Router();
 
+const penaltyRunSchema = z.object({
+  asOf: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format').optional(),
+  dryRun: z.boolean().default(true),
+  mode: z.enum(['flat', 'percentage', 'per_day']).optional(),
+  rate: z.number().min(0).optional(),
+  graceDays: z.number().int().min(0).optional(),
+});
+
+// POST /api/rent-penalties/run - Run the late-fee engine on demand (dry run by default)
+router.post('/run', ...requirePermission('penalty.run'), async (req, res) => {
+  try {
+    const { asOf, dryRun, mode, rate, graceDays } = penaltyRunSchema.parse(req.body || {});
+    const overrides = Object.fromEntries(
+      Object.entries({ mode, rate, graceDays }).filter(([, value]) => value !== undefined)
+    );
+
+    const result = await rentPenaltiesService.applyLatePenalties({
+      ...(asOf ? { asOf } : {}),
+      dryRun,
+      overrides
+    });
+
+    res.json({
+      success: true,
+      data: result
+    });
+  } catch (error) {
+    if (error instanceof z.ZodError) {
+      return res.status(422).json({
+        success: false,
+        error: 'Validation failed',
+        details: error.errors
+      });
+    }
+
+    logger.error('Run late-fee penalties error:', error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: error.statusCode ? error.message : 'Failed to run late-fee penalties'
+    });
+  }
+});
+
 // GET /api/rent-penalties - Get all rent penalties
-router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async (req, res) => {
+router.get('/', ...requirePermission('penalty.view'), async (req, res) => {
   try {
-    const rows = await query('SELECT * FROM rent_penalties ORDER BY created_at DESC');
+    const rows = await query('SELECT * FROM rent_penalties WHERE deleted_at IS NULL ORDER BY created_at DESC');
     const rentPenalties = rows.map(row => RentPenalty.fromDbRow(row));
     
     res.json({
@@ -29,10 +78,10 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
 });
 
 // GET /api/rent-penalties/:id - Get rent penalty by ID
-router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), validate(schemas.idParam), async (req, res) => {
+router.get('/:id', ...requirePermission('penalty.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
-    const rows = await query('SELECT * FROM rent_penalties WHERE id = ?', [id]);
+    const rows = await query('SELECT * FROM rent_penalties WHERE id = ? AND deleted_at IS NULL', [id]);
 
     if (rows.length === 0) {
       return res.status(404).json({
@@ -56,7 +105,7 @@ router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), va
 });
 
 // POST /api/rent-penalties - Create new rent penalty
-router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, res) => {
+router.post('/', ...requirePermission('penalty.manage'), async (req, res) => {
   try {
     const rentPenaltyData = {
       ...req.body,
@@ -71,10 +120,18 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, re
     const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
     const values = Object.values(dbObject);
 
-    await query(
-      `INSERT INTO rent_penalties (${fields}) VALUES (${placeholders})`,
-      values
-    );
+    await transaction(async (connection) => {
+      await financialYearService.assertDatesOpen(connection, [rentPenalty.dueDate]);
+      await connection.execute(
+        `INSERT INTO rent_penalties (${fields}) VALUES (${placeholders})`,
+        values
+      );
+      await generalLedgerService.syncPenalty(connection, rentPenalty.id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'RentPenalty', entityId: rentPenalty.id, action: 'create', after: rentPenalty
+      }, connection);
+    });
+    await rentPenaltiesService.syncPendingPenalties(rentPenalty.agreementId);
 
     res.status(201).json({
       success: true,
@@ -82,7 +139,7 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, re
     });
   } catch (error) {
     logger.error('Create rent penalty error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
@@ -90,13 +147,13 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, re
 });
 
 // PUT /api/rent-penalties/:id - Update rent penalty
-router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(schemas.idParam), async (req, res) => {
+router.put('/:id', ...requirePermission('penalty.manage'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
     // Check if rent penalty exists
-    const existingRows = await query('SELECT * FROM rent_penalties WHERE id = ?', [id]);
+    const existingRows = await query('SELECT * FROM rent_penalties WHERE id = ? AND deleted_at IS NULL', [id]);
     if (existingRows.length === 0) {
       return res.status(404).json({
         success: false,
@@ -116,7 +173,21 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
       .filter(key => key !== 'id' && key !== 'created_at')
       .map(key => dbObject[key]);
 
-    await query(`UPDATE rent_penalties SET ${setClause} WHERE id = ?`, [...values, id]);
+    await transaction(async (connection) => {
+      await financialYearService.assertDatesOpen(connection, [existingRows[0].due_date, updateData.dueDate]);
+      await connection.execute(`UPDATE rent_penalties SET ${setClause} WHERE id = ?`, [...values, id]);
+      await generalLedgerService.syncPenalty(connection, id);
+      await auditService.record(auditService.actorFrom(req), {
+        entityType: 'RentPenalty', entityId: id, action: 'update',
+        before: RentPenalty.fromDbRow(existingRows[0]), after: rentPenalty
+      }, connection);
+    });
+
+    // Keep agreements.pending_penalties in step (the penalty may have moved agreement)
+    await rentPenaltiesService.syncPendingPenalties(existingRows[0].agreement_id);
+    if (rentPenalty.agreementId && rentPenalty.agreementId !== existingRows[0].agreement_id) {
+      await rentPenaltiesService.syncPendingPenalties(rentPenalty.agreementId);
+    }
 
     res.json({
       success: true,
@@ -124,7 +195,7 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
     });
   } catch (error) {
     logger.error('Update rent penalty error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
@@ -132,18 +203,11 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
 });
 
 // DELETE /api/rent-penalties/:id - Delete rent penalty
-router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.delete('/:id', ...requirePermission('penalty.delete'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query('DELETE FROM rent_penalties WHERE id = ?', [id]);
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Rent penalty not found'
-      });
-    }
+    await trashService.moveToTrash('RentPenalty', id, auditService.actorFrom(req));
 
     res.json({
       success: true,
@@ -151,7 +215,7 @@ router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idPar
     });
   } catch (error) {
     logger.error('Delete rent penalty error:', error);
-    res.status(400).json({
+    res.status(error.statusCode || 400).json({
       success: false,
       error: error.message
     });
@@ -0,0 +1,44 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as permissionService from '../services/permissionService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'roles-router' });
+const router = express.Router();
+
+// GET /api/roles/permissions - Every permission, grouped by area
+router.get('/permissions', ...requirePermission('role.manage'), (req, res) => {
+  res.json({ success: true, data: permissionService.catalogue() });
+});
+
+// GET /api/roles - Roles with their permissions and user counts (also used to fill role pickers)
+router.get('/', ...requirePermission('role.manage', 'user.manage'), asyncHandler(async (req, res) => {
+  const roles = await permissionService.listRoles();
+  res.json({ success: true, data: roles });
+}));
+
+// POST /api/roles - Create a custom role
+router.post('/', ...requirePermission('role.manage'), validate(schemas.createRole), asyncHandler(async (req, res) => {
+  const role = await permissionService.createRole(req.validatedData);
+  logger.info('Role created:', { role: role.name, createdBy: req.user.id });
+  res.status(201).json({ success: true, data: role });
+}));
+
+// PUT /api/roles/:id - Change a role's description or its permission set
+router.put('/:id', ...requirePermission('role.manage'), validate(schemas.updateRole), asyncHandler(async (req, res) => {
+  const { id, ...changes } = req.validatedData;
+  const role = await permissionService.updateRole(id, changes);
+  logger.info('Role updated:', { role: role.name, updatedBy: req.user.id });
+  res.json({ success: true, data: role });
+}));
+
+// DELETE /api/roles/:id - Delete a custom role nobody holds
+router.delete('/:id', ...requirePermission('role.manage'), validate(schemas.idParam), asyncHandler(async (req, res) => {
+  await permissionService.deleteRole(req.validatedData.id);
+  logger.info('Role deleted:', { id: req.validatedData.id, deletedBy: req.user.id });
+  res.json({ success: true, data: { message: 'Role deleted' } });
+}));
+
+export default router;
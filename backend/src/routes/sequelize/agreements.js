@@ -1,5 +1,6 @@
 import express from 'express';
 import { AgreementController } from '../../controllers/sequelize/agreementController.js';
+import { requirePermission } from '../../middleware/auth.js';
 import { validateBody, validateParams } from '../../middleware/joiValidation.js';
 import { createAgreementSchema, updateAgreementSchema } from '../../validation/schemas.js';
 import Joi from 'joi';
@@ -12,22 +13,25 @@ const idSchema = Joi.object({
 });
 
 // GET /api/sequelize/agreements - Get all agreements
-router.get('/', AgreementController.getAll);
+router.get('/', ...requirePermission('agreement.view'), AgreementController.getAll);
 
 // GET /api/sequelize/agreements/:id - Get agreement by ID
-router.get('/:id', 
+router.get('/:id',
+  ...requirePermission('agreement.view'),
   validateParams(idSchema),
   AgreementController.getById
 );
 
 // POST /api/sequelize/agreements - Create new agreement
-router.post('/', 
+router.post('/',
+  ...requirePermission('agreement.manage'),
   validateBody(createAgreementSchema),
   AgreementController.create
 );
 
 // PUT /api/sequelize/agreements/:id - Update agreement
 router.put('/:id',
+  ...requirePermission('agreement.manage'),
   validateParams(idSchema),
   validateBody(updateAgreementSchema),
   AgreementController.update
@@ -35,6 +39,7 @@ router.put('/:id',
 
 // DELETE /api/sequelize/agreements/:id - Delete agreement
 router.delete('/:id',
+  ...requirePermission('agreement.manage'),
   validateParams(idSchema),
   AgreementController.delete
 );
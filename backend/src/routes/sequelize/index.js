@@ -3,7 +3,6 @@ import tenantRoutes from './tenants.js';
 import agreementRoutes from './agreements.js';
 import loanRoutes from './loans.js';
 import rentPenaltyRoutes from './rentPenalties.js';
-import uploadedFileRoutes from './uploadedFiles.js';
 
 const router = express.Router();
 
@@ -12,6 +11,5 @@ router.use('/tenants', tenantRoutes);
 router.use('/agreements', agreementRoutes);
 router.use('/loans', loanRoutes);
 router.use('/rent-penalties', rentPenaltyRoutes);
-router.use('/uploaded-files', uploadedFileRoutes);
 
 export default router;
\ No newline at end of file
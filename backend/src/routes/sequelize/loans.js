@@ -1,7 +1,8 @@
 import express from 'express';
 import { LoanController } from '../../controllers/sequelize/loanController.js';
+import { requirePermission } from '../../middleware/auth.js';
 import { validateBody, validateParams } from '../../middleware/joiValidation.js';
-import { createLoanSchema, updateLoanSchema } from '../../validation/schemas.js';
+import { createLoanSchema, updateLoanSchema, loanRepaymentSchema } from '../../validation/schemas.js';
 import Joi from 'joi';
 
 const router = express.Router();
@@ -12,22 +13,40 @@ const idSchema = Joi.object({
 });
 
 // GET /api/sequelize/loans - Get all loans
-router.get('/', LoanController.getAll);
+router.get('/', ...requirePermission('loan.view'), LoanController.getAll);
 
 // GET /api/sequelize/loans/:id - Get loan by ID
-router.get('/:id', 
+router.get('/:id',
+  ...requirePermission('loan.view'),
   validateParams(idSchema),
   LoanController.getById
 );
 
+// GET /api/sequelize/loans/:id/schedule - Get amortization schedule
+router.get('/:id/schedule',
+  ...requirePermission('loan.view'),
+  validateParams(idSchema),
+  LoanController.getSchedule
+);
+
+// POST /api/sequelize/loans/:id/repayments - Post an EMI repayment
+router.post('/:id/repayments',
+  ...requirePermission('loan.manage'),
+  validateParams(idSchema),
+  validateBody(loanRepaymentSchema),
+  LoanController.recordRepayment
+);
+
 // POST /api/sequelize/loans - Create new loan
-router.post('/', 
+router.post('/',
+  ...requirePermission('loan.manage'),
   validateBody(createLoanSchema),
   LoanController.create
 );
 
 // PUT /api/sequelize/loans/:id - Update loan
 router.put('/:id',
+  ...requirePermission('loan.manage'),
   validateParams(idSchema),
   validateBody(updateLoanSchema),
   LoanController.update
@@ -35,6 +54,7 @@ router.put('/:id',
 
 // DELETE /api/sequelize/loans/:id - Delete loan
 router.delete('/:id',
+  ...requirePermission('loan.delete'),
   validateParams(idSchema),
   LoanController.delete
 );
@@ -1,5 +1,6 @@
 import express from 'express';
 import { RentPenaltyController } from '../../controllers/sequelize/rentPenaltyController.js';
+import { requirePermission } from '../../middleware/auth.js';
 import { validateBody, validateParams } from '../../middleware/joiValidation.js';
 import { createRentPenaltySchema, updateRentPenaltySchema } from '../../validation/schemas.js';
 import Joi from 'joi';
@@ -12,22 +13,25 @@ const idSchema = Joi.object({
 });
 
 // GET /api/sequelize/rent-penalties - Get all rent penalties
-router.get('/', RentPenaltyController.getAll);
+router.get('/', ...requirePermission('penalty.view'), RentPenaltyController.getAll);
 
 // GET /api/sequelize/rent-penalties/:id - Get rent penalty by ID
-router.get('/:id', 
+router.get('/:id',
+  ...requirePermission('penalty.view'),
   validateParams(idSchema),
   RentPenaltyController.getById
 );
 
 // POST /api/sequelize/rent-penalties - Create new rent penalty
-router.post('/', 
+router.post('/',
+  ...requirePermission('penalty.manage'),
   validateBody(createRentPenaltySchema),
   RentPenaltyController.create
 );
 
 // PUT /api/sequelize/rent-penalties/:id - Update rent penalty
 router.put('/:id',
+  ...requirePermission('penalty.manage'),
   validateParams(idSchema),
   validateBody(updateRentPenaltySchema),
   RentPenaltyController.update
@@ -35,6 +39,7 @@ router.put('/:id',
 
 // DELETE /api/sequelize/rent-penalties/:id - Delete rent penalty
 router.delete('/:id',
+  ...requirePermission('penalty.delete'),
   validateParams(idSchema),
   RentPenaltyController.delete
 );
@@ -1,5 +1,6 @@
 import express from 'express';
 import { TenantController } from '../../controllers/sequelize/tenantController.js';
+import { requirePermission } from '../../middleware/auth.js';
 import { validateBody, validateParams } from '../../middleware/joiValidation.js';
 import { createTenantSchema, updateTenantSchema } from '../../validation/schemas.js';
 import Joi from 'joi';
@@ -12,22 +13,25 @@ const idSchema = Joi.object({
 });
 
 // GET /api/sequelize/tenants - Get all tenants
-router.get('/', TenantController.getAll);
+router.get('/', ...requirePermission('rent.view'), TenantController.getAll);
 
 // GET /api/sequelize/tenants/:id - Get tenant by ID
-router.get('/:id', 
+router.get('/:id',
+  ...requirePermission('rent.view'),
   validateParams(idSchema),
   TenantController.getById
 );
 
 // POST /api/sequelize/tenants - Create new tenant
-router.post('/', 
+router.post('/',
+  ...requirePermission('rent.tenant.manage'),
   validateBody(createTenantSchema),
   TenantController.create
 );
 
 // PUT /api/sequelize/tenants/:id - Update tenant
 router.put('/:id',
+  ...requirePermission('rent.tenant.manage'),
   validateParams(idSchema),
   validateBody(updateTenantSchema),
   TenantController.update
@@ -35,6 +39,7 @@ router.put('/:id',
 
 // DELETE /api/sequelize/tenants/:id - Delete tenant
 router.delete('/:id',
+  ...requirePermission('rent.tenant.manage'),
   validateParams(idSchema),
   TenantController.delete
 );
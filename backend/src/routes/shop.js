@@ -1,9 +1,11 @@
 import express from 'express';
 import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { z } from 'zod';
 import { query } from '../config/db.js';
 import { Shop } from '../models/Shop.js';
+import * as auditService from '../services/auditService.js';
+import * as trashService from '../services/trashService.js';
 import { generateId, normalizeShop } from '../utils/helpers.js';
 import pino from 'pino';
 import { dbg, dbgMySQLError, dbgTimer, generateCorrelationId } from '../utils/debugLogger.js';
@@ -19,7 +21,7 @@ const router = express.Router();
 // };
 
 // GET /api/shops - Get all shops with pagination and filtering
-router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async (req, res) => {
+router.get('/', ...requirePermission('shop.view'), async (req, res) => {
   // Generate correlation ID for request tracking
   const requestId = generateCorrelationId();
   
@@ -58,7 +60,8 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
     }
 
     // === PHASE 3: BUILD DYNAMIC QUERY ===
-    let whereClauses = [];
+    // Shops in the trash are never listed
+    let whereClauses = ['deleted_at IS NULL'];
     let queryParams = [];
 
     if (status) {
@@ -72,7 +75,7 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
       queryParams.push(searchPattern, searchPattern);
     }
 
-    const whereClause = whereClauses.length > 0 ? `WHERE ${whereClauses.join(' AND ')}` : '';
+    const whereClause = `WHERE ${whereClauses.join(' AND ')}`;
     
     // Build main select query - inline LIMIT/OFFSET to avoid MySQL parameter binding issues
     const selectQuery = `
@@ -173,11 +176,11 @@ router.get('/', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), async
 });
 
 // GET /api/shops/:id - Get shop by ID
-router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), validate(schemas.idParam), async (req, res) => {
+router.get('/:id', ...requirePermission('shop.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const rows = await query(
-      'SELECT * FROM shops WHERE id = ?',
+      'SELECT * FROM shops WHERE id = ? AND deleted_at IS NULL',
       [id]
     );
 
@@ -207,7 +210,7 @@ router.get('/:id', authenticate, authorize(['Admin', 'Treasurer', 'Viewer']), va
 });
 
 // POST /api/shops - Create new shop
-router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, res) => {
+router.post('/', ...requirePermission('shop.manage'), async (req, res) => {
   // Generate correlation ID for request tracking
   const requestId = generateCorrelationId();
   
@@ -607,14 +610,14 @@ router.post('/', authenticate, authorize(['Admin', 'Treasurer']), async (req, re
 });
 
 // PUT /api/shops/:id - Update shop
-router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(schemas.idParam), async (req, res) => {
+router.put('/:id', ...requirePermission('shop.manage'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const updateData = req.body;
 
     // Check if shop exists
     const existingRows = await query(
-      'SELECT * FROM shops WHERE id = ?',
+      'SELECT * FROM shops WHERE id = ? AND deleted_at IS NULL',
       [id]
     );
     
@@ -662,21 +665,11 @@ router.put('/:id', authenticate, authorize(['Admin', 'Treasurer']), validate(sch
 });
 
 // DELETE /api/shops/:id - Delete shop
-router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.delete('/:id', ...requirePermission('shop.delete'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
 
-    const result = await query(
-      'DELETE FROM shops WHERE id = ?',
-      [id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Shop not found'
-      });
-    }
+    await trashService.moveToTrash('Shop', id, auditService.actorFrom(req));
 
     logger.info('Shop deleted successfully:', { id });
     return res.json({
@@ -685,6 +678,12 @@ router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idPar
     });
   } catch (error) {
     logger.error('Delete shop error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete shop'
@@ -1,25 +1,22 @@
 import { Router } from 'express';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { requirePermission } from '../middleware/auth.js';
 import { getShops, getShopById, createShop, updateShop, deleteShop } from '../controllers/shopsController.js';
 
 const router = Router();
 
-// All routes require authentication
-router.use(authenticate);
-
 // GET /api/shops - List all shops
-router.get('/', authorize(['Admin', 'Treasurer', 'Viewer']), getShops);
+router.get('/', ...requirePermission('shop.view'), getShops);
 
 // GET /api/shops/:id - Get shop by ID
-router.get('/:id', authorize(['Admin', 'Treasurer', 'Viewer']), getShopById);
+router.get('/:id', ...requirePermission('shop.view'), getShopById);
 
 // POST /api/shops - Create new shop
-router.post('/', authorize(['Admin']), createShop);
+router.post('/', ...requirePermission('shop.manage'), createShop);
 
 // PUT /api/shops/:id - Update shop
-router.put('/:id', authorize(['Admin']), updateShop);
+router.put('/:id', ...requirePermission('shop.manage'), updateShop);
 
 // DELETE /api/shops/:id - Delete shop
-router.delete('/:id', authorize(['Admin']), deleteShop);
+router.delete('/:id', ...requirePermission('shop.delete'), deleteShop);
 
 export default router;
\ No newline at end of file
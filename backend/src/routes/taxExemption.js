@@ -0,0 +1,28 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as taxExemptionService from '../services/taxExemptionService.js';
+
+const router = express.Router();
+
+// GET /api/80g/donations/:id/certificate - What goes on one donation's 80G certificate
+router.get('/donations/:id/certificate', ...requirePermission('donation.receipt.print'), validate(schemas.idParam), asyncHandler(async (req, res) => {
+  const certificate = await taxExemptionService.getCertificate(req.validatedData.id);
+  res.json({ success: true, data: certificate });
+}));
+
+// GET /api/80g/donors/:id/statement?year=2024-25 - A donor's consolidated 80G statement for a financial year
+router.get('/donors/:id/statement', ...requirePermission('donation.receipt.print'), validate(schemas.donorStatement), asyncHandler(async (req, res) => {
+  const { id, year } = req.validatedData;
+  const statement = await taxExemptionService.getAnnualStatement(id, year);
+  res.json({ success: true, data: statement });
+}));
+
+// GET /api/80g/form-10bd?year=2024-25 - Rows of the Form 10BD return for a financial year
+router.get('/form-10bd', ...requirePermission('report.export'), validate(schemas.form10bd), asyncHandler(async (req, res) => {
+  const form = await taxExemptionService.form10bd(req.validatedData.year);
+  res.json({ success: true, data: form });
+}));
+
+export default router;
@@ -1,17 +1,20 @@
 import express from 'express';
-import { validate, schemas } from '../middleware/validate.js';
-import { authenticate, authorize } from '../middleware/auth.js';
+import { validate, schemas, PAYMENT_MODES, paymentDetailsShape, checkPaymentDetails, withPaymentDefaults } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
 import { z } from 'zod';
 import { query } from '../config/db.js';
 import { Transaction } from '../models/Transaction.js';
-import { generateId } from '../utils/helpers.js';
+import * as transactionService from '../services/transactionService.js';
+import * as approvalService from '../services/approvalService.js';
+import * as categoryService from '../services/categoryService.js';
+import * as auditService from '../services/auditService.js';
 import pino from 'pino';
 
 const logger = pino({ name: 'transactions-router' });
 const router = express.Router();
 
 // Validation schemas using Zod
-const transactionCreateSchema = z.object({
+const transactionFieldsSchema = z.object({
   date: z.string().regex(/^\d{4}-\d{2}-\d{2}$/, 'Date must be in YYYY-MM-DD format'),
   type: z.enum(['Donation', 'Expense', 'Utilities', 'Salary', 'RentIncome']),
   category: z.string().min(1, 'Category is required'),
@@ -35,9 +38,13 @@ const transactionCreateSchema = z.object({
   emiAmount: z.coerce.number().positive().optional(),
   penaltyId: z.string().optional(),
   penaltyAmount: z.coerce.number().positive().optional(),
+  ...paymentDetailsShape,
+  paymentMode: z.enum(PAYMENT_MODES).default('Cash'),
 });
 
-const transactionUpdateSchema = transactionCreateSchema.partial();
+const transactionCreateSchema = transactionFieldsSchema.superRefine(checkPaymentDetails).transform(withPaymentDefaults);
+
+const transactionUpdateSchema = transactionFieldsSchema.partial().superRefine(checkPaymentDetails);
 
 // Middleware to validate transaction creation
 const validateTransactionCreate = (req, res, next) => {
@@ -70,15 +77,15 @@ const validateTransactionUpdate = (req, res, next) => {
 };
 
 // GET /api/transactions - Get all transactions with optional type filter
-router.get('/', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/', ...requirePermission('transaction.view'), async (req, res) => {
   try {
     const { type } = req.query;
     
-    let sql = 'SELECT * FROM transactions';
+    let sql = 'SELECT * FROM transactions WHERE deleted_at IS NULL';
     let params = [];
     
     if (type) {
-      sql += ' WHERE type = ?';
+      sql += ' AND type = ?';
       params.push(type);
     }
     
@@ -101,7 +108,7 @@ router.get('/', authenticate, authorize(['Admin']), async (req, res) => {
 });
 
 // GET /api/transactions/type/:type - Get transactions by type
-router.get('/type/:type', authenticate, authorize(['Admin']), async (req, res) => {
+router.get('/type/:type', ...requirePermission('transaction.view'), async (req, res) => {
   try {
     const { type } = req.params;
     
@@ -114,7 +121,7 @@ router.get('/type/:type', authenticate, authorize(['Admin']), async (req, res) =
     }
     
     const rows = await query(
-      'SELECT * FROM transactions WHERE type = ? ORDER BY date DESC, created_at DESC',
+      'SELECT * FROM transactions WHERE type = ? AND deleted_at IS NULL ORDER BY date DESC, created_at DESC',
       [type]
     );
     const transactions = rows.map(row => Transaction.fromDbRow(row));
@@ -133,11 +140,11 @@ router.get('/type/:type', authenticate, authorize(['Admin']), async (req, res) =
 });
 
 // GET /api/transactions/:id - Get transaction by ID
-router.get('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+router.get('/:id', ...requirePermission('transaction.view'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
     const rows = await query(
-      'SELECT * FROM transactions WHERE id = ?',
+      'SELECT * FROM transactions WHERE id = ? AND deleted_at IS NULL',
       [id]
     );
 
@@ -163,26 +170,20 @@ router.get('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam)
 });
 
 // POST /api/transactions - Create new transaction
-router.post('/', authenticate, authorize(['Admin']), validateTransactionCreate, async (req, res) => {
+router.post('/', ...requirePermission('transaction.manage'), validateTransactionCreate, async (req, res) => {
   try {
-    const transactionData = {
-      ...req.body,
-      id: generateId(),
-    };
-    
-    const transaction = new Transaction(transactionData);
-    const dbObject = transaction.toDbObject();
+    await categoryService.assertCategory(req.body);
 
-    const fields = Object.keys(dbObject).join(', ');
-    const placeholders = Object.keys(dbObject)
-      .map(() => '?')
-      .join(', ');
-    const values = Object.values(dbObject);
+    const request = await approvalService.submitIfRequired(req.user, 'create', req.body, req.body);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Transaction sent for approval'
+      });
+    }
 
-    await query(
-      `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
-      values
-    );
+    const transaction = await transactionService.createEntry(req.body, { actor: auditService.actorFrom(req) });
 
     logger.info('Transaction created successfully:', { id: transaction.id, type: transaction.type, amount: transaction.amount });
     return res.status(201).json({
@@ -191,6 +192,12 @@ router.post('/', authenticate, authorize(['Admin']), validateTransactionCreate,
     });
   } catch (error) {
     logger.error('Create transaction error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to create transaction'
@@ -198,41 +205,23 @@ router.post('/', authenticate, authorize(['Admin']), validateTransactionCreate,
   }
 });
 
-// PUT /api/transactions/:id - Update transaction
-router.put('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), validateTransactionUpdate, async (req, res) => {
+// PUT /api/transactions/:id - Update transaction, or hold the change for approval
+router.put('/:id', ...requirePermission('transaction.manage'), validate(schemas.idParam), validateTransactionUpdate, async (req, res) => {
   try {
     const { id } = req.params;
-    const updateData = req.body;
+    const existing = await transactionService.getEntry(id);
+    await categoryService.assertCategory({ ...existing, ...req.body }, existing);
 
-    // Check if transaction exists
-    const existingRows = await query(
-      'SELECT * FROM transactions WHERE id = ?',
-      [id]
-    );
-    
-    if (existingRows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transaction not found'
+    const request = await approvalService.submitIfRequired(req.user, 'update', existing, req.body);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Change sent for approval'
       });
     }
 
-    const updatedTransaction = new Transaction({ ...existingRows[0], ...updateData });
-    const dbObject = updatedTransaction.toDbObject();
-
-    const setClause = Object.keys(dbObject)
-      .filter(key => key !== 'id' && key !== 'created_at')
-      .map(key => `${key} = ?`)
-      .join(', ');
-
-    const values = Object.keys(dbObject)
-      .filter(key => key !== 'id' && key !== 'created_at')
-      .map(key => dbObject[key]);
-
-    await query(
-      `UPDATE transactions SET ${setClause} WHERE id = ?`,
-      [...values, id]
-    );
+    const updatedTransaction = await transactionService.updateEntry(id, req.body, null, { actor: auditService.actorFrom(req) });
 
     logger.info('Transaction updated successfully:', { id });
     return res.json({
@@ -241,6 +230,12 @@ router.put('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam)
     });
   } catch (error) {
     logger.error('Update transaction error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to update transaction'
@@ -248,23 +243,23 @@ router.put('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam)
   }
 });
 
-// DELETE /api/transactions/:id - Delete transaction
-router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idParam), async (req, res) => {
+// DELETE /api/transactions/:id - Delete transaction, or hold the deletion for approval
+router.delete('/:id', ...requirePermission('transaction.manage'), validate(schemas.idParam), async (req, res) => {
   try {
     const { id } = req.params;
+    const existing = await transactionService.getEntry(id);
 
-    const result = await query(
-      'DELETE FROM transactions WHERE id = ?',
-      [id]
-    );
-
-    if (result.affectedRows === 0) {
-      return res.status(404).json({
-        success: false,
-        error: 'Transaction not found'
+    const request = await approvalService.submitIfRequired(req.user, 'delete', existing);
+    if (request) {
+      return res.status(202).json({
+        success: true,
+        data: { pendingApproval: true, changeRequest: request },
+        message: 'Deletion sent for approval'
       });
     }
 
+    await transactionService.deleteEntry(id, null, { actor: auditService.actorFrom(req) });
+
     logger.info('Transaction deleted successfully:', { id });
     return res.json({
       success: true,
@@ -272,6 +267,12 @@ router.delete('/:id', authenticate, authorize(['Admin']), validate(schemas.idPar
     });
   } catch (error) {
     logger.error('Delete transaction error:', error);
+    if (error.statusCode) {
+      return res.status(error.statusCode).json({
+        success: false,
+        error: error.message
+      });
+    }
     return res.status(500).json({
       success: false,
       error: 'Failed to delete transaction'
@@ -0,0 +1,30 @@
+import express from 'express';
+import { validate, schemas } from '../middleware/validate.js';
+import { requirePermission } from '../middleware/auth.js';
+import { asyncHandler } from '../middleware/error.js';
+import * as trashService from '../services/trashService.js';
+import * as auditService from '../services/auditService.js';
+
+const router = express.Router();
+
+// GET /api/trash - Deleted records, most recently deleted first
+router.get('/', ...requirePermission('trash.restore'), validate(schemas.trashList), asyncHandler(async (req, res) => {
+  const items = await trashService.listTrash(req.validatedData);
+  res.json({ success: true, data: items });
+}));
+
+// POST /api/trash/:entityType/:id/restore - Restore a record (an agreement with its loans and penalties)
+router.post('/:entityType/:id/restore', ...requirePermission('trash.restore'), validate(schemas.trashItem), asyncHandler(async (req, res) => {
+  const { entityType, id } = req.validatedData;
+  const restored = await trashService.restore(entityType, id, auditService.actorFrom(req));
+  res.json({ success: true, data: { restored }, message: 'Restored successfully' });
+}));
+
+// DELETE /api/trash/:entityType/:id - Permanently delete a record in the trash
+router.delete('/:entityType/:id', ...requirePermission('trash.purge'), validate(schemas.trashItem), asyncHandler(async (req, res) => {
+  const { entityType, id } = req.validatedData;
+  await trashService.purge(entityType, id, auditService.actorFrom(req));
+  res.json({ success: true, message: 'Permanently deleted' });
+}));
+
+export default router;
@@ -1,7 +1,7 @@
 // routes/users.js
 import express from "express";
 import { validate, schemas } from "../middleware/validate.js";
-import { requireRoles, authenticate } from "../middleware/auth.js";
+import { requirePermission, authenticate } from "../middleware/auth.js";
 import {
   getAllUsers,
   getUserById,
@@ -9,17 +9,23 @@ import {
   updateUser,
   deleteUser,
   getUserStats,
+  unlockUser,
+  getLoginHistory,
+  resetTwoFactor,
+  getUserSessions,
+  revokeUserSession,
+  revokeUserSessions,
 } from "../controllers/user.js";
 
 const router = express.Router();
 
-// Stats (Admin only)
-router.get("/stats", ...requireRoles(["Admin"]), getUserStats);
+// Stats
+router.get("/stats", ...requirePermission("user.view"), getUserStats);
 
-// List users (Admin + Treasurer)
+// List users
 router.get(
   "/",
-  ...requireRoles(["Admin", "Treasurer"]),
+  ...requirePermission("user.view"),
   // run validation after auth; validator should never throw
   validate(schemas.pagination),
   getAllUsers
@@ -28,10 +34,10 @@ router.get(
 // Get user by id (auth)
 router.get("/:id", authenticate, validate(schemas.idParam), getUserById);
 
-// Create (Admin only)
+// Create
 router.post(
   "/",
-  ...requireRoles(["Admin"]),
+  ...requirePermission("user.manage"),
   validate(schemas.register),
   createUser
 );
@@ -39,10 +45,54 @@ router.post(
 // Update (auth)
 router.put("/:id", authenticate, validate(schemas.updateUser), updateUser);
 
-// Delete (Admin only)
+// Unlock an account locked by failed sign-ins
+router.post(
+  "/:id/unlock",
+  ...requirePermission("user.manage"),
+  validate(schemas.idParam),
+  unlockUser
+);
+
+// Clear a user's two-factor enrollment
+router.delete(
+  "/:id/two-factor",
+  ...requirePermission("user.manage"),
+  validate(schemas.idParam),
+  resetTwoFactor
+);
+
+// Sign-in history (user managers, or the user themselves)
+router.get(
+  "/:id/login-history",
+  authenticate,
+  validate(schemas.idParam),
+  getLoginHistory
+);
+
+// Active sessions, and signing them out
+router.get(
+  "/:id/sessions",
+  ...requirePermission("user.manage"),
+  validate(schemas.idParam),
+  getUserSessions
+);
+router.delete(
+  "/:id/sessions",
+  ...requirePermission("user.manage"),
+  validate(schemas.idParam),
+  revokeUserSessions
+);
+router.delete(
+  "/:id/sessions/:sessionId",
+  ...requirePermission("user.manage"),
+  validate(schemas.userSession),
+  revokeUserSession
+);
+
+// Delete
 router.delete(
   "/:id",
-  ...requireRoles(["Admin"]),
+  ...requirePermission("user.manage"),
   validate(schemas.idParam),
   deleteUser
 );
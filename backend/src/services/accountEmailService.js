@@ -0,0 +1,77 @@
+import { UserToken } from '../models/UserToken.js';
+import { sendMail } from '../config/mail.js';
+import env from '../config/env.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'account-email-service' });
+
+/**
+ * Emails about a user account. Password reset and email verification carry a
+ * single-use link: each send issues a fresh token (invalidating the
+ * previous unused one for the same purpose) and mails a link to the frontend
+ * screen that redeems it. Mail goes through the transport chosen by
+ * MAIL_TRANSPORT, so development can use the file transport instead of SES.
+ * The new-device alert is informational and carries no token.
+ */
+
+const link = (screen, token) => `${env.APP_URL.replace(/\/$/, '')}/${screen}?token=${token}`;
+
+export async function sendVerificationEmail(user) {
+  const ttlHours = env.EMAIL_VERIFICATION_TTL_HOURS;
+  const { token } = await UserToken.create(user.id, 'EmailVerification', ttlHours * 60 * 60 * 1000);
+  const url = link('verify-email', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Verify your email - Khandeshwar Management System',
+    html: `
+      <h2>Hello ${user.username},</h2>
+      <p>Please confirm that this is your email address by opening the link below.</p>
+      <p><a href="${url}">Verify email</a></p>
+      <p>The link expires in ${ttlHours} hours.</p>
+    `,
+    text: `Hello ${user.username}, please confirm your email address by opening ${url} (expires in ${ttlHours} hours).`,
+  });
+
+  logger.info('Verification email sent:', { userId: user.id });
+}
+
+export async function sendPasswordResetEmail(user) {
+  const ttlMinutes = env.PASSWORD_RESET_TTL_MINUTES;
+  const { token } = await UserToken.create(user.id, 'PasswordReset', ttlMinutes * 60 * 1000);
+  const url = link('reset-password', token);
+
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your password - Khandeshwar Management System',
+    html: `
+      <h2>Hello ${user.username},</h2>
+      <p>We received a request to reset your password. Open the link below to choose a new one.</p>
+      <p><a href="${url}">Reset password</a></p>
+      <p>The link expires in ${ttlMinutes} minutes and can be used once. If you did not ask for this, you can ignore this email.</p>
+    `,
+    text: `Hello ${user.username}, reset your password at ${url} (expires in ${ttlMinutes} minutes). If you did not ask for this, ignore this email.`,
+  });
+
+  logger.info('Password reset email sent:', { userId: user.id });
+}
+
+export async function sendNewDeviceAlert(user, attempt) {
+  const when = new Date(attempt.createdAt).toUTCString();
+  const device = attempt.userAgent || 'Unknown device';
+  const ip = attempt.ipAddress || 'unknown';
+
+  await sendMail({
+    to: user.email,
+    subject: 'New sign-in to your account - Khandeshwar Management System',
+    html: `
+      <h2>Hello ${user.username},</h2>
+      <p>Your account was just signed in to from a device it has not been used on before.</p>
+      <p>Time: ${when}<br>IP address: ${ip}<br>Device: ${device}</p>
+      <p>If this was you, no action is needed. If not, reset your password straight away and tell an administrator.</p>
+    `,
+    text: `Hello ${user.username}, your account was signed in to from a new device at ${when} (IP ${ip}, ${device}). If this was not you, reset your password and tell an administrator.`,
+  });
+
+  logger.info('New device alert sent:', { userId: user.id });
+}
@@ -0,0 +1,206 @@
+import { ChangeRequest } from '../models/ChangeRequest.js';
+import { transaction } from '../config/db.js';
+import * as transactionService from './transactionService.js';
+import * as attachmentService from './attachmentService.js';
+import * as permissionService from './permissionService.js';
+import { toDateOnly } from '../utils/dateHelpers.js';
+import env from '../config/env.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'approval-service' });
+
+/**
+ * Maker-checker approvals for financial entries.
+ *
+ * Edits and deletions named in APPROVAL_REQUIRED_FOR, and new expenses above
+ * APPROVAL_EXPENSE_THRESHOLD, are not written straight away. They are stored
+ * as a Pending change request, and are written only when a second user with
+ * approval.review approves them. Nobody can approve their own request. The
+ * requester, the reviewer and both times are kept on the request.
+ *
+ * Approving replays the change through transactionService, so reconciliation
+ * and financial year locks apply at that moment; if the write fails, the
+ * request stays Pending.
+ *
+ * Files staged for a held change (`attachmentIds`) are attached to the change
+ * request, so the reviewer sees them, and move to the entry when it is applied.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const ENTITY_ACTIONS = { Donation: 'donation', Expense: 'expense', RentIncome: 'rent.payment' };
+
+// The APPROVAL_REQUIRED_FOR name of a change, e.g. ('Donation', 'delete') -> 'donation.delete'
+export const actionFor = (type, operation) => `${ENTITY_ACTIONS[type] || 'transaction'}.${operation}`;
+
+export function requiresApproval(operation, entry) {
+  if (operation === 'create') {
+    return entry.type === 'Expense'
+      && env.APPROVAL_EXPENSE_THRESHOLD > 0
+      && Number(entry.amount) > env.APPROVAL_EXPENSE_THRESHOLD;
+  }
+  return env.APPROVAL_REQUIRED_FOR.includes(actionFor(entry.type, operation));
+}
+
+const snapshot = (entry) => ({ ...entry, date: toDateOnly(entry.date) });
+
+/**
+ * Hold a change for approval when the configuration asks for it. `entry` is
+ * the new entry's data for a create, or the current entry otherwise. Returns
+ * the change request, or null when the caller should make the change itself.
+ */
+export async function submitIfRequired(user, operation, entry, changes = null) {
+  if (!requiresApproval(operation, entry)) return null;
+
+  if (operation !== 'create' && (await ChangeRequest.findPendingForEntity(entry.id))) {
+    throw httpError('This entry already has a change waiting for approval', 409);
+  }
+
+  const request = await ChangeRequest.create({
+    entityType: entry.type,
+    entityId: operation === 'create' ? null : entry.id,
+    action: operation,
+    payload: operation === 'delete' ? null : changes,
+    original: operation === 'create' ? null : snapshot(entry),
+    amount: changes?.amount ?? entry.amount,
+    requestedBy: user.id,
+  });
+  if (changes?.attachmentIds?.length) {
+    await transaction((connection) => attachmentService.attach(
+      connection,
+      changes.attachmentIds,
+      { entityType: 'change_request', entityId: request.id },
+      { uploadedBy: user.id }
+    ));
+  }
+
+  logger.info('Change held for approval:', {
+    id: request.id,
+    action: actionFor(entry.type, operation),
+    entityId: request.entityId,
+    requestedBy: user.id,
+  });
+
+  return request.toJSON();
+}
+
+/**
+ * Reviewers see every request; anyone else sees only their own. canReview
+ * tells the screen whether this user may approve or reject each one.
+ */
+export async function listRequests(user, { status } = {}) {
+  const reviewer = await permissionService.hasPermission(user, 'approval.review');
+  const requests = await ChangeRequest.findAll({ status, requestedBy: reviewer ? null : user.id });
+  return requests.map((request) => ({
+    ...request.toJSON(),
+    canReview: reviewer && request.status === 'Pending' && request.requestedBy !== user.id,
+  }));
+}
+
+const loadPending = async (id) => {
+  const request = await ChangeRequest.findById(id);
+  if (!request) {
+    throw httpError('Change request not found', 404);
+  }
+  if (request.status !== 'Pending') {
+    throw httpError(`This change has already been ${request.status.toLowerCase()}`, 409);
+  }
+  return request;
+};
+
+const sameValue = (a, b) => {
+  const normalise = (value) => (value === undefined || value === '' ? null : value);
+  return String(normalise(a)) === String(normalise(b));
+};
+
+// An update must not overwrite edits made after it was requested
+const assertUnchanged = async (request) => {
+  const current = await transactionService.findEntry(request.entityId, request.entityType);
+  if (!current) {
+    throw httpError('The entry no longer exists', 409);
+  }
+  const now = snapshot(current);
+  const changed = Object.keys(request.payload || {}).filter(
+    (field) => !sameValue(now[field], request.original?.[field])
+  );
+  if (changed.length > 0) {
+    throw httpError('The entry has changed since this was requested. Reject it and ask again.', 409);
+  }
+};
+
+// The audit entry names the reviewer as the actor and the requester in its context
+const apply = async (request, reviewer) => {
+  const audit = {
+    actor: reviewer,
+    context: { changeRequestId: request.id, requestedBy: request.requestedBy },
+  };
+  switch (request.action) {
+    case 'create':
+      return transactionService.createEntry({ ...request.payload, type: request.entityType }, audit);
+    case 'update':
+      return transactionService.updateEntry(request.entityId, request.payload, request.entityType, audit);
+    case 'delete':
+      return transactionService.deleteEntry(request.entityId, request.entityType, audit);
+    default:
+      throw httpError(`Unknown change action: ${request.action}`, 500);
+  }
+};
+
+// `actor` is how the audit trail names the reviewer (see auditService.actorFrom)
+export async function approve(id, reviewer, note = null, actor = reviewer) {
+  const request = await loadPending(id);
+  if (request.requestedBy === reviewer.id) {
+    throw httpError('You cannot approve your own change', 403);
+  }
+  if (request.action === 'update') {
+    await assertUnchanged(request);
+  }
+
+  if (!(await ChangeRequest.close(id, { status: 'Approved', reviewedBy: reviewer.id, note }))) {
+    throw httpError('This change has already been reviewed', 409);
+  }
+
+  try {
+    const applied = await apply(request, actor);
+    if (request.action === 'create') {
+      await ChangeRequest.setEntityId(id, applied.id);
+    }
+  } catch (error) {
+    await ChangeRequest.reopen(id);
+    throw error;
+  }
+
+  logger.info('Change approved and applied:', { id, approvedBy: reviewer.id, requestedBy: request.requestedBy });
+  return (await ChangeRequest.findById(id)).toJSON();
+}
+
+export async function reject(id, reviewer, note = null) {
+  const request = await loadPending(id);
+  if (request.requestedBy === reviewer.id) {
+    throw httpError('Withdraw your own change instead of rejecting it', 403);
+  }
+  if (!(await ChangeRequest.close(id, { status: 'Rejected', reviewedBy: reviewer.id, note }))) {
+    throw httpError('This change has already been reviewed', 409);
+  }
+
+  logger.info('Change rejected:', { id, rejectedBy: reviewer.id });
+  return (await ChangeRequest.findById(id)).toJSON();
+}
+
+// The requester can withdraw a change that has not been reviewed yet
+export async function cancel(id, user) {
+  const request = await loadPending(id);
+  if (request.requestedBy !== user.id) {
+    throw httpError('Only the person who asked for this change can withdraw it', 403);
+  }
+  if (!(await ChangeRequest.close(id, { status: 'Cancelled', reviewedBy: user.id }))) {
+    throw httpError('This change has already been reviewed', 409);
+  }
+
+  logger.info('Change withdrawn:', { id, userId: user.id });
+  return (await ChangeRequest.findById(id)).toJSON();
+}
@@ -0,0 +1,430 @@
+import fs from 'fs';
+import fsp from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createHash } from 'crypto';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { query, transaction } from '../config/db.js';
+import { blobStore, blobKey } from '../config/blobStore.js';
+import { UploadedFile } from '../models/UploadedFile.js';
+import { Blob } from '../models/Blob.js';
+import { generateId } from '../utils/helpers.js';
+import * as permissionService from './permissionService.js';
+import * as auditService from './auditService.js';
+import env from '../config/env.js';
+
+/**
+ * Files attached to records: agreements, loans, transactions, tenants, shops,
+ * donors and change requests.
+ *
+ * An upload is spooled to a temporary file while its SHA-256 is taken, then
+ * written to the blob store under that hash unless the same content is
+ * already there. uploaded_files keeps one row per attachment and blobs one
+ * per distinct content, so a file attached twice is stored once; its object
+ * is removed with the last attachment that uses it.
+ *
+ * Who may see or change a record's attachments follows who may see or
+ * change the record; file.manage covers every attachment.
+ *
+ * A file can also be staged: uploaded without a record, ahead of the form it
+ * belongs to, and attached when that form is saved (see attach). Only its
+ * uploader sees a staged file, and one never attached is discarded after
+ * STAGED_UPLOAD_HOURS. An expense sent for approval takes its files to the
+ * change request, where the reviewer can see them, and they move on to the
+ * expense when it is approved.
+ *
+ * Expenses above EXPENSE_ATTACHMENT_REQUIRED_ABOVE need at least one
+ * attachment (see assertRequiredAttachments).
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+// Transactions are guarded by the permissions of their type
+const TRANSACTION_PERMISSIONS = {
+  Donation: { view: ['donation.view'], manage: ['donation.create', 'donation.update'] },
+  Expense: { view: ['expense.view'], manage: ['expense.create', 'expense.update'] },
+  RentIncome: { view: ['rent.view'], manage: ['rent.payment.create'] },
+};
+
+// How long a staged upload waits to be attached
+const STAGED_UPLOAD_HOURS = 24;
+
+// `trash` tables keep deleted rows, which have no attachments. `owner` names
+// a user who may always see the record's files.
+const ENTITIES = {
+  agreement: {
+    table: 'agreements',
+    trash: true,
+    label: 'Agreement',
+    permissions: () => ({ view: ['agreement.view'], manage: ['agreement.manage'] }),
+  },
+  loan: {
+    table: 'loans',
+    trash: true,
+    label: 'Loan',
+    permissions: () => ({ view: ['loan.view'], manage: ['loan.manage'] }),
+  },
+  transaction: {
+    table: 'transactions',
+    trash: true,
+    label: 'Transaction',
+    permissions: (row) => {
+      const byType = TRANSACTION_PERMISSIONS[row.type] || { view: [], manage: [] };
+      return {
+        view: [...byType.view, 'transaction.view'],
+        manage: [...byType.manage, 'transaction.manage'],
+      };
+    },
+  },
+  tenant: {
+    table: 'tenants',
+    trash: true,
+    label: 'Tenant',
+    permissions: () => ({ view: ['rent.view'], manage: ['rent.tenant.manage'] }),
+  },
+  shop: {
+    table: 'shops',
+    trash: true,
+    label: 'Shop',
+    permissions: () => ({ view: ['shop.view'], manage: ['shop.manage'] }),
+  },
+  donor: {
+    table: 'donors',
+    trash: false,
+    label: 'Donor',
+    permissions: () => ({ view: ['donor.view'], manage: ['donor.manage'] }),
+  },
+  // Files travel with a held change; they are attached by the requester, not here
+  change_request: {
+    table: 'change_requests',
+    trash: false,
+    label: 'Change request',
+    permissions: () => ({ view: ['approval.review'], manage: [] }),
+    owner: (row) => row.requested_by,
+  },
+};
+
+const placeholdersFor = (values) => values.map(() => '?').join(', ');
+
+// Inside the caller's transaction when given one
+const run = (connection, sql, params = []) => (connection ? exec(connection, sql, params) : query(sql, params));
+
+const mayAccess = async (user, entity, row, access) => {
+  if (access === 'view' && entity.owner && entity.owner(row) === user.id) return true;
+  return permissionService.hasPermission(user, 'file.manage', ...entity.permissions(row)[access]);
+};
+
+const liveRows = (entity, ids) => query(
+  `SELECT * FROM ${entity.table} WHERE id IN (${placeholdersFor(ids)})${entity.trash ? ' AND deleted_at IS NULL' : ''}`,
+  ids
+);
+
+// The record must exist outside the trash, and the user may `access` ('view' or 'manage') it
+const assertAccess = async (user, entityType, entityId, access) => {
+  const entity = ENTITIES[entityType];
+  if (!entity) throw httpError('Attachment not found', 404);
+  const rows = await liveRows(entity, [entityId]);
+  if (rows.length === 0) throw httpError(`${entity.label} not found`, 404);
+  if (!(await mayAccess(user, entity, rows[0], access))) {
+    throw httpError('Insufficient permissions', 403);
+  }
+};
+
+// A staged file is its uploader's alone
+const assertAttachmentAccess = async (user, attachment, access) => {
+  if (attachment.entityType) {
+    await assertAccess(user, attachment.entityType, attachment.entityId, access);
+  } else if (attachment.uploadedBy !== user.id && !(await permissionService.hasPermission(user, 'file.manage'))) {
+    throw httpError('Attachment not found', 404);
+  }
+};
+
+const findAttachment = async (id) => {
+  const rows = await query('SELECT * FROM uploaded_files WHERE id = ?', [id]);
+  if (rows.length === 0) throw httpError('Attachment not found', 404);
+  return UploadedFile.fromDbRow(rows[0]);
+};
+
+// Copies `content` to `file`, returning its hash and size; larger than
+// ATTACHMENT_MAX_BYTES is refused part way
+const spool = async (content, file) => {
+  const hash = createHash('sha256');
+  let size = 0;
+  const measure = new Transform({
+    transform(chunk, encoding, callback) {
+      size += chunk.length;
+      if (size > env.ATTACHMENT_MAX_BYTES) {
+        const limit = Math.floor(env.ATTACHMENT_MAX_BYTES / (1024 * 1024));
+        callback(httpError(`Attachments must be ${limit} MB or smaller`, 413));
+        return;
+      }
+      hash.update(chunk);
+      callback(null, chunk);
+    },
+  });
+  await pipeline(content, measure, fs.createWriteStream(file));
+  return { sha256: hash.digest('hex'), size };
+};
+
+/**
+ * A record's attachments, oldest first. With `entityIds` instead of
+ * `entityId`, those of several records of one type at once, e.g. a page of
+ * transactions; records the user may not see are left out rather than refused.
+ */
+export async function listAttachments(user, { entityType, entityId, entityIds }) {
+  let ids = [entityId];
+  if (entityIds) {
+    const entity = ENTITIES[entityType];
+    const rows = entityIds.length > 0 ? await liveRows(entity, entityIds) : [];
+    ids = [];
+    for (const row of rows) {
+      if (await mayAccess(user, entity, row, 'view')) ids.push(row.id);
+    }
+    if (ids.length === 0) return [];
+  } else {
+    await assertAccess(user, entityType, entityId, 'view');
+  }
+
+  const rows = await query(
+    `SELECT * FROM uploaded_files WHERE entity_type = ? AND entity_id IN (${placeholdersFor(ids)})
+     ORDER BY uploaded_at, name`,
+    [entityType, ...ids]
+  );
+  return rows.map((row) => UploadedFile.fromDbRow(row));
+}
+
+/**
+ * Checks that the user may attach files to the record, before any is read.
+ * Without a record the files are staged, which anyone signed in may do.
+ */
+export const assertCanAttach = async (user, { entityType, entityId } = {}) => {
+  if (entityType) await assertAccess(user, entityType, entityId, 'manage');
+};
+
+/**
+ * Store one file read from `content` and attach it to the record, or stage it
+ * when no record is given. The caller has checked assertCanAttach.
+ */
+export async function addAttachment({ entityType = null, entityId = null, name, type, content }, actor) {
+  if (!name) throw httpError('The file has no name', 400);
+  const temp = path.join(os.tmpdir(), `attachment-${generateId()}`);
+  try {
+    const { sha256, size } = await spool(content, temp);
+    if (size === 0) throw httpError(`${name} is empty`, 400);
+
+    const attachment = new UploadedFile({
+      id: generateId(),
+      name: name.slice(0, 255),
+      size,
+      type: (type || 'application/octet-stream').slice(0, 100),
+      sha256,
+      entityType,
+      entityId,
+      uploadedBy: actor?.id || null,
+    });
+    const store = blobStore();
+
+    await transaction(async (connection) => {
+      // Holding the blob row keeps a concurrent delete from removing the object under us
+      await exec(connection, 'INSERT IGNORE INTO blobs (sha256, size, content_type) VALUES (?, ?, ?)', [
+        sha256,
+        size,
+        attachment.type,
+      ]);
+      await exec(connection, 'SELECT sha256 FROM blobs WHERE sha256 = ? FOR UPDATE', [sha256]);
+      if (!(await store.exists(blobKey(sha256)))) {
+        await store.put(blobKey(sha256), fs.createReadStream(temp), { size, contentType: attachment.type });
+      }
+
+      const row = attachment.toDbObject();
+      delete row.uploaded_at;
+      const columns = Object.keys(row);
+      await exec(
+        connection,
+        `INSERT INTO uploaded_files (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+        columns.map((column) => row[column] ?? null)
+      );
+      await auditService.record(actor, {
+        entityType: 'Attachment',
+        entityId: attachment.id,
+        action: 'create',
+        after: attachment,
+        context: { entityType, entityId },
+      }, connection);
+    });
+    return findAttachment(attachment.id);
+  } finally {
+    await fsp.rm(temp, { force: true });
+  }
+}
+
+/**
+ * An attachment's details, if the user may see its record.
+ */
+export async function getAttachment(user, id) {
+  const attachment = await findAttachment(id);
+  await assertAttachmentAccess(user, attachment, 'view');
+  return attachment;
+}
+
+/**
+ * An attachment with its blob and a stream of the content.
+ */
+export async function openAttachment(user, id) {
+  const attachment = await getAttachment(user, id);
+  const rows = await query('SELECT * FROM blobs WHERE sha256 = ?', [attachment.sha256]);
+  const blob = Blob.fromDbRow(rows[0]);
+  try {
+    return { attachment, blob, content: await blobStore().get(blobKey(blob.sha256)) };
+  } catch (error) {
+    if (error.code === 'BLOB_NOT_FOUND') throw httpError('The attachment content is missing from storage', 410);
+    throw error;
+  }
+}
+
+/**
+ * Remove an attachment, and its stored content when nothing else uses it.
+ */
+export async function deleteAttachment(user, id, actor) {
+  const attachment = await findAttachment(id);
+  await assertAttachmentAccess(user, attachment, 'manage');
+
+  await transaction(async (connection) => {
+    // The last file of an expense that needs one stays
+    if (attachment.entityType === 'transaction') {
+      const [entry] = await exec(connection, 'SELECT type, amount FROM transactions WHERE id = ? FOR UPDATE', [
+        attachment.entityId,
+      ]);
+      if (entry && attachmentRequired(entry)
+        && (await countAttachments(connection, 'transaction', attachment.entityId)) <= 1) {
+        throw httpError(requiredMessage(), 422);
+      }
+    }
+    await removeRows(connection, [attachment]);
+    await auditService.record(actor, {
+      entityType: 'Attachment',
+      entityId: id,
+      action: 'delete',
+      before: attachment,
+      context: { entityType: attachment.entityType, entityId: attachment.entityId },
+    }, connection);
+  });
+}
+
+/**
+ * Expenses above EXPENSE_ATTACHMENT_REQUIRED_ABOVE (0 turns this off) need
+ * the bill or another attachment.
+ */
+export const attachmentRequired = (entry) =>
+  entry.type === 'Expense'
+  && env.EXPENSE_ATTACHMENT_REQUIRED_ABOVE > 0
+  && Number(entry.amount) > env.EXPENSE_ATTACHMENT_REQUIRED_ABOVE;
+
+const requiredMessage = () =>
+  `Expenses above ₹${env.EXPENSE_ATTACHMENT_REQUIRED_ABOVE.toLocaleString('en-IN')} need the bill or another attachment`;
+
+const countAttachments = async (connection, entityType, entityId) => {
+  const [{ count }] = await run(
+    connection,
+    'SELECT COUNT(*) AS count FROM uploaded_files WHERE entity_type = ? AND entity_id = ?',
+    [entityType, entityId]
+  );
+  return Number(count);
+};
+
+/**
+ * Refuses an entry that needs an attachment and would have none. `entry` is
+ * the entry as it will be written and `attachmentIds` the files going on with
+ * it; `existing` is the stored entry when editing, whose own attachments count
+ * too. An edit that leaves the amount alone is let through, so entries
+ * recorded before the limit was set can still be corrected.
+ */
+export async function assertRequiredAttachments(entry, { attachmentIds = [], existing = null } = {}, connection = null) {
+  if (!attachmentRequired(entry) || attachmentIds.length > 0) return;
+  if (existing) {
+    if (Number(existing.amount) === Number(entry.amount)) return;
+    if ((await countAttachments(connection, 'transaction', existing.id)) > 0) return;
+  }
+  throw httpError(requiredMessage(), 422);
+}
+
+/**
+ * Checks that every id names a file the user has staged, before a change
+ * that will attach them is accepted.
+ */
+export async function assertStaged(user, ids = []) {
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) return;
+  const rows = await query(
+    `SELECT id FROM uploaded_files WHERE id IN (${placeholdersFor(unique)}) AND entity_type IS NULL AND uploaded_by = ?`,
+    [...unique, user.id]
+  );
+  if (rows.length !== unique.length) {
+    throw httpError('Some attachments are no longer available; upload them again', 400);
+  }
+}
+
+/**
+ * Attach files inside the caller's transaction. `from` says where they are
+ * now: staged by a user ({ uploadedBy }) or on another record
+ * ({ entityType, entityId }). Every file must be there, or nothing moves.
+ */
+export async function attach(connection, ids, { entityType, entityId }, from) {
+  const unique = [...new Set(ids)];
+  if (unique.length === 0) return;
+  const [where, params] = from.entityType
+    ? ['entity_type = ? AND entity_id = ?', [from.entityType, from.entityId]]
+    : ['entity_type IS NULL AND uploaded_by = ?', [from.uploadedBy]];
+  const result = await exec(
+    connection,
+    `UPDATE uploaded_files SET entity_type = ?, entity_id = ? WHERE id IN (${placeholdersFor(unique)}) AND ${where}`,
+    [entityType, entityId, ...unique, ...params]
+  );
+  if (result.affectedRows !== unique.length) {
+    throw httpError('Some attachments are no longer available; upload them again', 400);
+  }
+}
+
+// Deletes attachment rows, and the content of any that nothing else uses.
+// Objects go before commit, while the blob row is still locked against a new
+// upload of the same content.
+const removeRows = async (connection, attachments) => {
+  for (const attachment of attachments) {
+    await exec(connection, 'DELETE FROM uploaded_files WHERE id = ?', [attachment.id]);
+    const unused = await exec(
+      connection,
+      `DELETE FROM blobs WHERE sha256 = ?
+       AND NOT EXISTS (SELECT 1 FROM uploaded_files WHERE sha256 = blobs.sha256)`,
+      [attachment.sha256]
+    );
+    if (unused.affectedRows > 0) {
+      await blobStore().remove(blobKey(attachment.sha256));
+    }
+  }
+};
+
+/**
+ * Remove staged files older than STAGED_UPLOAD_HOURS, uploaded for a form
+ * that was never saved. Returns how many went.
+ */
+export async function discardAbandonedUploads() {
+  const rows = await query(
+    `SELECT * FROM uploaded_files
+     WHERE entity_type IS NULL AND uploaded_at < NOW() - INTERVAL ${STAGED_UPLOAD_HOURS} HOUR`
+  );
+  const abandoned = rows.map((row) => UploadedFile.fromDbRow(row));
+  if (abandoned.length > 0) {
+    await transaction((connection) => removeRows(connection, abandoned));
+  }
+  return abandoned.length;
+}
@@ -0,0 +1,125 @@
+import { transaction } from '../config/db.js';
+import { AuditLog, chainHash, canonicalJson } from '../models/AuditLog.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'audit-service' });
+
+/**
+ * Audit trail of data changes.
+ *
+ * Routes and controllers call record() after a create, update or delete of a
+ * user, shop, tenant, agreement, loan, penalty, transaction or donor, passing
+ * the entity as it was before and after. Only the fields that changed are kept,
+ * and secrets are never written: a changed password shows as redacted.
+ *
+ * Entries are hash-chained (see AuditLog), and verifyChain() walks the whole
+ * log to find the first entry that no longer matches its hash.
+ *
+ * A failure to write an entry is logged with the full entry but never fails
+ * the change it describes.
+ */
+
+// Bookkeeping columns that change on every write
+const IGNORED_FIELDS = ['createdAt', 'updatedAt'];
+
+const SECRET_FIELDS = ['password', 'passwordHash', 'twoFactorSecret', 'token', 'tokenHash', 'refreshToken'];
+
+const REDACTED = '[REDACTED]';
+
+const camelKey = (key) => key.replace(/_([a-z])/g, (match, letter) => letter.toUpperCase());
+
+// Rows, model instances and Sequelize instances all become plain objects
+// with camelCase keys, so before and after compare field by field.
+const normalise = (entity) => {
+  if (!entity) return {};
+  const plain = typeof entity.get === 'function' ? entity.get({ plain: true }) : entity;
+  const source = typeof plain.toJSON === 'function' ? plain.toJSON() : plain;
+  return Object.fromEntries(
+    Object.entries(source)
+      .filter(([, value]) => typeof value !== 'function')
+      .map(([key, value]) => [camelKey(key), value instanceof Date ? value.toISOString() : value ?? null])
+  );
+};
+
+// [{ field, from, to }] for every field that differs
+export function diff(before, after) {
+  const a = normalise(before);
+  const b = normalise(after);
+  return [...new Set([...Object.keys(a), ...Object.keys(b)])]
+    .filter((field) => !IGNORED_FIELDS.includes(field))
+    .filter((field) => canonicalJson(a[field] ?? null) !== canonicalJson(b[field] ?? null))
+    .map((field) =>
+      SECRET_FIELDS.includes(field)
+        ? { field, from: a[field] == null ? null : REDACTED, to: b[field] == null ? null : REDACTED }
+        : { field, from: a[field] ?? null, to: b[field] ?? null }
+    );
+}
+
+// Who is making the change, from an authenticated request
+export const actorFrom = (req) => ({
+  id: req.user?.id || null,
+  username: req.user?.username || null,
+  ip: req.ip || null,
+});
+
+/**
+ * Append an entry. Pass `connection` to write it inside the caller's
+ * transaction; otherwise it is written on its own. An update that changed
+ * nothing is not recorded.
+ */
+export async function record(actor, { entityType, entityId, action, before = null, after = null, context = null }, connection = null) {
+  const entry = {
+    createdAt: new Date().toISOString().replace('T', ' ').slice(0, 23),
+    actorId: actor?.id || null,
+    actorName: actor?.username || null,
+    ipAddress: actor?.ip || null,
+    entityType,
+    entityId: String(entityId),
+    action,
+    changes: diff(before, after),
+    context,
+  };
+  if (action === 'update' && entry.changes.length === 0) return null;
+
+  try {
+    return connection
+      ? await AuditLog.append(connection, entry)
+      : await transaction((conn) => AuditLog.append(conn, entry));
+  } catch (error) {
+    logger.error('Failed to write audit entry:', { error: error.message, entry });
+    return null;
+  }
+}
+
+export async function search(filters) {
+  const { entries, total } = await AuditLog.search(filters);
+  return { entries: entries.map((entry) => entry.toJSON()), total };
+}
+
+/**
+ * Recompute every hash in order. Reports the first entry whose hash or link
+ * to its predecessor does not match, and the head hash; keeping a copy of the
+ * head elsewhere also shows whether entries were cut off the end.
+ */
+export async function verifyChain() {
+  let prevHash = null;
+  let lastSeq = 0;
+  let checked = 0;
+
+  for (;;) {
+    const batch = await AuditLog.findAfter(lastSeq);
+    if (batch.length === 0) break;
+
+    for (const entry of batch) {
+      if (entry.prevHash !== prevHash || chainHash(prevHash, entry) !== entry.hash) {
+        logger.warn('Audit chain broken:', { seq: entry.seq });
+        return { valid: false, checked, brokenAt: entry.seq, headHash: prevHash };
+      }
+      prevHash = entry.hash;
+      lastSeq = entry.seq;
+      checked += 1;
+    }
+  }
+
+  return { valid: true, checked, brokenAt: null, headHash: prevHash };
+}
@@ -0,0 +1,665 @@
+import { createHash } from 'crypto';
+import { query, transaction, allocateReceiptNumber } from '../config/db.js';
+import env from '../config/env.js';
+import { BankStatement } from '../models/BankStatement.js';
+import { BankStatementLine } from '../models/BankStatementLine.js';
+import { BankReconciliation } from '../models/BankReconciliation.js';
+import { Transaction } from '../models/Transaction.js';
+import { generateId } from '../utils/helpers.js';
+import { toDateOnly, addDays, addMonths, daysBetween, toPeriod } from '../utils/dateHelpers.js';
+import { parseStatement } from '../utils/bankStatementParser.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as financialYearService from './financialYearService.js';
+import * as auditService from './auditService.js';
+import * as categoryService from './categoryService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'bank-reconciliation-service' });
+
+/**
+ * Bank statement import and reconciliation.
+ *
+ * Imported statement lines are matched one-to-one against transactions:
+ * credits against donations and rent receipts, debits against expenses.
+ * Auto-matching only pairs a line with a transaction when the pairing is
+ * unambiguous (same amount, within BANK_MATCH_WINDOW_DAYS, preferring a
+ * matching cheque/UTR reference); everything else is left for the Treasurer
+ * to link, ignore, or turn into a new donation or expense.
+ *
+ * Once every line of a month is matched or ignored the month can be
+ * reconciled, which locks it: its lines can no longer change, and the
+ * transactions matched to them can no longer be edited or deleted.
+ */
+
+const RECEIPT_TYPES = ['Donation', 'RentIncome'];
+const PAYMENT_TYPES = ['Expense', 'Utilities', 'Salary'];
+
+// Manual linking looks this far either side of the line date for candidates
+const CANDIDATE_WINDOW_DAYS = 31;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const monthEnd = (period) => addDays(addMonths(`${period}-01`, 1), -1);
+
+// Types a line can be matched with, by the direction of the money
+const typesFor = (amount) => (amount > 0 ? RECEIPT_TYPES : PAYMENT_TYPES);
+
+// Cheques reach the bank when they clear; everything else on its own date
+const bankDate = (row) => toDateOnly(row.clearing_date || row.date);
+
+// Compare references on their significant characters: "CHQ 000123" ~ "123"
+const normalizeReference = (value) =>
+  String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '').replace(/^0+/, '');
+
+const referenceMatches = (line, row) => {
+  const reference = normalizeReference(row.payment_reference);
+  if (reference.length < 3) return false;
+  if (normalizeReference(line.reference) === reference) return true;
+  // Narrations often embed the UTR or cheque number; require enough digits to avoid false hits
+  return reference.length >= 6 && normalizeReference(line.description).includes(reference);
+};
+
+const fingerprint = (parts) => createHash('sha256').update(parts.join('|')).digest('hex');
+
+const lockedPeriods = async (connection) => {
+  const rows = await exec(connection, 'SELECT period FROM bank_reconciliations WHERE locked = TRUE');
+  return new Set(rows.map(row => row.period));
+};
+
+const assertPeriodUnlocked = async (connection, date) => {
+  const period = toPeriod(date);
+  const rows = await exec(connection,
+    'SELECT period FROM bank_reconciliations WHERE period = ? AND locked = TRUE',
+    [period]
+  );
+  if (rows.length > 0) throw httpError(`Bank reconciliation for ${period} is locked`, 409);
+};
+
+/**
+ * Refuse changes to a transaction matched to a statement line in a locked
+ * month. Called by the routes that update or delete transactions.
+ */
+export async function assertTransactionUnlocked(connection, transactionId) {
+  const rows = await exec(connection,
+    `SELECT r.period FROM bank_statement_lines l
+     JOIN bank_reconciliations r ON r.period = DATE_FORMAT(l.line_date, '%Y-%m') AND r.locked = TRUE
+     WHERE l.transaction_id = ?`,
+    [transactionId]
+  );
+  if (rows.length > 0) {
+    throw httpError(`Transaction is reconciled in the locked bank statement for ${rows[0].period}`, 409);
+  }
+}
+
+// ---------------------------------------------------------------------------
+// Matching
+// ---------------------------------------------------------------------------
+
+/**
+ * Auto-match the given unmatched lines. A pairing is made when the line has
+ * exactly one candidate with a matching reference, or when line and
+ * transaction are each other's only candidate. Returns the number matched.
+ */
+const autoMatchLines = async (connection, lines) => {
+  const open = lines.filter(line => !line.transaction_id && !line.ignored);
+  if (open.length === 0) return 0;
+
+  const window = env.BANK_MATCH_WINDOW_DAYS;
+  const dates = open.map(line => toDateOnly(line.line_date)).sort();
+  const rows = await exec(connection,
+    `SELECT t.* FROM transactions t
+     LEFT JOIN bank_statement_lines l ON l.transaction_id = t.id
+     WHERE l.id IS NULL
+       AND t.deleted_at IS NULL
+       AND t.payment_mode <> 'Cash'
+       AND t.clearing_status <> 'Bounced'
+       AND COALESCE(t.clearing_date, t.date) BETWEEN ? AND ?`,
+    [addDays(dates[0], -window), addDays(dates[dates.length - 1], window)]
+  );
+
+  const candidatesFor = new Map();
+  for (const line of open) {
+    const amount = parseFloat(line.amount);
+    candidatesFor.set(line.id, rows.filter(row =>
+      typesFor(amount).includes(row.type) &&
+      round2(parseFloat(row.amount)) === round2(Math.abs(amount)) &&
+      Math.abs(daysBetween(bankDate(row), toDateOnly(line.line_date))) <= window
+    ));
+  }
+
+  const pairs = new Map(); // line id -> transaction row
+  const claimed = new Set();
+  const remaining = (line) => candidatesFor.get(line.id).filter(row => !claimed.has(row.id));
+  const claim = (line, row) => {
+    pairs.set(line.id, row);
+    claimed.add(row.id);
+  };
+
+  // A matching reference is decisive as long as it only fits one transaction
+  for (const line of open) {
+    const byReference = remaining(line).filter(row => referenceMatches(line, row));
+    if (byReference.length === 1) claim(line, byReference[0]);
+  }
+
+  // Otherwise only pair up lines and transactions that have no alternative
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const line of open) {
+      if (pairs.has(line.id)) continue;
+      const candidates = remaining(line);
+      if (candidates.length !== 1) continue;
+      const [row] = candidates;
+      const rivals = open.filter(other =>
+        other.id !== line.id && !pairs.has(other.id) && remaining(other).some(r => r.id === row.id)
+      );
+      if (rivals.length === 0) {
+        claim(line, row);
+        changed = true;
+      }
+    }
+  }
+
+  for (const [lineId, row] of pairs) {
+    await exec(connection,
+      "UPDATE bank_statement_lines SET transaction_id = ?, match_type = 'Auto' WHERE id = ?",
+      [row.id, lineId]
+    );
+  }
+  return pairs.size;
+};
+
+/**
+ * Re-run auto-matching over every unmatched line in unlocked months, e.g.
+ * after recording the transactions a statement was waiting on.
+ */
+export async function runAutoMatch() {
+  return transaction(async (connection) => {
+    const lines = await exec(connection,
+      `SELECT l.* FROM bank_statement_lines l
+       LEFT JOIN bank_reconciliations r ON r.period = DATE_FORMAT(l.line_date, '%Y-%m') AND r.locked = TRUE
+       WHERE l.transaction_id IS NULL AND l.ignored = FALSE AND r.period IS NULL`
+    );
+    const matched = await autoMatchLines(connection, lines);
+    logger.info({ matched }, 'Bank statement auto-match run');
+    return { matched, unmatched: lines.length - matched };
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Statements
+// ---------------------------------------------------------------------------
+
+/**
+ * Import a CSV or OFX statement. Lines already imported from an earlier
+ * (overlapping) statement and lines in locked months are skipped; the new
+ * lines are auto-matched straight away.
+ */
+export async function importStatement({ fileName, content, format = null }, userId = null) {
+  const parsed = parseStatement(content, { fileName, format });
+
+  // Identical rows (same day, amount, narration, no balance) are told apart by occurrence
+  const seen = new Map();
+  const lines = parsed.lines.map((line, index) => {
+    const key = line.externalId
+      ? ['OFX', line.externalId, line.date, line.amount]
+      : [line.date, line.amount, line.reference, line.description, line.balance ?? ''];
+    const occurrence = (seen.get(key.join('|')) || 0) + 1;
+    seen.set(key.join('|'), occurrence);
+    return { ...line, lineNumber: index + 1, fingerprint: fingerprint([...key, occurrence]) };
+  });
+
+  const result = await transaction(async (connection) => {
+    const locked = await lockedPeriods(connection);
+    const existing = await exec(connection,
+      `SELECT fingerprint FROM bank_statement_lines WHERE fingerprint IN (${lines.map(() => '?').join(', ')})`,
+      lines.map(line => line.fingerprint)
+    );
+    const existingFingerprints = new Set(existing.map(row => row.fingerprint));
+
+    const fresh = lines.filter(line => !existingFingerprints.has(line.fingerprint) && !locked.has(toPeriod(line.date)));
+    const duplicates = lines.filter(line => existingFingerprints.has(line.fingerprint)).length;
+    const skippedLocked = lines.length - fresh.length - duplicates;
+    if (fresh.length === 0) {
+      throw httpError(
+        duplicates > 0 && skippedLocked === 0
+          ? 'Every line in this statement has already been imported'
+          : 'The statement has no new lines outside locked months',
+        409
+      );
+    }
+
+    const dates = fresh.map(line => line.date).sort();
+    const statement = new BankStatement({
+      id: generateId(),
+      fileName: fileName || `statement.${parsed.format.toLowerCase()}`,
+      format: parsed.format,
+      layout: parsed.layout,
+      periodFrom: dates[0],
+      periodTo: dates[dates.length - 1],
+      lineCount: fresh.length,
+      importedBy: userId
+    });
+    const statementRow = statement.toDbObject();
+    await exec(connection,
+      `INSERT INTO bank_statements (${Object.keys(statementRow).join(', ')}) VALUES (${Object.keys(statementRow).map(() => '?').join(', ')})`,
+      Object.values(statementRow)
+    );
+
+    const inserted = [];
+    for (const line of fresh) {
+      const dbObject = new BankStatementLine({
+        id: generateId(),
+        statementId: statement.id,
+        lineNumber: line.lineNumber,
+        lineDate: line.date,
+        description: line.description.slice(0, 255),
+        reference: line.reference ? line.reference.slice(0, 100) : null,
+        amount: line.amount,
+        balance: line.balance,
+        fingerprint: line.fingerprint,
+        ignored: false
+      }).toDbObject();
+      await exec(connection,
+        `INSERT INTO bank_statement_lines (${Object.keys(dbObject).join(', ')}) VALUES (${Object.keys(dbObject).map(() => '?').join(', ')})`,
+        Object.values(dbObject)
+      );
+      inserted.push(dbObject);
+    }
+
+    const matched = await autoMatchLines(connection, inserted);
+    return { statement, imported: fresh.length, duplicates, skippedLocked, matched };
+  });
+
+  logger.info({
+    statementId: result.statement.id,
+    layout: parsed.layout,
+    imported: result.imported,
+    duplicates: result.duplicates,
+    matched: result.matched
+  }, 'Bank statement imported');
+  return result;
+}
+
+export async function listStatements() {
+  const rows = await query('SELECT * FROM bank_statements ORDER BY period_to DESC, created_at DESC');
+  return rows.map(row => BankStatement.fromDbRow(row));
+}
+
+/**
+ * Delete an imported statement and its lines, e.g. after importing the wrong
+ * account's file. Not allowed once any of its lines falls in a locked month.
+ */
+export async function deleteStatement(statementId) {
+  return transaction(async (connection) => {
+    const rows = await exec(connection, 'SELECT * FROM bank_statements WHERE id = ? FOR UPDATE', [statementId]);
+    if (rows.length === 0) throw httpError('Bank statement not found', 404);
+
+    const locked = await exec(connection,
+      `SELECT DISTINCT r.period FROM bank_statement_lines l
+       JOIN bank_reconciliations r ON r.period = DATE_FORMAT(l.line_date, '%Y-%m') AND r.locked = TRUE
+       WHERE l.statement_id = ?`,
+      [statementId]
+    );
+    if (locked.length > 0) {
+      throw httpError(`Statement has lines in locked months: ${locked.map(row => row.period).join(', ')}`, 409);
+    }
+
+    await exec(connection, 'DELETE FROM bank_statements WHERE id = ?', [statementId]);
+    logger.info({ statementId }, 'Bank statement deleted');
+    return BankStatement.fromDbRow(rows[0]);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Lines
+// ---------------------------------------------------------------------------
+
+// Attach the matched transaction to each line; run is query() or a connection-bound exec
+const withTransactions = async (run, lines) => {
+  const ids = lines.map(line => line.transactionId).filter(Boolean);
+  if (ids.length === 0) return lines.map(line => ({ ...line, transaction: null }));
+
+  const rows = await run(`SELECT * FROM transactions WHERE id IN (${ids.map(() => '?').join(', ')})`, ids);
+  const byId = new Map(rows.map(row => [row.id, Transaction.fromDbRow(row)]));
+  return lines.map(line => ({ ...line, transaction: byId.get(line.transactionId) || null }));
+};
+
+export async function listLines({ from = null, to = null, status = null, statementId = null } = {}) {
+  const conditions = [];
+  const params = [];
+  if (from) {
+    conditions.push('l.line_date >= ?');
+    params.push(from);
+  }
+  if (to) {
+    conditions.push('l.line_date <= ?');
+    params.push(to);
+  }
+  if (statementId) {
+    conditions.push('l.statement_id = ?');
+    params.push(statementId);
+  }
+  if (status === 'Matched') conditions.push('l.transaction_id IS NOT NULL');
+  if (status === 'Unmatched') conditions.push('l.transaction_id IS NULL AND l.ignored = FALSE');
+  if (status === 'Ignored') conditions.push('l.transaction_id IS NULL AND l.ignored = TRUE');
+
+  const rows = await query(
+    `SELECT l.* FROM bank_statement_lines l
+     JOIN bank_statements s ON s.id = l.statement_id
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY l.line_date, s.created_at, l.line_number`,
+    params
+  );
+  return withTransactions(query, rows.map(row => BankStatementLine.fromDbRow(row)));
+}
+
+// Lock a line and check its month can still change
+const lockLine = async (connection, lineId) => {
+  const rows = await exec(connection, 'SELECT * FROM bank_statement_lines WHERE id = ? FOR UPDATE', [lineId]);
+  if (rows.length === 0) throw httpError('Statement line not found', 404);
+  await assertPeriodUnlocked(connection, rows[0].line_date);
+  return rows[0];
+};
+
+const reloadLine = async (connection, lineId) => {
+  const [row] = await exec(connection, 'SELECT * FROM bank_statement_lines WHERE id = ?', [lineId]);
+  const [line] = await withTransactions((sql, params) => exec(connection, sql, params), [BankStatementLine.fromDbRow(row)]);
+  return line;
+};
+
+/**
+ * Transactions a line could be linked to by hand: unmatched ones of the
+ * right direction and amount within a month of the line, including cash
+ * entries that auto-matching skips. Matching references come first.
+ */
+export async function getCandidates(lineId) {
+  const lines = await query('SELECT * FROM bank_statement_lines WHERE id = ?', [lineId]);
+  if (lines.length === 0) throw httpError('Statement line not found', 404);
+  const line = lines[0];
+  const lineDate = toDateOnly(line.line_date);
+  const amount = parseFloat(line.amount);
+  const types = typesFor(amount);
+
+  const rows = await query(
+    `SELECT t.* FROM transactions t
+     LEFT JOIN bank_statement_lines l ON l.transaction_id = t.id
+     WHERE l.id IS NULL
+       AND t.deleted_at IS NULL
+       AND t.clearing_status <> 'Bounced'
+       AND t.type IN (${types.map(() => '?').join(', ')})
+       AND t.amount = ?
+       AND COALESCE(t.clearing_date, t.date) BETWEEN ? AND ?`,
+    [...types, round2(Math.abs(amount)), addDays(lineDate, -CANDIDATE_WINDOW_DAYS), addDays(lineDate, CANDIDATE_WINDOW_DAYS)]
+  );
+
+  const score = (row) => (referenceMatches(line, row) ? 0 : 1000) + Math.abs(daysBetween(bankDate(row), lineDate));
+  return rows
+    .sort((a, b) => score(a) - score(b))
+    .map(row => Transaction.fromDbRow(row));
+}
+
+export async function matchLine(lineId, transactionId) {
+  return transaction(async (connection) => {
+    const line = await lockLine(connection, lineId);
+    if (line.transaction_id) throw httpError('Statement line is already matched', 409);
+
+    const rows = await exec(connection, 'SELECT * FROM transactions WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [transactionId]);
+    if (rows.length === 0) throw httpError('Transaction not found', 404);
+    const row = rows[0];
+    const amount = parseFloat(line.amount);
+
+    if (row.clearing_status === 'Bounced') throw httpError('A bounced cheque cannot be matched', 400);
+    if (!typesFor(amount).includes(row.type)) {
+      throw httpError(amount > 0
+        ? 'A credit can only be matched to a donation or rent receipt'
+        : 'A debit can only be matched to an expense', 400);
+    }
+    if (round2(parseFloat(row.amount)) !== round2(Math.abs(amount))) {
+      throw httpError('Transaction amount does not match the statement line', 400);
+    }
+
+    const existing = await exec(connection, 'SELECT id FROM bank_statement_lines WHERE transaction_id = ?', [transactionId]);
+    if (existing.length > 0) throw httpError('Transaction is already matched to another statement line', 409);
+
+    await exec(connection,
+      "UPDATE bank_statement_lines SET transaction_id = ?, match_type = 'Manual', ignored = FALSE WHERE id = ?",
+      [transactionId, lineId]
+    );
+    logger.info({ lineId, transactionId }, 'Statement line matched');
+    return reloadLine(connection, lineId);
+  });
+}
+
+export async function unmatchLine(lineId) {
+  return transaction(async (connection) => {
+    const line = await lockLine(connection, lineId);
+    if (!line.transaction_id) throw httpError('Statement line is not matched', 409);
+
+    await exec(connection,
+      'UPDATE bank_statement_lines SET transaction_id = NULL, match_type = NULL WHERE id = ?',
+      [lineId]
+    );
+    logger.info({ lineId, transactionId: line.transaction_id }, 'Statement line unmatched');
+    return reloadLine(connection, lineId);
+  });
+}
+
+// Bank charges, interest and transfers between own accounts have no transaction to match
+export async function setLineIgnored(lineId, ignored) {
+  return transaction(async (connection) => {
+    const line = await lockLine(connection, lineId);
+    if (line.transaction_id) throw httpError('Unmatch the statement line before ignoring it', 409);
+
+    await exec(connection, 'UPDATE bank_statement_lines SET ignored = ? WHERE id = ?', [Boolean(ignored), lineId]);
+    return reloadLine(connection, lineId);
+  });
+}
+
+/**
+ * Record an unmatched line as a new donation (credits) or expense (debits)
+ * paid by bank transfer, and match the line to it. `actor` is recorded in
+ * the audit trail as the creator.
+ */
+export async function createTransactionFromLine(lineId, details, actor = null) {
+  const lines = await query('SELECT * FROM bank_statement_lines WHERE id = ?', [lineId]);
+  if (lines.length === 0) throw httpError('Statement line not found', 404);
+  const amount = parseFloat(lines[0].amount);
+  const type = amount > 0 ? 'Donation' : 'Expense';
+  if (details.type !== type) {
+    throw httpError(amount > 0
+      ? 'A credit can only be recorded as a donation'
+      : 'A debit can only be recorded as an expense', 400);
+  }
+  await financialYearService.assertDatesOpen(null, [lines[0].line_date]);
+  await categoryService.assertActiveCategory(type, details.category);
+
+  // Allocated outside the transaction, as the donations route does
+  const receiptNumber = type === 'Donation' ? await allocateReceiptNumber('Donation') : undefined;
+
+  return transaction(async (connection) => {
+    const line = await lockLine(connection, lineId);
+    if (line.transaction_id) throw httpError('Statement line is already matched', 409);
+
+    const description = details.description || line.description || 'Bank statement entry';
+    const record = new Transaction({
+      id: generateId(),
+      date: toDateOnly(line.line_date),
+      type,
+      category: details.category,
+      description,
+      amount: round2(Math.abs(amount)),
+      receiptNumber,
+      donorName: type === 'Donation' ? details.donorName : undefined,
+      payeeName: type === 'Expense' ? details.payeeName : undefined,
+      paymentMode: 'Bank Transfer',
+      paymentReference: (line.reference || line.description || lineId).slice(0, 100),
+      clearingStatus: 'Cleared',
+      idempotencyKey: type === 'Donation' ? `bank-line-${lineId}` : undefined
+    });
+    const dbObject = record.toDbObject();
+    await exec(connection,
+      `INSERT INTO transactions (${Object.keys(dbObject).map(key => `\`${key}\``).join(', ')}) VALUES (${Object.keys(dbObject).map(() => '?').join(', ')})`,
+      Object.values(dbObject)
+    );
+    await generalLedgerService.syncTransaction(connection, record.id);
+    await auditService.record(actor, {
+      entityType: 'Transaction', entityId: record.id, action: 'create', after: record,
+      context: { bankStatementLineId: lineId }
+    }, connection);
+
+    await exec(connection,
+      "UPDATE bank_statement_lines SET transaction_id = ?, match_type = 'Manual', ignored = FALSE WHERE id = ?",
+      [record.id, lineId]
+    );
+    logger.info({ lineId, transactionId: record.id, type }, 'Transaction created from statement line');
+    return reloadLine(connection, lineId);
+  });
+}
+
+// ---------------------------------------------------------------------------
+// Monthly reconciliation
+// ---------------------------------------------------------------------------
+
+const monthLineTotals = async (run, period) => {
+  const [totals] = await run(
+    `SELECT COUNT(*) AS line_count,
+            SUM(transaction_id IS NOT NULL) AS matched,
+            SUM(transaction_id IS NULL AND ignored = FALSE) AS unmatched,
+            SUM(transaction_id IS NULL AND ignored = TRUE) AS ignored,
+            COALESCE(SUM(CASE WHEN amount > 0 THEN amount ELSE 0 END), 0) AS credits,
+            COALESCE(SUM(CASE WHEN amount < 0 THEN -amount ELSE 0 END), 0) AS debits
+     FROM bank_statement_lines
+     WHERE DATE_FORMAT(line_date, '%Y-%m') = ?`,
+    [period]
+  );
+  // Closing balance printed on the last line of the month, when the bank gives one
+  const [last] = await run(
+    `SELECT l.balance FROM bank_statement_lines l
+     JOIN bank_statements s ON s.id = l.statement_id
+     WHERE DATE_FORMAT(l.line_date, '%Y-%m') = ? AND l.balance IS NOT NULL
+     ORDER BY l.line_date DESC, s.created_at DESC, l.line_number DESC
+     LIMIT 1`,
+    [period]
+  );
+  return {
+    lineCount: Number(totals.line_count),
+    matched: Number(totals.matched || 0),
+    unmatched: Number(totals.unmatched || 0),
+    ignored: Number(totals.ignored || 0),
+    credits: round2(parseFloat(totals.credits)),
+    debits: round2(parseFloat(totals.debits)),
+    statementBalance: last ? round2(parseFloat(last.balance)) : null
+  };
+};
+
+/**
+ * Months that have statement lines, newest first, with their match counts
+ * and reconciliation state.
+ */
+export async function listMonths() {
+  const rows = await query(
+    `SELECT DATE_FORMAT(line_date, '%Y-%m') AS period,
+            COUNT(*) AS line_count,
+            SUM(transaction_id IS NOT NULL) AS matched,
+            SUM(transaction_id IS NULL AND ignored = FALSE) AS unmatched,
+            SUM(transaction_id IS NULL AND ignored = TRUE) AS ignored
+     FROM bank_statement_lines
+     GROUP BY DATE_FORMAT(line_date, '%Y-%m')
+     ORDER BY period DESC`
+  );
+  const reconciliations = await query('SELECT * FROM bank_reconciliations');
+  const byPeriod = new Map(reconciliations.map(row => [row.period, BankReconciliation.fromDbRow(row)]));
+
+  return rows.map(row => ({
+    period: row.period,
+    lineCount: Number(row.line_count),
+    matched: Number(row.matched || 0),
+    unmatched: Number(row.unmatched || 0),
+    ignored: Number(row.ignored || 0),
+    reconciliation: byPeriod.get(row.period) || null
+  }));
+}
+
+/**
+ * One month's position: statement lines by status, the statement's closing
+ * balance against the Bank account in the general ledger, and whether the
+ * month has been reconciled.
+ */
+export async function getMonthSummary(period) {
+  const totals = await monthLineTotals(query, period);
+  const bookBalance = await generalLedgerService.getAccountBalance(generalLedgerService.ACCOUNTS.BANK.code, { asOf: monthEnd(period) });
+  const reconciliations = await query('SELECT * FROM bank_reconciliations WHERE period = ?', [period]);
+
+  return {
+    period,
+    ...totals,
+    bookBalance,
+    difference: totals.statementBalance === null ? null : round2(totals.statementBalance - bookBalance),
+    reconciliation: reconciliations.length > 0 ? BankReconciliation.fromDbRow(reconciliations[0]) : null
+  };
+}
+
+/**
+ * Mark a month reconciled and lock it. Every statement line in the month
+ * must be matched or ignored first.
+ */
+export async function reconcileMonth(period, { statementBalance = null, notes = null } = {}, userId = null) {
+  const reconciliation = await transaction(async (connection) => {
+    const existing = await exec(connection, 'SELECT * FROM bank_reconciliations WHERE period = ? FOR UPDATE', [period]);
+    if (existing.length > 0 && existing[0].locked) throw httpError(`${period} is already reconciled`, 409);
+
+    const totals = await monthLineTotals((sql, params) => exec(connection, sql, params), period);
+    if (totals.lineCount === 0) throw httpError(`No bank statement lines imported for ${period}`, 400);
+    if (totals.unmatched > 0) {
+      throw httpError(`${totals.unmatched} statement line(s) in ${period} are still unmatched`, 409);
+    }
+
+    const record = new BankReconciliation({
+      period,
+      statementBalance: statementBalance ?? totals.statementBalance,
+      bookBalance: await generalLedgerService.getAccountBalance(generalLedgerService.ACCOUNTS.BANK.code, { asOf: monthEnd(period) }),
+      locked: true,
+      notes,
+      reconciledBy: userId
+    });
+    const dbObject = record.toDbObject();
+    await exec(connection,
+      `INSERT INTO bank_reconciliations (${Object.keys(dbObject).join(', ')}) VALUES (${Object.keys(dbObject).map(() => '?').join(', ')})
+       ON DUPLICATE KEY UPDATE statement_balance = VALUES(statement_balance), book_balance = VALUES(book_balance),
+         locked = TRUE, notes = VALUES(notes), reconciled_by = VALUES(reconciled_by), reconciled_at = CURRENT_TIMESTAMP`,
+      Object.values(dbObject)
+    );
+
+    const [row] = await exec(connection, 'SELECT * FROM bank_reconciliations WHERE period = ?', [period]);
+    return BankReconciliation.fromDbRow(row);
+  });
+
+  logger.info({ period, userId }, 'Bank reconciliation locked');
+  return reconciliation;
+}
+
+// Unlock a reconciled month so its matches can be corrected (Admin only)
+export async function reopenMonth(period, userId = null) {
+  return transaction(async (connection) => {
+    const rows = await exec(connection, 'SELECT * FROM bank_reconciliations WHERE period = ? FOR UPDATE', [period]);
+    if (rows.length === 0 || !rows[0].locked) throw httpError(`${period} is not reconciled`, 409);
+
+    await exec(connection, 'UPDATE bank_reconciliations SET locked = FALSE WHERE period = ?', [period]);
+    logger.info({ period, userId }, 'Bank reconciliation reopened');
+
+    const [row] = await exec(connection, 'SELECT * FROM bank_reconciliations WHERE period = ?', [period]);
+    return BankReconciliation.fromDbRow(row);
+  });
+}
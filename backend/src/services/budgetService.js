@@ -0,0 +1,237 @@
+import { query, transaction } from '../config/db.js';
+import { Budget } from '../models/Budget.js';
+import { generateId } from '../utils/helpers.js';
+import * as financialYearService from './financialYearService.js';
+import * as categoryService from './categoryService.js';
+import * as auditService from './auditService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'budget-service' });
+
+/**
+ * Expense budgets per financial year, and how spending compares with them.
+ *
+ * A budget is set for an expense category as a whole (subCategory null) or
+ * for one of its sub-categories. A category budget covers everything filed
+ * under the category, whatever its sub-category; a category without one is
+ * budgeted at the sum of its sub-category budgets.
+ *
+ * Actual spending is the year's expenses that are not deleted and not
+ * bounced cheques; pending cheques count, since the money is committed.
+ * Budgets only warn: an expense that goes over is saved all the same.
+ */
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const SPENT = "type = 'Expense' AND deleted_at IS NULL AND clearing_status <> 'Bounced'";
+
+const loadBudgets = async (year) => {
+  const rows = await query('SELECT * FROM budgets WHERE year = ?', [year]);
+  return rows.map((row) => Budget.fromDbRow(row));
+};
+
+// Spending in the year per category and sub-category ('' when none)
+const loadActuals = async ({ startDate, endDate }) => {
+  const rows = await query(
+    `SELECT category, COALESCE(sub_category, '') AS sub_category, SUM(amount) AS spent
+     FROM transactions
+     WHERE ${SPENT} AND date BETWEEN ? AND ?
+     GROUP BY category, COALESCE(sub_category, '')`,
+    [startDate, endDate]
+  );
+  return rows.map((row) => ({ category: row.category, subCategory: row.sub_category || null, spent: parseFloat(row.spent) }));
+};
+
+const line = (budget, actual) => ({
+  budget,
+  actual: round2(actual),
+  variance: budget === null ? null : round2(budget - actual),
+  usedPercent: budget ? Math.round((actual / budget) * 1000) / 10 : null,
+  overBudget: budget !== null && round2(actual) > budget,
+});
+
+/**
+ * Budget against actual spending for a financial year, per category (in the
+ * order of the category list) with its sub-categories. Categories and
+ * sub-categories appear when they have a budget or spending.
+ */
+export async function getBudgetReport(year) {
+  const bounds = financialYearService.yearBounds(year);
+  const [budgets, actuals, categories] = await Promise.all([
+    loadBudgets(year),
+    loadActuals(bounds),
+    categoryService.listCategories({ type: 'Expense' }),
+  ]);
+
+  const codes = [...new Set([
+    ...categories.map((category) => category.code),
+    ...budgets.map((budget) => budget.category),
+    ...actuals.map((actual) => actual.category),
+  ])];
+
+  const rows = [];
+  for (const code of codes) {
+    const ownBudget = budgets.find((budget) => budget.category === code && !budget.subCategory) || null;
+    const subBudgets = budgets.filter((budget) => budget.category === code && budget.subCategory);
+    const spending = actuals.filter((actual) => actual.category === code);
+    if (!ownBudget && subBudgets.length === 0 && spending.length === 0) continue;
+
+    const listed = categories.find((category) => category.code === code);
+    const subCodes = [...new Set([
+      ...(listed?.subCategories ?? []).map((sub) => sub.code),
+      ...subBudgets.map((budget) => budget.subCategory),
+      ...spending.filter((actual) => actual.subCategory).map((actual) => actual.subCategory),
+    ])];
+    const subCategories = subCodes
+      .map((subCode) => {
+        const budget = subBudgets.find((entry) => entry.subCategory === subCode) || null;
+        const spent = spending.find((actual) => actual.subCategory === subCode)?.spent ?? 0;
+        if (!budget && !spent) return null;
+        return { subCategory: subCode, budgetId: budget?.id ?? null, notes: budget?.notes ?? null, ...line(budget?.amount ?? null, spent) };
+      })
+      .filter(Boolean);
+
+    const amount = ownBudget
+      ? ownBudget.amount
+      : subBudgets.length > 0 ? round2(subBudgets.reduce((sum, budget) => sum + budget.amount, 0)) : null;
+    rows.push({
+      category: code,
+      budgetId: ownBudget?.id ?? null,
+      notes: ownBudget?.notes ?? null,
+      ...line(amount, spending.reduce((sum, actual) => sum + actual.spent, 0)),
+      subCategories,
+    });
+  }
+
+  const budgeted = rows.filter((row) => row.budget !== null);
+  return {
+    year,
+    ...bounds,
+    categories: rows,
+    totals: {
+      budget: round2(budgeted.reduce((sum, row) => sum + row.budget, 0)),
+      // Spending under categories with a budget, so it compares with the total budget
+      actual: round2(budgeted.reduce((sum, row) => sum + row.actual, 0)),
+      unbudgeted: round2(rows.filter((row) => row.budget === null).reduce((sum, row) => sum + row.actual, 0)),
+    },
+  };
+}
+
+// The budget must name an expense category, and a sub-category of it
+const assertBudgetLine = async ({ category, subCategory }) => {
+  const listed = (await categoryService.listCategories({ type: 'Expense' }))
+    .find((entry) => entry.code === category);
+  if (!listed) {
+    throw httpError(`Unknown expense category "${category}"`, 422);
+  }
+  if (subCategory && !listed.subCategories.some((sub) => sub.code === subCategory)) {
+    throw httpError(`"${subCategory}" is not a sub-category of "${listed.labelEn}"`, 422);
+  }
+};
+
+/**
+ * Set the budget for a category or sub-category in a year, replacing the
+ * one already set.
+ */
+export async function setBudget({ year, category, subCategory = null, amount, notes = null }, actor) {
+  financialYearService.yearBounds(year);
+  await assertBudgetLine({ category, subCategory });
+
+  const budget = await transaction(async (connection) => {
+    const [row] = await exec(connection,
+      'SELECT * FROM budgets WHERE year = ? AND category = ? AND sub_category = ? FOR UPDATE',
+      [year, category, subCategory || '']
+    );
+    const before = row ? Budget.fromDbRow(row) : null;
+    const after = new Budget({
+      ...before,
+      id: before?.id ?? generateId(),
+      year, category, subCategory,
+      amount: round2(amount),
+      notes,
+      createdBy: before?.createdBy ?? actor?.id,
+    });
+
+    if (before) {
+      await exec(connection, 'UPDATE budgets SET amount = ?, notes = ? WHERE id = ?', [after.amount, after.notes, after.id]);
+    } else {
+      const dbObject = after.toDbObject();
+      const fields = Object.keys(dbObject);
+      await exec(connection,
+        `INSERT INTO budgets (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+        Object.values(dbObject)
+      );
+    }
+    await auditService.record(actor, {
+      entityType: 'Budget', entityId: after.id, action: before ? 'update' : 'create', before, after
+    }, connection);
+    return after;
+  });
+
+  logger.info('Budget set:', { year, category, subCategory, amount: budget.amount, by: actor?.id });
+  return budget;
+}
+
+export async function deleteBudget(id, actor) {
+  const [row] = await query('SELECT * FROM budgets WHERE id = ?', [id]);
+  if (!row) throw httpError('Budget not found', 404);
+  const budget = Budget.fromDbRow(row);
+
+  await transaction(async (connection) => {
+    await exec(connection, 'DELETE FROM budgets WHERE id = ?', [id]);
+    await auditService.record(actor, { entityType: 'Budget', entityId: id, action: 'delete', before: budget }, connection);
+  });
+}
+
+/**
+ * The budgets an expense would take (further) over if saved: for a new one
+ * pass the entry; for an edit, the entry as it will be saved and its id as
+ * `excludeId`, so its current amount is not counted twice. Returns one
+ * warning per budget exceeded, the category budget first; none when the
+ * expense adds nothing to a budget's spending.
+ */
+export async function checkExpense({ date, category, subCategory = null, amount }, excludeId = null) {
+  const year = financialYearService.yearFor(date);
+  const budgets = (await loadBudgets(year))
+    .filter((budget) => budget.category === category && (!budget.subCategory || budget.subCategory === subCategory))
+    .sort((a, b) => Number(Boolean(a.subCategory)) - Number(Boolean(b.subCategory)));
+  if (budgets.length === 0) return [];
+
+  const { startDate, endDate } = financialYearService.yearBounds(year);
+  const warnings = [];
+  for (const budget of budgets) {
+    const [spent] = await query(
+      `SELECT COALESCE(SUM(amount), 0) AS total,
+              COALESCE(SUM(CASE WHEN id = ? THEN amount END), 0) AS current
+       FROM transactions
+       WHERE ${SPENT} AND date BETWEEN ? AND ? AND category = ?
+         ${budget.subCategory ? 'AND sub_category = ?' : ''}`,
+      [excludeId, startDate, endDate, category, ...(budget.subCategory ? [budget.subCategory] : [])]
+    );
+    const others = parseFloat(spent.total) - parseFloat(spent.current);
+    const projected = round2(others + Number(amount));
+    if (Number(amount) > parseFloat(spent.current) && projected > budget.amount) {
+      warnings.push({
+        year,
+        category,
+        subCategory: budget.subCategory,
+        budget: budget.amount,
+        spent: round2(others),
+        projected,
+        over: round2(projected - budget.amount),
+      });
+    }
+  }
+  return warnings;
+}
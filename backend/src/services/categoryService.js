@@ -0,0 +1,290 @@
+import { query, transaction } from '../config/db.js';
+import { Category } from '../models/Category.js';
+import { generateId } from '../utils/helpers.js';
+import * as auditService from './auditService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'category-service' });
+
+/**
+ * Donation and expense categories, managed by an Admin.
+ *
+ * A transaction stores a category's code, and a sub-category's code in
+ * sub_category. Codes never change, so renaming a category relabels every
+ * entry filed under it. A category in use cannot be deleted; it is
+ * deactivated instead, which takes it out of the forms while old entries
+ * keep showing its label.
+ *
+ * assertCategory() checks a donation or expense against the list when it is
+ * written: the category and sub-category must exist and be active (an edit
+ * that keeps them may leave a retired one in place), and the category's
+ * RULES must hold.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+// Transaction types whose categories come from this list
+export const CATEGORY_TYPES = ['Donation', 'Expense'];
+
+// Rules a category can carry, with what they mean for its entries
+export const RULES = {
+  perPerson: 'The amount is family members × amount per person, as for Vargani',
+};
+
+const round2 = (value) => Math.round(Number(value) * 100) / 100;
+
+const byOrder = (a, b) => a.sortOrder - b.sortOrder || a.labelEn.localeCompare(b.labelEn);
+
+const loadAll = async (type = null) => {
+  const rows = type
+    ? await query('SELECT * FROM categories WHERE type = ?', [type])
+    : await query('SELECT * FROM categories');
+  return rows.map((row) => Category.fromDbRow(row));
+};
+
+const findById = async (id, connection = null) => {
+  const sql = 'SELECT * FROM categories WHERE id = ?';
+  const [row] = connection ? await exec(connection, sql, [id]) : await query(sql, [id]);
+  return row ? Category.fromDbRow(row) : null;
+};
+
+const getCategory = async (id) => {
+  const category = await findById(id);
+  if (!category) {
+    throw httpError('Category not found', 404);
+  }
+  return category;
+};
+
+// Categories of a type (or of both) in order, each with its sub-categories
+export async function listCategories({ type } = {}) {
+  const all = await loadAll(type);
+  return all
+    .filter((category) => !category.parentId)
+    .sort((a, b) => a.type.localeCompare(b.type) || byOrder(a, b))
+    .map((category) => ({
+      ...category,
+      subCategories: all.filter((sub) => sub.parentId === category.id).sort(byOrder),
+    }));
+}
+
+const assertCodeFree = async (connection, { type, parentId, code }) => {
+  const [taken] = await exec(connection,
+    'SELECT id FROM categories WHERE type = ? AND parent_id <=> ? AND code = ? FOR UPDATE',
+    [type, parentId, code]
+  );
+  if (taken) {
+    throw httpError(`"${code}" already exists${parentId ? ' under this category' : ''}`, 409);
+  }
+};
+
+// Sub-categories take their type from their category and carry no rules
+const assertPlacement = async (connection, { type, parentId, rules }) => {
+  if (!parentId) return type;
+  const parent = await findById(parentId, connection);
+  if (!parent || parent.parentId) {
+    throw httpError('A sub-category must belong to a top-level category', 400);
+  }
+  if (type && type !== parent.type) {
+    throw httpError(`"${parent.code}" is a ${parent.type} category`, 400);
+  }
+  if (rules && Object.keys(rules).length > 0) {
+    throw httpError('Rules apply to a category, not to its sub-categories', 400);
+  }
+  return parent.type;
+};
+
+export async function createCategory(data, actor) {
+  const id = generateId();
+  await transaction(async (connection) => {
+    const parentId = data.parentId || null;
+    const type = await assertPlacement(connection, { ...data, parentId });
+    await assertCodeFree(connection, { type, parentId, code: data.code });
+
+    // New entries go to the end unless placed
+    let sortOrder = data.sortOrder;
+    if (sortOrder === undefined) {
+      const [{ last }] = await exec(connection,
+        'SELECT COALESCE(MAX(sort_order), 0) AS last FROM categories WHERE type = ? AND parent_id <=> ?',
+        [type, parentId]
+      );
+      sortOrder = Number(last) + 1;
+    }
+
+    const category = new Category({ ...data, id, type, parentId, sortOrder });
+    const row = category.toDbObject();
+    const fields = Object.keys(row);
+    await exec(connection,
+      `INSERT INTO categories (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+      Object.values(row)
+    );
+    await auditService.record(actor, { entityType: 'Category', entityId: id, action: 'create', after: category }, connection);
+  });
+
+  logger.info('Category created:', { id, code: data.code, createdBy: actor?.id });
+  return findById(id);
+}
+
+// The code, type and parent stay as they are; labels, order, rules and the
+// active flag can change
+export async function updateCategory(id, changes, actor) {
+  const existing = await getCategory(id);
+  if (existing.parentId && changes.rules && Object.keys(changes.rules).length > 0) {
+    throw httpError('Rules apply to a category, not to its sub-categories', 400);
+  }
+
+  const updated = new Category({ ...existing, ...changes, id });
+  const row = updated.toDbObject();
+  await transaction(async (connection) => {
+    await exec(connection,
+      'UPDATE categories SET label_en = ?, label_mr = ?, active = ?, sort_order = ?, rules = ? WHERE id = ?',
+      [row.label_en, row.label_mr, row.active, row.sort_order, row.rules, id]
+    );
+    await auditService.record(actor, { entityType: 'Category', entityId: id, action: 'update', before: existing, after: updated }, connection);
+  });
+
+  return findById(id);
+}
+
+/**
+ * Put sibling categories (or the sub-categories of one category) in the
+ * order given. Entries not listed keep their place after them.
+ */
+export async function reorderCategories(ids) {
+  const entries = await Promise.all(ids.map((id) => getCategory(id)));
+  const [first] = entries;
+  if (entries.some((entry) => entry.type !== first.type || entry.parentId !== first.parentId)) {
+    throw httpError('Only categories of the same list can be reordered together', 400);
+  }
+
+  await transaction(async (connection) => {
+    for (const [index, id] of ids.entries()) {
+      await exec(connection, 'UPDATE categories SET sort_order = ? WHERE id = ?', [index + 1, id]);
+    }
+    // Anything left out moves behind the ordered ones
+    const placeholders = ids.map(() => '?').join(', ');
+    await exec(connection,
+      `UPDATE categories SET sort_order = sort_order + ?
+       WHERE type = ? AND parent_id <=> ? AND id NOT IN (${placeholders})`,
+      [ids.length, first.type, first.parentId, ...ids]
+    );
+  });
+
+  return listCategories({ type: first.type });
+}
+
+// Entries filed under the category or sub-category, deleted ones included
+// because they can be restored from the trash
+const usageOf = async (category) => {
+  if (!category.parentId) {
+    const [{ count }] = await query(
+      'SELECT COUNT(*) AS count FROM transactions WHERE type = ? AND category = ?',
+      [category.type, category.code]
+    );
+    return Number(count);
+  }
+  const parent = await getCategory(category.parentId);
+  const [{ count }] = await query(
+    'SELECT COUNT(*) AS count FROM transactions WHERE type = ? AND category = ? AND sub_category = ?',
+    [category.type, parent.code, category.code]
+  );
+  return Number(count);
+};
+
+// Only a category nothing is filed under can go; deleting one removes its sub-categories
+export async function deleteCategory(id, actor) {
+  const category = await getCategory(id);
+  const used = await usageOf(category);
+  if (used > 0) {
+    throw httpError(`"${category.labelEn}" is used by ${used} entr${used === 1 ? 'y' : 'ies'}; deactivate it instead`, 409);
+  }
+
+  await transaction(async (connection) => {
+    await exec(connection, 'DELETE FROM categories WHERE id = ?', [id]);
+    await auditService.record(actor, { entityType: 'Category', entityId: id, action: 'delete', before: category }, connection);
+  });
+  logger.info('Category deleted:', { id, code: category.code, deletedBy: actor?.id });
+}
+
+const checkRules = (category, entry) => {
+  if (category.rules.perPerson) {
+    const { familyMembers, amountPerPerson, amount } = entry;
+    if (!familyMembers || !amountPerPerson) {
+      throw httpError(`"${category.labelEn}" needs the number of family members and the amount per person`, 422);
+    }
+    if (round2(familyMembers * amountPerPerson) !== round2(amount)) {
+      throw httpError('The amount must be family members × amount per person', 422);
+    }
+  }
+};
+
+const activeCategory = (all, type, code) => {
+  const category = all.find((c) => !c.parentId && c.code === code);
+  if (!category) {
+    throw httpError(`Unknown ${type.toLowerCase()} category "${code}"`, 422);
+  }
+  if (!category.active) {
+    throw httpError(`"${category.labelEn}" is no longer in use`, 422);
+  }
+  return category;
+};
+
+/**
+ * Throws 422 unless `code` is an active top-level category of `type`. Used
+ * where an entry is filed under a category alone and its sub-category and
+ * figures are filled in later, as for bank statement lines.
+ */
+export async function assertActiveCategory(type, code) {
+  activeCategory(await loadAll(type), type, code);
+}
+
+/**
+ * Throws 422 unless the donation or expense `entry` (for an edit, the entry
+ * as it will be saved) is filed under a category from the list that accepts
+ * it. `existing` is the entry before the edit. Other transaction types are
+ * not checked.
+ */
+export async function assertCategory(entry, existing = null) {
+  if (!CATEGORY_TYPES.includes(entry.type)) return;
+
+  const subCategory = entry.subCategory || null;
+  const moved = !existing
+    || entry.type !== existing.type
+    || entry.category !== existing.category
+    || subCategory !== (existing.subCategory || null);
+  const all = await loadAll(entry.type);
+  const category = moved
+    ? activeCategory(all, entry.type, entry.category)
+    : all.find((c) => !c.parentId && c.code === entry.category);
+
+  if (moved) {
+    const subCategories = all.filter((c) => c.parentId === category.id);
+    if (subCategory) {
+      const sub = subCategories.find((c) => c.code === subCategory);
+      if (!sub) {
+        throw httpError(`"${subCategory}" is not a sub-category of "${category.labelEn}"`, 422);
+      }
+      if (!sub.active) {
+        throw httpError(`"${sub.labelEn}" is no longer in use`, 422);
+      }
+    } else if (subCategories.some((c) => c.active)) {
+      throw httpError(`Choose a sub-category of "${category.labelEn}"`, 422);
+    }
+  }
+
+  // Rules hold for new entries and for edits to the figures they govern
+  const refigured = !existing || ['amount', 'familyMembers', 'amountPerPerson']
+    .some((field) => Number(entry[field] ?? 0) !== Number(existing[field] ?? 0));
+  if (category && (moved || refigured)) {
+    checkRules(category, entry);
+  }
+}
@@ -0,0 +1,207 @@
+import { query, transaction } from '../config/db.js';
+import { Transaction } from '../models/Transaction.js';
+import { RentPenalty } from '../models/RentPenalty.js';
+import { generateId } from '../utils/helpers.js';
+import { toDateOnly, today } from '../utils/dateHelpers.js';
+import * as rentInvoicesService from './rentInvoicesService.js';
+import * as loanScheduleService from './loanScheduleService.js';
+import * as rentPenaltiesService from './rentPenaltiesService.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as financialYearService from './financialYearService.js';
+import * as bankReconciliationService from './bankReconciliationService.js';
+import * as auditService from './auditService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'cheque-service' });
+
+/**
+ * Cheque clearance lifecycle.
+ *
+ * Cheques are recorded as Pending and take effect straight away (rent
+ * invoices are settled, EMIs applied). Clearing one just moves it from
+ * "Cheques Pending Clearance" to the bank in the general ledger; a bounce
+ * undoes everything the payment did: the receipt is reversed in the ledger,
+ * the invoices or EMIs it paid are reopened, a late fee it paid goes back to
+ * Pending, and an optional bounce charge is raised against the tenant.
+ *
+ * `audit` names who made the change ({ actor, context }, see auditService);
+ * the audit entries are written in the same database transaction.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export async function listCheques({ status = 'Pending' } = {}) {
+  const conditions = ["payment_mode = 'Cheque'", 'deleted_at IS NULL'];
+  const params = [];
+  if (status) {
+    conditions.push('clearing_status = ?');
+    params.push(status);
+  }
+
+  const rows = await query(
+    `SELECT * FROM transactions
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY COALESCE(cheque_date, date), created_at`,
+    params
+  );
+  return rows.map(row => Transaction.fromDbRow(row));
+}
+
+// Lock a cheque transaction and check it can still change state
+const lockCheque = async (connection, transactionId, date) => {
+  const rows = await exec(connection, 'SELECT * FROM transactions WHERE id = ? AND deleted_at IS NULL FOR UPDATE', [transactionId]);
+  if (rows.length === 0) throw httpError('Transaction not found', 404);
+
+  const row = rows[0];
+  if (row.payment_mode !== 'Cheque') throw httpError('Only cheque payments go through clearance', 400);
+  if (row.clearing_status === 'Bounced') throw httpError('Cheque has already bounced', 409);
+  if (date < toDateOnly(row.date)) throw httpError('Clearing date cannot be before the payment date', 400);
+  // A previous clearing date is reposted too, so it must also be in an open year
+  await financialYearService.assertDatesOpen(connection, [row.clearing_date, date]);
+  // A cheque matched in a locked bank statement stays as reconciled
+  await bankReconciliationService.assertTransactionUnlocked(connection, transactionId);
+  return row;
+};
+
+const reload = async (connection, transactionId) => {
+  const [row] = await exec(connection, 'SELECT * FROM transactions WHERE id = ?', [transactionId]);
+  return Transaction.fromDbRow(row);
+};
+
+export async function clearCheque(transactionId, { date = today() } = {}, audit = {}) {
+  return transaction(async (connection) => {
+    const row = await lockCheque(connection, transactionId, date);
+    if (row.clearing_status === 'Cleared') throw httpError('Cheque is already cleared', 409);
+
+    await exec(connection,
+      "UPDATE transactions SET clearing_status = 'Cleared', clearing_date = ? WHERE id = ?",
+      [date, transactionId]
+    );
+    await generalLedgerService.syncTransaction(connection, transactionId);
+
+    const cheque = await reload(connection, transactionId);
+    await auditService.record(audit.actor, {
+      entityType: 'Transaction',
+      entityId: transactionId,
+      action: 'update',
+      before: Transaction.fromDbRow(row),
+      after: cheque,
+      context: audit.context,
+    }, connection);
+
+    logger.info({ transactionId, date }, 'Cheque cleared');
+    return cheque;
+  });
+}
+
+/**
+ * Mark a Pending (or already Cleared, if the bank returned it later) cheque
+ * as bounced and reverse its effects. `bounceCharge` raises a ChequeBounce
+ * penalty against the agreement the payment belonged to.
+ */
+export async function bounceCheque(transactionId, { date = today(), reason = null, bounceCharge = 0 } = {}, audit = {}) {
+  const result = await transaction(async (connection) => {
+    const row = await lockCheque(connection, transactionId, date);
+    if (bounceCharge > 0 && !row.agreement_id) {
+      throw httpError('A bounce charge can only be raised for cheques received from a tenant', 400);
+    }
+
+    await exec(connection,
+      "UPDATE transactions SET clearing_status = 'Bounced', clearing_date = ?, bounce_reason = ? WHERE id = ?",
+      [date, reason || null, transactionId]
+    );
+
+    let loan = null;
+    let reopenedInvoiceIds = [];
+    if (row.loan_id) {
+      loan = await loanScheduleService.reverseRepayment(connection, row.loan_id, parseFloat(row.amount));
+    } else if (row.agreement_id && row.type === 'RentIncome') {
+      ({ reopenedInvoiceIds } = await rentInvoicesService.reversePayment(connection, transactionId));
+    }
+
+    if (row.penalty_id) {
+      await exec(connection,
+        "UPDATE rent_penalties SET status = 'Pending', penalty_paid = FALSE, penalty_paid_date = NULL, paid_date = NULL WHERE id = ?",
+        [row.penalty_id]
+      );
+    }
+
+    let penalty = null;
+    if (bounceCharge > 0) {
+      penalty = new RentPenalty({
+        id: generateId(),
+        agreementId: row.agreement_id,
+        reason: 'ChequeBounce',
+        bouncedTransactionId: transactionId,
+        tenantName: row.tenant_name || '',
+        rentAmount: round2(parseFloat(row.amount)),
+        dueDate: date,
+        paidDate: null,
+        penaltyType: 'flat',
+        penaltyRate: 0,
+        penaltyAmount: round2(bounceCharge),
+        penaltyPaid: false,
+        penaltyPaidDate: null,
+        status: 'Pending'
+      });
+      const dbObject = penalty.toDbObject();
+      delete dbObject.created_at;
+      await exec(connection,
+        `INSERT INTO rent_penalties (${Object.keys(dbObject).join(', ')}) VALUES (${Object.keys(dbObject).map(() => '?').join(', ')})`,
+        Object.values(dbObject)
+      );
+      await generalLedgerService.syncPenalty(connection, penalty.id);
+      await auditService.record(audit.actor, {
+        entityType: 'RentPenalty',
+        entityId: penalty.id,
+        action: 'create',
+        after: penalty,
+        context: audit.context,
+      }, connection);
+    }
+
+    await generalLedgerService.syncTransaction(connection, transactionId);
+
+    const cheque = await reload(connection, transactionId);
+    await auditService.record(audit.actor, {
+      entityType: 'Transaction',
+      entityId: transactionId,
+      action: 'update',
+      before: Transaction.fromDbRow(row),
+      after: cheque,
+      context: audit.context,
+    }, connection);
+
+    return {
+      transaction: cheque,
+      reopenedInvoiceIds,
+      loan,
+      bounceCharge: penalty,
+      agreementId: row.agreement_id
+    };
+  });
+
+  const { agreementId, ...outcome } = result;
+  if (agreementId) {
+    await rentPenaltiesService.syncPendingPenalties(agreementId);
+  }
+
+  logger.info({
+    transactionId,
+    date,
+    reopenedInvoices: outcome.reopenedInvoiceIds.length,
+    bounceCharge: outcome.bounceCharge?.penaltyAmount || 0
+  }, 'Cheque bounced');
+  return outcome;
+}
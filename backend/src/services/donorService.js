@@ -0,0 +1,450 @@
+import { query, transaction } from '../config/db.js';
+import { Donor } from '../models/Donor.js';
+import { Transaction } from '../models/Transaction.js';
+import { generateId } from '../utils/helpers.js';
+import { toDateOnly } from '../utils/dateHelpers.js';
+import * as financialYearService from './financialYearService.js';
+import * as auditService from './auditService.js';
+
+/**
+ * Donor master records.
+ *
+ * A donation keeps the donor name and contact it was written with and points
+ * at a donors row through transactions.donor_id. When a donation is recorded
+ * without a chosen donor, resolveDonor() files it under an existing donor
+ * with the same phone and a similar name, or the only donor with the same
+ * name, and otherwise creates one.
+ *
+ * Names are compared by a key that ignores case, punctuation, honorifics and
+ * word order, so "Shri. Patil Ramesh" and "ramesh patil" are the same donor.
+ * findDuplicates() groups donors sharing a phone or with near-identical keys;
+ * merge() moves the donations and attachments of the duplicates onto one
+ * donor and deletes the rest.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Name keys at least this similar (1 = identical) count as the same donor
+export const SIMILARITY_THRESHOLD = 0.85;
+
+// Family members often share a phone, so a shared phone only suggests a
+// duplicate when the names are also close
+const SHARED_PHONE_THRESHOLD = 0.7;
+
+const HONORIFICS = new Set([
+  'shri', 'shree', 'sri', 'smt', 'shrimati', 'sau', 'kum', 'ku', 'km', 'dr', 'mr', 'mrs', 'ms', 'late', 'kai',
+  'श्री', 'श्रीमती', 'सौ', 'कु', 'डॉ', 'कै',
+]);
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+/**
+ * Comparison key for a name: lower case, honorifics and punctuation dropped,
+ * words sorted. 'Shri. R. K. Patil' -> 'k patil r'.
+ */
+export function nameKey(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}\s]/gu, ' ')
+    .split(/\s+/)
+    .filter((word) => word && !HONORIFICS.has(word))
+    .sort()
+    .join(' ');
+}
+
+// The last 10 digits of a phone number, so +91 and leading 0 prefixes match
+export function normalisePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? digits.slice(-10) : digits || null;
+}
+
+const levenshtein = (a, b) => {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// 1 for identical name keys, 0 for nothing in common
+export function similarity(keyA, keyB) {
+  if (!keyA || !keyB) return 0;
+  if (keyA === keyB) return 1;
+  return 1 - levenshtein(keyA, keyB) / Math.max(keyA.length, keyB.length);
+}
+
+const donorRow = (donor) => ({
+  ...donor.toDbObject(),
+  name_key: nameKey(donor.name),
+  phone: normalisePhone(donor.phone),
+  pan: donor.pan ? donor.pan.toUpperCase() : null,
+});
+
+// Donation count and total per donor, bounced cheques and the trash left out
+const GIVING_JOIN = `
+  LEFT JOIN (
+    SELECT donor_id, COUNT(*) AS donation_count, SUM(amount) AS total_given, MAX(date) AS last_donation_date
+    FROM transactions
+    WHERE type = 'Donation' AND deleted_at IS NULL AND clearing_status <> 'Bounced' AND donor_id IS NOT NULL
+    GROUP BY donor_id
+  ) g ON g.donor_id = d.id`;
+
+const withGiving = (row) => ({
+  ...Donor.fromDbRow(row),
+  donationCount: Number(row.donation_count || 0),
+  totalGiven: parseFloat(row.total_given || 0),
+  lastDonationDate: row.last_donation_date ? toDateOnly(row.last_donation_date) : null,
+});
+
+/**
+ * Donors matching `q` by phone digits, PAN or name, best known first; without
+ * `q`, the most recent givers. Used for the list and for autocomplete.
+ */
+export async function listDonors({ q = '', limit = 20 } = {}) {
+  const term = String(q).trim();
+  const conditions = [];
+  const params = [];
+  const digits = term.replace(/\D/g, '');
+
+  if (digits.length >= 3 && digits.length === term.replace(/[\s+-]/g, '').length) {
+    conditions.push('d.phone LIKE ?');
+    params.push(`%${digits.slice(-10)}%`);
+  } else if (term) {
+    const words = nameKey(term).split(' ').filter(Boolean);
+    const wordConditions = words.map(() => 'd.name_key LIKE ?');
+    params.push(...words.map((word) => `%${word}%`));
+    conditions.push(`(${wordConditions.length ? wordConditions.join(' AND ') : 'FALSE'} OR d.pan = ?)`);
+    params.push(term.toUpperCase());
+  }
+
+  const rows = await query(
+    `SELECT d.*, g.donation_count, g.total_given, g.last_donation_date
+     FROM donors d ${GIVING_JOIN}
+     ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+     ORDER BY g.last_donation_date IS NULL, g.last_donation_date DESC, d.name
+     LIMIT ${Number(limit)}`,
+    params
+  );
+  return rows.map(withGiving);
+}
+
+export async function getDonor(id) {
+  const rows = await query('SELECT * FROM donors WHERE id = ?', [id]);
+  if (rows.length === 0) throw httpError('Donor not found', 404);
+  return Donor.fromDbRow(rows[0]);
+}
+
+/**
+ * A donor with lifetime giving: totals by category and by financial year,
+ * and every donation newest first. Bounced cheques are listed but not counted.
+ */
+export async function getProfile(id) {
+  const donor = await getDonor(id);
+  const rows = await query(
+    `SELECT * FROM transactions
+     WHERE donor_id = ? AND type = 'Donation' AND deleted_at IS NULL
+     ORDER BY date DESC, created_at DESC`,
+    [id]
+  );
+  const donations = rows.map((row) => Transaction.fromDbRow(row));
+
+  const byCategory = new Map();
+  const byYear = new Map();
+  let total = 0;
+  let count = 0;
+  for (const donation of donations) {
+    if (donation.clearingStatus === 'Bounced') continue;
+    total += donation.amount;
+    count += 1;
+    const category = byCategory.get(donation.category) || { category: donation.category, total: 0, count: 0 };
+    category.total += donation.amount;
+    category.count += 1;
+    byCategory.set(donation.category, category);
+    const yearLabel = financialYearService.yearFor(donation.date);
+    const year = byYear.get(yearLabel) || { year: yearLabel, total: 0, count: 0 };
+    year.total += donation.amount;
+    year.count += 1;
+    byYear.set(yearLabel, year);
+  }
+
+  const given = donations.filter((donation) => donation.clearingStatus !== 'Bounced');
+  return {
+    donor,
+    summary: {
+      totalGiven: total,
+      donationCount: count,
+      firstDonationDate: given.length ? toDateOnly(given[given.length - 1].date) : null,
+      lastDonationDate: given.length ? toDateOnly(given[0].date) : null,
+    },
+    byCategory: [...byCategory.values()].sort((a, b) => b.total - a.total),
+    byYear: [...byYear.values()].sort((a, b) => b.year.localeCompare(a.year)),
+    donations,
+  };
+}
+
+const insertDonor = async (connection, row) => {
+  const fields = Object.keys(row);
+  await exec(connection,
+    `INSERT INTO donors (${fields.join(', ')}) VALUES (${fields.map(() => '?').join(', ')})`,
+    Object.values(row)
+  );
+};
+
+export async function createDonor(data, actor) {
+  const donor = new Donor({ ...data, id: generateId() });
+  const row = donorRow(donor);
+  await transaction(async (connection) => {
+    await insertDonor(connection, row);
+    await auditService.record(actor, { entityType: 'Donor', entityId: donor.id, action: 'create', after: Donor.fromDbRow(row) }, connection);
+  });
+  return getDonor(donor.id);
+}
+
+export async function updateDonor(id, changes, actor) {
+  const existing = await getDonor(id);
+  const row = donorRow(new Donor({ ...existing, ...changes, id }));
+  await transaction(async (connection) => {
+    await exec(connection,
+      'UPDATE donors SET name = ?, name_key = ?, phone = ?, address = ?, gotra = ?, pan = ? WHERE id = ?',
+      [row.name, row.name_key, row.phone, row.address, row.gotra, row.pan, id]
+    );
+    await auditService.record(actor, { entityType: 'Donor', entityId: id, action: 'update', before: existing, after: Donor.fromDbRow(row) }, connection);
+  });
+  return getDonor(id);
+}
+
+// Give a donor the PAN written on a donation, unless they already have another
+const recordPan = async (connection, donor, pan) => {
+  if (!pan || donor.pan === pan) return;
+  if (donor.pan) throw httpError('The donor already has a different PAN on record', 400);
+  await exec(connection, 'UPDATE donors SET pan = ? WHERE id = ?', [pan, donor.id]);
+};
+
+/**
+ * The donor a donation belongs to, inside the caller's transaction. A chosen
+ * `donorId` must exist. Otherwise the donor with the donation's PAN is used;
+ * failing that, a donor with the same phone and a similar name; failing that,
+ * the only donor with the same name (and no phone, when the donation has
+ * one, which the donor is then given); else a new donor is created from the
+ * donation. A donor with a different PAN is never matched, and a donor
+ * without one is given the donation's. Returns null for a donation without a
+ * name.
+ */
+export async function resolveDonor(connection, { donorId, donorName, donorContact, donorPan }) {
+  const pan = donorPan ? String(donorPan).trim().toUpperCase() : null;
+  if (donorId) {
+    const rows = await exec(connection, 'SELECT id, pan FROM donors WHERE id = ?', [donorId]);
+    if (rows.length === 0) throw httpError('Donor not found', 400);
+    await recordPan(connection, rows[0], pan);
+    return donorId;
+  }
+  const key = nameKey(donorName);
+  if (!key) return null;
+  const phone = normalisePhone(donorContact);
+
+  if (pan) {
+    const samePan = await exec(connection, 'SELECT id FROM donors WHERE pan = ?', [pan]);
+    if (samePan.length > 0) return samePan[0].id;
+  }
+
+  if (phone) {
+    const samePhone = await exec(connection, 'SELECT id, name_key, pan FROM donors WHERE phone = ?', [phone]);
+    const match = samePhone
+      .filter((row) => !pan || !row.pan)
+      .map((row) => ({ id: row.id, pan: row.pan, score: similarity(key, row.name_key) }))
+      .filter((row) => row.score >= SIMILARITY_THRESHOLD)
+      .sort((a, b) => b.score - a.score)[0];
+    if (match) {
+      await recordPan(connection, match, pan);
+      return match.id;
+    }
+  }
+
+  const conditions = ['name_key = ?'];
+  if (phone) conditions.push('phone IS NULL');
+  if (pan) conditions.push('pan IS NULL');
+  const sameName = await exec(connection, `SELECT id FROM donors WHERE ${conditions.join(' AND ')}`, [key]);
+  if (sameName.length === 1) {
+    if (phone) await exec(connection, 'UPDATE donors SET phone = ? WHERE id = ?', [phone, sameName[0].id]);
+    if (pan) await exec(connection, 'UPDATE donors SET pan = ? WHERE id = ?', [pan, sameName[0].id]);
+    return sameName[0].id;
+  }
+
+  const row = donorRow(new Donor({ id: generateId(), name: donorName.trim(), phone, pan }));
+  await insertDonor(connection, row);
+  return row.id;
+}
+
+/**
+ * Groups of donors that look like the same person: a shared phone with
+ * similar names, or near-identical names. Each group lists its donors with
+ * their giving, best known first, so the first is the natural merge target.
+ */
+export async function findDuplicates() {
+  const rows = await query(`SELECT d.*, g.donation_count, g.total_given, g.last_donation_date FROM donors d ${GIVING_JOIN}`);
+  const donors = rows.map((row) => ({ ...withGiving(row), nameKey: row.name_key }));
+
+  // Union-find over matching pairs
+  const parent = donors.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const sharedPhone = new Set();
+  const join = (i, j) => {
+    parent[find(j)] = find(i);
+  };
+
+  // Only donors sharing a word are compared, which keeps this well short of
+  // every pair
+  const buckets = new Map();
+  donors.forEach((donor, i) => {
+    for (const word of new Set(donor.nameKey.split(' '))) {
+      if (!buckets.has(word)) buckets.set(word, []);
+      buckets.get(word).push(i);
+    }
+    if (donor.phone) {
+      const phoneBucket = `#${donor.phone}`;
+      if (!buckets.has(phoneBucket)) buckets.set(phoneBucket, []);
+      buckets.get(phoneBucket).push(i);
+    }
+  });
+
+  const compared = new Set();
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const [i, j] = [members[x], members[y]];
+        const pair = `${i}:${j}`;
+        if (compared.has(pair)) continue;
+        compared.add(pair);
+        const [a, b] = [donors[i], donors[j]];
+        const score = similarity(a.nameKey, b.nameKey);
+        if (a.phone && a.phone === b.phone && score >= SHARED_PHONE_THRESHOLD) {
+          join(i, j);
+          sharedPhone.add(i).add(j);
+        } else if (score >= SIMILARITY_THRESHOLD && (!a.phone || !b.phone)) {
+          join(i, j);
+        }
+      }
+    }
+  }
+
+  const groups = new Map();
+  donors.forEach((donor, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, { reason: 'name', donors: [] });
+    const group = groups.get(root);
+    if (sharedPhone.has(i)) group.reason = 'phone';
+    const { nameKey: _key, ...plain } = donor;
+    group.donors.push(plain);
+  });
+
+  return [...groups.values()]
+    .filter((group) => group.donors.length > 1)
+    .map((group) => ({
+      ...group,
+      donors: group.donors.sort((a, b) => b.donationCount - a.donationCount || b.totalGiven - a.totalGiven),
+    }));
+}
+
+/**
+ * Merge `sourceIds` into `targetId`: their donations move to the target, any
+ * detail the target lacks is taken from them, and they are deleted.
+ */
+export async function merge(targetId, sourceIds, actor) {
+  const sources = [...new Set(sourceIds)].filter((id) => id !== targetId);
+  if (sources.length === 0) throw httpError('Choose at least one other donor to merge', 400);
+
+  await transaction(async (connection) => {
+    const ids = [targetId, ...sources];
+    const rows = await exec(connection,
+      `SELECT * FROM donors WHERE id IN (${ids.map(() => '?').join(', ')}) FOR UPDATE`,
+      ids
+    );
+    const target = rows.find((row) => row.id === targetId);
+    if (!target) throw httpError('Donor not found', 404);
+    if (rows.length !== ids.length) throw httpError('Some of the donors to merge no longer exist', 404);
+
+    const before = Donor.fromDbRow(target);
+    const merged = Donor.fromDbRow(target);
+    for (const source of rows.filter((row) => row.id !== targetId)) {
+      for (const field of ['phone', 'address', 'gotra', 'pan']) {
+        if (!merged[field] && source[field]) merged[field] = source[field];
+      }
+    }
+
+    const placeholders = sources.map(() => '?').join(', ');
+    const moved = await exec(connection,
+      `UPDATE transactions SET donor_id = ? WHERE donor_id IN (${placeholders})`,
+      [targetId, ...sources]
+    );
+    await exec(connection,
+      'UPDATE donors SET phone = ?, address = ?, gotra = ?, pan = ? WHERE id = ?',
+      [merged.phone || null, merged.address || null, merged.gotra || null, merged.pan || null, targetId]
+    );
+    await exec(connection,
+      `UPDATE uploaded_files SET entity_id = ? WHERE entity_type = 'donor' AND entity_id IN (${placeholders})`,
+      [targetId, ...sources]
+    );
+    await exec(connection, `DELETE FROM donors WHERE id IN (${placeholders})`, sources);
+
+    await auditService.record(actor, {
+      entityType: 'Donor',
+      entityId: targetId,
+      action: 'update',
+      before,
+      after: merged,
+      context: { mergedDonors: sources, donationsMoved: moved.affectedRows },
+    }, connection);
+    for (const source of rows.filter((row) => row.id !== targetId)) {
+      await auditService.record(actor, {
+        entityType: 'Donor',
+        entityId: source.id,
+        action: 'delete',
+        before: Donor.fromDbRow(source),
+        context: { mergedInto: targetId },
+      }, connection);
+    }
+  });
+
+  return getProfile(targetId);
+}
+
+/**
+ * File every donation that has a donor name but no donor (those recorded
+ * before donors existed) under a donor, oldest first, so earlier spellings
+ * decide each new donor's name. Returns how many donations were linked and
+ * how many donors that created.
+ */
+export async function linkUnassignedDonations() {
+  const rows = await query(
+    `SELECT id, donor_name, donor_contact FROM transactions
+     WHERE type = 'Donation' AND donor_id IS NULL AND donor_name IS NOT NULL AND donor_name <> ''
+     ORDER BY date, created_at`
+  );
+  const [{ count: donorsBefore }] = await query('SELECT COUNT(*) AS count FROM donors');
+  let linked = 0;
+  for (const row of rows) {
+    await transaction(async (connection) => {
+      const donorId = await resolveDonor(connection, { donorName: row.donor_name, donorContact: row.donor_contact });
+      if (!donorId) return;
+      await exec(connection, 'UPDATE transactions SET donor_id = ? WHERE id = ? AND donor_id IS NULL', [donorId, row.id]);
+      linked += 1;
+    });
+  }
+  const [{ count: donorsAfter }] = await query('SELECT COUNT(*) AS count FROM donors');
+  return { linked, created: Number(donorsAfter) - Number(donorsBefore) };
+}
@@ -0,0 +1,358 @@
+import { query, transaction } from '../config/db.js';
+import { FinancialYear } from '../models/FinancialYear.js';
+import { FinancialYearBalance } from '../models/FinancialYearBalance.js';
+import { FinancialYearEvent } from '../models/FinancialYearEvent.js';
+import { generateId } from '../utils/helpers.js';
+import { toDateOnly, today } from '../utils/dateHelpers.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'financial-year-service' });
+
+/**
+ * Indian financial years (1 April - 31 March) and year-end closing.
+ *
+ * Closing a year locks it: transactions, rent penalties and loans dated
+ * inside it can no longer be created, edited or deleted. Closing also posts
+ * the year's closing entry (income and expenses into the General Fund) and
+ * records the asset, liability and fund balances on 31 March as the next
+ * year's opening balances. Only an Admin can reopen a closed year, and must
+ * give a reason; every close and reopen is kept in financial_year_events.
+ *
+ * Years are closed in order: a year cannot be closed while an earlier year
+ * with ledger activity is open, nor reopened while a later year is closed.
+ */
+
+const YEAR_PATTERN = /^(\d{4})-(\d{2})$/;
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Financial year label for a date: 2024-06-15 -> '2024-25', 2025-02-01 -> '2024-25'.
+ */
+export function yearFor(date) {
+  const [y, m] = toDateOnly(date).split('-').map(Number);
+  const startYear = m >= 4 ? y : y - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+}
+
+/**
+ * First and last day of a financial year label.
+ */
+export function yearBounds(year) {
+  const match = YEAR_PATTERN.exec(year || '');
+  const startYear = match ? Number(match[1]) : NaN;
+  if (!match || Number(match[2]) !== (startYear + 1) % 100) {
+    throw httpError(`Invalid financial year: ${year}`, 400);
+  }
+  return { startDate: `${startYear}-04-01`, endDate: `${startYear + 1}-03-31` };
+}
+
+const shiftYear = (year, by) => {
+  const startYear = Number(year.slice(0, 4)) + by;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Closed years as [{ year, startDate, endDate }]. `connection` is optional
+ * so Sequelize controllers and background jobs can check dates too.
+ */
+export async function getClosedYears(connection = null) {
+  const sql = "SELECT year, start_date, end_date FROM financial_years WHERE status = 'Closed' ORDER BY start_date";
+  const rows = connection ? await exec(connection, sql) : await query(sql);
+  return rows.map(row => ({
+    year: row.year,
+    startDate: toDateOnly(row.start_date),
+    endDate: toDateOnly(row.end_date)
+  }));
+}
+
+/**
+ * The closed year a date falls in, or null.
+ */
+export function closedYearOf(closedYears, date) {
+  if (!date) return null;
+  const day = toDateOnly(date);
+  const match = closedYears.find(y => day >= y.startDate && day <= y.endDate);
+  return match ? match.year : null;
+}
+
+/**
+ * Closed years among those `dates` fall in. The year rows are read with a
+ * shared lock so a close or reopen of the same year waits for the caller's
+ * transaction to commit instead of racing the change it guards.
+ */
+const lockClosedYears = async (connection, dates) => {
+  const years = [...new Set(dates.map(yearFor))];
+  const rows = await exec(
+    connection,
+    `SELECT year, status, start_date, end_date FROM financial_years
+     WHERE year IN (${years.map(() => '?').join(', ')}) LOCK IN SHARE MODE`,
+    years
+  );
+  return rows
+    .filter(row => row.status === 'Closed')
+    .map(row => ({
+      year: row.year,
+      startDate: toDateOnly(row.start_date),
+      endDate: toDateOnly(row.end_date)
+    }));
+};
+
+/**
+ * Reject a change touching any of `dates` (null/undefined are skipped) when
+ * one of them falls in a closed year. Update routes pass both the stored and
+ * the new date so an entry can neither leave nor enter a closed year.
+ *
+ * Inside a transaction the years checked stay locked until it ends.
+ */
+export async function assertDatesOpen(connection, dates) {
+  const present = dates.filter(Boolean);
+  if (present.length === 0) return;
+
+  const closedYears = connection
+    ? await lockClosedYears(connection, present)
+    : await getClosedYears();
+  for (const date of present) {
+    const year = closedYearOf(closedYears, date);
+    if (year) {
+      throw httpError(
+        `Financial year ${year} is closed; entries dated ${toDateOnly(date)} cannot be changed unless an Admin reopens it`,
+        409
+      );
+    }
+  }
+}
+
+/**
+ * assertDatesOpen for a stored transaction, by id; used before deleting it.
+ */
+export async function assertTransactionOpen(connection, transactionId) {
+  const rows = await exec(connection, 'SELECT date FROM transactions WHERE id = ?', [transactionId]);
+  if (rows.length > 0) {
+    await assertDatesOpen(connection, [rows[0].date]);
+  }
+}
+
+const ensureYear = async (connection, year) => {
+  const { startDate, endDate } = yearBounds(year);
+  await exec(connection,
+    'INSERT INTO financial_years (year, start_date, end_date) VALUES (?, ?, ?) ON DUPLICATE KEY UPDATE year = year',
+    [year, startDate, endDate]
+  );
+  const [row] = await exec(connection, 'SELECT * FROM financial_years WHERE year = ? FOR UPDATE', [year]);
+  return row;
+};
+
+const logEvent = async (connection, year, action, reason, userId) => {
+  const event = new FinancialYearEvent({ id: generateId(), year, action, reason, userId });
+  const dbObject = event.toDbObject();
+  await exec(connection,
+    `INSERT INTO financial_year_events (${Object.keys(dbObject).join(', ')}) VALUES (${Object.keys(dbObject).map(() => '?').join(', ')})`,
+    Object.values(dbObject)
+  );
+};
+
+// Earliest dated record in the books, which is where the year list starts
+const earliestActivity = async () => {
+  const [row] = await query(
+    `SELECT LEAST(
+       COALESCE((SELECT MIN(date) FROM transactions), CURDATE()),
+       COALESCE((SELECT MIN(disbursed_date) FROM loans), CURDATE()),
+       COALESCE((SELECT MIN(due_date) FROM rent_penalties), CURDATE()),
+       COALESCE((SELECT MIN(entry_date) FROM journal_entries), CURDATE())
+     ) AS earliest`
+  );
+  return toDateOnly(row.earliest);
+};
+
+/**
+ * Every year from the first recorded activity to the current one, newest
+ * first, with its status. Years never closed have no row yet and show as Open.
+ */
+export async function listYears() {
+  const rows = await query('SELECT * FROM financial_years ORDER BY start_date');
+  const stored = new Map(rows.map(row => [row.year, FinancialYear.fromDbRow(row)]));
+
+  const first = [yearFor(await earliestActivity()), ...stored.keys()].sort()[0];
+  const last = yearFor(today());
+  const years = [];
+  for (let year = first; year <= last; year = shiftYear(year, 1)) {
+    years.push(stored.get(year) || new FinancialYear({ year, ...yearBounds(year), status: 'Open' }));
+  }
+  // A closed year's opening-balance row for the following year may lie ahead of today
+  for (const [year, financialYear] of stored) {
+    if (year > last) years.push(financialYear);
+  }
+  return years.reverse();
+}
+
+/**
+ * One year with its opening balances, the income/expense totals recorded in
+ * it so far, and its close/reopen history.
+ */
+export async function getYear(year) {
+  const bounds = yearBounds(year);
+  const [row] = await query('SELECT * FROM financial_years WHERE year = ?', [year]);
+  const financialYear = row
+    ? FinancialYear.fromDbRow(row)
+    : new FinancialYear({ year, ...bounds, status: 'Open' });
+
+  const balanceRows = await query(
+    `SELECT b.*, a.code, a.name, a.type
+     FROM financial_year_balances b
+     JOIN ledger_accounts a ON a.id = b.account_id
+     WHERE b.year = ?
+     ORDER BY a.code`,
+    [year]
+  );
+  const [totals] = await query(
+    `SELECT
+       COALESCE(SUM(CASE WHEN a.type = 'Income' THEN l.credit - l.debit END), 0) AS income,
+       COALESCE(SUM(CASE WHEN a.type = 'Expense' THEN l.debit - l.credit END), 0) AS expenses
+     FROM journal_lines l
+     JOIN journal_entries e ON e.id = l.entry_id
+     JOIN ledger_accounts a ON a.id = l.account_id
+     WHERE e.entry_date BETWEEN ? AND ? AND e.source_type <> 'FinancialYear'`,
+    [bounds.startDate, bounds.endDate]
+  );
+  const eventRows = await query(
+    `SELECT ev.*, u.username
+     FROM financial_year_events ev
+     LEFT JOIN users u ON u.id = ev.user_id
+     WHERE ev.year = ?
+     ORDER BY ev.created_at DESC`,
+    [year]
+  );
+
+  const income = parseFloat(totals.income);
+  const expenses = parseFloat(totals.expenses);
+  return {
+    ...financialYear,
+    income,
+    expenses,
+    surplus: financialYear.surplus ?? Math.round((income - expenses) * 100) / 100,
+    openingBalances: balanceRows.map(b => FinancialYearBalance.fromDbRow(b)),
+    events: eventRows.map(e => ({ ...FinancialYearEvent.fromDbRow(e), username: e.username || null }))
+  };
+}
+
+/**
+ * Close a year that has ended: post its closing entry, carry the balances on
+ * its last day forward as the next year's opening balances, and lock it.
+ */
+export async function closeYear(year, { notes } = {}, userId) {
+  const { startDate, endDate } = yearBounds(year);
+  if (endDate >= today()) {
+    throw httpError(`Financial year ${year} has not ended yet`, 400);
+  }
+  const nextYear = shiftYear(year, 1);
+
+  await transaction(async (connection) => {
+    const row = await ensureYear(connection, year);
+    if (row.status === 'Closed') {
+      throw httpError(`Financial year ${year} is already closed`, 409);
+    }
+
+    // Earlier years must be closed first, unless nothing was ever posted in them
+    const [earlier] = await exec(connection,
+      `SELECT MIN(e.entry_date) AS first_open
+       FROM journal_entries e
+       WHERE e.entry_date < ?
+         AND NOT EXISTS (
+           SELECT 1 FROM financial_years f
+           WHERE f.status = 'Closed' AND e.entry_date BETWEEN f.start_date AND f.end_date
+         )`,
+      [startDate]
+    );
+    if (earlier.first_open) {
+      throw httpError(`Close financial year ${yearFor(earlier.first_open)} before ${year}`, 409);
+    }
+
+    await exec(connection,
+      "UPDATE financial_years SET status = 'Closed', closed_by = ?, closed_at = NOW() WHERE year = ?",
+      [userId || null, year]
+    );
+    await generalLedgerService.syncYearClose(connection, year);
+
+    // The closing entry's General Fund line is the year's surplus (credit) or deficit (debit)
+    const [fundLine] = await exec(connection,
+      `SELECT COALESCE(SUM(l.credit - l.debit), 0) AS surplus
+       FROM journal_lines l
+       JOIN journal_entries e ON e.id = l.entry_id
+       JOIN ledger_accounts a ON a.id = l.account_id
+       WHERE e.source_type = 'FinancialYear' AND e.source_id = ? AND a.code = ?`,
+      [year, generalLedgerService.ACCOUNTS.GENERAL_FUND.code]
+    );
+    await exec(connection, 'UPDATE financial_years SET surplus = ? WHERE year = ?', [fundLine.surplus, year]);
+
+    await ensureYear(connection, nextYear);
+    await exec(connection, 'DELETE FROM financial_year_balances WHERE year = ?', [nextYear]);
+    for (const line of await generalLedgerService.getBalanceSheetBalances(connection, endDate)) {
+      const balance = new FinancialYearBalance({
+        id: generateId(),
+        year: nextYear,
+        accountId: line.account.id,
+        debit: line.debit,
+        credit: line.credit
+      });
+      const dbObject = balance.toDbObject();
+      await exec(connection,
+        `INSERT INTO financial_year_balances (${Object.keys(dbObject).join(', ')}) VALUES (${Object.keys(dbObject).map(() => '?').join(', ')})`,
+        Object.values(dbObject)
+      );
+    }
+
+    await logEvent(connection, year, 'Close', notes, userId);
+  });
+
+  logger.info({ year, userId }, 'Financial year closed');
+  return getYear(year);
+}
+
+/**
+ * Reopen a closed year. The closing entry and the opening balances it
+ * carried forward are removed; closing the year again recreates them.
+ */
+export async function reopenYear(year, { reason }, userId) {
+  yearBounds(year);
+  if (!reason || !reason.trim()) {
+    throw httpError('A reason is required to reopen a financial year', 400);
+  }
+  const nextYear = shiftYear(year, 1);
+
+  await transaction(async (connection) => {
+    const [row] = await exec(connection, 'SELECT * FROM financial_years WHERE year = ? FOR UPDATE', [year]);
+    if (!row || row.status !== 'Closed') {
+      throw httpError(`Financial year ${year} is not closed`, 409);
+    }
+
+    const later = await exec(connection,
+      "SELECT year FROM financial_years WHERE status = 'Closed' AND start_date > ? ORDER BY start_date LIMIT 1",
+      [row.start_date]
+    );
+    if (later.length > 0) {
+      throw httpError(`Reopen financial year ${later[0].year} before ${year}`, 409);
+    }
+
+    await exec(connection,
+      "UPDATE financial_years SET status = 'Open', surplus = NULL, closed_by = NULL, closed_at = NULL WHERE year = ?",
+      [year]
+    );
+    await generalLedgerService.syncYearClose(connection, year);
+    await exec(connection, 'DELETE FROM financial_year_balances WHERE year = ?', [nextYear]);
+    await logEvent(connection, year, 'Reopen', reason.trim(), userId);
+  });
+
+  logger.warn({ year, userId, reason }, 'Financial year reopened');
+  return getYear(year);
+}
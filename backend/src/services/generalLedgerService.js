@@ -0,0 +1,615 @@
+import { query, transaction } from '../config/db.js';
+import { LedgerAccount } from '../models/LedgerAccount.js';
+import { JournalEntry } from '../models/JournalEntry.js';
+import { JournalLine } from '../models/JournalLine.js';
+import { generateId } from '../utils/helpers.js';
+import { toDateOnly } from '../utils/dateHelpers.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'general-ledger-service' });
+
+/**
+ * Double-entry general ledger kept underneath the transactions table.
+ *
+ * Every record that moves money (transactions, loans, rent invoices,
+ * late-fee penalties and agreement security deposits) is the "source" of its
+ * journal entries. A closed financial year is a source too: its closing entry
+ * moves the year's income and expenses into the General Fund. The sync* functions derive the balanced entries for one
+ * source from its current row and replace whatever was posted for it before,
+ * so routes call them after every create, update and delete; a source that no
+ * longer exists simply loses its entries.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+export const ACCOUNTS = {
+  CASH: { code: '1000', name: 'Cash in Hand', type: 'Asset' },
+  BANK: { code: '1010', name: 'Bank', type: 'Asset' },
+  CHEQUES_IN_CLEARING: { code: '1020', name: 'Cheques Pending Clearance', type: 'Asset' },
+  TENANT_RECEIVABLES: { code: '1100', name: 'Tenant Receivables', type: 'Asset' },
+  LOANS_RECEIVABLE: { code: '1200', name: 'Loans Receivable', type: 'Asset' },
+  SECURITY_DEPOSITS: { code: '2100', name: 'Security Deposits Held', type: 'Liability' },
+  GENERAL_FUND: { code: '3000', name: 'General Fund', type: 'Equity' },
+  DONATION_INCOME: { code: '4000', name: 'Donation Income', type: 'Income' },
+  RENT_INCOME: { code: '4100', name: 'Rent Income', type: 'Income' },
+  PENALTY_INCOME: { code: '4200', name: 'Late Fee Income', type: 'Income' },
+  LOAN_INTEREST_INCOME: { code: '4300', name: 'Loan Interest Income', type: 'Income' },
+  EXPENSES: { code: '5000', name: 'Expenses', type: 'Expense' }
+};
+
+// Assets and expenses carry debit balances; everything else carries credit balances
+const isDebitNormal = (type) => type === 'Asset' || type === 'Expense';
+
+const EXPENSE_TYPES = ['Expense', 'Utilities', 'Salary'];
+const RECEIPT_TYPES = ['Donation', 'RentIncome'];
+
+/**
+ * Per-category account under a group account, e.g. "4000-ANNADAN" for
+ * donations in the Annadan category.
+ */
+export function categoryAccount(group, category) {
+  const name = String(category || '').trim() || 'General';
+  const slug = name
+    .toUpperCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 50);
+
+  return {
+    code: `${group.code}-${slug || 'GENERAL'}`,
+    name: `${group.name} - ${name}`,
+    type: group.type,
+    parentCode: group.code
+  };
+}
+
+const ensureAccount = async (connection, definition) => {
+  const existing = await exec(connection, 'SELECT id FROM ledger_accounts WHERE code = ?', [definition.code]);
+  if (existing.length > 0) return existing[0].id;
+
+  const account = new LedgerAccount({
+    id: generateId(),
+    isSystem: !definition.parentCode,
+    ...definition
+  });
+  const dbObject = account.toDbObject();
+  const fields = Object.keys(dbObject).join(', ');
+  const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
+  // Two postings may create the same category account concurrently
+  await exec(connection,
+    `INSERT INTO ledger_accounts (${fields}) VALUES (${placeholders}) ON DUPLICATE KEY UPDATE code = code`,
+    Object.values(dbObject)
+  );
+
+  const [row] = await exec(connection, 'SELECT id FROM ledger_accounts WHERE code = ?', [definition.code]);
+  return row.id;
+};
+
+/**
+ * Create the system accounts up front so the chart of accounts is complete
+ * before anything has been posted.
+ */
+export async function seedChartOfAccounts() {
+  await transaction(async (connection) => {
+    for (const definition of Object.values(ACCOUNTS)) {
+      await ensureAccount(connection, definition);
+    }
+  });
+}
+
+const debit = (account, amount) => ({ account, debit: round2(amount), credit: 0 });
+const credit = (account, amount) => ({ account, debit: 0, credit: round2(amount) });
+
+/**
+ * Replace every journal entry posted for a source with `entries`
+ * ([{ date, description, lines: [{ account, debit, credit }] }]).
+ * An empty list just removes what was there.
+ */
+const replaceEntries = async (connection, sourceType, sourceId, entries) => {
+  await exec(connection,
+    'DELETE FROM journal_entries WHERE source_type = ? AND source_id = ?',
+    [sourceType, sourceId]
+  );
+
+  for (const { date, description, lines } of entries) {
+    const postable = lines.filter(line => line.debit > 0 || line.credit > 0);
+    if (postable.length === 0) continue;
+
+    const totalDebit = round2(postable.reduce((sum, line) => sum + line.debit, 0));
+    const totalCredit = round2(postable.reduce((sum, line) => sum + line.credit, 0));
+    if (totalDebit !== totalCredit) {
+      throw new Error(`Unbalanced journal entry for ${sourceType} ${sourceId}: ${totalDebit} != ${totalCredit}`);
+    }
+
+    const entry = new JournalEntry({
+      id: generateId(),
+      entryDate: toDateOnly(date),
+      sourceType,
+      sourceId,
+      description: String(description || sourceType).slice(0, 255)
+    });
+    const entryObject = entry.toDbObject();
+    await exec(connection,
+      `INSERT INTO journal_entries (${Object.keys(entryObject).join(', ')}) VALUES (${Object.keys(entryObject).map(() => '?').join(', ')})`,
+      Object.values(entryObject)
+    );
+
+    for (const line of postable) {
+      const journalLine = new JournalLine({
+        id: generateId(),
+        entryId: entry.id,
+        accountId: await ensureAccount(connection, line.account),
+        debit: line.debit,
+        credit: line.credit
+      });
+      const lineObject = journalLine.toDbObject();
+      await exec(connection,
+        `INSERT INTO journal_lines (${Object.keys(lineObject).join(', ')}) VALUES (${Object.keys(lineObject).map(() => '?').join(', ')})`,
+        Object.values(lineObject)
+      );
+    }
+  }
+};
+
+// Received cheques that went through clearance (or still are in it); a
+// cheque recorded as already Cleared goes straight to the bank
+const inClearing = (row) =>
+  RECEIPT_TYPES.includes(row.type) &&
+  row.payment_mode === 'Cheque' &&
+  (row.clearing_status !== 'Cleared' || !!row.clearing_date);
+
+// Cash stays in hand; UPI, cheques and bank transfers land in the bank
+const cashAccountFor = (row) => {
+  if (inClearing(row)) return ACCOUNTS.CHEQUES_IN_CLEARING;
+  return !row.payment_mode || row.payment_mode === 'Cash' ? ACCOUNTS.CASH : ACCOUNTS.BANK;
+};
+
+const reverseLines = (lines) =>
+  lines.map(line => ({ account: line.account, debit: line.credit, credit: line.debit }));
+
+// Follow-up entries for a cheque: banking it on clearance, or reversing the
+// receipt/payment when it bounced
+const clearingEntries = (row, amount, lines) => {
+  const cheque = row.payment_reference ? `Cheque ${row.payment_reference}` : 'Cheque';
+  if (row.clearing_status === 'Bounced') {
+    return [{
+      date: row.clearing_date || row.date,
+      description: `${cheque} bounced${row.bounce_reason ? `: ${row.bounce_reason}` : ''}`,
+      lines: reverseLines(lines)
+    }];
+  }
+  if (row.clearing_status === 'Cleared' && inClearing(row)) {
+    return [{
+      date: row.clearing_date,
+      description: `${cheque} cleared`,
+      lines: [debit(ACCOUNTS.BANK, amount), credit(ACCOUNTS.CHEQUES_IN_CLEARING, amount)]
+    }];
+  }
+  return [];
+};
+
+// Interest credited the last time a loan repayment was posted, so reposting
+// it (after an edit) keeps its principal/interest split
+const postedInterest = async (connection, transactionId) => {
+  const [row] = await exec(connection,
+    `SELECT COALESCE(SUM(l.credit), 0) AS interest
+     FROM journal_lines l
+     JOIN journal_entries e ON e.id = l.entry_id
+     JOIN ledger_accounts a ON a.id = l.account_id
+     WHERE e.source_type = 'Transaction' AND e.source_id = ? AND a.code = ?`,
+    [transactionId, ACCOUNTS.LOAN_INTEREST_INCOME.code]
+  );
+  return parseFloat(row.interest);
+};
+
+// What a RentIncome receipt settles: loan principal and interest, tenant
+// dues (rent invoices and penalties are accrued to receivables), or plain rent
+const receiptCredits = async (connection, row, amount, allocations) => {
+  if (row.loan_id) {
+    const interest = round2(Math.min(amount, allocations
+      ? allocations.reduce((sum, a) => sum + a.interest, 0)
+      : await postedInterest(connection, row.id)));
+    return [
+      credit(ACCOUNTS.LOANS_RECEIVABLE, amount - interest),
+      credit(ACCOUNTS.LOAN_INTEREST_INCOME, interest)
+    ];
+  }
+  if (row.penalty_id || row.agreement_id) {
+    return [credit(ACCOUNTS.TENANT_RECEIVABLES, amount)];
+  }
+  return [credit(ACCOUNTS.RENT_INCOME, amount)];
+};
+
+// A payment keeps its agreement, loan and penalty ids while they are in the
+// trash, but posts as it would once they were purged and the links cleared
+const detachTrashedLinks = async (connection, row) => {
+  const detached = { ...row };
+  for (const [column, table] of [['agreement_id', 'agreements'], ['loan_id', 'loans'], ['penalty_id', 'rent_penalties']]) {
+    if (!row[column]) continue;
+    const live = await exec(connection, `SELECT id FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [row[column]]);
+    if (live.length === 0) detached[column] = null;
+  }
+  return detached;
+};
+
+/**
+ * Post (or remove) the entries for a row of the transactions table.
+ * `allocations` from loan repayment posting splits EMI receipts into
+ * principal and interest. Cheques additionally get their clearance or
+ * bounce reversal posted on the clearing date.
+ */
+export async function syncTransaction(connection, transactionId, { allocations = null } = {}) {
+  const rows = await exec(connection, 'SELECT * FROM transactions WHERE id = ? AND deleted_at IS NULL', [transactionId]);
+  if (rows.length === 0) return replaceEntries(connection, 'Transaction', transactionId, []);
+
+  const row = await detachTrashedLinks(connection, rows[0]);
+  const amount = round2(parseFloat(row.amount));
+  const cash = cashAccountFor(row);
+  let lines;
+
+  if (row.type === 'Donation') {
+    lines = [debit(cash, amount), credit(categoryAccount(ACCOUNTS.DONATION_INCOME, row.category), amount)];
+  } else if (EXPENSE_TYPES.includes(row.type)) {
+    lines = [debit(categoryAccount(ACCOUNTS.EXPENSES, row.category), amount), credit(cash, amount)];
+  } else if (row.type === 'RentIncome') {
+    lines = [debit(cash, amount), ...await receiptCredits(connection, row, amount, allocations)];
+  } else {
+    throw new Error(`No ledger posting rule for transaction type ${row.type}`);
+  }
+
+  return replaceEntries(connection, 'Transaction', transactionId, [
+    { date: row.date, description: row.description, lines },
+    ...clearingEntries(row, amount, lines)
+  ]);
+}
+
+export async function syncLoan(connection, loanId) {
+  const rows = await exec(connection, 'SELECT * FROM loans WHERE id = ? AND deleted_at IS NULL', [loanId]);
+  if (rows.length === 0) return replaceEntries(connection, 'Loan', loanId, []);
+
+  const loan = rows[0];
+  const amount = round2(parseFloat(loan.loan_amount));
+  return replaceEntries(connection, 'Loan', loanId, [{
+    date: loan.disbursed_date,
+    description: `Loan disbursed to ${loan.tenant_name}`,
+    lines: [debit(ACCOUNTS.LOANS_RECEIVABLE, amount), credit(ACCOUNTS.CASH, amount)]
+  }]);
+}
+
+export async function syncRentInvoice(connection, invoiceId) {
+  // Invoices go with their agreement
+  const rows = await exec(connection,
+    `SELECT i.* FROM rent_invoices i
+     JOIN agreements a ON i.agreement_id = a.id AND a.deleted_at IS NULL
+     WHERE i.id = ?`,
+    [invoiceId]
+  );
+  if (rows.length === 0) return replaceEntries(connection, 'RentInvoice', invoiceId, []);
+
+  const invoice = rows[0];
+  const amount = round2(parseFloat(invoice.amount));
+  return replaceEntries(connection, 'RentInvoice', invoiceId, [{
+    date: invoice.due_date,
+    description: `Rent for ${invoice.period}`,
+    lines: [debit(ACCOUNTS.TENANT_RECEIVABLES, amount), credit(ACCOUNTS.RENT_INCOME, amount)]
+  }]);
+}
+
+export async function syncPenalty(connection, penaltyId) {
+  const rows = await exec(connection, 'SELECT * FROM rent_penalties WHERE id = ? AND deleted_at IS NULL', [penaltyId]);
+  if (rows.length === 0) return replaceEntries(connection, 'RentPenalty', penaltyId, []);
+
+  const penalty = rows[0];
+  const amount = round2(parseFloat(penalty.penalty_amount));
+  return replaceEntries(connection, 'RentPenalty', penaltyId, [{
+    date: penalty.created_at || penalty.due_date,
+    description: penalty.reason === 'ChequeBounce'
+      ? `Cheque bounce charge for ${penalty.tenant_name}`
+      : `Late fee for ${penalty.tenant_name} (rent due ${toDateOnly(penalty.due_date)})`,
+    lines: [debit(ACCOUNTS.TENANT_RECEIVABLES, amount), credit(ACCOUNTS.PENALTY_INCOME, amount)]
+  }]);
+}
+
+export async function syncAgreement(connection, agreementId) {
+  const rows = await exec(connection, 'SELECT * FROM agreements WHERE id = ? AND deleted_at IS NULL', [agreementId]);
+  if (rows.length === 0) return replaceEntries(connection, 'Agreement', agreementId, []);
+
+  const agreement = rows[0];
+  const amount = round2(parseFloat(agreement.security_deposit) || 0);
+  return replaceEntries(connection, 'Agreement', agreementId, [{
+    date: agreement.agreement_date,
+    description: 'Security deposit received',
+    lines: [debit(ACCOUNTS.CASH, amount), credit(ACCOUNTS.SECURITY_DEPOSITS, amount)]
+  }]);
+}
+
+/**
+ * Closing entry for a financial year ('2024-25'): every income and expense
+ * account's activity within the year is reversed on the last day of the year
+ * and the difference lands in the General Fund. Years that are not closed
+ * (or have been reopened) have no closing entry.
+ */
+export async function syncYearClose(connection, year) {
+  const rows = await exec(connection,
+    "SELECT * FROM financial_years WHERE year = ? AND status = 'Closed'",
+    [year]
+  );
+  if (rows.length === 0) return replaceEntries(connection, 'FinancialYear', year, []);
+
+  const { start_date: startDate, end_date: endDate } = rows[0];
+  const totals = await exec(connection,
+    `SELECT a.code, a.name, a.type, a.parent_code,
+            COALESCE(SUM(l.debit), 0) AS total_debit, COALESCE(SUM(l.credit), 0) AS total_credit
+     FROM journal_lines l
+     JOIN journal_entries e ON e.id = l.entry_id
+     JOIN ledger_accounts a ON a.id = l.account_id
+     WHERE a.type IN ('Income', 'Expense')
+       AND e.entry_date BETWEEN ? AND ?
+       AND e.source_type <> 'FinancialYear'
+     GROUP BY a.id, a.code, a.name, a.type, a.parent_code`,
+    [startDate, endDate]
+  );
+
+  const lines = [];
+  let net = 0;
+  for (const row of totals) {
+    const balance = round2(parseFloat(row.total_debit) - parseFloat(row.total_credit));
+    const account = { code: row.code, name: row.name, type: row.type, parentCode: row.parent_code };
+    lines.push(balance > 0 ? credit(account, balance) : debit(account, -balance));
+    net = round2(net + balance);
+  }
+  // A surplus (net credit) is credited to the fund, a deficit debited
+  lines.push(net > 0 ? debit(ACCOUNTS.GENERAL_FUND, net) : credit(ACCOUNTS.GENERAL_FUND, -net));
+
+  return replaceEntries(connection, 'FinancialYear', year, [{
+    date: endDate,
+    description: `Closing entry for financial year ${year}`,
+    lines
+  }]);
+}
+
+// Financial years come last so their closing entries see everything else.
+// `softDelete` sources post nothing while in the trash.
+const SOURCES = {
+  Transaction: { table: 'transactions', softDelete: true, sync: syncTransaction },
+  Loan: { table: 'loans', softDelete: true, sync: syncLoan },
+  RentInvoice: { table: 'rent_invoices', sync: syncRentInvoice },
+  RentPenalty: { table: 'rent_penalties', softDelete: true, sync: syncPenalty },
+  Agreement: { table: 'agreements', softDelete: true, sync: syncAgreement },
+  FinancialYear: { table: 'financial_years', key: 'year', sync: syncYearClose }
+};
+
+/**
+ * Sync one source in its own transaction, for writers that don't go through
+ * a mysql2 connection (the agreements repository, the Sequelize controllers).
+ */
+export async function syncSource(sourceType, sourceId) {
+  return transaction(connection => SOURCES[sourceType].sync(connection, sourceId));
+}
+
+/**
+ * Drop entries whose source row has gone or is in the trash, e.g. penalties
+ * and invoices removed by an agreement's ON DELETE CASCADE.
+ */
+export async function pruneOrphanEntries(connection) {
+  let removed = 0;
+  for (const [sourceType, { table, key = 'id', softDelete }] of Object.entries(SOURCES)) {
+    const result = await exec(connection,
+      `DELETE e FROM journal_entries e
+       LEFT JOIN ${table} s ON s.${key} = e.source_id${softDelete ? ' AND s.deleted_at IS NULL' : ''}
+       WHERE e.source_type = ? AND s.${key} IS NULL`,
+      [sourceType]
+    );
+    removed += result.affectedRows;
+  }
+  return removed;
+}
+
+/**
+ * Repost every source from scratch. Used to backfill the journal for data
+ * recorded before the ledger existed.
+ */
+export async function rebuildLedger() {
+  await seedChartOfAccounts();
+  const posted = {};
+
+  for (const [sourceType, { table, key = 'id', softDelete, sync }] of Object.entries(SOURCES)) {
+    const rows = await query(`SELECT ${key} AS id FROM ${table}${softDelete ? ' WHERE deleted_at IS NULL' : ''} ORDER BY ${key}`);
+    await transaction(async (connection) => {
+      for (const { id } of rows) {
+        await sync(connection, id);
+      }
+    });
+    posted[sourceType] = rows.length;
+  }
+
+  const pruned = await transaction(pruneOrphanEntries);
+  logger.info({ posted, pruned }, 'General ledger rebuilt');
+  return { posted, pruned };
+}
+
+const accountBalance = (type, totalDebit, totalCredit) =>
+  round2(isDebitNormal(type) ? totalDebit - totalCredit : totalCredit - totalDebit);
+
+// Runs on `connection` when given, so callers inside a transaction see their own postings
+const accountTotals = async ({ asOf = null, connection = null } = {}) => {
+  const params = [];
+  let dateCondition = '';
+  if (asOf) {
+    dateCondition = 'AND e.entry_date <= ?';
+    params.push(asOf);
+  }
+
+  const sql = `SELECT a.*, COALESCE(SUM(l.debit), 0) AS total_debit, COALESCE(SUM(l.credit), 0) AS total_credit
+     FROM ledger_accounts a
+     LEFT JOIN (
+       journal_lines l JOIN journal_entries e ON e.id = l.entry_id ${dateCondition}
+     ) ON l.account_id = a.id
+     GROUP BY a.id
+     ORDER BY a.code`;
+  return connection ? exec(connection, sql, params) : query(sql, params);
+};
+
+/**
+ * Chart of accounts with each account's balance on its normal side.
+ */
+export async function getChartOfAccounts() {
+  const rows = await accountTotals();
+  return rows.map(row => ({
+    ...LedgerAccount.fromDbRow(row),
+    balance: accountBalance(row.type, parseFloat(row.total_debit), parseFloat(row.total_credit))
+  }));
+}
+
+/**
+ * Balance of one system account (by code) as of a date, on its normal side.
+ */
+export async function getAccountBalance(code, { asOf = null } = {}) {
+  const params = [];
+  let dateCondition = '';
+  if (asOf) {
+    dateCondition = 'AND e.entry_date <= ?';
+    params.push(asOf);
+  }
+  params.push(code);
+  const [row] = await query(
+    `SELECT a.type, COALESCE(SUM(l.debit), 0) AS total_debit, COALESCE(SUM(l.credit), 0) AS total_credit
+     FROM ledger_accounts a
+     LEFT JOIN (
+       journal_lines l JOIN journal_entries e ON e.id = l.entry_id ${dateCondition}
+     ) ON l.account_id = a.id
+     WHERE a.code = ?
+     GROUP BY a.id, a.type`,
+    params
+  );
+  if (!row) return 0;
+  return accountBalance(row.type, parseFloat(row.total_debit), parseFloat(row.total_credit));
+}
+
+/**
+ * Asset, liability and equity balances as of a date, in debit/credit columns.
+ * After a year's closing entry these are the next year's opening balances.
+ */
+export async function getBalanceSheetBalances(connection, asOf) {
+  const rows = await accountTotals({ asOf, connection });
+  return rows
+    .filter(row => ['Asset', 'Liability', 'Equity'].includes(row.type))
+    .map(row => {
+      const net = round2(parseFloat(row.total_debit) - parseFloat(row.total_credit));
+      return {
+        account: LedgerAccount.fromDbRow(row),
+        debit: net > 0 ? net : 0,
+        credit: net < 0 ? -net : 0
+      };
+    })
+    .filter(line => line.debit > 0 || line.credit > 0);
+}
+
+/**
+ * Trial balance as of a date: each account with activity, its net balance
+ * in the debit or credit column, and whether the columns agree.
+ */
+export async function getTrialBalance({ asOf = null } = {}) {
+  const rows = await accountTotals({ asOf });
+  const accounts = [];
+  let totalDebit = 0;
+  let totalCredit = 0;
+
+  for (const row of rows) {
+    const net = round2(parseFloat(row.total_debit) - parseFloat(row.total_credit));
+    if (parseFloat(row.total_debit) === 0 && parseFloat(row.total_credit) === 0) continue;
+
+    const line = {
+      account: LedgerAccount.fromDbRow(row),
+      debit: net > 0 ? net : 0,
+      credit: net < 0 ? -net : 0
+    };
+    totalDebit = round2(totalDebit + line.debit);
+    totalCredit = round2(totalCredit + line.credit);
+    accounts.push(line);
+  }
+
+  return {
+    asOf,
+    accounts,
+    totals: { debit: totalDebit, credit: totalCredit },
+    balanced: totalDebit === totalCredit
+  };
+}
+
+/**
+ * Drill-down for one account: its journal lines with a running balance.
+ * Lines before `from` roll up into the opening balance.
+ */
+export async function getAccountLedger(accountId, { from = null, to = null } = {}) {
+  const accounts = await query('SELECT * FROM ledger_accounts WHERE id = ?', [accountId]);
+  if (accounts.length === 0) throw httpError('Account not found', 404);
+  const account = LedgerAccount.fromDbRow(accounts[0]);
+
+  const params = [accountId];
+  let dateCondition = '';
+  if (to) {
+    dateCondition = 'AND e.entry_date <= ?';
+    params.push(to);
+  }
+  const rows = await query(
+    `SELECT e.id AS entry_id, e.entry_date, e.source_type, e.source_id, e.description, l.debit, l.credit
+     FROM journal_lines l
+     JOIN journal_entries e ON e.id = l.entry_id
+     WHERE l.account_id = ? ${dateCondition}
+     ORDER BY e.entry_date, e.created_at, e.id`,
+    params
+  );
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  const entries = [];
+
+  for (const row of rows) {
+    const date = toDateOnly(row.entry_date);
+    const lineDebit = parseFloat(row.debit);
+    const lineCredit = parseFloat(row.credit);
+    balance = round2(balance + accountBalance(account.type, lineDebit, lineCredit));
+
+    if (from && date < from) {
+      openingBalance = balance;
+      continue;
+    }
+
+    totalDebit = round2(totalDebit + lineDebit);
+    totalCredit = round2(totalCredit + lineCredit);
+    entries.push({
+      date,
+      entryId: row.entry_id,
+      sourceType: row.source_type,
+      sourceId: row.source_id,
+      description: row.description,
+      debit: lineDebit,
+      credit: lineCredit,
+      balance
+    });
+  }
+
+  return {
+    account,
+    from,
+    to,
+    openingBalance,
+    entries,
+    totals: { debit: totalDebit, credit: totalCredit },
+    closingBalance: balance
+  };
+}
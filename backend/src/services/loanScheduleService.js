@@ -0,0 +1,381 @@
+import { query, transaction, allocateReceiptNumber } from '../config/db.js';
+import env from '../config/env.js';
+import { LoanInstallment } from '../models/LoanInstallment.js';
+import { Loan } from '../models/Loan.js';
+import { Transaction } from '../models/Transaction.js';
+import { generateId } from '../utils/helpers.js';
+import { addMonths, dayOfMonth, toDateOnly, today } from '../utils/dateHelpers.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as financialYearService from './financialYearService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'loan-schedule-service' });
+
+/**
+ * Loan amortization schedules and EMI repayment posting.
+ *
+ * interest_rate on a loan is a monthly percentage (the rent screen defaults
+ * it to 1% per month). Installments fall due monthly from the disbursed date
+ * and each carries its principal/interest split; repayments are applied to
+ * the oldest unpaid installment first, interest before principal.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * EMI = [P × R × (1+R)^N] / [(1+R)^N - 1], rounded to whole rupees the same
+ * way the rent management screen shows it.
+ */
+export function calculateEmi(principal, monthlyRate, months) {
+  if (!principal || !months) return 0;
+  const r = monthlyRate / 100;
+  if (r === 0) return Math.round(principal / months);
+  const factor = Math.pow(1 + r, months);
+  return Math.round((principal * r * factor) / (factor - 1));
+}
+
+/**
+ * Full schedule for a loan. The last installment absorbs the rounding so
+ * the closing balance ends at exactly zero.
+ */
+export function buildAmortizationSchedule({ loanAmount, interestRate, loanDuration, disbursedDate }) {
+  const principal = round2(Number(loanAmount));
+  const months = Number(loanDuration);
+  const r = Number(interestRate) / 100;
+  const monthlyEmi = calculateEmi(principal, Number(interestRate), months);
+  const anchorDay = dayOfMonth(disbursedDate);
+  const installments = [];
+
+  let balance = principal;
+  for (let n = 1; n <= months; n++) {
+    const interest = round2(balance * r);
+    const isLast = n === months;
+    const principalComponent = isLast
+      ? balance
+      : round2(Math.min(balance, monthlyEmi - interest));
+    const closingBalance = round2(balance - principalComponent);
+
+    installments.push({
+      installmentNumber: n,
+      dueDate: addMonths(disbursedDate, n, anchorDay),
+      openingBalance: balance,
+      emiAmount: round2(principalComponent + interest),
+      principalComponent,
+      interestComponent: interest,
+      closingBalance
+    });
+    balance = closingBalance;
+  }
+
+  return { monthlyEmi, installments };
+}
+
+const installmentStatus = (emiAmount, amountPaid) => {
+  if (amountPaid <= 0) return 'Pending';
+  return amountPaid >= emiAmount ? 'Paid' : 'Partial';
+};
+
+// Principal actually repaid on an installment (payments cover interest first)
+const principalPaid = (installment) =>
+  Math.min(
+    parseFloat(installment.principal_component),
+    Math.max(0, parseFloat(installment.amount_paid) - parseFloat(installment.interest_component))
+  );
+
+const countMissed = (installments, asOf) =>
+  installments.filter(i => i.status !== 'Paid' && toDateOnly(i.due_date) < asOf).length;
+
+/**
+ * Loan status implied by its installments: Completed once all are paid,
+ * Defaulted while LOAN_DEFAULT_MISSED_INSTALLMENTS or more are overdue.
+ */
+export function deriveLoanStatus(installments, asOf = today()) {
+  if (installments.length > 0 && installments.every(i => i.status === 'Paid')) {
+    return 'Completed';
+  }
+  return countMissed(installments, asOf) >= env.LOAN_DEFAULT_MISSED_INSTALLMENTS
+    ? 'Defaulted'
+    : 'Active';
+}
+
+/**
+ * Persist the schedule for a freshly created loan. Runs inside the caller's
+ * transaction.
+ */
+export async function createSchedule(connection, loan) {
+  const { installments } = buildAmortizationSchedule(loan);
+
+  for (const data of installments) {
+    const installment = new LoanInstallment({ id: generateId(), loanId: loan.id, ...data });
+    const dbObject = installment.toDbObject();
+    const fields = Object.keys(dbObject).join(', ');
+    const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
+    await exec(connection,
+      `INSERT INTO loan_installments (${fields}) VALUES (${placeholders})`,
+      Object.values(dbObject)
+    );
+  }
+
+  return installments;
+}
+
+// Apply an amount to the oldest unpaid installments; returns the split
+const allocateToInstallments = async (connection, installments, amount, date) => {
+  const allocations = [];
+  let remaining = round2(amount);
+
+  for (const installment of installments) {
+    if (remaining <= 0) break;
+    const emiAmount = parseFloat(installment.emi_amount);
+    const alreadyPaid = parseFloat(installment.amount_paid);
+    const due = round2(emiAmount - alreadyPaid);
+    if (due <= 0) continue;
+
+    const take = round2(Math.min(due, remaining));
+    const interestDue = Math.max(0, round2(parseFloat(installment.interest_component) - alreadyPaid));
+    const interest = round2(Math.min(take, interestDue));
+    const amountPaid = round2(alreadyPaid + take);
+    const status = installmentStatus(emiAmount, amountPaid);
+
+    await exec(connection,
+      'UPDATE loan_installments SET amount_paid = ?, status = ?, paid_date = ? WHERE id = ?',
+      [amountPaid, status, status === 'Paid' ? date : null, installment.id]
+    );
+    installment.amount_paid = amountPaid;
+    installment.status = status;
+
+    allocations.push({
+      installmentNumber: installment.installment_number,
+      dueDate: toDateOnly(installment.due_date),
+      amount: take,
+      interest,
+      principal: round2(take - interest)
+    });
+    remaining = round2(remaining - take);
+  }
+
+  return allocations;
+};
+
+const lockInstallments = (connection, loanId) =>
+  exec(connection,
+    'SELECT * FROM loan_installments WHERE loan_id = ? ORDER BY installment_number FOR UPDATE',
+    [loanId]
+  );
+
+// Loans created before schedules existed get one on first use, with what
+// they had already repaid applied to it
+const ensureSchedule = async (connection, loanRow) => {
+  let installments = await lockInstallments(connection, loanRow.id);
+  if (installments.length > 0) return installments;
+
+  await createSchedule(connection, {
+    id: loanRow.id,
+    loanAmount: loanRow.loan_amount,
+    interestRate: loanRow.interest_rate,
+    loanDuration: loanRow.loan_duration,
+    disbursedDate: toDateOnly(loanRow.disbursed_date)
+  });
+  installments = await lockInstallments(connection, loanRow.id);
+
+  const repaid = parseFloat(loanRow.total_repaid) || 0;
+  if (repaid > 0) {
+    await allocateToInstallments(connection, installments, repaid,
+      toDateOnly(loanRow.last_payment_date) || today());
+  }
+  return installments;
+};
+
+// Write outstanding_balance, next_emi_date and status back onto the loan
+const refreshLoan = async (connection, loanRow, installments, extra = {}) => {
+  const outstanding = round2(
+    parseFloat(loanRow.loan_amount) -
+      installments.reduce((sum, i) => sum + principalPaid(i), 0)
+  );
+  const nextOpen = installments.find(i => i.status !== 'Paid');
+  const nextEmiDate = toDateOnly((nextOpen || installments[installments.length - 1]).due_date);
+  const status = deriveLoanStatus(installments);
+
+  const sets = ['outstanding_balance = ?', 'next_emi_date = ?', 'status = ?'];
+  const params = [Math.max(0, outstanding), nextEmiDate, status];
+  for (const [column, value] of Object.entries(extra)) {
+    sets.push(`${column} = ?`);
+    params.push(value);
+  }
+
+  await exec(connection, `UPDATE loans SET ${sets.join(', ')} WHERE id = ?`, [...params, loanRow.id]);
+  const [updated] = await exec(connection, 'SELECT * FROM loans WHERE id = ?', [loanRow.id]);
+  return Loan.fromDbRow(updated);
+};
+
+export async function getSchedule(loanId) {
+  const loans = await query('SELECT id FROM loans WHERE id = ? AND deleted_at IS NULL', [loanId]);
+  if (loans.length === 0) throw httpError('Loan not found', 404);
+
+  const rows = await query(
+    'SELECT * FROM loan_installments WHERE loan_id = ? ORDER BY installment_number',
+    [loanId]
+  );
+  return rows.map(row => LoanInstallment.fromDbRow(row));
+}
+
+/**
+ * Record an EMI repayment: books a RentIncome transaction linked to the loan,
+ * applies it to the schedule, posts the principal/interest split to the
+ * general ledger and updates the loan's balances and status.
+ */
+export async function postRepayment(loanId, {
+  amount,
+  date = today(),
+  receiptNumber,
+  description,
+  paymentMode = 'Cash',
+  paymentReference,
+  chequeDate,
+  clearingStatus = 'Cleared'
+} = {}) {
+  return transaction(async (connection) => {
+    const loans = await exec(connection,
+      `SELECT l.*, s.shop_number
+       FROM loans l
+       LEFT JOIN agreements a ON l.agreement_id = a.id
+       LEFT JOIN shops s ON a.shop_id = s.id
+       WHERE l.id = ? AND l.deleted_at IS NULL FOR UPDATE`,
+      [loanId]
+    );
+    if (loans.length === 0) throw httpError('Loan not found', 404);
+
+    const loanRow = loans[0];
+    if (loanRow.status === 'Completed') throw httpError('Loan is already fully repaid', 400);
+    await financialYearService.assertDatesOpen(connection, [date]);
+
+    const installments = await ensureSchedule(connection, loanRow);
+    const totalDue = round2(installments.reduce(
+      (sum, i) => sum + parseFloat(i.emi_amount) - parseFloat(i.amount_paid), 0
+    ));
+    if (round2(amount) > totalDue) {
+      throw httpError(`Repayment exceeds the amount still due (${totalDue})`, 400);
+    }
+
+    // Only a repayment that will be posted takes a receipt number
+    const number = receiptNumber || await allocateReceiptNumber('RentIncome', connection);
+    const payment = new Transaction({
+      id: generateId(),
+      date,
+      type: 'RentIncome',
+      category: 'Loan Repayment',
+      subCategory: 'EMI',
+      description: description || `EMI repayment for loan of ${loanRow.tenant_name}`,
+      amount: round2(amount),
+      receiptNumber: number,
+      tenantName: loanRow.tenant_name,
+      tenantContact: '',
+      agreementId: loanRow.agreement_id,
+      shopNumber: loanRow.shop_number,
+      loanId,
+      emiAmount: round2(amount),
+      paymentMode,
+      paymentReference,
+      chequeDate,
+      clearingStatus,
+      createdAt: new Date().toISOString()
+    });
+    const dbObject = payment.toDbObject();
+    const fields = Object.keys(dbObject).join(', ');
+    const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
+    await exec(connection,
+      `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
+      Object.values(dbObject)
+    );
+
+    const allocations = await allocateToInstallments(connection, installments, amount, date);
+    await generalLedgerService.syncTransaction(connection, payment.id, { allocations });
+    const loan = await refreshLoan(connection, loanRow, installments, {
+      total_repaid: round2(parseFloat(loanRow.total_repaid) + round2(amount)),
+      last_payment_date: date
+    });
+
+    logger.info({ loanId, amount, installments: allocations.length, status: loan.status }, 'Loan repayment posted');
+    return { loan, transaction: payment, allocations };
+  });
+}
+
+/**
+ * Take a repayment back off the schedule, e.g. when its cheque bounced.
+ * Repayments always fill installments oldest first, so removing the amount
+ * from the newest paid installments leaves the schedule exactly as if the
+ * repayment had never been made. Must run inside a transaction.
+ */
+export async function reverseRepayment(connection, loanId, amount) {
+  const loans = await exec(connection, 'SELECT * FROM loans WHERE id = ? FOR UPDATE', [loanId]);
+  if (loans.length === 0) return null;
+
+  const loanRow = loans[0];
+  const installments = await lockInstallments(connection, loanId);
+  let remaining = round2(amount);
+
+  for (const installment of [...installments].reverse()) {
+    if (remaining <= 0) break;
+    const alreadyPaid = parseFloat(installment.amount_paid);
+    if (alreadyPaid <= 0) continue;
+
+    const take = round2(Math.min(alreadyPaid, remaining));
+    const amountPaid = round2(alreadyPaid - take);
+    const status = installmentStatus(parseFloat(installment.emi_amount), amountPaid);
+
+    await exec(connection,
+      'UPDATE loan_installments SET amount_paid = ?, status = ?, paid_date = ? WHERE id = ?',
+      [amountPaid, status, status === 'Paid' ? installment.paid_date : null, installment.id]
+    );
+    installment.amount_paid = amountPaid;
+    installment.status = status;
+    remaining = round2(remaining - take);
+  }
+
+  const loan = await refreshLoan(connection, loanRow, installments, {
+    total_repaid: Math.max(0, round2(parseFloat(loanRow.total_repaid) - round2(amount)))
+  });
+  logger.info({ loanId, amount, status: loan.status }, 'Loan repayment reversed');
+  return loan;
+}
+
+/**
+ * Mark Active loans with too many overdue installments as Defaulted.
+ * Runs from the scheduled rent jobs; repayments that catch up flip the
+ * loan back to Active.
+ */
+export async function markDefaultedLoans({ asOf = today() } = {}) {
+  const threshold = env.LOAN_DEFAULT_MISSED_INSTALLMENTS;
+  const rows = await query(
+    `SELECT l.id, COUNT(*) AS missed
+     FROM loans l
+     JOIN loan_installments i ON i.loan_id = l.id
+     WHERE l.status = 'Active' AND l.deleted_at IS NULL AND i.status <> 'Paid' AND i.due_date < ?
+     GROUP BY l.id
+     HAVING missed >= ?`,
+    [asOf, threshold]
+  );
+
+  const ids = rows.map(row => row.id);
+  if (ids.length > 0) {
+    await query(
+      `UPDATE loans SET status = 'Defaulted' WHERE status = 'Active' AND id IN (${ids.map(() => '?').join(', ')})`,
+      ids
+    );
+  }
+
+  const result = { asOf, threshold, defaulted: ids };
+  logger.info({ asOf, threshold, defaulted: ids.length }, 'Loan default check completed');
+  return result;
+}
@@ -0,0 +1,135 @@
+import { query, transaction } from '../config/db.js';
+import { User } from '../models/User.js';
+import { LoginHistory } from '../models/LoginHistory.js';
+import env from '../config/env.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'login-security-service' });
+
+/**
+ * Account lockout and login history.
+ *
+ * Wrong passwords are counted per account. After LOGIN_MAX_FAILED_ATTEMPTS in
+ * a row the account is locked for LOGIN_LOCKOUT_MINUTES; each further lockout
+ * before a successful sign-in doubles that, up to LOGIN_LOCKOUT_MAX_MINUTES.
+ * A successful sign-in or an Admin unlock clears the counters. While locked,
+ * the password is not even checked, so guessing cannot continue in the
+ * background.
+ *
+ * Every attempt goes into login_history with the client's IP and user agent.
+ * A successful sign-in from a user agent the user has never signed in with
+ * before is flagged as a new device.
+ */
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+/**
+ * Length of the next lockout in minutes, given how many lockouts came before it.
+ */
+export function lockoutMinutes(previousLockouts) {
+  const minutes = env.LOGIN_LOCKOUT_MINUTES * 2 ** previousLockouts;
+  return Math.min(minutes, env.LOGIN_LOCKOUT_MAX_MINUTES);
+}
+
+/**
+ * Count a wrong password. Returns { locked, lockedUntil, attemptsLeft }.
+ * The row is locked while counting so parallel guesses cannot slip past the limit.
+ */
+export async function recordFailedAttempt(userId) {
+  return await transaction(async (connection) => {
+    const [row] = await exec(
+      connection,
+      'SELECT failed_login_attempts, lockout_count FROM users WHERE id = ? FOR UPDATE',
+      [userId]
+    );
+    if (!row) return { locked: false, lockedUntil: null, attemptsLeft: 0 };
+
+    const attempts = row.failed_login_attempts + 1;
+
+    if (attempts < env.LOGIN_MAX_FAILED_ATTEMPTS) {
+      await exec(connection, 'UPDATE users SET failed_login_attempts = ? WHERE id = ?', [attempts, userId]);
+      return { locked: false, lockedUntil: null, attemptsLeft: env.LOGIN_MAX_FAILED_ATTEMPTS - attempts };
+    }
+
+    const minutes = lockoutMinutes(row.lockout_count);
+    const lockedUntil = new Date(Date.now() + minutes * 60 * 1000);
+    await exec(
+      connection,
+      `UPDATE users
+       SET failed_login_attempts = 0, lockout_count = lockout_count + 1, locked_until = ?
+       WHERE id = ?`,
+      [lockedUntil, userId]
+    );
+
+    logger.warn('Account locked after repeated failed logins:', {
+      userId,
+      minutes,
+      lockoutCount: row.lockout_count + 1,
+    });
+
+    return { locked: true, lockedUntil, attemptsLeft: 0 };
+  });
+}
+
+/**
+ * Clear the failure counters after a successful sign-in.
+ */
+export async function recordSuccessfulLogin(userId) {
+  await query(
+    `UPDATE users SET failed_login_attempts = 0, lockout_count = 0, locked_until = NULL
+     WHERE id = ?`,
+    [userId]
+  );
+}
+
+/**
+ * Admin unlock: lift the lockout and reset the counters, so the next lockout
+ * starts again at the base length.
+ */
+export async function unlockUser(userId) {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+
+  await recordSuccessfulLogin(userId);
+  logger.info('Account unlocked:', { userId });
+
+  return await User.findById(userId);
+}
+
+/**
+ * Client details for the history, taken from the request.
+ */
+export function clientInfo(req) {
+  return {
+    ipAddress: req.ip || req.socket?.remoteAddress || null,
+    userAgent: req.get('User-Agent') || null,
+  };
+}
+
+/**
+ * Record a sign-in attempt. History is best-effort: a failure to write it is
+ * logged but never blocks or fails the sign-in itself.
+ */
+export async function logAttempt(req, attempt) {
+  try {
+    return await LoginHistory.record({ ...clientInfo(req), ...attempt });
+  } catch (error) {
+    logger.error('Login attempt not recorded:', { error: error.message, userId: attempt.userId });
+    return null;
+  }
+}
+
+export async function getLoginHistory(userId, limit) {
+  return await LoginHistory.findByUser(userId, limit);
+}
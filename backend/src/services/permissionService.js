@@ -0,0 +1,144 @@
+import { Role } from '../models/Role.js';
+import {
+  ADMIN_ROLE,
+  DEFAULT_ROLE_PERMISSIONS,
+  PERMISSION_GROUPS,
+  PERMISSIONS,
+  SYSTEM_ROLES,
+} from '../config/permissions.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'permission-service' });
+
+/**
+ * Roles and permissions.
+ *
+ * A user's permissions are those of their role (users.role holds the role
+ * name). Admin always has every permission. Other roles, built-in or custom,
+ * get exactly what is stored for them in role_permissions.
+ *
+ * Lookups are cached per role name, because every authorised request needs
+ * one; any change to roles clears the cache.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const cache = new Map();
+
+const clearCache = () => cache.clear();
+
+/**
+ * Create the built-in roles with their default permissions. Roles that
+ * already exist are left alone, so an Admin's changes survive restarts.
+ */
+export async function seedSystemRoles() {
+  for (const name of SYSTEM_ROLES) {
+    if (await Role.findByName(name)) continue;
+    await Role.create({
+      name,
+      permissions: DEFAULT_ROLE_PERMISSIONS[name] || [],
+      isSystem: true,
+    });
+    logger.info('System role created:', { name });
+  }
+  clearCache();
+}
+
+export async function permissionsForRole(roleName) {
+  if (!roleName) return [];
+  if (roleName === ADMIN_ROLE) return [...PERMISSIONS];
+
+  if (!cache.has(roleName)) {
+    const stored = await Role.permissionsFor(roleName);
+    // Ignore grants for permissions that no longer exist
+    cache.set(roleName, stored.filter((permission) => PERMISSIONS.includes(permission)));
+  }
+  return cache.get(roleName);
+}
+
+// True when the user's role holds at least one of the permissions
+export async function hasPermission(user, ...permissions) {
+  if (!user) return false;
+  const granted = await permissionsForRole(user.role);
+  return permissions.some((permission) => granted.includes(permission));
+}
+
+export function catalogue() {
+  return Object.entries(PERMISSION_GROUPS).map(([group, permissions]) => ({
+    group,
+    permissions: Object.entries(permissions).map(([key, description]) => ({ key, description })),
+  }));
+}
+
+const checkPermissions = (permissions) => {
+  const unknown = permissions.filter((permission) => !PERMISSIONS.includes(permission));
+  if (unknown.length) {
+    throw httpError(`Unknown permissions: ${unknown.join(', ')}`, 400);
+  }
+  return [...new Set(permissions)];
+};
+
+/**
+ * Throws 400 unless a role with this name exists. Used before assigning a
+ * role to a user.
+ */
+export async function assertRoleExists(name) {
+  if (!(await Role.findByName(name))) {
+    throw httpError(`Role "${name}" does not exist`, 400);
+  }
+}
+
+export async function listRoles() {
+  const roles = await Role.findAll();
+  return roles.map((role) => ({
+    ...role.toJSON(),
+    permissions: role.name === ADMIN_ROLE ? [...PERMISSIONS] : role.permissions,
+  }));
+}
+
+export async function createRole({ name, description, permissions = [] }) {
+  if (await Role.findByName(name)) {
+    throw httpError(`Role "${name}" already exists`, 409);
+  }
+
+  const role = await Role.create({ name, description, permissions: checkPermissions(permissions) });
+  clearCache();
+  return role.toJSON();
+}
+
+export async function updateRole(id, { description, permissions }) {
+  const role = await Role.findById(id);
+  if (!role) {
+    throw httpError('Role not found', 404);
+  }
+  if (role.name === ADMIN_ROLE && permissions !== undefined) {
+    throw httpError('The Admin role always has every permission', 400);
+  }
+
+  const updated = await Role.update(id, {
+    description,
+    permissions: permissions === undefined ? undefined : checkPermissions(permissions),
+  });
+  clearCache();
+  return updated.toJSON();
+}
+
+export async function deleteRole(id) {
+  const role = await Role.findById(id);
+  if (!role) {
+    throw httpError('Role not found', 404);
+  }
+  if (role.isSystem) {
+    throw httpError('Built-in roles cannot be deleted', 400);
+  }
+  if (role.userCount > 0) {
+    throw httpError(`Role "${role.name}" is still assigned to ${role.userCount} user(s)`, 409);
+  }
+
+  await Role.delete(id);
+  clearCache();
+}
@@ -1,5 +1,7 @@
 import * as agreementsRepo from '../repositories/rentAgreementsRepo.js';
 import { generateId } from '../utils/helpers.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as trashService from './trashService.js';
 
 /**
  * Service layer for rent agreements business logic
@@ -67,6 +69,7 @@ export async function createAgreement(agreementData) {
     };
     
     await agreementsRepo.createAgreement(agreementWithDefaults);
+    await generalLedgerService.syncSource('Agreement', agreementWithDefaults.id);
     
     // Return the created agreement
     return await agreementsRepo.getAgreementById(agreementWithDefaults.id);
@@ -105,6 +108,7 @@ export async function updateAgreement(id, agreementData) {
     }
     
     await agreementsRepo.updateAgreement(id, updateData);
+    await generalLedgerService.syncSource('Agreement', id);
     
     // Return the updated agreement
     return await agreementsRepo.getAgreementById(id);
@@ -114,27 +118,15 @@ export async function updateAgreement(id, agreementData) {
   }
 }
 
-export async function deleteAgreement(id) {
+export async function deleteAgreement(id, actor = null) {
   try {
     if (!id) {
       throw new Error('Agreement ID is required');
     }
     
-    // Check if agreement exists
-    const existingAgreement = await agreementsRepo.getAgreementById(id);
-    if (!existingAgreement) {
-      const error = new Error('Agreement not found');
-      error.statusCode = 404;
-      throw error;
-    }
-    
-    const result = await agreementsRepo.deleteAgreement(id);
-    
-    if (result.affectedRows === 0) {
-      const error = new Error('Agreement not found');
-      error.statusCode = 404;
-      throw error;
-    }
+    // Its loans and penalties go to the trash with it; payments stay,
+    // unlinked, until it is restored
+    await trashService.moveToTrash('Agreement', id, actor);
     
     return { success: true, message: 'Agreement deleted successfully' };
   } catch (error) {
@@ -0,0 +1,342 @@
+import { query, transaction } from '../config/db.js';
+import { RentInvoice } from '../models/RentInvoice.js';
+import { generateId } from '../utils/helpers.js';
+import { addMonths, dayOfMonth, toDateOnly, toPeriod, today } from '../utils/dateHelpers.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'rent-invoices-service' });
+
+/**
+ * Service layer for monthly rent demands (invoices) and their settlement.
+ *
+ * Payments never touch invoices directly: each RentIncome transaction is first
+ * booked as unapplied credit in rent_invoice_payments (invoice_id NULL) and
+ * applyCredit() then moves that credit onto the oldest open invoices. The same
+ * routine runs after new invoices are generated, so advance payments settle
+ * future months automatically.
+ */
+
+// Upper bound on months generated for one agreement in a single run
+const MAX_CATCH_UP_PERIODS = 24;
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const invoiceStatus = (amount, amountPaid) => {
+  if (amountPaid <= 0) return 'Unpaid';
+  return amountPaid >= amount ? 'Paid' : 'Partial';
+};
+
+// Recompute amount_paid/status of an invoice from its allocations
+const refreshInvoice = async (connection, invoiceId) => {
+  const rows = await exec(connection,
+    `SELECT i.amount, COALESCE(SUM(p.amount), 0) AS paid
+     FROM rent_invoices i
+     LEFT JOIN rent_invoice_payments p ON p.invoice_id = i.id
+     WHERE i.id = ?
+     GROUP BY i.id, i.amount`,
+    [invoiceId]
+  );
+  if (rows.length === 0) return;
+
+  const amount = parseFloat(rows[0].amount);
+  const paid = round2(parseFloat(rows[0].paid));
+  await exec(connection,
+    'UPDATE rent_invoices SET amount_paid = ?, status = ? WHERE id = ?',
+    [paid, invoiceStatus(amount, paid), invoiceId]
+  );
+};
+
+/**
+ * Apply an agreement's unapplied credit to its open invoices, oldest first.
+ * Must run inside a transaction; the rows are locked for the duration.
+ */
+export async function applyCredit(connection, agreementId) {
+  const credits = await exec(connection,
+    `SELECT id, transaction_id, amount FROM rent_invoice_payments
+     WHERE agreement_id = ? AND invoice_id IS NULL
+     ORDER BY created_at, id FOR UPDATE`,
+    [agreementId]
+  );
+  if (credits.length === 0) return;
+
+  const invoices = await exec(connection,
+    `SELECT id, amount, amount_paid FROM rent_invoices
+     WHERE agreement_id = ? AND status <> 'Paid'
+     ORDER BY due_date FOR UPDATE`,
+    [agreementId]
+  );
+
+  let c = 0;
+  let creditLeft = parseFloat(credits[0].amount);
+
+  for (const invoice of invoices) {
+    let outstanding = round2(parseFloat(invoice.amount) - parseFloat(invoice.amount_paid));
+
+    while (outstanding > 0 && c < credits.length) {
+      const take = round2(Math.min(creditLeft, outstanding));
+      await exec(connection,
+        'INSERT INTO rent_invoice_payments (id, agreement_id, transaction_id, invoice_id, amount) VALUES (?, ?, ?, ?, ?)',
+        [generateId(), agreementId, credits[c].transaction_id, invoice.id, take]
+      );
+      outstanding = round2(outstanding - take);
+      creditLeft = round2(creditLeft - take);
+
+      if (creditLeft <= 0) {
+        await exec(connection, 'DELETE FROM rent_invoice_payments WHERE id = ?', [credits[c].id]);
+        c++;
+        creditLeft = c < credits.length ? parseFloat(credits[c].amount) : 0;
+      }
+    }
+
+    await refreshInvoice(connection, invoice.id);
+    if (c >= credits.length) break;
+  }
+
+  // Persist whatever is left of a partially consumed credit row
+  if (c < credits.length && creditLeft !== parseFloat(credits[c].amount)) {
+    await exec(connection,
+      'UPDATE rent_invoice_payments SET amount = ? WHERE id = ?',
+      [creditLeft, credits[c].id]
+    );
+  }
+}
+
+/**
+ * Book a RentIncome transaction against the agreement's open invoices.
+ * Returns how the amount was split; anything unallocated stays as credit.
+ */
+export async function settlePayment(connection, { agreementId, transactionId, amount }) {
+  await exec(connection,
+    'INSERT INTO rent_invoice_payments (id, agreement_id, transaction_id, invoice_id, amount) VALUES (?, ?, ?, NULL, ?)',
+    [generateId(), agreementId, transactionId, round2(amount)]
+  );
+  await applyCredit(connection, agreementId);
+
+  const rows = await exec(connection,
+    `SELECT p.invoice_id, p.amount, i.period
+     FROM rent_invoice_payments p
+     LEFT JOIN rent_invoices i ON p.invoice_id = i.id
+     WHERE p.transaction_id = ?`,
+    [transactionId]
+  );
+
+  return {
+    allocations: rows
+      .filter(row => row.invoice_id)
+      .map(row => ({ invoiceId: row.invoice_id, period: row.period, amount: parseFloat(row.amount) })),
+    unallocated: round2(rows
+      .filter(row => !row.invoice_id)
+      .reduce((sum, row) => sum + parseFloat(row.amount), 0))
+  };
+}
+
+/**
+ * Whether a transactions row is a rent payment that settles invoices. Loan
+ * repayments and penalty payments are RentIncome too but settle their own
+ * schedules, and a bounced cheque pays nothing.
+ */
+export const settlesInvoices = (row) => row.type === 'RentIncome' && Boolean(row.agreement_id)
+  && !row.loan_id && !row.penalty_id && row.clearing_status !== 'Bounced';
+
+/**
+ * Undo a payment's settlement (payment deleted or reversed). The invoices it
+ * paid are reopened and any remaining credit is re-applied.
+ */
+export async function reversePayment(connection, transactionId) {
+  const rows = await exec(connection,
+    'SELECT agreement_id, invoice_id FROM rent_invoice_payments WHERE transaction_id = ? FOR UPDATE',
+    [transactionId]
+  );
+  if (rows.length === 0) return { reopenedInvoiceIds: [] };
+
+  await exec(connection, 'DELETE FROM rent_invoice_payments WHERE transaction_id = ?', [transactionId]);
+
+  const invoiceIds = [...new Set(rows.map(row => row.invoice_id).filter(Boolean))];
+  for (const invoiceId of invoiceIds) {
+    await refreshInvoice(connection, invoiceId);
+  }
+  await applyCredit(connection, rows[0].agreement_id);
+
+  return { reopenedInvoiceIds: invoiceIds };
+}
+
+const agreementEndDate = (agreement) =>
+  agreement.duration ? addMonths(agreement.agreement_date, Number(agreement.duration)) : null;
+
+/**
+ * Raise every invoice that has fallen due for one agreement and advance its
+ * next_due_date. Idempotent per agreement+month thanks to the row lock and
+ * the uq_agreement_period key.
+ */
+export async function generateInvoicesForAgreement(agreementId, asOf = today()) {
+  return transaction(async (connection) => {
+    const agreements = await exec(connection,
+      "SELECT * FROM agreements WHERE id = ? AND status = 'Active' AND deleted_at IS NULL FOR UPDATE",
+      [agreementId]
+    );
+    if (agreements.length === 0 || !agreements[0].next_due_date) return [];
+
+    const agreement = agreements[0];
+    const endDate = agreementEndDate(agreement);
+    const startDueDate = toDateOnly(agreement.next_due_date);
+    const anchorDay = dayOfMonth(startDueDate);
+    const created = [];
+
+    let dueDate = startDueDate;
+    for (let i = 0; i < MAX_CATCH_UP_PERIODS && dueDate <= asOf; i++) {
+      if (endDate && dueDate >= endDate) break;
+
+      const period = toPeriod(dueDate);
+      const existing = await exec(connection,
+        'SELECT id FROM rent_invoices WHERE agreement_id = ? AND period = ?',
+        [agreement.id, period]
+      );
+
+      if (existing.length === 0) {
+        const invoice = new RentInvoice({
+          id: generateId(),
+          agreementId: agreement.id,
+          period,
+          dueDate,
+          amount: parseFloat(agreement.monthly_rent),
+          amountPaid: 0,
+          status: 'Unpaid'
+        });
+        const dbObject = invoice.toDbObject();
+        const fields = Object.keys(dbObject).join(', ');
+        const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
+        await exec(connection,
+          `INSERT INTO rent_invoices (${fields}) VALUES (${placeholders})`,
+          Object.values(dbObject)
+        );
+        await generalLedgerService.syncRentInvoice(connection, invoice.id);
+        created.push(invoice);
+      }
+
+      dueDate = addMonths(dueDate, 1, anchorDay);
+    }
+
+    if (dueDate !== startDueDate) {
+      await exec(connection,
+        'UPDATE agreements SET next_due_date = ? WHERE id = ?',
+        [dueDate, agreement.id]
+      );
+    }
+
+    if (created.length > 0) {
+      await applyCredit(connection, agreement.id);
+    }
+
+    return created;
+  });
+}
+
+/**
+ * Generate invoices for every Active agreement that has fallen due.
+ * One agreement failing does not stop the run.
+ */
+export async function generateDueInvoices({ asOf = today() } = {}) {
+  const agreements = await query(
+    "SELECT id FROM agreements WHERE status = 'Active' AND next_due_date <= ? AND deleted_at IS NULL",
+    [asOf]
+  );
+
+  const result = { asOf, agreementsProcessed: 0, invoicesCreated: 0, errors: [] };
+
+  for (const { id } of agreements) {
+    try {
+      const created = await generateInvoicesForAgreement(id, asOf);
+      result.agreementsProcessed++;
+      result.invoicesCreated += created.length;
+    } catch (error) {
+      logger.error({ err: error, agreementId: id }, 'Rent invoice generation failed for agreement');
+      result.errors.push({ agreementId: id, error: error.message });
+    }
+  }
+
+  logger.info(result, 'Rent invoice generation run completed');
+  return result;
+}
+
+export async function listInvoices({ agreementId = null, status = null, period = null } = {}) {
+  // Invoices of an agreement in the trash are hidden with it
+  const conditions = ['a.deleted_at IS NULL'];
+  const params = [];
+
+  if (agreementId) {
+    conditions.push('i.agreement_id = ?');
+    params.push(agreementId);
+  }
+  if (status) {
+    conditions.push('i.status = ?');
+    params.push(status);
+  }
+  if (period) {
+    conditions.push('i.period = ?');
+    params.push(period);
+  }
+
+  const rows = await query(
+    `SELECT i.*, s.id AS shop_id, s.shop_number, t.id AS tenant_id, t.name AS tenant_name
+     FROM rent_invoices i
+     JOIN agreements a ON i.agreement_id = a.id
+     LEFT JOIN shops s ON a.shop_id = s.id
+     LEFT JOIN tenants t ON a.tenant_id = t.id
+     WHERE ${conditions.join(' AND ')}
+     ORDER BY i.due_date DESC, s.shop_number`,
+    params
+  );
+
+  return rows.map(row => ({
+    ...RentInvoice.fromDbRow(row),
+    shopId: row.shop_id,
+    shopNumber: row.shop_number,
+    tenantId: row.tenant_id,
+    tenantName: row.tenant_name
+  }));
+}
+
+/**
+ * Paid / partial / unpaid position per shop across all its invoices.
+ */
+export async function getShopInvoiceSummary() {
+  const rows = await query(
+    `SELECT s.id AS shop_id, s.shop_number,
+            SUM(i.amount) AS total_billed,
+            SUM(i.amount_paid) AS total_paid,
+            SUM(i.status = 'Paid') AS paid_count,
+            SUM(i.status = 'Partial') AS partial_count,
+            SUM(i.status = 'Unpaid') AS unpaid_count,
+            MIN(CASE WHEN i.status <> 'Paid' THEN i.due_date END) AS oldest_open_due_date
+     FROM rent_invoices i
+     JOIN agreements a ON i.agreement_id = a.id
+     JOIN shops s ON a.shop_id = s.id
+     WHERE a.deleted_at IS NULL
+     GROUP BY s.id, s.shop_number
+     ORDER BY s.shop_number`
+  );
+
+  return rows.map(row => {
+    const totalBilled = parseFloat(row.total_billed) || 0;
+    const totalPaid = parseFloat(row.total_paid) || 0;
+    const outstanding = round2(totalBilled - totalPaid);
+    return {
+      shopId: row.shop_id,
+      shopNumber: row.shop_number,
+      totalBilled,
+      totalPaid,
+      outstanding,
+      paidCount: Number(row.paid_count) || 0,
+      partialCount: Number(row.partial_count) || 0,
+      unpaidCount: Number(row.unpaid_count) || 0,
+      oldestOpenDueDate: toDateOnly(row.oldest_open_due_date),
+      status: invoiceStatus(totalBilled, totalPaid)
+    };
+  });
+}
@@ -0,0 +1,205 @@
+import { query, transaction } from '../config/db.js';
+import env from '../config/env.js';
+import { RentPenalty } from '../models/RentPenalty.js';
+import { generateId } from '../utils/helpers.js';
+import { addDays, daysBetween, toDateOnly, today } from '../utils/dateHelpers.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as financialYearService from './financialYearService.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'rent-penalties-service' });
+
+/**
+ * Late-fee penalty engine.
+ *
+ * An agreement's dues are its rent invoices (see rentInvoicesService): once
+ * an invoice is raised next_due_date moves on, so "due date passed without a
+ * matching RentIncome payment" is an invoice that is still not Paid after the
+ * grace period. Each such invoice gets at most one penalty (unique invoice_id);
+ * per_day penalties keep accruing on every run while they are Pending.
+ * Invoices due in a closed financial year are left alone.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+export const PENALTY_MODES = ['flat', 'percentage', 'per_day'];
+
+export function getPenaltyRule(overrides = {}) {
+  return {
+    mode: overrides.mode ?? env.PENALTY_MODE,
+    rate: overrides.rate ?? env.PENALTY_RATE,
+    graceDays: overrides.graceDays ?? env.PENALTY_GRACE_DAYS
+  };
+}
+
+/**
+ * Penalty amount for an unpaid rent amount that is daysLate days past its due
+ * date. Nothing is charged within the grace period, and per_day penalties
+ * count only the days after it.
+ */
+export function calculatePenalty(rule, { rentAmount, daysLate }) {
+  const daysPastGrace = daysLate - (rule.graceDays ?? 0);
+  if (daysPastGrace <= 0) return 0;
+
+  switch (rule.mode) {
+    case 'flat':
+      return round2(rule.rate);
+    case 'percentage':
+      return round2(rentAmount * rule.rate / 100);
+    case 'per_day':
+      return round2(rule.rate * daysPastGrace);
+    default:
+      throw new Error(`Unknown penalty mode: ${rule.mode}`);
+  }
+}
+
+/**
+ * Store the agreement's Pending penalty ids in agreements.pending_penalties.
+ */
+export async function syncPendingPenalties(agreementId) {
+  if (!agreementId) return [];
+
+  const rows = await query(
+    "SELECT id FROM rent_penalties WHERE agreement_id = ? AND status = 'Pending' AND deleted_at IS NULL ORDER BY due_date",
+    [agreementId]
+  );
+  const ids = rows.map(row => row.id);
+
+  await query(
+    'UPDATE agreements SET pending_penalties = ? WHERE id = ?',
+    [ids.length ? JSON.stringify(ids) : null, agreementId]
+  );
+  return ids;
+}
+
+const findOverdueInvoices = async (asOf, graceDays) => {
+  return query(
+    `SELECT i.id, i.agreement_id, i.due_date, i.amount, i.amount_paid,
+            t.name AS tenant_name, p.id AS penalty_id, p.status AS penalty_status,
+            p.penalty_amount AS current_penalty_amount, p.deleted_at AS penalty_deleted_at
+     FROM rent_invoices i
+     JOIN agreements a ON i.agreement_id = a.id
+     LEFT JOIN tenants t ON a.tenant_id = t.id
+     LEFT JOIN rent_penalties p ON p.invoice_id = i.id
+     WHERE i.status <> 'Paid' AND i.due_date < ? AND a.deleted_at IS NULL
+     ORDER BY i.due_date`,
+    [addDays(asOf, -graceDays)]
+  );
+};
+
+/**
+ * Raise (or accrue) late-fee penalties for every overdue invoice as of asOf.
+ * With dryRun nothing is written and the result is a preview of the changes.
+ */
+export async function applyLatePenalties({ asOf = today(), dryRun = false, overrides = {} } = {}) {
+  const rule = getPenaltyRule(overrides);
+  if (!PENALTY_MODES.includes(rule.mode)) {
+    const error = new Error(`Invalid penalty mode: ${rule.mode}`);
+    error.statusCode = 400;
+    throw error;
+  }
+
+  const closedYears = await financialYearService.getClosedYears();
+  const invoices = (await findOverdueInvoices(asOf, rule.graceDays))
+    .filter(invoice => !financialYearService.closedYearOf(closedYears, invoice.due_date));
+  const created = [];
+  const updated = [];
+  const touchedAgreements = new Set();
+
+  for (const invoice of invoices) {
+    const dueDate = toDateOnly(invoice.due_date);
+    const daysLate = daysBetween(dueDate, asOf);
+    const rentAmount = round2(parseFloat(invoice.amount) - parseFloat(invoice.amount_paid));
+    const penaltyAmount = calculatePenalty(rule, { rentAmount, daysLate });
+
+    if (!invoice.penalty_id) {
+      const penalty = new RentPenalty({
+        id: generateId(),
+        agreementId: invoice.agreement_id,
+        invoiceId: invoice.id,
+        tenantName: invoice.tenant_name || '',
+        rentAmount,
+        dueDate,
+        paidDate: null,
+        penaltyType: rule.mode,
+        // flat penalties carry their amount in penalty_amount only
+        penaltyRate: rule.mode === 'flat' ? 0 : rule.rate,
+        penaltyAmount,
+        penaltyPaid: false,
+        penaltyPaidDate: null,
+        status: 'Pending'
+      });
+
+      if (!dryRun) {
+        const dbObject = penalty.toDbObject();
+        delete dbObject.created_at;
+        const fields = Object.keys(dbObject).join(', ');
+        const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
+        try {
+          await transaction(async (connection) => {
+            await connection.execute(
+              `INSERT INTO rent_penalties (${fields}) VALUES (${placeholders})`,
+              Object.values(dbObject)
+            );
+            await generalLedgerService.syncPenalty(connection, penalty.id);
+          });
+        } catch (error) {
+          // Another run raised it first
+          if (error.code === 'ER_DUP_ENTRY') continue;
+          throw error;
+        }
+        touchedAgreements.add(invoice.agreement_id);
+      }
+
+      created.push({ ...penalty, daysLate });
+    } else if (
+      // A penalty in the trash still holds its invoice but stops accruing
+      !invoice.penalty_deleted_at &&
+      rule.mode === 'per_day' &&
+      invoice.penalty_status === 'Pending' &&
+      penaltyAmount !== parseFloat(invoice.current_penalty_amount)
+    ) {
+      if (!dryRun) {
+        await transaction(async (connection) => {
+          await connection.execute(
+            'UPDATE rent_penalties SET penalty_amount = ?, rent_amount = ? WHERE id = ?',
+            [penaltyAmount, rentAmount, invoice.penalty_id]
+          );
+          await generalLedgerService.syncPenalty(connection, invoice.penalty_id);
+        });
+      }
+
+      updated.push({
+        id: invoice.penalty_id,
+        agreementId: invoice.agreement_id,
+        invoiceId: invoice.id,
+        previousAmount: parseFloat(invoice.current_penalty_amount),
+        penaltyAmount,
+        daysLate
+      });
+    }
+  }
+
+  for (const agreementId of touchedAgreements) {
+    await syncPendingPenalties(agreementId);
+  }
+
+  const result = {
+    asOf,
+    dryRun,
+    rule,
+    overdueInvoices: invoices.length,
+    created,
+    updated,
+    totalNewPenalties: round2(created.reduce((sum, p) => sum + p.penaltyAmount, 0))
+  };
+
+  logger.info({
+    asOf,
+    dryRun,
+    created: created.length,
+    updated: updated.length
+  }, 'Late-fee penalty run completed');
+
+  return result;
+}
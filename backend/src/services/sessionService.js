@@ -0,0 +1,52 @@
+import { RefreshToken } from '../models/RefreshToken.js';
+import { User } from '../models/User.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'session-service' });
+
+/**
+ * Signed-in sessions.
+ *
+ * A session is a refresh token family: sign-in starts one, and every refresh
+ * replaces its token with a new one in the same family. The family id is the
+ * session id shown to users, and access tokens carry it as the sid claim, so
+ * revoking a session also stops its access tokens at the next request.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const requireUser = async (userId) => {
+  const user = await User.findById(userId);
+  if (!user) {
+    throw httpError('User not found', 404);
+  }
+  return user;
+};
+
+/**
+ * Active sessions for a user, most recently used first. currentSessionId
+ * marks the caller's own session.
+ */
+export async function listSessions(userId, currentSessionId = null) {
+  await requireUser(userId);
+  const tokens = await RefreshToken.findActiveSessions(userId);
+  return tokens.map((token) => token.toSessionJSON(currentSessionId));
+}
+
+export async function revokeSession(userId, sessionId, revokedBy) {
+  const revoked = await RefreshToken.revokeFamily(userId, sessionId);
+  if (!revoked) {
+    throw httpError('Session not found', 404);
+  }
+  logger.info('Session revoked:', { userId, sessionId, revokedBy });
+}
+
+export async function revokeAllSessions(userId, revokedBy) {
+  await requireUser(userId);
+  await RefreshToken.revokeAllForUser(userId);
+  logger.info('All sessions revoked:', { userId, revokedBy });
+}
@@ -1,4 +1,5 @@
 import * as shopsRepo from '../repositories/shopsRepo.js';
+import * as trashService from './trashService.js';
 import { generateId } from '../utils/helpers.js';
 
 /**
@@ -113,27 +114,14 @@ export async function updateShop(id, shopData) {
   }
 }
 
-export async function deleteShop(id) {
+export async function deleteShop(id, actor = null) {
   try {
     if (!id) {
       throw new Error('Shop ID is required');
     }
     
-    // Check if shop exists
-    const existingShop = await shopsRepo.getShopById(id);
-    if (!existingShop) {
-      const error = new Error('Shop not found');
-      error.statusCode = 404;
-      throw error;
-    }
-    
-    const result = await shopsRepo.deleteShop(id);
-    
-    if (result.affectedRows === 0) {
-      const error = new Error('Shop not found');
-      error.statusCode = 404;
-      throw error;
-    }
+    // Refused while live agreements refer to the shop
+    await trashService.moveToTrash('Shop', id, actor);
     
     return { success: true, message: 'Shop deleted successfully' };
   } catch (error) {
@@ -0,0 +1,188 @@
+import { query } from '../config/db.js';
+import { Transaction } from '../models/Transaction.js';
+import { Donor } from '../models/Donor.js';
+import * as financialYearService from './financialYearService.js';
+import env from '../config/env.js';
+
+/**
+ * Income-tax section 80G: certificates for donors and the Form 10BD return.
+ *
+ * Every donation carries an eligible_80g flag, set when it is written:
+ * donations in the categories named by EXEMPTION_80G_EXCLUDED_CATEGORIES
+ * (government grants, by default) never qualify, and neither does cash above
+ * ₹2,000. The flag is not revisited when the configuration changes; only
+ * donations recorded before it existed are assessed at startup.
+ *
+ * A certificate is only issued for an eligible donation that has cleared,
+ * to a donor with a PAN, by a trust whose own PAN and 80G registration (URN)
+ * are configured. The data is returned here; the PDFs are drawn by the
+ * client like the donation receipts.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// Cash donations above this many rupees do not qualify (section 80G(5D))
+export const CASH_LIMIT = 2000;
+
+// Form 10BD codes: identification by PAN, and the donation type and mode columns
+const ID_CODE_PAN = '1';
+const SECTION_CODE = 'Section 80G';
+const DONATION_TYPE = 'Others';
+const MODE_CASH = 'Cash';
+const MODE_ELECTRONIC = 'Electronic modes including account payee cheque/draft';
+
+// Eligible donations that have cleared and are not in the trash
+const ELIGIBLE = `t.type = 'Donation' AND t.eligible_80g = 1 AND t.clearing_status = 'Cleared' AND t.deleted_at IS NULL`;
+
+/**
+ * Whether a donation qualifies for an 80G certificate.
+ */
+export function isEligible({ category, paymentMode, amount }) {
+  if (env.EXEMPTION_80G_EXCLUDED_CATEGORIES.includes(category)) return false;
+  return !((paymentMode || 'Cash') === 'Cash' && Number(amount) > CASH_LIMIT);
+}
+
+/**
+ * Flags the donations recorded before eligibility was tracked.
+ */
+export async function assessUnflaggedDonations() {
+  const excluded = env.EXEMPTION_80G_EXCLUDED_CATEGORIES;
+  const inExcluded = excluded.length ? `category IN (${excluded.map(() => '?').join(', ')})` : 'FALSE';
+  await query(
+    `UPDATE transactions
+     SET eligible_80g = CASE WHEN ${inExcluded} OR (payment_mode = 'Cash' AND amount > ?) THEN 0 ELSE 1 END
+     WHERE type = 'Donation' AND eligible_80g IS NULL`,
+    [...excluded, CASH_LIMIT]
+  );
+}
+
+// The trust as it appears on a certificate: the receipt letterhead with its PAN and URN
+const issuer = () => {
+  if (!env.RECEIPT_TRUST_PAN || !env.RECEIPT_80G_URN) {
+    throw httpError("The trust's PAN and 80G registration number are not configured", 503);
+  }
+  return {
+    templeName: env.RECEIPT_TEMPLE_NAME,
+    templeNameMr: env.RECEIPT_TEMPLE_NAME_MR,
+    address: env.RECEIPT_TEMPLE_ADDRESS,
+    registrationNumber: env.RECEIPT_REGISTRATION_NO,
+    signatory: env.RECEIPT_SIGNATORY,
+    signatoryMr: env.RECEIPT_SIGNATORY_MR,
+    pan: env.RECEIPT_TRUST_PAN,
+    urn: env.RECEIPT_80G_URN,
+    urnDate: env.RECEIPT_80G_URN_DATE,
+  };
+};
+
+const donorWithPan = async (donorId) => {
+  const rows = donorId ? await query('SELECT * FROM donors WHERE id = ?', [donorId]) : [];
+  if (rows.length === 0) throw httpError('The donation is not filed under a donor', 400);
+  const donor = Donor.fromDbRow(rows[0]);
+  if (!donor.pan) throw httpError("Add the donor's PAN before issuing an 80G certificate", 400);
+  return donor;
+};
+
+/**
+ * Everything printed on the 80G certificate for one donation.
+ */
+export async function getCertificate(donationId) {
+  const rows = await query(
+    "SELECT * FROM transactions WHERE id = ? AND type = 'Donation' AND deleted_at IS NULL",
+    [donationId]
+  );
+  if (rows.length === 0) throw httpError('Donation not found', 404);
+  const donation = Transaction.fromDbRow(rows[0]);
+
+  if (!donation.eligible80g) throw httpError('This donation does not qualify for an 80G certificate', 400);
+  if (donation.clearingStatus !== 'Cleared') {
+    throw httpError('An 80G certificate can only be issued once the payment has cleared', 400);
+  }
+  const donor = await donorWithPan(donation.donorId);
+
+  return {
+    issuer: issuer(),
+    donor,
+    donation,
+    financialYear: financialYearService.yearFor(donation.date),
+  };
+}
+
+/**
+ * One donor's eligible donations in a financial year, for a consolidated
+ * certificate.
+ */
+export async function getAnnualStatement(donorId, year) {
+  const { startDate, endDate } = financialYearService.yearBounds(year);
+  const donor = await donorWithPan(donorId);
+  const rows = await query(
+    `SELECT t.* FROM transactions t
+     WHERE ${ELIGIBLE} AND t.donor_id = ? AND t.date BETWEEN ? AND ?
+     ORDER BY t.date, t.receipt_number`,
+    [donorId, startDate, endDate]
+  );
+  if (rows.length === 0) throw httpError(`No eligible donations from this donor in ${year}`, 404);
+  const donations = rows.map((row) => Transaction.fromDbRow(row));
+
+  return {
+    issuer: issuer(),
+    donor,
+    financialYear: year,
+    donations,
+    total: donations.reduce((sum, donation) => sum + Number(donation.amount), 0),
+  };
+}
+
+/**
+ * Form 10BD rows for a financial year: eligible donations summed per donor
+ * and mode of receipt. Donations whose donor has no PAN cannot be reported
+ * and are listed separately so the PANs can be collected first.
+ */
+export async function form10bd(year) {
+  const { startDate, endDate } = financialYearService.yearBounds(year);
+  const { urn, urnDate } = issuer();
+  const rows = await query(
+    `SELECT MAX(t.donor_id) AS donor_id, MAX(t.donor_name) AS donor_name,
+            MAX(d.name) AS name, MAX(d.address) AS address, MAX(d.pan) AS pan,
+            t.payment_mode = 'Cash' AS is_cash, SUM(t.amount) AS amount, COUNT(*) AS donation_count
+     FROM transactions t
+     LEFT JOIN donors d ON d.id = t.donor_id
+     WHERE ${ELIGIBLE} AND t.date BETWEEN ? AND ?
+     GROUP BY COALESCE(t.donor_id, t.donor_name), is_cash
+     ORDER BY MAX(COALESCE(d.name, t.donor_name))`,
+    [startDate, endDate]
+  );
+
+  const reported = [];
+  const missingPan = new Map();
+  for (const row of rows) {
+    const amount = Number(row.amount);
+    if (!row.pan) {
+      // One entry per donor, whatever the modes of receipt
+      const donorName = row.name || row.donor_name;
+      const missing = missingPan.get(row.donor_id || donorName)
+        || { donorId: row.donor_id, donorName, donationCount: 0, amount: 0 };
+      missing.donationCount += Number(row.donation_count);
+      missing.amount += amount;
+      missingPan.set(row.donor_id || donorName, missing);
+      continue;
+    }
+    reported.push({
+      idCode: ID_CODE_PAN,
+      pan: row.pan,
+      sectionCode: SECTION_CODE,
+      urn,
+      urnDate,
+      donorName: row.name,
+      address: row.address || '',
+      donationType: DONATION_TYPE,
+      mode: Number(row.is_cash) ? MODE_CASH : MODE_ELECTRONIC,
+      amount,
+    });
+  }
+
+  return { year, rows: reported, missingPan: [...missingPan.values()] };
+}
@@ -0,0 +1,243 @@
+import { query } from '../config/db.js';
+import { Tenant } from '../models/Tenant.js';
+import { toDateOnly } from '../utils/dateHelpers.js';
+
+/**
+ * Statement of account for a tenant.
+ *
+ * Debits are what the tenant owes the temple (rent invoices, late-fee
+ * penalties, loan disbursements); credits are money received from them
+ * (RentIncome and other transactions linked to their agreements or loans).
+ * A bounced cheque stays on the statement as a receipt followed by a debit
+ * that cancels it; a cheque still waiting to clear is listed as uncleared and
+ * kept out of the balance. A positive balance means the tenant owes that amount.
+ */
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// Same-day ordering: charges first, then what was received against them
+const TYPE_ORDER = {
+  RentDue: 0,
+  LoanDisbursement: 1,
+  Penalty: 2,
+  RentPayment: 3,
+  EmiRepayment: 4,
+  PenaltyPayment: 5,
+  Payment: 6,
+  ChequeBounced: 7
+};
+
+const placeholders = (values) => values.map(() => '?').join(', ');
+
+const transactionEntryType = (row) => {
+  if (row.loan_id || row.emi_amount) return 'EmiRepayment';
+  if (row.penalty_id) return 'PenaltyPayment';
+  if (row.type === 'RentIncome') return 'RentPayment';
+  return 'Payment';
+};
+
+const collectEntries = async (tenantId) => {
+  const agreements = await query(
+    `SELECT a.id, s.shop_number
+     FROM agreements a
+     LEFT JOIN shops s ON a.shop_id = s.id
+     WHERE a.tenant_id = ? AND a.deleted_at IS NULL`,
+    [tenantId]
+  );
+  const loans = await query(
+    'SELECT id, agreement_id, loan_amount, disbursed_date FROM loans WHERE tenant_id = ? AND deleted_at IS NULL',
+    [tenantId]
+  );
+
+  const agreementIds = agreements.map(a => a.id);
+  const loanIds = loans.map(l => l.id);
+  const shopByAgreement = new Map(agreements.map(a => [a.id, a.shop_number]));
+  const entries = [];
+
+  for (const loan of loans) {
+    entries.push({
+      date: toDateOnly(loan.disbursed_date),
+      type: 'LoanDisbursement',
+      description: 'Loan disbursed',
+      reference: loan.id,
+      shopNumber: shopByAgreement.get(loan.agreement_id) || null,
+      debit: parseFloat(loan.loan_amount),
+      credit: 0
+    });
+  }
+
+  if (agreementIds.length === 0 && loanIds.length === 0) return entries;
+
+  if (agreementIds.length > 0) {
+    const invoices = await query(
+      `SELECT id, agreement_id, period, due_date, amount FROM rent_invoices
+       WHERE agreement_id IN (${placeholders(agreementIds)})`,
+      agreementIds
+    );
+    for (const invoice of invoices) {
+      entries.push({
+        date: toDateOnly(invoice.due_date),
+        type: 'RentDue',
+        description: `Rent for ${invoice.period}`,
+        reference: invoice.period,
+        shopNumber: shopByAgreement.get(invoice.agreement_id) || null,
+        debit: parseFloat(invoice.amount),
+        credit: 0
+      });
+    }
+  }
+
+  // Transactions linked to any of the tenant's agreements or loans
+  const conditions = [];
+  const params = [];
+  if (agreementIds.length > 0) {
+    conditions.push(`agreement_id IN (${placeholders(agreementIds)})`);
+    params.push(...agreementIds);
+  }
+  if (loanIds.length > 0) {
+    conditions.push(`loan_id IN (${placeholders(loanIds)})`);
+    params.push(...loanIds);
+  }
+  const transactions = await query(
+    `SELECT id, date, type, description, amount, receipt_number, agreement_id,
+            loan_id, emi_amount, penalty_id, payment_reference, clearing_status,
+            clearing_date, bounce_reason
+     FROM transactions
+     WHERE deleted_at IS NULL AND (${conditions.join(' OR ')})`,
+    params
+  );
+  const paidPenaltyIds = new Set(transactions
+    .filter(t => t.clearing_status !== 'Bounced')
+    .map(t => t.penalty_id)
+    .filter(Boolean));
+
+  for (const row of transactions) {
+    entries.push({
+      date: toDateOnly(row.date),
+      type: transactionEntryType(row),
+      description: row.description,
+      reference: row.receipt_number,
+      shopNumber: shopByAgreement.get(row.agreement_id) || null,
+      debit: 0,
+      credit: parseFloat(row.amount),
+      uncleared: row.clearing_status === 'Pending'
+    });
+
+    if (row.clearing_status === 'Bounced') {
+      const cheque = row.payment_reference ? `Cheque ${row.payment_reference}` : 'Cheque';
+      entries.push({
+        date: toDateOnly(row.clearing_date || row.date),
+        type: 'ChequeBounced',
+        description: `${cheque} bounced${row.bounce_reason ? `: ${row.bounce_reason}` : ''}`,
+        reference: row.receipt_number,
+        shopNumber: shopByAgreement.get(row.agreement_id) || null,
+        debit: parseFloat(row.amount),
+        credit: 0
+      });
+    }
+  }
+
+  if (agreementIds.length > 0) {
+    const penalties = await query(
+      `SELECT id, agreement_id, reason, due_date, penalty_amount, penalty_paid, penalty_paid_date, created_at
+       FROM rent_penalties
+       WHERE agreement_id IN (${placeholders(agreementIds)}) AND deleted_at IS NULL`,
+      agreementIds
+    );
+    for (const penalty of penalties) {
+      const shopNumber = shopByAgreement.get(penalty.agreement_id) || null;
+      entries.push({
+        date: toDateOnly(penalty.created_at),
+        type: 'Penalty',
+        description: penalty.reason === 'ChequeBounce'
+          ? 'Cheque bounce charge'
+          : `Late fee (rent due ${toDateOnly(penalty.due_date)})`,
+        reference: penalty.id,
+        shopNumber,
+        debit: parseFloat(penalty.penalty_amount),
+        credit: 0
+      });
+
+      // Penalties marked paid without a linked transaction still need a credit
+      if (penalty.penalty_paid && !paidPenaltyIds.has(penalty.id)) {
+        entries.push({
+          date: toDateOnly(penalty.penalty_paid_date || penalty.created_at),
+          type: 'PenaltyPayment',
+          description: 'Late fee paid',
+          reference: penalty.id,
+          shopNumber,
+          debit: 0,
+          credit: parseFloat(penalty.penalty_amount)
+        });
+      }
+    }
+  }
+
+  return entries;
+};
+
+/**
+ * Chronological running balance over ledger entries. Entries before `from`
+ * roll up into the opening balance; entries after `to` are left out. Uncleared
+ * cheques are listed with their amount but move neither the balance nor the
+ * debit/credit totals; they are summed separately.
+ */
+export function buildLedger(entries, { from = null, to = null } = {}) {
+  const sorted = entries
+    .filter(entry => entry.date && (!to || entry.date <= to))
+    .sort((a, b) =>
+      a.date.localeCompare(b.date) || TYPE_ORDER[a.type] - TYPE_ORDER[b.type]
+    );
+
+  let openingBalance = 0;
+  let balance = 0;
+  let totalDebit = 0;
+  let totalCredit = 0;
+  let totalUncleared = 0;
+  const ledger = [];
+
+  for (const entry of sorted) {
+    if (from && entry.date < from) {
+      if (!entry.uncleared) {
+        balance = round2(balance + entry.debit - entry.credit);
+        openingBalance = balance;
+      }
+      continue;
+    }
+
+    if (entry.uncleared) {
+      totalUncleared = round2(totalUncleared + entry.credit);
+    } else {
+      balance = round2(balance + entry.debit - entry.credit);
+      totalDebit = round2(totalDebit + entry.debit);
+      totalCredit = round2(totalCredit + entry.credit);
+    }
+    ledger.push({ ...entry, balance });
+  }
+
+  return {
+    from,
+    to,
+    openingBalance,
+    entries: ledger,
+    totals: { debit: totalDebit, credit: totalCredit, uncleared: totalUncleared },
+    closingBalance: balance
+  };
+}
+
+/**
+ * Statement of account for a tenant over an optional date range (see buildLedger).
+ */
+export async function getTenantLedger(tenantId, { from = null, to = null } = {}) {
+  const rows = await query('SELECT * FROM tenants WHERE id = ? AND deleted_at IS NULL', [tenantId]);
+  if (rows.length === 0) {
+    const error = new Error('Tenant not found');
+    error.statusCode = 404;
+    throw error;
+  }
+
+  return {
+    tenant: Tenant.fromDbRow(rows[0]),
+    ...buildLedger(await collectEntries(tenantId), { from, to })
+  };
+}
@@ -0,0 +1,190 @@
+import { query, transaction } from '../config/db.js';
+import { Transaction } from '../models/Transaction.js';
+import { withChangedPaymentDefaults } from '../middleware/validate.js';
+import { generateId } from '../utils/helpers.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as bankReconciliationService from './bankReconciliationService.js';
+import * as financialYearService from './financialYearService.js';
+import * as auditService from './auditService.js';
+import * as trashService from './trashService.js';
+import * as donorService from './donorService.js';
+import * as taxExemptionService from './taxExemptionService.js';
+import * as attachmentService from './attachmentService.js';
+import * as rentInvoicesService from './rentInvoicesService.js';
+
+/**
+ * Writes to the transactions table.
+ *
+ * Donations, expenses, rent payments and the generic transactions API all
+ * keep their entries here. Every write checks the bank reconciliation and
+ * financial year locks and keeps the general ledger in step. Approved change
+ * requests are applied through the same functions, so the same rules hold
+ * whether a change is made directly or after approval.
+ *
+ * Deleting moves an entry to the trash (see trashService); entries in the
+ * trash are not found here. A donation is filed under a donor whenever it is
+ * written with a donor (see donorService.resolveDonor), and its 80G
+ * eligibility is assessed afresh on every write (see taxExemptionService).
+ *
+ * Creates and updates take `attachmentIds`, files to attach in the same
+ * database transaction: staged by the actor, or held on the change request
+ * being applied (see attachmentService).
+ *
+ * `type` narrows a lookup to one kind of entry; without it any type matches.
+ * `audit` names who made the change ({ actor, context }, see auditService);
+ * the audit entry is written in the same database transaction as the change.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+const LABELS = { Donation: 'Donation', Expense: 'Expense', RentIncome: 'Rent payment' };
+
+// A change to any of these looks up the donation's donor again
+const DONOR_FIELDS = ['donorId', 'donorName', 'donorContact', 'donorPan'];
+
+const notFound = (type) => httpError(`${LABELS[type] || 'Transaction'} not found`, 404);
+
+// Where the files of a change are waiting: on the change request being approved, or staged by the actor
+const attachmentSource = (audit) => (audit.context?.changeRequestId
+  ? { entityType: 'change_request', entityId: audit.context.changeRequestId }
+  : { uploadedBy: audit.actor?.id });
+
+const findRow = async (id, type) => {
+  const rows = type
+    ? await query('SELECT * FROM transactions WHERE id = ? AND type = ? AND deleted_at IS NULL', [id, type])
+    : await query('SELECT * FROM transactions WHERE id = ? AND deleted_at IS NULL', [id]);
+  return rows[0] || null;
+};
+
+export async function findEntry(id, type = null) {
+  const row = await findRow(id, type);
+  return row ? Transaction.fromDbRow(row) : null;
+}
+
+// Like findEntry, but a missing entry is a 404
+export async function getEntry(id, type = null) {
+  const entry = await findEntry(id, type);
+  if (!entry) throw notFound(type);
+  return entry;
+}
+
+export async function createEntry(data, audit = {}) {
+  const entry = new Transaction({ ...data, id: data.id || generateId() });
+  const attachmentIds = data.attachmentIds || [];
+  await attachmentService.assertRequiredAttachments(entry, { attachmentIds });
+
+  await transaction(async (connection) => {
+    await financialYearService.assertDatesOpen(connection, [entry.date]);
+    if (entry.type === 'Donation') {
+      entry.donorId = await donorService.resolveDonor(connection, { ...entry, donorPan: data.donorPan });
+      entry.eligible80g = taxExemptionService.isEligible(entry);
+    }
+    const dbObject = entry.toDbObject();
+    const fields = Object.keys(dbObject).map(key => `\`${key}\``).join(', ');
+    const placeholders = Object.keys(dbObject).map(() => '?').join(', ');
+    await connection.execute(
+      `INSERT INTO transactions (${fields}) VALUES (${placeholders})`,
+      Object.values(dbObject)
+    );
+    await attachmentService.attach(connection, attachmentIds, { entityType: 'transaction', entityId: entry.id }, attachmentSource(audit));
+    await generalLedgerService.syncTransaction(connection, entry.id);
+    await auditService.record(audit.actor, {
+      entityType: 'Transaction',
+      entityId: entry.id,
+      action: 'create',
+      after: entry,
+      context: audit.context,
+    }, connection);
+  });
+
+  return entry;
+}
+
+// A rent payment edited to another amount or agreement is settled afresh:
+// the invoices it paid are reopened and the new amount is applied instead
+const resettle = async (connection, before, after) => {
+  const settled = rentInvoicesService.settlesInvoices(before);
+  const settles = rentInvoicesService.settlesInvoices(after);
+  const moved = before.agreement_id !== after.agreement_id || parseFloat(before.amount) !== parseFloat(after.amount);
+  if (settled === settles && !(settles && moved)) return;
+
+  if (settled) await rentInvoicesService.reversePayment(connection, after.id);
+  if (settles) {
+    await rentInvoicesService.settlePayment(connection, {
+      agreementId: after.agreement_id,
+      transactionId: after.id,
+      amount: parseFloat(after.amount),
+    });
+  }
+};
+
+export async function updateEntry(id, changes, type = null, audit = {}) {
+  const existing = await findRow(id, type);
+  if (!existing) throw notFound(type);
+
+  const attachmentIds = changes.attachmentIds || [];
+  const updated = new Transaction({
+    ...Transaction.fromDbRow(existing),
+    ...withChangedPaymentDefaults(changes, existing.payment_mode),
+  });
+
+  return transaction(async (connection) => {
+    await bankReconciliationService.assertTransactionUnlocked(connection, id);
+    await financialYearService.assertDatesOpen(connection, [existing.date, changes.date]);
+    if (existing.type === 'Donation' && DONOR_FIELDS.some(key => key in changes)) {
+      // A PAN alone is recorded against the donor the donation already has
+      const renamed = 'donorName' in changes || 'donorContact' in changes;
+      updated.donorId = await donorService.resolveDonor(connection, {
+        donorId: 'donorId' in changes || renamed ? changes.donorId : existing.donor_id,
+        donorName: 'donorName' in changes ? changes.donorName : existing.donor_name,
+        donorContact: 'donorContact' in changes ? changes.donorContact : existing.donor_contact,
+        donorPan: changes.donorPan,
+      });
+    }
+    if (existing.type === 'Donation') {
+      updated.eligible80g = taxExemptionService.isEligible({
+        category: updated.category,
+        paymentMode: updated.paymentMode,
+        amount: updated.amount,
+      });
+    }
+    const dbObject = updated.toDbObject();
+    const columns = Object.keys(dbObject).filter(key => key !== 'id' && key !== 'created_at');
+    await connection.execute(
+      `UPDATE transactions SET ${columns.map(key => `\`${key}\` = ?`).join(', ')} WHERE id = ?`,
+      [...columns.map(key => dbObject[key]), id]
+    );
+    // Read back what was stored, so the audit entry and the response carry the whole entry as saved
+    const [rows] = await connection.execute('SELECT * FROM transactions WHERE id = ?', [id]);
+    const saved = Transaction.fromDbRow(rows[0]);
+    await resettle(connection, existing, rows[0]);
+    await attachmentService.attach(connection, attachmentIds, { entityType: 'transaction', entityId: id }, attachmentSource(audit));
+    await attachmentService.assertRequiredAttachments(updated, { attachmentIds, existing: { id, amount: existing.amount } }, connection);
+    await generalLedgerService.syncTransaction(connection, id);
+    await auditService.record(audit.actor, {
+      entityType: 'Transaction',
+      entityId: id,
+      action: 'update',
+      before: Transaction.fromDbRow(existing),
+      after: saved,
+      context: audit.context,
+    }, connection);
+    return saved;
+  });
+}
+
+// Deleting a rent payment first reopens the invoices it settled
+export async function deleteEntry(id, type = null, audit = {}) {
+  const existing = await findRow(id, type);
+  if (!existing) throw notFound(type);
+
+  await transaction(async (connection) => {
+    await bankReconciliationService.assertTransactionUnlocked(connection, id);
+    await financialYearService.assertTransactionOpen(connection, id);
+    await trashService.trashRow(connection, 'Transaction', id, audit.actor, audit.context);
+  });
+}
@@ -0,0 +1,413 @@
+import { query, transaction } from '../config/db.js';
+import * as generalLedgerService from './generalLedgerService.js';
+import * as financialYearService from './financialYearService.js';
+import * as rentInvoicesService from './rentInvoicesService.js';
+import * as rentPenaltiesService from './rentPenaltiesService.js';
+import * as auditService from './auditService.js';
+import { toDateOnly } from '../utils/dateHelpers.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'trash-service' });
+
+/**
+ * Soft deletion of shops, tenants, agreements, loans, penalties and
+ * transactions.
+ *
+ * Deleting stamps deleted_at and deleted_by; every listing and lookup skips
+ * such rows, and the general ledger treats them as gone. Deleting an
+ * agreement takes its live loans and penalties with it, stamped with the same
+ * deleted_at and deleted_by, so restoring the agreement brings back exactly
+ * that tree and not children deleted on their own before it. A child can only
+ * be restored while its agreement is live.
+ *
+ * Purging removes a deleted row for good, with the foreign keys' cascades.
+ * Deleted shops and tenants keep their shop number and email until purged.
+ */
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// `dates` are checked against closed financial years before a row moves
+// either way. The Sequelize models of tenants, agreements, loans and penalties
+// are paranoid on the same deleted_at column, so they hide trashed rows too.
+const ENTITIES = {
+  Shop: { table: 'shops', label: 'Shop', dates: [] },
+  Tenant: { table: 'tenants', label: 'Tenant', dates: [] },
+  Agreement: { table: 'agreements', label: 'Agreement', dates: ['agreement_date'] },
+  Loan: { table: 'loans', label: 'Loan', dates: ['disbursed_date'] },
+  RentPenalty: { table: 'rent_penalties', label: 'Rent penalty', dates: ['due_date'] },
+  Transaction: { table: 'transactions', label: 'Transaction', dates: ['date'] },
+};
+
+// What the agreement of a deleted tree takes with it
+const AGREEMENT_CHILDREN = ['Loan', 'RentPenalty'];
+
+const LEDGER_SYNC = {
+  Agreement: generalLedgerService.syncAgreement,
+  Loan: generalLedgerService.syncLoan,
+  RentPenalty: generalLedgerService.syncPenalty,
+  Transaction: generalLedgerService.syncTransaction,
+};
+
+export const ENTITY_TYPES = Object.keys(ENTITIES);
+
+const exec = async (connection, sql, params = []) => {
+  const [rows] = await connection.execute(sql, params);
+  return rows;
+};
+
+const entityFor = (entityType) => {
+  const entity = ENTITIES[entityType];
+  if (!entity) throw httpError(`Unknown record type ${entityType}`, 400);
+  return entity;
+};
+
+const lockRow = async (connection, entityType, id, { deleted }) => {
+  const { table, label } = entityFor(entityType);
+  const rows = await exec(connection,
+    `SELECT * FROM ${table} WHERE id = ? AND deleted_at IS ${deleted ? 'NOT NULL' : 'NULL'} FOR UPDATE`,
+    [id]
+  );
+  if (rows.length === 0) throw httpError(deleted ? `${label} is not in the trash` : `${label} not found`, 404);
+  return rows[0];
+};
+
+const isLive = async (connection, table, id) => {
+  if (!id) return true;
+  const rows = await exec(connection, `SELECT id FROM ${table} WHERE id = ? AND deleted_at IS NULL`, [id]);
+  return rows.length > 0;
+};
+
+const assertOpen = (connection, entityType, rows) =>
+  financialYearService.assertDatesOpen(connection,
+    rows.flatMap(row => entityFor(entityType).dates.map(column => row[column]))
+  );
+
+// Shops and tenants go only once nothing live refers to them
+const assertUnreferenced = async (connection, entityType, id) => {
+  if (entityType === 'Tenant') {
+    const [{ count }] = await exec(connection,
+      `SELECT (SELECT COUNT(*) FROM shops WHERE tenant_id = ? AND deleted_at IS NULL)
+            + (SELECT COUNT(*) FROM agreements WHERE tenant_id = ? AND deleted_at IS NULL) AS count`,
+      [id, id]
+    );
+    if (Number(count) > 0) {
+      throw httpError('Cannot delete tenant: tenant is referenced by existing shops or agreements', 400);
+    }
+  }
+  if (entityType === 'Shop') {
+    const [{ count }] = await exec(connection,
+      'SELECT COUNT(*) AS count FROM agreements WHERE shop_id = ? AND deleted_at IS NULL',
+      [id]
+    );
+    if (Number(count) > 0) {
+      throw httpError('Cannot delete shop: shop is referenced by existing agreements', 400);
+    }
+  }
+};
+
+// Restoring needs the records a row hangs off to be live again first
+const assertParentsLive = async (connection, entityType, row) => {
+  const checks = {
+    Agreement: [['shops', row.shop_id, 'shop'], ['tenants', row.tenant_id, 'tenant']],
+    Loan: [['agreements', row.agreement_id, 'agreement']],
+    RentPenalty: [['agreements', row.agreement_id, 'agreement']],
+    Transaction: [
+      ['agreements', row.agreement_id, 'agreement'],
+      ['loans', row.loan_id, 'loan'],
+      ['rent_penalties', row.penalty_id, 'penalty'],
+    ],
+  }[entityType] || [];
+
+  for (const [table, id, name] of checks) {
+    if (!await isLive(connection, table, id)) {
+      throw httpError(`Restore the ${name} this ${entityFor(entityType).label.toLowerCase()} belongs to first`, 409);
+    }
+  }
+
+  if (entityType === 'Agreement' && row.status === 'Active') {
+    const [{ count }] = await exec(connection,
+      "SELECT COUNT(*) AS count FROM agreements WHERE shop_id = ? AND status = 'Active' AND deleted_at IS NULL AND id <> ?",
+      [row.shop_id, row.id]
+    );
+    if (Number(count) > 0) throw httpError('The shop already has another active agreement', 409);
+  }
+};
+
+/**
+ * Repost the ledger for rows that moved in or out of the trash, along with
+ * the payments linked to them (which post as unlinked while their agreement,
+ * loan or penalty is deleted) and the agreements' invoices.
+ */
+const resyncLedger = async (connection, moved) => {
+  const ids = (entityType) => moved.filter(item => item.entityType === entityType).map(item => item.id);
+  const agreementIds = ids('Agreement');
+  const loanIds = ids('Loan');
+  const penaltyIds = ids('RentPenalty');
+
+  for (const item of moved) {
+    await LEDGER_SYNC[item.entityType]?.(connection, item.id);
+  }
+
+  const inList = (list) => list.length ? list.map(() => '?').join(', ') : 'NULL';
+  if (agreementIds.length) {
+    const invoices = await exec(connection,
+      `SELECT id FROM rent_invoices WHERE agreement_id IN (${inList(agreementIds)})`,
+      agreementIds
+    );
+    for (const invoice of invoices) {
+      await generalLedgerService.syncRentInvoice(connection, invoice.id);
+    }
+  }
+  if (agreementIds.length || loanIds.length || penaltyIds.length) {
+    const payments = await exec(connection,
+      `SELECT id, date FROM transactions
+       WHERE deleted_at IS NULL
+         AND (agreement_id IN (${inList(agreementIds)}) OR loan_id IN (${inList(loanIds)}) OR penalty_id IN (${inList(penaltyIds)}))`,
+      [...agreementIds, ...loanIds, ...penaltyIds]
+    );
+    // Their postings change too, so they must not sit in a closed year
+    await financialYearService.assertDatesOpen(connection, payments.map(payment => payment.date));
+    for (const payment of payments) {
+      await generalLedgerService.syncTransaction(connection, payment.id);
+    }
+  }
+};
+
+// Pending penalty totals live on the agreement
+const refreshPendingPenalties = async (moved) => {
+  const agreementIds = new Set(moved
+    .filter(item => item.entityType === 'RentPenalty')
+    .map(item => item.row.agreement_id));
+  for (const agreementId of agreementIds) {
+    await rentPenaltiesService.syncPendingPenalties(agreementId);
+  }
+};
+
+/**
+ * Move a row (and, for an agreement, its tree) to the trash inside the
+ * caller's transaction. `context` goes on the row's audit entry. Returns what
+ * was moved as [{ entityType, id, row }].
+ */
+export async function trashRow(connection, entityType, id, actor = null, context = null) {
+  const row = await lockRow(connection, entityType, id, { deleted: false });
+  await assertUnreferenced(connection, entityType, id);
+
+  const moved = [{ entityType, id, row }];
+  if (entityType === 'Agreement') {
+    for (const childType of AGREEMENT_CHILDREN) {
+      const children = await exec(connection,
+        `SELECT * FROM ${ENTITIES[childType].table} WHERE agreement_id = ? AND deleted_at IS NULL FOR UPDATE`,
+        [id]
+      );
+      moved.push(...children.map(child => ({ entityType: childType, id: child.id, row: child })));
+    }
+  }
+  for (const item of moved) {
+    await assertOpen(connection, item.entityType, [item.row]);
+  }
+
+  const deletedAt = new Date();
+  const deletedBy = actor?.id || null;
+  for (const item of moved) {
+    await exec(connection,
+      `UPDATE ${ENTITIES[item.entityType].table} SET deleted_at = ?, deleted_by = ? WHERE id = ?`,
+      [deletedAt, deletedBy, item.id]
+    );
+  }
+
+  if (entityType === 'Transaction') {
+    // As the bank_statement_lines foreign key would on a real delete
+    await exec(connection,
+      'UPDATE bank_statement_lines SET transaction_id = NULL, match_type = NULL WHERE transaction_id = ?',
+      [id]
+    );
+    if (row.type === 'RentIncome') {
+      await rentInvoicesService.reversePayment(connection, id);
+    }
+  }
+
+  await resyncLedger(connection, moved);
+  for (const item of moved) {
+    await auditService.record(actor, {
+      entityType: item.entityType,
+      entityId: item.id,
+      action: 'delete',
+      before: item.row,
+      context: item.id === id ? context : { deletedWith: { entityType, entityId: id } },
+    }, connection);
+  }
+
+  logger.info({ entityType, id, cascaded: moved.length - 1 }, 'Moved to trash');
+  return moved;
+}
+
+/**
+ * Move a row to the trash in a transaction of its own. For writers that do
+ * not already hold one (shops, tenants, agreements, loans, penalties).
+ */
+export async function moveToTrash(entityType, id, actor = null) {
+  const moved = await transaction(connection => trashRow(connection, entityType, id, actor));
+  await refreshPendingPenalties(moved);
+  return moved.map(({ entityType: type, id: movedId }) => ({ entityType: type, id: movedId }));
+}
+
+/**
+ * Bring a row back from the trash. An agreement comes back with the loans
+ * and penalties deleted along with it. A rent payment is settled against the
+ * agreement's invoices again.
+ */
+export async function restore(entityType, id, actor = null) {
+  const moved = await transaction(async (connection) => {
+    const row = await lockRow(connection, entityType, id, { deleted: true });
+    await assertParentsLive(connection, entityType, row);
+
+    const items = [{ entityType, id, row }];
+    if (entityType === 'Agreement') {
+      for (const childType of AGREEMENT_CHILDREN) {
+        const children = await exec(connection,
+          `SELECT * FROM ${ENTITIES[childType].table}
+           WHERE agreement_id = ? AND deleted_at = ? AND deleted_by <=> ? FOR UPDATE`,
+          [id, row.deleted_at, row.deleted_by]
+        );
+        items.push(...children.map(child => ({ entityType: childType, id: child.id, row: child })));
+      }
+    }
+    for (const item of items) {
+      await assertOpen(connection, item.entityType, [item.row]);
+    }
+
+    for (const item of items) {
+      await exec(connection,
+        `UPDATE ${ENTITIES[item.entityType].table} SET deleted_at = NULL, deleted_by = NULL WHERE id = ?`,
+        [item.id]
+      );
+    }
+
+    if (entityType === 'Transaction' && rentInvoicesService.settlesInvoices(row)) {
+      await rentInvoicesService.settlePayment(connection, {
+        agreementId: row.agreement_id,
+        transactionId: id,
+        amount: parseFloat(row.amount),
+      });
+    }
+
+    await resyncLedger(connection, items);
+    for (const item of items) {
+      await auditService.record(actor, {
+        entityType: item.entityType,
+        entityId: item.id,
+        action: 'restore',
+        before: { deletedAt: item.row.deleted_at, deletedBy: item.row.deleted_by },
+        after: { deletedAt: null, deletedBy: null },
+        context: item.id === id ? null : { restoredWith: { entityType, entityId: id } },
+      }, connection);
+    }
+    return items;
+  });
+
+  await refreshPendingPenalties(moved);
+  logger.info({ entityType, id, cascaded: moved.length - 1 }, 'Restored from trash');
+  return moved.map(({ entityType: type, id: movedId }) => ({ entityType: type, id: movedId }));
+}
+
+// Rows that must be purged before the record they name
+const PURGE_BLOCKERS = {
+  Shop: [{ table: 'agreements', column: 'shop_id', label: 'agreements' }],
+  Tenant: [
+    { table: 'agreements', column: 'tenant_id', label: 'agreements' },
+    { table: 'loans', column: 'tenant_id', label: 'loans' },
+  ],
+};
+
+/**
+ * Remove a deleted row for good. An agreement's loans, penalties and invoices
+ * go with it through ON DELETE CASCADE; payments keep their rows. A shop or
+ * tenant still named by an agreement (or a tenant by a loan) in the trash
+ * cannot be purged before it.
+ */
+export async function purge(entityType, id, actor = null) {
+  const { table } = entityFor(entityType);
+  await transaction(async (connection) => {
+    const row = await lockRow(connection, entityType, id, { deleted: true });
+
+    // Their foreign keys cascade, so trashed rows naming them would vanish unaudited
+    for (const { table: refTable, column, label } of PURGE_BLOCKERS[entityType] || []) {
+      const [{ count }] = await exec(connection, `SELECT COUNT(*) AS count FROM ${refTable} WHERE ${column} = ?`, [id]);
+      if (Number(count) > 0) {
+        throw httpError(`Purge the ${label} of this ${entityType.toLowerCase()} first`, 409);
+      }
+    }
+
+    await exec(connection, `DELETE FROM ${table} WHERE id = ?`, [id]);
+    await generalLedgerService.pruneOrphanEntries(connection);
+    await auditService.record(actor, { entityType, entityId: id, action: 'purge', before: row }, connection);
+  });
+  logger.info({ entityType, id }, 'Purged from trash');
+}
+
+// One query per type; the summary columns line up so the UI can list them together
+const TRASH_QUERIES = {
+  Shop: `SELECT id, shop_number AS label, status AS detail, monthly_rent AS amount, NULL AS record_date,
+                deleted_at, deleted_by, NULL AS parent_id
+         FROM shops WHERE deleted_at IS NOT NULL`,
+  Tenant: `SELECT id, name AS label, phone AS detail, NULL AS amount, NULL AS record_date,
+                  deleted_at, deleted_by, NULL AS parent_id
+           FROM tenants WHERE deleted_at IS NOT NULL`,
+  Agreement: `SELECT a.id, CONCAT_WS(' · ', s.shop_number, t.name) AS label, a.status AS detail,
+                     a.monthly_rent AS amount, a.start_date AS record_date, a.deleted_at, a.deleted_by, NULL AS parent_id
+              FROM agreements a
+              LEFT JOIN shops s ON a.shop_id = s.id
+              LEFT JOIN tenants t ON a.tenant_id = t.id
+              WHERE a.deleted_at IS NOT NULL`,
+  Loan: `SELECT l.id, l.tenant_name AS label, l.status AS detail, l.loan_amount AS amount,
+                l.disbursed_date AS record_date, l.deleted_at, l.deleted_by,
+                IF(a.deleted_at = l.deleted_at AND a.deleted_by <=> l.deleted_by, a.id, NULL) AS parent_id
+         FROM loans l LEFT JOIN agreements a ON l.agreement_id = a.id
+         WHERE l.deleted_at IS NOT NULL`,
+  RentPenalty: `SELECT p.id, p.tenant_name AS label, p.reason AS detail, p.penalty_amount AS amount,
+                       p.due_date AS record_date, p.deleted_at, p.deleted_by,
+                       IF(a.deleted_at = p.deleted_at AND a.deleted_by <=> p.deleted_by, a.id, NULL) AS parent_id
+                FROM rent_penalties p LEFT JOIN agreements a ON p.agreement_id = a.id
+                WHERE p.deleted_at IS NOT NULL`,
+  Transaction: `SELECT id, COALESCE(receipt_number, description) AS label, type AS detail, amount, date AS record_date,
+                       deleted_at, deleted_by, NULL AS parent_id
+                FROM transactions WHERE deleted_at IS NOT NULL`,
+};
+
+/**
+ * Everything in the trash, most recently deleted first. Loans and penalties
+ * that went with an agreement carry `deletedWith`; they come back when the
+ * agreement is restored.
+ */
+export async function listTrash({ entityType = null } = {}) {
+  const types = entityType ? [entityType] : ENTITY_TYPES;
+  const items = [];
+  for (const type of types) {
+    const rows = await query(TRASH_QUERIES[type]);
+    items.push(...rows.map(row => ({
+      entityType: type,
+      id: row.id,
+      label: row.label,
+      detail: row.detail,
+      amount: row.amount === null ? null : parseFloat(row.amount),
+      date: row.record_date ? toDateOnly(row.record_date) : null,
+      deletedAt: new Date(row.deleted_at).toISOString(),
+      deletedBy: row.deleted_by,
+      deletedWith: row.parent_id ? { entityType: 'Agreement', id: row.parent_id } : null,
+    })));
+  }
+
+  const userIds = [...new Set(items.map(item => item.deletedBy).filter(Boolean))];
+  const users = userIds.length
+    ? await query(`SELECT id, username FROM users WHERE id IN (${userIds.map(() => '?').join(', ')})`, userIds)
+    : [];
+  const names = Object.fromEntries(users.map(user => [user.id, user.username]));
+
+  return items
+    .map(item => ({ ...item, deletedByName: names[item.deletedBy] || null }))
+    .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt));
+}
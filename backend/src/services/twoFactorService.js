@@ -0,0 +1,197 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import QRCode from 'qrcode';
+import { query } from '../config/db.js';
+import { RecoveryCode } from '../models/RecoveryCode.js';
+import * as totp from '../utils/totp.js';
+import env from '../config/env.js';
+import pino from 'pino';
+
+const logger = pino({ name: 'two-factor-service' });
+
+/**
+ * TOTP two-factor authentication.
+ *
+ * Enrollment is two steps: setup stores a new secret (encrypted) and returns
+ * it with an otpauth:// QR code; confirming with a code from the app turns
+ * 2FA on and issues ten single-use recovery codes. Until confirmed, the
+ * secret is not used for sign-in.
+ *
+ * Sign-in with 2FA is also two steps. A correct password only earns a short
+ * login challenge token; the access and refresh tokens are issued once the
+ * challenge is answered with a TOTP or recovery code. For a user whose role
+ * is in TWO_FACTOR_REQUIRED_ROLES and who has not enrolled yet, the
+ * challenge is an enrollment instead, so they cannot get in without it.
+ *
+ * An accepted TOTP time step is stored, so each code works only once.
+ */
+
+const CHALLENGE_AUDIENCE = 'login-challenge';
+const CHALLENGE_TTL = '5m';
+
+const httpError = (message, statusCode) => {
+  const error = new Error(message);
+  error.statusCode = statusCode;
+  return error;
+};
+
+// ----- Secret storage -----
+
+const encryptionKey = () =>
+  crypto.createHash('sha256').update(env.TWO_FACTOR_ENCRYPTION_KEY || env.JWT_SECRET).digest();
+
+const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64')).join(':');
+};
+
+const decryptSecret = (stored) => {
+  const [iv, tag, encrypted] = stored.split(':').map((part) => Buffer.from(part, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+};
+
+// ----- Login challenges -----
+
+/**
+ * Short-lived token proving the password step passed. purpose is 'verify'
+ * (answer with a code) or 'enroll' (set up 2FA first). It has no userId
+ * claim, so the auth middleware never accepts it as an access token.
+ */
+export function issueChallenge(user, purpose) {
+  return jwt.sign({ purpose }, env.JWT_SECRET, {
+    subject: user.id,
+    audience: CHALLENGE_AUDIENCE,
+    expiresIn: CHALLENGE_TTL,
+  });
+}
+
+export function readChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, env.JWT_SECRET, { audience: CHALLENGE_AUDIENCE });
+    return { userId: decoded.sub, purpose: decoded.purpose };
+  } catch (error) {
+    throw httpError('Your sign-in has expired. Please sign in again.', 401);
+  }
+}
+
+// ----- Enrollment -----
+
+/**
+ * Start enrollment: store a new secret and return what the authenticator app needs.
+ */
+export async function beginEnrollment(user) {
+  if (user.totpEnabled) {
+    throw httpError('Two-factor authentication is already enabled', 409);
+  }
+
+  const secret = totp.generateSecret();
+  await query('UPDATE users SET totp_secret = ?, totp_last_step = NULL WHERE id = ?', [
+    encryptSecret(secret),
+    user.id,
+  ]);
+
+  const otpauthUrl = totp.otpauthUrl({ secret, account: user.email, issuer: env.TWO_FACTOR_ISSUER });
+  const qrCodeDataUrl = await QRCode.toDataURL(otpauthUrl);
+
+  logger.info('Two-factor enrollment started:', { userId: user.id });
+
+  return { secret, otpauthUrl, qrCodeDataUrl };
+}
+
+/**
+ * Finish enrollment with a code from the app. Returns the new recovery codes,
+ * or null when the code is wrong.
+ */
+export async function confirmEnrollment(user, code) {
+  if (user.totpEnabled) {
+    throw httpError('Two-factor authentication is already enabled', 409);
+  }
+
+  const [row] = await query('SELECT totp_secret FROM users WHERE id = ?', [user.id]);
+  if (!row?.totp_secret) {
+    throw httpError('Start two-factor setup first', 400);
+  }
+
+  const step = totp.verifyCode(decryptSecret(row.totp_secret), code);
+  if (step === null) {
+    return null;
+  }
+
+  await query('UPDATE users SET totp_enabled = TRUE, totp_last_step = ? WHERE id = ?', [step, user.id]);
+  user.totpEnabled = true;
+  user.totpLastStep = step;
+
+  const recoveryCodes = await RecoveryCode.issue(user.id);
+
+  logger.info('Two-factor authentication enabled:', { userId: user.id });
+
+  return recoveryCodes;
+}
+
+// ----- Verification -----
+
+/**
+ * Check a TOTP code, or a recovery code, for a user with 2FA enabled.
+ * Returns { valid, method } where method is 'totp' or 'recovery'.
+ */
+export async function verifyLogin(user, { code, recoveryCode }) {
+  if (!user.totpEnabled) {
+    return { valid: false, method: null };
+  }
+
+  if (recoveryCode) {
+    const valid = await RecoveryCode.consume(user.id, recoveryCode);
+    if (valid) logger.info('Recovery code used:', { userId: user.id });
+    return { valid, method: 'recovery' };
+  }
+
+  const [row] = await query('SELECT totp_secret FROM users WHERE id = ?', [user.id]);
+  const step = row?.totp_secret ? totp.verifyCode(decryptSecret(row.totp_secret), code) : null;
+  if (step === null) {
+    return { valid: false, method: 'totp' };
+  }
+
+  // Claim the step; a replay of a code already used fails here
+  const result = await query(
+    `UPDATE users SET totp_last_step = ?
+     WHERE id = ? AND (totp_last_step IS NULL OR totp_last_step < ?)`,
+    [step, user.id, step]
+  );
+
+  return { valid: result.affectedRows > 0, method: 'totp' };
+}
+
+// ----- Management -----
+
+export async function regenerateRecoveryCodes(user) {
+  if (!user.totpEnabled) {
+    throw httpError('Two-factor authentication is not enabled', 400);
+  }
+  return await RecoveryCode.issue(user.id);
+}
+
+export async function getStatus(user) {
+  return {
+    enabled: user.totpEnabled,
+    required: user.isTwoFactorRequired(),
+    recoveryCodesRemaining: user.totpEnabled ? await RecoveryCode.countUnused(user.id) : 0,
+  };
+}
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes. Used both when a
+ * user disables it and when an Admin resets it for a user who lost their device.
+ */
+export async function disable(userId) {
+  await query(
+    'UPDATE users SET totp_secret = NULL, totp_enabled = FALSE, totp_last_step = NULL WHERE id = ?',
+    [userId]
+  );
+  await RecoveryCode.deleteForUser(userId);
+
+  logger.info('Two-factor authentication disabled:', { userId });
+}
@@ -0,0 +1,269 @@
+/**
+ * Bank statement parsing for reconciliation.
+ *
+ * Turns a downloaded statement into plain lines:
+ *   { date: 'YYYY-MM-DD', description, reference, amount, balance }
+ * where amount is positive for money credited to the account and negative
+ * for money debited from it.
+ *
+ * CSV exports from Indian banks differ in column names, date formats and
+ * the preamble rows above the header, so the header row is located by
+ * looking for known column names instead of assuming a fixed position.
+ * OFX files (SGML 1.x or XML 2.x) are read from their STMTTRN blocks.
+ */
+
+const MONTHS = {
+  jan: 1, feb: 2, mar: 3, apr: 4, may: 5, jun: 6,
+  jul: 7, aug: 8, sep: 9, oct: 10, nov: 11, dec: 12
+};
+
+// Header names used by common Indian banks, matched after normalizeHeader()
+const COLUMN_ALIASES = {
+  date: ['txn date', 'transaction date', 'tran date', 'date', 'posting date', 'value date', 'value dt'],
+  description: ['description', 'narration', 'particulars', 'transaction remarks', 'remarks', 'details'],
+  reference: ['ref no./cheque no.', 'chq./ref.no.', 'cheque number', 'chq no', 'chqno', 'cheque no', 'ref no', 'reference no', 'reference', 'utr no'],
+  debit: ['debit', 'withdrawal amt.', 'withdrawal amount (inr )', 'withdrawal amount', 'withdrawals', 'dr', 'debit amount'],
+  credit: ['credit', 'deposit amt.', 'deposit amount (inr )', 'deposit amount', 'deposits', 'cr', 'credit amount'],
+  amount: ['amount', 'transaction amount', 'amount (inr)'],
+  drCr: ['dr/cr', 'cr/dr', 'type'],
+  balance: ['balance', 'closing balance', 'balance (inr )', 'bal', 'available balance']
+};
+
+// Header signatures used only to label the detected layout
+const LAYOUTS = [
+  { name: 'SBI', columns: ['txn date', 'ref no./cheque no.'] },
+  { name: 'HDFC', columns: ['narration', 'chq./ref.no.'] },
+  { name: 'ICICI', columns: ['transaction remarks', 'cheque number'] },
+  { name: 'Axis', columns: ['tran date', 'chqno', 'particulars'] }
+];
+
+const parseError = (message) => {
+  const error = new Error(message);
+  error.statusCode = 400;
+  return error;
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const normalizeHeader = (value) =>
+  String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Parse a statement date. Indian statements always put the day first:
+ * 05/04/2024, 05-04-24, 05-Apr-2024, 05 Apr 2024; ISO dates are accepted too.
+ */
+export const parseStatementDate = (value) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+
+  let match = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (match) return `${match[1]}-${match[2]}-${match[3]}`;
+
+  match = text.match(/^(\d{1,2})[/\-. ]([A-Za-z]{3})[A-Za-z]*[/\-. ,]*(\d{2,4})$/);
+  if (match) {
+    const month = MONTHS[match[2].toLowerCase()];
+    if (!month) return null;
+    return toIso(match[3], month, match[1]);
+  }
+
+  match = text.match(/^(\d{1,2})[/\-.](\d{1,2})[/\-.](\d{2,4})/);
+  if (match) return toIso(match[3], match[2], match[1]);
+
+  return null;
+};
+
+const toIso = (year, month, day) => {
+  let y = Number(year);
+  if (String(year).length === 2) y += 2000;
+  const m = Number(month);
+  const d = Number(day);
+  if (m < 1 || m > 12 || d < 1 || d > 31) return null;
+  return `${y}-${pad(m)}-${pad(d)}`;
+};
+
+/**
+ * Parse an amount such as "1,25,000.00", "500.00 Cr", "(250.00)" or "-".
+ * Returns null for blank cells; a trailing Dr or parentheses make it negative.
+ */
+export const parseStatementAmount = (value) => {
+  let text = String(value ?? '').trim();
+  if (!text || text === '-') return null;
+
+  let sign = 1;
+  const suffix = text.match(/\s*(cr|dr)\.?$/i);
+  if (suffix) {
+    if (suffix[1].toLowerCase() === 'dr') sign = -1;
+    text = text.slice(0, suffix.index);
+  }
+  if (/^\(.*\)$/.test(text)) {
+    sign = -sign;
+    text = text.slice(1, -1);
+  }
+
+  const number = Number(text.replace(/[,₹\s]/g, '').replace(/^INR/i, ''));
+  if (!Number.isFinite(number)) return null;
+  return Math.round(sign * number * 100) / 100;
+};
+
+// Split CSV text into rows of cells, honouring quoted cells and "" escapes
+const parseCsvRows = (text) => {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+  return rows.map(r => r.map(c => c.trim()));
+};
+
+// Column index for each field, or null when this row is not a header row
+const mapHeader = (cells) => {
+  const headers = cells.map(normalizeHeader);
+  const columns = {};
+  for (const [field, aliases] of Object.entries(COLUMN_ALIASES)) {
+    for (const alias of aliases) {
+      const index = headers.indexOf(alias);
+      if (index !== -1 && !Object.values(columns).includes(index)) {
+        columns[field] = index;
+        break;
+      }
+    }
+  }
+
+  const hasAmounts = (columns.debit !== undefined && columns.credit !== undefined) || columns.amount !== undefined;
+  if (columns.date === undefined || columns.description === undefined || !hasAmounts) return null;
+
+  const layout = LAYOUTS.find(l => l.columns.every(c => headers.includes(c)));
+  return { columns, layout: layout ? layout.name : 'Generic' };
+};
+
+export const parseCsvStatement = (content) => {
+  const rows = parseCsvRows(content);
+  const headerIndex = rows.findIndex(cells => mapHeader(cells));
+  if (headerIndex === -1) {
+    throw parseError('Could not find the transaction header row in the CSV statement');
+  }
+
+  const { columns, layout } = mapHeader(rows[headerIndex]);
+  const cell = (cells, field) => (columns[field] === undefined ? '' : cells[columns[field]] ?? '');
+  const lines = [];
+
+  for (const cells of rows.slice(headerIndex + 1)) {
+    // Footer rows (totals, "end of statement") have no parseable date
+    const date = parseStatementDate(cell(cells, 'date'));
+    if (!date) continue;
+
+    let amount;
+    if (columns.debit !== undefined && columns.credit !== undefined) {
+      const debit = parseStatementAmount(cell(cells, 'debit'));
+      const credit = parseStatementAmount(cell(cells, 'credit'));
+      amount = (credit ? Math.abs(credit) : 0) - (debit ? Math.abs(debit) : 0);
+    } else {
+      amount = parseStatementAmount(cell(cells, 'amount')) ?? 0;
+      const direction = normalizeHeader(cell(cells, 'drCr'));
+      if (direction.startsWith('dr') || direction === 'd' || direction === 'debit') amount = -Math.abs(amount);
+      if (direction.startsWith('cr') || direction === 'c' || direction === 'credit') amount = Math.abs(amount);
+    }
+    if (!amount) continue;
+
+    lines.push({
+      date,
+      description: cell(cells, 'description').replace(/\s+/g, ' '),
+      reference: cell(cells, 'reference').replace(/^0+$/, ''),
+      amount: Math.round(amount * 100) / 100,
+      balance: parseStatementAmount(cell(cells, 'balance'))
+    });
+  }
+
+  return { format: 'CSV', layout, lines };
+};
+
+// Value of an OFX tag; works for SGML (no closing tags) and XML
+const ofxTag = (block, tag) => {
+  const match = block.match(new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i'));
+  return match ? match[1].trim() : '';
+};
+
+const ofxDate = (value) => {
+  const match = String(value).match(/^(\d{4})(\d{2})(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+};
+
+export const parseOfxStatement = (content) => {
+  const blocks = content.split(/<STMTTRN>/i).slice(1);
+  if (blocks.length === 0 && !/<OFX>/i.test(content)) {
+    throw parseError('Not a valid OFX statement');
+  }
+
+  const lines = [];
+  for (const raw of blocks) {
+    const block = raw.split(/<\/STMTTRN>/i)[0];
+    const date = ofxDate(ofxTag(block, 'DTPOSTED'));
+    const amount = parseStatementAmount(ofxTag(block, 'TRNAMT'));
+    if (!date || !amount) continue;
+
+    const name = ofxTag(block, 'NAME');
+    const memo = ofxTag(block, 'MEMO');
+    lines.push({
+      date,
+      description: [name, memo].filter(Boolean).join(' - '),
+      reference: ofxTag(block, 'CHECKNUM') || ofxTag(block, 'REFNUM'),
+      externalId: ofxTag(block, 'FITID') || null,
+      amount,
+      balance: null
+    });
+  }
+
+  // Only the closing ledger balance is given; attach it to the last line
+  const closing = content.match(/<LEDGERBAL>[\s\S]*?<BALAMT>([^<\r\n]*)/i);
+  if (closing && lines.length > 0) {
+    lines[lines.length - 1].balance = parseStatementAmount(closing[1]);
+  }
+
+  return { format: 'OFX', layout: 'OFX', lines };
+};
+
+/**
+ * Parse a statement file. The format is taken from `format` when given,
+ * otherwise from the file extension or the content itself.
+ */
+export const parseStatement = (content, { fileName = '', format = null } = {}) => {
+  const text = String(content || '').replace(/^\uFEFF/, '');
+  const detected = format
+    || (/\.(ofx|qfx)$/i.test(fileName) || /<OFX>|OFXHEADER/i.test(text) ? 'OFX' : 'CSV');
+
+  const parsed = detected === 'OFX' ? parseOfxStatement(text) : parseCsvStatement(text);
+  if (parsed.lines.length === 0) {
+    throw parseError('The statement has no transactions');
+  }
+  return parsed;
+};
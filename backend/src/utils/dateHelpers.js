@@ -0,0 +1,53 @@
+/**
+ * Date-only helpers for DATE columns.
+ * mysql2 hands DATE columns back as local-time Date objects while the API
+ * speaks 'YYYY-MM-DD' strings, so everything here normalizes to that form.
+ */
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Normalize a Date or 'YYYY-MM-DD...' string to 'YYYY-MM-DD'
+export const toDateOnly = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+  }
+  return String(value).slice(0, 10);
+};
+
+// Today's date as 'YYYY-MM-DD' (server local time)
+export const today = () => toDateOnly(new Date());
+
+const parts = (value) => toDateOnly(value).split('-').map(Number);
+
+const daysInMonth = (year, month) => new Date(year, month, 0).getDate();
+
+/**
+ * Add calendar months to a date, clamping to the end of shorter months.
+ * anchorDay keeps a due day of e.g. 31 from drifting to 28 after February.
+ */
+export const addMonths = (value, months, anchorDay = null) => {
+  const [year, month, day] = parts(value);
+  const total = (year * 12 + (month - 1)) + months;
+  const newYear = Math.floor(total / 12);
+  const newMonth = (total % 12) + 1;
+  const wantedDay = anchorDay || day;
+  return `${newYear}-${pad(newMonth)}-${pad(Math.min(wantedDay, daysInMonth(newYear, newMonth)))}`;
+};
+
+export const addDays = (value, days) => {
+  const [year, month, day] = parts(value);
+  return toDateOnly(new Date(year, month - 1, day + days));
+};
+
+// Whole days from a to b (positive when b is later)
+export const daysBetween = (a, b) => {
+  const [y1, m1, d1] = parts(a);
+  const [y2, m2, d2] = parts(b);
+  return Math.round((Date.UTC(y2, m2 - 1, d2) - Date.UTC(y1, m1 - 1, d1)) / 86400000);
+};
+
+// Billing period key 'YYYY-MM' for a date
+export const toPeriod = (value) => toDateOnly(value).slice(0, 7);
+
+export const dayOfMonth = (value) => parts(value)[2];
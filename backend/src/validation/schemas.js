@@ -68,14 +68,25 @@ export const createLoanSchema = Joi.object({
   interest_rate: Joi.number().precision(2).min(0).max(100).required(),
   disbursed_date: Joi.date().iso().required(),
   loan_duration: Joi.number().integer().min(1).max(1000).required(),
-  monthly_emi: Joi.number().precision(2).min(0).required(),
-  outstanding_balance: Joi.number().precision(2).min(0).required(),
+  // Derived from the amortization schedule on create; accepted but ignored
+  monthly_emi: Joi.number().precision(2).min(0).optional(),
+  outstanding_balance: Joi.number().precision(2).min(0).optional(),
   total_repaid: Joi.number().precision(2).min(0).default(0),
   status: Joi.string().valid('Active', 'Completed', 'Defaulted').default('Active'),
-  next_emi_date: Joi.date().iso().required(),
+  next_emi_date: Joi.date().iso().optional(),
   last_payment_date: Joi.date().iso().optional()
 });
 
+export const loanRepaymentSchema = Joi.object({
+  amount: Joi.number().precision(2).positive().required(),
+  date: Joi.date().iso().optional(),
+  receipt_number: Joi.string().max(50).optional(),
+  description: Joi.string().optional(),
+  payment_mode: Joi.string().valid('Cash', 'UPI', 'Cheque', 'Bank Transfer').default('Cash'),
+  payment_reference: Joi.string().max(100).when('payment_mode', { not: 'Cash', then: Joi.required(), otherwise: Joi.optional() }),
+  cheque_date: Joi.date().iso().when('payment_mode', { is: 'Cheque', then: Joi.required(), otherwise: Joi.optional() })
+});
+
 export const updateLoanSchema = Joi.object({
   tenant_id: Joi.string().length(36).optional(),
   tenant_name: Joi.string().min(2).max(100).optional(),
@@ -101,6 +112,8 @@ export const createRentPenaltySchema = Joi.object({
   rent_amount: Joi.number().precision(2).min(0).required(),
   due_date: Joi.date().iso().required(),
   paid_date: Joi.date().iso().optional(),
+  invoice_id: Joi.string().length(36).optional(),
+  penalty_type: Joi.string().valid('flat', 'percentage', 'per_day').optional(),
   penalty_rate: Joi.number().precision(2).min(0).max(100).required(),
   penalty_amount: Joi.number().precision(2).min(0).required(),
   penalty_paid: Joi.boolean().default(false),
@@ -115,41 +128,11 @@ export const updateRentPenaltySchema = Joi.object({
   rent_amount: Joi.number().precision(2).min(0).optional(),
   due_date: Joi.date().iso().optional(),
   paid_date: Joi.date().iso().optional(),
+  invoice_id: Joi.string().length(36).optional(),
+  penalty_type: Joi.string().valid('flat', 'percentage', 'per_day').optional(),
   penalty_rate: Joi.number().precision(2).min(0).max(100).optional(),
   penalty_amount: Joi.number().precision(2).min(0).optional(),
   penalty_paid: Joi.boolean().optional(),
   penalty_paid_date: Joi.date().iso().optional(),
   status: Joi.string().valid('Pending', 'Paid').optional()
 });
-
-// UploadedFile validation schemas
-export const createUploadedFileSchema = Joi.object({
-  id: Joi.string().length(36).required(),
-  filename: Joi.string().max(255).required(),
-  original_name: Joi.string().max(255).required(),
-  file_path: Joi.string().max(500).required(),
-  file_size: Joi.number().integer().min(0).required(),
-  mime_type: Joi.string().max(100).required(),
-  uploaded_by: Joi.string().length(36).required(),
-  tenant_id: Joi.string().length(36).optional(),
-  agreement_id: Joi.string().length(36).optional(),
-  file_type: Joi.string().valid('document', 'image', 'pdf', 'other').default('document'),
-  category: Joi.string().max(100).optional(),
-  description: Joi.string().optional(),
-  is_active: Joi.boolean().default(true)
-});
-
-export const updateUploadedFileSchema = Joi.object({
-  filename: Joi.string().max(255).optional(),
-  original_name: Joi.string().max(255).optional(),
-  file_path: Joi.string().max(500).optional(),
-  file_size: Joi.number().integer().min(0).optional(),
-  mime_type: Joi.string().max(100).optional(),
-  uploaded_by: Joi.string().length(36).optional(),
-  tenant_id: Joi.string().length(36).optional(),
-  agreement_id: Joi.string().length(36).optional(),
-  file_type: Joi.string().valid('document', 'image', 'pdf', 'other').optional(),
-  category: Joi.string().max(100).optional(),
-  description: Joi.string().optional(),
-  is_active: Joi.boolean().optional()
-});
\ No newline at end of file
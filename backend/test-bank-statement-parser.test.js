@@ -0,0 +1,163 @@
+/**
+ * Bank statement parsing: the date and amount formats Indian banks use, CSV
+ * exports with preambles and footers, and OFX in both SGML and XML form.
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseStatementDate,
+  parseStatementAmount,
+  parseCsvStatement,
+  parseOfxStatement,
+  parseStatement,
+} from './src/utils/bankStatementParser.js';
+
+describe('parseStatementDate', () => {
+  it('reads the day first in every separator style', () => {
+    expect(parseStatementDate('05/04/2024')).toBe('2024-04-05');
+    expect(parseStatementDate('5-4-24')).toBe('2024-04-05');
+    expect(parseStatementDate('05.04.2024')).toBe('2024-04-05');
+  });
+
+  it('reads month names', () => {
+    expect(parseStatementDate('05-Apr-2024')).toBe('2024-04-05');
+    expect(parseStatementDate('05 April 2024')).toBe('2024-04-05');
+    expect(parseStatementDate('31 Mar, 25')).toBe('2025-03-31');
+  });
+
+  it('accepts ISO dates, with or without a time', () => {
+    expect(parseStatementDate('2024-04-05')).toBe('2024-04-05');
+    expect(parseStatementDate('2024-04-05 10:15:00')).toBe('2024-04-05');
+  });
+
+  it('rejects anything that is not a date', () => {
+    expect(parseStatementDate('')).toBeNull();
+    expect(parseStatementDate('Opening Balance')).toBeNull();
+    expect(parseStatementDate('05/13/2024')).toBeNull();
+    expect(parseStatementDate('05-Foo-2024')).toBeNull();
+  });
+});
+
+describe('parseStatementAmount', () => {
+  it('reads Indian digit grouping and currency marks', () => {
+    expect(parseStatementAmount('1,25,000.00')).toBe(125000);
+    expect(parseStatementAmount('₹ 2,500.50')).toBe(2500.5);
+    expect(parseStatementAmount('INR 300')).toBe(300);
+  });
+
+  it('makes Dr and parenthesised amounts negative', () => {
+    expect(parseStatementAmount('500.00 Dr')).toBe(-500);
+    expect(parseStatementAmount('500.00 Cr.')).toBe(500);
+    expect(parseStatementAmount('(250.00)')).toBe(-250);
+    expect(parseStatementAmount('-75.25')).toBe(-75.25);
+  });
+
+  it('treats blank cells and dashes as no amount', () => {
+    expect(parseStatementAmount('')).toBeNull();
+    expect(parseStatementAmount('  -  ')).toBeNull();
+    expect(parseStatementAmount(null)).toBeNull();
+    expect(parseStatementAmount('n/a')).toBeNull();
+  });
+});
+
+describe('parseCsvStatement', () => {
+  it('finds the header below the preamble and skips the footer', () => {
+    const csv = [
+      'Account Name :,SHREE KHANDESHWAR DEVASTHAN',
+      'Account Number :,00000012345678901',
+      '',
+      'Txn Date,Value Date,Description,Ref No./Cheque No.,Debit,Credit,Balance',
+      '01 Apr 2025,01 Apr 2025,"NEFT-RAMESH JADHAV, SHOP 7",N123456,,"5,000.00","1,05,000.00"',
+      '02 Apr 2025,02 Apr 2025,ELECTRICITY BILL,000000,"1,250.00",,"1,03,750.00"',
+      '03 Apr 2025,03 Apr 2025,ZERO VALUE ENTRY,,,,"1,03,750.00"',
+      ',,Computer generated statement,,,,',
+    ].join('\r\n');
+
+    const { layout, lines } = parseCsvStatement(csv);
+
+    expect(layout).toBe('SBI');
+    expect(lines).toEqual([
+      { date: '2025-04-01', description: 'NEFT-RAMESH JADHAV, SHOP 7', reference: 'N123456', amount: 5000, balance: 105000 },
+      { date: '2025-04-02', description: 'ELECTRICITY BILL', reference: '', amount: -1250, balance: 103750 },
+    ]);
+  });
+
+  it('reads a single amount column signed by a Dr/Cr column', () => {
+    const csv = [
+      'Transaction Date,Particulars,Amount,Dr/Cr,Balance',
+      '10/04/2025,UPI/DONATION,"1,001.00",CR,"50,000.00 Cr"',
+      '11/04/2025,CHQ PAID 4411,500.00,DR,"49,500.00 Cr"',
+    ].join('\n');
+
+    expect(parseCsvStatement(csv).lines.map(line => [line.date, line.amount, line.balance])).toEqual([
+      ['2025-04-10', 1001, 50000],
+      ['2025-04-11', -500, 49500],
+    ]);
+  });
+
+  it('keeps escaped quotes inside a quoted cell', () => {
+    const csv = 'Date,Narration,Withdrawal Amt.,Deposit Amt.\n01/04/25,"SEVA ""ANNADAN"" DONATION",,100.00';
+
+    expect(parseCsvStatement(csv).lines[0].description).toBe('SEVA "ANNADAN" DONATION');
+  });
+
+  it('fails without a recognisable header row', () => {
+    expect(() => parseCsvStatement('foo,bar\n1,2')).toThrow('Could not find the transaction header row');
+  });
+});
+
+describe('parseOfxStatement', () => {
+  const transactions = (close) => `
+<STMTTRN>
+<TRNTYPE>CREDIT${close('TRNTYPE')}
+<DTPOSTED>20250401120000[+5:30:IST]${close('DTPOSTED')}
+<TRNAMT>5000.00${close('TRNAMT')}
+<FITID>FIT-1${close('FITID')}
+<NAME>RAMESH JADHAV${close('NAME')}
+<MEMO>RENT APR${close('MEMO')}
+</STMTTRN>
+<STMTTRN>
+<TRNTYPE>CHECK${close('TRNTYPE')}
+<DTPOSTED>20250402${close('DTPOSTED')}
+<TRNAMT>-1250.00${close('TRNAMT')}
+<FITID>FIT-2${close('FITID')}
+<CHECKNUM>004411${close('CHECKNUM')}
+<NAME>MSEDCL${close('NAME')}
+</STMTTRN>
+<LEDGERBAL><BALAMT>103750.00${close('BALAMT')}<DTASOF>20250402${close('DTASOF')}</LEDGERBAL>`;
+
+  const expected = [
+    { date: '2025-04-01', description: 'RAMESH JADHAV - RENT APR', reference: '', externalId: 'FIT-1', amount: 5000, balance: null },
+    { date: '2025-04-02', description: 'MSEDCL', reference: '004411', externalId: 'FIT-2', amount: -1250, balance: 103750 },
+  ];
+
+  it('reads SGML statements without closing tags', () => {
+    const sgml = `OFXHEADER:100\nDATA:OFXSGML\n\n<OFX><BANKTRANLIST>${transactions(() => '')}</BANKTRANLIST></OFX>`;
+
+    expect(parseOfxStatement(sgml).lines).toEqual(expected);
+  });
+
+  it('reads XML statements', () => {
+    const xml = `<?xml version="1.0"?><OFX><BANKTRANLIST>${transactions((tag) => `</${tag}>`)}</BANKTRANLIST></OFX>`;
+
+    expect(parseOfxStatement(xml).lines).toEqual(expected);
+  });
+
+  it('rejects content that is not OFX', () => {
+    expect(() => parseOfxStatement('Date,Amount')).toThrow('Not a valid OFX statement');
+  });
+});
+
+describe('parseStatement', () => {
+  it('detects OFX by extension or content and strips a byte order mark', () => {
+    const ofx = '<OFX><STMTTRN><DTPOSTED>20250401<TRNAMT>10.00</STMTTRN></OFX>';
+
+    expect(parseStatement(ofx).format).toBe('OFX');
+    expect(parseStatement(`\uFEFF${ofx}`, { fileName: 'april.qfx' }).format).toBe('OFX');
+    expect(parseStatement('\uFEFFDate,Narration,Amount\n01/04/2025,CASH DEPOSIT,10').format).toBe('CSV');
+  });
+
+  it('fails on a statement without transactions', () => {
+    expect(() => parseStatement('Date,Narration,Amount\n')).toThrow('The statement has no transactions');
+  });
+});
@@ -0,0 +1,166 @@
+/**
+ * Bouncing a cheque undoes what the payment did: invoices it settled are
+ * reopened, EMIs it paid are taken back and a late fee it paid is due again.
+ * Neither a bounce nor a clearing may touch a cheque reconciled in a locked
+ * bank statement.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { transaction } from './src/config/db.js';
+import * as rentInvoicesService from './src/services/rentInvoicesService.js';
+import * as loanScheduleService from './src/services/loanScheduleService.js';
+import * as rentPenaltiesService from './src/services/rentPenaltiesService.js';
+import * as generalLedgerService from './src/services/generalLedgerService.js';
+import * as auditService from './src/services/auditService.js';
+import { bounceCheque, clearCheque } from './src/services/chequeService.js';
+
+vi.mock('./src/config/db.js', () => ({ query: vi.fn(), transaction: vi.fn() }));
+vi.mock('./src/services/rentInvoicesService.js', () => ({ reversePayment: vi.fn() }));
+vi.mock('./src/services/loanScheduleService.js', () => ({ reverseRepayment: vi.fn() }));
+vi.mock('./src/services/rentPenaltiesService.js', () => ({ syncPendingPenalties: vi.fn() }));
+vi.mock('./src/services/generalLedgerService.js', () => ({ syncTransaction: vi.fn(), syncPenalty: vi.fn() }));
+vi.mock('./src/services/financialYearService.js', () => ({ assertDatesOpen: vi.fn() }));
+vi.mock('./src/services/auditService.js', () => ({ record: vi.fn() }));
+
+const chequeRow = {
+  id: 'txn-1',
+  date: '2025-06-10',
+  type: 'RentIncome',
+  category: 'Rent',
+  description: 'Rent payment for shop 7',
+  amount: '5000.00',
+  agreement_id: 'agr-1',
+  tenant_name: 'Ramesh Jadhav',
+  payment_mode: 'Cheque',
+  payment_reference: '654321',
+  clearing_status: 'Pending',
+  clearing_date: null,
+};
+
+// Serves one transactions row, applying the bounce UPDATE to it. `lockedPeriod`
+// is the locked bank statement month the cheque is matched in, if any.
+const fakeConnection = (row, lockedPeriod = null) => {
+  const stored = { ...row };
+  const calls = [];
+  return {
+    calls,
+    execute: async (sql, params = []) => {
+      calls.push({ sql, params });
+      if (sql.startsWith("UPDATE transactions SET clearing_status = 'Bounced'")) {
+        Object.assign(stored, { clearing_status: 'Bounced', clearing_date: params[0], bounce_reason: params[1] });
+      }
+      if (sql.startsWith('SELECT * FROM transactions')) return [[{ ...stored }]];
+      if (sql.includes('FROM bank_statement_lines')) return [lockedPeriod ? [{ period: lockedPeriod }] : []];
+      return [{ affectedRows: 1 }];
+    },
+  };
+};
+
+let connection;
+const useCheque = (fields = {}, lockedPeriod = null) => {
+  connection = fakeConnection({ ...chequeRow, ...fields }, lockedPeriod);
+};
+
+describe('bounceCheque', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useCheque();
+    vi.mocked(transaction).mockImplementation((callback) => callback(connection));
+    vi.mocked(rentInvoicesService.reversePayment).mockResolvedValue({ reopenedInvoiceIds: ['inv-jun'] });
+  });
+
+  it('reopens the rent invoices the payment settled and reposts the reversal', async () => {
+    const outcome = await bounceCheque('txn-1', { date: '2025-06-15', reason: 'Insufficient funds' });
+
+    expect(rentInvoicesService.reversePayment).toHaveBeenCalledWith(connection, 'txn-1');
+    expect(loanScheduleService.reverseRepayment).not.toHaveBeenCalled();
+    expect(generalLedgerService.syncTransaction).toHaveBeenCalledWith(connection, 'txn-1');
+    expect(rentPenaltiesService.syncPendingPenalties).toHaveBeenCalledWith('agr-1');
+    expect(outcome.reopenedInvoiceIds).toEqual(['inv-jun']);
+    expect(outcome.transaction).toMatchObject({
+      clearingStatus: 'Bounced',
+      clearingDate: '2025-06-15',
+      bounceReason: 'Insufficient funds',
+    });
+  });
+
+  it('takes a loan repayment back off the schedule instead', async () => {
+    useCheque({ loan_id: 'loan-1', category: 'Loan Repayment' });
+
+    await bounceCheque('txn-1', { date: '2025-06-15' });
+
+    expect(loanScheduleService.reverseRepayment).toHaveBeenCalledWith(connection, 'loan-1', 5000);
+    expect(rentInvoicesService.reversePayment).not.toHaveBeenCalled();
+  });
+
+  it('makes a late fee the cheque paid due again', async () => {
+    useCheque({ penalty_id: 'pen-1', amount: '250.00' });
+
+    await bounceCheque('txn-1', { date: '2025-06-15' });
+
+    const reopened = connection.calls.find(({ sql }) => sql.startsWith('UPDATE rent_penalties'));
+    expect(reopened.sql).toMatch(/status = 'Pending', penalty_paid = FALSE/);
+    expect(reopened.params).toEqual(['pen-1']);
+  });
+
+  it('raises a bounce charge against the agreement', async () => {
+    const { bounceCharge } = await bounceCheque('txn-1', { date: '2025-06-15', bounceCharge: 300 });
+
+    expect(bounceCharge).toMatchObject({ agreementId: 'agr-1', reason: 'ChequeBounce', penaltyAmount: 300, status: 'Pending' });
+    expect(connection.calls.some(({ sql }) => sql.startsWith('INSERT INTO rent_penalties'))).toBe(true);
+    expect(generalLedgerService.syncPenalty).toHaveBeenCalledWith(connection, bounceCharge.id);
+  });
+
+  it('audits the bounce and its charge in the same database transaction', async () => {
+    const actor = { id: 'user-1', username: 'treasurer' };
+    const { bounceCharge } = await bounceCheque('txn-1', { date: '2025-06-15', bounceCharge: 300 }, { actor });
+
+    expect(auditService.record).toHaveBeenCalledWith(actor, expect.objectContaining({
+      entityType: 'Transaction',
+      entityId: 'txn-1',
+      action: 'update',
+      before: expect.objectContaining({ clearingStatus: 'Pending' }),
+      after: expect.objectContaining({ clearingStatus: 'Bounced' }),
+    }), connection);
+    expect(auditService.record).toHaveBeenCalledWith(actor, expect.objectContaining({
+      entityType: 'RentPenalty', entityId: bounceCharge.id, action: 'create',
+    }), connection);
+  });
+
+  it('refuses a bounce charge on a cheque not received from a tenant', async () => {
+    useCheque({ type: 'Donation', agreement_id: null });
+
+    await expect(bounceCheque('txn-1', { date: '2025-06-15', bounceCharge: 300 }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+
+  it('refuses a cheque that already bounced or a date before the payment', async () => {
+    await expect(bounceCheque('txn-1', { date: '2025-06-01' })).rejects.toMatchObject({ statusCode: 400 });
+
+    useCheque({ clearing_status: 'Bounced' });
+    await expect(bounceCheque('txn-1', { date: '2025-06-15' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(rentInvoicesService.reversePayment).not.toHaveBeenCalled();
+  });
+});
+
+describe('a cheque reconciled in a locked month', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    useCheque({}, '2025-06');
+    vi.mocked(transaction).mockImplementation((callback) => callback(connection));
+  });
+
+  it('cannot be bounced', async () => {
+    await expect(bounceCheque('txn-1', { date: '2025-07-02' }))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('2025-06') });
+    expect(connection.calls.some(({ sql }) => sql.startsWith('UPDATE transactions'))).toBe(false);
+    expect(rentInvoicesService.reversePayment).not.toHaveBeenCalled();
+    expect(generalLedgerService.syncTransaction).not.toHaveBeenCalled();
+  });
+
+  it('cannot be cleared', async () => {
+    await expect(clearCheque('txn-1', { date: '2025-07-02' })).rejects.toMatchObject({ statusCode: 409 });
+    expect(connection.calls.some(({ sql }) => sql.startsWith('UPDATE transactions'))).toBe(false);
+    expect(auditService.record).not.toHaveBeenCalled();
+  });
+});
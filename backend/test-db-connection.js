@@ -86,7 +86,7 @@ async function verifyUsersTableStructure(pool) {
       console.log("❌ Users table does not exist");
       console.log("\n💡 You may need to run database migrations:");
       console.log("   • Check if migrations are set up in your application");
-      console.log("   • Look for schema.sql or migration files");
+      console.log("   • Apply the migrations: npm run migrate -- up");
       return false;
     }
     
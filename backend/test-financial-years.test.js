@@ -0,0 +1,99 @@
+/**
+ * Financial years run 1 April - 31 March; dates in a closed year are locked,
+ * and checking them inside a transaction locks the year rows read.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { query } from './src/config/db.js';
+import { yearFor, yearBounds, assertDatesOpen } from './src/services/financialYearService.js';
+
+vi.mock('./src/config/db.js', () => ({ query: vi.fn(), transaction: vi.fn() }));
+vi.mock('./src/services/generalLedgerService.js', () => ({}));
+
+describe('yearFor', () => {
+  it('changes year between 31 March and 1 April', () => {
+    expect(yearFor('2025-03-31')).toBe('2024-25');
+    expect(yearFor('2025-04-01')).toBe('2025-26');
+  });
+
+  it('keeps January to March in the year that began the April before', () => {
+    expect(yearFor('2025-01-01')).toBe('2024-25');
+    expect(yearFor('2024-12-31')).toBe('2024-25');
+  });
+
+  it('wraps the two-digit suffix at the turn of a century', () => {
+    expect(yearFor('2099-04-01')).toBe('2099-00');
+  });
+});
+
+describe('yearBounds', () => {
+  it('runs from 1 April to 31 March', () => {
+    expect(yearBounds('2024-25')).toEqual({ startDate: '2024-04-01', endDate: '2025-03-31' });
+    expect(yearBounds('2099-00')).toEqual({ startDate: '2099-04-01', endDate: '2100-03-31' });
+  });
+
+  it('matches yearFor on both edges', () => {
+    const { startDate, endDate } = yearBounds('2024-25');
+    expect(yearFor(startDate)).toBe('2024-25');
+    expect(yearFor(endDate)).toBe('2024-25');
+  });
+
+  it('rejects labels whose years do not follow on', () => {
+    expect(() => yearBounds('2024-26')).toThrow('Invalid financial year: 2024-26');
+    expect(() => yearBounds('2024')).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+});
+
+describe('assertDatesOpen', () => {
+  const closed2024 = { year: '2024-25', status: 'Closed', start_date: '2024-04-01', end_date: '2025-03-31' };
+
+  const fakeConnection = (rows) => {
+    const calls = [];
+    return {
+      calls,
+      execute: async (sql, params = []) => {
+        calls.push({ sql, params });
+        return [rows];
+      },
+    };
+  };
+
+  it('locks the year rows of the dates it checks', async () => {
+    const connection = fakeConnection([]);
+
+    await assertDatesOpen(connection, ['2025-04-01', null, '2025-06-10', '2026-03-31']);
+
+    expect(connection.calls).toHaveLength(1);
+    expect(connection.calls[0].sql).toMatch(/FROM financial_years\s+WHERE year IN \(\?\) LOCK IN SHARE MODE$/);
+    expect(connection.calls[0].params).toEqual(['2025-26']);
+  });
+
+  it('refuses a date in a closed year', async () => {
+    const connection = fakeConnection([closed2024, { ...closed2024, year: '2025-26', status: 'Open' }]);
+
+    await expect(assertDatesOpen(connection, ['2025-04-01', '2025-03-31']))
+      .rejects.toMatchObject({ statusCode: 409, message: expect.stringContaining('Financial year 2024-25 is closed') });
+    expect(connection.calls[0].params).toEqual(['2025-26', '2024-25']);
+  });
+
+  it('allows the first day of the next, open year', async () => {
+    const connection = fakeConnection([closed2024]);
+
+    await expect(assertDatesOpen(connection, ['2025-04-01'])).resolves.toBeUndefined();
+  });
+
+  it('reads all closed years without a transaction', async () => {
+    vi.mocked(query).mockResolvedValue([closed2024]);
+
+    await expect(assertDatesOpen(null, ['2024-04-01'])).rejects.toMatchObject({ statusCode: 409 });
+    expect(vi.mocked(query).mock.calls[0][0]).toMatch(/WHERE status = 'Closed'/);
+  });
+
+  it('reads nothing when no date is given', async () => {
+    const connection = fakeConnection([]);
+
+    await assertDatesOpen(connection, [null, undefined]);
+
+    expect(connection.calls).toEqual([]);
+  });
+});
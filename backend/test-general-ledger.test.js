@@ -0,0 +1,153 @@
+/**
+ * General ledger postings: per-category accounts and the journal entries a
+ * transaction posts, each of which must balance.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ACCOUNTS, categoryAccount, syncTransaction } from './src/services/generalLedgerService.js';
+
+describe('categoryAccount', () => {
+  it('files a category under its group with a code made from its name', () => {
+    expect(categoryAccount(ACCOUNTS.DONATION_INCOME, 'Annadan')).toEqual({
+      code: '4000-ANNADAN',
+      name: 'Donation Income - Annadan',
+      type: 'Income',
+      parentCode: '4000',
+    });
+    expect(categoryAccount(ACCOUNTS.EXPENSES, ' Gala Kharch / Misc. ').code).toBe('5000-GALA-KHARCH-MISC');
+  });
+
+  it('keeps Devanagari names', () => {
+    expect(categoryAccount(ACCOUNTS.EXPENSES, 'उत्सव खर्च').code).toBe('5000-उत्सव-खर्च');
+  });
+
+  it('falls back to General without a category', () => {
+    expect(categoryAccount(ACCOUNTS.DONATION_INCOME, '')).toMatchObject({
+      code: '4000-GENERAL',
+      name: 'Donation Income - General',
+    });
+    expect(categoryAccount(ACCOUNTS.DONATION_INCOME, '***').code).toBe('4000-GENERAL');
+  });
+
+  it('caps the code at 50 characters after the group', () => {
+    expect(categoryAccount(ACCOUNTS.EXPENSES, 'x'.repeat(80)).code).toBe(`5000-${'X'.repeat(50)}`);
+  });
+});
+
+const columnsOf = (sql, params) => {
+  const columns = sql.match(/\(([^)]+)\) VALUES/)[1].split(',').map(column => column.trim());
+  return Object.fromEntries(columns.map((column, i) => [column, params[i]]));
+};
+
+// Keeps ledger accounts and journal entries in memory, serving one
+// transactions row; linked agreements, loans and penalties are all live
+const fakeLedger = (row, { postedInterest = 0 } = {}) => {
+  const accounts = [];
+  const entries = [];
+  const lines = [];
+  return {
+    execute: async (sql, params = []) => {
+      if (sql.startsWith('SELECT * FROM transactions')) return [[row]];
+      if (/^SELECT id FROM (agreements|loans|rent_penalties)/.test(sql)) return [[{ id: params[0] }]];
+      if (sql.startsWith('SELECT id FROM ledger_accounts')) {
+        return [accounts.filter(account => account.code === params[0])];
+      }
+      if (/SUM\(l\.credit\)/.test(sql)) return [[{ interest: postedInterest }]];
+      if (sql.startsWith('INSERT INTO ledger_accounts')) accounts.push(columnsOf(sql, params));
+      if (sql.startsWith('INSERT INTO journal_entries')) entries.push(columnsOf(sql, params));
+      if (sql.startsWith('INSERT INTO journal_lines')) lines.push(columnsOf(sql, params));
+      return [{ affectedRows: 1 }];
+    },
+    // [{ date, description, lines: [[code, debit, credit]] }] as posted
+    journal: () => entries.map(entry => ({
+      date: entry.entry_date,
+      description: entry.description,
+      lines: lines
+        .filter(line => line.entry_id === entry.id)
+        .map(line => [accounts.find(account => account.id === line.account_id).code, line.debit, line.credit]),
+    })),
+  };
+};
+
+const post = async (row, options) => {
+  const connection = fakeLedger({ id: 'txn-1', date: '2025-06-10', description: 'Entry', ...row }, options);
+  await syncTransaction(connection, 'txn-1', options);
+  return connection.journal();
+};
+
+const expectBalanced = (journal) => {
+  for (const entry of journal) {
+    const debits = entry.lines.reduce((sum, [, debit]) => sum + debit, 0);
+    const credits = entry.lines.reduce((sum, [, , credit]) => sum + credit, 0);
+    expect(Math.round(debits * 100)).toBe(Math.round(credits * 100));
+  }
+};
+
+describe('syncTransaction', () => {
+  it('posts a cash donation to cash and the category income account', async () => {
+    const journal = await post({ type: 'Donation', category: 'Annadan', amount: '501.00', payment_mode: 'Cash' });
+
+    expect(journal).toHaveLength(1);
+    expect(journal[0].lines).toEqual([['1000', 501, 0], ['4000-ANNADAN', 0, 501]]);
+    expectBalanced(journal);
+  });
+
+  it('pays an expense by UPI out of the bank', async () => {
+    const journal = await post({ type: 'Utilities', category: 'Light Bill', amount: '1234.50', payment_mode: 'UPI' });
+
+    expect(journal[0].lines).toEqual([['5000-LIGHT-BILL', 1234.5, 0], ['1010', 0, 1234.5]]);
+    expectBalanced(journal);
+  });
+
+  it('settles tenant receivables with a rent payment on an agreement', async () => {
+    const journal = await post({ type: 'RentIncome', category: 'Rent', amount: '5000.00', agreement_id: 'agr-1', payment_mode: 'Bank Transfer' });
+
+    expect(journal[0].lines).toEqual([['1010', 5000, 0], ['1100', 0, 5000]]);
+    expectBalanced(journal);
+  });
+
+  it('splits a loan repayment into principal and interest', async () => {
+    const journal = await post(
+      { type: 'RentIncome', category: 'Loan Repayment', amount: '8885.00', loan_id: 'loan-1', agreement_id: 'agr-1', payment_mode: 'Cash' },
+      { allocations: [{ amount: 8885, interest: 1000, principal: 7885 }] }
+    );
+
+    expect(journal[0].lines).toEqual([['1000', 8885, 0], ['1200', 0, 7885], ['4300', 0, 1000]]);
+    expectBalanced(journal);
+  });
+
+  it('keeps the interest posted before when a loan repayment is reposted', async () => {
+    const journal = await post(
+      { type: 'RentIncome', category: 'Loan Repayment', amount: '8885.00', loan_id: 'loan-1', payment_mode: 'Cash' },
+      { postedInterest: 1000 }
+    );
+
+    expect(journal[0].lines).toEqual([['1000', 8885, 0], ['1200', 0, 7885], ['4300', 0, 1000]]);
+  });
+
+  it('banks a cleared cheque on its clearing date', async () => {
+    const journal = await post({
+      type: 'Donation', category: 'Annadan', amount: '2000.00', payment_mode: 'Cheque',
+      payment_reference: '123456', clearing_status: 'Cleared', clearing_date: '2025-06-14',
+    });
+
+    expect(journal.map(entry => [entry.date, entry.lines])).toEqual([
+      ['2025-06-10', [['1020', 2000, 0], ['4000-ANNADAN', 0, 2000]]],
+      ['2025-06-14', [['1010', 2000, 0], ['1020', 0, 2000]]],
+    ]);
+    expectBalanced(journal);
+  });
+
+  it('reverses a bounced cheque on its bounce date', async () => {
+    const journal = await post({
+      type: 'RentIncome', category: 'Rent', amount: '5000.00', agreement_id: 'agr-1', payment_mode: 'Cheque',
+      payment_reference: '654321', clearing_status: 'Bounced', clearing_date: '2025-06-15', bounce_reason: 'Insufficient funds',
+    });
+
+    expect(journal.map(entry => [entry.date, entry.description, entry.lines])).toEqual([
+      ['2025-06-10', 'Entry', [['1020', 5000, 0], ['1100', 0, 5000]]],
+      ['2025-06-15', 'Cheque 654321 bounced: Insufficient funds', [['1020', 0, 5000], ['1100', 5000, 0]]],
+    ]);
+    expectBalanced(journal);
+  });
+});
@@ -0,0 +1,159 @@
+/**
+ * Loan EMIs and amortization schedules, and posting/reversing repayments
+ * against them.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { transaction, allocateReceiptNumber } from './src/config/db.js';
+import {
+  calculateEmi,
+  buildAmortizationSchedule,
+  postRepayment,
+  reverseRepayment,
+} from './src/services/loanScheduleService.js';
+
+vi.mock('./src/config/db.js', () => ({ query: vi.fn(), transaction: vi.fn(), allocateReceiptNumber: vi.fn() }));
+vi.mock('./src/services/financialYearService.js', () => ({ assertDatesOpen: vi.fn() }));
+vi.mock('./src/services/generalLedgerService.js', () => ({ syncTransaction: vi.fn() }));
+
+const sum = (values) => Math.round(values.reduce((a, b) => a + b, 0) * 100) / 100;
+
+describe('calculateEmi', () => {
+  it('rounds the reducing-balance EMI to whole rupees', () => {
+    expect(calculateEmi(100000, 1, 12)).toBe(8885);
+    expect(calculateEmi(50000, 1.5, 6)).toBe(8776);
+  });
+
+  it('splits an interest-free loan evenly', () => {
+    expect(calculateEmi(10000, 0, 3)).toBe(3333);
+  });
+
+  it('is zero without a principal or a term', () => {
+    expect(calculateEmi(0, 1, 12)).toBe(0);
+    expect(calculateEmi(10000, 1, 0)).toBe(0);
+  });
+});
+
+describe('buildAmortizationSchedule', () => {
+  it('charges the EMI every month and lets the last installment absorb the rounding', () => {
+    const { monthlyEmi, installments } = buildAmortizationSchedule({
+      loanAmount: 10000, interestRate: 0, loanDuration: 3, disbursedDate: '2025-01-15',
+    });
+
+    expect(monthlyEmi).toBe(3333);
+    expect(installments.map(i => i.emiAmount)).toEqual([3333, 3333, 3334]);
+    expect(installments.map(i => i.closingBalance)).toEqual([6667, 3334, 0]);
+  });
+
+  it('repays exactly the principal, interest first, ending at zero', () => {
+    const { installments } = buildAmortizationSchedule({
+      loanAmount: 100000, interestRate: 1, loanDuration: 12, disbursedDate: '2025-01-15',
+    });
+
+    expect(installments).toHaveLength(12);
+    expect(installments[0]).toMatchObject({
+      openingBalance: 100000, interestComponent: 1000, principalComponent: 7885, emiAmount: 8885, closingBalance: 92115,
+    });
+    expect(installments.slice(0, -1).every(i => i.emiAmount === 8885)).toBe(true);
+    expect(sum(installments.map(i => i.principalComponent))).toBe(100000);
+    expect(installments.at(-1).closingBalance).toBe(0);
+    for (const i of installments) {
+      expect(sum([i.principalComponent, i.interestComponent])).toBe(i.emiAmount);
+    }
+  });
+
+  it('keeps a month-end due day through shorter months', () => {
+    const { installments } = buildAmortizationSchedule({
+      loanAmount: 3000, interestRate: 0, loanDuration: 3, disbursedDate: '2025-01-31',
+    });
+
+    expect(installments.map(i => i.dueDate)).toEqual(['2025-02-28', '2025-03-31', '2025-04-30']);
+  });
+});
+
+// A loan of 4 × 1000 installments with 2400 repaid: two paid, one partly
+const loanRow = {
+  id: 'loan-1', agreement_id: 'agr-1', tenant_name: 'Ramesh Jadhav', shop_number: '7',
+  loan_amount: '4000.00', interest_rate: '0.00', loan_duration: 4, disbursed_date: '2025-01-10',
+  total_repaid: '2400.00', status: 'Active', outstanding_balance: '1600.00',
+};
+const installmentRows = () => [1, 2, 3, 4].map((n) => ({
+  id: `inst-${n}`,
+  installment_number: n,
+  due_date: `2025-0${n + 1}-10`,
+  emi_amount: '1000.00',
+  principal_component: '1000.00',
+  interest_component: '0.00',
+  amount_paid: n <= 2 ? '1000.00' : n === 3 ? '400.00' : '0.00',
+  status: n <= 2 ? 'Paid' : n === 3 ? 'Partial' : 'Pending',
+  paid_date: n <= 2 ? `2025-0${n + 1}-10` : null,
+}));
+
+const fakeConnection = (loan = loanRow) => {
+  const calls = [];
+  return {
+    calls,
+    execute: async (sql, params = []) => {
+      calls.push({ sql, params });
+      if (/FROM loans/.test(sql)) return [[{ ...loan }]];
+      if (/FROM loan_installments/.test(sql)) return [installmentRows()];
+      return [{ affectedRows: 1 }];
+    },
+  };
+};
+
+const installmentUpdates = (connection) => connection.calls
+  .filter(({ sql }) => sql.startsWith('UPDATE loan_installments'))
+  .map(({ params }) => [params[3], params[0], params[1]]);
+
+describe('reverseRepayment', () => {
+  it('takes the amount back off the newest paid installments', async () => {
+    const connection = fakeConnection();
+
+    await reverseRepayment(connection, 'loan-1', 1500);
+
+    expect(installmentUpdates(connection)).toEqual([
+      ['inst-3', 0, 'Pending'],
+      ['inst-2', 0, 'Pending'],
+      ['inst-1', 900, 'Partial'],
+    ]);
+    const loanUpdate = connection.calls.find(({ sql }) => sql.startsWith('UPDATE loans'));
+    expect(loanUpdate.sql).toMatch(/total_repaid = \?/);
+    expect(loanUpdate.params.at(-2)).toBe(900);
+  });
+});
+
+describe('postRepayment', () => {
+  let connection;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    connection = fakeConnection();
+    vi.mocked(transaction).mockImplementation((callback) => callback(connection));
+    vi.mocked(allocateReceiptNumber).mockResolvedValue('0101');
+  });
+
+  it('fills the oldest open installment first under a receipt number taken in the same transaction', async () => {
+    const { allocations, transaction: payment } = await postRepayment('loan-1', { amount: 900, date: '2025-05-01' });
+
+    expect(allocateReceiptNumber).toHaveBeenCalledWith('RentIncome', connection);
+    expect(payment.receiptNumber).toBe('0101');
+    expect(allocations.map(a => [a.installmentNumber, a.amount])).toEqual([[3, 600], [4, 300]]);
+  });
+
+  it('takes no receipt number for a repayment larger than what is due', async () => {
+    await expect(postRepayment('loan-1', { amount: 2000, date: '2025-05-01' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+
+    expect(allocateReceiptNumber).not.toHaveBeenCalled();
+  });
+
+  it('takes no receipt number for a loan that is already repaid', async () => {
+    connection = fakeConnection({ ...loanRow, status: 'Completed' });
+
+    await expect(postRepayment('loan-1', { amount: 100, date: '2025-05-01' }))
+      .rejects.toThrow('Loan is already fully repaid');
+
+    expect(allocateReceiptNumber).not.toHaveBeenCalled();
+  });
+});
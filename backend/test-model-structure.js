@@ -5,7 +5,7 @@
  * This script tests model structure, associations, and validation schemas
  */
 
-import { Tenant, Agreement, Loan, RentPenalty, UploadedFile } from './src/models/sequelize/index.js';
+import { Tenant, Agreement, Loan, RentPenalty } from './src/models/sequelize/index.js';
 import * as schemas from './src/validation/schemas.js';
 import pino from 'pino';
 
@@ -22,8 +22,7 @@ function testModelStructure() {
       Tenant,
       Agreement,
       Loan,
-      RentPenalty,
-      UploadedFile
+      RentPenalty
     };
 
     Object.entries(models).forEach(([name, model]) => {
@@ -41,13 +40,11 @@ function testModelStructure() {
     const agreementAttributes = Object.keys(Agreement.rawAttributes);
     const loanAttributes = Object.keys(Loan.rawAttributes);
     const rentPenaltyAttributes = Object.keys(RentPenalty.rawAttributes);
-    const uploadedFileAttributes = Object.keys(UploadedFile.rawAttributes);
 
     console.log(`   📊 Tenant attributes (${tenantAttributes.length}): ${tenantAttributes.join(', ')}`);
     console.log(`   📊 Agreement attributes (${agreementAttributes.length}): ${agreementAttributes.join(', ')}`);
     console.log(`   📊 Loan attributes (${loanAttributes.length}): ${loanAttributes.join(', ')}`);
     console.log(`   📊 RentPenalty attributes (${rentPenaltyAttributes.length}): ${rentPenaltyAttributes.join(', ')}`);
-    console.log(`   📊 UploadedFile attributes (${uploadedFileAttributes.length}): ${uploadedFileAttributes.join(', ')}`);
 
     // Test 3: Associations
     console.log('\n3. Testing model associations...');
@@ -75,9 +72,7 @@ function testModelStructure() {
       createLoanSchema: schemas.createLoanSchema,
       updateLoanSchema: schemas.updateLoanSchema,
       createRentPenaltySchema: schemas.createRentPenaltySchema,
-      updateRentPenaltySchema: schemas.updateRentPenaltySchema,
-      createUploadedFileSchema: schemas.createUploadedFileSchema,
-      updateUploadedFileSchema: schemas.updateUploadedFileSchema
+      updateRentPenaltySchema: schemas.updateRentPenaltySchema
     };
 
     Object.entries(validationSchemas).forEach(([name, schema]) => {
@@ -114,7 +114,7 @@ const testFile = new UploadedFile({
   name: 'agreement.pdf',
   size: 1024,
   type: 'application/pdf',
-  base64: 'dGVzdA==',
+  sha256: '9f86d081884c7d659a2feaa0c55ad015a3bf4f1b2b0b822cd15d6c15b0f00a08',
   uploadedAt: new Date().toISOString(),
   entityType: 'agreement',
   entityId: 'agreement-1'
@@ -0,0 +1,74 @@
+/**
+ * Payment details on money entries: which modes need a reference or a
+ * cheque date, and the clearing status each mode starts in.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { z } from 'zod';
+import {
+  paymentDetailsShape,
+  checkPaymentDetails,
+  withPaymentDefaults,
+  withChangedPaymentDefaults,
+} from './src/middleware/validate.js';
+
+const schema = z.object(paymentDetailsShape).superRefine(checkPaymentDetails);
+
+const problems = (data) => {
+  const result = schema.safeParse(data);
+  return result.success ? [] : result.error.issues.map(issue => [issue.path.join('.'), issue.message]);
+};
+
+describe('checkPaymentDetails', () => {
+  it('needs nothing more for cash or when no mode is given', () => {
+    expect(problems({ paymentMode: 'Cash' })).toEqual([]);
+    expect(problems({})).toEqual([]);
+  });
+
+  it('needs a reference for UPI and bank transfers', () => {
+    expect(problems({ paymentMode: 'UPI' })).toEqual([
+      ['paymentReference', 'Reference number is required for UPI payments'],
+    ]);
+    expect(problems({ paymentMode: 'Bank Transfer', paymentReference: '' })).toEqual([
+      ['paymentReference', 'Reference number is required for Bank Transfer payments'],
+    ]);
+    expect(problems({ paymentMode: 'UPI', paymentReference: '412345678901' })).toEqual([]);
+  });
+
+  it('needs a cheque number and date for cheques', () => {
+    expect(problems({ paymentMode: 'Cheque' })).toEqual([
+      ['paymentReference', 'Cheque number is required for cheque payments'],
+      ['chequeDate', 'Cheque date is required for cheque payments'],
+    ]);
+    expect(problems({ paymentMode: 'Cheque', paymentReference: '654321', chequeDate: '2025-06-10' })).toEqual([]);
+  });
+
+  it('rejects an unknown mode', () => {
+    expect(problems({ paymentMode: 'Card' })).toHaveLength(1);
+  });
+});
+
+describe('withPaymentDefaults', () => {
+  it('starts cheques Pending and every other mode Cleared', () => {
+    expect(withPaymentDefaults({ paymentMode: 'Cheque' }).clearingStatus).toBe('Pending');
+    expect(withPaymentDefaults({ paymentMode: 'UPI' }).clearingStatus).toBe('Cleared');
+    expect(withPaymentDefaults({ paymentMode: 'Cash' }).clearingStatus).toBe('Cleared');
+  });
+
+  it('keeps a clearing status given explicitly', () => {
+    expect(withPaymentDefaults({ paymentMode: 'Cheque', clearingStatus: 'Cleared' }).clearingStatus).toBe('Cleared');
+  });
+
+  it('leaves data without a mode alone', () => {
+    const data = { amount: 100 };
+    expect(withPaymentDefaults(data)).toBe(data);
+  });
+});
+
+describe('withChangedPaymentDefaults', () => {
+  it('re-derives the clearing status only when the mode changes', () => {
+    expect(withChangedPaymentDefaults({ paymentMode: 'Cheque' }, 'Cash').clearingStatus).toBe('Pending');
+    expect(withChangedPaymentDefaults({ paymentMode: 'Cheque' }, 'Cheque').clearingStatus).toBeUndefined();
+    expect(withChangedPaymentDefaults({ amount: 200 }, 'Cheque')).toEqual({ amount: 200 });
+  });
+});
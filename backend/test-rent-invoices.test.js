@@ -0,0 +1,143 @@
+/**
+ * Settlement of rent payments against invoices: credit is applied to the
+ * oldest open invoice first and whatever is left stays as credit.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import { applyCredit, settlePayment, reversePayment } from './src/services/rentInvoicesService.js';
+
+vi.mock('./src/utils/helpers.js', () => {
+  let next = 0;
+  return { generateId: () => `id-${++next}` };
+});
+
+// A stand-in for a mysql2 connection: each execute() is answered by the first
+// handler whose pattern matches the SQL, and every call is recorded
+const fakeConnection = (handlers = []) => {
+  const calls = [];
+  return {
+    calls,
+    execute: async (sql, params = []) => {
+      calls.push({ sql, params });
+      const handler = handlers.find(([pattern]) => pattern.test(sql));
+      return [handler ? handler[1](params) : []];
+    },
+  };
+};
+
+const statements = (connection, pattern) => connection.calls.filter(({ sql }) => pattern.test(sql));
+
+// [invoiceId, amount, transactionId] of each allocation inserted, in order
+const allocations = (connection) =>
+  statements(connection, /^INSERT INTO rent_invoice_payments/)
+    .map(({ params }) => [params[3], params[4], params[2]]);
+
+const openInvoices = [
+  { id: 'inv-jan', amount: '1000.00', amount_paid: '0.00' },
+  { id: 'inv-feb', amount: '1000.00', amount_paid: '200.00' },
+  { id: 'inv-mar', amount: '1000.00', amount_paid: '0.00' },
+];
+
+describe('applyCredit', () => {
+  it('settles the oldest invoices first, carrying each credit across invoices', async () => {
+    const connection = fakeConnection([
+      [/FROM rent_invoice_payments\s+WHERE agreement_id/, () => [
+        { id: 'credit-1', transaction_id: 'txn-1', amount: '1500.00' },
+        { id: 'credit-2', transaction_id: 'txn-2', amount: '500.00' },
+      ]],
+      [/FROM rent_invoices\s+WHERE agreement_id/, () => openInvoices],
+    ]);
+
+    await applyCredit(connection, 'agr-1');
+
+    expect(allocations(connection)).toEqual([
+      ['inv-jan', 1000, 'txn-1'],
+      ['inv-feb', 500, 'txn-1'],
+      ['inv-feb', 300, 'txn-2'],
+      ['inv-mar', 200, 'txn-2'],
+    ]);
+    expect(statements(connection, /^DELETE FROM rent_invoice_payments/).map(({ params }) => params[0]))
+      .toEqual(['credit-1', 'credit-2']);
+    expect(statements(connection, /^UPDATE rent_invoice_payments/)).toHaveLength(0);
+  });
+
+  it('keeps the part of a credit no invoice needs', async () => {
+    const connection = fakeConnection([
+      [/FROM rent_invoice_payments\s+WHERE agreement_id/, () => [
+        { id: 'credit-1', transaction_id: 'txn-1', amount: '2500.00' },
+      ]],
+      [/FROM rent_invoices\s+WHERE agreement_id/, () => [openInvoices[0]]],
+    ]);
+
+    await applyCredit(connection, 'agr-1');
+
+    expect(allocations(connection)).toEqual([['inv-jan', 1000, 'txn-1']]);
+    expect(statements(connection, /^DELETE FROM rent_invoice_payments/)).toHaveLength(0);
+    expect(statements(connection, /^UPDATE rent_invoice_payments/).map(({ params }) => params))
+      .toEqual([[1500, 'credit-1']]);
+  });
+
+  it('recomputes the status of every invoice it touches', async () => {
+    const paid = { 'inv-jan': '1000.00', 'inv-feb': '700.00' };
+    const connection = fakeConnection([
+      [/FROM rent_invoice_payments\s+WHERE agreement_id/, () => [
+        { id: 'credit-1', transaction_id: 'txn-1', amount: '1500.00' },
+      ]],
+      [/FROM rent_invoices\s+WHERE agreement_id/, () => openInvoices],
+      [/LEFT JOIN rent_invoice_payments/, ([invoiceId]) => [{ amount: '1000.00', paid: paid[invoiceId] }]],
+    ]);
+
+    await applyCredit(connection, 'agr-1');
+
+    expect(statements(connection, /^UPDATE rent_invoices/).map(({ params }) => params)).toEqual([
+      [1000, 'Paid', 'inv-jan'],
+      [700, 'Partial', 'inv-feb'],
+    ]);
+  });
+
+  it('does nothing without unapplied credit', async () => {
+    const connection = fakeConnection();
+
+    await applyCredit(connection, 'agr-1');
+
+    expect(connection.calls).toHaveLength(1);
+  });
+});
+
+describe('settlePayment', () => {
+  it('books the payment as credit before applying it and reports the split', async () => {
+    const connection = fakeConnection([
+      [/WHERE p\.transaction_id/, () => [
+        { invoice_id: 'inv-jan', amount: '1000.00', period: '2025-01' },
+        { invoice_id: null, amount: '250.50', period: null },
+      ]],
+    ]);
+
+    const result = await settlePayment(connection, { agreementId: 'agr-1', transactionId: 'txn-1', amount: 1250.499 });
+
+    expect(connection.calls[0].params.slice(1)).toEqual(['agr-1', 'txn-1', 1250.5]);
+    expect(connection.calls[0].sql).toMatch(/VALUES \(\?, \?, \?, NULL, \?\)/);
+    expect(result).toEqual({
+      allocations: [{ invoiceId: 'inv-jan', period: '2025-01', amount: 1000 }],
+      unallocated: 250.5,
+    });
+  });
+});
+
+describe('reversePayment', () => {
+  it('removes the payment, reopens the invoices it paid and re-applies remaining credit', async () => {
+    const connection = fakeConnection([
+      [/WHERE transaction_id = \? FOR UPDATE/, () => [
+        { agreement_id: 'agr-1', invoice_id: 'inv-jan' },
+        { agreement_id: 'agr-1', invoice_id: 'inv-feb' },
+        { agreement_id: 'agr-1', invoice_id: null },
+      ]],
+    ]);
+
+    const result = await reversePayment(connection, 'txn-1');
+
+    expect(result).toEqual({ reopenedInvoiceIds: ['inv-jan', 'inv-feb'] });
+    expect(statements(connection, /^DELETE FROM rent_invoice_payments WHERE transaction_id/)).toHaveLength(1);
+    expect(statements(connection, /AND invoice_id IS NULL/).map(({ params }) => params)).toEqual([['agr-1']]);
+  });
+});
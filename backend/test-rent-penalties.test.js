@@ -0,0 +1,38 @@
+/**
+ * Late-fee amounts for each penalty mode around the grace period.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { calculatePenalty } from './src/services/rentPenaltiesService.js';
+
+const rule = (mode, rate, graceDays = 5) => ({ mode, rate, graceDays });
+
+describe('calculatePenalty', () => {
+  it('charges a flat penalty as a fixed amount however late', () => {
+    expect(calculatePenalty(rule('flat', 250), { rentAmount: 5000, daysLate: 6 })).toBe(250);
+    expect(calculatePenalty(rule('flat', 250), { rentAmount: 5000, daysLate: 90 })).toBe(250);
+  });
+
+  it('charges a percentage of the unpaid rent, rounded to paise', () => {
+    expect(calculatePenalty(rule('percentage', 2), { rentAmount: 5000, daysLate: 6 })).toBe(100);
+    expect(calculatePenalty(rule('percentage', 1.5), { rentAmount: 3333.33, daysLate: 6 })).toBe(50);
+  });
+
+  it('charges per_day only for the days after the grace period', () => {
+    expect(calculatePenalty(rule('per_day', 20), { rentAmount: 5000, daysLate: 6 })).toBe(20);
+    expect(calculatePenalty(rule('per_day', 20), { rentAmount: 5000, daysLate: 15 })).toBe(200);
+    expect(calculatePenalty(rule('per_day', 20, 0), { rentAmount: 5000, daysLate: 15 })).toBe(300);
+  });
+
+  it('charges nothing within the grace period in any mode', () => {
+    for (const mode of ['flat', 'percentage', 'per_day']) {
+      expect(calculatePenalty(rule(mode, 10), { rentAmount: 5000, daysLate: 5 })).toBe(0);
+      expect(calculatePenalty(rule(mode, 10), { rentAmount: 5000, daysLate: 0 })).toBe(0);
+    }
+  });
+
+  it('rejects an unknown mode', () => {
+    expect(() => calculatePenalty(rule('weekly', 10), { rentAmount: 5000, daysLate: 30 }))
+      .toThrow('Unknown penalty mode: weekly');
+  });
+});
@@ -0,0 +1,216 @@
+#!/usr/bin/env node
+
+/**
+ * Schema test: boots a throwaway MySQL, migrates an empty database and checks
+ * the result against the tables the models declare in getTableSchema().
+ * Then reverts every migration, applies them again and makes sure a
+ * migration edited after it ran is refused.
+ *
+ * Starts mysql:8.0 in Docker unless TEST_DB_HOST names a server it may
+ * create and drop databases on (with TEST_DB_PORT, TEST_DB_USER and
+ * TEST_DB_PASSWORD).
+ *
+ *   npm run test:schema
+ */
+
+import { execFileSync } from "child_process";
+import { readdir } from "fs/promises";
+import path from "path";
+import { fileURLToPath, pathToFileURL } from "url";
+import mysql from "mysql2/promise";
+import { migrateUp, migrateDown } from "./src/config/migrator.js";
+
+const MODELS_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), "src/models");
+const MYSQL_IMAGE = "mysql:8.0";
+const STARTUP_TIMEOUT_MS = 120000;
+
+const MIGRATED_DB = "schema_test_migrated";
+const MODELS_DB = "schema_test_models";
+
+// Tables the comparison leaves out: the migration history itself, the
+// receipt counters behind allocateReceiptNumber in config/db.js, which have no
+// model, and the retired presigned-S3 uploads kept for their object keys
+const UNMODELLED_TABLES = ["schema_migrations", "receipt_sequences", "files"];
+
+const failures = [];
+const check = (condition, message) => {
+  console.log(`   ${condition ? "✅" : "❌"} ${message}`);
+  if (!condition) failures.push(message);
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// A MySQL server to test against, and how to stop it afterwards
+async function startServer() {
+  if (process.env.TEST_DB_HOST) {
+    return {
+      config: {
+        host: process.env.TEST_DB_HOST,
+        port: Number(process.env.TEST_DB_PORT || 3306),
+        user: process.env.TEST_DB_USER || "root",
+        password: process.env.TEST_DB_PASSWORD || "",
+      },
+      stop: () => {},
+    };
+  }
+
+  const container = execFileSync("docker", [
+    "run", "-d", "--rm",
+    "-e", "MYSQL_ALLOW_EMPTY_PASSWORD=yes",
+    "-p", "127.0.0.1::3306",
+    MYSQL_IMAGE,
+  ]).toString().trim();
+  const stop = () => execFileSync("docker", ["stop", container], { stdio: "ignore" });
+  const port = execFileSync("docker", ["port", container, "3306"]).toString().trim().split(":").pop();
+  const config = { host: "127.0.0.1", port: Number(port), user: "root", password: "" };
+
+  const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+  for (;;) {
+    try {
+      await (await mysql.createConnection(config)).end();
+      return { config, stop };
+    } catch (error) {
+      if (Date.now() > deadline) {
+        stop();
+        throw new Error(`MySQL did not start within ${STARTUP_TIMEOUT_MS / 1000}s: ${error.message}`);
+      }
+      await sleep(2000);
+    }
+  }
+}
+
+// Every CREATE TABLE a model declares
+async function modelSchemas() {
+  const schemas = [];
+  for (const file of (await readdir(MODELS_DIR)).filter((name) => name.endsWith(".js")).sort()) {
+    const module = await import(pathToFileURL(path.join(MODELS_DIR, file)).href);
+    for (const model of Object.values(module)) {
+      if (typeof model?.getTableSchema === "function") schemas.push(model.getTableSchema());
+      if (typeof model?.getPermissionsTableSchema === "function") schemas.push(model.getPermissionsTableSchema());
+    }
+  }
+  return schemas;
+}
+
+// Columns, indexes and foreign keys as comparable lines
+async function describeSchema(connection, database) {
+  const [columns] = await connection.query(
+    `SELECT TABLE_NAME, COLUMN_NAME, COLUMN_TYPE, IS_NULLABLE, COLUMN_DEFAULT, EXTRA
+     FROM information_schema.COLUMNS WHERE TABLE_SCHEMA = ?`,
+    [database]
+  );
+  const [indexes] = await connection.query(
+    `SELECT TABLE_NAME, INDEX_NAME, NON_UNIQUE, GROUP_CONCAT(COLUMN_NAME ORDER BY SEQ_IN_INDEX) AS columns
+     FROM information_schema.STATISTICS WHERE TABLE_SCHEMA = ?
+     GROUP BY TABLE_NAME, INDEX_NAME, NON_UNIQUE`,
+    [database]
+  );
+  const [foreignKeys] = await connection.query(
+    `SELECT k.TABLE_NAME, k.COLUMN_NAME, k.REFERENCED_TABLE_NAME, k.REFERENCED_COLUMN_NAME, r.DELETE_RULE
+     FROM information_schema.KEY_COLUMN_USAGE k
+     JOIN information_schema.REFERENTIAL_CONSTRAINTS r
+       ON r.CONSTRAINT_SCHEMA = k.CONSTRAINT_SCHEMA AND r.CONSTRAINT_NAME = k.CONSTRAINT_NAME
+     WHERE k.TABLE_SCHEMA = ? AND k.REFERENCED_TABLE_NAME IS NOT NULL`,
+    [database]
+  );
+
+  const modelled = (row) => !UNMODELLED_TABLES.includes(row.TABLE_NAME);
+  return new Set([
+    ...columns.filter(modelled).map((c) =>
+      `column ${c.TABLE_NAME}.${c.COLUMN_NAME} ${c.COLUMN_TYPE} ${c.IS_NULLABLE === "YES" ? "NULL" : "NOT NULL"} default=${c.COLUMN_DEFAULT} ${c.EXTRA}`.trim()
+    ),
+    ...indexes.filter(modelled).map((i) =>
+      `index ${i.TABLE_NAME}.${i.INDEX_NAME} ${Number(i.NON_UNIQUE) ? "" : "unique "}(${i.columns})`
+    ),
+    ...foreignKeys.filter(modelled).map((f) =>
+      `foreign key ${f.TABLE_NAME}.${f.COLUMN_NAME} -> ${f.REFERENCED_TABLE_NAME}.${f.REFERENCED_COLUMN_NAME} on delete ${f.DELETE_RULE}`
+    ),
+  ]);
+}
+
+const tableCount = async (connection, database) => {
+  const [[{ count }]] = await connection.query(
+    "SELECT COUNT(*) AS count FROM information_schema.TABLES WHERE TABLE_SCHEMA = ?",
+    [database]
+  );
+  return Number(count);
+};
+
+async function testSchemaMigrations() {
+  console.log("🧪 Testing schema migrations against the models...\n");
+
+  console.log("1. Starting MySQL...");
+  const server = await startServer();
+  console.log(`   ✅ MySQL is up on ${server.config.host}:${server.config.port}`);
+
+  const admin = await mysql.createConnection(server.config);
+  let migrated;
+  let models;
+  try {
+    for (const database of [MIGRATED_DB, MODELS_DB]) {
+      await admin.query(`DROP DATABASE IF EXISTS ${database}`);
+      await admin.query(`CREATE DATABASE ${database}`);
+    }
+    migrated = await mysql.createConnection({ ...server.config, database: MIGRATED_DB });
+    models = await mysql.createConnection({ ...server.config, database: MODELS_DB });
+
+    console.log("\n2. Migrating an empty database...");
+    const applied = await migrateUp(migrated);
+    check(applied.length > 0, `applied ${applied.length} migration(s)`);
+    check((await migrateUp(migrated)).length === 0, "a second run has nothing to apply");
+
+    console.log("\n3. Creating the tables the models declare...");
+    const schemas = await modelSchemas();
+    // Models are created in file order, so references are checked afterwards by the comparison
+    await models.query("SET FOREIGN_KEY_CHECKS = 0");
+    for (const schema of schemas) {
+      await models.query(schema);
+    }
+    await models.query("SET FOREIGN_KEY_CHECKS = 1");
+    console.log(`   ✅ ${schemas.length} model table(s) created`);
+
+    console.log("\n4. Comparing the two schemas...");
+    const fromMigrations = await describeSchema(admin, MIGRATED_DB);
+    const fromModels = await describeSchema(admin, MODELS_DB);
+    const onlyMigrations = [...fromMigrations].filter((line) => !fromModels.has(line));
+    const onlyModels = [...fromModels].filter((line) => !fromMigrations.has(line));
+    onlyMigrations.forEach((line) => console.log(`      migrations only: ${line}`));
+    onlyModels.forEach((line) => console.log(`      models only:     ${line}`));
+    check(onlyMigrations.length === 0 && onlyModels.length === 0, "migrated schema matches the models");
+
+    console.log("\n5. Reverting every migration...");
+    await migrateDown(migrated, { steps: applied.length });
+    check((await tableCount(admin, MIGRATED_DB)) === 1, "only schema_migrations is left");
+    await migrateUp(migrated);
+    const reapplied = await describeSchema(admin, MIGRATED_DB);
+    check(
+      reapplied.size === fromMigrations.size && [...reapplied].every((line) => fromMigrations.has(line)),
+      "migrating up again rebuilds the same schema"
+    );
+
+    console.log("\n6. Refusing a migration changed after it ran...");
+    await migrated.query("UPDATE schema_migrations SET checksum = REPEAT('0', 64) WHERE version = ?", [applied[0]]);
+    const error = await migrateUp(migrated).then(() => null, (caught) => caught);
+    check(error?.code === "MIGRATION_CHECKSUM_MISMATCH", "checksum mismatch is reported");
+  } finally {
+    await migrated?.end();
+    await models?.end();
+    for (const database of [MIGRATED_DB, MODELS_DB]) {
+      await admin.query(`DROP DATABASE IF EXISTS ${database}`);
+    }
+    await admin.end();
+    server.stop();
+  }
+
+  if (failures.length > 0) {
+    console.error(`\n❌ ${failures.length} schema check(s) failed`);
+    process.exit(1);
+  }
+  console.log("\n🎉 Migrations and models agree");
+  process.exit(0);
+}
+
+testSchemaMigrations().catch((error) => {
+  console.error("\n❌ Schema migration test failed:", error.message);
+  process.exit(1);
+});
@@ -6,7 +6,7 @@
  */
 
 import { initializeSequelize, testConnection } from './src/config/sequelize.js';
-import { Tenant, Agreement, Loan, RentPenalty, UploadedFile } from './src/models/sequelize/index.js';
+import { Tenant, Agreement, Loan, RentPenalty } from './src/models/sequelize/index.js';
 import { v4 as uuidv4 } from 'uuid';
 import pino from 'pino';
 
@@ -32,14 +32,12 @@ async function testSequelizeSetup() {
     const agreementCount = await Agreement.count();
     const loanCount = await Loan.count();
     const rentPenaltyCount = await RentPenalty.count();
-    const uploadedFileCount = await UploadedFile.count();
     
     console.log(`   📊 Current record counts:`);
     console.log(`      - Tenants: ${tenantCount}`);
     console.log(`      - Agreements: ${agreementCount}`);
     console.log(`      - Loans: ${loanCount}`);
     console.log(`      - Rent Penalties: ${rentPenaltyCount}`);
-    console.log(`      - Uploaded Files: ${uploadedFileCount}`);
     console.log('   ✅ All tables accessible\n');
 
     // Test 4: Model validations
@@ -0,0 +1,74 @@
+/**
+ * Tenant statement of account: ordering, running balance, the opening
+ * balance of a date range and cheques that have not cleared yet.
+ */
+
+import { describe, it, expect } from 'vitest';
+import { buildLedger } from './src/services/tenantLedgerService.js';
+
+const debit = (date, type, amount) => ({ date, type, description: type, reference: null, shopNumber: '7', debit: amount, credit: 0 });
+const credit = (date, type, amount, uncleared = false) => ({ ...debit(date, type, 0), credit: amount, uncleared });
+
+const entries = [
+  credit('2025-05-05', 'RentPayment', 5000),
+  debit('2025-05-01', 'RentDue', 5000),
+  credit('2025-06-01', 'RentPayment', 3000),
+  debit('2025-06-01', 'RentDue', 5000),
+  debit('2025-06-10', 'Penalty', 100),
+  credit('2025-07-03', 'RentPayment', 2100, true),
+  debit('2025-07-01', 'RentDue', 5000),
+];
+
+const rows = (ledger) => ledger.entries.map(({ date, type, balance }) => [date, type, balance]);
+
+describe('buildLedger', () => {
+  it('lists entries by date, charges before receipts on the same day, with a running balance', () => {
+    const ledger = buildLedger(entries.filter(entry => !entry.uncleared));
+
+    expect(rows(ledger)).toEqual([
+      ['2025-05-01', 'RentDue', 5000],
+      ['2025-05-05', 'RentPayment', 0],
+      ['2025-06-01', 'RentDue', 5000],
+      ['2025-06-01', 'RentPayment', 2000],
+      ['2025-06-10', 'Penalty', 2100],
+      ['2025-07-01', 'RentDue', 7100],
+    ]);
+    expect(ledger.totals).toEqual({ debit: 15100, credit: 8000, uncleared: 0 });
+    expect(ledger.closingBalance).toBe(7100);
+  });
+
+  it('rolls entries before the range into the opening balance and leaves out those after it', () => {
+    const ledger = buildLedger(entries, { from: '2025-06-01', to: '2025-06-30' });
+
+    expect(ledger.openingBalance).toBe(0);
+    expect(rows(ledger)).toEqual([
+      ['2025-06-01', 'RentDue', 5000],
+      ['2025-06-01', 'RentPayment', 2000],
+      ['2025-06-10', 'Penalty', 2100],
+    ]);
+    expect(ledger.totals).toEqual({ debit: 5100, credit: 3000, uncleared: 0 });
+    expect(ledger.closingBalance).toBe(2100);
+  });
+
+  it('starts a later range from the balance carried forward', () => {
+    const ledger = buildLedger(entries, { from: '2025-06-05' });
+
+    expect(ledger.openingBalance).toBe(2000);
+    expect(ledger.entries[0]).toMatchObject({ type: 'Penalty', balance: 2100 });
+  });
+
+  it('lists an uncleared cheque without counting it towards the balance', () => {
+    const ledger = buildLedger(entries);
+
+    expect(ledger.entries.at(-1)).toMatchObject({ date: '2025-07-03', credit: 2100, uncleared: true, balance: 7100 });
+    expect(ledger.totals).toEqual({ debit: 15100, credit: 8000, uncleared: 2100 });
+    expect(ledger.closingBalance).toBe(7100);
+  });
+
+  it('keeps an uncleared cheque out of the opening balance too', () => {
+    const ledger = buildLedger(entries, { from: '2025-07-05' });
+
+    expect(ledger.openingBalance).toBe(7100);
+    expect(ledger.entries).toEqual([]);
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Edits through transactionService.updateEntry: what is stored, audited and
+ * returned is the whole entry, not just the fields that were sent.
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { query, transaction } from './src/config/db.js';
+import * as auditService from './src/services/auditService.js';
+import * as rentInvoicesService from './src/services/rentInvoicesService.js';
+import { updateEntry } from './src/services/transactionService.js';
+
+vi.mock('./src/config/db.js', () => ({ query: vi.fn(), transaction: vi.fn() }));
+vi.mock('./src/services/auditService.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  record: vi.fn(),
+}));
+vi.mock('./src/services/bankReconciliationService.js', () => ({ assertTransactionUnlocked: vi.fn() }));
+vi.mock('./src/services/financialYearService.js', () => ({ assertDatesOpen: vi.fn() }));
+vi.mock('./src/services/generalLedgerService.js', () => ({ syncTransaction: vi.fn() }));
+vi.mock('./src/services/attachmentService.js', () => ({ attach: vi.fn(), assertRequiredAttachments: vi.fn() }));
+vi.mock('./src/services/donorService.js', () => ({ resolveDonor: vi.fn() }));
+vi.mock('./src/services/trashService.js', () => ({ trashRow: vi.fn() }));
+vi.mock('./src/services/rentInvoicesService.js', async (importOriginal) => ({
+  ...await importOriginal(),
+  reversePayment: vi.fn(),
+  settlePayment: vi.fn(),
+}));
+
+const donationRow = {
+  id: 'txn-1',
+  date: new Date(2025, 5, 10),
+  type: 'Donation',
+  category: 'Devasthan',
+  sub_category: 'Annadan',
+  description: 'Annadan seva',
+  amount: '100.00',
+  receipt_number: '0042',
+  donor_name: 'Sunita Patil',
+  donor_contact: '9800000000',
+  donor_id: 'donor-1',
+  payment_mode: 'Cheque',
+  payment_reference: '123456',
+  cheque_date: new Date(2025, 5, 10),
+  clearing_status: 'Pending',
+  receipt_print_count: 0,
+  eligible_80g: 1,
+  created_at: new Date(2025, 5, 10, 9, 30),
+};
+
+const rentRow = {
+  id: 'txn-2',
+  date: new Date(2025, 5, 5),
+  type: 'RentIncome',
+  category: 'Rent',
+  sub_category: 'Monthly Rent',
+  description: 'Rent payment for shop 7',
+  amount: '5000.00',
+  agreement_id: 'agr-1',
+  shop_number: '7',
+  payment_mode: 'Cash',
+  clearing_status: 'Cleared',
+  receipt_print_count: 0,
+  created_at: new Date(2025, 5, 5, 11, 0),
+};
+
+// Serves the row as the database would, applying each UPDATE to it
+const fakeTable = (row) => {
+  const stored = { ...row };
+  return {
+    execute: vi.fn(async (sql, params) => {
+      if (sql.startsWith('UPDATE transactions')) {
+        const columns = [...sql.matchAll(/`(\w+)` = \?/g)].map(([, column]) => column);
+        columns.forEach((column, i) => {
+          stored[column] = column === 'amount' ? Number(params[i]).toFixed(2) : params[i];
+        });
+      }
+      return [sql.startsWith('SELECT') ? [{ ...stored }] : { affectedRows: 1 }];
+    }),
+  };
+};
+
+describe('updateEntry', () => {
+  let connection;
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    connection = fakeTable(donationRow);
+    vi.mocked(query).mockResolvedValue([{ ...donationRow }]);
+    vi.mocked(transaction).mockImplementation((callback) => callback(connection));
+  });
+
+  it('audits a one-field edit as a one-field change', async () => {
+    await updateEntry('txn-1', { description: 'Annadan seva (Gudi Padwa)' }, 'Donation', { actor: { id: 'user-1' } });
+
+    const [, { before, after }] = vi.mocked(auditService.record).mock.calls[0];
+    expect(auditService.diff(before, after)).toEqual([
+      { field: 'description', from: 'Annadan seva', to: 'Annadan seva (Gudi Padwa)' },
+    ]);
+  });
+
+  it('returns the whole entry as saved', async () => {
+    const saved = await updateEntry('txn-1', { description: 'Annadan seva (Gudi Padwa)' }, 'Donation');
+
+    expect(saved).toMatchObject({
+      id: 'txn-1',
+      description: 'Annadan seva (Gudi Padwa)',
+      subCategory: 'Annadan',
+      amount: 100,
+      receiptNumber: '0042',
+      donorName: 'Sunita Patil',
+      donorContact: '9800000000',
+      paymentMode: 'Cheque',
+      clearingStatus: 'Pending',
+      receiptPrintCount: 0,
+      eligible80g: true,
+    });
+  });
+
+  describe('of a rent payment', () => {
+    beforeEach(() => {
+      connection = fakeTable(rentRow);
+      vi.mocked(query).mockResolvedValue([{ ...rentRow }]);
+    });
+
+    it('settles a new amount afresh', async () => {
+      await updateEntry('txn-2', { amount: 4000 }, 'RentIncome');
+
+      expect(rentInvoicesService.reversePayment).toHaveBeenCalledWith(connection, 'txn-2');
+      expect(rentInvoicesService.settlePayment).toHaveBeenCalledWith(connection, {
+        agreementId: 'agr-1',
+        transactionId: 'txn-2',
+        amount: 4000,
+      });
+      expect(vi.mocked(rentInvoicesService.reversePayment).mock.invocationCallOrder[0])
+        .toBeLessThan(vi.mocked(rentInvoicesService.settlePayment).mock.invocationCallOrder[0]);
+    });
+
+    it('moves the payment to another agreement', async () => {
+      await updateEntry('txn-2', { agreementId: 'agr-2' }, 'RentIncome');
+
+      expect(rentInvoicesService.reversePayment).toHaveBeenCalledWith(connection, 'txn-2');
+      expect(rentInvoicesService.settlePayment).toHaveBeenCalledWith(connection, {
+        agreementId: 'agr-2',
+        transactionId: 'txn-2',
+        amount: 5000,
+      });
+    });
+
+    it('leaves the settlement alone when neither amount nor agreement changes', async () => {
+      await updateEntry('txn-2', { description: 'Rent for June' }, 'RentIncome');
+
+      expect(rentInvoicesService.reversePayment).not.toHaveBeenCalled();
+      expect(rentInvoicesService.settlePayment).not.toHaveBeenCalled();
+    });
+  });
+});
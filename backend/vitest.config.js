@@ -0,0 +1,17 @@
+import { defineConfig } from 'vitest/config';
+
+// Unit tests for the services and utilities. They never reach MySQL: db.js is
+// mocked or functions are handed a fake connection, so only the secrets env.js
+// insists on are set here.
+export default defineConfig({
+  test: {
+    include: ['test-*.test.js'],
+    // Written against an older service layout and never run; kept for reference
+    exclude: ['test-services.test.js'],
+    env: {
+      NODE_ENV: 'test',
+      JWT_SECRET: 'unit-test-jwt-secret-at-least-32-characters',
+      JWT_REFRESH_SECRET: 'unit-test-refresh-secret-at-least-32-characters',
+    },
+  },
+});
@@ -1,5 +1,5 @@
 import React, { useEffect } from "react";
-import { Outlet } from "react-router-dom";
+import { Outlet, useLocation } from "react-router-dom";
 import Header from "./components/Header";
 import Login from "./components/Login";
 import { LanguageProvider, useLanguage } from "./components/LanguageContext";
@@ -9,6 +9,8 @@ import templeImage from "/pics/templeImage.jpg";
 import { Alert, AlertDescription } from "./components/ui/alert";
 import { toast } from "sonner";
 
+const ACCOUNT_LINK_PATHS = ["/reset-password", "/verify-email"];
+
 function AppContent() {
   const { t } = useLanguage();
   const {
@@ -18,6 +20,10 @@ function AppContent() {
     error: authError,
     logout,
   } = useAuth();
+  const location = useLocation();
+
+  // Links from account emails open without signing in
+  const isAccountLinkRoute = ACCOUNT_LINK_PATHS.includes(location.pathname);
 
   // Handle login error display
   useEffect(() => {
@@ -38,8 +44,8 @@ function AppContent() {
     );
   }
 
-  // Show login screen if not authenticated
-  if (!isAuthenticated) {
+  // Show login screen if not authenticated, or the emailed link's screen
+  if (!isAuthenticated || isAccountLinkRoute) {
     return (
       <div
         className="min-h-screen flex items-center justify-center"
@@ -50,7 +56,7 @@ function AppContent() {
         }}
       >
         <div className="w-full max-w-md">
-          <Login />
+          {isAccountLinkRoute ? <Outlet /> : <Login />}
         </div>
       </div>
     );
@@ -0,0 +1,150 @@
+import { useCallback, useEffect, useState } from "react";
+import { Button } from "./ui/button";
+import { Badge } from "./ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { LogOut } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import type { ActiveSession } from "../src/types";
+
+interface ActiveSessionsProps {
+  /** Keep it stable (module scope or useCallback); a new one reloads the list */
+  load: () => Promise<ActiveSession[]>;
+  revoke: (sessionId: string) => Promise<unknown>;
+  /** Offered in the Admin view to sign a user out of every device */
+  revokeAll?: () => Promise<unknown>;
+}
+
+const formatDateTime = (value: string) => new Date(value).toLocaleString();
+
+export default function ActiveSessions({ load, revoke, revokeAll }: ActiveSessionsProps) {
+  const { t } = useLanguage();
+  const [sessions, setSessions] = useState<ActiveSession[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const refresh = useCallback(async () => {
+    setLoading(true);
+    try {
+      setSessions(await load());
+    } catch (err: any) {
+      toast.error(err.message || t("sessions.loadError"));
+    } finally {
+      setLoading(false);
+    }
+  }, [load, t]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const handleRevoke = async (session: ActiveSession) => {
+    setBusyId(session.id);
+    try {
+      await revoke(session.id);
+      setSessions((current) => current.filter((s) => s.id !== session.id));
+      toast.success(t("sessions.revoked"));
+    } catch (err: any) {
+      toast.error(err.message || t("sessions.revokeError"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRevokeAll = async () => {
+    if (!revokeAll || !window.confirm(t("sessions.revokeAllConfirm"))) return;
+    setBusyId("all");
+    try {
+      await revokeAll();
+      setSessions([]);
+      toast.success(t("sessions.revokedAll"));
+    } catch (err: any) {
+      toast.error(err.message || t("sessions.revokeError"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-center py-6 text-gray-600">{t("common.loading")}</p>;
+  }
+
+  if (sessions.length === 0) {
+    return <p className="text-center py-6 text-gray-500">{t("sessions.none")}</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="max-h-96 overflow-y-auto">
+        <Table>
+          <TableHeader>
+            <TableRow>
+              <TableHead>{t("sessions.device")}</TableHead>
+              <TableHead>{t("sessions.ipAddress")}</TableHead>
+              <TableHead>{t("sessions.created")}</TableHead>
+              <TableHead>{t("sessions.lastUsed")}</TableHead>
+              <TableHead />
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {sessions.map((session) => (
+              <TableRow key={session.id}>
+                <TableCell className="max-w-xs">
+                  <div className="truncate" title={session.userAgent || ""}>
+                    {session.userAgent || t("sessions.unknownDevice")}
+                  </div>
+                  {session.current && (
+                    <Badge className="mt-1 bg-green-100 text-green-800">
+                      {t("sessions.current")}
+                    </Badge>
+                  )}
+                </TableCell>
+                <TableCell>{session.ipAddress || "-"}</TableCell>
+                <TableCell className="whitespace-nowrap">
+                  {formatDateTime(session.createdAt)}
+                </TableCell>
+                <TableCell className="whitespace-nowrap">
+                  {formatDateTime(session.lastUsedAt)}
+                </TableCell>
+                <TableCell className="text-right">
+                  {!session.current && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handleRevoke(session)}
+                      disabled={busyId !== null}
+                      className="text-red-600 hover:text-red-700"
+                    >
+                      <LogOut className="h-4 w-4 mr-1" />
+                      {t("sessions.revoke")}
+                    </Button>
+                  )}
+                </TableCell>
+              </TableRow>
+            ))}
+          </TableBody>
+        </Table>
+      </div>
+
+      {revokeAll && (
+        <div className="flex justify-end">
+          <Button
+            variant="outline"
+            onClick={handleRevokeAll}
+            disabled={busyId !== null}
+            className="text-red-600 hover:text-red-700"
+          >
+            {t("sessions.revokeAll")}
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
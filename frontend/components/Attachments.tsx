@@ -0,0 +1,358 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { Button } from "./ui/button";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { Camera, Download, File as FileIcon, FileText, Paperclip, Trash2, Upload } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { Attachment, AttachmentEntityType } from "../src/types";
+
+const isImage = (attachment: Attachment) => attachment.type.startsWith("image/");
+const isPdf = (attachment: Attachment) => attachment.type === "application/pdf";
+
+const formatSize = (bytes: number) =>
+  bytes < 1024 * 1024 ? `${Math.max(1, Math.round(bytes / 1024))} KB` : `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+
+// An object URL for the attachment's content while `enabled`; revoked when
+// the attachment changes or the component goes away
+function useAttachmentUrl(attachment: Attachment | null, enabled = true) {
+  const [url, setUrl] = useState<string | null>(null);
+
+  useEffect(() => {
+    if (!attachment || !enabled) return;
+    let objectUrl: string | null = null;
+    let cancelled = false;
+    apiClient
+      .downloadAttachment(attachment.id)
+      .then((blob) => {
+        if (cancelled) return;
+        objectUrl = URL.createObjectURL(blob);
+        setUrl(objectUrl);
+      })
+      .catch(() => setUrl(null));
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+      setUrl(null);
+    };
+  }, [attachment?.id, enabled]);
+
+  return url;
+}
+
+const saveAttachment = async (attachment: Attachment) => {
+  const url = URL.createObjectURL(await apiClient.downloadAttachment(attachment.id));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = attachment.name;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+/**
+ * The attachments of several records of one type, keyed by record id, e.g.
+ * for the rows of a table. `reload` fetches them again after a change.
+ */
+export function useAttachmentsFor(entityType: AttachmentEntityType, entityIds: string[]) {
+  const [byEntity, setByEntity] = useState<Record<string, Attachment[]>>({});
+  const [version, setVersion] = useState(0);
+  const key = entityIds.join(",");
+
+  useEffect(() => {
+    // Keyed on the joined ids, as callers usually pass a fresh array each render
+    const ids = key ? key.split(",") : [];
+    if (ids.length === 0) {
+      setByEntity({});
+      return;
+    }
+    let cancelled = false;
+    // The server takes up to 100 records at a time
+    const batches: string[][] = [];
+    for (let i = 0; i < ids.length; i += 100) batches.push(ids.slice(i, i + 100));
+    Promise.all(batches.map((batch) => apiClient.listAttachmentsFor(entityType, batch)))
+      .then((results) => {
+        if (cancelled) return;
+        const grouped: Record<string, Attachment[]> = {};
+        for (const attachment of results.flat()) {
+          if (!attachment.entityId) continue;
+          (grouped[attachment.entityId] ??= []).push(attachment);
+        }
+        setByEntity(grouped);
+      })
+      .catch((err: any) => console.warn("[Attachments] Could not load attachments:", err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [entityType, key, version]);
+
+  return { byEntity, reload: () => setVersion((v) => v + 1) };
+}
+
+interface AttachmentThumbnailProps {
+  attachment: Attachment;
+  onOpen: (attachment: Attachment) => void;
+}
+
+// A small square: the picture itself for images, an icon for anything else
+export function AttachmentThumbnail({ attachment, onOpen }: AttachmentThumbnailProps) {
+  const url = useAttachmentUrl(attachment, isImage(attachment));
+  const Icon = isPdf(attachment) ? FileText : FileIcon;
+
+  return (
+    <button
+      type="button"
+      onClick={() => onOpen(attachment)}
+      title={attachment.name}
+      aria-label={attachment.name}
+      className="h-10 w-10 shrink-0 overflow-hidden rounded border bg-gray-50 flex items-center justify-center hover:ring-2 hover:ring-orange-300"
+    >
+      {url ? (
+        <img src={url} alt={attachment.name} className="h-full w-full object-cover" />
+      ) : (
+        <Icon className="h-5 w-5 text-gray-500" />
+      )}
+    </button>
+  );
+}
+
+interface AttachmentPreviewProps {
+  attachment: Attachment | null;
+  onClose: () => void;
+}
+
+// Images and PDFs are shown in the dialog; other files can be downloaded
+export function AttachmentPreview({ attachment, onClose }: AttachmentPreviewProps) {
+  const { t } = useLanguage();
+  const url = useAttachmentUrl(attachment);
+
+  return (
+    <Dialog open={!!attachment} onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-4xl max-h-[90vh] overflow-auto">
+        <DialogHeader>
+          <DialogTitle className="truncate">{attachment?.name}</DialogTitle>
+          <DialogDescription>
+            {attachment && `${formatSize(attachment.size)} · ${new Date(attachment.uploadedAt).toLocaleString("en-IN")}`}
+          </DialogDescription>
+        </DialogHeader>
+        {attachment && (
+          <div className="space-y-4">
+            <div className="flex justify-center bg-gray-50 rounded-lg p-4 min-h-40">
+              {!url ? (
+                <p className="text-sm text-gray-500 self-center">{t("common.loading")}</p>
+              ) : isImage(attachment) ? (
+                <img src={url} alt={attachment.name} className="max-w-full max-h-[60vh] object-contain" />
+              ) : isPdf(attachment) ? (
+                <iframe src={url} title={attachment.name} className="w-full h-[60vh] rounded border" />
+              ) : (
+                <p className="text-sm text-gray-500 self-center">{t("documents.noPreview")}</p>
+              )}
+            </div>
+            <div className="flex justify-end">
+              <Button
+                type="button"
+                variant="outline"
+                onClick={() => saveAttachment(attachment).catch((err: any) => toast.error(err.message))}
+              >
+                <Download className="h-4 w-4 mr-2" />
+                {t("documents.downloadDocument")}
+              </Button>
+            </div>
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
+
+interface AttachmentStripProps {
+  attachments: Attachment[];
+  // Thumbnails shown before the rest are summed up as "+n"
+  max?: number;
+}
+
+// A row of thumbnails for a table cell; clicking one previews it
+export function AttachmentStrip({ attachments, max = 3 }: AttachmentStripProps) {
+  const [previewing, setPreviewing] = useState<Attachment | null>(null);
+  if (attachments.length === 0) return <span className="text-gray-400">-</span>;
+
+  return (
+    <div className="flex items-center gap-1">
+      {attachments.slice(0, max).map((attachment) => (
+        <AttachmentThumbnail key={attachment.id} attachment={attachment} onOpen={setPreviewing} />
+      ))}
+      {attachments.length > max && (
+        <button
+          type="button"
+          onClick={() => setPreviewing(attachments[max])}
+          className="text-xs text-gray-600 px-1"
+        >
+          +{attachments.length - max}
+        </button>
+      )}
+      <AttachmentPreview attachment={previewing} onClose={() => setPreviewing(null)} />
+    </div>
+  );
+}
+
+interface AttachmentsProps {
+  entityType: AttachmentEntityType;
+  entityId: string;
+  // Upload and delete; without it the files are only shown
+  canManage?: boolean;
+  // Called with the record's files whenever they are loaded or change
+  onChange?: (attachments: Attachment[]) => void;
+}
+
+/**
+ * A record's attachments: thumbnails with preview, and upload and delete for
+ * users who may change the record. "Scan" opens the camera on a phone, so a
+ * bill or cheque can be photographed straight in.
+ */
+export default function Attachments({ entityType, entityId, canManage = false, onChange }: AttachmentsProps) {
+  const { t } = useLanguage();
+  const [attachments, setAttachments] = useState<Attachment[]>([]);
+  const [previewing, setPreviewing] = useState<Attachment | null>(null);
+  const [busy, setBusy] = useState(false);
+  const inputRef = useRef<HTMLInputElement>(null);
+  const cameraRef = useRef<HTMLInputElement>(null);
+
+  // Callers pass onChange inline, so it is read through a ref rather than
+  // refetching the files whenever the parent renders
+  const onChangeRef = useRef(onChange);
+  useEffect(() => {
+    onChangeRef.current = onChange;
+  }, [onChange]);
+
+  const update = useCallback((next: Attachment[]) => {
+    setAttachments(next);
+    onChangeRef.current?.(next);
+  }, []);
+
+  useEffect(() => {
+    apiClient
+      .listAttachments(entityType, entityId)
+      .then((list) => update(list ?? []))
+      .catch((err: any) => toast.error(err.message || t("attachments.loadError")));
+  }, [entityType, entityId, update, t]);
+
+  const upload = async (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    setBusy(true);
+    try {
+      const added = await apiClient.uploadAttachments(entityType, entityId, Array.from(files));
+      update([...attachments, ...added]);
+      toast.success(t("documents.uploadSuccess"));
+    } catch (err: any) {
+      toast.error(err.message || t("documents.uploadError"));
+    } finally {
+      setBusy(false);
+      if (inputRef.current) inputRef.current.value = "";
+      if (cameraRef.current) cameraRef.current.value = "";
+    }
+  };
+
+  const remove = async (attachment: Attachment) => {
+    if (!window.confirm(t("attachments.confirmDelete"))) return;
+    try {
+      await apiClient.deleteAttachment(attachment.id);
+      update(attachments.filter((a) => a.id !== attachment.id));
+    } catch (err: any) {
+      toast.error(err.message || t("common.error"));
+    }
+  };
+
+  return (
+    <div className="space-y-3">
+      {attachments.length === 0 ? (
+        <p className="text-sm text-gray-500">{t("attachments.none")}</p>
+      ) : (
+        <ul className="space-y-2">
+          {attachments.map((attachment) => (
+            <li key={attachment.id} className="flex items-center gap-3">
+              <AttachmentThumbnail attachment={attachment} onOpen={setPreviewing} />
+              <div className="flex-1 min-w-0">
+                <p className="text-sm font-medium truncate">{attachment.name}</p>
+                <p className="text-xs text-gray-500">{formatSize(attachment.size)}</p>
+              </div>
+              {canManage && (
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="sm"
+                  onClick={() => remove(attachment)}
+                  className="h-8 w-8 p-0 text-red-500 hover:text-red-700"
+                  aria-label={t("documents.removeDocument")}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+      {canManage && (
+        <>
+          <input
+            ref={inputRef}
+            type="file"
+            multiple
+            accept="image/*,application/pdf"
+            className="hidden"
+            onChange={(e) => upload(e.target.files)}
+            data-testid="attachment-input"
+          />
+          <input
+            ref={cameraRef}
+            type="file"
+            accept="image/*"
+            capture="environment"
+            className="hidden"
+            onChange={(e) => upload(e.target.files)}
+          />
+          <div className="flex gap-2">
+            <Button type="button" variant="outline" disabled={busy} onClick={() => inputRef.current?.click()}>
+              <Upload className="h-4 w-4 mr-2" />
+              {busy ? t("attachments.uploading") : t("attachments.add")}
+            </Button>
+            <Button type="button" variant="outline" disabled={busy} onClick={() => cameraRef.current?.click()}>
+              <Camera className="h-4 w-4 mr-2" />
+              {t("attachments.scan")}
+            </Button>
+          </div>
+        </>
+      )}
+      <AttachmentPreview attachment={previewing} onClose={() => setPreviewing(null)} />
+    </div>
+  );
+}
+
+interface AttachmentsDialogProps extends AttachmentsProps {
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  title: string;
+  description?: string;
+}
+
+// Attachments of one row of a table, opened from its paperclip button
+export function AttachmentsDialog({ open, onOpenChange, title, description, ...props }: AttachmentsDialogProps) {
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-lg">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Paperclip className="h-5 w-5" />
+            {title}
+          </DialogTitle>
+          {description && <DialogDescription>{description}</DialogDescription>}
+        </DialogHeader>
+        {open && <Attachments {...props} />}
+      </DialogContent>
+    </Dialog>
+  );
+}
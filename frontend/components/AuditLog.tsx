@@ -0,0 +1,337 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { ChevronLeft, ChevronRight, History, ShieldCheck } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { AuditEntityType, AuditEntry, AuditVerification } from "../src/types";
+
+const ENTITY_TYPES: AuditEntityType[] = [
+  "User",
+  "Shop",
+  "Tenant",
+  "Agreement",
+  "Loan",
+  "RentPenalty",
+  "Transaction",
+  "Donor",
+  "Attachment",
+  "Category",
+  "Budget",
+];
+
+const ALL = "all";
+const PAGE_SIZE = 50;
+
+const ACTION_STYLES: Record<AuditEntry["action"], string> = {
+  create: "bg-green-100 text-green-800",
+  update: "bg-blue-100 text-blue-800",
+  delete: "bg-red-100 text-red-800",
+  restore: "bg-amber-100 text-amber-800",
+  purge: "bg-gray-200 text-gray-800",
+};
+
+interface Filters {
+  actorId: string;
+  entityType: string;
+  entityId: string;
+  from: string;
+  to: string;
+}
+
+const EMPTY_FILTERS: Filters = { actorId: ALL, entityType: ALL, entityId: "", from: "", to: "" };
+
+const formatValue = (value: unknown) => {
+  if (value === null || value === undefined || value === "") return "—";
+  return typeof value === "object" ? JSON.stringify(value) : String(value);
+};
+
+interface AuditLogProps {
+  // Offer a user picker; without user.view the list of users cannot be loaded
+  canListUsers?: boolean;
+}
+
+// Admin viewer for the audit trail: who changed what and when, with the
+// field-level diff of each change and a check of the hash chain.
+export default function AuditLog({ canListUsers = false }: AuditLogProps) {
+  const { t } = useLanguage();
+  const [users, setUsers] = useState<{ id: string; username: string }[]>([]);
+  const [draft, setDraft] = useState<Filters>(EMPTY_FILTERS);
+  const [filters, setFilters] = useState<Filters>(EMPTY_FILTERS);
+  const [page, setPage] = useState(1);
+  const [entries, setEntries] = useState<AuditEntry[]>([]);
+  const [pages, setPages] = useState(1);
+  const [total, setTotal] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [verification, setVerification] = useState<AuditVerification | null>(null);
+  const [verifying, setVerifying] = useState(false);
+
+  useEffect(() => {
+    if (!canListUsers) return;
+    apiClient
+      .getUsers()
+      .then((data: any) => setUsers(Array.isArray(data) ? data : data?.users ?? []))
+      .catch(() => setUsers([]));
+  }, [canListUsers]);
+
+  useEffect(() => {
+    setLoading(true);
+    apiClient
+      .getAuditLog({
+        actorId: filters.actorId === ALL ? undefined : filters.actorId,
+        entityType: filters.entityType === ALL ? undefined : filters.entityType,
+        entityId: filters.entityId.trim() || undefined,
+        from: filters.from || undefined,
+        to: filters.to || undefined,
+        page,
+        limit: PAGE_SIZE,
+      })
+      .then((data) => {
+        setEntries(data?.entries ?? []);
+        setPages(Math.max(data?.pagination?.pages ?? 1, 1));
+        setTotal(data?.pagination?.total ?? 0);
+      })
+      .catch((err: any) => toast.error(err.message || t("audit.loadError")))
+      .finally(() => setLoading(false));
+  }, [filters, page, t]);
+
+  const applyFilters = () => {
+    setPage(1);
+    setFilters({ ...draft });
+  };
+
+  const resetFilters = () => {
+    setPage(1);
+    setDraft(EMPTY_FILTERS);
+    setFilters(EMPTY_FILTERS);
+  };
+
+  const handleVerify = async () => {
+    setVerifying(true);
+    try {
+      const result = await apiClient.verifyAuditLog();
+      setVerification(result);
+      if (result.valid) toast.success(t("audit.chainValid"));
+      else toast.error(t("audit.chainBroken"));
+    } catch (err: any) {
+      toast.error(err.message || t("audit.verifyError"));
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <History className="h-5 w-5" />
+            {t("audit.title")}
+          </CardTitle>
+          <Button variant="outline" onClick={handleVerify} disabled={verifying}>
+            <ShieldCheck className="h-4 w-4 mr-2" />
+            {t("audit.verify")}
+          </Button>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {verification && (
+            <p
+              className={`text-sm ${verification.valid ? "text-green-700" : "text-red-600"}`}
+              role="status"
+            >
+              {verification.valid
+                ? `${t("audit.chainValid")} (${verification.checked} ${t("audit.entriesChecked")})`
+                : `${t("audit.chainBroken")} #${verification.brokenAt}`}
+            </p>
+          )}
+
+          <div className="grid grid-cols-1 md:grid-cols-3 lg:grid-cols-6 gap-3 items-end">
+            {canListUsers && (
+              <div>
+                <Label>{t("audit.user")}</Label>
+                <Select
+                  value={draft.actorId}
+                  onValueChange={(value) => setDraft({ ...draft, actorId: value })}
+                >
+                  <SelectTrigger aria-label={t("audit.user")}>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                    <SelectItem value={ALL} className="hover:font-bold hover:bg-gray-100">
+                      {t("common.all")}
+                    </SelectItem>
+                    {users.map((u) => (
+                      <SelectItem key={u.id} value={u.id} className="hover:font-bold hover:bg-gray-100">
+                        {u.username}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
+            <div>
+              <Label>{t("audit.entity")}</Label>
+              <Select
+                value={draft.entityType}
+                onValueChange={(value) => setDraft({ ...draft, entityType: value })}
+              >
+                <SelectTrigger aria-label={t("audit.entity")}>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                  <SelectItem value={ALL} className="hover:font-bold hover:bg-gray-100">
+                    {t("common.all")}
+                  </SelectItem>
+                  {ENTITY_TYPES.map((type) => (
+                    <SelectItem key={type} value={type} className="hover:font-bold hover:bg-gray-100">
+                      {t(`audit.entity.${type}`)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="auditEntityId">{t("audit.entityId")}</Label>
+              <Input
+                id="auditEntityId"
+                value={draft.entityId}
+                maxLength={36}
+                onChange={(e) => setDraft({ ...draft, entityId: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="auditFrom">{t("audit.from")}</Label>
+              <Input
+                id="auditFrom"
+                type="date"
+                value={draft.from}
+                onChange={(e) => setDraft({ ...draft, from: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="auditTo">{t("audit.to")}</Label>
+              <Input
+                id="auditTo"
+                type="date"
+                value={draft.to}
+                onChange={(e) => setDraft({ ...draft, to: e.target.value })}
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button onClick={applyFilters}>{t("common.search")}</Button>
+              <Button variant="outline" onClick={resetFilters}>
+                {t("audit.reset")}
+              </Button>
+            </div>
+          </div>
+
+          {loading ? (
+            <p className="text-sm text-gray-500">{t("common.loading")}</p>
+          ) : entries.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("audit.empty")}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("audit.when")}</TableHead>
+                  <TableHead>{t("audit.user")}</TableHead>
+                  <TableHead>{t("audit.entity")}</TableHead>
+                  <TableHead>{t("audit.action")}</TableHead>
+                  <TableHead>{t("audit.changes")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {entries.map((entry) => (
+                  <TableRow key={entry.seq} className="align-top">
+                    <TableCell className="whitespace-nowrap text-sm">
+                      {new Date(entry.createdAt).toLocaleString("en-IN")}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div>{entry.actorName || t("audit.system")}</div>
+                      {entry.ipAddress && (
+                        <div className="text-xs text-gray-500">{entry.ipAddress}</div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div>{t(`audit.entity.${entry.entityType}`)}</div>
+                      <div className="font-mono text-xs text-gray-500">{entry.entityId}</div>
+                    </TableCell>
+                    <TableCell>
+                      <Badge className={ACTION_STYLES[entry.action]}>
+                        {t(`audit.action.${entry.action}`)}
+                      </Badge>
+                    </TableCell>
+                    <TableCell>
+                      <div className="space-y-1">
+                        {entry.changes.map((change) => (
+                          <div key={change.field} className="text-xs">
+                            <span className="font-mono">{change.field}</span>:{" "}
+                            {entry.action !== "create" && (
+                              <span className="text-red-600 line-through">{formatValue(change.from)}</span>
+                            )}
+                            {entry.action === "update" && " → "}
+                            {entry.action !== "delete" && (
+                              <span className="text-green-700">{formatValue(change.to)}</span>
+                            )}
+                          </div>
+                        ))}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+
+          <div className="flex items-center justify-between text-sm text-gray-600">
+            <span>
+              {total} {t("audit.entries")}
+            </span>
+            <div className="flex items-center gap-2">
+              <Button
+                variant="outline"
+                size="sm"
+                aria-label={t("audit.previous")}
+                disabled={page <= 1 || loading}
+                onClick={() => setPage(page - 1)}
+              >
+                <ChevronLeft className="h-4 w-4" />
+              </Button>
+              <span>
+                {page} / {pages}
+              </span>
+              <Button
+                variant="outline"
+                size="sm"
+                aria-label={t("audit.next")}
+                disabled={page >= pages || loading}
+                onClick={() => setPage(page + 1)}
+              >
+                <ChevronRight className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
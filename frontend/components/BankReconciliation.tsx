@@ -0,0 +1,736 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { Badge } from "./ui/badge";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Alert, AlertDescription } from "./ui/alert";
+import {
+  AlertCircle,
+  Link2,
+  Lock,
+  Plus,
+  RefreshCw,
+  Unlock,
+  Upload,
+  X,
+} from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import { hasPermission } from "../src/utils/permissions";
+import { useCategories, activeOnly, labelOf } from "../src/utils/categories";
+import type {
+  BankLineStatus,
+  BankStatementLine,
+  ReconciliationMonth,
+  ReconciliationMonthSummary,
+  Transaction,
+} from "../src/types";
+
+interface BankReconciliationProps {
+  currentUser: any;
+  // Called after a transaction is created from a statement line
+  onTransactionsChanged?: () => void;
+}
+
+const statusColor = (status: BankLineStatus) => {
+  switch (status) {
+    case "Matched":
+      return "bg-green-100 text-green-800";
+    case "Ignored":
+      return "bg-gray-100 text-gray-800";
+    default:
+      return "bg-yellow-100 text-yellow-800";
+  }
+};
+
+const monthRange = (period: string) => {
+  const [year, month] = period.split("-").map(Number);
+  const lastDay = new Date(year, month, 0).getDate();
+  return { from: `${period}-01`, to: `${period}-${String(lastDay).padStart(2, "0")}` };
+};
+
+export default function BankReconciliation({
+  currentUser,
+  onTransactionsChanged,
+}: BankReconciliationProps) {
+  const { t, language } = useLanguage();
+  // Offered when recording a statement line as a new entry
+  const categories = useCategories();
+  const fileInputRef = useRef<HTMLInputElement>(null);
+
+  const [months, setMonths] = useState<ReconciliationMonth[]>([]);
+  const [period, setPeriod] = useState<string>("");
+  const [summary, setSummary] = useState<ReconciliationMonthSummary | null>(null);
+  const [lines, setLines] = useState<BankStatementLine[]>([]);
+  const [statusFilter, setStatusFilter] = useState<BankLineStatus | "all">("all");
+  const [error, setError] = useState<string | null>(null);
+  const [busy, setBusy] = useState(false);
+
+  // Line being linked to an existing transaction
+  const [linkLine, setLinkLine] = useState<BankStatementLine | null>(null);
+  const [candidates, setCandidates] = useState<Transaction[]>([]);
+
+  // Line being recorded as a new donation or expense
+  const [createLine, setCreateLine] = useState<BankStatementLine | null>(null);
+  const [createForm, setCreateForm] = useState({ category: "", name: "", description: "" });
+
+  const [showReconcile, setShowReconcile] = useState(false);
+  const [reconcileNotes, setReconcileNotes] = useState("");
+
+  const canModify = hasPermission(currentUser, "bank.reconcile");
+  const canReopen = hasPermission(currentUser, "bank.month.reopen");
+  const locked = !!summary?.reconciliation?.locked;
+
+  const loadMonths = useCallback(async (): Promise<ReconciliationMonth[]> => {
+    try {
+      const list = (await apiClient.getReconciliationMonths()) ?? [];
+      setMonths(list);
+      return list;
+    } catch (err: any) {
+      setError(err.message || t("reconciliation.loadError"));
+      return [];
+    }
+  }, [t]);
+
+  const loadMonth = useCallback(async (selected: string) => {
+    setError(null);
+    try {
+      const [monthSummary, monthLines] = await Promise.all([
+        apiClient.getReconciliationMonth(selected),
+        apiClient.getBankStatementLines(monthRange(selected)),
+      ]);
+      setSummary(monthSummary ?? null);
+      setLines(monthLines ?? []);
+    } catch (err: any) {
+      setError(err.message || t("reconciliation.loadError"));
+    }
+  }, [t]);
+
+  // Reload the month list, then show `selectPeriod`, else the month already
+  // shown, else the latest
+  const refresh = async (selectPeriod?: string) => {
+    const list = await loadMonths();
+    const next = selectPeriod || period || list[0]?.period || "";
+    if (next !== period) setPeriod(next);
+    else if (next) await loadMonth(next);
+  };
+
+  useEffect(() => {
+    loadMonths().then((list) => setPeriod((current) => current || list[0]?.period || ""));
+  }, [loadMonths]);
+
+  useEffect(() => {
+    if (period) loadMonth(period);
+  }, [period, loadMonth]);
+
+  // Run an action, report failures, and refresh the month afterwards
+  const runAction = async (action: () => Promise<any>, successKey: string) => {
+    setBusy(true);
+    try {
+      const response = await action();
+      toast.success(t(successKey));
+      await refresh();
+      return response;
+    } catch (err: any) {
+      toast.error(err.message || t("reconciliation.actionError"));
+      return null;
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleFileSelected = async (event: React.ChangeEvent<HTMLInputElement>) => {
+    const file = event.target.files?.[0];
+    event.target.value = "";
+    if (!file) return;
+
+    setBusy(true);
+    try {
+      const content = await file.text();
+      const result: any = await apiClient.importBankStatement({
+        fileName: file.name,
+        content,
+      });
+      toast.success(
+        `${t("reconciliation.importSuccess")}: ${result?.imported ?? 0} ${t("reconciliation.linesImported")}, ${result?.matched ?? 0} ${t("reconciliation.linesMatched")}`
+      );
+      if (result?.duplicates) {
+        toast.info(`${result.duplicates} ${t("reconciliation.duplicatesSkipped")}`);
+      }
+      await refresh(result?.statement?.periodTo?.slice(0, 7));
+    } catch (err: any) {
+      toast.error(err.message || t("reconciliation.importError"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const openLink = async (line: BankStatementLine) => {
+    setLinkLine(line);
+    setCandidates([]);
+    try {
+      setCandidates((await apiClient.getBankLineCandidates(line.id)) ?? []);
+    } catch (err: any) {
+      toast.error(err.message || t("reconciliation.loadError"));
+    }
+  };
+
+  const handleLink = async (transaction: Transaction) => {
+    if (!linkLine) return;
+    const response = await runAction(
+      () => apiClient.matchBankLine(linkLine.id, transaction.id),
+      "reconciliation.matchSuccess"
+    );
+    if (response) setLinkLine(null);
+  };
+
+  const openCreate = (line: BankStatementLine) => {
+    setCreateLine(line);
+    setCreateForm({ category: "", name: "", description: line.description });
+  };
+
+  const handleCreate = async () => {
+    if (!createLine) return;
+    if (!createForm.category || !createForm.name.trim()) {
+      toast.error(t("reconciliation.createRequired"));
+      return;
+    }
+    const isCredit = createLine.amount > 0;
+    const response = await runAction(
+      () =>
+        apiClient.createTransactionFromBankLine(createLine.id, {
+          type: isCredit ? "Donation" : "Expense",
+          category: createForm.category,
+          description: createForm.description.trim() || undefined,
+          ...(isCredit
+            ? { donorName: createForm.name.trim() }
+            : { payeeName: createForm.name.trim() }),
+        }),
+      "reconciliation.createSuccess"
+    );
+    if (response) {
+      setCreateLine(null);
+      onTransactionsChanged?.();
+    }
+  };
+
+  const handleReconcile = async () => {
+    const response = await runAction(
+      () =>
+        apiClient.reconcileMonth(period, {
+          notes: reconcileNotes.trim() || undefined,
+        }),
+      "reconciliation.reconcileSuccess"
+    );
+    if (response) {
+      setShowReconcile(false);
+      setReconcileNotes("");
+    }
+  };
+
+  const formatAmount = (amount: number | null | undefined) =>
+    amount === null || amount === undefined
+      ? "-"
+      : `${t("common.currency")}${amount.toLocaleString("en-IN")}`;
+
+  const partyName = (transaction: Transaction) =>
+    transaction.donorName || transaction.tenantName || transaction.payeeName || transaction.vendor || "";
+
+  const visibleLines =
+    statusFilter === "all" ? lines : lines.filter((line) => line.status === statusFilter);
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle>{t("reconciliation.title")}</CardTitle>
+          {canModify && (
+            <div className="flex gap-2">
+              <Button
+                variant="outline"
+                disabled={busy}
+                onClick={() =>
+                  runAction(() => apiClient.autoMatchBankLines(), "reconciliation.autoMatchDone")
+                }
+              >
+                <RefreshCw className="h-4 w-4" />
+                {t("reconciliation.autoMatch")}
+              </Button>
+              <Button disabled={busy} onClick={() => fileInputRef.current?.click()}>
+                <Upload className="h-4 w-4" />
+                {t("reconciliation.importStatement")}
+              </Button>
+              <input
+                ref={fileInputRef}
+                type="file"
+                accept=".csv,.ofx,.qfx,text/csv"
+                className="hidden"
+                onChange={handleFileSelected}
+              />
+            </div>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">{t("reconciliation.importHint")}</p>
+
+          {error && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {months.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("reconciliation.noStatements")}</p>
+          ) : (
+            <div className="flex flex-wrap items-end gap-4">
+              <div className="w-48">
+                <Label>{t("reconciliation.month")}</Label>
+                <Select value={period} onValueChange={setPeriod}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                    {months.map((month) => (
+                      <SelectItem
+                        key={month.period}
+                        value={month.period}
+                        className="hover:font-bold hover:bg-gray-100"
+                      >
+                        {month.period}
+                        {month.reconciliation?.locked
+                          ? ` · ${t("reconciliation.reconciled")}`
+                          : ` (${month.unmatched})`}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="w-48">
+                <Label>{t("reconciliation.status")}</Label>
+                <Select
+                  value={statusFilter}
+                  onValueChange={(value) => setStatusFilter(value as BankLineStatus | "all")}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                    <SelectItem value="all" className="hover:font-bold hover:bg-gray-100">
+                      {t("reconciliation.allLines")}
+                    </SelectItem>
+                    {(["Unmatched", "Matched", "Ignored"] as BankLineStatus[]).map((status) => (
+                      <SelectItem
+                        key={status}
+                        value={status}
+                        className="hover:font-bold hover:bg-gray-100"
+                      >
+                        {t(`reconciliation.${status.toLowerCase()}`)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {summary && (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="flex items-center gap-2">
+              {summary.period}
+              {locked && (
+                <Badge className="bg-green-100 text-green-800">
+                  <Lock className="h-3 w-3" />
+                  {t("reconciliation.reconciled")}
+                </Badge>
+              )}
+            </CardTitle>
+            <div className="flex gap-2">
+              {canModify && !locked && (
+                <Button
+                  disabled={busy || summary.unmatched > 0}
+                  onClick={() => setShowReconcile(true)}
+                >
+                  <Lock className="h-4 w-4" />
+                  {t("reconciliation.reconcileMonth")}
+                </Button>
+              )}
+              {canReopen && locked && (
+                <Button
+                  variant="outline"
+                  disabled={busy}
+                  onClick={() =>
+                    runAction(
+                      () => apiClient.reopenReconciliationMonth(period),
+                      "reconciliation.reopenSuccess"
+                    )
+                  }
+                >
+                  <Unlock className="h-4 w-4" />
+                  {t("reconciliation.reopen")}
+                </Button>
+              )}
+            </div>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+              <div>
+                <p className="text-gray-500">{t("reconciliation.statementBalance")}</p>
+                <p className="font-semibold">{formatAmount(summary.statementBalance)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">{t("reconciliation.bookBalance")}</p>
+                <p className="font-semibold">{formatAmount(summary.bookBalance)}</p>
+              </div>
+              <div>
+                <p className="text-gray-500">{t("reconciliation.difference")}</p>
+                <p
+                  className={`font-semibold ${
+                    summary.difference ? "text-red-600" : "text-green-600"
+                  }`}
+                >
+                  {formatAmount(summary.difference)}
+                </p>
+              </div>
+              <div>
+                <p className="text-gray-500">{t("reconciliation.lines")}</p>
+                <p className="font-semibold">
+                  {summary.matched} {t("reconciliation.matched")} · {summary.unmatched}{" "}
+                  {t("reconciliation.unmatched")} · {summary.ignored} {t("reconciliation.ignored")}
+                </p>
+              </div>
+            </div>
+
+            {visibleLines.length === 0 ? (
+              <p className="text-sm text-gray-500">{t("reconciliation.noLines")}</p>
+            ) : (
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t("common.date")}</TableHead>
+                    <TableHead>{t("common.description")}</TableHead>
+                    <TableHead>{t("reconciliation.reference")}</TableHead>
+                    <TableHead className="text-right">{t("reconciliation.debit")}</TableHead>
+                    <TableHead className="text-right">{t("reconciliation.credit")}</TableHead>
+                    <TableHead>{t("reconciliation.status")}</TableHead>
+                    <TableHead>{t("reconciliation.matchedTransaction")}</TableHead>
+                    {canModify && !locked && (
+                      <TableHead className="text-center">{t("common.actions")}</TableHead>
+                    )}
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {visibleLines.map((line) => (
+                    <TableRow key={line.id}>
+                      <TableCell>{line.lineDate}</TableCell>
+                      <TableCell className="max-w-xs truncate" title={line.description}>
+                        {line.description}
+                      </TableCell>
+                      <TableCell>{line.reference || "-"}</TableCell>
+                      <TableCell className="text-right">
+                        {line.amount < 0 ? formatAmount(-line.amount) : ""}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {line.amount > 0 ? formatAmount(line.amount) : ""}
+                      </TableCell>
+                      <TableCell>
+                        <Badge className={statusColor(line.status)}>
+                          {t(`reconciliation.${line.status.toLowerCase()}`)}
+                        </Badge>
+                        {line.matchType && (
+                          <div className="text-xs text-gray-500">
+                            {t(`reconciliation.match${line.matchType}`)}
+                          </div>
+                        )}
+                      </TableCell>
+                      <TableCell>
+                        {line.transaction ? (
+                          <div className="text-sm">
+                            <div>
+                              {line.transaction.date} · {line.transaction.category}
+                              {line.transaction.receiptNumber &&
+                                ` · #${line.transaction.receiptNumber}`}
+                            </div>
+                            <div className="text-xs text-gray-500">
+                              {partyName(line.transaction)}
+                            </div>
+                          </div>
+                        ) : (
+                          "-"
+                        )}
+                      </TableCell>
+                      {canModify && !locked && (
+                        <TableCell className="text-center">
+                          <div className="flex gap-2 justify-center">
+                            {line.status === "Unmatched" && (
+                              <>
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  disabled={busy}
+                                  onClick={() => openLink(line)}
+                                  title={t("reconciliation.link")}
+                                >
+                                  <Link2 className="h-4 w-4" />
+                                </Button>
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  disabled={busy}
+                                  onClick={() => openCreate(line)}
+                                  title={
+                                    line.amount > 0
+                                      ? t("reconciliation.createDonation")
+                                      : t("reconciliation.createExpense")
+                                  }
+                                >
+                                  <Plus className="h-4 w-4" />
+                                </Button>
+                                <Button
+                                  variant="outline"
+                                  size="sm"
+                                  disabled={busy}
+                                  onClick={() =>
+                                    runAction(
+                                      () => apiClient.ignoreBankLine(line.id, true),
+                                      "reconciliation.lineUpdated"
+                                    )
+                                  }
+                                >
+                                  {t("reconciliation.ignore")}
+                                </Button>
+                              </>
+                            )}
+                            {line.status === "Matched" && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={busy}
+                                onClick={() =>
+                                  runAction(
+                                    () => apiClient.unmatchBankLine(line.id),
+                                    "reconciliation.lineUpdated"
+                                  )
+                                }
+                                title={t("reconciliation.unmatch")}
+                              >
+                                <X className="h-4 w-4" />
+                              </Button>
+                            )}
+                            {line.status === "Ignored" && (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                disabled={busy}
+                                onClick={() =>
+                                  runAction(
+                                    () => apiClient.ignoreBankLine(line.id, false),
+                                    "reconciliation.lineUpdated"
+                                  )
+                                }
+                              >
+                                {t("reconciliation.restore")}
+                              </Button>
+                            )}
+                          </div>
+                        </TableCell>
+                      )}
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={!!linkLine} onOpenChange={(open) => !open && setLinkLine(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>{t("reconciliation.link")}</DialogTitle>
+            <DialogDescription>
+              {linkLine && (
+                <>
+                  {linkLine.lineDate} · {linkLine.description} ·{" "}
+                  {formatAmount(Math.abs(linkLine.amount))}
+                </>
+              )}
+            </DialogDescription>
+          </DialogHeader>
+          {candidates.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("reconciliation.noCandidates")}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("common.date")}</TableHead>
+                  <TableHead>{t("donations.category")}</TableHead>
+                  <TableHead>{t("reconciliation.party")}</TableHead>
+                  <TableHead>{t("reconciliation.reference")}</TableHead>
+                  <TableHead className="text-right">{t("common.amount")}</TableHead>
+                  <TableHead />
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {candidates.map((candidate) => (
+                  <TableRow key={candidate.id}>
+                    <TableCell>{candidate.date}</TableCell>
+                    <TableCell>{candidate.category}</TableCell>
+                    <TableCell>{partyName(candidate) || "-"}</TableCell>
+                    <TableCell>{candidate.paymentReference || "-"}</TableCell>
+                    <TableCell className="text-right">
+                      {formatAmount(candidate.amount)}
+                    </TableCell>
+                    <TableCell>
+                      <Button size="sm" disabled={busy} onClick={() => handleLink(candidate)}>
+                        {t("reconciliation.select")}
+                      </Button>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!createLine} onOpenChange={(open) => !open && setCreateLine(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {createLine && createLine.amount > 0
+                ? t("reconciliation.createDonation")
+                : t("reconciliation.createExpense")}
+            </DialogTitle>
+            <DialogDescription>
+              {createLine && (
+                <>
+                  {createLine.lineDate} · {formatAmount(Math.abs(createLine.amount))}
+                </>
+              )}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div>
+              <Label>{t("donations.category")} *</Label>
+              <Select
+                value={createForm.category}
+                onValueChange={(value) => setCreateForm({ ...createForm, category: value })}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder={t("donations.selectCategory")} />
+                </SelectTrigger>
+                <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                  {activeOnly(
+                    categories.filter(
+                      (category) => category.type === (createLine && createLine.amount > 0 ? "Donation" : "Expense")
+                    )
+                  ).map((category) => (
+                    <SelectItem
+                      key={category.id}
+                      value={category.code}
+                      className="hover:font-bold hover:bg-gray-100"
+                    >
+                      {labelOf(category, language)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div>
+              <Label htmlFor="bankLineParty">
+                {createLine && createLine.amount > 0
+                  ? t("donations.donorName")
+                  : t("expenses.payeeName")}{" "}
+                *
+              </Label>
+              <Input
+                id="bankLineParty"
+                value={createForm.name}
+                onChange={(e) => setCreateForm({ ...createForm, name: e.target.value })}
+              />
+            </div>
+            <div>
+              <Label htmlFor="bankLineDescription">{t("common.description")}</Label>
+              <Input
+                id="bankLineDescription"
+                value={createForm.description}
+                onChange={(e) => setCreateForm({ ...createForm, description: e.target.value })}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setCreateLine(null)}>
+              {t("common.cancel")}
+            </Button>
+            <Button disabled={busy} onClick={handleCreate}>
+              {t("common.submit")}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={showReconcile} onOpenChange={setShowReconcile}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{t("reconciliation.reconcileMonth")}</DialogTitle>
+            <DialogDescription>{t("reconciliation.reconcileWarning")}</DialogDescription>
+          </DialogHeader>
+          {summary && summary.difference !== null && summary.difference !== 0 && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>
+                {t("reconciliation.differenceWarning")}: {formatAmount(summary.difference)}
+              </AlertDescription>
+            </Alert>
+          )}
+          <div>
+            <Label htmlFor="reconcileNotes">{t("reconciliation.notes")}</Label>
+            <Input
+              id="reconcileNotes"
+              maxLength={255}
+              value={reconcileNotes}
+              onChange={(e) => setReconcileNotes(e.target.value)}
+            />
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setShowReconcile(false)}>
+              {t("common.cancel")}
+            </Button>
+            <Button disabled={busy} onClick={handleReconcile}>
+              {t("common.submit")}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
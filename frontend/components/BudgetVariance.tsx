@@ -0,0 +1,329 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { Pencil, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import { financialYearOf } from "../src/utils/taxExemption";
+import { activeOnly, categoryLabel, findCategory, labelOf, subCategoryLabel, useCategories } from "../src/utils/categories";
+import type { BudgetLine, BudgetReport } from "../src/types";
+
+// Select items cannot have an empty value
+const WHOLE_CATEGORY = "__whole";
+
+interface BudgetForm {
+  category: string;
+  subCategory: string;
+  amount: string;
+  notes: string;
+}
+
+const emptyForm: BudgetForm = { category: "", subCategory: WHOLE_CATEGORY, amount: "", notes: "" };
+
+// The years offered: three back from the current one and the next, newest first
+const yearsAround = (current: string) => {
+  const start = Number(current.slice(0, 4));
+  return [start + 1, start, start - 1, start - 2, start - 3].map(
+    (year) => `${year}-${String((year + 1) % 100).padStart(2, "0")}`
+  );
+};
+
+interface BudgetVarianceProps {
+  /** The user may set and remove budgets */
+  canManage: boolean;
+}
+
+// Budget against actual spending per expense category and sub-category for
+// a financial year. Spending past a budget is shown in red; the Expenses form
+// warns before saving an expense that would take it there.
+export default function BudgetVariance({ canManage }: BudgetVarianceProps) {
+  const { t, language } = useLanguage();
+  const categories = useCategories("Expense");
+  const currentYear = financialYearOf(new Date().toISOString().split("T")[0]);
+  const [year, setYear] = useState(currentYear);
+  const [report, setReport] = useState<BudgetReport | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [form, setForm] = useState<BudgetForm | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const load = useCallback(async () => {
+    setLoading(true);
+    try {
+      setReport((await apiClient.getBudgetReport(year)) ?? null);
+    } catch (err: any) {
+      toast.error(err.message || t("budget.loadError"));
+    } finally {
+      setLoading(false);
+    }
+  }, [year, t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const formatAmount = (amount: number | null) =>
+    amount === null ? "-" : `${t("common.currency")}${amount.toLocaleString()}`;
+
+  const formCategory = form ? findCategory(categories, "Expense", form.category) : undefined;
+
+  const openEdit = (category: string, subCategory: string | null, line: BudgetLine) =>
+    setForm({
+      category,
+      subCategory: subCategory ?? WHOLE_CATEGORY,
+      // A category budgeted only through its sub-categories has no amount of its own
+      amount: line.budgetId && line.budget !== null ? String(line.budget) : "",
+      notes: line.notes ?? "",
+    });
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+    setSaving(true);
+    try {
+      await apiClient.setBudget({
+        year,
+        category: form.category,
+        subCategory: form.subCategory === WHOLE_CATEGORY ? null : form.subCategory,
+        amount: Number(form.amount),
+        notes: form.notes.trim() || null,
+      });
+      toast.success(t("budget.saved"));
+      setForm(null);
+      await load();
+    } catch (err: any) {
+      toast.error(err.message || t("budget.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async (budgetId: string) => {
+    if (!window.confirm(t("budget.deleteConfirm"))) return;
+    try {
+      await apiClient.deleteBudget(budgetId);
+      toast.success(t("budget.deleted"));
+      await load();
+    } catch (err: any) {
+      toast.error(err.message || t("budget.deleteError"));
+    }
+  };
+
+  const row = (key: string, label: string, line: BudgetLine, edit: () => void, nested = false) => (
+    <tr key={key} className={`border-b ${line.overBudget ? "bg-red-50" : ""}`}>
+      <td className={`p-2 ${nested ? "pl-8 text-gray-600" : "font-medium"}`}>{label}</td>
+      <td className="p-2 text-right">{formatAmount(line.budget)}</td>
+      <td className="p-2 text-right">{formatAmount(line.actual)}</td>
+      <td className={`p-2 text-right ${line.overBudget ? "text-red-600 font-semibold" : ""}`}>
+        {formatAmount(line.variance)}
+      </td>
+      <td className={`p-2 text-right ${line.overBudget ? "text-red-600 font-semibold" : ""}`}>
+        {line.usedPercent === null ? "-" : `${line.usedPercent}%`}
+      </td>
+      {canManage && (
+        <td className="p-2 text-right whitespace-nowrap">
+          <Button
+            variant="ghost"
+            size="sm"
+            className="h-8 w-8 p-0"
+            onClick={edit}
+            aria-label={`${t("budget.edit")} ${label}`}
+          >
+            <Pencil className="h-4 w-4" />
+          </Button>
+          {line.budgetId && (
+            <Button
+              variant="ghost"
+              size="sm"
+              className="h-8 w-8 p-0 text-red-500 hover:text-red-700"
+              onClick={() => handleDelete(line.budgetId!)}
+              aria-label={`${t("budget.delete")} ${label}`}
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          )}
+        </td>
+      )}
+    </tr>
+  );
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <CardTitle>{t("budget.title")}</CardTitle>
+          <div className="flex items-center gap-2">
+            <Label className="text-sm">{t("budget.year")}:</Label>
+            <Select value={year} onValueChange={setYear}>
+              <SelectTrigger className="w-32" aria-label={t("budget.year")}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                {yearsAround(currentYear).map((option) => (
+                  <SelectItem key={option} className="hover:font-bold hover:bg-gray-100" value={option}>
+                    {option}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+            {canManage && (
+              <Button size="sm" onClick={() => setForm({ ...emptyForm })}>
+                <Plus className="h-4 w-4 mr-2" />
+                {t("budget.add")}
+              </Button>
+            )}
+          </div>
+        </div>
+      </CardHeader>
+      <CardContent>
+        {loading ? (
+          <p className="text-center py-6 text-gray-500">{t("common.loading")}</p>
+        ) : !report || report.categories.length === 0 ? (
+          <p className="text-center py-6 text-gray-500">{t("budget.none")}</p>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="border-b text-gray-600">
+                  <th className="p-2 text-left">{t("budget.category")}</th>
+                  <th className="p-2 text-right">{t("budget.budget")}</th>
+                  <th className="p-2 text-right">{t("budget.actual")}</th>
+                  <th className="p-2 text-right">{t("budget.variance")}</th>
+                  <th className="p-2 text-right">{t("budget.used")}</th>
+                  {canManage && <th className="p-2" />}
+                </tr>
+              </thead>
+              <tbody>
+                {report.categories.flatMap((category) => [
+                  row(
+                    category.category,
+                    categoryLabel(categories, language, "Expense", category.category),
+                    category,
+                    () => openEdit(category.category, null, category)
+                  ),
+                  ...category.subCategories.map((sub) =>
+                    row(
+                      `${category.category}/${sub.subCategory}`,
+                      subCategoryLabel(categories, language, "Expense", category.category, sub.subCategory),
+                      sub,
+                      () => openEdit(category.category, sub.subCategory, sub),
+                      true
+                    )
+                  ),
+                ])}
+              </tbody>
+              <tfoot>
+                <tr className="font-semibold">
+                  <td className="p-2">{t("budget.total")}</td>
+                  <td className="p-2 text-right">{formatAmount(report.totals.budget)}</td>
+                  <td className="p-2 text-right">{formatAmount(report.totals.actual)}</td>
+                  <td className="p-2 text-right">
+                    {formatAmount(Math.round((report.totals.budget - report.totals.actual) * 100) / 100)}
+                  </td>
+                  <td className="p-2" colSpan={canManage ? 2 : 1} />
+                </tr>
+              </tfoot>
+            </table>
+            {report.totals.unbudgeted > 0 && (
+              <p className="mt-2 text-xs text-gray-500">
+                {t("budget.unbudgeted")}: {formatAmount(report.totals.unbudgeted)}
+              </p>
+            )}
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog open={!!form} onOpenChange={(open) => !open && setForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{t("budget.setTitle")}</DialogTitle>
+            <DialogDescription>
+              {t("budget.setDesc")} {year}
+            </DialogDescription>
+          </DialogHeader>
+          {form && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label>{t("budget.category")}</Label>
+                <Select
+                  value={form.category}
+                  onValueChange={(value) => setForm({ ...form, category: value, subCategory: WHOLE_CATEGORY })}
+                >
+                  <SelectTrigger aria-label={t("budget.category")}>
+                    <SelectValue placeholder={t("budget.selectCategory")} />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                    {activeOnly(categories, form.category).map((category) => (
+                      <SelectItem key={category.id} value={category.code}>
+                        {labelOf(category, language)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              {formCategory && formCategory.subCategories.length > 0 && (
+                <div>
+                  <Label>{t("budget.subCategory")}</Label>
+                  <Select value={form.subCategory} onValueChange={(value) => setForm({ ...form, subCategory: value })}>
+                    <SelectTrigger aria-label={t("budget.subCategory")}>
+                      <SelectValue />
+                    </SelectTrigger>
+                    <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                      <SelectItem value={WHOLE_CATEGORY}>{t("budget.wholeCategory")}</SelectItem>
+                      {activeOnly(formCategory.subCategories, form.subCategory).map((sub) => (
+                        <SelectItem key={sub.id} value={sub.code}>
+                          {labelOf(sub, language)}
+                        </SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+              )}
+              <div>
+                <Label htmlFor="budget-amount">{t("budget.amount")}</Label>
+                <Input
+                  id="budget-amount"
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.amount}
+                  onChange={(e) => setForm({ ...form, amount: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="budget-notes">{t("budget.notes")}</Label>
+                <Input
+                  id="budget-notes"
+                  value={form.notes}
+                  onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                />
+              </div>
+              <div className="flex justify-end">
+                <Button type="submit" disabled={saving || !form.category || form.amount === ""}>
+                  {t("budget.save")}
+                </Button>
+              </div>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
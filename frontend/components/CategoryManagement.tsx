@@ -0,0 +1,398 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { ArrowDown, ArrowUp, Pencil, Plus, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import { invalidateCategories, labelOf } from "../src/utils/categories";
+import type { Category, CategoryType, CategoryWithSubCategories } from "../src/types";
+
+const TYPES: CategoryType[] = ["Donation", "Expense"];
+
+// What the add/edit dialog works on: a new category (type set), a new
+// sub-category (parentId set) or an existing entry (id set)
+interface EntryForm {
+  id?: string;
+  type?: CategoryType;
+  parentId?: string;
+  code: string;
+  labelEn: string;
+  labelMr: string;
+  active: boolean;
+  perPerson: boolean;
+}
+
+const emptyForm: EntryForm = { code: "", labelEn: "", labelMr: "", active: true, perPerson: false };
+
+// Donation and expense categories with their sub-categories, as the forms
+// and reports offer them. Codes are fixed once created because entries store
+// them; an entry in use is retired by deactivating it rather than deleted.
+export default function CategoryManagement() {
+  const { t, language } = useLanguage();
+  const [categories, setCategories] = useState<CategoryWithSubCategories[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [type, setType] = useState<CategoryType>("Donation");
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [form, setForm] = useState<EntryForm | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const ofType = categories.filter((category) => category.type === type);
+  const selected = ofType.find((category) => category.id === selectedId) || ofType[0] || null;
+  // Rules belong to top-level categories
+  const editingTopLevel = !!form && !form.parentId && (!form.id || ofType.some((c) => c.id === form.id));
+
+  const load = useCallback(async () => {
+    try {
+      setCategories((await apiClient.getCategories()) ?? []);
+    } catch (err: any) {
+      toast.error(err.message || t("categories.loadError"));
+    } finally {
+      setLoading(false);
+    }
+  }, [t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  // The forms and reports pick up the change too
+  const changed = async () => {
+    invalidateCategories();
+    await load();
+  };
+
+  const openEdit = (entry: Category) =>
+    setForm({
+      id: entry.id,
+      code: entry.code,
+      labelEn: entry.labelEn,
+      labelMr: entry.labelMr,
+      active: entry.active,
+      perPerson: !!entry.rules.perPerson,
+    });
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form) return;
+    setSaving(true);
+    const labels = { labelEn: form.labelEn.trim(), labelMr: form.labelMr.trim(), active: form.active };
+    const rules = editingTopLevel ? { rules: form.perPerson ? { perPerson: true } : {} } : {};
+    try {
+      if (form.id) {
+        await apiClient.updateCategory(form.id, { ...labels, ...rules });
+        toast.success(t("categories.saved"));
+      } else {
+        const created = await apiClient.createCategory({
+          ...(form.parentId ? { parentId: form.parentId } : { type: form.type }),
+          code: form.code.trim(),
+          ...labels,
+          ...rules,
+        });
+        if (!form.parentId) setSelectedId(created?.id ?? null);
+        toast.success(t("categories.created"));
+      }
+      setForm(null);
+      await changed();
+    } catch (err: any) {
+      toast.error(err.message || t("categories.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Swap an entry with its neighbour and save the new order of the list
+  const move = async (list: Category[], index: number, offset: number) => {
+    const ids = list.map((entry) => entry.id);
+    [ids[index], ids[index + offset]] = [ids[index + offset], ids[index]];
+    try {
+      await apiClient.reorderCategories(ids);
+      await changed();
+    } catch (err: any) {
+      toast.error(err.message || t("categories.saveError"));
+    }
+  };
+
+  const handleDelete = async (entry: Category) => {
+    if (!window.confirm(t("categories.deleteConfirm"))) return;
+    try {
+      await apiClient.deleteCategory(entry.id);
+      if (entry.id === selectedId) setSelectedId(null);
+      toast.success(t("categories.deleted"));
+      await changed();
+    } catch (err: any) {
+      toast.error(err.message || t("categories.deleteError"));
+    }
+  };
+
+  const orderButtons = (list: Category[], index: number) => (
+    <>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-8 w-8 p-0"
+        disabled={index === 0}
+        onClick={() => move(list, index, -1)}
+        aria-label={t("categories.moveUp")}
+      >
+        <ArrowUp className="h-4 w-4" />
+      </Button>
+      <Button
+        variant="ghost"
+        size="sm"
+        className="h-8 w-8 p-0"
+        disabled={index === list.length - 1}
+        onClick={() => move(list, index, 1)}
+        aria-label={t("categories.moveDown")}
+      >
+        <ArrowDown className="h-4 w-4" />
+      </Button>
+    </>
+  );
+
+  if (loading) {
+    return <p className="text-center py-6 text-white">{t("common.loading")}</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-white">{t("categories.title")}</h1>
+        <Button
+          className="bg-white text-black hover:bg-gray-100"
+          onClick={() => setForm({ ...emptyForm, type })}
+        >
+          <Plus className="h-4 w-4 mr-2" />
+          {t("categories.add")}
+        </Button>
+      </div>
+
+      <div className="flex gap-2">
+        {TYPES.map((option) => (
+          <Button
+            key={option}
+            variant={option === type ? "default" : "outline"}
+            className={option === type ? "" : "bg-white text-black"}
+            onClick={() => {
+              setType(option);
+              setSelectedId(null);
+            }}
+          >
+            {t(`categories.type.${option}`)}
+          </Button>
+        ))}
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-3">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("categories.list")}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {ofType.length === 0 && <p className="text-sm text-gray-500">{t("categories.none")}</p>}
+            {ofType.map((category, index) => (
+              <div key={category.id} className="flex items-center gap-1">
+                <button
+                  type="button"
+                  onClick={() => setSelectedId(category.id)}
+                  className={`flex-1 text-left rounded-md border px-3 py-2 ${
+                    category.id === selected?.id ? "border-blue-500 bg-blue-50" : "border-gray-200"
+                  }`}
+                >
+                  <div className="flex items-center justify-between gap-2">
+                    <span className={`font-medium ${category.active ? "" : "text-gray-400"}`}>
+                      {labelOf(category, language)}
+                    </span>
+                    {!category.active && (
+                      <Badge className="bg-gray-100 text-gray-800">{t("categories.inactive")}</Badge>
+                    )}
+                  </div>
+                  <div className="text-xs text-gray-500">
+                    {category.subCategories.length} {t("categories.subCategoryCount")}
+                  </div>
+                </button>
+                {orderButtons(ofType, index)}
+              </div>
+            ))}
+          </CardContent>
+        </Card>
+
+        {selected && (
+          <Card className="md:col-span-2">
+            <CardHeader>
+              <div className="flex items-center justify-between gap-2">
+                <CardTitle>{labelOf(selected, language)}</CardTitle>
+                <div className="flex gap-2">
+                  <Button variant="outline" size="sm" onClick={() => openEdit(selected)}>
+                    <Pencil className="h-4 w-4 mr-2" />
+                    {t("categories.edit")}
+                  </Button>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => handleDelete(selected)}
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    {t("categories.delete")}
+                  </Button>
+                </div>
+              </div>
+            </CardHeader>
+            <CardContent className="space-y-4">
+              <dl className="grid grid-cols-2 gap-2 text-sm">
+                <dt className="text-gray-600">{t("categories.code")}</dt>
+                <dd className="font-mono">{selected.code}</dd>
+                <dt className="text-gray-600">{t("categories.labelEn")}</dt>
+                <dd>{selected.labelEn}</dd>
+                <dt className="text-gray-600">{t("categories.labelMr")}</dt>
+                <dd>{selected.labelMr}</dd>
+                <dt className="text-gray-600">{t("categories.rules")}</dt>
+                <dd>{selected.rules.perPerson ? t("categories.perPerson") : "-"}</dd>
+              </dl>
+
+              <div className="flex items-center justify-between">
+                <h3 className="font-medium">{t("categories.subCategories")}</h3>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  onClick={() => setForm({ ...emptyForm, parentId: selected.id })}
+                >
+                  <Plus className="h-4 w-4 mr-2" />
+                  {t("categories.addSub")}
+                </Button>
+              </div>
+              {selected.subCategories.length === 0 ? (
+                <p className="text-sm text-gray-500">{t("categories.noSubCategories")}</p>
+              ) : (
+                <ul className="divide-y rounded-md border">
+                  {selected.subCategories.map((sub, index) => (
+                    <li key={sub.id} className="flex items-center gap-2 px-3 py-2">
+                      <div className="flex-1 min-w-0">
+                        <p className={`text-sm font-medium ${sub.active ? "" : "text-gray-400"}`}>
+                          {sub.labelEn} · {sub.labelMr}
+                        </p>
+                        <p className="text-xs text-gray-500 font-mono">{sub.code}</p>
+                      </div>
+                      {!sub.active && (
+                        <Badge className="bg-gray-100 text-gray-800">{t("categories.inactive")}</Badge>
+                      )}
+                      {orderButtons(selected.subCategories, index)}
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0"
+                        onClick={() => openEdit(sub)}
+                        aria-label={t("categories.edit")}
+                      >
+                        <Pencil className="h-4 w-4" />
+                      </Button>
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-8 w-8 p-0 text-red-500 hover:text-red-700"
+                        onClick={() => handleDelete(sub)}
+                        aria-label={t("categories.delete")}
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </CardContent>
+          </Card>
+        )}
+      </div>
+
+      <Dialog open={!!form} onOpenChange={(open) => !open && setForm(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {form?.id
+                ? t("categories.edit")
+                : form?.parentId
+                ? t("categories.addSub")
+                : t("categories.add")}
+            </DialogTitle>
+            <DialogDescription>
+              {form?.id ? t("categories.editDesc") : t("categories.addDesc")}
+            </DialogDescription>
+          </DialogHeader>
+          {form && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label htmlFor="category-code">{t("categories.code")}</Label>
+                <Input
+                  id="category-code"
+                  value={form.code}
+                  onChange={(e) => setForm({ ...form, code: e.target.value })}
+                  disabled={!!form.id}
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="category-label-en">{t("categories.labelEn")}</Label>
+                <Input
+                  id="category-label-en"
+                  value={form.labelEn}
+                  onChange={(e) => setForm({ ...form, labelEn: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="category-label-mr">{t("categories.labelMr")}</Label>
+                <Input
+                  id="category-label-mr"
+                  value={form.labelMr}
+                  onChange={(e) => setForm({ ...form, labelMr: e.target.value })}
+                  required
+                />
+              </div>
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={form.active}
+                  onChange={(e) => setForm({ ...form, active: e.target.checked })}
+                />
+                {t("categories.active")}
+              </label>
+              {editingTopLevel && (
+                <label className="flex items-start gap-2 text-sm">
+                  <input
+                    type="checkbox"
+                    className="mt-0.5"
+                    checked={form.perPerson}
+                    onChange={(e) => setForm({ ...form, perPerson: e.target.checked })}
+                  />
+                  <span>
+                    {t("categories.perPerson")}
+                    <span className="block text-xs text-gray-500">{t("categories.perPersonHint")}</span>
+                  </span>
+                </label>
+              )}
+              <div className="flex justify-end">
+                <Button
+                  type="submit"
+                  disabled={saving || !form.code.trim() || !form.labelEn.trim() || !form.labelMr.trim()}
+                >
+                  {form.id ? t("categories.save") : t("categories.create")}
+                </Button>
+              </div>
+            </form>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,6 +1,7 @@
 import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
 import { TrendingUp, TrendingDown, DollarSign, Building } from "lucide-react";
 import TransactionTable from "./TransactionTable";
+import PendingApprovals from "./PendingApprovals";
 import { useLanguage } from "./LanguageContext";
 import { useEffect } from "react";
 
@@ -10,6 +11,8 @@ interface DashboardProps {
   netBalance: number;
   transactions: any[];
   totalRentIncome?: number;
+  currentUser?: any;
+  onApprovalApplied?: () => void;
 }
 
 export default function Dashboard({ 
@@ -17,7 +20,9 @@ export default function Dashboard({
   totalExpenses, 
   netBalance, 
   transactions, 
-  totalRentIncome = 0 
+  totalRentIncome = 0,
+  currentUser,
+  onApprovalApplied
 }: DashboardProps) {
   const { t } = useLanguage();
   
@@ -118,6 +123,8 @@ export default function Dashboard({
         </Card>
       </div>
 
+      <PendingApprovals currentUser={currentUser} onApplied={onApprovalApplied} />
+
       {/* Recent Transactions */}
       <Card>
         <CardHeader>
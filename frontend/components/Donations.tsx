@@ -20,6 +20,16 @@ import {
   DialogDescription,
 } from "./ui/dialog";
 import TransactionTable from "./TransactionTable";
+import DonorLookup from "./DonorLookup";
+import { isValidPan } from "../src/utils/taxExemption";
+import PaymentModeFields, {
+  type PaymentDetails,
+  emptyPaymentDetails,
+  paymentDetailsFrom,
+  validatePaymentDetails,
+  toPaymentPayload,
+  paymentModeKey,
+} from "./PaymentModeFields";
 import { useLanguage } from "./LanguageContext";
 import {
   Check,
@@ -27,15 +37,31 @@ import {
   Heart,
   IndianRupee,
   Calculator,
+  Printer,
+  UserCheck,
+  X,
 } from "lucide-react";
 import { toast } from "sonner";
 import apiClient from "../src/utils/api";
+import type { DonorListItem } from "../src/types";
+import { downloadDonationReceipt } from "../src/utils/donationReceipt";
+import { downloadTaxCertificate } from "../src/utils/taxCertificate";
+import { hasPermission } from "../src/utils/permissions";
+import { isPendingApproval } from "../src/utils/approvals";
+import {
+  useCategories,
+  activeOnly,
+  findCategory,
+  labelOf,
+  categoryLabel,
+  subCategoryLabel,
+} from "../src/utils/categories";
 
 interface DonationsProps {
   transactions: any[];
   onAddTransaction: (transaction: any) => void;
   onUpdateTransaction: (id: string, transaction: any) => void;
-  onDeleteTransaction: (id: string) => void;
+  onDeleteTransaction: (id: string) => void | Promise<boolean>;
   receiptCounter: number;
   onUpdateReceiptCounter: (count: number) => void;
   currentUser: any;
@@ -49,37 +75,14 @@ interface ValidationErrors {
   amount?: string;
   donorName?: string;
   donorContact?: string;
+  donorPan?: string;
   familyMembers?: string;
   amountPerPerson?: string;
   purpose?: string;
+  paymentReference?: string;
+  chequeDate?: string;
 }
 
-// Category and sub-category definitions
-const categorySubCategories = {
-  Vargani: [
-    "shivJayanti",
-    "ganeshUtsav",
-    "yatra",
-    "navratri",
-    "bailPola",
-    "ashadhiEkadashi",
-    "diwali",
-    "dasra",
-    "mahaShivratri",
-    "shreekrishnaJanmashtami",
-  ],
-  Dengi: ["yatraUtsav", "bandkam", "itar"],
-  "Shaskiy Nidhi": [
-    "kendraShashan",
-    "rajyaShashan",
-    "mantriNidhi",
-    "aamdarNidhi",
-    "khajdarNidhi",
-    "grampanchayat",
-    "panchayatSamiti",
-  ],
-};
-
 export default function Donations({
   transactions,
   onAddTransaction,
@@ -89,7 +92,8 @@ export default function Donations({
   onUpdateReceiptCounter,
   currentUser,
 }: DonationsProps) {
-  const { t } = useLanguage();
+  const { t, language } = useLanguage();
+  const categories = useCategories("Donation");
 
   console.log('[Donations] Component rendered with props:', {
     transactionCount: transactions?.length || 0,
@@ -113,12 +117,16 @@ export default function Donations({
     amount: "",
     donorName: "",
     donorContact: "",
+    donorId: "",
+    donorPan: "",
     familyMembers: "",
     amountPerPerson: "",
     purpose: "",
     receiptNumber: "", // Will be set by API preview
   });
 
+  const [payment, setPayment] = useState<PaymentDetails>(emptyPaymentDetails);
+
   const [errors, setErrors] = useState<ValidationErrors>({});
   const [showSuccessDialog, setShowSuccessDialog] = useState(false);
   const [lastAddedDonation, setLastAddedDonation] = useState<any>(null);
@@ -127,6 +135,9 @@ export default function Donations({
   const [submissionState, setSubmissionState] = useState<'idle' | 'submitting' | 'submitted' | 'error'>('idle');
   const [previewReceiptNumber, setPreviewReceiptNumber] = useState<string>('');
   const [idempotencyKey, setIdempotencyKey] = useState<string>('');
+  const [printingReceiptId, setPrintingReceiptId] = useState<string | null>(null);
+  // Name or phone last typed, for the known-donor suggestions
+  const [donorQuery, setDonorQuery] = useState("");
 
   // Generate a new idempotency key
   const generateIdempotencyKey = () => {
@@ -164,10 +175,17 @@ export default function Donations({
     }
   }, [isEditMode]);
 
-  // Calculate total amount for Vargani category
+  // Categories with the perPerson rule (Vargani) take the amount as family
+  // members × amount per person
+  const selectedCategory = findCategory(categories, "Donation", formData.category);
+  const perPerson = !!selectedCategory?.rules.perPerson;
+  const subCategoryOptions = selectedCategory
+    ? activeOnly(selectedCategory.subCategories, formData.subCategory)
+    : [];
+
   useEffect(() => {
     if (
-      formData.category === "Vargani" &&
+      perPerson &&
       formData.familyMembers &&
       formData.amountPerPerson
     ) {
@@ -181,7 +199,7 @@ export default function Donations({
         }));
       }
     }
-  }, [formData.familyMembers, formData.amountPerPerson, formData.category]);
+  }, [formData.familyMembers, formData.amountPerPerson, perPerson]);
 
   // Clear sub-category when category changes
   const handleCategoryChange = (value: string) => {
@@ -192,7 +210,7 @@ export default function Donations({
       // Clear category-specific fields
       familyMembers: "",
       amountPerPerson: "",
-      amount: value === "Vargani" ? "" : formData.amount,
+      amount: findCategory(categories, "Donation", value)?.rules.perPerson ? "" : formData.amount,
     });
     if (errors.category) {
       setErrors({ ...errors, category: undefined, subCategory: undefined });
@@ -211,11 +229,71 @@ export default function Donations({
       amount: donation.amount?.toString() || "",
       donorName: donation.donorName || "",
       donorContact: donation.donorContact || "",
+      donorId: donation.donorId || "",
+      donorPan: "",
       familyMembers: donation.familyMembers?.toString() || "",
       amountPerPerson: donation.amountPerPerson?.toString() || "",
       purpose: donation.description || "",
       receiptNumber: donation.receiptNumber || "",
     });
+    setPayment(paymentDetailsFrom(donation));
+  };
+
+  // Print a receipt; the backend counts prints so every reprint is marked duplicate
+  const handlePrintReceipt = async (donation: any) => {
+    setPrintingReceiptId(donation.id);
+    try {
+      const { donation: saved, copy, letterhead }: any = await apiClient.recordDonationReceiptPrint(donation.id);
+      downloadDonationReceipt(
+        {
+          receiptNumber: saved.receiptNumber,
+          date: formatDate(saved.date),
+          donorName: saved.donorName,
+          donorContact: saved.donorContact || undefined,
+          amount: saved.amount,
+          categoryLabel: categoryLabel(categories, language, "Donation", saved.category),
+          subCategoryLabel: saved.subCategory
+            ? subCategoryLabel(categories, language, "Donation", saved.category, saved.subCategory)
+            : undefined,
+          paymentModeLabel: t(`payment.${paymentModeKey(saved.paymentMode)}`),
+          paymentReference: saved.paymentReference || undefined,
+          description: saved.description,
+          copy,
+        },
+        letterhead,
+        t
+      );
+    } catch (error: any) {
+      console.error('Receipt print error:', error);
+      toast.error(error.message || t("receipt.printError"));
+    } finally {
+      setPrintingReceiptId(null);
+    }
+  };
+
+  // The 80G certificate for an eligible donation; the backend checks it has cleared and the donor has a PAN
+  const handlePrint80gCertificate = async (donation: any) => {
+    try {
+      const { issuer, donor, donation: saved, financialYear } = await apiClient.get80gCertificate(donation.id);
+      downloadTaxCertificate(
+        {
+          receiptNumber: saved.receiptNumber || "",
+          date: formatDate(saved.date),
+          financialYear,
+          donorName: donor.name,
+          donorPan: donor.pan || "",
+          donorAddress: donor.address || undefined,
+          amount: saved.amount,
+          categoryLabel: categoryLabel(categories, language, "Donation", saved.category),
+          paymentModeLabel: t(`payment.${paymentModeKey(saved.paymentMode)}`),
+          paymentReference: saved.paymentReference || undefined,
+        },
+        issuer,
+        t
+      );
+    } catch (error: any) {
+      toast.error(error.message || t("tax80g.certificateError"));
+    }
   };
 
   // Reset form to add mode
@@ -230,11 +308,15 @@ export default function Donations({
       amount: "",
       donorName: "",
       donorContact: "",
+      donorId: "",
+      donorPan: "",
       familyMembers: "",
       amountPerPerson: "",
       purpose: "",
       receiptNumber: "", // Will be set by fetchPreviewReceiptNumber in useEffect
     });
+    setPayment(emptyPaymentDetails);
+    setDonorQuery("");
     setErrors({});
     setSubmissionState('idle');
     // The useEffect will trigger initializeForNewDonation when isEditMode changes to false
@@ -253,7 +335,7 @@ export default function Donations({
       newErrors.category = t("donations.categoryRequired");
     }
 
-    if (!formData.subCategory) {
+    if (!formData.subCategory && subCategoryOptions.length > 0) {
       newErrors.subCategory = t("donations.subCategoryRequired");
     }
 
@@ -266,7 +348,7 @@ export default function Donations({
     }
 
     // Category-specific validations
-    if (formData.category === "Vargani") {
+    if (perPerson) {
       if (!formData.familyMembers.trim()) {
         newErrors.familyMembers = t("donations.familyMembersRequired");
       } else {
@@ -285,7 +367,7 @@ export default function Donations({
         }
       }
     } else {
-      // For Dengi and Shaskiy Nidhi categories
+      // For categories without the per-person rule
       if (!formData.amount.trim()) {
         newErrors.amount = t("donations.amountRequired");
       } else {
@@ -304,11 +386,18 @@ export default function Donations({
       newErrors.donorContact = t("donations.donorContactInvalid");
     }
 
+    // Optional PAN, recorded on the donor for 80G certificates
+    if (formData.donorPan.trim() && !isValidPan(formData.donorPan)) {
+      newErrors.donorPan = t("donors.panInvalid");
+    }
+
+    Object.assign(newErrors, validatePaymentDetails(payment, t));
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
-  // Handle amount input for non-Vargani categories
+  // Handle amount input for categories without the per-person rule
   const handleAmountChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const value = e.target.value;
     if (value === "" || /^\d*\.?\d*$/.test(value)) {
@@ -337,13 +426,27 @@ export default function Donations({
   const handleContactChange = (e: React.ChangeEvent<HTMLInputElement>) => {
     const value = e.target.value;
     if (value === "" || (/^\d+$/.test(value) && value.length <= 10)) {
-      setFormData({ ...formData, donorContact: value });
+      setFormData({ ...formData, donorContact: value, donorId: "" });
+      setDonorQuery(value);
       if (errors.donorContact) {
         setErrors({ ...errors, donorContact: undefined });
       }
     }
   };
 
+  // Fill the donor fields from a known donor and file the donation under them
+  const handleSelectDonor = (donor: DonorListItem) => {
+    setFormData({
+      ...formData,
+      donorName: donor.name,
+      donorContact: donor.phone || "",
+      donorId: donor.id,
+      donorPan: donor.pan || "",
+    });
+    setDonorQuery("");
+    setErrors({ ...errors, donorName: undefined, donorContact: undefined, donorPan: undefined });
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -368,29 +471,6 @@ export default function Donations({
         return;
       }
 
-      // Check if user role is defined
-      if (!currentUser.role) {
-        console.error('[Donations] User role is undefined - cannot determine permissions:', { 
-          userRole: currentUser.role,
-          userId: currentUser.id 
-        });
-        toast.error('Unable to verify permissions. Please try logging in again.');
-        setSubmissionState('error');
-        return;
-      }
-
-      // Check if user has required permissions (Admin or Treasurer)
-      const allowedRoles = ['Admin', 'Treasurer'];
-      if (!allowedRoles.includes(currentUser.role)) {
-        console.error('[Donations] User does not have required permissions:', { 
-          userRole: currentUser.role, 
-          requiredRoles: allowedRoles 
-        });
-        toast.error('You do not have permission to submit donations. Only Admin and Treasurer roles are allowed.');
-        setSubmissionState('error');
-        return;
-      }
-
       console.log('[Donations] Submitting donation for user:', { 
         userId: currentUser.id, 
         userRole: currentUser.role 
@@ -406,10 +486,13 @@ export default function Donations({
         receiptNumber: formData.receiptNumber,
         donorName: formData.donorName.trim(),
         donorContact: formData.donorContact.trim() || undefined,
-        ...(formData.category === "Vargani" && {
+        donorId: formData.donorId || undefined,
+        donorPan: formData.donorPan.trim().toUpperCase() || undefined,
+        ...(perPerson && {
           familyMembers: parseInt(formData.familyMembers),
           amountPerPerson: parseFloat(formData.amountPerPerson),
         }),
+        ...toPaymentPayload(payment),
         // Add idempotency key for new donations
         ...((!isEditMode) && { idempotencyKey }),
       };
@@ -420,11 +503,18 @@ export default function Donations({
       if (isEditMode && editingDonation) {
         // Update existing donation
         response = await apiClient.updateDonation(editingDonation.id, donationData);
+        if (isPendingApproval(response)) {
+          toast.info(t("approvals.submitted"));
+          setSubmissionState('submitted');
+          resetForm();
+          return;
+        }
         processedDonation = {
           ...editingDonation,
           ...donationData,
           id: editingDonation.id,
           type: "Donation",
+          eligible80g: response?.eligible80g ?? editingDonation.eligible80g,
         };
         onUpdateTransaction(editingDonation.id, processedDonation);
         toast.success(t("donations.updateSuccessMessage"));
@@ -432,20 +522,26 @@ export default function Donations({
         // Create new donation
         response = await apiClient.createDonation(donationData);
         processedDonation = {
-          id: response.data?.id || Date.now().toString(),
+          id: response?.id || Date.now().toString(),
           date: donationData.date,
           type: "Donation",
           category: donationData.category,
           subCategory: donationData.subCategory,
           description: donationData.description,
           amount: donationData.amount,
-          receiptNumber: response.data?.receiptNumber || donationData.receiptNumber,
+          receiptNumber: response?.receiptNumber || donationData.receiptNumber,
           donorName: donationData.donorName,
           donorContact: donationData.donorContact,
-          ...(formData.category === "Vargani" && {
+          donorId: response?.donorId || donationData.donorId,
+          ...(perPerson && {
             familyMembers: donationData.familyMembers,
             amountPerPerson: donationData.amountPerPerson,
           }),
+          paymentMode: response?.paymentMode || donationData.paymentMode,
+          paymentReference: donationData.paymentReference,
+          chequeDate: donationData.chequeDate,
+          clearingStatus: response?.clearingStatus,
+          eligible80g: response?.eligible80g,
         };
         
         // Don't increment receipt counter - backend now handles it atomically
@@ -500,10 +596,9 @@ export default function Donations({
     }
   };
 
-  const totalDonations = (transactions ?? []).reduce(
-    (sum, donation) => sum + donation.amount,
-    0
-  );
+  const totalDonations = (transactions ?? [])
+    .filter((donation) => donation.clearingStatus !== "Bounced")
+    .reduce((sum, donation) => sum + donation.amount, 0);
 
   const formatCurrency = (amount: number) => {
     return `${t("common.currency")}${amount.toLocaleString()}`;
@@ -522,19 +617,17 @@ export default function Donations({
     switch (field) {
       case "subCategory":
         return formData.subCategory
-          ? t(`donations.${formData.subCategory}`)
+          ? subCategoryLabel(categories, language, "Donation", formData.category, formData.subCategory)
           : "";
       default:
         return t(`donations.${field}`);
     }
   };
 
-  // Get dynamic donor name label based on category
+  // Get dynamic donor name label based on category; donations other than
+  // per-person collections come from a named donor or body
   const getDonorNameLabel = () => {
-    if (
-      formData.category === "Dengi" ||
-      formData.category === "Shaskiy Nidhi"
-    ) {
+    if (formData.category && !perPerson) {
       return t("donations.denagiDonorName");
     }
     return t("donations.donorName");
@@ -542,10 +635,7 @@ export default function Donations({
 
   // Get dynamic donor contact label based on category
   const getDonorContactLabel = () => {
-    if (
-      formData.category === "Dengi" ||
-      formData.category === "Shaskiy Nidhi"
-    ) {
+    if (formData.category && !perPerson) {
       return t("donations.denagiDonorContact");
     }
     return t("donations.donorContact");
@@ -553,10 +643,7 @@ export default function Donations({
 
   // Get dynamic donor name placeholder based on category
   const getDonorNamePlaceholder = () => {
-    if (
-      formData.category === "Dengi" ||
-      formData.category === "Shaskiy Nidhi"
-    ) {
+    if (formData.category && !perPerson) {
       return t("donations.enterDenagiDonorName");
     }
     return t("donations.enterDonorName");
@@ -564,318 +651,365 @@ export default function Donations({
 
   // Get dynamic donor contact placeholder based on category
   const getDonorContactPlaceholder = () => {
-    if (
-      formData.category === "Dengi" ||
-      formData.category === "Shaskiy Nidhi"
-    ) {
+    if (formData.category && !perPerson) {
       return t("donations.enterDenagiDonorContact");
     }
     return t("donations.enterDonorContact");
   };
 
+  // Recording needs donation.create and editing donation.update
+  const canUseForm = hasPermission(currentUser, isEditMode ? "donation.update" : "donation.create");
+
   return (
     <div className="space-y-6">
-      <Card>
-        <CardHeader>
-          <CardTitle>
-            {isEditMode ? t("donations.editDonation") : t("donations.addDonation")}
-          </CardTitle>
-        </CardHeader>
-        <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              {/* Receipt Number */}
-              <div>
-                <Label htmlFor="receiptNumber">
-                  {t("donations.receiptNumber")} *
-                  {!isEditMode && previewReceiptNumber && (
-                    <span className="text-xs text-green-600 ml-2">
-                      {t("donations.nextReceiptNumber")}
-                    </span>
-                  )}
-                </Label>
-                <Input
-                  id="receiptNumber"
-                  value={formData.receiptNumber}
-                  disabled
-                  className="bg-gray-50"
-                  placeholder={!isEditMode ? t("donations.autoGenerated") : ""}
-                />
-              </div>
-
-              {/* Date */}
-              <div>
-                <Label htmlFor="date">{t("donations.date")} *</Label>
-                <DatePicker
-                  date={formData.date || undefined}
-                  onDateChange={(date) => {
-                    setFormData({ ...formData, date: date || null });
-                    if (errors.date) {
-                      setErrors({ ...errors, date: undefined });
-                    }
-                  }}
-                />
-                {errors.date && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.date}
-                  </p>
-                )}
-              </div>
-
-              {/* Category */}
-              <div>
-                <Label htmlFor="category">{t("donations.category")} *</Label>
-                <Select
-                  value={formData.category}
-                  onValueChange={handleCategoryChange}
-                >
-                  <SelectTrigger
-                    className={errors.category ? "border-red-500" : ""}
-                  >
-                    <SelectValue placeholder={t("donations.selectCategory")} />
-                  </SelectTrigger>
-                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
-                    <SelectItem
-                      className="hover:font-bold hover:bg-gray-100"
-                      value="Vargani"
-                    >
-                      {t("donations.vargani")}
-                    </SelectItem>
-                    <SelectItem
-                      className="hover:font-bold hover:bg-gray-100"
-                      value="Dengi"
-                    >
-                      {t("donations.dengi")}
-                    </SelectItem>
-                    <SelectItem
-                      className="hover:font-bold hover:bg-gray-100"
-                      value="Shaskiy Nidhi"
-                    >
-                      {t("donations.shaskiyNighi")}
-                    </SelectItem>
-                  </SelectContent>
-                </Select>
-                {errors.category && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.category}
-                  </p>
-                )}
-              </div>
-
-              {/* Sub-Category */}
-              {formData.category && (
+      {canUseForm && (
+        <Card>
+          <CardHeader>
+            <CardTitle>
+              {isEditMode ? t("donations.editDonation") : t("donations.addDonation")}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Receipt Number */}
                 <div>
-                  <Label htmlFor="subCategory">
-                    {t("donations.subCategory")} *
+                  <Label htmlFor="receiptNumber">
+                    {t("donations.receiptNumber")} *
+                    {!isEditMode && previewReceiptNumber && (
+                      <span className="text-xs text-green-600 ml-2">
+                        {t("donations.nextReceiptNumber")}
+                      </span>
+                    )}
                   </Label>
-                  <Select
-                    value={formData.subCategory}
-                    onValueChange={(value) => {
-                      setFormData({ ...formData, subCategory: value });
-                      if (errors.subCategory) {
-                        setErrors({ ...errors, subCategory: undefined });
+                  <Input
+                    id="receiptNumber"
+                    value={formData.receiptNumber}
+                    disabled
+                    className="bg-gray-50"
+                    placeholder={!isEditMode ? t("donations.autoGenerated") : ""}
+                  />
+                </div>
+
+                {/* Date */}
+                <div>
+                  <Label htmlFor="date">{t("donations.date")} *</Label>
+                  <DatePicker
+                    date={formData.date || undefined}
+                    onDateChange={(date) => {
+                      setFormData({ ...formData, date: date || null });
+                      if (errors.date) {
+                        setErrors({ ...errors, date: undefined });
                       }
                     }}
+                  />
+                  {errors.date && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.date}
+                    </p>
+                  )}
+                </div>
+
+                {/* Category */}
+                <div>
+                  <Label htmlFor="category">{t("donations.category")} *</Label>
+                  <Select
+                    value={formData.category}
+                    onValueChange={handleCategoryChange}
                   >
                     <SelectTrigger
-                      className={errors.subCategory ? "border-red-500" : ""}
+                      className={errors.category ? "border-red-500" : ""}
                     >
-                      <SelectValue
-                        placeholder={t("donations.selectSubCategory")}
-                      />
+                      <SelectValue placeholder={t("donations.selectCategory")} />
                     </SelectTrigger>
                     <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
-                      {categorySubCategories[
-                        formData.category as keyof typeof categorySubCategories
-                      ]?.map((subCat) => (
-                        <SelectItem key={subCat} value={subCat}>
-                          {t(`donations.${subCat}`)}
+                      {activeOnly(categories, formData.category).map((category) => (
+                        <SelectItem
+                          key={category.id}
+                          className="hover:font-bold hover:bg-gray-100"
+                          value={category.code}
+                        >
+                          {labelOf(category, language)}
                         </SelectItem>
                       ))}
                     </SelectContent>
                   </Select>
-                  {errors.subCategory && (
+                  {errors.category && (
                     <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
                       <AlertCircle className="h-4 w-4" />
-                      {errors.subCategory}
+                      {errors.category}
                     </p>
                   )}
                 </div>
-              )}
 
-              {/* Donor Name */}
-              <div>
-                <Label htmlFor="donorName">{getDonorNameLabel()} *</Label>
-                <Input
-                  id="donorName"
-                  placeholder={getDonorNamePlaceholder()}
-                  value={formData.donorName}
-                  onChange={(e) => {
-                    setFormData({ ...formData, donorName: e.target.value });
-                    if (errors.donorName) {
-                      setErrors({ ...errors, donorName: undefined });
-                    }
-                  }}
-                  className={errors.donorName ? "border-red-500" : ""}
-                />
-                {errors.donorName && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.donorName}
-                  </p>
-                )}
-              </div>
-
-              {/* Donor Contact */}
-              <div>
-                <Label htmlFor="donorContact">{getDonorContactLabel()}</Label>
-                <Input
-                  id="donorContact"
-                  placeholder={getDonorContactPlaceholder()}
-                  value={formData.donorContact}
-                  onChange={handleContactChange}
-                  className={errors.donorContact ? "border-red-500" : ""}
-                />
-                {errors.donorContact && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.donorContact}
-                  </p>
-                )}
-              </div>
-
-              {/* Vargani specific fields */}
-              {formData.category === "Vargani" && (
-                <>
+                {/* Sub-Category */}
+                {subCategoryOptions.length > 0 && (
                   <div>
-                    <Label htmlFor="familyMembers">
-                      {t("donations.familyMembers")} *
+                    <Label htmlFor="subCategory">
+                      {t("donations.subCategory")} *
                     </Label>
-                    <Input
-                      id="familyMembers"
-                      type="text"
-                      placeholder={t("donations.enterFamilyMembers")}
-                      value={formData.familyMembers}
-                      onChange={(e) => handleNumericChange("familyMembers", e)}
-                      className={errors.familyMembers ? "border-red-500" : ""}
-                    />
-                    {errors.familyMembers && (
+                    <Select
+                      value={formData.subCategory}
+                      onValueChange={(value) => {
+                        setFormData({ ...formData, subCategory: value });
+                        if (errors.subCategory) {
+                          setErrors({ ...errors, subCategory: undefined });
+                        }
+                      }}
+                    >
+                      <SelectTrigger
+                        className={errors.subCategory ? "border-red-500" : ""}
+                      >
+                        <SelectValue
+                          placeholder={t("donations.selectSubCategory")}
+                        />
+                      </SelectTrigger>
+                      <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                        {subCategoryOptions.map((subCategory) => (
+                          <SelectItem key={subCategory.id} value={subCategory.code}>
+                            {labelOf(subCategory, language)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {errors.subCategory && (
                       <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
                         <AlertCircle className="h-4 w-4" />
-                        {errors.familyMembers}
+                        {errors.subCategory}
                       </p>
                     )}
                   </div>
+                )}
+
+                {/* Donor Name */}
+                <div>
+                  <Label htmlFor="donorName">{getDonorNameLabel()} *</Label>
+                  <Input
+                    id="donorName"
+                    placeholder={getDonorNamePlaceholder()}
+                    value={formData.donorName}
+                    onChange={(e) => {
+                      setFormData({ ...formData, donorName: e.target.value, donorId: "" });
+                      setDonorQuery(e.target.value);
+                      if (errors.donorName) {
+                        setErrors({ ...errors, donorName: undefined });
+                      }
+                    }}
+                    className={errors.donorName ? "border-red-500" : ""}
+                  />
+                  {errors.donorName && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.donorName}
+                    </p>
+                  )}
+                </div>
+
+                {/* Donor Contact */}
+                <div>
+                  <Label htmlFor="donorContact">{getDonorContactLabel()}</Label>
+                  <Input
+                    id="donorContact"
+                    placeholder={getDonorContactPlaceholder()}
+                    value={formData.donorContact}
+                    onChange={handleContactChange}
+                    className={errors.donorContact ? "border-red-500" : ""}
+                  />
+                  {errors.donorContact && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.donorContact}
+                    </p>
+                  )}
+                </div>
+
+                {/* Donor PAN */}
+                <div>
+                  <Label htmlFor="donorPan">{t("tax80g.donorPanField")}</Label>
+                  <Input
+                    id="donorPan"
+                    placeholder="ABCPE1234F"
+                    maxLength={10}
+                    value={formData.donorPan}
+                    onChange={(e) => {
+                      setFormData({ ...formData, donorPan: e.target.value.toUpperCase() });
+                      if (errors.donorPan) {
+                        setErrors({ ...errors, donorPan: undefined });
+                      }
+                    }}
+                    className={errors.donorPan ? "border-red-500" : ""}
+                  />
+                  {errors.donorPan ? (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.donorPan}
+                    </p>
+                  ) : (
+                    <p className="text-xs text-gray-500 mt-1">{t("tax80g.donorPanHint")}</p>
+                  )}
+                </div>
 
+                {formData.donorId ? (
+                  <p className="md:col-span-2 text-sm text-green-700 flex items-center gap-2">
+                    <UserCheck className="h-4 w-4" />
+                    {t("donors.linked")}
+                    <button
+                      type="button"
+                      aria-label={t("donors.unlink")}
+                      className="text-gray-500 hover:text-gray-700"
+                      onClick={() => setFormData({ ...formData, donorId: "" })}
+                    >
+                      <X className="h-4 w-4" />
+                    </button>
+                  </p>
+                ) : (
+                  <DonorLookup query={donorQuery} onSelect={handleSelectDonor} />
+                )}
+
+                {/* Per-person (Vargani) fields */}
+                {perPerson && (
+                  <>
+                    <div>
+                      <Label htmlFor="familyMembers">
+                        {t("donations.familyMembers")} *
+                      </Label>
+                      <Input
+                        id="familyMembers"
+                        type="text"
+                        placeholder={t("donations.enterFamilyMembers")}
+                        value={formData.familyMembers}
+                        onChange={(e) => handleNumericChange("familyMembers", e)}
+                        className={errors.familyMembers ? "border-red-500" : ""}
+                      />
+                      {errors.familyMembers && (
+                        <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                          <AlertCircle className="h-4 w-4" />
+                          {errors.familyMembers}
+                        </p>
+                      )}
+                    </div>
+
+                    <div>
+                      <Label htmlFor="amountPerPerson">
+                        {t("donations.amountPerPerson")} ({t("common.currency")})
+                        *
+                      </Label>
+                      <Input
+                        id="amountPerPerson"
+                        type="text"
+                        placeholder={t("donations.enterAmountPerPerson")}
+                        value={formData.amountPerPerson}
+                        onChange={(e) =>
+                          handleNumericChange("amountPerPerson", e)
+                        }
+                        className={errors.amountPerPerson ? "border-red-500" : ""}
+                      />
+                      {errors.amountPerPerson && (
+                        <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                          <AlertCircle className="h-4 w-4" />
+                          {errors.amountPerPerson}
+                        </p>
+                      )}
+                    </div>
+
+                    <div>
+                      <Label htmlFor="totalAmount">
+                        {t("donations.totalAmount")} ({t("common.currency")})
+                      </Label>
+                      <div className="relative">
+                        <Calculator className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                        <Input
+                          id="totalAmount"
+                          value={formData.amount}
+                          disabled
+                          className="pl-10 bg-gray-50"
+                        />
+                      </div>
+                    </div>
+                  </>
+                )}
+
+                {/* Amount for other categories */}
+                {!perPerson && formData.category && (
                   <div>
-                    <Label htmlFor="amountPerPerson">
-                      {t("donations.amountPerPerson")} ({t("common.currency")})
-                      *
+                    <Label htmlFor="amount">
+                      {t("donations.amount")} ({t("common.currency")}) *
                     </Label>
                     <Input
-                      id="amountPerPerson"
+                      id="amount"
                       type="text"
-                      placeholder={t("donations.enterAmountPerPerson")}
-                      value={formData.amountPerPerson}
-                      onChange={(e) =>
-                        handleNumericChange("amountPerPerson", e)
-                      }
-                      className={errors.amountPerPerson ? "border-red-500" : ""}
+                      placeholder={t("donations.enterAmount")}
+                      value={formData.amount}
+                      onChange={handleAmountChange}
+                      className={errors.amount ? "border-red-500" : ""}
                     />
-                    {errors.amountPerPerson && (
+                    {errors.amount && (
                       <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
                         <AlertCircle className="h-4 w-4" />
-                        {errors.amountPerPerson}
+                        {errors.amount}
                       </p>
                     )}
                   </div>
+                )}
 
-                  <div>
-                    <Label htmlFor="totalAmount">
-                      {t("donations.totalAmount")} ({t("common.currency")})
-                    </Label>
-                    <div className="relative">
-                      <Calculator className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
-                      <Input
-                        id="totalAmount"
-                        value={formData.amount}
-                        disabled
-                        className="pl-10 bg-gray-50"
-                      />
-                    </div>
-                  </div>
-                </>
-              )}
+                <PaymentModeFields
+                  value={payment}
+                  onChange={(value) => {
+                    setPayment(value);
+                    if (errors.paymentReference || errors.chequeDate) {
+                      setErrors({ ...errors, paymentReference: undefined, chequeDate: undefined });
+                    }
+                  }}
+                  errors={errors}
+                  idPrefix="donationPayment"
+                />
+              </div>
 
-              {/* Amount for non-Vargani categories */}
-              {formData.category !== "Vargani" && formData.category && (
-                <div>
-                  <Label htmlFor="amount">
-                    {t("donations.amount")} ({t("common.currency")}) *
-                  </Label>
-                  <Input
-                    id="amount"
-                    type="text"
-                    placeholder={t("donations.enterAmount")}
-                    value={formData.amount}
-                    onChange={handleAmountChange}
-                    className={errors.amount ? "border-red-500" : ""}
-                  />
-                  {errors.amount && (
-                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                      <AlertCircle className="h-4 w-4" />
-                      {errors.amount}
-                    </p>
-                  )}
-                </div>
-              )}
-            </div>
+              {/* Purpose */}
+              <div>
+                <Label htmlFor="purpose">{t("donations.purpose")} *</Label>
+                <Textarea
+                  id="purpose"
+                  placeholder={t("donations.enterPurpose")}
+                  value={formData.purpose}
+                  onChange={(e) => {
+                    setFormData({ ...formData, purpose: e.target.value });
+                    if (errors.purpose) {
+                      setErrors({ ...errors, purpose: undefined });
+                    }
+                  }}
+                  className={errors.purpose ? "border-red-500" : ""}
+                />
+                {errors.purpose && (
+                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                    <AlertCircle className="h-4 w-4" />
+                    {errors.purpose}
+                  </p>
+                )}
+              </div>
 
-            {/* Purpose */}
-            <div>
-              <Label htmlFor="purpose">{t("donations.purpose")} *</Label>
-              <Textarea
-                id="purpose"
-                placeholder={t("donations.enterPurpose")}
-                value={formData.purpose}
-                onChange={(e) => {
-                  setFormData({ ...formData, purpose: e.target.value });
-                  if (errors.purpose) {
-                    setErrors({ ...errors, purpose: undefined });
+              <div className="flex gap-2">
+                <Button 
+                  type="submit" 
+                  className="flex-1"
+                  disabled={submissionState === 'submitting' || submissionState === 'submitted'}
+                >
+                  {submissionState === 'submitting' ? 
+                    t("donations.submitting") : 
+                    (isEditMode ? t("common.update") : t("donations.submit"))
                   }
-                }}
-                className={errors.purpose ? "border-red-500" : ""}
-              />
-              {errors.purpose && (
-                <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                  <AlertCircle className="h-4 w-4" />
-                  {errors.purpose}
-                </p>
-              )}
-            </div>
-
-            <div className="flex gap-2">
-              <Button 
-                type="submit" 
-                className="flex-1"
-                disabled={submissionState === 'submitting' || submissionState === 'submitted'}
-              >
-                {submissionState === 'submitting' ? 
-                  t("donations.submitting") : 
-                  (isEditMode ? t("common.update") : t("donations.submit"))
-                }
-              </Button>
-              {isEditMode && (
-                <Button type="button" variant="outline" onClick={resetForm}>
-                  {t("common.cancel")}
                 </Button>
-              )}
-            </div>
-          </form>
-        </CardContent>
-      </Card>
+                {isEditMode && (
+                  <Button type="button" variant="outline" onClick={resetForm}>
+                    {t("common.cancel")}
+                  </Button>
+                )}
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      )}
 
       {/* Success Dialog */}
       <Dialog open={showSuccessDialog} onOpenChange={setShowSuccessDialog}>
@@ -923,11 +1057,7 @@ export default function Donations({
                     {t("donations.category")}:
                   </span>
                   <span className="font-medium">
-                    {t(
-                      `donations.${lastAddedDonation.category
-                        .toLowerCase()
-                        .replace(" ", "")}`
-                    )}
+                    {categoryLabel(categories, language, "Donation", lastAddedDonation.category)}
                   </span>
                 </div>
                 {lastAddedDonation.subCategory && (
@@ -936,7 +1066,13 @@ export default function Donations({
                       {t("donations.subCategory")}:
                     </span>
                     <span className="font-medium">
-                      {t(`donations.${lastAddedDonation.subCategory}`)}
+                      {subCategoryLabel(
+                        categories,
+                        language,
+                        "Donation",
+                        lastAddedDonation.category,
+                        lastAddedDonation.subCategory
+                      )}
                     </span>
                   </div>
                 )}
@@ -951,8 +1087,7 @@ export default function Donations({
                 </div>
                 <div className="flex justify-between">
                   <span className="text-gray-600">
-                    {lastAddedDonation.category === "Dengi" ||
-                    lastAddedDonation.category === "Shaskiy Nidhi"
+                    {!findCategory(categories, "Donation", lastAddedDonation.category)?.rules.perPerson
                       ? t("donations.denagiDonorName")
                       : t("donations.donorName")}
                     :
@@ -983,7 +1118,17 @@ export default function Donations({
             </div>
           )}
 
-          <div className="flex justify-end mt-6">
+          <div className="flex justify-end gap-2 mt-6">
+            {lastAddedDonation && (
+              <Button
+                variant="outline"
+                onClick={() => handlePrintReceipt(lastAddedDonation)}
+                disabled={printingReceiptId === lastAddedDonation.id}
+              >
+                <Printer className="h-4 w-4" />
+                {t("receipt.print")}
+              </Button>
+            )}
             <Button onClick={() => setShowSuccessDialog(false)}>
               {t("common.close")}
             </Button>
@@ -1008,6 +1153,8 @@ export default function Donations({
             transactions={transactions} 
             onUpdate={handleEditDonation}
             onDelete={onDeleteTransaction}
+            onPrintReceipt={handlePrintReceipt}
+            onPrint80gCertificate={handlePrint80gCertificate}
             currentUser={currentUser}
           />
         </CardContent>
@@ -0,0 +1,81 @@
+import { useEffect, useState } from "react";
+import { UserCheck } from "lucide-react";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { DonorListItem } from "../src/types";
+
+// Wait this long after the last keystroke before searching
+const DEBOUNCE_MS = 250;
+
+interface DonorLookupProps {
+  // What the user is typing in the donor name or contact field
+  query: string;
+  onSelect: (donor: DonorListItem) => void;
+}
+
+// Known donors matching a name or phone being typed in the donation form.
+// Searches from two letters of a name or three digits of a phone.
+export default function DonorLookup({ query, onSelect }: DonorLookupProps) {
+  const { t } = useLanguage();
+  const [donors, setDonors] = useState<DonorListItem[]>([]);
+
+  const term = query.trim();
+  const searchable = /^\d+$/.test(term) ? term.length >= 3 : term.length >= 2;
+
+  useEffect(() => {
+    if (!searchable) {
+      setDonors([]);
+      return;
+    }
+    let cancelled = false;
+    const timer = setTimeout(() => {
+      apiClient
+        .getDonors(term, 5)
+        .then((data) => {
+          if (!cancelled) setDonors(Array.isArray(data) ? data : []);
+        })
+        .catch(() => {
+          if (!cancelled) setDonors([]);
+        });
+    }, DEBOUNCE_MS);
+    return () => {
+      cancelled = true;
+      clearTimeout(timer);
+    };
+  }, [term, searchable]);
+
+  if (donors.length === 0) return null;
+
+  return (
+    <ul
+      role="listbox"
+      aria-label={t("donors.suggestions")}
+      className="md:col-span-2 border border-gray-200 rounded-md divide-y bg-white shadow-sm"
+    >
+      {donors.map((donor) => (
+        <li key={donor.id} role="option" aria-selected={false}>
+          <button
+            type="button"
+            className="w-full text-left px-3 py-2 text-sm hover:bg-gray-50 flex items-center justify-between gap-2"
+            onClick={() => {
+              setDonors([]);
+              onSelect(donor);
+            }}
+          >
+            <span className="flex items-center gap-2">
+              <UserCheck className="h-4 w-4 text-green-600" />
+              <span className="font-medium">{donor.name}</span>
+              {donor.phone && <span className="text-gray-500">{donor.phone}</span>}
+              {donor.gotra && <span className="text-gray-500">· {donor.gotra}</span>}
+            </span>
+            <span className="text-xs text-gray-500">
+              {t("donors.givenTimes")
+                .replace("{count}", String(donor.donationCount))
+                .replace("{amount}", `₹${donor.totalGiven.toLocaleString("en-IN")}`)}
+            </span>
+          </button>
+        </li>
+      ))}
+    </ul>
+  );
+}
@@ -0,0 +1,380 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Textarea } from "./ui/textarea";
+import { Badge } from "./ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { ArrowLeft, FileCheck, Pencil, UserRound } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import { paymentModeKey } from "./PaymentModeFields";
+import type { DonorProfile as DonorProfileData } from "../src/types";
+import { isValidPan } from "../src/utils/taxExemption";
+import { useCategories, categoryLabel } from "../src/utils/categories";
+import { downloadTaxStatement } from "../src/utils/taxCertificate";
+
+interface DonorProfileProps {
+  donorId: string;
+  // Edit the donor's details; needs donor.manage
+  canManage?: boolean;
+  // Print the donor's annual 80G statements; needs donation.receipt.print
+  canPrintCertificates?: boolean;
+  onBack: () => void;
+}
+
+const rupees = (amount: number) => `₹${amount.toLocaleString("en-IN")}`;
+
+const emptyForm = { name: "", phone: "", address: "", gotra: "", pan: "" };
+
+// One donor: details, lifetime giving by category and financial year, and
+// every donation. Bounced cheques are listed but not counted.
+export default function DonorProfile({
+  donorId,
+  canManage = false,
+  canPrintCertificates = false,
+  onBack,
+}: DonorProfileProps) {
+  const { t, language } = useLanguage();
+  const categories = useCategories("Donation");
+  const [profile, setProfile] = useState<DonorProfileData | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [editing, setEditing] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [saving, setSaving] = useState(false);
+  const [printingYear, setPrintingYear] = useState<string | null>(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    apiClient
+      .getDonorProfile(donorId)
+      .then(setProfile)
+      .catch((err: any) => toast.error(err.message || t("donors.loadError")))
+      .finally(() => setLoading(false));
+  }, [donorId, t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const startEditing = () => {
+    if (!profile) return;
+    const { donor } = profile;
+    setForm({
+      name: donor.name,
+      phone: donor.phone || "",
+      address: donor.address || "",
+      gotra: donor.gotra || "",
+      pan: donor.pan || "",
+    });
+    setEditing(true);
+  };
+
+  const handleSave = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast.error(t("donations.donorNameInvalid"));
+      return;
+    }
+    if (form.phone && !/^\d{10}$/.test(form.phone)) {
+      toast.error(t("donations.donorContactInvalid"));
+      return;
+    }
+    if (form.pan && !isValidPan(form.pan)) {
+      toast.error(t("donors.panInvalid"));
+      return;
+    }
+    setSaving(true);
+    try {
+      await apiClient.updateDonor(donorId, { ...form, name: form.name.trim() });
+      toast.success(t("donors.saved"));
+      setEditing(false);
+      load();
+    } catch (err: any) {
+      toast.error(err.message || t("donors.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // One financial year's eligible donations on a single 80G certificate
+  const handlePrintStatement = async (year: string) => {
+    setPrintingYear(year);
+    try {
+      const statement = await apiClient.get80gStatement(donorId, year);
+      downloadTaxStatement(
+        {
+          financialYear: statement.financialYear,
+          donorName: statement.donor.name,
+          donorPan: statement.donor.pan || "",
+          donorAddress: statement.donor.address || undefined,
+          donations: statement.donations.map((donation) => ({
+            date: new Date(donation.date).toLocaleDateString("en-IN"),
+            receiptNumber: donation.receiptNumber || "",
+            paymentModeLabel: t(`payment.${paymentModeKey(donation.paymentMode)}`),
+            amount: donation.amount,
+          })),
+          total: statement.total,
+        },
+        statement.issuer,
+        t
+      );
+    } catch (err: any) {
+      toast.error(err.message || t("tax80g.statementError"));
+    } finally {
+      setPrintingYear(null);
+    }
+  };
+
+  if (loading && !profile) {
+    return <p className="text-sm text-gray-500">{t("common.loading")}</p>;
+  }
+  if (!profile) {
+    return (
+      <Button variant="outline" size="sm" onClick={onBack}>
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        {t("donors.back")}
+      </Button>
+    );
+  }
+
+  const { donor, summary, byCategory, byYear, donations } = profile;
+
+  return (
+    <div className="space-y-6">
+      <Button variant="outline" size="sm" onClick={onBack}>
+        <ArrowLeft className="h-4 w-4 mr-1" />
+        {t("donors.back")}
+      </Button>
+
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <UserRound className="h-5 w-5" />
+            {donor.name}
+          </CardTitle>
+          {canManage && !editing && (
+            <Button variant="outline" size="sm" onClick={startEditing}>
+              <Pencil className="h-4 w-4 mr-1" />
+              {t("donors.edit")}
+            </Button>
+          )}
+        </CardHeader>
+        <CardContent>
+          {editing ? (
+            <form onSubmit={handleSave} className="grid grid-cols-1 md:grid-cols-2 gap-4">
+              <div>
+                <Label htmlFor="donor-name">{t("donors.name")} *</Label>
+                <Input
+                  id="donor-name"
+                  value={form.name}
+                  onChange={(e) => setForm({ ...form, name: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label htmlFor="donor-phone">{t("donors.phone")}</Label>
+                <Input
+                  id="donor-phone"
+                  value={form.phone}
+                  onChange={(e) => {
+                    const value = e.target.value;
+                    if (value === "" || (/^\d+$/.test(value) && value.length <= 10)) {
+                      setForm({ ...form, phone: value });
+                    }
+                  }}
+                />
+              </div>
+              <div>
+                <Label htmlFor="donor-gotra">{t("donors.gotra")}</Label>
+                <Input
+                  id="donor-gotra"
+                  value={form.gotra}
+                  onChange={(e) => setForm({ ...form, gotra: e.target.value })}
+                />
+              </div>
+              <div>
+                <Label htmlFor="donor-pan">{t("donors.pan")}</Label>
+                <Input
+                  id="donor-pan"
+                  maxLength={10}
+                  value={form.pan}
+                  onChange={(e) => setForm({ ...form, pan: e.target.value.toUpperCase() })}
+                />
+              </div>
+              <div className="md:col-span-2">
+                <Label htmlFor="donor-address">{t("donors.address")}</Label>
+                <Textarea
+                  id="donor-address"
+                  value={form.address}
+                  onChange={(e) => setForm({ ...form, address: e.target.value })}
+                />
+              </div>
+              <div className="md:col-span-2 flex justify-end gap-2">
+                <Button type="button" variant="outline" onClick={() => setEditing(false)}>
+                  {t("common.cancel")}
+                </Button>
+                <Button type="submit" disabled={saving}>
+                  {t("common.save")}
+                </Button>
+              </div>
+            </form>
+          ) : (
+            <dl className="grid grid-cols-1 md:grid-cols-2 gap-x-6 gap-y-2 text-sm">
+              <div>
+                <dt className="text-gray-500">{t("donors.phone")}</dt>
+                <dd>{donor.phone || "—"}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">{t("donors.gotra")}</dt>
+                <dd>{donor.gotra || "—"}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">{t("donors.pan")}</dt>
+                <dd>{donor.pan || "—"}</dd>
+              </div>
+              <div>
+                <dt className="text-gray-500">{t("donors.address")}</dt>
+                <dd className="whitespace-pre-line">{donor.address || "—"}</dd>
+              </div>
+            </dl>
+          )}
+        </CardContent>
+      </Card>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-gray-500">{t("donors.totalGiven")}</p>
+            <p className="text-2xl font-semibold">{rupees(summary.totalGiven)}</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-gray-500">{t("donors.donations")}</p>
+            <p className="text-2xl font-semibold">{summary.donationCount}</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="pt-6">
+            <p className="text-sm text-gray-500">{t("donors.givingSince")}</p>
+            <p className="text-2xl font-semibold">{summary.firstDonationDate || "—"}</p>
+          </CardContent>
+        </Card>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("donors.byYear")}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("donors.financialYear")}</TableHead>
+                  <TableHead className="text-right">{t("donors.donations")}</TableHead>
+                  <TableHead className="text-right">{t("donors.total")}</TableHead>
+                  {canPrintCertificates && <TableHead />}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {byYear.map((row) => (
+                  <TableRow key={row.year}>
+                    <TableCell>{row.year}</TableCell>
+                    <TableCell className="text-right">{row.count}</TableCell>
+                    <TableCell className="text-right">{rupees(row.total)}</TableCell>
+                    {canPrintCertificates && (
+                      <TableCell className="text-right">
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          disabled={!donor.pan || printingYear === row.year}
+                          title={donor.pan ? undefined : t("tax80g.panNeeded")}
+                          onClick={() => handlePrintStatement(row.year)}
+                        >
+                          <FileCheck className="h-4 w-4 mr-1" />
+                          {t("tax80g.annualStatement")}
+                        </Button>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("donors.byCategory")}</CardTitle>
+          </CardHeader>
+          <CardContent>
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("donations.category")}</TableHead>
+                  <TableHead className="text-right">{t("donors.donations")}</TableHead>
+                  <TableHead className="text-right">{t("donors.total")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {byCategory.map((row) => (
+                  <TableRow key={row.category}>
+                    <TableCell>{categoryLabel(categories, language, "Donation", row.category)}</TableCell>
+                    <TableCell className="text-right">{row.count}</TableCell>
+                    <TableCell className="text-right">{rupees(row.total)}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          </CardContent>
+        </Card>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>{t("donors.history")}</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <Table>
+            <TableHeader>
+              <TableRow>
+                <TableHead>{t("donations.date")}</TableHead>
+                <TableHead>{t("donors.receipt")}</TableHead>
+                <TableHead>{t("donations.category")}</TableHead>
+                <TableHead>{t("donors.writtenAs")}</TableHead>
+                <TableHead className="text-right">{t("donations.amount")}</TableHead>
+              </TableRow>
+            </TableHeader>
+            <TableBody>
+              {donations.map((donation) => (
+                <TableRow key={donation.id}>
+                  <TableCell className="whitespace-nowrap">{donation.date}</TableCell>
+                  <TableCell>{donation.receiptNumber || "—"}</TableCell>
+                  <TableCell>{categoryLabel(categories, language, "Donation", donation.category)}</TableCell>
+                  <TableCell>{donation.donorName}</TableCell>
+                  <TableCell className="text-right">
+                    {rupees(donation.amount)}
+                    {donation.clearingStatus === "Bounced" && (
+                      <Badge variant="destructive" className="ml-2">
+                        {t("donors.bounced")}
+                      </Badge>
+                    )}
+                  </TableCell>
+                </TableRow>
+              ))}
+            </TableBody>
+          </Table>
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
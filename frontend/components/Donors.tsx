@@ -0,0 +1,262 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Badge } from "./ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { Link2, Merge, Search, Users } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { DonorDuplicateGroup, DonorListItem } from "../src/types";
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+interface DonorsProps {
+  // Find duplicates, merge them and link past donations; needs donor.manage
+  canManage?: boolean;
+  onOpenDonor: (id: string) => void;
+}
+
+const rupees = (amount: number) => `₹${amount.toLocaleString("en-IN")}`;
+
+// One group of likely duplicates: pick the donor to keep and those to merge into it
+function DuplicateGroup({
+  group,
+  onMerged,
+}: {
+  group: DonorDuplicateGroup;
+  onMerged: () => void;
+}) {
+  const { t } = useLanguage();
+  const [targetId, setTargetId] = useState(group.donors[0].id);
+  const [sourceIds, setSourceIds] = useState<string[]>(group.donors.slice(1).map((donor) => donor.id));
+  const [merging, setMerging] = useState(false);
+
+  const chooseTarget = (id: string) => {
+    setTargetId(id);
+    setSourceIds(group.donors.filter((donor) => donor.id !== id).map((donor) => donor.id));
+  };
+
+  const toggleSource = (id: string) => {
+    setSourceIds((ids) => (ids.includes(id) ? ids.filter((other) => other !== id) : [...ids, id]));
+  };
+
+  const handleMerge = async () => {
+    if (!window.confirm(t("donors.mergeConfirm"))) return;
+    setMerging(true);
+    try {
+      await apiClient.mergeDonors(targetId, sourceIds);
+      toast.success(t("donors.merged"));
+      onMerged();
+    } catch (err: any) {
+      toast.error(err.message || t("donors.mergeError"));
+    } finally {
+      setMerging(false);
+    }
+  };
+
+  return (
+    <div className="border rounded-md p-3 space-y-2">
+      <Badge variant="outline">{t(`donors.reason.${group.reason}`)}</Badge>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>{t("donors.keep")}</TableHead>
+            <TableHead>{t("donors.mergeIn")}</TableHead>
+            <TableHead>{t("donors.name")}</TableHead>
+            <TableHead>{t("donors.phone")}</TableHead>
+            <TableHead className="text-right">{t("donors.donations")}</TableHead>
+            <TableHead className="text-right">{t("donors.totalGiven")}</TableHead>
+          </TableRow>
+        </TableHeader>
+        <TableBody>
+          {group.donors.map((donor) => (
+            <TableRow key={donor.id}>
+              <TableCell>
+                <input
+                  type="radio"
+                  name={`keep-${group.donors[0].id}`}
+                  aria-label={`${t("donors.keep")} ${donor.name}`}
+                  checked={targetId === donor.id}
+                  onChange={() => chooseTarget(donor.id)}
+                />
+              </TableCell>
+              <TableCell>
+                <input
+                  type="checkbox"
+                  aria-label={`${t("donors.mergeIn")} ${donor.name}`}
+                  disabled={targetId === donor.id}
+                  checked={sourceIds.includes(donor.id)}
+                  onChange={() => toggleSource(donor.id)}
+                />
+              </TableCell>
+              <TableCell>{donor.name}</TableCell>
+              <TableCell>{donor.phone || "—"}</TableCell>
+              <TableCell className="text-right">{donor.donationCount}</TableCell>
+              <TableCell className="text-right">{rupees(donor.totalGiven)}</TableCell>
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <div className="flex justify-end">
+        <Button size="sm" disabled={merging || sourceIds.length === 0} onClick={handleMerge}>
+          <Merge className="h-4 w-4 mr-1" />
+          {t("donors.merge")}
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Donor search with lifetime giving, and for managers the duplicate finder
+export default function Donors({ canManage = false, onOpenDonor }: DonorsProps) {
+  const { t } = useLanguage();
+  const [search, setSearch] = useState("");
+  const [donors, setDonors] = useState<DonorListItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [duplicates, setDuplicates] = useState<DonorDuplicateGroup[] | null>(null);
+  const [linking, setLinking] = useState(false);
+
+  const load = useCallback((q: string) => {
+    setLoading(true);
+    apiClient
+      .getDonors(q.trim() || undefined, 50)
+      .then((data) => setDonors(Array.isArray(data) ? data : []))
+      .catch((err: any) => toast.error(err.message || t("donors.loadError")))
+      .finally(() => setLoading(false));
+  }, [t]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => load(search), search ? SEARCH_DEBOUNCE_MS : 0);
+    return () => clearTimeout(timer);
+  }, [search, load]);
+
+  const loadDuplicates = () => {
+    apiClient
+      .getDonorDuplicates()
+      .then((data) => setDuplicates(Array.isArray(data) ? data : []))
+      .catch((err: any) => toast.error(err.message || t("donors.loadError")));
+  };
+
+  const handleLink = async () => {
+    setLinking(true);
+    try {
+      const { linked, created } = await apiClient.linkDonationsToDonors();
+      toast.success(
+        t("donors.linkedDonations").replace("{linked}", String(linked)).replace("{created}", String(created))
+      );
+      load(search);
+    } catch (err: any) {
+      toast.error(err.message || t("donors.linkError"));
+    } finally {
+      setLinking(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between gap-4">
+          <CardTitle className="flex items-center gap-2">
+            <Users className="h-5 w-5" />
+            {t("donors.title")}
+          </CardTitle>
+          {canManage && (
+            <div className="flex gap-2">
+              <Button variant="outline" size="sm" disabled={linking} onClick={handleLink}>
+                <Link2 className="h-4 w-4 mr-1" />
+                {t("donors.linkDonations")}
+              </Button>
+              <Button variant="outline" size="sm" onClick={loadDuplicates}>
+                <Merge className="h-4 w-4 mr-1" />
+                {t("donors.findDuplicates")}
+              </Button>
+            </div>
+          )}
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="relative max-w-sm">
+            <Search className="absolute left-2 top-2.5 h-4 w-4 text-gray-400" />
+            <Input
+              className="pl-8"
+              aria-label={t("donors.search")}
+              placeholder={t("donors.searchPlaceholder")}
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+            />
+          </div>
+          {loading ? (
+            <p className="text-sm text-gray-500">{t("common.loading")}</p>
+          ) : donors.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("donors.empty")}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("donors.name")}</TableHead>
+                  <TableHead>{t("donors.phone")}</TableHead>
+                  <TableHead>{t("donors.gotra")}</TableHead>
+                  <TableHead className="text-right">{t("donors.donations")}</TableHead>
+                  <TableHead className="text-right">{t("donors.totalGiven")}</TableHead>
+                  <TableHead>{t("donors.lastDonation")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {donors.map((donor) => (
+                  <TableRow key={donor.id}>
+                    <TableCell>
+                      <button
+                        type="button"
+                        className="text-blue-700 hover:underline font-medium"
+                        onClick={() => onOpenDonor(donor.id)}
+                      >
+                        {donor.name}
+                      </button>
+                    </TableCell>
+                    <TableCell>{donor.phone || "—"}</TableCell>
+                    <TableCell>{donor.gotra || "—"}</TableCell>
+                    <TableCell className="text-right">{donor.donationCount}</TableCell>
+                    <TableCell className="text-right">{rupees(donor.totalGiven)}</TableCell>
+                    <TableCell>{donor.lastDonationDate || "—"}</TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {duplicates && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("donors.duplicates")}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            {duplicates.length === 0 ? (
+              <p className="text-sm text-gray-500">{t("donors.noDuplicates")}</p>
+            ) : (
+              duplicates.map((group) => (
+                <DuplicateGroup
+                  key={group.donors.map((donor) => donor.id).join("-")}
+                  group={group}
+                  onMerged={() => {
+                    loadDuplicates();
+                    load(search);
+                  }}
+                />
+              ))
+            )}
+          </CardContent>
+        </Card>
+      )}
+    </div>
+  );
+}
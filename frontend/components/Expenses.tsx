@@ -22,10 +22,30 @@ import {
 import { Alert, AlertDescription } from "./ui/alert";
 import { FileUpload } from "./ui/file-upload";
 import TransactionTable from "./TransactionTable";
+import Attachments from "./Attachments";
+import PaymentModeFields, {
+  type PaymentDetails,
+  emptyPaymentDetails,
+  paymentDetailsFrom,
+  validatePaymentDetails,
+  toPaymentPayload,
+} from "./PaymentModeFields";
 import { useLanguage } from "./LanguageContext";
 import { Check, AlertCircle, Receipt, IndianRupee } from "lucide-react";
 import { toast } from "sonner";
 import apiClient from "../src/utils/api";
+import { hasPermission } from "../src/utils/permissions";
+import { isPendingApproval } from "../src/utils/approvals";
+import { expenseNeedsAttachment, stagePickedFiles } from "../src/utils/attachments";
+import {
+  useCategories,
+  activeOnly,
+  findCategory,
+  labelOf,
+  categoryLabel,
+  subCategoryLabel,
+} from "../src/utils/categories";
+import type { AttachmentLimits, BudgetWarning } from "../src/types";
 
 interface UploadedFile {
   id: string;
@@ -39,9 +59,9 @@ interface UploadedFile {
 
 interface ExpensesProps {
   transactions: any[];
-  onAddTransaction: (transaction: any) => void;
+  onAddTransaction: (transaction: any) => Promise<any>;
   onUpdateTransaction: (id: string, transaction: any) => void;
-  onDeleteTransaction: (id: string) => void;
+  onDeleteTransaction: (id: string) => void | Promise<boolean>;
   currentUser: any;
 }
 
@@ -54,6 +74,8 @@ interface ValidationErrors {
   amount?: string;
   details?: string;
   receiptImages?: string;
+  paymentReference?: string;
+  chequeDate?: string;
 }
 
 export default function Expenses({ 
@@ -63,7 +85,8 @@ export default function Expenses({
   onDeleteTransaction,
   currentUser,
 }: ExpensesProps) {
-  const { t } = useLanguage();
+  const { t, language } = useLanguage();
+  const categories = useCategories("Expense");
   
   console.log('[Expenses] Component rendered with props:', {
     transactionCount: transactions?.length || 0,
@@ -90,51 +113,39 @@ export default function Expenses({
     });
   }, [transactions]);
 
+  const [payment, setPayment] = useState<PaymentDetails>(emptyPaymentDetails);
+
   const [errors, setErrors] = useState<ValidationErrors>({});
   const [showSuccessDialog, setShowSuccessDialog] = useState(false);
   const [lastAddedExpense, setLastAddedExpense] = useState<any>(null);
   const [editingExpense, setEditingExpense] = useState<any>(null);
   const [isEditMode, setIsEditMode] = useState(false);
+  // Files already on the expense being edited
+  const [savedAttachmentCount, setSavedAttachmentCount] = useState(0);
+  const [attachmentLimits, setAttachmentLimits] = useState<AttachmentLimits | null>(null);
 
-  // Category and sub-category definitions for expenses
-  const expenseCategorySubCategories = {
-    Utsav: [
-      "parayan",
-      "dindi",
-      "shivjayanti",
-      "ganeshUtsav",
-      "yatra",
-      "navratra",
-      "bailPola",
-      "ashadhiEkadashi",
-      "diwali",
-      "dasra",
-      "mahashivratri",
-      "shreeKrushnaJanmashtami",
-      "ramNavami",
-    ],
-    "Gala Kharch": [
-      "bandhkam",
-      "putalaKharch",
-      "karmchariPagar",
-      "karmchariKharch",
-      "safayi",
-      "itar",
-    ],
-    "Mandir Dekhbhal": [
-      "bandhkam",
-      "pooja",
-      "karmchariPagar",
-      "karmchariKharch",
-      "safayi",
-      "soundLightMaintenance",
-      "flowerDecoration",
-      "securityServices",
-      "bijliBill",
-      "paani",
-      "itar",
-    ],
-  };
+  useEffect(() => {
+    apiClient
+      .getAttachmentLimits()
+      .then((limits) => setAttachmentLimits(limits ?? null))
+      .catch(() => setAttachmentLimits(null));
+  }, []);
+
+  // Whether the bill must be attached before saving. An edit that leaves the
+  // amount alone is not held to it, as the server does not hold it either.
+  const attachmentRequired = (() => {
+    const amount = parseFloat(formData.amount);
+    if (!expenseNeedsAttachment(amount, attachmentLimits)) return false;
+    if (isEditMode && editingExpense) {
+      return amount !== Number(editingExpense.amount) && savedAttachmentCount === 0;
+    }
+    return true;
+  })();
+
+  const selectedCategory = findCategory(categories, "Expense", formData.category);
+  const subCategoryOptions = selectedCategory
+    ? activeOnly(selectedCategory.subCategories, formData.subCategory)
+    : [];
 
   // Clear sub-category when category changes
   const handleCategoryChange = (value: string) => {
@@ -160,8 +171,10 @@ export default function Expenses({
       payeeContact: expense.payeeContact || "",
       amount: expense.amount?.toString() || "",
       details: expense.description || "",
-      receiptImages: expense.receiptImages || [],
+      receiptImages: [],
     });
+    setSavedAttachmentCount(0);
+    setPayment(paymentDetailsFrom(expense));
   };
 
   // Reset form to add mode
@@ -178,6 +191,7 @@ export default function Expenses({
       details: "",
       receiptImages: [],
     });
+    setPayment(emptyPaymentDetails);
     setErrors({});
   };
 
@@ -194,7 +208,7 @@ export default function Expenses({
       newErrors.category = t("expenses.categoryRequired");
     }
 
-    if (!formData.subCategory) {
+    if (!formData.subCategory && subCategoryOptions.length > 0) {
       newErrors.subCategory = t("expenses.subCategoryRequired");
     }
 
@@ -215,6 +229,13 @@ export default function Expenses({
       newErrors.details = t("expenses.detailsRequired");
     }
 
+    if (attachmentRequired && formData.receiptImages.length === 0) {
+      newErrors.receiptImages = t("attachments.requiredAbove").replace(
+        "{amount}",
+        `${t("common.currency")}${attachmentLimits!.expenseRequiredAbove.toLocaleString("en-IN")}`
+      );
+    }
+
     // Optional payee contact validation
     if (
       formData.payeeContact.trim() &&
@@ -223,6 +244,8 @@ export default function Expenses({
       newErrors.payeeContact = t("expenses.payeeContactInvalid");
     }
 
+    Object.assign(newErrors, validatePaymentDetails(payment, t));
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -251,6 +274,32 @@ export default function Expenses({
     }
   };
 
+  // Budgets only warn: ask before saving an expense that takes one over,
+  // and save it if the check itself cannot be made
+  const confirmWithinBudget = async (entry: { date: string; category: string; subCategory?: string; amount: number }) => {
+    let warnings: BudgetWarning[] = [];
+    try {
+      warnings =
+        (await apiClient.checkExpenseBudget({
+          ...entry,
+          ...(isEditMode && editingExpense ? { excludeId: editingExpense.id } : {}),
+        })) ?? [];
+    } catch (err: any) {
+      console.warn("[Expenses] Could not check the budget:", err.message);
+    }
+    if (warnings.length === 0) return true;
+
+    const lines = warnings.map((warning) => {
+      const label = warning.subCategory
+        ? subCategoryLabel(categories, language, "Expense", warning.category, warning.subCategory)
+        : categoryLabel(categories, language, "Expense", warning.category);
+      return `${label} (${warning.year}): ${t("budget.budget")} ${formatCurrency(warning.budget)}, ${t(
+        "budget.projected"
+      )} ${formatCurrency(warning.projected)}, ${t("budget.over")} ${formatCurrency(warning.over)}`;
+    });
+    return window.confirm(`${t("budget.overWarning")}\n\n${lines.join("\n")}\n\n${t("budget.saveAnyway")}`);
+  };
+
   const handleSubmit = async (e: React.FormEvent) => {
     e.preventDefault();
 
@@ -259,17 +308,28 @@ export default function Expenses({
       return;
     }
 
+    const date = formData.date!.toISOString().split("T")[0];
+    const within = await confirmWithinBudget({
+      date,
+      category: formData.category,
+      subCategory: formData.subCategory || undefined,
+      amount: parseFloat(formData.amount),
+    });
+    if (!within) return;
+
     try {
       // Prepare data according to backend schema  
       const expenseData = {
-        date: formData.date!.toISOString().split("T")[0],
+        date,
         category: formData.category,
         subCategory: formData.subCategory || undefined,
         description: formData.details.trim(),
         amount: parseFloat(formData.amount),
         payeeName: formData.payeeName.trim(),
         payeeContact: formData.payeeContact.trim() || undefined,
-        receiptImages: formData.receiptImages.map(file => file.base64), // Convert to base64 strings array
+        ...toPaymentPayload(payment),
+        // The bill and other files are uploaded first and attached when the expense is saved
+        attachmentIds: await stagePickedFiles(formData.receiptImages),
       };
 
       let response;
@@ -278,30 +338,30 @@ export default function Expenses({
       if (isEditMode && editingExpense) {
         // Update existing expense
         response = await apiClient.updateExpense(editingExpense.id, expenseData);
+        if (isPendingApproval(response)) {
+          toast.info(t("approvals.submitted"));
+          resetForm();
+          return;
+        }
         processedExpense = {
           ...editingExpense,
           ...expenseData,
           id: editingExpense.id,
           type: "Expense",
-          receiptImages: formData.receiptImages, // Keep full file objects for display
         };
         onUpdateTransaction(editingExpense.id, processedExpense);
         toast.success(t("expenses.updateSuccessMessage"));
       } else {
-        // Create new expense - build payload without client-only fields
-        const payloadForAPI = {
-          ...expenseData
-          // receiptImages already sanitized in expenseData as base64 strings
-        };
-        
         // Call parent callback which handles API call and returns created expense
-        const createdExpense = await onAddTransaction(payloadForAPI);
-        
-        processedExpense = {
-          ...createdExpense,
-          receiptImages: formData.receiptImages, // Attach receiptImages for display
-        };
+        const createdExpense = await onAddTransaction(expenseData);
+        if (!createdExpense) {
+          toast.info(t("approvals.submitted"));
+          resetForm();
+          return;
+        }
         
+        processedExpense = createdExpense;
+
         toast.success(t("expenses.expenseSuccessMessage"));
       }
 
@@ -333,10 +393,9 @@ export default function Expenses({
     }
   };
 
-  const totalExpenses = (transactions ?? []).reduce(
-    (sum, expense) => sum + expense.amount,
-    0
-  );
+  const totalExpenses = (transactions ?? [])
+    .filter((expense) => expense.clearingStatus !== "Bounced")
+    .reduce((sum, expense) => sum + expense.amount, 0);
 
   const formatCurrency = (amount: number) => {
     return `${t("common.currency")}${amount.toLocaleString()}`;
@@ -351,241 +410,262 @@ export default function Expenses({
     });
   };
 
+  // Recording needs expense.create and editing expense.update
+  const canUseForm = hasPermission(currentUser, isEditMode ? "expense.update" : "expense.create");
+
   return (
     <div className="space-y-6">
-      <Card>
-        <CardHeader>
-          <CardTitle>
-            {isEditMode ? t("expenses.editExpense") : t("expenses.addExpense")}
-          </CardTitle>
-        </CardHeader>
-        <CardContent>
-          <form onSubmit={handleSubmit} className="space-y-4">
-            <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
-              {/* Date */}
-              <div>
-                <Label htmlFor="date">{t("donations.date")} *</Label>
-                <DatePicker
-                  date={formData.date || undefined}
-                  onDateChange={(date) => {
-                    setFormData({ ...formData, date: date || null });
-                    if (errors.date) {
-                      setErrors({ ...errors, date: undefined });
-                    }
-                  }}
-                />
-                {errors.date && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.date}
-                  </p>
-                )}
-              </div>
-
-              {/* Category */}
-              <div>
-                <Label htmlFor="category">{t("donations.category")} *</Label>
-                <Select
-                  value={formData.category}
-                  onValueChange={handleCategoryChange}
-                >
-                  <SelectTrigger
-                    className={errors.category ? "border-red-500" : ""}
-                  >
-                    <SelectValue placeholder={t("donations.selectCategory")} />
-                  </SelectTrigger>
-                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
-                    <SelectItem
-                      className="hover:font-bold hover:bg-gray-100"
-                      value="Utsav"
-                    >
-                      {t("expenses.utsav")}
-                    </SelectItem>
-                    <SelectItem
-                      className="hover:font-bold hover:bg-gray-100"
-                      value="Gala Kharch"
-                    >
-                      {t("expenses.galaKharch")}
-                    </SelectItem>
-                    <SelectItem
-                      className="hover:font-bold hover:bg-gray-100"
-                      value="Mandir Dekhbhal"
-                    >
-                      {t("expenses.mandirDekhbhal")}
-                    </SelectItem>
-                  </SelectContent>
-                </Select>
-                {errors.category && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.category}
-                  </p>
-                )}
-              </div>
-
-              {/* Sub-Category */}
-              {formData.category && (
+      {canUseForm && (
+        <Card>
+          <CardHeader>
+            <CardTitle>
+              {isEditMode ? t("expenses.editExpense") : t("expenses.addExpense")}
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+                {/* Date */}
                 <div>
-                  <Label htmlFor="subCategory">
-                    {t("donations.subCategory")} *
-                  </Label>
-                  <Select
-                    value={formData.subCategory}
-                    onValueChange={(value) => {
-                      setFormData({ ...formData, subCategory: value });
-                      if (errors.subCategory) {
-                        setErrors({ ...errors, subCategory: undefined });
+                  <Label htmlFor="date">{t("donations.date")} *</Label>
+                  <DatePicker
+                    date={formData.date || undefined}
+                    onDateChange={(date) => {
+                      setFormData({ ...formData, date: date || null });
+                      if (errors.date) {
+                        setErrors({ ...errors, date: undefined });
                       }
                     }}
+                  />
+                  {errors.date && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.date}
+                    </p>
+                  )}
+                </div>
+
+                {/* Category */}
+                <div>
+                  <Label htmlFor="category">{t("donations.category")} *</Label>
+                  <Select
+                    value={formData.category}
+                    onValueChange={handleCategoryChange}
                   >
                     <SelectTrigger
-                      className={errors.subCategory ? "border-red-500" : ""}
+                      className={errors.category ? "border-red-500" : ""}
                     >
-                      <SelectValue
-                        placeholder={t("donations.selectSubCategory")}
-                      />
+                      <SelectValue placeholder={t("donations.selectCategory")} />
                     </SelectTrigger>
                     <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
-                      {expenseCategorySubCategories[
-                        formData.category as keyof typeof expenseCategorySubCategories
-                      ]?.map((subCat) => (
-                        <SelectItem key={subCat} value={subCat}>
-                          {t(`expenses.${subCat}`)}
+                      {activeOnly(categories, formData.category).map((category) => (
+                        <SelectItem
+                          key={category.id}
+                          className="hover:font-bold hover:bg-gray-100"
+                          value={category.code}
+                        >
+                          {labelOf(category, language)}
                         </SelectItem>
                       ))}
                     </SelectContent>
                   </Select>
-                  {errors.subCategory && (
+                  {errors.category && (
                     <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
                       <AlertCircle className="h-4 w-4" />
-                      {errors.subCategory}
+                      {errors.category}
                     </p>
                   )}
                 </div>
-              )}
 
-              {/* Payee Name */}
-              <div>
-                <Label htmlFor="payeeName">{t("expenses.payeeName")} *</Label>
-                <Input
-                  id="payeeName"
-                  placeholder={t("expenses.enterPayeeName")}
-                  value={formData.payeeName}
-                  onChange={(e) => {
-                    setFormData({ ...formData, payeeName: e.target.value });
-                    if (errors.payeeName) {
-                      setErrors({ ...errors, payeeName: undefined });
+                {/* Sub-Category */}
+                {subCategoryOptions.length > 0 && (
+                  <div>
+                    <Label htmlFor="subCategory">
+                      {t("donations.subCategory")} *
+                    </Label>
+                    <Select
+                      value={formData.subCategory}
+                      onValueChange={(value) => {
+                        setFormData({ ...formData, subCategory: value });
+                        if (errors.subCategory) {
+                          setErrors({ ...errors, subCategory: undefined });
+                        }
+                      }}
+                    >
+                      <SelectTrigger
+                        className={errors.subCategory ? "border-red-500" : ""}
+                      >
+                        <SelectValue
+                          placeholder={t("donations.selectSubCategory")}
+                        />
+                      </SelectTrigger>
+                      <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                        {subCategoryOptions.map((subCategory) => (
+                          <SelectItem key={subCategory.id} value={subCategory.code}>
+                            {labelOf(subCategory, language)}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    {errors.subCategory && (
+                      <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                        <AlertCircle className="h-4 w-4" />
+                        {errors.subCategory}
+                      </p>
+                    )}
+                  </div>
+                )}
+
+                {/* Payee Name */}
+                <div>
+                  <Label htmlFor="payeeName">{t("expenses.payeeName")} *</Label>
+                  <Input
+                    id="payeeName"
+                    placeholder={t("expenses.enterPayeeName")}
+                    value={formData.payeeName}
+                    onChange={(e) => {
+                      setFormData({ ...formData, payeeName: e.target.value });
+                      if (errors.payeeName) {
+                        setErrors({ ...errors, payeeName: undefined });
+                      }
+                    }}
+                    className={errors.payeeName ? "border-red-500" : ""}
+                  />
+                  {errors.payeeName && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.payeeName}
+                    </p>
+                  )}
+                </div>
+
+                {/* Payee Contact */}
+                <div>
+                  <Label htmlFor="payeeContact">
+                    {t("expenses.payeeContact")}
+                  </Label>
+                  <Input
+                    id="payeeContact"
+                    placeholder={t("expenses.enterPayeeContact")}
+                    value={formData.payeeContact}
+                    onChange={handlePayeeContactChange}
+                    className={errors.payeeContact ? "border-red-500" : ""}
+                  />
+                  {errors.payeeContact && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.payeeContact}
+                    </p>
+                  )}
+                </div>
+
+                {/* Amount */}
+                <div>
+                  <Label htmlFor="amount">
+                    {t("common.amount")} ({t("common.currency")}) *
+                  </Label>
+                  <Input
+                    id="amount"
+                    type="text"
+                    placeholder={t("donations.enterAmount")}
+                    value={formData.amount}
+                    onChange={handleAmountChange}
+                    className={errors.amount ? "border-red-500" : ""}
+                  />
+                  {errors.amount && (
+                    <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+                      <AlertCircle className="h-4 w-4" />
+                      {errors.amount}
+                    </p>
+                  )}
+                </div>
+
+                <PaymentModeFields
+                  value={payment}
+                  onChange={(value) => {
+                    setPayment(value);
+                    if (errors.paymentReference || errors.chequeDate) {
+                      setErrors({ ...errors, paymentReference: undefined, chequeDate: undefined });
                     }
                   }}
-                  className={errors.payeeName ? "border-red-500" : ""}
+                  errors={errors}
+                  idPrefix="expensePayment"
                 />
-                {errors.payeeName && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.payeeName}
-                  </p>
-                )}
               </div>
 
-              {/* Payee Contact */}
+              {/* Details */}
               <div>
-                <Label htmlFor="payeeContact">
-                  {t("expenses.payeeContact")}
-                </Label>
-                <Input
-                  id="payeeContact"
-                  placeholder={t("expenses.enterPayeeContact")}
-                  value={formData.payeeContact}
-                  onChange={handlePayeeContactChange}
-                  className={errors.payeeContact ? "border-red-500" : ""}
+                <Label htmlFor="details">{t("expenses.details")} *</Label>
+                <Textarea
+                  id="details"
+                  placeholder={t("expenses.enterDetails")}
+                  value={formData.details}
+                  onChange={(e) => {
+                    setFormData({ ...formData, details: e.target.value });
+                    if (errors.details) {
+                      setErrors({ ...errors, details: undefined });
+                    }
+                  }}
+                  className={errors.details ? "border-red-500" : ""}
                 />
-                {errors.payeeContact && (
+                {errors.details && (
                   <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
                     <AlertCircle className="h-4 w-4" />
-                    {errors.payeeContact}
+                    {errors.details}
                   </p>
                 )}
               </div>
 
-              {/* Amount */}
+              {/* Files already on the expense being edited */}
+              {isEditMode && editingExpense && (
+                <div className="space-y-2">
+                  <Label>{t("attachments.title")}</Label>
+                  <Attachments
+                    entityType="transaction"
+                    entityId={editingExpense.id}
+                    canManage
+                    onChange={(attachments) => setSavedAttachmentCount(attachments.length)}
+                  />
+                </div>
+              )}
+
+              {/* Bills and cheque photos, uploaded when the expense is saved */}
               <div>
-                <Label htmlFor="amount">
-                  {t("common.amount")} ({t("common.currency")}) *
-                </Label>
-                <Input
-                  id="amount"
-                  type="text"
-                  placeholder={t("donations.enterAmount")}
-                  value={formData.amount}
-                  onChange={handleAmountChange}
-                  className={errors.amount ? "border-red-500" : ""}
+                <FileUpload
+                  label={t("documents.uploadReceiptImage")}
+                  required={attachmentRequired}
+                  accept="image/*,application/pdf"
+                  maxSize={300}
+                  maxFiles={3}
+                  value={formData.receiptImages}
+                  onChange={(files) => {
+                    setFormData({ ...formData, receiptImages: files });
+                    if (errors.receiptImages) {
+                      setErrors({ ...errors, receiptImages: undefined });
+                    }
+                  }}
+                  placeholder={t("documents.dragAndDrop")}
+                  compressImages={true}
+                  quality={0.8}
+                  cameraLabel={t("attachments.scan")}
+                  error={errors.receiptImages}
                 />
-                {errors.amount && (
-                  <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                    <AlertCircle className="h-4 w-4" />
-                    {errors.amount}
-                  </p>
-                )}
               </div>
-            </div>
 
-            {/* Details */}
-            <div>
-              <Label htmlFor="details">{t("expenses.details")} *</Label>
-              <Textarea
-                id="details"
-                placeholder={t("expenses.enterDetails")}
-                value={formData.details}
-                onChange={(e) => {
-                  setFormData({ ...formData, details: e.target.value });
-                  if (errors.details) {
-                    setErrors({ ...errors, details: undefined });
-                  }
-                }}
-                className={errors.details ? "border-red-500" : ""}
-              />
-              {errors.details && (
-                <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
-                  <AlertCircle className="h-4 w-4" />
-                  {errors.details}
-                </p>
-              )}
-            </div>
-
-            {/* Receipt Images Upload */}
-            <div>
-              <FileUpload
-                label={t("documents.uploadReceiptImage")}
-                accept="image/*,application/pdf"
-                maxSize={300}
-                maxFiles={3}
-                value={formData.receiptImages}
-                onChange={(files) => {
-                  setFormData({ ...formData, receiptImages: files });
-                  if (errors.receiptImages) {
-                    setErrors({ ...errors, receiptImages: undefined });
-                  }
-                }}
-                placeholder={t("documents.dragAndDrop")}
-                compressImages={true}
-                quality={0.8}
-                error={errors.receiptImages}
-              />
-            </div>
-
-            <div className="flex gap-2">
-              <Button type="submit" className="flex-1">
-                {isEditMode ? t("common.update") : t("expenses.submit")}
-              </Button>
-              {isEditMode && (
-                <Button type="button" variant="outline" onClick={resetForm}>
-                  {t("common.cancel")}
+              <div className="flex gap-2">
+                <Button type="submit" className="flex-1">
+                  {isEditMode ? t("common.update") : t("expenses.submit")}
                 </Button>
-              )}
-            </div>
-          </form>
-        </CardContent>
-      </Card>
+                {isEditMode && (
+                  <Button type="button" variant="outline" onClick={resetForm}>
+                    {t("common.cancel")}
+                  </Button>
+                )}
+              </div>
+            </form>
+          </CardContent>
+        </Card>
+      )}
 
       {/* Success Dialog */}
       <Dialog open={showSuccessDialog} onOpenChange={setShowSuccessDialog}>
@@ -623,12 +703,7 @@ export default function Expenses({
                     {t("donations.category")}:
                   </span>
                   <span className="font-medium">
-                    {lastAddedExpense.category === "Utsav" &&
-                      t("expenses.utsav")}
-                    {lastAddedExpense.category === "Gala Kharch" &&
-                      t("expenses.galaKharch")}
-                    {lastAddedExpense.category === "Mandir Dekhbhal" &&
-                      t("expenses.mandirDekhbhal")}
+                    {categoryLabel(categories, language, "Expense", lastAddedExpense.category)}
                   </span>
                 </div>
                 {lastAddedExpense.subCategory && (
@@ -637,7 +712,13 @@ export default function Expenses({
                       {t("donations.subCategory")}:
                     </span>
                     <span className="font-medium">
-                      {t(`expenses.${lastAddedExpense.subCategory}`)}
+                      {subCategoryLabel(
+                        categories,
+                        language,
+                        "Expense",
+                        lastAddedExpense.category,
+                        lastAddedExpense.subCategory
+                      )}
                     </span>
                   </div>
                 )}
@@ -0,0 +1,338 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { Badge } from "./ui/badge";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Alert, AlertDescription } from "./ui/alert";
+import { AlertCircle, CalendarRange, Lock, LockOpen } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import { hasPermission } from "../src/utils/permissions";
+import type { FinancialYear, FinancialYearDetail } from "../src/types";
+
+interface FinancialYearsProps {
+  currentUser: any;
+}
+
+const todayString = () => new Date().toISOString().split("T")[0];
+
+export default function FinancialYears({ currentUser }: FinancialYearsProps) {
+  const { t } = useLanguage();
+  const [years, setYears] = useState<FinancialYear[]>([]);
+  const [selectedYear, setSelectedYear] = useState<string | null>(null);
+  const [detail, setDetail] = useState<FinancialYearDetail | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Close or reopen dialog; reopening requires a reason
+  const [action, setAction] = useState<"close" | "reopen" | null>(null);
+  const [actionText, setActionText] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const canClose = hasPermission(currentUser, "financialYear.close");
+
+  const loadYears = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    apiClient
+      .getFinancialYears()
+      .then((loaded) => {
+        const list = loaded ?? [];
+        setYears(list);
+        if (list.length > 0) {
+          // Start on the most recent year that has ended
+          const ended = list.find((y) => y.endDate < todayString());
+          setSelectedYear((current) => current ?? (ended ?? list[0]).year);
+        }
+      })
+      .catch((err: any) => setError(err.message || t("financialYears.loadError")))
+      .finally(() => setLoading(false));
+  }, [t]);
+
+  useEffect(() => {
+    loadYears();
+  }, [loadYears]);
+
+  useEffect(() => {
+    if (!selectedYear) return;
+    apiClient
+      .getFinancialYear(selectedYear)
+      .then((yearDetail) => setDetail(yearDetail ?? null))
+      .catch((err: any) => setError(err.message || t("financialYears.loadError")));
+  }, [selectedYear, t]);
+
+  const openAction = (kind: "close" | "reopen") => {
+    setAction(kind);
+    setActionText("");
+  };
+
+  const handleConfirm = async () => {
+    if (!action || !selectedYear) return;
+    if (action === "reopen" && !actionText.trim()) {
+      toast.error(t("financialYears.reasonRequired"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      const yearDetail =
+        action === "close"
+          ? await apiClient.closeFinancialYear(selectedYear, actionText.trim() || undefined)
+          : await apiClient.reopenFinancialYear(selectedYear, actionText.trim());
+      setDetail(yearDetail ?? null);
+      toast.success(
+        action === "close"
+          ? t("financialYears.closeSuccess")
+          : t("financialYears.reopenSuccess")
+      );
+      setAction(null);
+      loadYears();
+    } catch (err: any) {
+      toast.error(err.message || t("financialYears.actionError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatAmount = (amount: number) =>
+    `${t("common.currency")}${amount.toLocaleString("en-IN")}`;
+
+  const statusBadge = (status: string) => (
+    <Badge
+      className={
+        status === "Closed"
+          ? "bg-gray-200 text-gray-800"
+          : "bg-green-100 text-green-800"
+      }
+    >
+      {status === "Closed" ? t("financialYears.closed") : t("financialYears.open")}
+    </Badge>
+  );
+
+  const hasEnded = detail ? detail.endDate < todayString() : false;
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <CalendarRange className="h-5 w-5" />
+            {t("financialYears.title")}
+          </CardTitle>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <p className="text-sm text-gray-600">{t("financialYears.help")}</p>
+
+          {error && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-gray-500">{t("common.loading")}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("financialYears.year")}</TableHead>
+                  <TableHead>{t("financialYears.period")}</TableHead>
+                  <TableHead>{t("financialYears.status")}</TableHead>
+                  <TableHead className="text-right">{t("financialYears.surplus")}</TableHead>
+                  <TableHead>{t("financialYears.closedAt")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {years.map((y) => (
+                  <TableRow
+                    key={y.year}
+                    onClick={() => setSelectedYear(y.year)}
+                    className={`cursor-pointer ${y.year === selectedYear ? "bg-orange-50" : ""}`}
+                  >
+                    <TableCell className="font-medium">{y.year}</TableCell>
+                    <TableCell>
+                      {y.startDate} – {y.endDate}
+                    </TableCell>
+                    <TableCell>{statusBadge(y.status)}</TableCell>
+                    <TableCell className="text-right">
+                      {y.surplus === null ? "-" : formatAmount(y.surplus)}
+                    </TableCell>
+                    <TableCell>
+                      {y.closedAt ? new Date(y.closedAt).toLocaleDateString("en-IN") : "-"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      {detail && (
+        <Card>
+          <CardHeader className="flex flex-row items-center justify-between">
+            <CardTitle className="flex items-center gap-2">
+              {t("financialYears.year")} {detail.year} {statusBadge(detail.status)}
+            </CardTitle>
+            {canClose && (
+              <div className="flex gap-2">
+                {detail.status === "Open" && hasEnded && (
+                  <Button onClick={() => openAction("close")}>
+                    <Lock className="h-4 w-4" />
+                    {t("financialYears.close")}
+                  </Button>
+                )}
+                {detail.status === "Closed" && (
+                  <Button variant="outline" onClick={() => openAction("reopen")}>
+                    <LockOpen className="h-4 w-4" />
+                    {t("financialYears.reopen")}
+                  </Button>
+                )}
+              </div>
+            )}
+          </CardHeader>
+          <CardContent className="space-y-6">
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
+              <div className="p-3 rounded bg-green-50">
+                <div className="text-sm text-gray-600">{t("financialYears.income")}</div>
+                <div className="text-lg font-semibold">{formatAmount(detail.income)}</div>
+              </div>
+              <div className="p-3 rounded bg-red-50">
+                <div className="text-sm text-gray-600">{t("financialYears.expenses")}</div>
+                <div className="text-lg font-semibold">{formatAmount(detail.expenses)}</div>
+              </div>
+              <div className="p-3 rounded bg-blue-50">
+                <div className="text-sm text-gray-600">{t("financialYears.surplus")}</div>
+                <div className="text-lg font-semibold">{formatAmount(detail.surplus)}</div>
+              </div>
+            </div>
+
+            <div>
+              <h3 className="font-semibold mb-2">{t("financialYears.openingBalances")}</h3>
+              {detail.openingBalances.length === 0 ? (
+                <p className="text-sm text-gray-500">{t("financialYears.noOpeningBalances")}</p>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>{t("financialYears.account")}</TableHead>
+                      <TableHead className="text-right">{t("financialYears.debit")}</TableHead>
+                      <TableHead className="text-right">{t("financialYears.credit")}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {detail.openingBalances.map((b) => (
+                      <TableRow key={b.id}>
+                        <TableCell>
+                          {b.accountCode} · {b.accountName}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {b.debit ? formatAmount(b.debit) : "-"}
+                        </TableCell>
+                        <TableCell className="text-right">
+                          {b.credit ? formatAmount(b.credit) : "-"}
+                        </TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </div>
+
+            <div>
+              <h3 className="font-semibold mb-2">{t("financialYears.history")}</h3>
+              {detail.events.length === 0 ? (
+                <p className="text-sm text-gray-500">{t("financialYears.noHistory")}</p>
+              ) : (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>{t("common.date")}</TableHead>
+                      <TableHead>{t("financialYears.action")}</TableHead>
+                      <TableHead>{t("financialYears.by")}</TableHead>
+                      <TableHead>{t("financialYears.reason")}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {detail.events.map((event) => (
+                      <TableRow key={event.id}>
+                        <TableCell>{new Date(event.createdAt).toLocaleString("en-IN")}</TableCell>
+                        <TableCell>
+                          {event.action === "Close"
+                            ? t("financialYears.closedAction")
+                            : t("financialYears.reopenedAction")}
+                        </TableCell>
+                        <TableCell>{event.username || "-"}</TableCell>
+                        <TableCell>{event.reason || "-"}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={!!action} onOpenChange={(open) => !open && setAction(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {action === "reopen" ? t("financialYears.reopen") : t("financialYears.close")}{" "}
+              {selectedYear}
+            </DialogTitle>
+            <DialogDescription>
+              {action === "reopen"
+                ? t("financialYears.reopenWarning")
+                : t("financialYears.closeWarning")}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div>
+            <Label htmlFor="financialYearActionText">
+              {action === "reopen" ? t("financialYears.reason") : t("financialYears.notes")}
+            </Label>
+            <Input
+              id="financialYearActionText"
+              maxLength={500}
+              value={actionText}
+              onChange={(e) => setActionText(e.target.value)}
+            />
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setAction(null)}>
+              {t("common.cancel")}
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              disabled={saving || (action === "reopen" && !actionText.trim())}
+              variant={action === "reopen" ? "destructive" : "default"}
+            >
+              {t("common.submit")}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,104 @@
+import { useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Alert, AlertDescription } from "./ui/alert";
+import { ArrowLeft, KeyRound, Mail } from "lucide-react";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+
+interface ForgotPasswordProps {
+  onBack: () => void;
+}
+
+export default function ForgotPassword({ onBack }: ForgotPasswordProps) {
+  const { t } = useLanguage();
+  const [email, setEmail] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!email) return;
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await apiClient.forgotPassword(email);
+      setSent(true);
+    } catch (err: any) {
+      setError(err.message || t("passwordReset.requestError"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md bg-white/90 backdrop-blur-sm shadow-2xl border-0 login">
+      <CardHeader className="text-center pb-2">
+        <div className="mx-auto mb-4 w-16 h-16 bg-orange-500 rounded-full flex items-center justify-center">
+          <KeyRound className="h-8 w-8 text-white" />
+        </div>
+        <CardTitle className="text-2xl text-orange-600">
+          {t("passwordReset.forgotTitle")}
+        </CardTitle>
+        <p className="text-sm text-gray-600 mt-2">{t("passwordReset.forgotHelp")}</p>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <Alert className="mb-4 border-red-200 bg-red-50">
+            <AlertDescription className="text-red-600">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {sent ? (
+          <Alert className="mb-4 border-green-200 bg-green-50">
+            <AlertDescription className="text-green-700">
+              {t("passwordReset.linkSent")}
+            </AlertDescription>
+          </Alert>
+        ) : (
+          <form onSubmit={handleSubmit} className="space-y-4">
+            <div>
+              <Label className="mb-1" htmlFor="forgotEmail">
+                {t("Email")}
+              </Label>
+              <div className="relative">
+                <Mail className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                <Input
+                  id="forgotEmail"
+                  type="email"
+                  placeholder={t("Enter Email")}
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="pl-10"
+                  required
+                />
+              </div>
+            </div>
+
+            <Button
+              type="submit"
+              className="w-full bg-orange-500 hover:bg-orange-600"
+              disabled={submitting}
+            >
+              {submitting ? t("passwordReset.sending") : t("passwordReset.sendLink")}
+            </Button>
+          </form>
+        )}
+
+        <button
+          type="button"
+          onClick={onBack}
+          className="mt-4 w-full flex items-center justify-center gap-1 text-sm text-orange-600 hover:underline"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          {t("passwordReset.backToSignIn")}
+        </button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -8,17 +8,19 @@ import {
   DropdownMenuSeparator,
   DropdownMenuTrigger,
 } from "./ui/dropdown-menu";
-import { User as UserIcon, LogOut, Settings, UserCog } from "lucide-react";
+import { User as UserIcon, LogOut, Settings, UserCog, ShieldCheck, Tags, History, Trash2 } from "lucide-react";
 import { useNavigate, useLocation } from "react-router-dom";
 import LanguageSwitcher from "./LanguageSwitcher";
 import { useLanguage } from "./LanguageContext";
+import { hasPermission } from "../src/utils/permissions";
 
 interface User {
   id: string;
   username: string;
   email: string;
-  role: "Admin" | "Treasurer" | "Viewer";
+  role: string;
   status: "Active" | "Inactive";
+  permissions?: string[];
 }
 
 interface HeaderProps {
@@ -55,17 +57,24 @@ export default function Header({
     console.log("effectiveUser", effectiveUser);
   }, [effectiveUser]);
 
-  const getAvailableTabs = () => [
-    { key: "dashboard", label: t("nav.dashboard"), path: "/admin/dashboard" },
-    { key: "donations", label: t("nav.donations"), path: "/admin/donations" },
-    { key: "expenses", label: t("nav.expenses"), path: "/admin/expenses" },
-    { key: "rent", label: t("nav.rentManagement"), path: "/admin/rent" },
-    { key: "reports", label: t("nav.reports"), path: "/admin/reports" },
-    { key: "users", label: t("nav.users"), path: "/admin/users" },
-  ];
+  // Tabs without a permission are open to every signed-in user
+  const getAvailableTabs = () =>
+    [
+      { key: "dashboard", label: t("nav.dashboard"), path: "/admin/dashboard" },
+      { key: "donations", label: t("nav.donations"), path: "/admin/donations", permission: "donation.view" },
+      { key: "donors", label: t("nav.donors"), path: "/admin/donors", permission: "donor.view" },
+      { key: "expenses", label: t("nav.expenses"), path: "/admin/expenses", permission: "expense.view" },
+      { key: "rent", label: t("nav.rentManagement"), path: "/admin/rent", permission: "rent.view" },
+      { key: "cheques", label: t("nav.cheques"), path: "/admin/cheques", permission: "cheque.view" },
+      { key: "bankReconciliation", label: t("nav.bankReconciliation"), path: "/admin/bank-reconciliation", permission: "bank.view" },
+      { key: "financialYears", label: t("nav.financialYears"), path: "/admin/financial-years", permission: "financialYear.view" },
+      { key: "reports", label: t("nav.reports"), path: "/admin/reports", permission: "report.view" },
+      { key: "users", label: t("nav.users"), path: "/admin/users", permission: "user.view" },
+    ].filter((tab) => !tab.permission || hasPermission(effectiveUser, tab.permission));
 
+  // A tab stays active on its sub-pages, e.g. a donor's profile under Donors
   const isActiveTab = (path: string) => {
-    return location.pathname === path;
+    return location.pathname === path || location.pathname.startsWith(`${path}/`);
   };
 
   const getRoleColor = (role: string) => {
@@ -95,7 +104,7 @@ export default function Header({
   };
 
   const username = effectiveUser?.username ?? "";
-  const role = (effectiveUser?.role ?? "Viewer") as User["role"];
+  const role = effectiveUser?.role ?? "Viewer";
   const email = effectiveUser?.email ?? "";
 
   return (
@@ -163,16 +172,40 @@ export default function Header({
                   <div>{email}</div>
                 </div>
                 <DropdownMenuSeparator />
-                <DropdownMenuItem>
+                <DropdownMenuItem onClick={() => navigate("/admin/account")}>
                   <Settings className="h-4 w-4 mr-2" />
                   {t("user.settings")}
                 </DropdownMenuItem>
-                {role === "Admin" && (
+                {hasPermission(effectiveUser, "user.manage") && (
                   <DropdownMenuItem onClick={() => navigate("/admin/users")}>
                     <UserCog className="h-4 w-4 mr-2" />
                     {t("user.userManagement")}
                   </DropdownMenuItem>
                 )}
+                {hasPermission(effectiveUser, "role.manage") && (
+                  <DropdownMenuItem onClick={() => navigate("/admin/roles")}>
+                    <ShieldCheck className="h-4 w-4 mr-2" />
+                    {t("user.roles")}
+                  </DropdownMenuItem>
+                )}
+                {hasPermission(effectiveUser, "category.manage") && (
+                  <DropdownMenuItem onClick={() => navigate("/admin/categories")}>
+                    <Tags className="h-4 w-4 mr-2" />
+                    {t("user.categories")}
+                  </DropdownMenuItem>
+                )}
+                {hasPermission(effectiveUser, "audit.view") && (
+                  <DropdownMenuItem onClick={() => navigate("/admin/audit")}>
+                    <History className="h-4 w-4 mr-2" />
+                    {t("user.auditLog")}
+                  </DropdownMenuItem>
+                )}
+                {hasPermission(effectiveUser, "trash.restore") && (
+                  <DropdownMenuItem onClick={() => navigate("/admin/trash")}>
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    {t("user.trash")}
+                  </DropdownMenuItem>
+                )}
                 <DropdownMenuSeparator />
                 <DropdownMenuItem onClick={onLogout} className="text-red-600">
                   <LogOut className="h-4 w-4 mr-2" />
@@ -3,6 +3,7 @@ import {
   useContext,
   useState,
   useEffect,
+  useCallback,
   ReactNode,
 } from "react";
 
@@ -32,8 +33,16 @@ const translations = {
     "nav.reports": "Reports",
     "nav.users": "Users",
     "nav.rentManagement": "Rent Management",
+    "nav.cheques": "Cheques",
+    "nav.bankReconciliation": "Bank Reconciliation",
+    "nav.financialYears": "Financial Years",
+    "nav.donors": "Donors",
     "user.settings": "Settings",
     "user.userManagement": "User Management",
+    "user.roles": "Roles & Permissions",
+    "user.categories": "Categories",
+    "user.auditLog": "Audit Trail",
+    "user.trash": "Trash",
     "user.logout": "Logout",
     "user.signedInAs": "Signed in as",
 
@@ -48,6 +57,77 @@ const translations = {
     "login.demoCredentials": "Demo Credentials:",
     "login.invalidCredentials":
       "Invalid username or password, or account is inactive",
+    "login.forgotPassword": "Forgot password?",
+
+    // Password reset
+    "passwordReset.forgotTitle": "Forgot Password",
+    "passwordReset.forgotHelp": "Enter your account email and we will send you a link to reset your password.",
+    "passwordReset.sendLink": "Send Reset Link",
+    "passwordReset.sending": "Sending...",
+    "passwordReset.linkSent": "If an account exists for that email, a password reset link has been sent. Check your inbox.",
+    "passwordReset.requestError": "Could not send the reset link. Please try again.",
+    "passwordReset.backToSignIn": "Back to sign in",
+    "passwordReset.resetTitle": "Choose a New Password",
+    "passwordReset.newPassword": "New Password",
+    "passwordReset.confirmPassword": "Confirm New Password",
+    "passwordReset.passwordRule": "At least 8 characters, with an uppercase letter, a lowercase letter and a number",
+    "passwordReset.passwordMismatch": "Passwords do not match",
+    "passwordReset.setPassword": "Set Password",
+    "passwordReset.saving": "Saving...",
+    "passwordReset.resetSuccess": "Your password has been reset. Sign in with your new password.",
+    "passwordReset.resetError": "Could not reset the password. The link may have expired.",
+    "passwordReset.missingToken": "This reset link is incomplete. Please request a new one.",
+
+    // Email verification
+    "verifyEmail.title": "Verify Email",
+    "verifyEmail.verifying": "Verifying your email...",
+    "verifyEmail.success": "Your email address has been verified.",
+    "verifyEmail.error": "This verification link is invalid or has expired.",
+    "verifyEmail.missingToken": "This verification link is incomplete.",
+    "verifyEmail.resend": "Send a new verification link",
+    "verifyEmail.resent": "Verification email sent",
+    "verifyEmail.resendError": "Could not send the verification email",
+    "verifyEmail.continue": "Continue",
+
+    // Two-factor authentication
+    "twoFactor.title": "Two-factor authentication",
+    "twoFactor.description": "Sign-in asks for a code from an authenticator app on your phone as well as your password.",
+    "twoFactor.requiredForRole": "Two-factor authentication is required for your role.",
+    "twoFactor.on": "On",
+    "twoFactor.off": "Off",
+    "twoFactor.setUp": "Set up",
+    "twoFactor.setupTitle": "Set Up Two-Factor Authentication",
+    "twoFactor.setupRequired": "Your role requires two-factor authentication. Scan the QR code with an authenticator app, then enter the code it shows.",
+    "twoFactor.setupError": "Could not start two-factor setup",
+    "twoFactor.scan": "Scan this QR code with an authenticator app, then enter the 6-digit code it shows.",
+    "twoFactor.qrAlt": "QR code for your authenticator app",
+    "twoFactor.manualEntry": "Or enter this key by hand:",
+    "twoFactor.verifyTitle": "Two-Factor Verification",
+    "twoFactor.verifyHelp": "Enter the 6-digit code from your authenticator app.",
+    "twoFactor.code": "Authentication code",
+    "twoFactor.recoveryCode": "Recovery code",
+    "twoFactor.useRecoveryCode": "Use a recovery code instead",
+    "twoFactor.useAuthenticator": "Use the authenticator app instead",
+    "twoFactor.verify": "Verify",
+    "twoFactor.verifying": "Verifying...",
+    "twoFactor.verifyError": "Invalid verification code",
+    "twoFactor.enable": "Turn on",
+    "twoFactor.enabled": "Two-factor authentication turned on",
+    "twoFactor.turnOff": "Turn off two-factor authentication",
+    "twoFactor.disabled": "Two-factor authentication turned off",
+    "twoFactor.newCodes": "New recovery codes",
+    "twoFactor.codesRemaining": "Unused recovery codes",
+    "twoFactor.saveCodes": "Save these recovery codes somewhere safe. Each one signs you in once if you lose your phone. They will not be shown again.",
+    "twoFactor.copyCodes": "Copy",
+    "twoFactor.downloadCodes": "Download",
+    "twoFactor.codesCopied": "Recovery codes copied",
+    "twoFactor.copyError": "Could not copy the codes",
+    "twoFactor.confirmPassword": "Enter your password to continue.",
+    "twoFactor.confirm": "Confirm",
+    "twoFactor.done": "Done",
+    "twoFactor.continue": "Continue",
+    "twoFactor.statusError": "Could not load two-factor settings",
+    "twoFactor.actionError": "The change could not be saved",
 
     // Authentication
     "auth.loading": "Loading...",
@@ -83,36 +163,6 @@ const translations = {
     "donations.galaBhade2": "Gala Bhade-2",
     "donations.galakharch": "Shop Expenses",
     "donations.governmentFundingGala": "Government Funding for Gala",
-    // Main donation categories
-    "donations.vargani": "Vargani (Festival Collection)",
-    "donations.dengi": "Dengi (Donation)",
-    "donations.shaskiyNighi": "Shaskiy Nidhi (Government Fund)",
-
-    // Vargani sub-categories
-    "donations.shivJayanti": "Shiv Jayanti",
-    "donations.ganeshUtsav": "Ganesh Utsav",
-    "donations.yatra": "Yatra",
-    "donations.navratri": "Navratri",
-    "donations.bailPola": "Bail Pola",
-    "donations.ashadhiEkadashi": "Ashadhi Ekadashi",
-    "donations.diwali": "Diwali",
-    "donations.dasra": "Dasra",
-    "donations.mahaShivratri": "Maha Shivratri",
-    "donations.shreekrishnaJanmashtami": "ShreeKrushna Janmashtami",
-
-    // Dengi sub-categories
-    "donations.yatraUtsav": "Yatra Utsav",
-    "donations.bandkam": "Bandkam (Construction)",
-    "donations.itar": "Itar (Other)",
-
-    // Government fund sub-categories
-    "donations.kendraShashan": "Kendra Shashan (Central Government)",
-    "donations.rajyaShashan": "Rajya Shashan (State Government)",
-    "donations.mantriNidhi": "Mantri Nidhi (Minister Funding)",
-    "donations.aamdarNidhi": "Aamdar Nidhi (MLA Funding)",
-    "donations.khajdarNidhi": "Khajdar Nidhi (MP Funding)",
-    "donations.grampanchayat": "Grampanchayat",
-    "donations.panchayatSamiti": "Panchayat Samiti",
 
     // Form fields
     "donations.receiptNumber": "Receipt Number",
@@ -171,42 +221,6 @@ const translations = {
       "Amount is automatically set based on agreement and sub-category",
     "rent.amountEditable": "Amount can be edited for Rent-2 payments",
 
-    // Expense management categories
-    "expenses.utsav": "Festivals",
-    "expenses.galaKharch": "Shop Expenses",
-    "expenses.mandirDekhbhal": "Temple Maintenance",
-
-    // Festival sub-categories
-    "expenses.parayan": "Parayan",
-    "expenses.dindi": "Dindi",
-    "expenses.shivjayanti": "Shiv Jayanti",
-    "expenses.ganeshUtsav": "Ganesh Utsav",
-    "expenses.yatra": "Yatra",
-    "expenses.navratra": "Navratra",
-    "expenses.bailPola": "Bail Pola",
-    "expenses.ashadhiEkadashi": "Ashadhi Ekadashi",
-    "expenses.diwali": "Diwali",
-    "expenses.dasra": "Dasra",
-    "expenses.mahashivratri": "Maha Shivratri",
-    "expenses.shreeKrushnaJanmashtami": "Krishna Janmashtami",
-    "expenses.ramNavami": "Ram Navami",
-
-    // Shop expenses sub-categories
-    "expenses.bandhkam": "Construction",
-    "expenses.putalaKharch": "Statue Maintenance",
-    "expenses.karmchariPagar": "Employee Salary",
-    "expenses.karmchariKharch": "Employee Expenses",
-    "expenses.safayi": "Cleaning",
-    "expenses.bijliBill": "Electricity",
-    "expenses.paani": "Water",
-    "expenses.itar": "Other",
-
-    // Temple maintenance sub-categories
-    "expenses.pooja": "Pooja",
-    "expenses.soundLightMaintenance": "Sound/Light System/CCTV/Electronic",
-    "expenses.flowerDecoration": "Flower Decoration",
-    "expenses.securityServices": "Security Services",
-
     // Expense form fields
     "expenses.payeeName": "Payee Name",
     "expenses.enterPayeeName": "Enter payee name",
@@ -294,6 +308,7 @@ const translations = {
     // Reports
     "reports.title": "Financial Reports",
     "reports.overview": "Financial Overview",
+    "reports.budget": "Budget",
     "reports.monthlyTrend": "Monthly Trend",
     "reports.categoryBreakdown": "Category Breakdown",
     "reports.totalTransactions": "Total Transactions",
@@ -370,6 +385,10 @@ const translations = {
     "reports.allTypes": "All Types",
     "reports.allCategories": "All Categories",
     "reports.allSubCategories": "All Sub-Categories",
+    "reports.filterByPaymentMode": "Filter by Payment Mode",
+    "reports.allPaymentModes": "All Payment Modes",
+    "reports.filterByClearingStatus": "Filter by Clearing Status",
+    "reports.allClearingStatuses": "All Statuses",
     "reports.allMonths": "All Months",
     "reports.viewMode": "View Mode",
     "reports.tableView": "Table View",
@@ -416,6 +435,19 @@ const translations = {
     "loans.calculateEmi": "Calculate EMI",
     "loans.loanAgreement": "Loan Agreement",
     "loans.uploadLoanAgreement": "Upload Loan Agreement",
+    "loans.viewSchedule": "View Schedule",
+    "loans.schedule": "Repayment Schedule",
+    "loans.scheduleError": "Failed to load repayment schedule",
+    "loans.dueDate": "Due Date",
+    "loans.principal": "Principal",
+    "loans.interest": "Interest",
+    "loans.closingBalance": "Closing Balance",
+    "loans.amountPaid": "Amount Paid",
+    "loans.installmentPending": "Pending",
+    "loans.installmentPartial": "Partly Paid",
+    "loans.installmentPaid": "Paid",
+    "loans.installmentOverdue": "Overdue",
+    "loans.nextInstallment": "Next installment",
 
     // Penalty Management
     "penalties.title": "Penalty Management",
@@ -512,6 +544,175 @@ const translations = {
       "Cannot delete tenant with active agreements",
     "tenant.editTenant": "Edit Tenant",
     "tenant.deleteTenant": "Delete Tenant",
+    "tenant.statement": "Statement",
+
+    // Tenant Ledger
+    "ledger.title": "Statement of Account",
+    "ledger.fromDate": "From Date",
+    "ledger.toDate": "To Date",
+    "ledger.show": "Show",
+    "ledger.exportPdf": "Export PDF",
+    "ledger.exportSuccess": "Statement exported successfully",
+    "ledger.loadError": "Failed to load tenant statement",
+    "ledger.particulars": "Particulars",
+    "ledger.shop": "Shop",
+    "ledger.debit": "Debit",
+    "ledger.credit": "Credit",
+    "ledger.balance": "Balance",
+    "ledger.openingBalance": "Opening Balance",
+    "ledger.closingBalance": "Closing Balance",
+    "ledger.uncleared": "cheque not yet cleared",
+    "ledger.unclearedTotal": "Cheques awaiting clearance (not in the balance)",
+    "ledger.type.RentDue": "Rent due",
+    "ledger.type.LoanDisbursement": "Loan disbursed",
+    "ledger.type.Penalty": "Late fee",
+    "ledger.type.RentPayment": "Rent received",
+    "ledger.type.EmiRepayment": "EMI received",
+    "ledger.type.PenaltyPayment": "Late fee received",
+    "ledger.type.Payment": "Payment received",
+    "ledger.type.ChequeBounced": "Cheque bounced",
+    "payment.mode": "Payment Mode",
+    "payment.cash": "Cash",
+    "payment.upi": "UPI",
+    "payment.cheque": "Cheque",
+    "payment.bankTransfer": "Bank Transfer",
+    "payment.chequeNumber": "Cheque Number",
+    "payment.upiReference": "UPI Reference",
+    "payment.bankReference": "Bank Reference",
+    "payment.chequeDate": "Cheque Date",
+    "payment.chequeNumberRequired": "Cheque number is required",
+    "payment.referenceRequired": "Reference number is required",
+    "payment.chequeDateRequired": "Cheque date is required",
+    "payment.clearingStatus": "Clearing Status",
+    "payment.cleared": "Cleared",
+    "payment.pending": "Pending",
+    "payment.bounced": "Bounced",
+
+    // Cheque clearance
+    "cheques.title": "Cheques",
+    "cheques.pendingSummary": "Awaiting clearance",
+    "cheques.none": "No cheques found",
+    "cheques.from": "Received From / Paid To",
+    "cheques.markCleared": "Mark Cleared",
+    "cheques.markBounced": "Mark Bounced",
+    "cheques.clearingDate": "Clearing Date",
+    "cheques.bounceDate": "Bounce Date",
+    "cheques.bounceReason": "Bounce Reason",
+    "cheques.bounceCharge": "Bounce Charge",
+    "cheques.bounceChargeInvalid": "Bounce charge must be a positive amount",
+    "cheques.bounceWarning": "The payment will be reversed and any dues it settled will be reopened.",
+    "cheques.clearSuccess": "Cheque marked as cleared",
+    "cheques.bounceSuccess": "Cheque marked as bounced",
+    "cheques.invoicesReopened": "invoice(s) reopened",
+    "cheques.loadError": "Failed to load cheques",
+    "cheques.actionError": "Failed to update cheque",
+
+    // Bank reconciliation
+    "reconciliation.title": "Bank Reconciliation",
+    "reconciliation.importStatement": "Import Statement",
+    "reconciliation.importHint": "Upload a CSV statement from your bank (SBI, HDFC, ICICI, Axis and similar layouts) or an OFX file. Lines are matched to recorded transactions automatically.",
+    "reconciliation.importSuccess": "Statement imported",
+    "reconciliation.importError": "Failed to import statement",
+    "reconciliation.linesImported": "lines imported",
+    "reconciliation.linesMatched": "matched",
+    "reconciliation.duplicatesSkipped": "lines were already imported and skipped",
+    "reconciliation.autoMatch": "Auto-match",
+    "reconciliation.autoMatchDone": "Auto-matching complete",
+    "reconciliation.noStatements": "No bank statements imported yet",
+    "reconciliation.month": "Month",
+    "reconciliation.status": "Status",
+    "reconciliation.allLines": "All lines",
+    "reconciliation.matched": "Matched",
+    "reconciliation.unmatched": "Unmatched",
+    "reconciliation.ignored": "Ignored",
+    "reconciliation.matchAuto": "Auto",
+    "reconciliation.matchManual": "Manual",
+    "reconciliation.lines": "Lines",
+    "reconciliation.noLines": "No statement lines",
+    "reconciliation.reference": "Reference",
+    "reconciliation.debit": "Debit",
+    "reconciliation.credit": "Credit",
+    "reconciliation.matchedTransaction": "Matched Entry",
+    "reconciliation.party": "Name",
+    "reconciliation.statementBalance": "Statement Balance",
+    "reconciliation.bookBalance": "Book Balance (Bank)",
+    "reconciliation.difference": "Difference",
+    "reconciliation.differenceWarning": "Statement and book balances differ by",
+    "reconciliation.link": "Link to Entry",
+    "reconciliation.noCandidates": "No unmatched entries with this amount",
+    "reconciliation.select": "Select",
+    "reconciliation.createDonation": "Record as Donation",
+    "reconciliation.createExpense": "Record as Expense",
+    "reconciliation.createRequired": "Category and name are required",
+    "reconciliation.createSuccess": "Entry recorded and matched",
+    "reconciliation.matchSuccess": "Line matched",
+    "reconciliation.ignore": "Ignore",
+    "reconciliation.unmatch": "Unmatch",
+    "reconciliation.restore": "Restore",
+    "reconciliation.lineUpdated": "Statement line updated",
+    "reconciliation.reconcileMonth": "Reconcile & Lock",
+    "reconciliation.reconcileWarning": "Once reconciled, the month's statement lines and the entries matched to them cannot be changed until an Admin reopens it.",
+    "reconciliation.reconcileSuccess": "Month reconciled and locked",
+    "reconciliation.reconciled": "Reconciled",
+    "reconciliation.reopen": "Reopen",
+    "reconciliation.reopenSuccess": "Month reopened",
+    "reconciliation.notes": "Notes",
+    "reconciliation.loadError": "Failed to load reconciliation",
+    "reconciliation.actionError": "Failed to update reconciliation",
+
+    // Financial years
+    "financialYears.title": "Financial Years",
+    "financialYears.help": "Financial years run from 1 April to 31 March. Closing a year locks its transactions, penalties and loans and carries its balances forward as the next year's opening balances.",
+    "financialYears.year": "Financial Year",
+    "financialYears.period": "Period",
+    "financialYears.status": "Status",
+    "financialYears.open": "Open",
+    "financialYears.closed": "Closed",
+    "financialYears.surplus": "Surplus / (Deficit)",
+    "financialYears.closedAt": "Closed On",
+    "financialYears.income": "Income",
+    "financialYears.expenses": "Expenses",
+    "financialYears.openingBalances": "Opening Balances",
+    "financialYears.noOpeningBalances": "No opening balances; they are carried forward when the previous year is closed.",
+    "financialYears.account": "Account",
+    "financialYears.debit": "Debit",
+    "financialYears.credit": "Credit",
+    "financialYears.history": "Close / Reopen History",
+    "financialYears.noHistory": "This year has not been closed yet.",
+    "financialYears.action": "Action",
+    "financialYears.by": "By",
+    "financialYears.reason": "Reason",
+    "financialYears.notes": "Notes (optional)",
+    "financialYears.closedAction": "Closed",
+    "financialYears.reopenedAction": "Reopened",
+    "financialYears.close": "Close Year",
+    "financialYears.reopen": "Reopen Year",
+    "financialYears.closeWarning": "Entries dated in this year will no longer be editable, and its balances will become the opening balances of the next year.",
+    "financialYears.reopenWarning": "Reopening allows entries in this year to change again. The reason is recorded in the year's history.",
+    "financialYears.reasonRequired": "Please give a reason for reopening",
+    "financialYears.closeSuccess": "Financial year closed",
+    "financialYears.reopenSuccess": "Financial year reopened",
+    "financialYears.loadError": "Failed to load financial years",
+    "financialYears.actionError": "Failed to update financial year",
+
+    // Donation receipts
+    "receipt.print": "Print Receipt",
+    "receipt.printError": "Failed to print receipt",
+    "receipt.title": "Donation Receipt",
+    "receipt.duplicate": "Duplicate",
+    "receipt.registrationNumber": "Reg. No.",
+    "receipt.receiptNumber": "Receipt No.",
+    "receipt.date": "Date",
+    "receipt.receivedFrom": "Received From",
+    "receipt.contact": "Contact",
+    "receipt.category": "Category",
+    "receipt.subCategory": "Sub Category",
+    "receipt.purpose": "Purpose",
+    "receipt.paymentMode": "Payment Mode",
+    "receipt.reference": "Reference",
+    "receipt.amount": "Amount",
+    "receipt.amountInWords": "Amount in Words",
+    "receipt.thankYou": "Thank you for your generous donation.",
 
     // Agreement Management
     "agreement.title": "Agreement Management",
@@ -652,6 +853,290 @@ const translations = {
     "users.adminDesc": "Full access to all features including user management",
     "users.treasurerDesc": "Can manage donations and expenses",
     "users.viewerDesc": "Can only view reports and dashboard",
+    "users.locked": "Locked",
+    "users.lockedUntil": "Locked until",
+    "users.unlock": "Unlock account",
+    "users.unlocked": "Account unlocked",
+    "users.unlockError": "Failed to unlock account",
+    "users.loginHistory": "Login history",
+    "users.sessions": "Sessions",
+    "users.sessionsDesc": "Devices signed in as",
+    "sessions.title": "Active sessions",
+    "sessions.description": "Devices currently signed in to your account. Sign out any you do not recognise.",
+    "sessions.device": "Device",
+    "sessions.ipAddress": "IP address",
+    "sessions.created": "Signed in",
+    "sessions.lastUsed": "Last used",
+    "sessions.current": "This device",
+    "sessions.unknownDevice": "Unknown device",
+    "sessions.none": "No active sessions",
+    "sessions.revoke": "Sign out",
+    "sessions.revokeAll": "Sign out everywhere",
+    "sessions.revokeAllConfirm": "Sign this user out of every device?",
+    "sessions.revoked": "Session signed out",
+    "sessions.revokedAll": "All sessions signed out",
+    "sessions.revokeError": "Could not sign out the session",
+    "sessions.loadError": "Could not load sessions",
+    "roles.title": "Roles & Permissions",
+    "roles.list": "Roles",
+    "roles.add": "New Role",
+    "roles.addDesc": "Create a role, then choose what it may do.",
+    "roles.name": "Role name",
+    "roles.description": "Description",
+    "roles.create": "Create Role",
+    "roles.save": "Save Changes",
+    "roles.delete": "Delete Role",
+    "roles.deleteConfirm": "Delete this role? It must not be assigned to any user.",
+    "roles.builtIn": "Built-in",
+    "roles.users": "user(s)",
+    "roles.adminNote": "The Admin role always has every permission.",
+    "roles.created": "Role created",
+    "roles.saved": "Role saved",
+    "roles.deleted": "Role deleted",
+    "roles.loadError": "Could not load roles",
+    "roles.saveError": "Could not save the role",
+    "roles.deleteError": "Could not delete the role",
+    "roles.group.donations": "Donations",
+    "roles.group.expenses": "Expenses",
+    "roles.group.rent": "Rent",
+    "roles.group.loans": "Loans",
+    "roles.group.accounts": "Accounts",
+    "roles.group.approvals": "Approvals",
+    "roles.group.reports": "Reports",
+    "roles.group.administration": "Administration",
+    "categories.title": "Categories",
+    "categories.type.Donation": "Donation categories",
+    "categories.type.Expense": "Expense categories",
+    "categories.list": "Categories",
+    "categories.none": "No categories yet",
+    "categories.add": "Add category",
+    "categories.addSub": "Add sub-category",
+    "categories.addDesc": "The code is stored on every entry filed under it and cannot be changed later.",
+    "categories.edit": "Edit",
+    "categories.editDesc": "Labels, the active flag and rules can change; the code stays.",
+    "categories.code": "Code",
+    "categories.labelEn": "English label",
+    "categories.labelMr": "Marathi label",
+    "categories.active": "Active (offered in the forms)",
+    "categories.inactive": "Inactive",
+    "categories.rules": "Rules",
+    "categories.perPerson": "Amount per family member",
+    "categories.perPersonHint": "Donations ask for the number of family members and the amount per person, and the amount is their product, as for Vargani.",
+    "categories.subCategories": "Sub-categories",
+    "categories.subCategoryCount": "sub-categories",
+    "categories.noSubCategories": "No sub-categories; entries are filed under the category alone.",
+    "categories.save": "Save",
+    "categories.create": "Create",
+    "categories.delete": "Delete",
+    "categories.deleteConfirm": "Delete this entry? Only entries nothing is filed under can be deleted; deactivate the others.",
+    "categories.moveUp": "Move up",
+    "categories.moveDown": "Move down",
+    "categories.saved": "Category saved",
+    "categories.created": "Category added",
+    "categories.deleted": "Category deleted",
+    "categories.loadError": "Could not load the categories",
+    "categories.saveError": "Could not save the category",
+    "categories.deleteError": "Could not delete the category",
+    "budget.title": "Budget vs Actual",
+    "budget.year": "Financial Year",
+    "budget.add": "Set Budget",
+    "budget.none": "No budgets or expenses for this year",
+    "budget.category": "Category",
+    "budget.subCategory": "Sub-category",
+    "budget.wholeCategory": "Whole category",
+    "budget.selectCategory": "Select category",
+    "budget.budget": "Budget",
+    "budget.actual": "Actual",
+    "budget.variance": "Variance",
+    "budget.used": "Used",
+    "budget.total": "Total (budgeted categories)",
+    "budget.unbudgeted": "Spent under categories without a budget",
+    "budget.edit": "Set budget for",
+    "budget.delete": "Remove budget for",
+    "budget.setTitle": "Set Budget",
+    "budget.setDesc": "The amount planned for this category or sub-category in",
+    "budget.amount": "Amount",
+    "budget.notes": "Notes",
+    "budget.save": "Save Budget",
+    "budget.saved": "Budget saved",
+    "budget.saveError": "Could not save the budget",
+    "budget.deleteConfirm": "Remove this budget?",
+    "budget.deleted": "Budget removed",
+    "budget.deleteError": "Could not remove the budget",
+    "budget.loadError": "Could not load the budget report",
+    "budget.projected": "with this expense",
+    "budget.over": "over by",
+    "budget.overWarning": "This expense goes over the budget:",
+    "budget.saveAnyway": "Save it anyway?",
+    "approvals.title": "Waiting for Approval",
+    "approvals.submitted": "Sent for approval. Another authorised user must approve it before it takes effect.",
+    "approvals.requestedBy": "Requested by",
+    "approvals.field": "Field",
+    "approvals.from": "Current",
+    "approvals.to": "Proposed",
+    "approvals.note": "Note (optional)",
+    "approvals.approve": "Approve",
+    "approvals.reject": "Reject",
+    "approvals.withdraw": "Withdraw",
+    "approvals.approved": "Change approved and applied",
+    "approvals.rejected": "Change rejected",
+    "approvals.withdrawn": "Request withdrawn",
+    "approvals.loadError": "Could not load the approval queue",
+    "approvals.reviewError": "Could not complete the review",
+    "approvals.action.create": "New",
+    "approvals.action.update": "Edit",
+    "approvals.action.delete": "Delete",
+    "approvals.type.Donation": "Donation",
+    "approvals.type.Expense": "Expense",
+    "approvals.type.RentIncome": "Rent payment",
+    "approvals.type.Utilities": "Utilities",
+    "approvals.type.Salary": "Salary",
+    "audit.title": "Audit Trail",
+    "audit.verify": "Verify chain",
+    "audit.chainValid": "Audit trail is intact",
+    "audit.chainBroken": "Audit trail has been altered from entry",
+    "audit.entriesChecked": "entries checked",
+    "audit.verifyError": "Failed to verify the audit trail",
+    "audit.loadError": "Failed to load the audit trail",
+    "audit.user": "User",
+    "audit.entity": "Record",
+    "audit.entityId": "Record ID",
+    "audit.from": "From",
+    "audit.to": "To",
+    "audit.reset": "Reset",
+    "audit.empty": "No changes match these filters.",
+    "audit.when": "When",
+    "audit.action": "Action",
+    "audit.changes": "Changes",
+    "audit.system": "System",
+    "audit.entries": "entries",
+    "audit.previous": "Previous page",
+    "audit.next": "Next page",
+    "audit.entity.User": "User",
+    "audit.entity.Shop": "Shop",
+    "audit.entity.Tenant": "Tenant",
+    "audit.entity.Agreement": "Agreement",
+    "audit.entity.Loan": "Loan",
+    "audit.entity.RentPenalty": "Penalty",
+    "audit.entity.Transaction": "Transaction",
+    "audit.entity.Donor": "Donor",
+    "audit.entity.Attachment": "Attachment",
+    "audit.entity.Category": "Category",
+    "audit.entity.Budget": "Budget",
+    "audit.action.create": "New",
+    "audit.action.update": "Edit",
+    "audit.action.delete": "Delete",
+    "audit.action.restore": "Restore",
+    "audit.action.purge": "Purge",
+    "donors.title": "Donors",
+    "donors.search": "Search donors",
+    "donors.searchPlaceholder": "Name, phone or PAN",
+    "donors.empty": "No donors found.",
+    "donors.name": "Name",
+    "donors.phone": "Phone",
+    "donors.address": "Address",
+    "donors.gotra": "Gotra / family",
+    "donors.pan": "PAN",
+    "donors.donations": "Donations",
+    "donors.totalGiven": "Total given",
+    "donors.total": "Total",
+    "donors.lastDonation": "Last donation",
+    "donors.givingSince": "Giving since",
+    "donors.byYear": "By financial year",
+    "donors.byCategory": "By category",
+    "donors.financialYear": "Financial year",
+    "donors.history": "Donations",
+    "donors.receipt": "Receipt",
+    "donors.writtenAs": "Written as",
+    "donors.bounced": "Bounced",
+    "donors.back": "Back to donors",
+    "donors.edit": "Edit details",
+    "donors.saved": "Donor updated",
+    "donors.saveError": "Failed to update the donor",
+    "donors.panInvalid": "PAN must be 5 letters, 4 digits and a letter",
+    "donors.loadError": "Failed to load donors",
+    "donors.suggestions": "Known donors",
+    "donors.givenTimes": "{count} donations · {amount}",
+    "donors.linked": "Linked to a known donor",
+    "donors.unlink": "Record as a different donor",
+    "donors.findDuplicates": "Find duplicates",
+    "donors.duplicates": "Possible duplicates",
+    "donors.noDuplicates": "No duplicate donors found.",
+    "donors.reason.phone": "Same phone",
+    "donors.reason.name": "Similar name",
+    "donors.keep": "Keep",
+    "donors.mergeIn": "Merge",
+    "donors.merge": "Merge donors",
+    "donors.mergeConfirm": "Merge the selected donors? Their donations move to the donor kept, and they are removed.",
+    "donors.merged": "Donors merged",
+    "donors.mergeError": "Failed to merge the donors",
+    "donors.linkDonations": "Link past donations",
+    "donors.linkedDonations": "{linked} donations linked, {created} donors added",
+    "donors.linkError": "Failed to link donations",
+    "tax80g.badge": "80G",
+    "tax80g.eligible": "Eligible for an 80G certificate",
+    "tax80g.printCertificate": "80G certificate",
+    "tax80g.certificateError": "Failed to prepare the 80G certificate",
+    "tax80g.annualStatement": "80G statement",
+    "tax80g.statementError": "Failed to prepare the 80G statement",
+    "tax80g.panNeeded": "Add the donor's PAN to issue 80G certificates",
+    "tax80g.donorPanField": "Donor PAN",
+    "tax80g.donorPanHint": "Needed for an 80G tax exemption certificate",
+    "tax80g.certificateTitle": "Certificate of Donation under Section 80G",
+    "tax80g.statementTitle": "Statement of Donations under Section 80G",
+    "tax80g.act": "Income-tax Act, 1961",
+    "tax80g.trustPan": "PAN of the trust",
+    "tax80g.urn": "80G registration (URN)",
+    "tax80g.urnDate": "URN issued on",
+    "tax80g.financialYear": "Financial year",
+    "tax80g.donorName": "Donor",
+    "tax80g.donorPan": "PAN of the donor",
+    "tax80g.donorAddress": "Address",
+    "tax80g.total": "Total",
+    "tax80g.declaration": "Certified that the donation stated here was received by the trust, which is approved under section 80G of the Income-tax Act, 1961. It qualifies for deduction under that section, subject to its limits, and is reported in the trust's statement in Form 10BD.",
+    "tax80g.form10bd": "Form 10BD",
+    "tax80g.form10bdTitle": "Form 10BD export",
+    "tax80g.form10bdDescription": "Eligible donations that cleared in a financial year, one row per donor and mode of receipt, in the column order of the income-tax portal's template.",
+    "tax80g.download": "Download CSV",
+    "tax80g.form10bdDone": "{count} rows exported",
+    "tax80g.form10bdEmpty": "No eligible donations from donors with a PAN in {year}",
+    "tax80g.form10bdError": "Failed to prepare Form 10BD",
+    "tax80g.missingPan": "{count} donors without a PAN were left out ({amount}). Add their PANs and export again.",
+    "trash.title": "Trash",
+    "trash.empty": "The trash is empty.",
+    "trash.record": "Record",
+    "trash.amount": "Amount",
+    "trash.deletedAt": "Deleted on",
+    "trash.deletedBy": "Deleted by",
+    "trash.actions": "Actions",
+    "trash.deletedWithAgreement": "Deleted with its agreement; restore the agreement to bring it back",
+    "trash.restore": "Restore",
+    "trash.purge": "Delete forever",
+    "trash.purgeConfirm": "Permanently delete this record? This cannot be undone.",
+    "trash.restored": "Record restored",
+    "trash.purged": "Record permanently deleted",
+    "trash.loadError": "Failed to load the trash",
+    "trash.restoreError": "Failed to restore the record",
+    "trash.purgeError": "Failed to delete the record",
+    "users.loginHistoryDesc": "Recent sign-in attempts",
+    "users.loginHistoryError": "Failed to load login history",
+    "users.noLoginHistory": "No sign-in attempts recorded yet.",
+    "users.loginTime": "Time",
+    "users.ipAddress": "IP address",
+    "users.device": "Device",
+    "users.result": "Result",
+    "users.loginSuccess": "Success",
+    "users.loginFailed": "Failed",
+    "users.newDevice": "New device",
+    "users.failure.InvalidPassword": "Wrong password",
+    "users.failure.AccountLocked": "Account locked",
+    "users.failure.AccountInactive": "Account inactive",
+    "users.failure.UnknownAccount": "Unknown account",
+    "users.failure.InvalidTwoFactorCode": "Wrong 2FA code",
+    "users.resetTwoFactor": "Reset two-factor authentication",
+    "users.resetTwoFactorConfirm": "Reset two-factor authentication for this user? They will have to set it up again.",
+    "users.twoFactorReset": "Two-factor authentication reset",
+    "users.resetTwoFactorError": "Failed to reset two-factor authentication",
 
     // Common
     "common.actions": "Actions",
@@ -721,6 +1206,18 @@ const translations = {
     "documents.removeDocument": "Remove Document",
     "documents.noPreview": "Preview not available",
     "documents.downloadToView": "Download to View",
+
+    // Attachments
+    "attachments.title": "Attachments",
+    "attachments.manage": "Attachments",
+    "attachments.add": "Add files",
+    "attachments.scan": "Scan",
+    "attachments.uploading": "Uploading...",
+    "attachments.none": "No files attached yet",
+    "attachments.confirmDelete": "Delete this file?",
+    "attachments.loadError": "Failed to load attachments",
+    "attachments.requiredAbove": "Expenses above {amount} need the bill or another attachment",
+    "attachments.paymentProof": "Cheque Photo / Receipt",
   },
   mr: {
     // Header
@@ -734,8 +1231,16 @@ const translations = {
     "nav.reports": "अहवाल",
     "nav.users": "वापरकर्ते",
     "nav.rentManagement": "भाडे व्यवस्थापन",
+    "nav.cheques": "धनादेश",
+    "nav.bankReconciliation": "बँक ताळमेळ",
+    "nav.financialYears": "आर्थिक वर्षे",
+    "nav.donors": "देणगीदार",
     "user.settings": "सेटिंग्स",
     "user.userManagement": "वापरकर्ता व्यवस्थापन",
+    "user.roles": "भूमिका व परवानग्या",
+    "user.categories": "श्रेणी",
+    "user.auditLog": "लेखापरीक्षण नोंद",
+    "user.trash": "कचरापेटी",
     "user.logout": "बाहेर पडा",
     "user.signedInAs": "या नावे साइन इन केले",
 
@@ -750,6 +1255,77 @@ const translations = {
     "login.demoCredentials": "डेमो क्रेडेंशियल्स:",
     "login.invalidCredentials":
       "चुकीचे वापरकर्ता नाव किंवा संकेतशब्द, किंवा खाते निष्क्रिय",
+    "login.forgotPassword": "संकेतशब्द विसरलात?",
+
+    // Password reset
+    "passwordReset.forgotTitle": "संकेतशब्द विसरलात",
+    "passwordReset.forgotHelp": "आपल्या खात्याचा ईमेल टाका, आम्ही संकेतशब्द बदलण्यासाठी लिंक पाठवू.",
+    "passwordReset.sendLink": "लिंक पाठवा",
+    "passwordReset.sending": "पाठवत आहे...",
+    "passwordReset.linkSent": "या ईमेलचे खाते असल्यास संकेतशब्द बदलण्याची लिंक पाठवली आहे. आपला इनबॉक्स तपासा.",
+    "passwordReset.requestError": "लिंक पाठवता आली नाही. कृपया पुन्हा प्रयत्न करा.",
+    "passwordReset.backToSignIn": "साइन इन कडे परत",
+    "passwordReset.resetTitle": "नवीन संकेतशब्द निवडा",
+    "passwordReset.newPassword": "नवीन संकेतशब्द",
+    "passwordReset.confirmPassword": "नवीन संकेतशब्दाची पुष्टी करा",
+    "passwordReset.passwordRule": "किमान 8 अक्षरे, त्यात एक मोठे अक्षर, एक लहान अक्षर आणि एक अंक",
+    "passwordReset.passwordMismatch": "संकेतशब्द जुळत नाहीत",
+    "passwordReset.setPassword": "संकेतशब्द सेट करा",
+    "passwordReset.saving": "जतन करत आहे...",
+    "passwordReset.resetSuccess": "आपला संकेतशब्द बदलला आहे. नवीन संकेतशब्दाने साइन इन करा.",
+    "passwordReset.resetError": "संकेतशब्द बदलता आला नाही. लिंकची मुदत संपली असू शकते.",
+    "passwordReset.missingToken": "ही लिंक अपूर्ण आहे. कृपया नवीन लिंक मागवा.",
+
+    // Email verification
+    "verifyEmail.title": "ईमेल पडताळणी",
+    "verifyEmail.verifying": "आपला ईमेल पडताळत आहे...",
+    "verifyEmail.success": "आपला ईमेल पत्ता पडताळला गेला आहे.",
+    "verifyEmail.error": "ही पडताळणी लिंक अवैध आहे किंवा तिची मुदत संपली आहे.",
+    "verifyEmail.missingToken": "ही पडताळणी लिंक अपूर्ण आहे.",
+    "verifyEmail.resend": "नवीन पडताळणी लिंक पाठवा",
+    "verifyEmail.resent": "पडताळणी ईमेल पाठवला",
+    "verifyEmail.resendError": "पडताळणी ईमेल पाठवता आला नाही",
+    "verifyEmail.continue": "पुढे जा",
+
+    // Two-factor authentication
+    "twoFactor.title": "द्वि-स्तरीय प्रमाणीकरण",
+    "twoFactor.description": "लॉगिन करताना पासवर्डसोबत तुमच्या फोनवरील ऑथेंटिकेटर अॅपमधील कोडही विचारला जातो.",
+    "twoFactor.requiredForRole": "तुमच्या भूमिकेसाठी द्वि-स्तरीय प्रमाणीकरण आवश्यक आहे.",
+    "twoFactor.on": "चालू",
+    "twoFactor.off": "बंद",
+    "twoFactor.setUp": "सेट करा",
+    "twoFactor.setupTitle": "द्वि-स्तरीय प्रमाणीकरण सेट करा",
+    "twoFactor.setupRequired": "तुमच्या भूमिकेसाठी द्वि-स्तरीय प्रमाणीकरण आवश्यक आहे. ऑथेंटिकेटर अॅपने QR कोड स्कॅन करा आणि त्यातील कोड टाका.",
+    "twoFactor.setupError": "द्वि-स्तरीय सेटअप सुरू करता आला नाही",
+    "twoFactor.scan": "ऑथेंटिकेटर अॅपने हा QR कोड स्कॅन करा आणि त्यातील ६ अंकी कोड टाका.",
+    "twoFactor.qrAlt": "ऑथेंटिकेटर अॅपसाठी QR कोड",
+    "twoFactor.manualEntry": "किंवा ही की हाताने टाका:",
+    "twoFactor.verifyTitle": "द्वि-स्तरीय पडताळणी",
+    "twoFactor.verifyHelp": "ऑथेंटिकेटर अॅपमधील ६ अंकी कोड टाका.",
+    "twoFactor.code": "प्रमाणीकरण कोड",
+    "twoFactor.recoveryCode": "रिकव्हरी कोड",
+    "twoFactor.useRecoveryCode": "त्याऐवजी रिकव्हरी कोड वापरा",
+    "twoFactor.useAuthenticator": "त्याऐवजी ऑथेंटिकेटर अॅप वापरा",
+    "twoFactor.verify": "पडताळा",
+    "twoFactor.verifying": "पडताळणी करत आहे...",
+    "twoFactor.verifyError": "अवैध पडताळणी कोड",
+    "twoFactor.enable": "चालू करा",
+    "twoFactor.enabled": "द्वि-स्तरीय प्रमाणीकरण चालू केले",
+    "twoFactor.turnOff": "द्वि-स्तरीय प्रमाणीकरण बंद करा",
+    "twoFactor.disabled": "द्वि-स्तरीय प्रमाणीकरण बंद केले",
+    "twoFactor.newCodes": "नवीन रिकव्हरी कोड",
+    "twoFactor.codesRemaining": "न वापरलेले रिकव्हरी कोड",
+    "twoFactor.saveCodes": "हे रिकव्हरी कोड सुरक्षित ठिकाणी जतन करा. फोन हरवल्यास प्रत्येक कोड एकदा लॉगिनसाठी वापरता येतो. ते पुन्हा दाखवले जाणार नाहीत.",
+    "twoFactor.copyCodes": "कॉपी करा",
+    "twoFactor.downloadCodes": "डाउनलोड करा",
+    "twoFactor.codesCopied": "रिकव्हरी कोड कॉपी केले",
+    "twoFactor.copyError": "कोड कॉपी करता आले नाहीत",
+    "twoFactor.confirmPassword": "पुढे जाण्यासाठी तुमचा पासवर्ड टाका.",
+    "twoFactor.confirm": "पुष्टी करा",
+    "twoFactor.done": "झाले",
+    "twoFactor.continue": "पुढे जा",
+    "twoFactor.statusError": "द्वि-स्तरीय सेटिंग्ज लोड करता आल्या नाहीत",
+    "twoFactor.actionError": "बदल जतन करता आला नाही",
 
     // Authentication
     "auth.loading": "लोड होत आहे...",
@@ -784,36 +1360,6 @@ const translations = {
     "donations.galaBhade1": "गाळा भाडे-1",
     "donations.galaBhade2": "गाळा भाडे-2",
     "donations.governmentFundingGala": "गाल्यासाठी सरकारी अनुदान",
-    // Main donation categories
-    "donations.vargani": "वर्गणी",
-    "donations.dengi": "देणगी",
-    "donations.shaskiyNighi": "शासकीय निधी",
-
-    // Vargani sub-categories
-    "donations.shivJayanti": "शिव जयंती",
-    "donations.ganeshUtsav": "गणेश उत्सव",
-    "donations.yatra": "यात्रा",
-    "donations.navratri": "नवरात्र",
-    "donations.bailPola": "बैल पोळा",
-    "donations.ashadhiEkadashi": "आषाढी एकादशी",
-    "donations.diwali": "दिवाळी",
-    "donations.dasra": "दसरा",
-    "donations.mahaShivratri": "महाशिवरात्री",
-    "donations.shreekrishnaJanmashtami": "श्रीकृष्ण जन्माष्टमी",
-
-    // Dengi sub-categories
-    "donations.yatraUtsav": "यात्रा उत्सव",
-    "donations.bandkam": "बांधकाम",
-    "donations.itar": "इतर",
-
-    // Government fund sub-categories
-    "donations.kendraShashan": "केंद्र शासन",
-    "donations.rajyaShashan": "राज्य शासन",
-    "donations.mantriNidhi": "मंत्री निधी",
-    "donations.aamdarNidhi": "आमदार निधी",
-    "donations.khajdarNidhi": "खासदार निधी",
-    "donations.grampanchayat": "ग्रामपंचायत",
-    "donations.panchayatSamiti": "पंचायत समिती",
 
     // Form fields
     "donations.receiptNumber": "पावती क्रमांक",
@@ -870,42 +1416,6 @@ const translations = {
       "रक्कम करार आणि उप-श्रेणीच्या आधारावर आपोआप सेट केली जाते",
     "rent.amountEditable": "भाडे-2 पेमेंटसाठी रक्कम संपादित करता येते",
 
-    // Expense management categories
-    "expenses.utsav": "उत्सव",
-    "expenses.galaKharch": "गाळा खर्च",
-    "expenses.mandirDekhbhal": "मंदिर खर्च",
-
-    // Festival sub-categories
-    "expenses.parayan": "पारायण",
-    "expenses.dindi": "दिंडी",
-    "expenses.shivjayanti": "शिवजयंती",
-    "expenses.ganeshUtsav": "गणेश उत्सव",
-    "expenses.yatra": "यात्रा",
-    "expenses.navratra": "नवरात्र",
-    "expenses.bailPola": "बैल पोळा",
-    "expenses.ashadhiEkadashi": "आषाढी एकादशी",
-    "expenses.diwali": "दिवाळी",
-    "expenses.dasra": "दसरा",
-    "expenses.mahashivratri": "महाशिवरात्री",
-    "expenses.shreeKrushnaJanmashtami": "कृष्ण जन्माष्टमी",
-    "expenses.ramNavami": "राम नवमी",
-
-    // Shop expenses sub-categories
-    "expenses.bandhkam": "बांधकाम",
-    "expenses.putalaKharch": "पुतळा देखभाल",
-    "expenses.karmchariPagar": "कर्मचारी पगार",
-    "expenses.karmchariKharch": "कर्मचारी खर्च",
-    "expenses.safayi": "सफाई",
-    "expenses.bijliBill": "वीज",
-    "expenses.paani": "पाणी",
-    "expenses.itar": "इतर",
-
-    // Temple maintenance sub-categories
-    "expenses.pooja": "पूजा",
-    "expenses.soundLightMaintenance": "ध्वनी/प्रकाश/सीसीटीव्ही/इलेक्ट्रॉनिक",
-    "expenses.flowerDecoration": "फुलसजावट",
-    "expenses.securityServices": "सुरक्षा सेवा",
-
     // Expense form fields
     "expenses.payeeName": "धारक नाव",
     "expenses.enterPayeeName": "धारकाचे नाव प्रविष्ट करा",
@@ -984,6 +1494,7 @@ const translations = {
     // Reports
     "reports.title": "आर्थिक अहवाल",
     "reports.overview": "आर्थिक सारांश",
+    "reports.budget": "अंदाजपत्रक",
     "reports.monthlyTrend": "मासिक प्रवृत्ती",
     "reports.categoryBreakdown": "श्रेणी विभाजन",
     "reports.totalTransactions": "एकूण व्यवहार",
@@ -1059,6 +1570,10 @@ const translations = {
     "reports.allTypes": "सर्व प्रकार",
     "reports.allCategories": "सर्व श्रेणी",
     "reports.allSubCategories": "सर्व उप-श्रेणी",
+    "reports.filterByPaymentMode": "भरणा पद्धतीनुसार फिल्टर करा",
+    "reports.allPaymentModes": "सर्व भरणा पद्धती",
+    "reports.filterByClearingStatus": "वटणावळ स्थितीनुसार फिल्टर करा",
+    "reports.allClearingStatuses": "सर्व स्थिती",
     "reports.allMonths": "सर्व महिने",
     "reports.viewMode": "दृश्य मोड",
     "reports.tableView": "तक्ता दृश्य",
@@ -1104,6 +1619,19 @@ const translations = {
     "loans.calculateEmi": "हप्ता मोजा",
     "loans.loanAgreement": "कर्जाचा करार",
     "loans.uploadLoanAgreement": "कर्जाचा करार अपलोड करा",
+    "loans.viewSchedule": "हप्ते वेळापत्रक पहा",
+    "loans.schedule": "परतफेड वेळापत्रक",
+    "loans.scheduleError": "परतफेड वेळापत्रक लोड करता आले नाही",
+    "loans.dueDate": "देय दिनांक",
+    "loans.principal": "मुद्दल",
+    "loans.interest": "व्याज",
+    "loans.closingBalance": "अखेरची शिल्लक",
+    "loans.amountPaid": "भरलेली रक्कम",
+    "loans.installmentPending": "प्रलंबित",
+    "loans.installmentPartial": "अंशतः भरले",
+    "loans.installmentPaid": "भरले",
+    "loans.installmentOverdue": "थकीत",
+    "loans.nextInstallment": "पुढील हप्ता",
 
     // Penalty Management
     "penalties.title": "दंड व्यवस्थापन",
@@ -1198,6 +1726,175 @@ const translations = {
       "सक्रिय कराराचे भाडेकरू हटविता येत नाहीत",
     "tenant.editTenant": "भाडेकरू संपादित करा",
     "tenant.deleteTenant": "भाडेकरू हटवा",
+    "tenant.statement": "खाते उतारा",
+
+    // Tenant Ledger
+    "ledger.title": "खाते उतारा",
+    "ledger.fromDate": "पासून दिनांक",
+    "ledger.toDate": "पर्यंत दिनांक",
+    "ledger.show": "दाखवा",
+    "ledger.exportPdf": "PDF निर्यात करा",
+    "ledger.exportSuccess": "खाते उतारा यशस्वीरित्या निर्यात केला",
+    "ledger.loadError": "भाडेकरूचा खाते उतारा लोड करता आला नाही",
+    "ledger.particulars": "तपशील",
+    "ledger.shop": "दुकान",
+    "ledger.debit": "नावे",
+    "ledger.credit": "जमा",
+    "ledger.balance": "शिल्लक",
+    "ledger.openingBalance": "आरंभीची शिल्लक",
+    "ledger.closingBalance": "अखेरची शिल्लक",
+    "ledger.uncleared": "धनादेश वटणे बाकी",
+    "ledger.unclearedTotal": "वटणे बाकी असलेले धनादेश (शिल्लकेत धरलेले नाहीत)",
+    "ledger.type.RentDue": "भाडे देय",
+    "ledger.type.LoanDisbursement": "कर्ज वितरित",
+    "ledger.type.Penalty": "विलंब शुल्क",
+    "ledger.type.RentPayment": "भाडे प्राप्त",
+    "ledger.type.EmiRepayment": "हप्ता प्राप्त",
+    "ledger.type.PenaltyPayment": "विलंब शुल्क प्राप्त",
+    "ledger.type.Payment": "रक्कम प्राप्त",
+    "ledger.type.ChequeBounced": "धनादेश न वटला",
+    "payment.mode": "भरणा पद्धत",
+    "payment.cash": "रोख",
+    "payment.upi": "UPI",
+    "payment.cheque": "धनादेश",
+    "payment.bankTransfer": "बँक हस्तांतरण",
+    "payment.chequeNumber": "धनादेश क्रमांक",
+    "payment.upiReference": "UPI संदर्भ क्रमांक",
+    "payment.bankReference": "बँक संदर्भ क्रमांक",
+    "payment.chequeDate": "धनादेश दिनांक",
+    "payment.chequeNumberRequired": "धनादेश क्रमांक आवश्यक आहे",
+    "payment.referenceRequired": "संदर्भ क्रमांक आवश्यक आहे",
+    "payment.chequeDateRequired": "धनादेश दिनांक आवश्यक आहे",
+    "payment.clearingStatus": "वटणावळ स्थिती",
+    "payment.cleared": "वटला",
+    "payment.pending": "प्रलंबित",
+    "payment.bounced": "न वटलेला",
+
+    // Cheque clearance
+    "cheques.title": "धनादेश",
+    "cheques.pendingSummary": "वटणावळ प्रलंबित",
+    "cheques.none": "धनादेश आढळले नाहीत",
+    "cheques.from": "कडून प्राप्त / यांना दिले",
+    "cheques.markCleared": "वटला म्हणून नोंदवा",
+    "cheques.markBounced": "न वटला म्हणून नोंदवा",
+    "cheques.clearingDate": "वटणावळ दिनांक",
+    "cheques.bounceDate": "न वटल्याचा दिनांक",
+    "cheques.bounceReason": "न वटण्याचे कारण",
+    "cheques.bounceCharge": "धनादेश न वटल्याचा दंड",
+    "cheques.bounceChargeInvalid": "दंडाची रक्कम धन असणे आवश्यक आहे",
+    "cheques.bounceWarning": "हा भरणा रद्द होईल आणि त्याद्वारे भरलेली थकबाकी पुन्हा खुली होईल.",
+    "cheques.clearSuccess": "धनादेश वटला म्हणून नोंदवला",
+    "cheques.bounceSuccess": "धनादेश न वटला म्हणून नोंदवला",
+    "cheques.invoicesReopened": "बीजक पुन्हा खुले झाले",
+    "cheques.loadError": "धनादेश लोड करण्यात अयशस्वी",
+    "cheques.actionError": "धनादेश अद्यतनित करण्यात अयशस्वी",
+
+    // Bank reconciliation
+    "reconciliation.title": "बँक ताळमेळ",
+    "reconciliation.importStatement": "विवरणपत्र आयात करा",
+    "reconciliation.importHint": "आपल्या बँकेचे CSV विवरणपत्र (SBI, HDFC, ICICI, Axis इ.) किंवा OFX फाइल अपलोड करा. नोंदी आपोआप व्यवहारांशी जुळवल्या जातात.",
+    "reconciliation.importSuccess": "विवरणपत्र आयात झाले",
+    "reconciliation.importError": "विवरणपत्र आयात करण्यात अयशस्वी",
+    "reconciliation.linesImported": "नोंदी आयात",
+    "reconciliation.linesMatched": "जुळल्या",
+    "reconciliation.duplicatesSkipped": "नोंदी आधीच आयात असल्याने वगळल्या",
+    "reconciliation.autoMatch": "आपोआप जुळवा",
+    "reconciliation.autoMatchDone": "आपोआप जुळवणी पूर्ण",
+    "reconciliation.noStatements": "अद्याप बँक विवरणपत्र आयात केलेले नाही",
+    "reconciliation.month": "महिना",
+    "reconciliation.status": "स्थिती",
+    "reconciliation.allLines": "सर्व नोंदी",
+    "reconciliation.matched": "जुळलेल्या",
+    "reconciliation.unmatched": "न जुळलेल्या",
+    "reconciliation.ignored": "दुर्लक्षित",
+    "reconciliation.matchAuto": "आपोआप",
+    "reconciliation.matchManual": "हस्तचालित",
+    "reconciliation.lines": "नोंदी",
+    "reconciliation.noLines": "विवरणपत्रात नोंदी नाहीत",
+    "reconciliation.reference": "संदर्भ",
+    "reconciliation.debit": "नावे",
+    "reconciliation.credit": "जमा",
+    "reconciliation.matchedTransaction": "जुळलेला व्यवहार",
+    "reconciliation.party": "नाव",
+    "reconciliation.statementBalance": "विवरणपत्रातील शिल्लक",
+    "reconciliation.bookBalance": "खतावणीतील शिल्लक (बँक)",
+    "reconciliation.difference": "फरक",
+    "reconciliation.differenceWarning": "विवरणपत्र व खतावणी शिल्लक यांतील फरक",
+    "reconciliation.link": "व्यवहाराशी जोडा",
+    "reconciliation.noCandidates": "या रकमेचे न जुळलेले व्यवहार नाहीत",
+    "reconciliation.select": "निवडा",
+    "reconciliation.createDonation": "जमा म्हणून नोंदवा",
+    "reconciliation.createExpense": "खर्च म्हणून नोंदवा",
+    "reconciliation.createRequired": "श्रेणी व नाव आवश्यक आहे",
+    "reconciliation.createSuccess": "व्यवहार नोंदवून जुळवला",
+    "reconciliation.matchSuccess": "नोंद जुळवली",
+    "reconciliation.ignore": "दुर्लक्ष करा",
+    "reconciliation.unmatch": "जुळवणी रद्द करा",
+    "reconciliation.restore": "पुनर्स्थापित करा",
+    "reconciliation.lineUpdated": "नोंद अद्यतनित केली",
+    "reconciliation.reconcileMonth": "ताळमेळ करून बंद करा",
+    "reconciliation.reconcileWarning": "ताळमेळ झाल्यावर प्रशासक पुन्हा उघडेपर्यंत या महिन्याच्या नोंदी व जुळलेले व्यवहार बदलता येणार नाहीत.",
+    "reconciliation.reconcileSuccess": "महिन्याचा ताळमेळ करून बंद केला",
+    "reconciliation.reconciled": "ताळमेळ झाला",
+    "reconciliation.reopen": "पुन्हा उघडा",
+    "reconciliation.reopenSuccess": "महिना पुन्हा उघडला",
+    "reconciliation.notes": "टीप",
+    "reconciliation.loadError": "ताळमेळ लोड करण्यात अयशस्वी",
+    "reconciliation.actionError": "ताळमेळ अद्यतनित करण्यात अयशस्वी",
+
+    // Financial years
+    "financialYears.title": "आर्थिक वर्षे",
+    "financialYears.help": "आर्थिक वर्ष १ एप्रिल ते ३१ मार्च असते. वर्ष बंद केल्यावर त्यातील व्यवहार, दंड व कर्जे बदलता येत नाहीत आणि त्याची शिल्लक पुढील वर्षाची आरंभीची शिल्लक म्हणून पुढे नेली जाते.",
+    "financialYears.year": "आर्थिक वर्ष",
+    "financialYears.period": "कालावधी",
+    "financialYears.status": "स्थिती",
+    "financialYears.open": "चालू",
+    "financialYears.closed": "बंद",
+    "financialYears.surplus": "शिल्लक / (तूट)",
+    "financialYears.closedAt": "बंद केल्याची तारीख",
+    "financialYears.income": "उत्पन्न",
+    "financialYears.expenses": "खर्च",
+    "financialYears.openingBalances": "आरंभीची शिल्लक",
+    "financialYears.noOpeningBalances": "आरंभीची शिल्लक नाही; मागील वर्ष बंद केल्यावर ती पुढे नेली जाते.",
+    "financialYears.account": "खाते",
+    "financialYears.debit": "नावे",
+    "financialYears.credit": "जमा",
+    "financialYears.history": "बंद / पुन्हा उघडल्याचा इतिहास",
+    "financialYears.noHistory": "हे वर्ष अद्याप बंद केलेले नाही.",
+    "financialYears.action": "कृती",
+    "financialYears.by": "द्वारे",
+    "financialYears.reason": "कारण",
+    "financialYears.notes": "टीप (ऐच्छिक)",
+    "financialYears.closedAction": "बंद केले",
+    "financialYears.reopenedAction": "पुन्हा उघडले",
+    "financialYears.close": "वर्ष बंद करा",
+    "financialYears.reopen": "वर्ष पुन्हा उघडा",
+    "financialYears.closeWarning": "या वर्षातील नोंदी यापुढे बदलता येणार नाहीत आणि त्याची शिल्लक पुढील वर्षाची आरंभीची शिल्लक होईल.",
+    "financialYears.reopenWarning": "पुन्हा उघडल्यावर या वर्षातील नोंदी पुन्हा बदलता येतील. कारण वर्षाच्या इतिहासात नोंदवले जाते.",
+    "financialYears.reasonRequired": "पुन्हा उघडण्याचे कारण द्या",
+    "financialYears.closeSuccess": "आर्थिक वर्ष बंद केले",
+    "financialYears.reopenSuccess": "आर्थिक वर्ष पुन्हा उघडले",
+    "financialYears.loadError": "आर्थिक वर्षे लोड करण्यात अयशस्वी",
+    "financialYears.actionError": "आर्थिक वर्ष अद्यतनित करण्यात अयशस्वी",
+
+    // Donation receipts
+    "receipt.print": "पावती छापा",
+    "receipt.printError": "पावती छापण्यात अयशस्वी",
+    "receipt.title": "देणगी पावती",
+    "receipt.duplicate": "दुय्यम प्रत",
+    "receipt.registrationNumber": "नोंदणी क्र.",
+    "receipt.receiptNumber": "पावती क्र.",
+    "receipt.date": "दिनांक",
+    "receipt.receivedFrom": "यांच्याकडून मिळाले",
+    "receipt.contact": "संपर्क",
+    "receipt.category": "प्रकार",
+    "receipt.subCategory": "उपप्रकार",
+    "receipt.purpose": "उद्देश",
+    "receipt.paymentMode": "पेमेंट पद्धत",
+    "receipt.reference": "संदर्भ",
+    "receipt.amount": "रक्कम",
+    "receipt.amountInWords": "अक्षरी रक्कम",
+    "receipt.thankYou": "आपल्या उदार देणगीबद्दल धन्यवाद.",
 
     // Agreement Management
     "agreement.title": "करार व्यवस्थापन",
@@ -1338,6 +2035,290 @@ const translations = {
       "वापरकर्ता व्यवस्थापनासह सर्व वैशिष्ट्यांमध्ये पूर्ण प्रवेश",
     "users.treasurerDesc": "जमा आणि खर्च व्��वस्थापित करू शकतात",
     "users.viewerDesc": "केवळ अहवाल आणि डॅशबोर्ड पाहू शकतात",
+    "users.locked": "लॉक केलेले",
+    "users.lockedUntil": "लॉक मुदत",
+    "users.unlock": "खाते अनलॉक करा",
+    "users.unlocked": "खाते अनलॉक केले",
+    "users.unlockError": "खाते अनलॉक करण्यात अयशस्वी",
+    "users.loginHistory": "लॉगिन इतिहास",
+    "users.sessions": "सत्रे",
+    "users.sessionsDesc": "या नावाने साइन इन असलेली उपकरणे",
+    "sessions.title": "सक्रिय सत्रे",
+    "sessions.description": "तुमच्या खात्यात सध्या साइन इन असलेली उपकरणे. ओळखीचे नसलेले उपकरण साइन आउट करा.",
+    "sessions.device": "उपकरण",
+    "sessions.ipAddress": "IP पत्ता",
+    "sessions.created": "साइन इन केले",
+    "sessions.lastUsed": "शेवटचा वापर",
+    "sessions.current": "हे उपकरण",
+    "sessions.unknownDevice": "अज्ञात उपकरण",
+    "sessions.none": "कोणतेही सक्रिय सत्र नाही",
+    "sessions.revoke": "साइन आउट",
+    "sessions.revokeAll": "सर्व उपकरणांवरून साइन आउट",
+    "sessions.revokeAllConfirm": "या वापरकर्त्याला सर्व उपकरणांवरून साइन आउट करायचे?",
+    "sessions.revoked": "सत्र साइन आउट केले",
+    "sessions.revokedAll": "सर्व सत्रे साइन आउट केली",
+    "sessions.revokeError": "सत्र साइन आउट करता आले नाही",
+    "sessions.loadError": "सत्रे लोड करता आली नाहीत",
+    "roles.title": "भूमिका व परवानग्या",
+    "roles.list": "भूमिका",
+    "roles.add": "नवीन भूमिका",
+    "roles.addDesc": "भूमिका तयार करा, नंतर ती काय करू शकते ते निवडा.",
+    "roles.name": "भूमिकेचे नाव",
+    "roles.description": "वर्णन",
+    "roles.create": "भूमिका तयार करा",
+    "roles.save": "बदल जतन करा",
+    "roles.delete": "भूमिका हटवा",
+    "roles.deleteConfirm": "ही भूमिका हटवायची? ती कोणत्याही वापरकर्त्याला दिलेली नसावी.",
+    "roles.builtIn": "अंगभूत",
+    "roles.users": "वापरकर्ते",
+    "roles.adminNote": "प्रशासक भूमिकेला नेहमी सर्व परवानग्या असतात.",
+    "roles.created": "भूमिका तयार केली",
+    "roles.saved": "भूमिका जतन केली",
+    "roles.deleted": "भूमिका हटवली",
+    "roles.loadError": "भूमिका लोड करता आल्या नाहीत",
+    "roles.saveError": "भूमिका जतन करता आली नाही",
+    "roles.deleteError": "भूमिका हटवता आली नाही",
+    "roles.group.donations": "देणग्या",
+    "roles.group.expenses": "खर्च",
+    "roles.group.rent": "भाडे",
+    "roles.group.loans": "कर्जे",
+    "roles.group.accounts": "लेखा",
+    "roles.group.approvals": "मंजुरी",
+    "roles.group.reports": "अहवाल",
+    "roles.group.administration": "प्रशासन",
+    "categories.title": "श्रेणी",
+    "categories.type.Donation": "देणगी श्रेणी",
+    "categories.type.Expense": "खर्च श्रेणी",
+    "categories.list": "श्रेणी",
+    "categories.none": "अजून एकही श्रेणी नाही",
+    "categories.add": "श्रेणी जोडा",
+    "categories.addSub": "उप-श्रेणी जोडा",
+    "categories.addDesc": "हा कोड त्याखालील प्रत्येक नोंदीत साठवला जातो आणि नंतर बदलता येत नाही.",
+    "categories.edit": "संपादित करा",
+    "categories.editDesc": "नावे, सक्रिय स्थिती आणि नियम बदलता येतात; कोड तसाच राहतो.",
+    "categories.code": "कोड",
+    "categories.labelEn": "इंग्रजी नाव",
+    "categories.labelMr": "मराठी नाव",
+    "categories.active": "सक्रिय (फॉर्ममध्ये दिसते)",
+    "categories.inactive": "निष्क्रिय",
+    "categories.rules": "नियम",
+    "categories.perPerson": "प्रति कुटुंब सदस्य रक्कम",
+    "categories.perPersonHint": "देणगीत कुटुंब सदस्यांची संख्या आणि प्रति व्यक्ती रक्कम विचारली जाते आणि एकूण रक्कम त्यांचा गुणाकार असते, वर्गणीप्रमाणे.",
+    "categories.subCategories": "उप-श्रेणी",
+    "categories.subCategoryCount": "उप-श्रेणी",
+    "categories.noSubCategories": "उप-श्रेणी नाहीत; नोंदी फक्त श्रेणीखाली ठेवल्या जातात.",
+    "categories.save": "जतन करा",
+    "categories.create": "तयार करा",
+    "categories.delete": "हटवा",
+    "categories.deleteConfirm": "ही नोंद हटवायची? ज्याखाली एकही नोंद नाही तीच हटवता येते; इतर निष्क्रिय करा.",
+    "categories.moveUp": "वर हलवा",
+    "categories.moveDown": "खाली हलवा",
+    "categories.saved": "श्रेणी जतन केली",
+    "categories.created": "श्रेणी जोडली",
+    "categories.deleted": "श्रेणी हटवली",
+    "categories.loadError": "श्रेणी लोड करता आल्या नाहीत",
+    "categories.saveError": "श्रेणी जतन करता आली नाही",
+    "categories.deleteError": "श्रेणी हटवता आली नाही",
+    "budget.title": "अंदाजपत्रक विरुद्ध प्रत्यक्ष",
+    "budget.year": "आर्थिक वर्ष",
+    "budget.add": "अंदाजपत्रक ठरवा",
+    "budget.none": "या वर्षासाठी अंदाजपत्रक किंवा खर्च नाही",
+    "budget.category": "श्रेणी",
+    "budget.subCategory": "उप-श्रेणी",
+    "budget.wholeCategory": "संपूर्ण श्रेणी",
+    "budget.selectCategory": "श्रेणी निवडा",
+    "budget.budget": "अंदाजपत्रक",
+    "budget.actual": "प्रत्यक्ष",
+    "budget.variance": "फरक",
+    "budget.used": "वापर",
+    "budget.total": "एकूण (अंदाजपत्रक असलेल्या श्रेणी)",
+    "budget.unbudgeted": "अंदाजपत्रक नसलेल्या श्रेणींतील खर्च",
+    "budget.edit": "अंदाजपत्रक ठरवा:",
+    "budget.delete": "अंदाजपत्रक काढा:",
+    "budget.setTitle": "अंदाजपत्रक ठरवा",
+    "budget.setDesc": "या श्रेणी किंवा उप-श्रेणीसाठी नियोजित रक्कम, वर्ष",
+    "budget.amount": "रक्कम",
+    "budget.notes": "टीप",
+    "budget.save": "अंदाजपत्रक जतन करा",
+    "budget.saved": "अंदाजपत्रक जतन केले",
+    "budget.saveError": "अंदाजपत्रक जतन करता आले नाही",
+    "budget.deleteConfirm": "हे अंदाजपत्रक काढायचे?",
+    "budget.deleted": "अंदाजपत्रक काढले",
+    "budget.deleteError": "अंदाजपत्रक काढता आले नाही",
+    "budget.loadError": "अंदाजपत्रक अहवाल लोड करता आला नाही",
+    "budget.projected": "या खर्चासह",
+    "budget.over": "जास्त",
+    "budget.overWarning": "हा खर्च अंदाजपत्रकापेक्षा जास्त होतो:",
+    "budget.saveAnyway": "तरीही जतन करायचा?",
+    "approvals.title": "मंजुरीच्या प्रतीक्षेत",
+    "approvals.submitted": "मंजुरीसाठी पाठवले. दुसऱ्या अधिकृत वापरकर्त्याने मंजूर केल्यावरच ते लागू होईल.",
+    "approvals.requestedBy": "विनंती करणारे",
+    "approvals.field": "क्षेत्र",
+    "approvals.from": "सध्याचे",
+    "approvals.to": "प्रस्तावित",
+    "approvals.note": "टीप (ऐच्छिक)",
+    "approvals.approve": "मंजूर करा",
+    "approvals.reject": "नाकारा",
+    "approvals.withdraw": "मागे घ्या",
+    "approvals.approved": "बदल मंजूर करून लागू केला",
+    "approvals.rejected": "बदल नाकारला",
+    "approvals.withdrawn": "विनंती मागे घेतली",
+    "approvals.loadError": "मंजुरी रांग लोड करता आली नाही",
+    "approvals.reviewError": "पुनरावलोकन पूर्ण करता आले नाही",
+    "approvals.action.create": "नवीन",
+    "approvals.action.update": "संपादन",
+    "approvals.action.delete": "हटवणे",
+    "approvals.type.Donation": "देणगी",
+    "approvals.type.Expense": "खर्च",
+    "approvals.type.RentIncome": "भाडे भरणा",
+    "approvals.type.Utilities": "उपयोगिता",
+    "approvals.type.Salary": "पगार",
+    "audit.title": "लेखापरीक्षण नोंद",
+    "audit.verify": "साखळी तपासा",
+    "audit.chainValid": "लेखापरीक्षण नोंद अबाधित आहे",
+    "audit.chainBroken": "लेखापरीक्षण नोंदीत बदल झाला आहे, नोंद",
+    "audit.entriesChecked": "नोंदी तपासल्या",
+    "audit.verifyError": "लेखापरीक्षण नोंद तपासण्यात अयशस्वी",
+    "audit.loadError": "लेखापरीक्षण नोंद लोड करण्यात अयशस्वी",
+    "audit.user": "वापरकर्ता",
+    "audit.entity": "नोंद प्रकार",
+    "audit.entityId": "नोंद ID",
+    "audit.from": "पासून",
+    "audit.to": "पर्यंत",
+    "audit.reset": "रीसेट",
+    "audit.empty": "या फिल्टरशी जुळणारे कोणतेही बदल नाहीत.",
+    "audit.when": "केव्हा",
+    "audit.action": "कृती",
+    "audit.changes": "बदल",
+    "audit.system": "प्रणाली",
+    "audit.entries": "नोंदी",
+    "audit.previous": "मागील पान",
+    "audit.next": "पुढील पान",
+    "audit.entity.User": "वापरकर्ता",
+    "audit.entity.Shop": "दुकान",
+    "audit.entity.Tenant": "भाडेकरू",
+    "audit.entity.Agreement": "करार",
+    "audit.entity.Loan": "कर्ज",
+    "audit.entity.RentPenalty": "दंड",
+    "audit.entity.Transaction": "व्यवहार",
+    "audit.entity.Donor": "देणगीदार",
+    "audit.entity.Attachment": "जोडलेली फाइल",
+    "audit.entity.Category": "श्रेणी",
+    "audit.entity.Budget": "अंदाजपत्रक",
+    "audit.action.create": "नवीन",
+    "audit.action.update": "संपादन",
+    "audit.action.delete": "हटवणे",
+    "audit.action.restore": "पुनर्संचयित",
+    "audit.action.purge": "कायमचे हटवणे",
+    "donors.title": "देणगीदार",
+    "donors.search": "देणगीदार शोधा",
+    "donors.searchPlaceholder": "नाव, फोन किंवा PAN",
+    "donors.empty": "एकही देणगीदार सापडला नाही.",
+    "donors.name": "नाव",
+    "donors.phone": "फोन",
+    "donors.address": "पत्ता",
+    "donors.gotra": "गोत्र / कुटुंब",
+    "donors.pan": "PAN",
+    "donors.donations": "देणग्या",
+    "donors.totalGiven": "एकूण देणगी",
+    "donors.total": "एकूण",
+    "donors.lastDonation": "शेवटची देणगी",
+    "donors.givingSince": "पहिली देणगी",
+    "donors.byYear": "आर्थिक वर्षानुसार",
+    "donors.byCategory": "श्रेणीनुसार",
+    "donors.financialYear": "आर्थिक वर्ष",
+    "donors.history": "देणग्या",
+    "donors.receipt": "पावती",
+    "donors.writtenAs": "नोंदवलेले नाव",
+    "donors.bounced": "बाउन्स",
+    "donors.back": "देणगीदारांकडे परत",
+    "donors.edit": "तपशील संपादित करा",
+    "donors.saved": "देणगीदार अद्यतनित केला",
+    "donors.saveError": "देणगीदार अद्यतनित करण्यात अयशस्वी",
+    "donors.panInvalid": "PAN मध्ये ५ अक्षरे, ४ अंक आणि एक अक्षर असावे",
+    "donors.loadError": "देणगीदार लोड करण्यात अयशस्वी",
+    "donors.suggestions": "ओळखीचे देणगीदार",
+    "donors.givenTimes": "{count} देणग्या · {amount}",
+    "donors.linked": "ओळखीच्या देणगीदाराशी जोडले",
+    "donors.unlink": "वेगळा देणगीदार म्हणून नोंदवा",
+    "donors.findDuplicates": "दुहेरी नोंदी शोधा",
+    "donors.duplicates": "संभाव्य दुहेरी नोंदी",
+    "donors.noDuplicates": "दुहेरी देणगीदार सापडले नाहीत.",
+    "donors.reason.phone": "समान फोन",
+    "donors.reason.name": "मिळतेजुळते नाव",
+    "donors.keep": "ठेवा",
+    "donors.mergeIn": "विलीन करा",
+    "donors.merge": "देणगीदार विलीन करा",
+    "donors.mergeConfirm": "निवडलेले देणगीदार विलीन करायचे? त्यांच्या देणग्या ठेवलेल्या देणगीदाराकडे जातील आणि ते काढले जातील.",
+    "donors.merged": "देणगीदार विलीन केले",
+    "donors.mergeError": "देणगीदार विलीन करण्यात अयशस्वी",
+    "donors.linkDonations": "जुन्या देणग्या जोडा",
+    "donors.linkedDonations": "{linked} देणग्या जोडल्या, {created} देणगीदार जोडले",
+    "donors.linkError": "देणग्या जोडण्यात अयशस्वी",
+    "tax80g.badge": "80G",
+    "tax80g.eligible": "80G प्रमाणपत्रास पात्र",
+    "tax80g.printCertificate": "80G प्रमाणपत्र",
+    "tax80g.certificateError": "80G प्रमाणपत्र तयार करण्यात अयशस्वी",
+    "tax80g.annualStatement": "80G विवरणपत्र",
+    "tax80g.statementError": "80G विवरणपत्र तयार करण्यात अयशस्वी",
+    "tax80g.panNeeded": "80G प्रमाणपत्रांसाठी देणगीदाराचा पॅन जोडा",
+    "tax80g.donorPanField": "देणगीदाराचा पॅन",
+    "tax80g.donorPanHint": "80G कर सवलत प्रमाणपत्रासाठी आवश्यक",
+    "tax80g.certificateTitle": "कलम 80G अंतर्गत देणगी प्रमाणपत्र",
+    "tax80g.statementTitle": "कलम 80G अंतर्गत देणग्यांचे विवरणपत्र",
+    "tax80g.act": "आयकर अधिनियम, 1961",
+    "tax80g.trustPan": "संस्थेचा पॅन",
+    "tax80g.urn": "80G नोंदणी (URN)",
+    "tax80g.urnDate": "URN दिनांक",
+    "tax80g.financialYear": "आर्थिक वर्ष",
+    "tax80g.donorName": "देणगीदार",
+    "tax80g.donorPan": "देणगीदाराचा पॅन",
+    "tax80g.donorAddress": "पत्ता",
+    "tax80g.total": "एकूण",
+    "tax80g.declaration": "प्रमाणित करण्यात येते की येथे नमूद देणगी आयकर अधिनियम, 1961 च्या कलम 80G अंतर्गत मान्यताप्राप्त संस्थेस मिळाली आहे. ती त्या कलमाच्या मर्यादेत वजावटीस पात्र आहे आणि संस्थेच्या फॉर्म 10BD विवरणपत्रात नोंदवली जाते.",
+    "tax80g.form10bd": "फॉर्म 10BD",
+    "tax80g.form10bdTitle": "फॉर्म 10BD निर्यात",
+    "tax80g.form10bdDescription": "आर्थिक वर्षात जमा झालेल्या पात्र देणग्या, प्रत्येक देणगीदार व प्राप्ती पद्धतीसाठी एक ओळ, आयकर पोर्टलच्या नमुन्यातील स्तंभक्रमाने.",
+    "tax80g.download": "CSV डाउनलोड करा",
+    "tax80g.form10bdDone": "{count} ओळी निर्यात केल्या",
+    "tax80g.form10bdEmpty": "{year} मध्ये पॅन असलेल्या देणगीदारांकडून पात्र देणग्या नाहीत",
+    "tax80g.form10bdError": "फॉर्म 10BD तयार करण्यात अयशस्वी",
+    "tax80g.missingPan": "पॅन नसलेले {count} देणगीदार वगळले ({amount}). त्यांचे पॅन जोडून पुन्हा निर्यात करा.",
+    "trash.title": "कचरापेटी",
+    "trash.empty": "कचरापेटी रिकामी आहे.",
+    "trash.record": "नोंद",
+    "trash.amount": "रक्कम",
+    "trash.deletedAt": "हटवल्याची तारीख",
+    "trash.deletedBy": "हटवणारा",
+    "trash.actions": "कृती",
+    "trash.deletedWithAgreement": "करारासोबत हटवले; परत आणण्यासाठी करार पुनर्संचयित करा",
+    "trash.restore": "पुनर्संचयित करा",
+    "trash.purge": "कायमचे हटवा",
+    "trash.purgeConfirm": "ही नोंद कायमची हटवायची? हे पूर्ववत करता येणार नाही.",
+    "trash.restored": "नोंद पुनर्संचयित केली",
+    "trash.purged": "नोंद कायमची हटवली",
+    "trash.loadError": "कचरापेटी लोड करण्यात अयशस्वी",
+    "trash.restoreError": "नोंद पुनर्संचयित करण्यात अयशस्वी",
+    "trash.purgeError": "नोंद हटवण्यात अयशस्वी",
+    "users.loginHistoryDesc": "अलीकडील लॉगिन प्रयत्न",
+    "users.loginHistoryError": "लॉगिन इतिहास लोड करण्यात अयशस्वी",
+    "users.noLoginHistory": "अद्याप कोणतेही लॉगिन प्रयत्न नोंदलेले नाहीत.",
+    "users.loginTime": "वेळ",
+    "users.ipAddress": "IP पत्ता",
+    "users.device": "उपकरण",
+    "users.result": "निकाल",
+    "users.loginSuccess": "यशस्वी",
+    "users.loginFailed": "अयशस्वी",
+    "users.newDevice": "नवीन उपकरण",
+    "users.failure.InvalidPassword": "चुकीचा पासवर्ड",
+    "users.failure.AccountLocked": "खाते लॉक",
+    "users.failure.AccountInactive": "खाते निष्क्रिय",
+    "users.failure.UnknownAccount": "अज्ञात खाते",
+    "users.failure.InvalidTwoFactorCode": "चुकीचा 2FA कोड",
+    "users.resetTwoFactor": "द्वि-स्तरीय प्रमाणीकरण रीसेट करा",
+    "users.resetTwoFactorConfirm": "या वापरकर्त्याचे द्वि-स्तरीय प्रमाणीकरण रीसेट करायचे? त्यांना ते पुन्हा सेट करावे लागेल.",
+    "users.twoFactorReset": "द्वि-स्तरीय प्रमाणीकरण रीसेट केले",
+    "users.resetTwoFactorError": "द्वि-स्तरीय प्रमाणीकरण रीसेट करण्यात अयशस्वी",
 
     // Common
     "common.actions": "कृती",
@@ -1408,6 +2389,18 @@ const translations = {
     "documents.removeDocument": "दस्तऐवज काढा",
     "documents.noPreview": "पूर्वावलोकन उपलब्ध नाही",
     "documents.downloadToView": "पाहण्यासाठी डाउनलोड करा",
+
+    // Attachments
+    "attachments.title": "जोडलेल्या फाइल्स",
+    "attachments.manage": "जोडलेल्या फाइल्स",
+    "attachments.add": "फाइल्स जोडा",
+    "attachments.scan": "स्कॅन करा",
+    "attachments.uploading": "अपलोड होत आहे...",
+    "attachments.none": "अद्याप कोणतीही फाइल जोडलेली नाही",
+    "attachments.confirmDelete": "ही फाइल हटवायची?",
+    "attachments.loadError": "जोडलेल्या फाइल्स लोड करण्यात अयशस्वी",
+    "attachments.requiredAbove": "{amount} पेक्षा जास्त खर्चासाठी बिल किंवा इतर फाइल जोडणे आवश्यक आहे",
+    "attachments.paymentProof": "धनादेशाचा फोटो / पावती",
   },
 };
 
@@ -1438,7 +2431,8 @@ export function LanguageProvider({ children }: LanguageProviderProps) {
     console.log('[LanguageProvider] Language saved to localStorage:', lang);
   };
 
-  const t = (key: string): string => {
+  // Stable per language, so screens can list it in effect dependencies
+  const t = useCallback((key: string): string => {
     const translation = translations[language][
       key as keyof (typeof translations)[typeof language]
     ] || key;
@@ -1450,7 +2444,7 @@ export function LanguageProvider({ children }: LanguageProviderProps) {
     }
     
     return translation;
-  };
+  }, [language]);
 
   console.log('[LanguageProvider] Rendering with language:', language);
 
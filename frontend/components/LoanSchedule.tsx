@@ -0,0 +1,209 @@
+import { useState, useEffect } from "react";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { Badge } from "./ui/badge";
+import { Button } from "./ui/button";
+import { Alert, AlertDescription } from "./ui/alert";
+import { AlertCircle, Calculator, CreditCard } from "lucide-react";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { LoanInstallment } from "../src/types";
+
+interface LoanScheduleProps {
+  loan: {
+    id: string;
+    tenantName: string;
+    status: string;
+    outstandingBalance: number;
+    totalRepaid: number;
+  } | null;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+  onRepay: (
+    loanId: string,
+    repayment: { amount: number; date?: string }
+  ) => Promise<void> | void;
+}
+
+const statusColor = (installment: LoanInstallment, today: string) => {
+  if (installment.status === "Paid") return "bg-green-100 text-green-800";
+  if (installment.dueDate < today) return "bg-red-100 text-red-800";
+  if (installment.status === "Partial") return "bg-yellow-100 text-yellow-800";
+  return "bg-gray-100 text-gray-800";
+};
+
+export default function LoanSchedule({
+  loan,
+  open,
+  onOpenChange,
+  onRepay,
+}: LoanScheduleProps) {
+  const { t } = useLanguage();
+  const [installments, setInstallments] = useState<LoanInstallment[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [paying, setPaying] = useState(false);
+  const today = new Date().toISOString().split("T")[0];
+
+  // Reloaded after each repayment, which changes the total repaid
+  const loanId = loan?.id;
+  const totalRepaid = loan?.totalRepaid;
+  useEffect(() => {
+    if (!open || !loanId) {
+      setInstallments([]);
+      setError(null);
+      return;
+    }
+
+    setLoading(true);
+    setError(null);
+    apiClient
+      .getLoanSchedule(loanId)
+      .then((schedule) => setInstallments(schedule ?? []))
+      .catch((err: any) => setError(err.message || t("loans.scheduleError")))
+      .finally(() => setLoading(false));
+  }, [open, loanId, totalRepaid, t]);
+
+  const nextInstallment = installments.find((i) => i.status !== "Paid");
+  const nextAmountDue = nextInstallment
+    ? Math.round(
+        (nextInstallment.emiAmount - nextInstallment.amountPaid) * 100
+      ) / 100
+    : 0;
+
+  // Pays whatever is left on the oldest open installment; the parent
+  // updates the loan, which reloads the schedule
+  const handlePayNext = async () => {
+    if (!loan || !nextInstallment) return;
+    setPaying(true);
+    try {
+      await onRepay(loan.id, {
+        amount: nextAmountDue,
+        date: today,
+      });
+    } finally {
+      setPaying(false);
+    }
+  };
+
+  const formatAmount = (amount: number) =>
+    `${t("common.currency")}${amount.toLocaleString("en-IN")}`;
+
+  const statusLabel = (installment: LoanInstallment) => {
+    if (installment.status !== "Paid" && installment.dueDate < today) {
+      return t("loans.installmentOverdue");
+    }
+    return t(`loans.installment${installment.status}`);
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Calculator className="h-5 w-5" />
+            {t("loans.schedule")}
+          </DialogTitle>
+          <DialogDescription>
+            {loan?.tenantName} · {t("loans.outstandingBalance")}:{" "}
+            {loan ? formatAmount(loan.outstandingBalance) : ""}
+          </DialogDescription>
+        </DialogHeader>
+
+        {nextInstallment && loan?.status !== "Completed" && (
+          <div className="flex items-center justify-between rounded-lg border p-3">
+            <span className="text-sm">
+              {t("loans.nextInstallment")} #{nextInstallment.installmentNumber}{" "}
+              ({nextInstallment.dueDate}): {formatAmount(nextAmountDue)}
+            </span>
+            <Button size="sm" onClick={handlePayNext} disabled={paying}>
+              <CreditCard className="h-4 w-4" />
+              {t("loans.payEmi")}
+            </Button>
+          </div>
+        )}
+
+        {error && (
+          <Alert>
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {loading ? (
+          <p className="text-sm text-gray-500">{t("common.loading")}</p>
+        ) : (
+          installments.length > 0 && (
+            <div className="overflow-x-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>#</TableHead>
+                    <TableHead>{t("loans.dueDate")}</TableHead>
+                    <TableHead className="text-right">
+                      {t("loans.monthlyEmi")}
+                    </TableHead>
+                    <TableHead className="text-right">
+                      {t("loans.principal")}
+                    </TableHead>
+                    <TableHead className="text-right">
+                      {t("loans.interest")}
+                    </TableHead>
+                    <TableHead className="text-right">
+                      {t("loans.closingBalance")}
+                    </TableHead>
+                    <TableHead className="text-right">
+                      {t("loans.amountPaid")}
+                    </TableHead>
+                    <TableHead>{t("loans.loanStatus")}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {installments.map((installment) => (
+                    <TableRow key={installment.id}>
+                      <TableCell>{installment.installmentNumber}</TableCell>
+                      <TableCell>{installment.dueDate}</TableCell>
+                      <TableCell className="text-right">
+                        {formatAmount(installment.emiAmount)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatAmount(installment.principalComponent)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatAmount(installment.interestComponent)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatAmount(installment.closingBalance)}
+                      </TableCell>
+                      <TableCell className="text-right">
+                        {formatAmount(installment.amountPaid)}
+                      </TableCell>
+                      <TableCell>
+                        <Badge className={statusColor(installment, today)}>
+                          {statusLabel(installment)}
+                        </Badge>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
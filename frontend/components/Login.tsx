@@ -6,9 +6,12 @@ import { Label } from "./ui/label";
 import { Alert, AlertDescription } from "./ui/alert";
 import { Eye, EyeOff, User, Lock } from "lucide-react";
 import LanguageSwitcher from "./LanguageSwitcher";
+import ForgotPassword from "./ForgotPassword";
+import TwoFactorLogin from "./TwoFactorLogin";
 import { useLanguage } from "./LanguageContext";
 import { useAuth } from "../src/context/AuthContext";
 import { useEffect } from "react";
+import type { LoginChallenge } from "../src/types";
 
 export default function Login() {
   const { t, language } = useLanguage();
@@ -16,6 +19,8 @@ export default function Login() {
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [showPassword, setShowPassword] = useState(false);
+  const [showForgotPassword, setShowForgotPassword] = useState(false);
+  const [challenge, setChallenge] = useState<LoginChallenge | null>(null);
 
   // Log component mount and language change
   useEffect(() => {
@@ -48,7 +53,12 @@ export default function Login() {
 
     try {
       console.log('[Login] Attempting login...');
-      await login({ email, password });
+      const result = await login({ email, password });
+      if (result) {
+        console.log('[Login] Two-factor step required:', result.twoFactor);
+        setPassword("");
+        setChallenge(result);
+      }
       console.log('[Login] Login attempt completed');
     } catch (error) {
       console.error('[Login] Login error caught:', error);
@@ -73,6 +83,28 @@ export default function Login() {
     console.log('[Login] Password visibility toggled:', !showPassword ? 'visible' : 'hidden');
   };
 
+  if (challenge) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="absolute top-4 right-4">
+          <LanguageSwitcher />
+        </div>
+        <TwoFactorLogin challenge={challenge} onCancel={() => setChallenge(null)} />
+      </div>
+    );
+  }
+
+  if (showForgotPassword) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="absolute top-4 right-4">
+          <LanguageSwitcher />
+        </div>
+        <ForgotPassword onBack={() => setShowForgotPassword(false)} />
+      </div>
+    );
+  }
+
   return (
     <div className="min-h-screen flex items-center justify-center p-4">
       <div className="absolute top-4 right-4">
@@ -151,6 +183,15 @@ export default function Login() {
                   )}
                 </button>
               </div>
+              <div className="mt-1 text-right">
+                <button
+                  type="button"
+                  onClick={() => setShowForgotPassword(true)}
+                  className="text-sm text-orange-600 hover:underline"
+                >
+                  {t("login.forgotPassword")}
+                </button>
+              </div>
             </div>
 
             <Button
@@ -0,0 +1,180 @@
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { AlertCircle } from "lucide-react";
+import { useLanguage } from "./LanguageContext";
+import type { PaymentMode } from "../src/types";
+
+export const PAYMENT_MODES: PaymentMode[] = ["Cash", "UPI", "Cheque", "Bank Transfer"];
+
+// Translation key suffix for each payment mode (payment.<key>)
+export const paymentModeKey = (mode?: string) => {
+  switch (mode) {
+    case "UPI":
+      return "upi";
+    case "Cheque":
+      return "cheque";
+    case "Bank Transfer":
+      return "bankTransfer";
+    default:
+      return "cash";
+  }
+};
+
+export interface PaymentDetails {
+  paymentMode: PaymentMode;
+  paymentReference: string;
+  chequeDate: string;
+}
+
+export interface PaymentDetailsErrors {
+  paymentReference?: string;
+  chequeDate?: string;
+}
+
+export const emptyPaymentDetails: PaymentDetails = {
+  paymentMode: "Cash",
+  paymentReference: "",
+  chequeDate: "",
+};
+
+export const paymentDetailsFrom = (transaction: any): PaymentDetails => ({
+  paymentMode: transaction?.paymentMode || "Cash",
+  paymentReference: transaction?.paymentReference || "",
+  chequeDate: transaction?.chequeDate || "",
+});
+
+// Mirrors the backend rule: every non-cash payment needs a reference, cheques also need a date
+export const validatePaymentDetails = (
+  details: PaymentDetails,
+  t: (key: string) => string
+): PaymentDetailsErrors => {
+  const errors: PaymentDetailsErrors = {};
+  if (details.paymentMode !== "Cash" && !details.paymentReference.trim()) {
+    errors.paymentReference =
+      details.paymentMode === "Cheque"
+        ? t("payment.chequeNumberRequired")
+        : t("payment.referenceRequired");
+  }
+  if (details.paymentMode === "Cheque" && !details.chequeDate) {
+    errors.chequeDate = t("payment.chequeDateRequired");
+  }
+  return errors;
+};
+
+// Request body fields; cash payments carry no reference or cheque date
+export const toPaymentPayload = (details: PaymentDetails) => ({
+  paymentMode: details.paymentMode,
+  paymentReference:
+    details.paymentMode === "Cash" ? undefined : details.paymentReference.trim(),
+  chequeDate: details.paymentMode === "Cheque" ? details.chequeDate : undefined,
+});
+
+interface PaymentModeFieldsProps {
+  value: PaymentDetails;
+  onChange: (value: PaymentDetails) => void;
+  errors?: PaymentDetailsErrors;
+  idPrefix?: string;
+}
+
+// Renders its fields as grid cells so it slots into the parent form's grid
+export default function PaymentModeFields({
+  value,
+  onChange,
+  errors = {},
+  idPrefix = "payment",
+}: PaymentModeFieldsProps) {
+  const { t } = useLanguage();
+
+  const referenceLabel = () => {
+    switch (value.paymentMode) {
+      case "Cheque":
+        return t("payment.chequeNumber");
+      case "UPI":
+        return t("payment.upiReference");
+      default:
+        return t("payment.bankReference");
+    }
+  };
+
+  const handleModeChange = (mode: string) => {
+    onChange({
+      paymentMode: mode as PaymentMode,
+      paymentReference: mode === "Cash" ? "" : value.paymentReference,
+      chequeDate: mode === "Cheque" ? value.chequeDate : "",
+    });
+  };
+
+  return (
+    <>
+      <div>
+        <Label htmlFor={`${idPrefix}Mode`}>{t("payment.mode")} *</Label>
+        <Select value={value.paymentMode} onValueChange={handleModeChange}>
+          <SelectTrigger id={`${idPrefix}Mode`}>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+            {PAYMENT_MODES.map((mode) => (
+              <SelectItem
+                key={mode}
+                value={mode}
+                className="hover:font-bold hover:bg-gray-100"
+              >
+                {t(`payment.${paymentModeKey(mode)}`)}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {value.paymentMode !== "Cash" && (
+        <div>
+          <Label htmlFor={`${idPrefix}Reference`}>{referenceLabel()} *</Label>
+          <Input
+            id={`${idPrefix}Reference`}
+            maxLength={100}
+            placeholder={referenceLabel()}
+            value={value.paymentReference}
+            onChange={(e) =>
+              onChange({ ...value, paymentReference: e.target.value })
+            }
+            className={errors.paymentReference ? "border-red-500" : ""}
+          />
+          {errors.paymentReference && (
+            <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+              <AlertCircle className="h-4 w-4" />
+              {errors.paymentReference}
+            </p>
+          )}
+        </div>
+      )}
+
+      {value.paymentMode === "Cheque" && (
+        <div>
+          <Label htmlFor={`${idPrefix}ChequeDate`}>
+            {t("payment.chequeDate")} *
+          </Label>
+          <Input
+            id={`${idPrefix}ChequeDate`}
+            type="date"
+            value={value.chequeDate}
+            onChange={(e) => onChange({ ...value, chequeDate: e.target.value })}
+            className={errors.chequeDate ? "border-red-500" : ""}
+          />
+          {errors.chequeDate && (
+            <p className="text-sm text-red-500 mt-1 flex items-center gap-1">
+              <AlertCircle className="h-4 w-4" />
+              {errors.chequeDate}
+            </p>
+          )}
+        </div>
+      )}
+    </>
+  );
+}
@@ -0,0 +1,181 @@
+import { useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Badge } from "./ui/badge";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { Check, ShieldCheck, Undo2, X } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import { AttachmentStrip, useAttachmentsFor } from "./Attachments";
+import apiClient from "../src/utils/api";
+import type { ChangeRequest } from "../src/types";
+
+interface PendingApprovalsProps {
+  currentUser?: any;
+  // Called after an approved change has been written, so totals can reload
+  onApplied?: () => void;
+}
+
+const formatValue = (value: unknown) =>
+  value === null || value === undefined || value === "" ? "—" : String(value);
+
+// The approval queue: edits, deletions and large expenses waiting for a
+// second user. Hidden when nothing is waiting.
+export default function PendingApprovals({ currentUser, onApplied }: PendingApprovalsProps) {
+  const { t } = useLanguage();
+  const [requests, setRequests] = useState<ChangeRequest[]>([]);
+  const [notes, setNotes] = useState<Record<string, string>>({});
+  const [busyId, setBusyId] = useState<string | null>(null);
+  // Bills sent with a held expense; they move to the expense once it is approved
+  const { byEntity: attachments } = useAttachmentsFor(
+    "change_request",
+    requests.map((request) => request.id)
+  );
+
+  useEffect(() => {
+    apiClient
+      .getApprovals("Pending")
+      .then((pending) => setRequests(pending ?? []))
+      .catch((err: any) => toast.error(err.message || t("approvals.loadError")));
+  }, [t]);
+
+  const review = async (
+    request: ChangeRequest,
+    action: () => Promise<unknown>,
+    successKey: string
+  ) => {
+    setBusyId(request.id);
+    try {
+      await action();
+      setRequests((current) => current.filter((r) => r.id !== request.id));
+      toast.success(t(successKey));
+      if (successKey === "approvals.approved") onApplied?.();
+    } catch (err: any) {
+      toast.error(err.message || t("approvals.reviewError"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (requests.length === 0) return null;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5" />
+          {t("approvals.title")}
+          <Badge className="bg-amber-100 text-amber-800">{requests.length}</Badge>
+        </CardTitle>
+      </CardHeader>
+      <CardContent className="space-y-6">
+        {requests.map((request) => {
+          const note = notes[request.id]?.trim() || undefined;
+          const isOwn = request.requestedBy === currentUser?.id;
+          return (
+            <div key={request.id} className="rounded-md border p-4 space-y-3">
+              <div className="flex flex-wrap items-center justify-between gap-2">
+                <div>
+                  <div className="font-medium">
+                    {t(`approvals.action.${request.action}`)} · {t(`approvals.type.${request.entityType}`)}
+                    {request.amount !== null &&
+                      ` · ${t("common.currency")}${request.amount.toLocaleString("en-IN")}`}
+                  </div>
+                  <div className="text-sm text-gray-500">
+                    {t("approvals.requestedBy")} {request.requestedByName || request.requestedBy},{" "}
+                    {new Date(request.requestedAt).toLocaleString("en-IN")}
+                  </div>
+                </div>
+              </div>
+
+              {request.changes.length > 0 && (
+                <Table>
+                  <TableHeader>
+                    <TableRow>
+                      <TableHead>{t("approvals.field")}</TableHead>
+                      <TableHead>{t("approvals.from")}</TableHead>
+                      <TableHead>{t("approvals.to")}</TableHead>
+                    </TableRow>
+                  </TableHeader>
+                  <TableBody>
+                    {request.changes.map((change) => (
+                      <TableRow key={change.field}>
+                        <TableCell className="font-mono text-xs">{change.field}</TableCell>
+                        <TableCell className="text-red-600">{formatValue(change.from)}</TableCell>
+                        <TableCell className="text-green-700">{formatValue(change.to)}</TableCell>
+                      </TableRow>
+                    ))}
+                  </TableBody>
+                </Table>
+              )}
+
+              {attachments[request.id] && (
+                <div className="flex items-center gap-2 text-sm text-gray-600">
+                  {t("attachments.title")}:
+                  <AttachmentStrip attachments={attachments[request.id]} max={5} />
+                </div>
+              )}
+
+              {request.canReview && (
+                <div className="flex flex-wrap items-center gap-2">
+                  <Input
+                    className="max-w-sm"
+                    placeholder={t("approvals.note")}
+                    aria-label={t("approvals.note")}
+                    value={notes[request.id] || ""}
+                    onChange={(e) => setNotes({ ...notes, [request.id]: e.target.value })}
+                    maxLength={500}
+                  />
+                  <Button
+                    size="sm"
+                    disabled={busyId === request.id}
+                    onClick={() =>
+                      review(request, () => apiClient.approveChange(request.id, note), "approvals.approved")
+                    }
+                  >
+                    <Check className="h-4 w-4 mr-1" />
+                    {t("approvals.approve")}
+                  </Button>
+                  <Button
+                    size="sm"
+                    variant="outline"
+                    className="text-red-600 hover:text-red-700"
+                    disabled={busyId === request.id}
+                    onClick={() =>
+                      review(request, () => apiClient.rejectChange(request.id, note), "approvals.rejected")
+                    }
+                  >
+                    <X className="h-4 w-4 mr-1" />
+                    {t("approvals.reject")}
+                  </Button>
+                </div>
+              )}
+
+              {isOwn && (
+                <Button
+                  size="sm"
+                  variant="outline"
+                  disabled={busyId === request.id}
+                  onClick={() =>
+                    review(request, () => apiClient.cancelChange(request.id), "approvals.withdrawn")
+                  }
+                >
+                  <Undo2 className="h-4 w-4 mr-1" />
+                  {t("approvals.withdraw")}
+                </Button>
+              )}
+            </div>
+          );
+        })}
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,367 @@
+import { useState, useEffect, useCallback } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogFooter,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import { Badge } from "./ui/badge";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Alert, AlertDescription } from "./ui/alert";
+import { AlertCircle, Check, Landmark, X } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import { hasPermission } from "../src/utils/permissions";
+import type { ClearingStatus, Transaction } from "../src/types";
+
+interface PendingChequesProps {
+  currentUser: any;
+  // Called after a cheque is cleared or bounced so the caller can reload
+  // transactions, invoices and loans that the change touched
+  onChanged?: () => void;
+}
+
+type StatusFilter = ClearingStatus | "all";
+
+const statusColor = (status?: string) => {
+  switch (status) {
+    case "Cleared":
+      return "bg-green-100 text-green-800";
+    case "Bounced":
+      return "bg-red-100 text-red-800";
+    default:
+      return "bg-yellow-100 text-yellow-800";
+  }
+};
+
+const todayString = () => new Date().toISOString().split("T")[0];
+
+export default function PendingCheques({
+  currentUser,
+  onChanged,
+}: PendingChequesProps) {
+  const { t } = useLanguage();
+  const [status, setStatus] = useState<StatusFilter>("Pending");
+  const [cheques, setCheques] = useState<Transaction[]>([]);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Cheque being cleared or bounced, and the dialog's fields
+  const [action, setAction] = useState<{
+    kind: "clear" | "bounce";
+    cheque: Transaction;
+  } | null>(null);
+  const [actionDate, setActionDate] = useState(todayString());
+  const [bounceReason, setBounceReason] = useState("");
+  const [bounceCharge, setBounceCharge] = useState("");
+  const [saving, setSaving] = useState(false);
+
+  const canModify = hasPermission(currentUser, "cheque.manage");
+
+  const loadCheques = useCallback(() => {
+    setLoading(true);
+    setError(null);
+    apiClient
+      .getCheques(status)
+      .then((list) => setCheques(list ?? []))
+      .catch((err: any) => setError(err.message || t("cheques.loadError")))
+      .finally(() => setLoading(false));
+  }, [status, t]);
+
+  useEffect(() => {
+    loadCheques();
+  }, [loadCheques]);
+
+  const openAction = (kind: "clear" | "bounce", cheque: Transaction) => {
+    setAction({ kind, cheque });
+    setActionDate(todayString());
+    setBounceReason("");
+    setBounceCharge("");
+  };
+
+  const handleConfirm = async () => {
+    if (!action) return;
+    const charge = parseFloat(bounceCharge);
+    if (action.kind === "bounce" && bounceCharge && (isNaN(charge) || charge < 0)) {
+      toast.error(t("cheques.bounceChargeInvalid"));
+      return;
+    }
+
+    setSaving(true);
+    try {
+      if (action.kind === "clear") {
+        await apiClient.clearCheque(action.cheque.id, actionDate);
+        toast.success(t("cheques.clearSuccess"));
+      } else {
+        const { reopenedInvoiceIds } = await apiClient.bounceCheque(action.cheque.id, {
+          date: actionDate,
+          reason: bounceReason.trim() || undefined,
+          bounceCharge: charge > 0 ? charge : undefined,
+        });
+        const reopened = reopenedInvoiceIds?.length ?? 0;
+        toast.success(
+          reopened > 0
+            ? `${t("cheques.bounceSuccess")} (${reopened} ${t("cheques.invoicesReopened")})`
+            : t("cheques.bounceSuccess")
+        );
+      }
+      setAction(null);
+      loadCheques();
+      onChanged?.();
+    } catch (err: any) {
+      toast.error(err.message || t("cheques.actionError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const formatAmount = (amount: number) =>
+    `${t("common.currency")}${amount.toLocaleString("en-IN")}`;
+
+  const payerName = (cheque: Transaction) =>
+    cheque.donorName || cheque.tenantName || cheque.payeeName || cheque.vendor || "-";
+
+  const pendingTotal = cheques
+    .filter((c) => c.clearingStatus === "Pending")
+    .reduce((sum, c) => sum + c.amount, 0);
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Landmark className="h-5 w-5" />
+            {t("cheques.title")}
+          </CardTitle>
+          <div className="w-48">
+            <Select
+              value={status}
+              onValueChange={(value) => setStatus(value as StatusFilter)}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                {(["Pending", "Cleared", "Bounced"] as ClearingStatus[]).map((s) => (
+                  <SelectItem
+                    key={s}
+                    value={s}
+                    className="hover:font-bold hover:bg-gray-100"
+                  >
+                    {t(`payment.${s.toLowerCase()}`)}
+                  </SelectItem>
+                ))}
+                <SelectItem
+                  value="all"
+                  className="hover:font-bold hover:bg-gray-100"
+                >
+                  {t("reports.allClearingStatuses")}
+                </SelectItem>
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          {status === "Pending" && (
+            <p className="text-sm text-gray-600">
+              {t("cheques.pendingSummary")}: {cheques.length} ·{" "}
+              {formatAmount(pendingTotal)}
+            </p>
+          )}
+
+          {error && (
+            <Alert>
+              <AlertCircle className="h-4 w-4" />
+              <AlertDescription>{error}</AlertDescription>
+            </Alert>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-gray-500">{t("common.loading")}</p>
+          ) : cheques.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("cheques.none")}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("payment.chequeDate")}</TableHead>
+                  <TableHead>{t("payment.chequeNumber")}</TableHead>
+                  <TableHead>{t("common.date")}</TableHead>
+                  <TableHead>{t("donations.receiptNumber")}</TableHead>
+                  <TableHead>{t("cheques.from")}</TableHead>
+                  <TableHead className="text-right">{t("common.amount")}</TableHead>
+                  <TableHead>{t("payment.clearingStatus")}</TableHead>
+                  {canModify && (
+                    <TableHead className="text-center">{t("common.actions")}</TableHead>
+                  )}
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {cheques.map((cheque) => (
+                  <TableRow key={cheque.id}>
+                    <TableCell>{cheque.chequeDate || "-"}</TableCell>
+                    <TableCell>{cheque.paymentReference || "-"}</TableCell>
+                    <TableCell>{cheque.date}</TableCell>
+                    <TableCell>{cheque.receiptNumber || "-"}</TableCell>
+                    <TableCell>
+                      {payerName(cheque)}
+                      {cheque.shopNumber && (
+                        <div className="text-xs text-gray-500">
+                          {t("ledger.shop")}: {cheque.shopNumber}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {formatAmount(cheque.amount)}
+                    </TableCell>
+                    <TableCell>
+                      <Badge className={statusColor(cheque.clearingStatus)}>
+                        {t(`payment.${(cheque.clearingStatus || "Pending").toLowerCase()}`)}
+                      </Badge>
+                      {cheque.clearingDate && (
+                        <div className="text-xs text-gray-500">{cheque.clearingDate}</div>
+                      )}
+                      {cheque.bounceReason && (
+                        <div className="text-xs text-gray-500">{cheque.bounceReason}</div>
+                      )}
+                    </TableCell>
+                    {canModify && (
+                      <TableCell className="text-center">
+                        <div className="flex gap-2 justify-center">
+                          {cheque.clearingStatus === "Pending" && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => openAction("clear", cheque)}
+                            >
+                              <Check className="h-4 w-4" />
+                              {t("cheques.markCleared")}
+                            </Button>
+                          )}
+                          {cheque.clearingStatus !== "Bounced" && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => openAction("bounce", cheque)}
+                              className="hover:bg-red-50 hover:text-red-600"
+                            >
+                              <X className="h-4 w-4" />
+                              {t("cheques.markBounced")}
+                            </Button>
+                          )}
+                        </div>
+                      </TableCell>
+                    )}
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={!!action} onOpenChange={(open) => !open && setAction(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {action?.kind === "bounce"
+                ? t("cheques.markBounced")
+                : t("cheques.markCleared")}
+            </DialogTitle>
+            <DialogDescription>
+              {action && (
+                <>
+                  {t("payment.chequeNumber")} {action.cheque.paymentReference} ·{" "}
+                  {payerName(action.cheque)} · {formatAmount(action.cheque.amount)}
+                </>
+              )}
+            </DialogDescription>
+          </DialogHeader>
+
+          <div className="space-y-4">
+            <div>
+              <Label htmlFor="chequeActionDate">
+                {action?.kind === "bounce"
+                  ? t("cheques.bounceDate")
+                  : t("cheques.clearingDate")}
+              </Label>
+              <Input
+                id="chequeActionDate"
+                type="date"
+                value={actionDate}
+                onChange={(e) => setActionDate(e.target.value)}
+              />
+            </div>
+
+            {action?.kind === "bounce" && (
+              <>
+                <div>
+                  <Label htmlFor="bounceReason">{t("cheques.bounceReason")}</Label>
+                  <Input
+                    id="bounceReason"
+                    maxLength={255}
+                    value={bounceReason}
+                    onChange={(e) => setBounceReason(e.target.value)}
+                  />
+                </div>
+                {action.cheque.agreementId && (
+                  <div>
+                    <Label htmlFor="bounceCharge">
+                      {t("cheques.bounceCharge")} ({t("common.currency")})
+                    </Label>
+                    <Input
+                      id="bounceCharge"
+                      type="text"
+                      value={bounceCharge}
+                      onChange={(e) => {
+                        const value = e.target.value;
+                        if (value === "" || /^\d*\.?\d*$/.test(value)) {
+                          setBounceCharge(value);
+                        }
+                      }}
+                    />
+                  </div>
+                )}
+                <p className="text-sm text-red-600">{t("cheques.bounceWarning")}</p>
+              </>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setAction(null)}>
+              {t("common.cancel")}
+            </Button>
+            <Button
+              onClick={handleConfirm}
+              disabled={saving || !actionDate}
+              variant={action?.kind === "bounce" ? "destructive" : "default"}
+            >
+              {t("common.submit")}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
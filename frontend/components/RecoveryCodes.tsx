@@ -0,0 +1,58 @@
+import { Button } from "./ui/button";
+import { Alert, AlertDescription } from "./ui/alert";
+import { Copy, Download } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+
+interface RecoveryCodesProps {
+  codes: string[];
+}
+
+// Recovery codes are only ever shown once, right after they are issued
+export default function RecoveryCodes({ codes }: RecoveryCodesProps) {
+  const { t } = useLanguage();
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+      toast.success(t("twoFactor.codesCopied"));
+    } catch {
+      toast.error(t("twoFactor.copyError"));
+    }
+  };
+
+  const handleDownload = () => {
+    const blob = new Blob([codes.join("\n") + "\n"], { type: "text/plain" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = "recovery-codes.txt";
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div className="space-y-3">
+      <Alert className="border-yellow-200 bg-yellow-50">
+        <AlertDescription className="text-yellow-800">
+          {t("twoFactor.saveCodes")}
+        </AlertDescription>
+      </Alert>
+      <ul className="grid grid-cols-2 gap-2 rounded-md bg-gray-50 p-3 font-mono text-sm">
+        {codes.map((code) => (
+          <li key={code}>{code}</li>
+        ))}
+      </ul>
+      <div className="flex gap-2">
+        <Button type="button" variant="outline" size="sm" onClick={handleCopy}>
+          <Copy className="h-4 w-4 mr-2" />
+          {t("twoFactor.copyCodes")}
+        </Button>
+        <Button type="button" variant="outline" size="sm" onClick={handleDownload}>
+          <Download className="h-4 w-4 mr-2" />
+          {t("twoFactor.downloadCodes")}
+        </Button>
+      </div>
+    </div>
+  );
+}
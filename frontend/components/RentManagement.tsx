@@ -62,10 +62,23 @@ import {
   UserPlus,
   FileSignature,
   Home,
+  Paperclip,
 } from "lucide-react";
 import { useLanguage } from "./LanguageContext";
 import { toast } from "sonner";
 import apiClient from "../src/utils/api";
+import TenantStatement from "./TenantStatement";
+import LoanSchedule from "./LoanSchedule";
+import { AttachmentStrip, AttachmentsDialog, useAttachmentsFor } from "./Attachments";
+import { hasPermission } from "../src/utils/permissions";
+import { stagePickedFiles } from "../src/utils/attachments";
+import type { AttachmentEntityType } from "../src/types";
+import PaymentModeFields, {
+  type PaymentDetails,
+  emptyPaymentDetails,
+  validatePaymentDetails,
+  toPaymentPayload,
+} from "./PaymentModeFields";
 
 interface UploadedFile {
   id: string;
@@ -177,6 +190,10 @@ type RentManagementProps = {
   onUpdateAgreement: (agreementId: string, updates: Partial<Agreement>) => void;
   onAddLoan: (loanData: Omit<Loan, "id" | "createdAt">) => void;
   onUpdateLoan: (loanId: string, updates: Partial<Loan>) => void;
+  onRepayLoan: (
+    loanId: string,
+    repayment: { amount: number; date?: string }
+  ) => Promise<void> | void;
   onAddPenalty: (penaltyData: Omit<RentPenalty, "id" | "createdAt">) => void;
   onUpdatePenalty: (penaltyId: string, updates: Partial<RentPenalty>) => void;
   onRentCollection: (collectionData: {
@@ -190,6 +207,7 @@ type RentManagementProps = {
     tenantContact?: string;
     shopNumber?: string;
   }) => void;
+  currentUser?: any;
 };
 
 export default function RentManagement({
@@ -210,9 +228,11 @@ export default function RentManagement({
   onUpdateAgreement,
   onAddLoan,
   onUpdateLoan,
+  onRepayLoan,
   onAddPenalty,
   onUpdatePenalty,
   onRentCollection,
+  currentUser,
 }: RentManagementProps) {
   // Minimal, defensive helper to ensure arrays
   const toArray = <T,>(val: unknown): T[] => {
@@ -230,6 +250,23 @@ export default function RentManagement({
 
   const { t } = useLanguage();
 
+  // Documents on tenants (ID proofs) and agreements (the signed copy)
+  const { byEntity: tenantAttachments, reload: reloadTenantAttachments } = useAttachmentsFor(
+    "tenant",
+    normalizedTenants.map((tenant) => tenant.id)
+  );
+  const { byEntity: agreementAttachments, reload: reloadAgreementAttachments } = useAttachmentsFor(
+    "agreement",
+    normalizedAgreements.map((agreement) => agreement.id)
+  );
+  const [attaching, setAttaching] = useState<{
+    entityType: AttachmentEntityType;
+    entityId: string;
+    title: string;
+    description?: string;
+    canManage: boolean;
+  } | null>(null);
+
   console.log('[RentManagement] Component rendered with props:', {
     nextReceiptNumber,
     shopsCount: normalizedShops.length,
@@ -288,6 +325,7 @@ export default function RentManagement({
   const [tenantErrors, setTenantErrors] = useState<any>({});
   const [showTenantSuccessDialog, setShowTenantSuccessDialog] = useState(false);
   const [lastAddedTenant, setLastAddedTenant] = useState<any>(null);
+  const [statementTenant, setStatementTenant] = useState<Tenant | null>(null);
 
   // Agreement Form State
   const [agreementFormData, setAgreementFormData] = useState({
@@ -320,6 +358,7 @@ export default function RentManagement({
   const [loanErrors, setLoanErrors] = useState<any>({});
   const [showLoanSuccessDialog, setShowLoanSuccessDialog] = useState(false);
   const [lastAddedLoan, setLastAddedLoan] = useState<any>(null);
+  const [scheduleLoan, setScheduleLoan] = useState<Loan | null>(null);
 
   // Rent Collection Form State
   const [collectionFormData, setCollectionFormData] = useState({
@@ -350,6 +389,9 @@ export default function RentManagement({
     receiptNumber: nextReceiptNumber,
   });
 
+  const [rentPayment, setRentPayment] = useState<PaymentDetails>(emptyPaymentDetails);
+  // Cheque photos and receipts, attached when the payment is saved
+  const [rentPaymentFiles, setRentPaymentFiles] = useState<UploadedFile[]>([]);
   const [rentIncomeErrors, setRentIncomeErrors] = useState<any>({});
   const [showRentSuccessDialog, setShowRentSuccessDialog] = useState(false);
   const [lastAddedRentIncome, setLastAddedRentIncome] = useState<any>(null);
@@ -959,6 +1001,8 @@ export default function RentManagement({
       newErrors.tenantContact = t("donations.donorContactInvalid");
     }
 
+    Object.assign(newErrors, validatePaymentDetails(rentPayment, t));
+
     setRentIncomeErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -1001,9 +1045,10 @@ export default function RentManagement({
         agreementId: rentIncomeFormData.agreementId,
         date: rentIncomeFormData.date!.toISOString().split("T")[0],
         amount: parseFloat(rentIncomeFormData.rentAmount),
-        paymentMethod: "Cash", // Default payment method
+        ...toPaymentPayload(rentPayment),
         description: rentIncomeFormData.details.trim() || undefined,
         receiptNumber: rentIncomeFormData.receiptNumber,
+        attachmentIds: await stagePickedFiles(rentPaymentFiles),
       };
 
       // Call backend API
@@ -1012,7 +1057,7 @@ export default function RentManagement({
       // Create display object for UI (including extra fields for display)
       const shop = selectedAgreement ? getShopById(selectedAgreement.shopId) : null;
       const newRentIncome = {
-        id: response.data?.id || Date.now().toString(),
+        id: response?.id || Date.now().toString(),
         date: rentPaymentData.date,
         type: "RentIncome",
         category: rentIncomeFormData.category,
@@ -1024,6 +1069,10 @@ export default function RentManagement({
         tenantContact: rentIncomeFormData.tenantContact.trim(),
         agreementId: rentPaymentData.agreementId,
         shopNumber: shop?.shopNumber || "",
+        paymentMode: rentPaymentData.paymentMode,
+        paymentReference: rentPaymentData.paymentReference,
+        chequeDate: rentPaymentData.chequeDate,
+        clearingStatus: response?.clearingStatus,
       };
 
       // Call parent callback for UI updates
@@ -1043,6 +1092,8 @@ export default function RentManagement({
         details: "",
         receiptNumber: nextReceiptNumber,
       });
+      setRentPayment(emptyPaymentDetails);
+      setRentPaymentFiles([]);
       setRentIncomeErrors({});
       
       toast.success(t("rent.successMessage"));
@@ -1651,6 +1702,7 @@ export default function RentManagement({
                         <TableHead>{t("tenant.tenantEmail")}</TableHead>
                         <TableHead>{t("tenant.businessType")}</TableHead>
                         <TableHead>{t("tenant.tenantStatus")}</TableHead>
+                        <TableHead>{t("tenant.idProof")}</TableHead>
                         <TableHead>{t("common.actions")}</TableHead>
                       </TableRow>
                     </TableHeader>
@@ -1668,8 +1720,33 @@ export default function RentManagement({
                               {getStatusLabel(tenant.status)}
                             </Badge>
                           </TableCell>
+                          <TableCell>
+                            {tenant.idProof && (
+                              <div className="text-xs text-gray-500 mb-1">{tenant.idProof}</div>
+                            )}
+                            <AttachmentStrip attachments={tenantAttachments[tenant.id] ?? []} />
+                          </TableCell>
                           <TableCell>
                             <div className="flex items-center gap-2">
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() =>
+                                  setAttaching({
+                                    entityType: "tenant",
+                                    entityId: tenant.id,
+                                    title: tenant.name,
+                                    description: tenant.idProof
+                                      ? `${t("tenant.idProof")}: ${tenant.idProof}`
+                                      : undefined,
+                                    canManage: hasPermission(currentUser, "rent.tenant.manage", "file.manage"),
+                                  })
+                                }
+                                title={t("attachments.manage")}
+                                aria-label={t("attachments.manage")}
+                              >
+                                <Paperclip className="h-4 w-4" />
+                              </Button>
                               <Button
                                 size="sm"
                                 variant="outline"
@@ -1679,6 +1756,14 @@ export default function RentManagement({
                               >
                                 <Edit className="h-4 w-4" />
                               </Button>
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => setStatementTenant(tenant)}
+                                title={t("tenant.statement")}
+                              >
+                                <FileText className="h-4 w-4" />
+                              </Button>
                               <Button
                                 size="sm"
                                 variant="outline"
@@ -2056,6 +2141,7 @@ export default function RentManagement({
                         <TableHead>{t("shop.monthlyRent")}</TableHead>
                         <TableHead>{t("agreement.agreementType")}</TableHead>
                         <TableHead>{t("common.status")}</TableHead>
+                        <TableHead>{t("agreement.agreementDocument")}</TableHead>
                         <TableHead>{t("common.actions")}</TableHead>
                       </TableRow>
                     </TableHeader>
@@ -2083,8 +2169,28 @@ export default function RentManagement({
                                 {getStatusLabel(agreement.status)}
                               </Badge>
                             </TableCell>
+                            <TableCell>
+                              <AttachmentStrip attachments={agreementAttachments[agreement.id] ?? []} />
+                            </TableCell>
                             <TableCell>
                               <div className="flex items-center gap-2">
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  onClick={() =>
+                                    setAttaching({
+                                      entityType: "agreement",
+                                      entityId: agreement.id,
+                                      title: [shop?.shopNumber, tenant?.name].filter(Boolean).join(" · "),
+                                      description: formatDate(agreement.agreementDate),
+                                      canManage: hasPermission(currentUser, "agreement.manage", "file.manage"),
+                                    })
+                                  }
+                                  title={t("attachments.manage")}
+                                  aria-label={t("attachments.manage")}
+                                >
+                                  <Paperclip className="h-4 w-4" />
+                                </Button>
                                 <Button
                                   size="sm"
                                   variant="outline"
@@ -2354,6 +2460,22 @@ export default function RentManagement({
                       )}
                     </div>
                   )}
+
+                  <PaymentModeFields
+                    value={rentPayment}
+                    onChange={(value) => {
+                      setRentPayment(value);
+                      if (rentIncomeErrors.paymentReference || rentIncomeErrors.chequeDate) {
+                        setRentIncomeErrors({
+                          ...rentIncomeErrors,
+                          paymentReference: undefined,
+                          chequeDate: undefined,
+                        });
+                      }
+                    }}
+                    errors={rentIncomeErrors}
+                    idPrefix="rentPayment"
+                  />
                 </div>
 
                 {/* Details */}
@@ -2385,6 +2507,20 @@ export default function RentManagement({
                   )}
                 </div>
 
+                {/* Cheque photo, bank slip or receipt */}
+                <FileUpload
+                  label={t("attachments.paymentProof")}
+                  accept="image/*,application/pdf"
+                  maxSize={300}
+                  maxFiles={3}
+                  value={rentPaymentFiles}
+                  onChange={setRentPaymentFiles}
+                  placeholder={t("documents.dragAndDrop")}
+                  compressImages={true}
+                  quality={0.8}
+                  cameraLabel={t("attachments.scan")}
+                />
+
                 <Button type="submit" className="w-full">
                   {t("common.submit")}
                 </Button>
@@ -2738,39 +2874,8 @@ export default function RentManagement({
                               <Button
                                 size="sm"
                                 variant="outline"
-                                onClick={() => {
-                                  const emiAmount = loan.monthlyEmi;
-                                  const newBalance = Math.max(
-                                    0,
-                                    loan.outstandingBalance - emiAmount
-                                  );
-                                  const newTotalRepaid =
-                                    loan.totalRepaid + emiAmount;
-                                  const nextEmiDate = new Date();
-                                  nextEmiDate.setMonth(
-                                    nextEmiDate.getMonth() + 1
-                                  );
-
-                                  onUpdateLoan(loan.id, {
-                                    outstandingBalance: newBalance,
-                                    totalRepaid: newTotalRepaid,
-                                    lastPaymentDate: new Date()
-                                      .toISOString()
-                                      .split("T")[0],
-                                    nextEmiDate: nextEmiDate
-                                      .toISOString()
-                                      .split("T")[0],
-                                    status:
-                                      newBalance <= 0 ? "Completed" : "Active",
-                                  });
-
-                                  toast.success(
-                                    `EMI payment of ${formatCurrency(
-                                      emiAmount
-                                    )} recorded`
-                                  );
-                                }}
-                                disabled={loan.status !== "Active"}
+                                onClick={() => setScheduleLoan(loan)}
+                                title={t("loans.viewSchedule")}
                               >
                                 <CreditCard className="h-4 w-4" />
                                 {t("loans.payEmi")}
@@ -3296,6 +3401,28 @@ export default function RentManagement({
         </DialogContent>
       </Dialog>
 
+      {/* Loan Schedule Dialog */}
+      <LoanSchedule
+        loan={
+          normalizedLoans.find((loan) => loan.id === scheduleLoan?.id) ??
+          scheduleLoan
+        }
+        open={!!scheduleLoan}
+        onRepay={onRepayLoan}
+        onOpenChange={(open) => {
+          if (!open) setScheduleLoan(null);
+        }}
+      />
+
+      {/* Tenant Statement Dialog */}
+      <TenantStatement
+        tenant={statementTenant}
+        open={!!statementTenant}
+        onOpenChange={(open) => {
+          if (!open) setStatementTenant(null);
+        }}
+      />
+
       {/* Tenant Success Dialog */}
       <Dialog
         open={showTenantSuccessDialog}
@@ -3608,6 +3735,23 @@ export default function RentManagement({
           </div>
         </DialogContent>
       </Dialog>
+
+      {attaching && (
+        <AttachmentsDialog
+          open
+          onOpenChange={(open) => {
+            if (open) return;
+            if (attaching.entityType === "tenant") reloadTenantAttachments();
+            else reloadAgreementAttachments();
+            setAttaching(null);
+          }}
+          title={attaching.title}
+          description={attaching.description}
+          entityType={attaching.entityType}
+          entityId={attaching.entityId}
+          canManage={attaching.canManage}
+        />
+      )}
     </div>
   );
 }
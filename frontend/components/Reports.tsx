@@ -34,9 +34,18 @@ import {
   RotateCcw,
   Eye,
   BarChart3,
+  FileCheck,
+  Target,
 } from "lucide-react";
 import { useLanguage } from "./LanguageContext";
+import { PAYMENT_MODES, paymentModeKey } from "./PaymentModeFields";
+import BudgetVariance from "./BudgetVariance";
 import { toast } from "sonner";
+import { hasPermission } from "../src/utils/permissions";
+import apiClient from "../src/utils/api";
+import { financialYearOf, form10bdCsv } from "../src/utils/taxExemption";
+import { useCategories, labelOf } from "../src/utils/categories";
+import type { Form10bd } from "../src/types";
 import jsPDF from "jspdf";
 
 interface Transaction {
@@ -64,17 +73,24 @@ interface Transaction {
   emiAmount?: number;
   penaltyId?: string;
   penaltyAmount?: number;
+  paymentMode?: string;
+  paymentReference?: string;
+  chequeDate?: string;
+  clearingStatus?: string;
 }
 
 interface ReportsProps {
   transactions: Transaction[];
   onImportTransactions?: (transactions: Transaction[]) => void;
+  currentUser?: { role: string; permissions?: string[] } | null;
 }
 
 interface FilterState {
   transactionType: string;
   category: string;
   subCategory: string;
+  paymentMode: string;
+  clearingStatus: string;
   month: string;
   year: string;
   fromDate: string;
@@ -101,6 +117,8 @@ const initialFilterState: FilterState = {
   transactionType: "all",
   category: "all",
   subCategory: "all",
+  paymentMode: "all",
+  clearingStatus: "all",
   month: "",
   year: "",
   fromDate: "",
@@ -125,8 +143,11 @@ const initialExportFilterState: ExportFilterState = {
 export default function Reports({
   transactions,
   onImportTransactions,
+  currentUser,
 }: ReportsProps) {
-  const { t } = useLanguage();
+  const { t, language: currentLanguage } = useLanguage();
+  const categories = useCategories();
+  const canExport = hasPermission(currentUser, "report.export");
   const fileInputRef = useRef<HTMLInputElement>(null);
 
   const [exportDialog, setExportDialog] = useState(false);
@@ -147,6 +168,12 @@ export default function Reports({
   const [importing, setImporting] = useState(false);
   const [exporting, setExporting] = useState(false);
 
+  // Form 10BD: the financial year to file and donors left out for want of a PAN
+  const [form10bdDialog, setForm10bdDialog] = useState(false);
+  const [form10bdYear, setForm10bdYear] = useState("");
+  const [form10bdMissing, setForm10bdMissing] = useState<Form10bd["missingPan"]>([]);
+  const [exportingForm10bd, setExportingForm10bd] = useState(false);
+
   // Get unique categories and subcategories for main view
   const getUniqueCategories = useMemo(() => {
     const categories = new Set<string>();
@@ -285,6 +312,20 @@ export default function Reports({
       )
         return false;
 
+      // Payment mode filter (records saved before payment modes default to Cash)
+      if (
+        filters.paymentMode !== "all" &&
+        (transaction.paymentMode || "Cash") !== filters.paymentMode
+      )
+        return false;
+
+      // Clearing status filter
+      if (
+        filters.clearingStatus !== "all" &&
+        (transaction.clearingStatus || "Cleared") !== filters.clearingStatus
+      )
+        return false;
+
       // Date filters
       const transactionDate = new Date(transaction.date);
 
@@ -449,6 +490,8 @@ export default function Reports({
     if (filters.transactionType !== "all") return true;
     if (filters.category !== "all") return true;
     if (filters.subCategory !== "all") return true;
+    if (filters.paymentMode !== "all") return true;
+    if (filters.clearingStatus !== "all") return true;
     // Check specific date modes first, then generic non-"all" case to avoid TS2367 narrowing issue
     if (filters.dateFilterType === "month" && (filters.month || filters.year)) return true;
     if (filters.dateFilterType === "range" && (filters.fromDate || filters.toDate)) return true;
@@ -468,6 +511,20 @@ export default function Reports({
     return false;
   }, [exportFilters]);
 
+  // Transactions store category codes; show them by their labels in the
+  // category list. Utilities, salary and rent categories are not in it and
+  // show as they are.
+  const categoryName = (code: string, language: string = currentLanguage) => {
+    const category = categories.find((entry) => entry.code === code);
+    return category ? labelOf(category, language) : code;
+  };
+  const subCategoryName = (code: string, subCode: string, language: string = currentLanguage) => {
+    const sub = categories
+      .find((entry) => entry.code === code)
+      ?.subCategories.find((entry) => entry.code === subCode);
+    return sub ? labelOf(sub, language) : subCode;
+  };
+
   // Get translation for specific language
   const getTranslation = (key: string, language: "en" | "mr") => {
     const translations = {
@@ -848,11 +905,11 @@ export default function Reports({
         yPosition += 5;
       }
       if (exportFilters.category !== "all") {
-        doc.text(`- Category: ${exportFilters.category}`, 25, yPosition);
+        doc.text(`- Category: ${categoryName(exportFilters.category, language)}`, 25, yPosition);
         yPosition += 5;
       }
       if (exportFilters.subCategory !== "all") {
-        doc.text(`- Sub-Category: ${exportFilters.subCategory}`, 25, yPosition);
+        doc.text(`- Sub-Category: ${subCategoryName(exportFilters.category, exportFilters.subCategory, language)}`, 25, yPosition);
         yPosition += 5;
       }
       if (
@@ -959,7 +1016,7 @@ export default function Reports({
         : t.type === "Donation"
         ? getTranslation("reports.donations", language)
         : getTranslation("reports.expenses", language),
-      t.category,
+      categoryName(t.category, language),
       t.description.length > 20
         ? t.description.substring(0, 20) + "..."
         : t.description,
@@ -1062,12 +1119,12 @@ export default function Reports({
 
     const categoryData = [
       ...Object.entries(categoryWiseIncome).map(([category, amount]) => [
-        category,
+        categoryName(category, language),
         getTranslation("reports.donations", language),
         `₹${amount.toLocaleString()}`,
       ]),
       ...Object.entries(categoryWiseExpenses).map(([category, amount]) => [
-        category,
+        categoryName(category, language),
         getTranslation("reports.expenses", language),
         `₹${amount.toLocaleString()}`,
       ]),
@@ -1167,6 +1224,9 @@ export default function Reports({
               "SubCategory",
               "Description",
               "Amount",
+              "PaymentMode",
+              "PaymentReference",
+              "ClearingStatus",
             ];
             const data = filtered.map((t) => ({
               Date: t.date,
@@ -1175,6 +1235,9 @@ export default function Reports({
               SubCategory: t.subCategory || "",
               Description: t.description,
               Amount: t.amount,
+              PaymentMode: t.paymentMode || "Cash",
+              PaymentReference: t.paymentReference || "",
+              ClearingStatus: t.clearingStatus || "Cleared",
             }));
             csvContent = convertToCSV(data, headers);
             filename = `transactions_filtered_${timestamp}.csv`;
@@ -1445,6 +1508,41 @@ export default function Reports({
     }
   };
 
+  // Financial years with donations, newest first
+  const donationYears = useMemo(() => {
+    const years = new Set<string>();
+    (transactions ?? []).forEach((t) => {
+      if (t.type === "Donation" && t.date) years.add(financialYearOf(t.date));
+    });
+    return Array.from(years).sort().reverse();
+  }, [transactions]);
+
+  const openForm10bd = () => {
+    // Form 10BD is filed for a year that has ended
+    const current = financialYearOf(new Date().toISOString().split("T")[0]);
+    setForm10bdYear(donationYears.find((year) => year < current) || donationYears[0] || current);
+    setForm10bdMissing([]);
+    setForm10bdDialog(true);
+  };
+
+  const handleExportForm10bd = async () => {
+    setExportingForm10bd(true);
+    try {
+      const form = await apiClient.getForm10bd(form10bdYear);
+      setForm10bdMissing(form.missingPan);
+      if (form.rows.length === 0) {
+        toast.error(t("tax80g.form10bdEmpty").replace("{year}", form10bdYear));
+        return;
+      }
+      downloadCSV(form10bdCsv(form.rows), `form-10bd_${form10bdYear}.csv`);
+      toast.success(t("tax80g.form10bdDone").replace("{count}", String(form.rows.length)));
+    } catch (error: any) {
+      toast.error(error.message || t("tax80g.form10bdError"));
+    } finally {
+      setExportingForm10bd(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
       <div className="flex items-center justify-between">
@@ -1452,12 +1550,14 @@ export default function Reports({
         <div className="flex gap-2">
           {/* Enhanced Export Dialog */}
           <Dialog open={exportDialog} onOpenChange={setExportDialog}>
-            <DialogTrigger asChild>
-              <Button variant="outline" className="bg-white">
-                <Download className="h-4 w-4 mr-2" />
-                {t("reports.export")}
-              </Button>
-            </DialogTrigger>
+            {canExport && (
+              <DialogTrigger asChild>
+                <Button variant="outline" className="bg-white">
+                  <Download className="h-4 w-4 mr-2" />
+                  {t("reports.export")}
+                </Button>
+              </DialogTrigger>
+            )}
             <DialogContent className="max-w-2xl">
               <DialogHeader>
                 <DialogTitle>{t("reports.exportData")}</DialogTitle>
@@ -1656,7 +1756,7 @@ export default function Reports({
                               key={category}
                               value={category}
                             >
-                              {category}
+                              {categoryName(category)}
                             </SelectItem>
                           ))}
                         </SelectContent>
@@ -1687,7 +1787,7 @@ export default function Reports({
                           </SelectItem>
                           {getExportUniqueSubCategories.map((subCategory) => (
                             <SelectItem key={subCategory} value={subCategory}>
-                              {subCategory}
+                              {subCategoryName(exportFilters.category, subCategory)}
                             </SelectItem>
                           ))}
                         </SelectContent>
@@ -1857,7 +1957,7 @@ export default function Reports({
                             variant="secondary"
                             className="flex items-center gap-1"
                           >
-                            Category: {exportFilters.category}
+                            Category: {categoryName(exportFilters.category)}
                             <X
                               className="h-3 w-3 cursor-pointer"
                               onClick={() =>
@@ -1871,7 +1971,7 @@ export default function Reports({
                             variant="secondary"
                             className="flex items-center gap-1"
                           >
-                            Sub-Category: {exportFilters.subCategory}
+                            Sub-Category: {subCategoryName(exportFilters.category, exportFilters.subCategory)}
                             <X
                               className="h-3 w-3 cursor-pointer"
                               onClick={() =>
@@ -1951,6 +2051,72 @@ export default function Reports({
             </DialogContent>
           </Dialog>
 
+          {/* Form 10BD Dialog */}
+          {canExport && (
+            <Dialog open={form10bdDialog} onOpenChange={setForm10bdDialog}>
+              <Button variant="outline" className="bg-white" onClick={openForm10bd}>
+                <FileCheck className="h-4 w-4 mr-2" />
+                {t("tax80g.form10bd")}
+              </Button>
+              <DialogContent className="max-w-md">
+                <DialogHeader>
+                  <DialogTitle>{t("tax80g.form10bdTitle")}</DialogTitle>
+                  <DialogDescription>{t("tax80g.form10bdDescription")}</DialogDescription>
+                </DialogHeader>
+
+                <div className="space-y-4">
+                  <div>
+                    <Label htmlFor="form10bd-year">{t("tax80g.financialYear")}</Label>
+                    <Input
+                      id="form10bd-year"
+                      list="form10bd-years"
+                      placeholder="2024-25"
+                      value={form10bdYear}
+                      onChange={(e) => setForm10bdYear(e.target.value.trim())}
+                    />
+                    <datalist id="form10bd-years">
+                      {donationYears.map((year) => (
+                        <option key={year} value={year} />
+                      ))}
+                    </datalist>
+                  </div>
+
+                  {form10bdMissing.length > 0 && (
+                    <Alert variant="destructive">
+                      <AlertCircle className="h-4 w-4" />
+                      <AlertDescription>
+                        <div>
+                          {t("tax80g.missingPan")
+                            .replace("{count}", String(form10bdMissing.length))
+                            .replace(
+                              "{amount}",
+                              formatCurrency(form10bdMissing.reduce((sum, donor) => sum + donor.amount, 0))
+                            )}
+                        </div>
+                        <ul className="mt-2 text-xs list-disc pl-4">
+                          {form10bdMissing.map((donor) => (
+                            <li key={`${donor.donorId ?? donor.donorName}`}>
+                              {donor.donorName} — {formatCurrency(donor.amount)}
+                            </li>
+                          ))}
+                        </ul>
+                      </AlertDescription>
+                    </Alert>
+                  )}
+
+                  <Button
+                    onClick={handleExportForm10bd}
+                    disabled={!/^\d{4}-\d{2}$/.test(form10bdYear) || exportingForm10bd}
+                    className="w-full"
+                  >
+                    <Download className="h-4 w-4 mr-2" />
+                    {exportingForm10bd ? t("reports.generating") : t("tax80g.download")}
+                  </Button>
+                </div>
+              </DialogContent>
+            </Dialog>
+          )}
+
           {/* Import Dialog */}
           {onImportTransactions && (
             <Dialog open={importDialog} onOpenChange={setImportDialog}>
@@ -2113,7 +2279,7 @@ export default function Reports({
                     </SelectItem>
                     {getUniqueCategories.map((category) => (
                       <SelectItem key={category} value={category}>
-                        {category}
+                        {categoryName(category)}
                       </SelectItem>
                     ))}
                   </SelectContent>
@@ -2142,7 +2308,71 @@ export default function Reports({
                     </SelectItem>
                     {getUniqueSubCategories.map((subCategory) => (
                       <SelectItem key={subCategory} value={subCategory}>
-                        {subCategory}
+                        {subCategoryName(filters.category, subCategory)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Payment Mode Filter */}
+              <div>
+                <Label>{t("reports.filterByPaymentMode")}</Label>
+                <Select
+                  value={filters.paymentMode}
+                  onValueChange={(value) =>
+                    handleFilterChange("paymentMode", value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder={t("reports.allPaymentModes")} />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                    <SelectItem
+                      className="hover:font-bold hover:bg-gray-100"
+                      value="all"
+                    >
+                      {t("reports.allPaymentModes")}
+                    </SelectItem>
+                    {PAYMENT_MODES.map((mode) => (
+                      <SelectItem
+                        key={mode}
+                        className="hover:font-bold hover:bg-gray-100"
+                        value={mode}
+                      >
+                        {t(`payment.${paymentModeKey(mode)}`)}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+
+              {/* Clearing Status Filter */}
+              <div>
+                <Label>{t("reports.filterByClearingStatus")}</Label>
+                <Select
+                  value={filters.clearingStatus}
+                  onValueChange={(value) =>
+                    handleFilterChange("clearingStatus", value)
+                  }
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder={t("reports.allClearingStatuses")} />
+                  </SelectTrigger>
+                  <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                    <SelectItem
+                      className="hover:font-bold hover:bg-gray-100"
+                      value="all"
+                    >
+                      {t("reports.allClearingStatuses")}
+                    </SelectItem>
+                    {["Cleared", "Pending", "Bounced"].map((status) => (
+                      <SelectItem
+                        key={status}
+                        className="hover:font-bold hover:bg-gray-100"
+                        value={status}
+                      >
+                        {t(`payment.${status.toLowerCase()}`)}
                       </SelectItem>
                     ))}
                   </SelectContent>
@@ -2288,7 +2518,7 @@ export default function Reports({
                       variant="secondary"
                       className="flex items-center gap-1"
                     >
-                      Category: {filters.category}
+                      Category: {categoryName(filters.category)}
                       <X
                         className="h-3 w-3 cursor-pointer"
                         onClick={() => handleFilterChange("category", "all")}
@@ -2300,13 +2530,39 @@ export default function Reports({
                       variant="secondary"
                       className="flex items-center gap-1"
                     >
-                      Sub-Category: {filters.subCategory}
+                      Sub-Category: {subCategoryName(filters.category, filters.subCategory)}
                       <X
                         className="h-3 w-3 cursor-pointer"
                         onClick={() => handleFilterChange("subCategory", "all")}
                       />
                     </Badge>
                   )}
+                  {filters.paymentMode !== "all" && (
+                    <Badge
+                      variant="secondary"
+                      className="flex items-center gap-1"
+                    >
+                      {t("payment.mode")}:{" "}
+                      {t(`payment.${paymentModeKey(filters.paymentMode)}`)}
+                      <X
+                        className="h-3 w-3 cursor-pointer"
+                        onClick={() => handleFilterChange("paymentMode", "all")}
+                      />
+                    </Badge>
+                  )}
+                  {filters.clearingStatus !== "all" && (
+                    <Badge
+                      variant="secondary"
+                      className="flex items-center gap-1"
+                    >
+                      {t("payment.clearingStatus")}:{" "}
+                      {t(`payment.${filters.clearingStatus.toLowerCase()}`)}
+                      <X
+                        className="h-3 w-3 cursor-pointer"
+                        onClick={() => handleFilterChange("clearingStatus", "all")}
+                      />
+                    </Badge>
+                  )}
                   {filters.dateFilterType === "month" &&
                     filters.month &&
                     filters.year && (
@@ -2368,6 +2624,10 @@ export default function Reports({
               <BarChart3 className="h-4 w-4" />
               {t("reports.overview")}
             </TabsTrigger>
+            <TabsTrigger value="budget" className="flex items-center gap-2">
+              <Target className="h-4 w-4" />
+              {t("reports.budget")}
+            </TabsTrigger>
           </TabsList>
 
           <div className="flex items-center gap-2">
@@ -2481,10 +2741,10 @@ export default function Reports({
                               </Badge>
                             </td>
                             <td className="px-6 py-4 whitespace-nowrap text-sm text-gray-900">
-                              {transaction.category}
+                              {categoryName(transaction.category)}
                               {transaction.subCategory && (
                                 <div className="text-xs text-gray-500">
-                                  {transaction.subCategory}
+                                  {subCategoryName(transaction.category, transaction.subCategory)}
                                 </div>
                               )}
                             </td>
@@ -2619,7 +2879,7 @@ export default function Reports({
                           className="flex justify-between items-center p-2 bg-green-50 rounded"
                         >
                           <span className="text-sm font-medium">
-                            {category}
+                            {categoryName(category)}
                           </span>
                           <span className="text-sm font-bold text-green-600">
                             {formatCurrency(amount)}
@@ -2650,7 +2910,7 @@ export default function Reports({
                           className="flex justify-between items-center p-2 bg-red-50 rounded"
                         >
                           <span className="text-sm font-medium">
-                            {category}
+                            {categoryName(category)}
                           </span>
                           <span className="text-sm font-bold text-red-600">
                             {formatCurrency(amount)}
@@ -2735,6 +2995,10 @@ export default function Reports({
             </CardContent>
           </Card>
         </TabsContent>
+
+        <TabsContent value="budget" className="space-y-4">
+          <BudgetVariance canManage={hasPermission(currentUser, "budget.manage")} />
+        </TabsContent>
       </Tabs>
     </div>
   );
@@ -0,0 +1,136 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Alert, AlertDescription } from "./ui/alert";
+import { ArrowLeft, Lock, KeyRound } from "lucide-react";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+
+// Same rule the backend applies to new passwords
+const PASSWORD_RULE = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d).{8,}$/;
+
+export default function ResetPassword() {
+  const { t } = useLanguage();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [submitting, setSubmitting] = useState(false);
+  const [done, setDone] = useState(false);
+  const [error, setError] = useState<string | null>(token ? null : t("passwordReset.missingToken"));
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!PASSWORD_RULE.test(password)) {
+      setError(t("passwordReset.passwordRule"));
+      return;
+    }
+    if (password !== confirmPassword) {
+      setError(t("passwordReset.passwordMismatch"));
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+    try {
+      await apiClient.resetPassword(token, password);
+      setDone(true);
+    } catch (err: any) {
+      setError(err.message || t("passwordReset.resetError"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md bg-white/90 backdrop-blur-sm shadow-2xl border-0 login">
+      <CardHeader className="text-center pb-2">
+        <div className="mx-auto mb-4 w-16 h-16 bg-orange-500 rounded-full flex items-center justify-center">
+          <KeyRound className="h-8 w-8 text-white" />
+        </div>
+        <CardTitle className="text-2xl text-orange-600">
+          {t("passwordReset.resetTitle")}
+        </CardTitle>
+      </CardHeader>
+
+      <CardContent>
+        {error && (
+          <Alert className="mb-4 border-red-200 bg-red-50">
+            <AlertDescription className="text-red-600">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {done ? (
+          <Alert className="mb-4 border-green-200 bg-green-50">
+            <AlertDescription className="text-green-700">
+              {t("passwordReset.resetSuccess")}
+            </AlertDescription>
+          </Alert>
+        ) : (
+          token && (
+            <form onSubmit={handleSubmit} className="space-y-4">
+              <div>
+                <Label className="mb-1" htmlFor="newPassword">
+                  {t("passwordReset.newPassword")}
+                </Label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    id="newPassword"
+                    type="password"
+                    value={password}
+                    onChange={(e) => setPassword(e.target.value)}
+                    className="pl-10"
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+                <p className="text-xs text-gray-500 mt-1">{t("passwordReset.passwordRule")}</p>
+              </div>
+
+              <div>
+                <Label className="mb-1" htmlFor="confirmPassword">
+                  {t("passwordReset.confirmPassword")}
+                </Label>
+                <div className="relative">
+                  <Lock className="absolute left-3 top-3 h-4 w-4 text-gray-400" />
+                  <Input
+                    id="confirmPassword"
+                    type="password"
+                    value={confirmPassword}
+                    onChange={(e) => setConfirmPassword(e.target.value)}
+                    className="pl-10"
+                    autoComplete="new-password"
+                    required
+                  />
+                </div>
+              </div>
+
+              <Button
+                type="submit"
+                className="w-full bg-orange-500 hover:bg-orange-600"
+                disabled={submitting}
+              >
+                {submitting ? t("passwordReset.saving") : t("passwordReset.setPassword")}
+              </Button>
+            </form>
+          )
+        )}
+
+        <button
+          type="button"
+          onClick={() => navigate("/", { replace: true })}
+          className="mt-4 w-full flex items-center justify-center gap-1 text-sm text-orange-600 hover:underline"
+        >
+          <ArrowLeft className="h-4 w-4" />
+          {t("passwordReset.backToSignIn")}
+        </button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,272 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+  DialogTrigger,
+} from "./ui/dialog";
+import { Plus, Save, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { PermissionGroup, Role } from "../src/types";
+
+const ADMIN_ROLE = "Admin";
+
+export default function RoleManagement() {
+  const { t } = useLanguage();
+  const [roles, setRoles] = useState<Role[]>([]);
+  const [catalogue, setCatalogue] = useState<PermissionGroup[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [description, setDescription] = useState("");
+  const [granted, setGranted] = useState<string[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [isAddDialogOpen, setIsAddDialogOpen] = useState(false);
+  const [newRole, setNewRole] = useState({ name: "", description: "" });
+
+  const selected = roles.find((role) => role.id === selectedId) || null;
+  const isAdminRole = selected?.name === ADMIN_ROLE;
+
+  const selectRole = useCallback((role: Role) => {
+    setSelectedId(role.id);
+    setDescription(role.description || "");
+    setGranted(role.permissions);
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      try {
+        const [loadedRoles, loadedCatalogue] = await Promise.all([
+          apiClient.getRoles(),
+          apiClient.getPermissionCatalogue(),
+        ]);
+        setRoles(loadedRoles);
+        setCatalogue(loadedCatalogue);
+        if (loadedRoles.length > 0) selectRole(loadedRoles[0]);
+      } catch (err: any) {
+        toast.error(err.message || t("roles.loadError"));
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [selectRole, t]);
+
+  const replaceRole = (updated: Role) =>
+    setRoles((current) => current.map((role) => (role.id === updated.id ? updated : role)));
+
+  const togglePermission = (permission: string, checked: boolean) => {
+    setGranted((current) =>
+      checked ? [...current, permission] : current.filter((p) => p !== permission)
+    );
+  };
+
+  const handleSave = async () => {
+    if (!selected) return;
+    setSaving(true);
+    try {
+      const updated = await apiClient.updateRole(selected.id, {
+        description: description.trim() || null,
+        ...(isAdminRole ? {} : { permissions: granted }),
+      });
+      replaceRole(updated);
+      toast.success(t("roles.saved"));
+    } catch (err: any) {
+      toast.error(err.message || t("roles.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const created = await apiClient.createRole({
+        name: newRole.name.trim(),
+        description: newRole.description.trim() || undefined,
+        permissions: [],
+      });
+      setRoles((current) => [...current, created]);
+      selectRole(created);
+      setNewRole({ name: "", description: "" });
+      setIsAddDialogOpen(false);
+      toast.success(t("roles.created"));
+    } catch (err: any) {
+      toast.error(err.message || t("roles.saveError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selected || !window.confirm(t("roles.deleteConfirm"))) return;
+    setSaving(true);
+    try {
+      await apiClient.deleteRole(selected.id);
+      const remaining = roles.filter((role) => role.id !== selected.id);
+      setRoles(remaining);
+      if (remaining.length > 0) selectRole(remaining[0]);
+      toast.success(t("roles.deleted"));
+    } catch (err: any) {
+      toast.error(err.message || t("roles.deleteError"));
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (loading) {
+    return <p className="text-center py-6 text-white">{t("common.loading")}</p>;
+  }
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-center justify-between">
+        <h1 className="text-white">{t("roles.title")}</h1>
+        <Dialog open={isAddDialogOpen} onOpenChange={setIsAddDialogOpen}>
+          <DialogTrigger asChild>
+            <Button className="bg-white text-black hover:bg-gray-100">
+              <Plus className="h-4 w-4 mr-2" />
+              {t("roles.add")}
+            </Button>
+          </DialogTrigger>
+          <DialogContent>
+            <DialogHeader>
+              <DialogTitle>{t("roles.add")}</DialogTitle>
+              <DialogDescription>{t("roles.addDesc")}</DialogDescription>
+            </DialogHeader>
+            <form onSubmit={handleCreate} className="space-y-4">
+              <div>
+                <Label htmlFor="role-name">{t("roles.name")}</Label>
+                <Input
+                  id="role-name"
+                  value={newRole.name}
+                  onChange={(e) => setNewRole({ ...newRole, name: e.target.value })}
+                  required
+                />
+              </div>
+              <div>
+                <Label htmlFor="role-description">{t("roles.description")}</Label>
+                <Input
+                  id="role-description"
+                  value={newRole.description}
+                  onChange={(e) => setNewRole({ ...newRole, description: e.target.value })}
+                />
+              </div>
+              <div className="flex justify-end">
+                <Button type="submit" disabled={saving || newRole.name.trim().length < 2}>
+                  {t("roles.create")}
+                </Button>
+              </div>
+            </form>
+          </DialogContent>
+        </Dialog>
+      </div>
+
+      <div className="grid gap-6 md:grid-cols-3">
+        <Card>
+          <CardHeader>
+            <CardTitle>{t("roles.list")}</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-2">
+            {roles.map((role) => (
+              <button
+                key={role.id}
+                type="button"
+                onClick={() => selectRole(role)}
+                className={`w-full text-left rounded-md border px-3 py-2 ${
+                  role.id === selectedId ? "border-blue-500 bg-blue-50" : "border-gray-200"
+                }`}
+              >
+                <div className="flex items-center justify-between gap-2">
+                  <span className="font-medium">{role.name}</span>
+                  {role.isSystem && (
+                    <Badge className="bg-gray-100 text-gray-800">{t("roles.builtIn")}</Badge>
+                  )}
+                </div>
+                <div className="text-xs text-gray-500">
+                  {role.userCount} {t("roles.users")}
+                </div>
+              </button>
+            ))}
+          </CardContent>
+        </Card>
+
+        {selected && (
+          <Card className="md:col-span-2">
+            <CardHeader>
+              <CardTitle>{selected.name}</CardTitle>
+            </CardHeader>
+            <CardContent className="space-y-6">
+              <div>
+                <Label htmlFor="selected-role-description">{t("roles.description")}</Label>
+                <Input
+                  id="selected-role-description"
+                  value={description}
+                  onChange={(e) => setDescription(e.target.value)}
+                />
+              </div>
+
+              {isAdminRole && (
+                <p className="text-sm text-gray-600">{t("roles.adminNote")}</p>
+              )}
+
+              {catalogue.map((group) => (
+                <div key={group.group}>
+                  <h3 className="font-medium mb-2">{t(`roles.group.${group.group}`)}</h3>
+                  <div className="grid gap-2 sm:grid-cols-2">
+                    {group.permissions.map((permission) => (
+                      <label
+                        key={permission.key}
+                        className="flex items-start gap-2 text-sm"
+                        title={permission.key}
+                      >
+                        <input
+                          type="checkbox"
+                          className="mt-0.5"
+                          checked={granted.includes(permission.key)}
+                          disabled={isAdminRole}
+                          onChange={(e) => togglePermission(permission.key, e.target.checked)}
+                          aria-label={permission.key}
+                        />
+                        <span>{permission.description}</span>
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              ))}
+
+              <div className="flex justify-between">
+                {!selected.isSystem ? (
+                  <Button
+                    variant="outline"
+                    onClick={handleDelete}
+                    disabled={saving}
+                    className="text-red-600 hover:text-red-700"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    {t("roles.delete")}
+                  </Button>
+                ) : (
+                  <span />
+                )}
+                <Button onClick={handleSave} disabled={saving}>
+                  <Save className="h-4 w-4 mr-2" />
+                  {t("roles.save")}
+                </Button>
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,461 @@
+import { useState, useEffect, useCallback } from "react";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { Alert, AlertDescription } from "./ui/alert";
+import { AlertCircle, Download, FileText } from "lucide-react";
+import { useLanguage } from "./LanguageContext";
+import { toast } from "sonner";
+import jsPDF from "jspdf";
+import apiClient from "../src/utils/api";
+import type { TenantLedger, TenantLedgerEntry } from "../src/types";
+
+interface TenantStatementProps {
+  tenant: { id: string; name: string; phone?: string } | null;
+  open: boolean;
+  onOpenChange: (open: boolean) => void;
+}
+
+// Translations for the PDF, which is rendered in the chosen language
+// independently of the UI language (same approach as Reports.tsx)
+const pdfTranslations = {
+  en: {
+    title: "Shree Kshetra Khandeshar Devasthan Kusalamb",
+    subtitle: "Temple Management System",
+    statement: "Tenant Statement of Account",
+    tenant: "Tenant",
+    phone: "Phone",
+    period: "Period",
+    start: "Start",
+    end: "Today",
+    generatedOn: "Generated On",
+    date: "Date",
+    particulars: "Particulars",
+    shop: "Shop",
+    debit: "Debit",
+    credit: "Credit",
+    balance: "Balance",
+    openingBalance: "Opening Balance",
+    closingBalance: "Closing Balance",
+    total: "Total",
+    uncleared: "uncleared",
+    unclearedTotal: "Cheques awaiting clearance (not in the balance)",
+    RentDue: "Rent due",
+    LoanDisbursement: "Loan disbursed",
+    Penalty: "Late fee",
+    RentPayment: "Rent received",
+    EmiRepayment: "EMI received",
+    PenaltyPayment: "Late fee received",
+    Payment: "Payment received",
+    ChequeBounced: "Cheque bounced",
+  },
+  mr: {
+    title: "श्री क्षेत्र खंडेश्वर देवस्थान कुसळंब",
+    subtitle: "मंदिर व्यवस्थापन प्रणाली",
+    statement: "भाडेकरू खाते उतारा",
+    tenant: "भाडेकरू",
+    phone: "फोन",
+    period: "कालावधी",
+    start: "सुरुवात",
+    end: "आज",
+    generatedOn: "तयार केले",
+    date: "दिनांक",
+    particulars: "तपशील",
+    shop: "दुकान",
+    debit: "नावे",
+    credit: "जमा",
+    balance: "शिल्लक",
+    openingBalance: "आरंभीची शिल्लक",
+    closingBalance: "अखेरची शिल्लक",
+    total: "एकूण",
+    uncleared: "वटणे बाकी",
+    unclearedTotal: "वटणे बाकी असलेले धनादेश (शिल्लकेत धरलेले नाहीत)",
+    RentDue: "भाडे देय",
+    LoanDisbursement: "कर्ज वितरित",
+    Penalty: "विलंब शुल्क",
+    RentPayment: "भाडे प्राप्त",
+    EmiRepayment: "हप्ता प्राप्त",
+    PenaltyPayment: "विलंब शुल्क प्राप्त",
+    Payment: "रक्कम प्राप्त",
+    ChequeBounced: "धनादेश न वटला",
+  },
+};
+
+const formatAmount = (amount: number) =>
+  amount ? `₹${amount.toLocaleString("en-IN")}` : "";
+
+export default function TenantStatement({
+  tenant,
+  open,
+  onOpenChange,
+}: TenantStatementProps) {
+  const { t } = useLanguage();
+  const [fromDate, setFromDate] = useState("");
+  const [toDate, setToDate] = useState("");
+  // The range last asked for with the Show button
+  const [range, setRange] = useState<{ from?: string; to?: string }>({});
+  const [pdfLanguage, setPdfLanguage] = useState<"en" | "mr">("en");
+  const [ledger, setLedger] = useState<TenantLedger | null>(null);
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const tenantId = tenant?.id;
+  const loadLedger = useCallback(async () => {
+    if (!tenantId) return;
+    setLoading(true);
+    setError(null);
+    try {
+      setLedger(await apiClient.getTenantLedger(tenantId, range));
+    } catch (err: any) {
+      setLedger(null);
+      setError(err.message || t("ledger.loadError"));
+    } finally {
+      setLoading(false);
+    }
+  }, [tenantId, range, t]);
+
+  useEffect(() => {
+    if (open && tenantId) {
+      loadLedger();
+    } else if (!open) {
+      setLedger(null);
+      setError(null);
+    }
+  }, [open, tenantId, loadLedger]);
+
+  const entryLabel = (entry: TenantLedgerEntry) =>
+    t(`ledger.type.${entry.type}`);
+
+  const generatePDF = (language: "en" | "mr") => {
+    if (!ledger) return null;
+    const tr = pdfTranslations[language];
+    const doc = new jsPDF();
+    const pageWidth = doc.internal.pageSize.width;
+    const pageHeight = doc.internal.pageSize.height;
+    let y = 20;
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(16);
+    doc.text(tr.title, pageWidth / 2, y, { align: "center" });
+    y += 10;
+    doc.setFontSize(12);
+    doc.text(tr.subtitle, pageWidth / 2, y, { align: "center" });
+    y += 15;
+    doc.setFontSize(14);
+    doc.text(tr.statement, pageWidth / 2, y, { align: "center" });
+    y += 12;
+
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(10);
+    doc.text(`${tr.tenant}: ${ledger.tenant.name}`, 20, y);
+    doc.text(
+      `${tr.generatedOn}: ${new Date().toLocaleDateString()}`,
+      pageWidth - 20,
+      y,
+      { align: "right" }
+    );
+    y += 6;
+    if (ledger.tenant.phone) {
+      doc.text(`${tr.phone}: ${ledger.tenant.phone}`, 20, y);
+      y += 6;
+    }
+    doc.text(
+      `${tr.period}: ${ledger.from || tr.start} - ${ledger.to || tr.end}`,
+      20,
+      y
+    );
+    y += 10;
+
+    // Columns: date, particulars, shop, debit, credit, balance
+    const widths = [24, 62, 18, 22, 22, 22];
+    const startX = (pageWidth - widths.reduce((a, b) => a + b, 0)) / 2;
+    const colX = widths.map(
+      (_, i) => startX + widths.slice(0, i).reduce((a, b) => a + b, 0)
+    );
+    const rowHeight = 7;
+
+    const drawRow = (cells: string[], header = false) => {
+      if (y > pageHeight - 25) {
+        doc.addPage();
+        y = 20;
+      }
+      if (header) {
+        doc.setFillColor(66, 139, 202);
+        doc.setTextColor(255, 255, 255);
+        doc.rect(startX, y, colX[5] + widths[5] - startX, rowHeight, "F");
+      }
+      cells.forEach((cell, i) => {
+        const numeric = i >= 3;
+        const maxChars = Math.floor(widths[i] / 1.8);
+        const text =
+          cell.length > maxChars ? `${cell.slice(0, maxChars - 3)}...` : cell;
+        doc.text(
+          text,
+          numeric ? colX[i] + widths[i] - 2 : colX[i] + 2,
+          y + rowHeight - 2,
+          numeric ? { align: "right" } : undefined
+        );
+      });
+      doc.setTextColor(0, 0, 0);
+      y += rowHeight;
+    };
+
+    doc.setFontSize(9);
+    drawRow(
+      [tr.date, tr.particulars, tr.shop, tr.debit, tr.credit, tr.balance],
+      true
+    );
+    drawRow([
+      ledger.from || "",
+      tr.openingBalance,
+      "",
+      "",
+      "",
+      formatAmount(ledger.openingBalance) || "₹0",
+    ]);
+    ledger.entries.forEach((entry) => {
+      const particulars =
+        entry.type === "RentDue"
+          ? `${tr.RentDue} ${entry.reference}`
+          : tr[entry.type];
+      drawRow([
+        entry.date,
+        entry.uncleared ? `${particulars} (${tr.uncleared})` : particulars,
+        entry.shopNumber || "",
+        formatAmount(entry.debit),
+        formatAmount(entry.credit),
+        formatAmount(entry.balance) || "₹0",
+      ]);
+    });
+
+    doc.setFont("helvetica", "bold");
+    drawRow([
+      "",
+      tr.total,
+      "",
+      formatAmount(ledger.totals.debit),
+      formatAmount(ledger.totals.credit),
+      "",
+    ]);
+    y += 5;
+    doc.setFontSize(11);
+    doc.text(
+      `${tr.closingBalance}: ${formatAmount(ledger.closingBalance) || "₹0"}`,
+      20,
+      y
+    );
+    if (ledger.totals.uncleared > 0) {
+      y += 6;
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(9);
+      doc.text(
+        `${tr.unclearedTotal}: ${formatAmount(ledger.totals.uncleared)}`,
+        20,
+        y
+      );
+    }
+
+    return doc;
+  };
+
+  const handleExport = () => {
+    const doc = generatePDF(pdfLanguage);
+    if (!doc || !ledger) return;
+    const safeName = ledger.tenant.name.replace(/[^a-z0-9]+/gi, "_");
+    doc.save(
+      `statement_${safeName}_${pdfLanguage === "mr" ? "marathi" : "english"}_${
+        new Date().toISOString().split("T")[0]
+      }.pdf`
+    );
+    toast.success(t("ledger.exportSuccess"));
+  };
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="sm:max-w-4xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <FileText className="h-5 w-5" />
+            {t("ledger.title")}
+          </DialogTitle>
+          <DialogDescription>{tenant?.name}</DialogDescription>
+        </DialogHeader>
+
+        <div className="grid grid-cols-1 md:grid-cols-4 gap-4 items-end">
+          <div>
+            <Label htmlFor="ledgerFrom">{t("ledger.fromDate")}</Label>
+            <Input
+              id="ledgerFrom"
+              type="date"
+              value={fromDate}
+              onChange={(e) => setFromDate(e.target.value)}
+            />
+          </div>
+          <div>
+            <Label htmlFor="ledgerTo">{t("ledger.toDate")}</Label>
+            <Input
+              id="ledgerTo"
+              type="date"
+              value={toDate}
+              onChange={(e) => setToDate(e.target.value)}
+            />
+          </div>
+          <Button
+            onClick={() => setRange({ from: fromDate || undefined, to: toDate || undefined })}
+            disabled={loading}
+          >
+            {loading ? t("common.loading") : t("ledger.show")}
+          </Button>
+          <div className="flex gap-2">
+            <Select
+              value={pdfLanguage}
+              onValueChange={(value) => setPdfLanguage(value as "en" | "mr")}
+            >
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="en">English</SelectItem>
+                <SelectItem value="mr">मराठी</SelectItem>
+              </SelectContent>
+            </Select>
+            <Button
+              variant="outline"
+              onClick={handleExport}
+              disabled={!ledger}
+              title={t("ledger.exportPdf")}
+            >
+              <Download className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+
+        {error && (
+          <Alert>
+            <AlertCircle className="h-4 w-4" />
+            <AlertDescription>{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {ledger && (
+          <div className="overflow-x-auto">
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("common.date")}</TableHead>
+                  <TableHead>{t("ledger.particulars")}</TableHead>
+                  <TableHead>{t("ledger.shop")}</TableHead>
+                  <TableHead className="text-right">
+                    {t("ledger.debit")}
+                  </TableHead>
+                  <TableHead className="text-right">
+                    {t("ledger.credit")}
+                  </TableHead>
+                  <TableHead className="text-right">
+                    {t("ledger.balance")}
+                  </TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                <TableRow>
+                  <TableCell>{ledger.from || ""}</TableCell>
+                  <TableCell className="font-medium" colSpan={4}>
+                    {t("ledger.openingBalance")}
+                  </TableCell>
+                  <TableCell className="text-right font-medium">
+                    {formatAmount(ledger.openingBalance) || "₹0"}
+                  </TableCell>
+                </TableRow>
+                {ledger.entries.map((entry, index) => (
+                  <TableRow key={`${entry.type}-${entry.reference}-${index}`}>
+                    <TableCell>{entry.date}</TableCell>
+                    <TableCell>
+                      <div className="font-medium">
+                        {entryLabel(entry)}
+                        {entry.uncleared && (
+                          <span className="ml-2 text-xs font-normal text-amber-600">
+                            ({t("ledger.uncleared")})
+                          </span>
+                        )}
+                      </div>
+                      {entry.description && (
+                        <div className="text-xs text-gray-500">
+                          {entry.description}
+                        </div>
+                      )}
+                    </TableCell>
+                    <TableCell>{entry.shopNumber || "-"}</TableCell>
+                    <TableCell className="text-right text-red-600">
+                      {formatAmount(entry.debit)}
+                    </TableCell>
+                    <TableCell
+                      className={`text-right ${
+                        entry.uncleared ? "text-gray-400" : "text-green-600"
+                      }`}
+                    >
+                      {formatAmount(entry.credit)}
+                    </TableCell>
+                    <TableCell className="text-right">
+                      {formatAmount(entry.balance) || "₹0"}
+                    </TableCell>
+                  </TableRow>
+                ))}
+                <TableRow>
+                  <TableCell />
+                  <TableCell className="font-bold" colSpan={2}>
+                    {t("common.total")}
+                  </TableCell>
+                  <TableCell className="text-right font-bold">
+                    {formatAmount(ledger.totals.debit)}
+                  </TableCell>
+                  <TableCell className="text-right font-bold">
+                    {formatAmount(ledger.totals.credit)}
+                  </TableCell>
+                  <TableCell />
+                </TableRow>
+              </TableBody>
+            </Table>
+            <div className="flex justify-end mt-4 text-lg font-semibold">
+              {t("ledger.closingBalance")}:&nbsp;
+              <span
+                className={
+                  ledger.closingBalance > 0 ? "text-red-600" : "text-green-600"
+                }
+              >
+                {formatAmount(ledger.closingBalance) || "₹0"}
+              </span>
+            </div>
+            {ledger.totals.uncleared > 0 && (
+              <p className="text-right text-sm text-amber-600">
+                {t("ledger.unclearedTotal")}:{" "}
+                {formatAmount(ledger.totals.uncleared)}
+              </p>
+            )}
+          </div>
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
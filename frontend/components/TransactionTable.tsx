@@ -9,7 +9,13 @@ import {
 import { Badge } from "./ui/badge";
 import { Button } from "./ui/button";
 import { useLanguage } from "./LanguageContext";
-import { Edit, Trash2 } from "lucide-react";
+import { paymentModeKey } from "./PaymentModeFields";
+import { hasPermission } from "../src/utils/permissions";
+import { useCategories, categoryLabel, subCategoryLabel } from "../src/utils/categories";
+import { AttachmentStrip, AttachmentsDialog, useAttachmentsFor } from "./Attachments";
+import { Edit, FileCheck, Paperclip, Printer, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { useState } from "react";
 
 interface Transaction {
   id: string;
@@ -32,25 +38,73 @@ interface Transaction {
   shopNumber?: string;
   payeeName?: string;
   payeeContact?: string;
+  paymentMode?: string;
+  paymentReference?: string;
+  chequeDate?: string;
+  clearingStatus?: string;
+  eligible80g?: boolean | null;
 }
 
 interface TransactionTableProps {
   transactions: Transaction[];
   onUpdate?: (id: string, transaction: Transaction) => void;
-  onDelete?: (id: string) => void;
+  onDelete?: (id: string) => void | Promise<boolean>;
+  onPrintReceipt?: (transaction: Transaction) => void;
+  // Shown for eligible donations once the payment has cleared
+  onPrint80gCertificate?: (transaction: Transaction) => void;
   currentUser?: any;
 }
 
+// Who may attach files to a row, as the server decides it
+const ATTACH_PERMISSIONS: Record<string, string[]> = {
+  Donation: ['donation.create', 'donation.update'],
+  Expense: ['expense.create', 'expense.update'],
+  RentIncome: ['rent.payment.create'],
+};
+
 export default function TransactionTable({ 
   transactions, 
   onUpdate, 
   onDelete,
+  onPrintReceipt,
+  onPrint80gCertificate,
   currentUser 
 }: TransactionTableProps) {
-  const { t } = useLanguage();
-  
-  // Check if user can edit/delete (Admin and Treasurer can modify, Viewer can only view)
-  const canModify = currentUser?.role === 'Admin' || currentUser?.role === 'Treasurer';
+  const { t, language } = useLanguage();
+  const categories = useCategories();
+  const [attaching, setAttaching] = useState<Transaction | null>(null);
+  const { byEntity: attachments, reload: reloadAttachments } = useAttachmentsFor(
+    'transaction',
+    (transactions ?? []).map((transaction) => transaction.id)
+  );
+
+  // What the user may do with a row depends on its type
+  const rowPermissions = (transaction: Transaction) => {
+    const area =
+      transaction.type === 'Donation' ? 'donation' : transaction.type === 'Expense' ? 'expense' : null;
+    return {
+      update: hasPermission(currentUser, area ? `${area}.update` : 'transaction.manage'),
+      remove: hasPermission(currentUser, area ? `${area}.delete` : 'transaction.manage'),
+      print: !!onPrintReceipt && transaction.type === 'Donation' && hasPermission(currentUser, 'donation.receipt.print'),
+      certificate:
+        !!onPrint80gCertificate &&
+        transaction.type === 'Donation' &&
+        !!transaction.eligible80g &&
+        (transaction.clearingStatus ?? 'Cleared') === 'Cleared' &&
+        hasPermission(currentUser, 'donation.receipt.print'),
+      attach: hasPermission(
+        currentUser,
+        ...(ATTACH_PERMISSIONS[transaction.type] ?? []),
+        'transaction.manage',
+        'file.manage'
+      ),
+    };
+  };
+  const canAct = (transaction: Transaction) => {
+    const allowed = rowPermissions(transaction);
+    return allowed.update || allowed.remove || allowed.print || allowed.certificate || allowed.attach;
+  };
+  const canModify = transactions.some(canAct);
 
   const handleEdit = (transaction: Transaction) => {
     if (onUpdate) {
@@ -58,9 +112,15 @@ export default function TransactionTable({
     }
   };
 
-  const handleDelete = (id: string) => {
-    if (onDelete && window.confirm(t('common.confirmDelete'))) {
-      onDelete(id);
+  const handleDelete = async (id: string) => {
+    if (!onDelete || !window.confirm(t('common.confirmDelete'))) return;
+    try {
+      // false means the deletion is waiting for a second user's approval
+      if ((await onDelete(id)) === false) {
+        toast.info(t('approvals.submitted'));
+      }
+    } catch (err: any) {
+      toast.error(err.message || t('common.error'));
     }
   };
 
@@ -102,83 +162,176 @@ export default function TransactionTable({
     }
   };
 
+  const getClearingStatusColor = (status?: string) => {
+    switch (status) {
+      case 'Pending':
+        return 'bg-yellow-100 text-yellow-800';
+      case 'Bounced':
+        return 'bg-red-100 text-red-800';
+      default:
+        return 'bg-green-100 text-green-800';
+    }
+  };
+
   const getCategoryDisplay = (transaction: Transaction) => {
-    const categoryKey = transaction.category.toLowerCase().replace(/\s+/g, '');
-    const categoryName = t(`donations.${categoryKey}`) || transaction.category;
-    
-    if (transaction.subCategory) {
-      const subCategoryName = t(`donations.${transaction.subCategory}`) || transaction.subCategory;
-      return `${categoryName} - ${subCategoryName}`;
+    const { type, category, subCategory } = transaction;
+    const categoryName = categoryLabel(categories, language, type, category);
+
+    if (subCategory) {
+      return `${categoryName} - ${subCategoryLabel(categories, language, type, category, subCategory)}`;
     }
-    
+
     return categoryName;
   };
 
   return (
-    <Table>
-      <TableHeader>
-        <TableRow>
-          <TableHead>{t('common.date')}</TableHead>
-          <TableHead>{t('donations.receiptNumber')}</TableHead>
-          <TableHead>{t('common.type')}</TableHead>
-          <TableHead>{t('donations.category')}</TableHead>
-          <TableHead>{t('donations.donorName')}</TableHead>
-          <TableHead>{t('common.description')}</TableHead>
-          <TableHead className="text-right">{t('common.amount')}</TableHead>
-          {canModify && <TableHead className="text-center">{t('common.actions')}</TableHead>}
-        </TableRow>
-      </TableHeader>
-      <TableBody>
-        {(transactions ?? []).map((transaction) => (
-          <TableRow key={transaction.id}>
-            <TableCell>{transaction.date}</TableCell>
-            <TableCell>{transaction.receiptNumber || '-'}</TableCell>
-            <TableCell>
-              <Badge className={getTypeColor(transaction.type)}>
-                {getTypeLabel(transaction.type)}
-              </Badge>
-            </TableCell>
-            <TableCell>{getCategoryDisplay(transaction)}</TableCell>
-            <TableCell>
-              {transaction.donorName || transaction.vendor || transaction.tenantName || transaction.payeeName || '-'}
-              {transaction.shopNumber && transaction.type === 'RentIncome' && (
-                <div className="text-xs text-gray-500">
-                  Shop: {transaction.shopNumber}
-                </div>
-              )}
-              {transaction.payeeContact && transaction.type === 'Expense' && (
-                <div className="text-xs text-gray-500">
-                  Contact: {transaction.payeeContact}
-                </div>
-              )}
-            </TableCell>
-            <TableCell>{transaction.description}</TableCell>
-            <TableCell className="text-right">{formatCurrency(transaction.amount)}</TableCell>
-            {canModify && (
-              <TableCell className="text-center">
-                <div className="flex gap-2 justify-center">
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={() => handleEdit(transaction)}
-                    className="h-8 w-8 p-0"
-                  >
-                    <Edit className="h-4 w-4" />
-                  </Button>
-                  <Button
-                    variant="outline"
-                    size="sm"
-                    onClick={() => handleDelete(transaction.id)}
-                    className="h-8 w-8 p-0 hover:bg-red-50 hover:text-red-600"
-                  >
-                    <Trash2 className="h-4 w-4" />
-                  </Button>
-                </div>
-              </TableCell>
-            )}
+    <>
+      <Table>
+        <TableHeader>
+          <TableRow>
+            <TableHead>{t('common.date')}</TableHead>
+            <TableHead>{t('donations.receiptNumber')}</TableHead>
+            <TableHead>{t('common.type')}</TableHead>
+            <TableHead>{t('donations.category')}</TableHead>
+            <TableHead>{t('donations.donorName')}</TableHead>
+            <TableHead>{t('common.description')}</TableHead>
+            <TableHead>{t('attachments.title')}</TableHead>
+            <TableHead>{t('payment.mode')}</TableHead>
+            <TableHead className="text-right">{t('common.amount')}</TableHead>
+            {canModify && <TableHead className="text-center">{t('common.actions')}</TableHead>}
           </TableRow>
-        ))}
-      </TableBody>
-    </Table>
+        </TableHeader>
+        <TableBody>
+          {(transactions ?? []).map((transaction) => (
+            <TableRow key={transaction.id}>
+              <TableCell>{transaction.date}</TableCell>
+              <TableCell>{transaction.receiptNumber || '-'}</TableCell>
+              <TableCell>
+                <Badge className={getTypeColor(transaction.type)}>
+                  {getTypeLabel(transaction.type)}
+                </Badge>
+              </TableCell>
+              <TableCell>
+                {getCategoryDisplay(transaction)}
+                {transaction.type === 'Donation' && transaction.eligible80g && (
+                  <Badge variant="outline" className="ml-2 border-green-600 text-green-700" title={t('tax80g.eligible')}>
+                    {t('tax80g.badge')}
+                  </Badge>
+                )}
+              </TableCell>
+              <TableCell>
+                {transaction.donorName || transaction.vendor || transaction.tenantName || transaction.payeeName || '-'}
+                {transaction.shopNumber && transaction.type === 'RentIncome' && (
+                  <div className="text-xs text-gray-500">
+                    Shop: {transaction.shopNumber}
+                  </div>
+                )}
+                {transaction.payeeContact && transaction.type === 'Expense' && (
+                  <div className="text-xs text-gray-500">
+                    Contact: {transaction.payeeContact}
+                  </div>
+                )}
+              </TableCell>
+              <TableCell>{transaction.description}</TableCell>
+              <TableCell>
+                <AttachmentStrip attachments={attachments[transaction.id] ?? []} />
+              </TableCell>
+              <TableCell>
+                <Badge variant="outline">
+                  {t(`payment.${paymentModeKey(transaction.paymentMode)}`)}
+                </Badge>
+                {transaction.paymentReference && (
+                  <div className="text-xs text-gray-500">
+                    {transaction.paymentReference}
+                    {transaction.chequeDate && ` (${transaction.chequeDate})`}
+                  </div>
+                )}
+                {transaction.clearingStatus && transaction.clearingStatus !== 'Cleared' && (
+                  <Badge className={`mt-1 ${getClearingStatusColor(transaction.clearingStatus)}`}>
+                    {t(`payment.${transaction.clearingStatus.toLowerCase()}`)}
+                  </Badge>
+                )}
+              </TableCell>
+              <TableCell className="text-right">{formatCurrency(transaction.amount)}</TableCell>
+              {canModify && (
+                <TableCell className="text-center">
+                  <div className="flex gap-2 justify-center">
+                    {onPrintReceipt && rowPermissions(transaction).print && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => onPrintReceipt(transaction)}
+                        className="h-8 w-8 p-0"
+                        title={t('receipt.print')}
+                      >
+                        <Printer className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {onPrint80gCertificate && rowPermissions(transaction).certificate && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => onPrint80gCertificate(transaction)}
+                        className="h-8 w-8 p-0"
+                        title={t('tax80g.printCertificate')}
+                        aria-label={t('tax80g.printCertificate')}
+                      >
+                        <FileCheck className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {rowPermissions(transaction).attach && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => setAttaching(transaction)}
+                        className="h-8 w-8 p-0"
+                        title={t('attachments.manage')}
+                        aria-label={t('attachments.manage')}
+                      >
+                        <Paperclip className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {rowPermissions(transaction).update && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleEdit(transaction)}
+                        className="h-8 w-8 p-0"
+                      >
+                        <Edit className="h-4 w-4" />
+                      </Button>
+                    )}
+                    {rowPermissions(transaction).remove && (
+                      <Button
+                        variant="outline"
+                        size="sm"
+                        onClick={() => handleDelete(transaction.id)}
+                        className="h-8 w-8 p-0 hover:bg-red-50 hover:text-red-600"
+                      >
+                        <Trash2 className="h-4 w-4" />
+                      </Button>
+                    )}
+                  </div>
+                </TableCell>
+              )}
+            </TableRow>
+          ))}
+        </TableBody>
+      </Table>
+      <AttachmentsDialog
+        open={!!attaching}
+        onOpenChange={(open) => {
+          if (!open) {
+            setAttaching(null);
+            reloadAttachments();
+          }
+        }}
+        title={t('attachments.title')}
+        description={attaching ? `${attaching.receiptNumber || attaching.date} · ${attaching.description}` : undefined}
+        entityType="transaction"
+        entityId={attaching?.id ?? ''}
+        canManage
+      />
+    </>
   );
 }
\ No newline at end of file
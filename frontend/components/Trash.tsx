@@ -0,0 +1,192 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Badge } from "./ui/badge";
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from "./ui/select";
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from "./ui/table";
+import { RotateCcw, Trash2 } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { TrashEntityType, TrashItem } from "../src/types";
+
+const ENTITY_TYPES: TrashEntityType[] = [
+  "Shop",
+  "Tenant",
+  "Agreement",
+  "Loan",
+  "RentPenalty",
+  "Transaction",
+];
+
+const ALL = "all";
+
+interface TrashProps {
+  // Offer permanent deletion; needs trash.purge on top of trash.restore
+  canPurge?: boolean;
+}
+
+// Deleted shops, tenants, agreements, loans, penalties and transactions, with
+// restore and, for those allowed, permanent deletion. Loans and penalties that
+// went with their agreement come back when the agreement is restored.
+export default function Trash({ canPurge = false }: TrashProps) {
+  const { t } = useLanguage();
+  const [entityType, setEntityType] = useState<string>(ALL);
+  const [items, setItems] = useState<TrashItem[]>([]);
+  const [loading, setLoading] = useState(true);
+  const [busyId, setBusyId] = useState<string | null>(null);
+
+  const load = useCallback(() => {
+    setLoading(true);
+    apiClient
+      .getTrash(entityType === ALL ? undefined : entityType)
+      .then((data) => setItems(Array.isArray(data) ? data : []))
+      .catch((err: any) => toast.error(err.message || t("trash.loadError")))
+      .finally(() => setLoading(false));
+  }, [entityType, t]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const handleRestore = async (item: TrashItem) => {
+    setBusyId(item.id);
+    try {
+      await apiClient.restoreFromTrash(item.entityType, item.id);
+      toast.success(t("trash.restored"));
+      load();
+    } catch (err: any) {
+      toast.error(err.message || t("trash.restoreError"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handlePurge = async (item: TrashItem) => {
+    if (!window.confirm(t("trash.purgeConfirm"))) return;
+    setBusyId(item.id);
+    try {
+      await apiClient.purgeFromTrash(item.entityType, item.id);
+      toast.success(t("trash.purged"));
+      load();
+    } catch (err: any) {
+      toast.error(err.message || t("trash.purgeError"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between">
+          <CardTitle className="flex items-center gap-2">
+            <Trash2 className="h-5 w-5" />
+            {t("trash.title")}
+          </CardTitle>
+          <div className="w-48">
+            <Select value={entityType} onValueChange={setEntityType}>
+              <SelectTrigger aria-label={t("audit.entity")}>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
+                <SelectItem value={ALL} className="hover:font-bold hover:bg-gray-100">
+                  {t("common.all")}
+                </SelectItem>
+                {ENTITY_TYPES.map((type) => (
+                  <SelectItem key={type} value={type} className="hover:font-bold hover:bg-gray-100">
+                    {t(`audit.entity.${type}`)}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <p className="text-sm text-gray-500">{t("common.loading")}</p>
+          ) : items.length === 0 ? (
+            <p className="text-sm text-gray-500">{t("trash.empty")}</p>
+          ) : (
+            <Table>
+              <TableHeader>
+                <TableRow>
+                  <TableHead>{t("audit.entity")}</TableHead>
+                  <TableHead>{t("trash.record")}</TableHead>
+                  <TableHead className="text-right">{t("trash.amount")}</TableHead>
+                  <TableHead>{t("trash.deletedAt")}</TableHead>
+                  <TableHead>{t("trash.deletedBy")}</TableHead>
+                  <TableHead className="text-right">{t("trash.actions")}</TableHead>
+                </TableRow>
+              </TableHeader>
+              <TableBody>
+                {items.map((item) => (
+                  <TableRow key={`${item.entityType}-${item.id}`} className="align-top">
+                    <TableCell>
+                      <Badge variant="outline">{t(`audit.entity.${item.entityType}`)}</Badge>
+                    </TableCell>
+                    <TableCell className="text-sm">
+                      <div>{item.label || item.id}</div>
+                      <div className="text-xs text-gray-500">
+                        {[item.detail, item.date].filter(Boolean).join(" · ")}
+                      </div>
+                      {item.deletedWith && (
+                        <div className="text-xs text-amber-700">{t("trash.deletedWithAgreement")}</div>
+                      )}
+                    </TableCell>
+                    <TableCell className="text-right text-sm">
+                      {item.amount === null ? "—" : `₹${item.amount.toLocaleString("en-IN")}`}
+                    </TableCell>
+                    <TableCell className="whitespace-nowrap text-sm">
+                      {new Date(item.deletedAt).toLocaleString("en-IN")}
+                    </TableCell>
+                    <TableCell className="text-sm">{item.deletedByName || t("audit.system")}</TableCell>
+                    <TableCell className="text-right">
+                      <div className="flex justify-end gap-2">
+                        {!item.deletedWith && (
+                          <Button
+                            variant="outline"
+                            size="sm"
+                            disabled={busyId === item.id}
+                            onClick={() => handleRestore(item)}
+                          >
+                            <RotateCcw className="h-4 w-4 mr-1" />
+                            {t("trash.restore")}
+                          </Button>
+                        )}
+                        {canPurge && (
+                          <Button
+                            variant="destructive"
+                            size="sm"
+                            disabled={busyId === item.id}
+                            onClick={() => handlePurge(item)}
+                          >
+                            <Trash2 className="h-4 w-4 mr-1" />
+                            {t("trash.purge")}
+                          </Button>
+                        )}
+                      </div>
+                    </TableCell>
+                  </TableRow>
+                ))}
+              </TableBody>
+            </Table>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { useEffect, useRef, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Alert, AlertDescription } from "./ui/alert";
+import { ArrowLeft, ShieldCheck } from "lucide-react";
+import RecoveryCodes from "./RecoveryCodes";
+import { useLanguage } from "./LanguageContext";
+import { useAuth } from "../src/context/AuthContext";
+import apiClient from "../src/utils/api";
+import type { LoginChallenge, TwoFactorEnrollment } from "../src/types";
+
+interface TwoFactorLoginProps {
+  challenge: LoginChallenge;
+  onCancel: () => void;
+}
+
+// Second sign-in step. For a role that requires 2FA and has not enrolled yet,
+// the authenticator is set up here before the first code is accepted.
+export default function TwoFactorLogin({ challenge, onCancel }: TwoFactorLoginProps) {
+  const { t } = useLanguage();
+  const { completeTwoFactorLogin, finishLogin } = useAuth();
+  const enrolling = challenge.twoFactor === "enroll";
+
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [code, setCode] = useState("");
+  const [recoveryCode, setRecoveryCode] = useState("");
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // Each setup call issues a new secret, so only ask once (StrictMode runs effects twice)
+  const setupRequestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!enrolling || setupRequestedRef.current) return;
+    setupRequestedRef.current = true;
+
+    apiClient
+      .startLoginTwoFactorSetup(challenge.challengeToken)
+      .then(setEnrollment)
+      .catch((err: any) => setError(err.message || t("twoFactor.setupError")));
+  }, [enrolling, challenge.challengeToken, t]);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+    try {
+      const answer = useRecoveryCode ? { recoveryCode: recoveryCode.trim() } : { code: code.trim() };
+      const codes = await completeTwoFactorLogin(challenge.challengeToken, answer);
+      if (codes) setRecoveryCodes(codes);
+    } catch (err: any) {
+      setError(err.message || t("twoFactor.verifyError"));
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md bg-white/90 backdrop-blur-sm shadow-2xl border-0 login">
+      <CardHeader className="text-center pb-2">
+        <div className="mx-auto mb-4 w-16 h-16 bg-orange-500 rounded-full flex items-center justify-center">
+          <ShieldCheck className="h-8 w-8 text-white" />
+        </div>
+        <CardTitle className="text-2xl text-orange-600">
+          {enrolling ? t("twoFactor.setupTitle") : t("twoFactor.verifyTitle")}
+        </CardTitle>
+        <p className="text-sm text-gray-600 mt-2">
+          {enrolling ? t("twoFactor.setupRequired") : t("twoFactor.verifyHelp")}
+        </p>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {error && (
+          <Alert className="border-red-200 bg-red-50">
+            <AlertDescription className="text-red-600">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {recoveryCodes ? (
+          <>
+            <RecoveryCodes codes={recoveryCodes} />
+            <Button className="w-full bg-orange-500 hover:bg-orange-600" onClick={finishLogin}>
+              {t("twoFactor.continue")}
+            </Button>
+          </>
+        ) : (
+          <>
+            {enrolling && enrollment && (
+              <div className="text-center space-y-2">
+                <img
+                  src={enrollment.qrCodeDataUrl}
+                  alt={t("twoFactor.qrAlt")}
+                  className="mx-auto h-44 w-44"
+                />
+                <p className="text-xs text-gray-500">{t("twoFactor.manualEntry")}</p>
+                <p className="font-mono text-sm break-all">{enrollment.secret}</p>
+              </div>
+            )}
+
+            <form onSubmit={handleSubmit} className="space-y-4">
+              {useRecoveryCode ? (
+                <div>
+                  <Label className="mb-1" htmlFor="recoveryCode">
+                    {t("twoFactor.recoveryCode")}
+                  </Label>
+                  <Input
+                    id="recoveryCode"
+                    value={recoveryCode}
+                    onChange={(e) => setRecoveryCode(e.target.value)}
+                    placeholder="xxxx-xxxx"
+                    autoComplete="off"
+                    required
+                  />
+                </div>
+              ) : (
+                <div>
+                  <Label className="mb-1" htmlFor="twoFactorCode">
+                    {t("twoFactor.code")}
+                  </Label>
+                  <Input
+                    id="twoFactorCode"
+                    value={code}
+                    onChange={(e) => setCode(e.target.value.replace(/\D/g, "").slice(0, 6))}
+                    inputMode="numeric"
+                    autoComplete="one-time-code"
+                    placeholder="123456"
+                    required
+                  />
+                </div>
+              )}
+
+              <Button
+                type="submit"
+                className="w-full bg-orange-500 hover:bg-orange-600"
+                disabled={submitting || (enrolling && !enrollment)}
+              >
+                {submitting ? t("twoFactor.verifying") : t("twoFactor.verify")}
+              </Button>
+            </form>
+
+            {!enrolling && (
+              <button
+                type="button"
+                onClick={() => {
+                  setUseRecoveryCode(!useRecoveryCode);
+                  setError(null);
+                }}
+                className="w-full text-sm text-orange-600 hover:underline"
+              >
+                {useRecoveryCode ? t("twoFactor.useAuthenticator") : t("twoFactor.useRecoveryCode")}
+              </button>
+            )}
+
+            <button
+              type="button"
+              onClick={onCancel}
+              className="w-full flex items-center justify-center gap-1 text-sm text-orange-600 hover:underline"
+            >
+              <ArrowLeft className="h-4 w-4" />
+              {t("passwordReset.backToSignIn")}
+            </button>
+          </>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
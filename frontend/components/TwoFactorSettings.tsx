@@ -0,0 +1,244 @@
+import { useCallback, useEffect, useState } from "react";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Input } from "./ui/input";
+import { Label } from "./ui/label";
+import { Badge } from "./ui/badge";
+import {
+  Dialog,
+  DialogContent,
+  DialogDescription,
+  DialogHeader,
+  DialogTitle,
+} from "./ui/dialog";
+import { ShieldCheck, ShieldOff, KeyRound } from "lucide-react";
+import { toast } from "sonner";
+import RecoveryCodes from "./RecoveryCodes";
+import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import type { TwoFactorEnrollment, TwoFactorStatus } from "../src/types";
+
+type PasswordAction = "disable" | "regenerate";
+
+export default function TwoFactorSettings() {
+  const { t } = useLanguage();
+  const [status, setStatus] = useState<TwoFactorStatus | null>(null);
+  const [enrollment, setEnrollment] = useState<TwoFactorEnrollment | null>(null);
+  const [code, setCode] = useState("");
+  const [recoveryCodes, setRecoveryCodes] = useState<string[] | null>(null);
+  const [passwordAction, setPasswordAction] = useState<PasswordAction | null>(null);
+  const [password, setPassword] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  const loadStatus = useCallback(async () => {
+    try {
+      setStatus(await apiClient.getTwoFactorStatus());
+    } catch (err: any) {
+      toast.error(err.message || t("twoFactor.statusError"));
+    }
+  }, [t]);
+
+  useEffect(() => {
+    loadStatus();
+  }, [loadStatus]);
+
+  const handleSetup = async () => {
+    setBusy(true);
+    try {
+      setEnrollment(await apiClient.setupTwoFactor());
+      setCode("");
+    } catch (err: any) {
+      toast.error(err.message || t("twoFactor.setupError"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleEnable = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      const { recoveryCodes: codes } = await apiClient.enableTwoFactor(code.trim());
+      setRecoveryCodes(codes);
+      setEnrollment(null);
+      toast.success(t("twoFactor.enabled"));
+      await loadStatus();
+    } catch (err: any) {
+      toast.error(err.message || t("twoFactor.verifyError"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handlePasswordAction = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      if (passwordAction === "disable") {
+        await apiClient.disableTwoFactor(password);
+        setRecoveryCodes(null);
+        toast.success(t("twoFactor.disabled"));
+      } else {
+        const { recoveryCodes: codes } = await apiClient.regenerateRecoveryCodes(password);
+        setRecoveryCodes(codes);
+      }
+      setPasswordAction(null);
+      setPassword("");
+      await loadStatus();
+    } catch (err: any) {
+      toast.error(err.message || t("twoFactor.actionError"));
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader className="flex flex-row items-center justify-between">
+        <CardTitle className="flex items-center gap-2">
+          <ShieldCheck className="h-5 w-5 text-orange-500" />
+          {t("twoFactor.title")}
+        </CardTitle>
+        {status && (
+          <Badge
+            className={
+              status.enabled ? "bg-green-100 text-green-800" : "bg-gray-100 text-gray-800"
+            }
+          >
+            {status.enabled ? t("twoFactor.on") : t("twoFactor.off")}
+          </Badge>
+        )}
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <p className="text-sm text-gray-600">{t("twoFactor.description")}</p>
+        {status?.required && (
+          <p className="text-sm text-orange-700">{t("twoFactor.requiredForRole")}</p>
+        )}
+
+        {recoveryCodes && (
+          <>
+            <RecoveryCodes codes={recoveryCodes} />
+            <Button variant="outline" onClick={() => setRecoveryCodes(null)}>
+              {t("twoFactor.done")}
+            </Button>
+          </>
+        )}
+
+        {!recoveryCodes && status && !status.enabled && !enrollment && (
+          <Button
+            className="bg-orange-500 hover:bg-orange-600"
+            onClick={handleSetup}
+            disabled={busy}
+          >
+            <ShieldCheck className="h-4 w-4 mr-2" />
+            {t("twoFactor.setUp")}
+          </Button>
+        )}
+
+        {!recoveryCodes && enrollment && (
+          <form onSubmit={handleEnable} className="space-y-4">
+            <p className="text-sm text-gray-600">{t("twoFactor.scan")}</p>
+            <img
+              src={enrollment.qrCodeDataUrl}
+              alt={t("twoFactor.qrAlt")}
+              className="h-44 w-44"
+            />
+            <div>
+              <p className="text-xs text-gray-500">{t("twoFactor.manualEntry")}</p>
+              <p className="font-mono text-sm break-all">{enrollment.secret}</p>
+            </div>
+            <div className="max-w-xs">
+              <Label className="mb-1" htmlFor="enableCode">
+                {t("twoFactor.code")}
+              </Label>
+              <Input
+                id="enableCode"
+                value={code}
+                onChange={(e) => setCode(e.target.value.replace(/\D/g, "").slice(0, 6))}
+                inputMode="numeric"
+                autoComplete="one-time-code"
+                placeholder="123456"
+                required
+              />
+            </div>
+            <div className="flex gap-2">
+              <Button
+                type="submit"
+                className="bg-orange-500 hover:bg-orange-600"
+                disabled={busy || code.length !== 6}
+              >
+                {t("twoFactor.enable")}
+              </Button>
+              <Button type="button" variant="outline" onClick={() => setEnrollment(null)}>
+                {t("common.cancel")}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {!recoveryCodes && status?.enabled && (
+          <div className="space-y-3">
+            <p className="text-sm text-gray-600">
+              {t("twoFactor.codesRemaining")}: {status.recoveryCodesRemaining}
+            </p>
+            <div className="flex flex-wrap gap-2">
+              <Button variant="outline" onClick={() => setPasswordAction("regenerate")}>
+                <KeyRound className="h-4 w-4 mr-2" />
+                {t("twoFactor.newCodes")}
+              </Button>
+              {!status.required && (
+                <Button
+                  variant="outline"
+                  className="text-red-600 hover:text-red-700"
+                  onClick={() => setPasswordAction("disable")}
+                >
+                  <ShieldOff className="h-4 w-4 mr-2" />
+                  {t("twoFactor.turnOff")}
+                </Button>
+              )}
+            </div>
+          </div>
+        )}
+      </CardContent>
+
+      <Dialog
+        open={!!passwordAction}
+        onOpenChange={() => {
+          setPasswordAction(null);
+          setPassword("");
+        }}
+      >
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>
+              {passwordAction === "disable" ? t("twoFactor.turnOff") : t("twoFactor.newCodes")}
+            </DialogTitle>
+            <DialogDescription>{t("twoFactor.confirmPassword")}</DialogDescription>
+          </DialogHeader>
+          <form onSubmit={handlePasswordAction} className="space-y-4">
+            <div>
+              <Label className="mb-1" htmlFor="twoFactorPassword">
+                {t("login.password")}
+              </Label>
+              <Input
+                id="twoFactorPassword"
+                type="password"
+                value={password}
+                onChange={(e) => setPassword(e.target.value)}
+                autoComplete="current-password"
+                required
+              />
+            </div>
+            <Button
+              type="submit"
+              className="w-full bg-orange-500 hover:bg-orange-600"
+              disabled={busy}
+            >
+              {t("twoFactor.confirm")}
+            </Button>
+          </form>
+        </DialogContent>
+      </Dialog>
+    </Card>
+  );
+}
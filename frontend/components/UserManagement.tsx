@@ -1,4 +1,4 @@
-import { useEffect, useState } from "react";
+import { useCallback, useEffect, useState } from "react";
 import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
 import { Button } from "./ui/button";
 import { Input } from "./ui/input";
@@ -27,16 +27,24 @@ import {
   DialogTitle,
   DialogTrigger,
 } from "./ui/dialog";
-import { Trash2, Edit, Plus, UserCheck, UserX } from "lucide-react";
+import { Trash2, Edit, Plus, UserCheck, UserX, Unlock, History, ShieldOff, MonitorSmartphone } from "lucide-react";
 import { Alert, AlertDescription } from "./ui/alert";
+import { toast } from "sonner";
 import { useLanguage } from "./LanguageContext";
+import apiClient from "../src/utils/api";
+import ActiveSessions from "./ActiveSessions";
+import { hasPermission } from "../src/utils/permissions";
+import type { LoginHistoryEntry } from "../src/types";
 
 interface User {
   id: string;
   username: string;
   email: string;
-  role: "Admin" | "Treasurer" | "Viewer";
+  role: string;
+  permissions?: string[];
   status: "Active" | "Inactive";
+  lockedUntil?: string | null;
+  twoFactorEnabled?: boolean;
   createdAt: string;
   lastLogin?: string;
 }
@@ -47,6 +55,8 @@ interface UserManagementProps {
   onEditUser: (id: string, user: Partial<User>) => void;
   onDeleteUser: (id: string) => void;
   onToggleUserStatus: (id: string) => void;
+  onUnlockUser?: (id: string) => Promise<unknown>;
+  onResetTwoFactor?: (id: string) => Promise<unknown>;
   loading?: boolean;
   error?: string | null;
   currentUser?: any; // The current authenticated user
@@ -58,6 +68,8 @@ export default function UserManagement({
   onEditUser,
   onDeleteUser,
   onToggleUserStatus,
+  onUnlockUser,
+  onResetTwoFactor,
   loading = false,
   error = null,
   currentUser,
@@ -81,7 +93,19 @@ export default function UserManagement({
   const effectiveUser: User | null = (currentUser as User) ?? storedUser;
 
   // Use effectiveUser to preserve admin tools across refresh
-  const isAdmin = effectiveUser?.role === "Admin";
+  const isAdmin = hasPermission(effectiveUser, "user.manage");
+
+  // Role names for the pickers; custom roles come from the server
+  const [roleNames, setRoleNames] = useState<string[]>(["Admin", "Treasurer", "Viewer"]);
+  useEffect(() => {
+    if (!isAdmin) return;
+    apiClient
+      .getRoles()
+      .then((roles) => setRoleNames(roles.map((role) => role.name)))
+      .catch(() => {
+        // keep the built-in roles
+      });
+  }, [isAdmin]);
 
   const [isAddDialogOpen, setIsAddDialogOpen] = useState(false);
   const [editingUser, setEditingUser] = useState<User | null>(null);
@@ -101,6 +125,15 @@ export default function UserManagement({
   const [validationErrors, setValidationErrors] = useState<{
     [key: string]: string;
   }>({});
+  const [historyUser, setHistoryUser] = useState<User | null>(null);
+  const [loginHistory, setLoginHistory] = useState<LoginHistoryEntry[]>([]);
+  const [historyLoading, setHistoryLoading] = useState(false);
+  const [sessionsUser, setSessionsUser] = useState<User | null>(null);
+  const sessionsUserId = sessionsUser?.id;
+  const loadUserSessions = useCallback(
+    async () => (sessionsUserId ? (await apiClient.getUserSessions(sessionsUserId)).sessions : []),
+    [sessionsUserId]
+  );
 
   const validateUsername = (username: string): string | null => {
     if (!username) return "Username is required";
@@ -242,6 +275,45 @@ export default function UserManagement({
     return status === "Active" ? t("users.active") : t("users.inactive");
   };
 
+  const isLocked = (user: User) =>
+    !!user.lockedUntil && new Date(user.lockedUntil) > new Date();
+
+  const formatDateTime = (value: string) => new Date(value).toLocaleString();
+
+  const handleUnlock = async (user: User) => {
+    if (!onUnlockUser) return;
+    try {
+      await onUnlockUser(user.id);
+      toast.success(t("users.unlocked"));
+    } catch (err: any) {
+      toast.error(err.message || t("users.unlockError"));
+    }
+  };
+
+  const handleResetTwoFactor = async (user: User) => {
+    if (!onResetTwoFactor || !window.confirm(t("users.resetTwoFactorConfirm"))) return;
+    try {
+      await onResetTwoFactor(user.id);
+      toast.success(t("users.twoFactorReset"));
+    } catch (err: any) {
+      toast.error(err.message || t("users.resetTwoFactorError"));
+    }
+  };
+
+  const openLoginHistory = async (user: User) => {
+    setHistoryUser(user);
+    setLoginHistory([]);
+    setHistoryLoading(true);
+    try {
+      const { history } = await apiClient.getUserLoginHistory(user.id);
+      setLoginHistory(history);
+    } catch (err: any) {
+      toast.error(err.message || t("users.loginHistoryError"));
+    } finally {
+      setHistoryLoading(false);
+    }
+  };
+
   return (
     <div className="space-y-6">
       <Card>
@@ -335,24 +407,15 @@ export default function UserManagement({
                         <SelectValue />
                       </SelectTrigger>
                       <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
-                        <SelectItem
-                          className="hover:font-bold hover:bg-gray-100"
-                          value="Admin"
-                        >
-                          {t("users.admin")}
-                        </SelectItem>
-                        <SelectItem
-                          className="hover:font-bold hover:bg-gray-100"
-                          value="Treasurer"
-                        >
-                          {t("users.treasurer")}
-                        </SelectItem>
-                        <SelectItem
-                          className="hover:font-bold hover:bg-gray-100"
-                          value="Viewer"
-                        >
-                          {t("users.viewer")}
-                        </SelectItem>
+                        {roleNames.map((role) => (
+                          <SelectItem
+                            key={role}
+                            className="hover:font-bold hover:bg-gray-100"
+                            value={role}
+                          >
+                            {getRoleLabel(role)}
+                          </SelectItem>
+                        ))}
                       </SelectContent>
                     </Select>
                   </div>
@@ -427,9 +490,19 @@ export default function UserManagement({
                       </Badge>
                     </TableCell>
                     <TableCell>
-                      <Badge className={getStatusColor(user.status)}>
-                        {getStatusLabel(user.status)}
-                      </Badge>
+                      <div className="flex flex-wrap gap-1">
+                        <Badge className={getStatusColor(user.status)}>
+                          {getStatusLabel(user.status)}
+                        </Badge>
+                        {isLocked(user) && (
+                          <Badge
+                            className="bg-red-100 text-red-800"
+                            title={`${t("users.lockedUntil")}: ${formatDateTime(user.lockedUntil!)}`}
+                          >
+                            {t("users.locked")}
+                          </Badge>
+                        )}
+                      </div>
                     </TableCell>
                     <TableCell>{user.lastLogin || t("users.never")}</TableCell>
                     <TableCell>
@@ -454,6 +527,46 @@ export default function UserManagement({
                                 <UserCheck className="h-4 w-4" />
                               )}
                             </Button>
+                            {isLocked(user) && onUnlockUser && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handleUnlock(user)}
+                                title={t("users.unlock")}
+                                aria-label={t("users.unlock")}
+                              >
+                                <Unlock className="h-4 w-4" />
+                              </Button>
+                            )}
+                            {user.twoFactorEnabled && onResetTwoFactor && (
+                              <Button
+                                size="sm"
+                                variant="outline"
+                                onClick={() => handleResetTwoFactor(user)}
+                                title={t("users.resetTwoFactor")}
+                                aria-label={t("users.resetTwoFactor")}
+                              >
+                                <ShieldOff className="h-4 w-4" />
+                              </Button>
+                            )}
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => openLoginHistory(user)}
+                              title={t("users.loginHistory")}
+                              aria-label={t("users.loginHistory")}
+                            >
+                              <History className="h-4 w-4" />
+                            </Button>
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              onClick={() => setSessionsUser(user)}
+                              title={t("users.sessions")}
+                              aria-label={t("users.sessions")}
+                            >
+                              <MonitorSmartphone className="h-4 w-4" />
+                            </Button>
                             <Button
                               size="sm"
                               variant="outline"
@@ -550,24 +663,15 @@ export default function UserManagement({
                   <SelectValue />
                 </SelectTrigger>
                 <SelectContent className="bg-white text-black border border-gray-200 shadow-lg">
-                  <SelectItem
-                    className="hover:font-bold hover:bg-gray-100"
-                    value="Admin"
-                  >
-                    {t("users.admin")}
-                  </SelectItem>
-                  <SelectItem
-                    className="hover:font-bold hover:bg-gray-100"
-                    value="Treasurer"
-                  >
-                    {t("users.treasurer")}
-                  </SelectItem>
-                  <SelectItem
-                    className="hover:font-bold hover:bg-gray-100"
-                    value="Viewer"
-                  >
-                    {t("users.viewer")}
-                  </SelectItem>
+                  {roleNames.map((role) => (
+                    <SelectItem
+                      key={role}
+                      className="hover:font-bold hover:bg-gray-100"
+                      value={role}
+                    >
+                      {getRoleLabel(role)}
+                    </SelectItem>
+                  ))}
                 </SelectContent>
               </Select>
             </div>
@@ -601,6 +705,86 @@ export default function UserManagement({
           </form>
         </DialogContent>
       </Dialog>
+
+      <Dialog open={!!historyUser} onOpenChange={() => setHistoryUser(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>{t("users.loginHistory")}</DialogTitle>
+            <DialogDescription>
+              {t("users.loginHistoryDesc")}: {historyUser?.username}
+            </DialogDescription>
+          </DialogHeader>
+          {historyLoading ? (
+            <p className="text-center py-6 text-gray-600">{t("common.loading")}</p>
+          ) : loginHistory.length === 0 ? (
+            <p className="text-center py-6 text-gray-500">{t("users.noLoginHistory")}</p>
+          ) : (
+            <div className="max-h-96 overflow-y-auto">
+              <Table>
+                <TableHeader>
+                  <TableRow>
+                    <TableHead>{t("users.loginTime")}</TableHead>
+                    <TableHead>{t("users.ipAddress")}</TableHead>
+                    <TableHead>{t("users.device")}</TableHead>
+                    <TableHead>{t("users.result")}</TableHead>
+                  </TableRow>
+                </TableHeader>
+                <TableBody>
+                  {loginHistory.map((entry) => (
+                    <TableRow key={entry.id}>
+                      <TableCell className="whitespace-nowrap">
+                        {formatDateTime(entry.createdAt)}
+                      </TableCell>
+                      <TableCell>{entry.ipAddress || "-"}</TableCell>
+                      <TableCell className="max-w-xs truncate" title={entry.userAgent || ""}>
+                        {entry.userAgent || "-"}
+                      </TableCell>
+                      <TableCell>
+                        <div className="flex flex-wrap gap-1">
+                          {entry.success ? (
+                            <Badge className="bg-green-100 text-green-800">
+                              {t("users.loginSuccess")}
+                            </Badge>
+                          ) : (
+                            <Badge className="bg-red-100 text-red-800">
+                              {entry.failureReason
+                                ? t(`users.failure.${entry.failureReason}`)
+                                : t("users.loginFailed")}
+                            </Badge>
+                          )}
+                          {entry.newDevice && (
+                            <Badge className="bg-yellow-100 text-yellow-800">
+                              {t("users.newDevice")}
+                            </Badge>
+                          )}
+                        </div>
+                      </TableCell>
+                    </TableRow>
+                  ))}
+                </TableBody>
+              </Table>
+            </div>
+          )}
+        </DialogContent>
+      </Dialog>
+
+      <Dialog open={!!sessionsUser} onOpenChange={() => setSessionsUser(null)}>
+        <DialogContent className="max-w-3xl">
+          <DialogHeader>
+            <DialogTitle>{t("users.sessions")}</DialogTitle>
+            <DialogDescription>
+              {t("users.sessionsDesc")}: {sessionsUser?.username}
+            </DialogDescription>
+          </DialogHeader>
+          {sessionsUser && (
+            <ActiveSessions
+              load={loadUserSessions}
+              revoke={(sessionId) => apiClient.revokeUserSession(sessionsUser.id, sessionId)}
+              revokeAll={() => apiClient.revokeUserSessions(sessionsUser.id)}
+            />
+          )}
+        </DialogContent>
+      </Dialog>
     </div>
   );
 }
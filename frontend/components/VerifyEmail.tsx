@@ -0,0 +1,96 @@
+import { useState, useEffect, useRef } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { Card, CardContent, CardHeader, CardTitle } from "./ui/card";
+import { Button } from "./ui/button";
+import { Alert, AlertDescription } from "./ui/alert";
+import { MailCheck } from "lucide-react";
+import { toast } from "sonner";
+import { useLanguage } from "./LanguageContext";
+import { useAuth } from "../src/context/AuthContext";
+import apiClient from "../src/utils/api";
+
+export default function VerifyEmail() {
+  const { t } = useLanguage();
+  const { isAuthenticated } = useAuth();
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token") || "";
+
+  const [status, setStatus] = useState<"verifying" | "verified" | "failed">(
+    token ? "verifying" : "failed"
+  );
+  const [error, setError] = useState<string | null>(token ? null : t("verifyEmail.missingToken"));
+  const [resending, setResending] = useState(false);
+
+  // Tokens are single-use, so guard against StrictMode running the effect twice
+  const requestedRef = useRef(false);
+
+  useEffect(() => {
+    if (!token || requestedRef.current) return;
+    requestedRef.current = true;
+
+    apiClient
+      .verifyEmail(token)
+      .then(() => setStatus("verified"))
+      .catch((err: any) => {
+        setStatus("failed");
+        setError(err.message || t("verifyEmail.error"));
+      });
+  }, [token, t]);
+
+  const handleResend = async () => {
+    setResending(true);
+    try {
+      await apiClient.resendVerification();
+      toast.success(t("verifyEmail.resent"));
+    } catch (err: any) {
+      toast.error(err.message || t("verifyEmail.resendError"));
+    } finally {
+      setResending(false);
+    }
+  };
+
+  return (
+    <Card className="w-full max-w-md bg-white/90 backdrop-blur-sm shadow-2xl border-0 login">
+      <CardHeader className="text-center pb-2">
+        <div className="mx-auto mb-4 w-16 h-16 bg-orange-500 rounded-full flex items-center justify-center">
+          <MailCheck className="h-8 w-8 text-white" />
+        </div>
+        <CardTitle className="text-2xl text-orange-600">{t("verifyEmail.title")}</CardTitle>
+      </CardHeader>
+
+      <CardContent className="space-y-4">
+        {status === "verifying" && (
+          <p className="text-center text-sm text-gray-600">{t("verifyEmail.verifying")}</p>
+        )}
+
+        {status === "verified" && (
+          <Alert className="border-green-200 bg-green-50">
+            <AlertDescription className="text-green-700">{t("verifyEmail.success")}</AlertDescription>
+          </Alert>
+        )}
+
+        {status === "failed" && error && (
+          <Alert className="border-red-200 bg-red-50">
+            <AlertDescription className="text-red-600">{error}</AlertDescription>
+          </Alert>
+        )}
+
+        {status === "failed" && isAuthenticated && (
+          <Button variant="outline" className="w-full" onClick={handleResend} disabled={resending}>
+            {t("verifyEmail.resend")}
+          </Button>
+        )}
+
+        {status !== "verifying" && (
+          <Button
+            className="w-full bg-orange-500 hover:bg-orange-600"
+            onClick={() => navigate("/", { replace: true })}
+          >
+            {t("verifyEmail.continue")}
+          </Button>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
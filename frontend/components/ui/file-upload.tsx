@@ -51,6 +51,7 @@ interface FileUploadProps {
   required?: boolean;
   compressImages?: boolean;
   quality?: number; // 0-1 for image compression
+  cameraLabel?: string; // shows a button that opens the camera on phones, for scanning bills
 }
 
 // Utility function to compress images
@@ -130,11 +131,13 @@ export function FileUpload({
   required = false,
   compressImages = true,
   quality = 0.8,
+  cameraLabel,
 }: FileUploadProps) {
   const [dragActive, setDragActive] = useState(false);
   const [uploading, setUploading] = useState(false);
   const [previewFile, setPreviewFile] = useState<UploadedFile | null>(null);
   const inputRef = useRef<HTMLInputElement>(null);
+  const cameraRef = useRef<HTMLInputElement>(null);
 
   const validateFile = (file: File): string | null => {
     // Check file type
@@ -281,6 +284,8 @@ export function FileUpload({
     if (e.target.files && e.target.files.length > 0) {
       handleFiles(e.target.files);
     }
+    // The same photo can be picked again after removing it
+    e.target.value = "";
   };
 
   const removeFile = (fileId: string) => {
@@ -352,6 +357,30 @@ export function FileUpload({
           </div>
         </div>
 
+        {cameraLabel && (
+          <>
+            <input
+              ref={cameraRef}
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={handleInputChange}
+              disabled={disabled}
+              className="hidden"
+            />
+            <Button
+              type="button"
+              variant="outline"
+              size="sm"
+              onClick={() => cameraRef.current?.click()}
+              disabled={disabled}
+            >
+              <Camera className="h-4 w-4 mr-2" />
+              {cameraLabel}
+            </Button>
+          </>
+        )}
+
         {error && (
           <Alert variant="destructive">
             <AlertCircle className="h-4 w-4" />
@@ -393,6 +422,7 @@ export function FileUpload({
 
                   <div className="flex items-center space-x-1">
                     <Button
+                      type="button"
                       variant="ghost"
                       size="sm"
                       onClick={() => setPreviewFile(file)}
@@ -401,6 +431,7 @@ export function FileUpload({
                       <Eye className="h-4 w-4" />
                     </Button>
                     <Button
+                      type="button"
                       variant="ghost"
                       size="sm"
                       onClick={() => downloadFile(file)}
@@ -409,6 +440,7 @@ export function FileUpload({
                       <Download className="h-4 w-4" />
                     </Button>
                     <Button
+                      type="button"
                       variant="ghost"
                       size="sm"
                       onClick={() => removeFile(file.id)}
@@ -2,10 +2,21 @@ import { createBrowserRouter, RouterProvider, Navigate } from 'react-router-dom'
 import App from '../App';
 import { DashboardRoute } from './routes/DashboardRoute';
 import { DonationsRoute } from './routes/DonationsRoute';
+import { DonorsRoute, DonorProfileRoute } from './routes/DonorsRoute';
 import { ExpensesRoute } from './routes/ExpensesRoute';
 import { ReportsRoute } from './routes/ReportsRoute';
 import { UsersRoute } from './routes/UsersRoute';
+import { RolesRoute } from './routes/RolesRoute';
+import { CategoriesRoute } from './routes/CategoriesRoute';
+import { AuditRoute } from './routes/AuditRoute';
+import { TrashRoute } from './routes/TrashRoute';
 import { RentManagementRoute } from './routes/RentManagementRoute';
+import { ChequesRoute } from './routes/ChequesRoute';
+import { BankReconciliationRoute } from './routes/BankReconciliationRoute';
+import { FinancialYearsRoute } from './routes/FinancialYearsRoute';
+import { ResetPasswordRoute } from './routes/ResetPasswordRoute';
+import { VerifyEmailRoute } from './routes/VerifyEmailRoute';
+import { AccountRoute } from './routes/AccountRoute';
 
 // Define the routes including the admin routes as required
 const router = createBrowserRouter([
@@ -17,6 +28,15 @@ const router = createBrowserRouter([
         index: true,
         element: <Navigate to="/admin/dashboard" replace />,
       },
+      // Opened from account emails; App renders these without requiring a login
+      {
+        path: 'reset-password',
+        element: <ResetPasswordRoute />,
+      },
+      {
+        path: 'verify-email',
+        element: <VerifyEmailRoute />,
+      },
       {
         path: 'admin',
         children: [
@@ -32,10 +52,30 @@ const router = createBrowserRouter([
             path: 'donations',
             element: <DonationsRoute />,
           },
+          {
+            path: 'donors',
+            element: <DonorsRoute />,
+          },
+          {
+            path: 'donors/:id',
+            element: <DonorProfileRoute />,
+          },
           {
             path: 'expenses', 
             element: <ExpensesRoute />,
           },
+          {
+            path: 'cheques',
+            element: <ChequesRoute />,
+          },
+          {
+            path: 'bank-reconciliation',
+            element: <BankReconciliationRoute />,
+          },
+          {
+            path: 'financial-years',
+            element: <FinancialYearsRoute />,
+          },
           {
             path: 'reports',
             element: <ReportsRoute />,
@@ -44,6 +84,26 @@ const router = createBrowserRouter([
             path: 'users',
             element: <UsersRoute />,
           },
+          {
+            path: 'roles',
+            element: <RolesRoute />,
+          },
+          {
+            path: 'categories',
+            element: <CategoriesRoute />,
+          },
+          {
+            path: 'audit',
+            element: <AuditRoute />,
+          },
+          {
+            path: 'trash',
+            element: <TrashRoute />,
+          },
+          {
+            path: 'account',
+            element: <AccountRoute />,
+          },
           {
             path: 'rent',
             children: [
@@ -0,0 +1,77 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import ActiveSessions from '../../../components/ActiveSessions';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import type { ActiveSession } from '../../types';
+
+const sessions: ActiveSession[] = [
+  {
+    id: '11111111-1111-4111-8111-111111111111',
+    ipAddress: '10.0.0.1',
+    userAgent: 'Firefox on Linux',
+    createdAt: '2026-10-01T10:00:00.000Z',
+    lastUsedAt: '2026-10-18T09:00:00.000Z',
+    expiresAt: '2026-10-25T10:00:00.000Z',
+    current: true,
+  },
+  {
+    id: '22222222-2222-4222-8222-222222222222',
+    ipAddress: '10.0.0.2',
+    userAgent: 'Safari on iPhone',
+    createdAt: '2026-10-05T10:00:00.000Z',
+    lastUsedAt: '2026-10-06T09:00:00.000Z',
+    expiresAt: '2026-10-12T10:00:00.000Z',
+    current: false,
+  },
+];
+
+const renderSessions = (props: Partial<Parameters<typeof ActiveSessions>[0]> = {}) =>
+  render(
+    <LanguageProvider>
+      <ActiveSessions
+        load={vi.fn().mockResolvedValue(sessions)}
+        revoke={vi.fn().mockResolvedValue(undefined)}
+        {...props}
+      />
+    </LanguageProvider>
+  );
+
+describe('ActiveSessions Component', () => {
+  test('marks the current device and only offers to sign out the others', async () => {
+    renderSessions();
+
+    const currentRow = (await screen.findByText('Firefox on Linux')).closest('tr')!;
+    expect(within(currentRow).getByText(/this device/i)).toBeInTheDocument();
+    expect(within(currentRow).queryByRole('button', { name: /sign out/i })).not.toBeInTheDocument();
+
+    const otherRow = screen.getByText('Safari on iPhone').closest('tr')!;
+    expect(within(otherRow).getByRole('button', { name: /sign out/i })).toBeInTheDocument();
+  });
+
+  test('revokes a session and removes it from the list', async () => {
+    const revoke = vi.fn().mockResolvedValue(undefined);
+    const user = userEvent.setup();
+    renderSessions({ revoke });
+
+    const otherRow = (await screen.findByText('Safari on iPhone')).closest('tr')!;
+    await user.click(within(otherRow).getByRole('button', { name: /sign out/i }));
+
+    expect(revoke).toHaveBeenCalledWith('22222222-2222-4222-8222-222222222222');
+    await waitFor(() => {
+      expect(screen.queryByText('Safari on iPhone')).not.toBeInTheDocument();
+    });
+  });
+
+  test('offers sign out everywhere only when revokeAll is given', async () => {
+    const revokeAll = vi.fn().mockResolvedValue(undefined);
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const user = userEvent.setup();
+    renderSessions({ revokeAll });
+
+    await user.click(await screen.findByRole('button', { name: /sign out everywhere/i }));
+
+    expect(revokeAll).toHaveBeenCalled();
+    expect(await screen.findByText(/no active sessions/i)).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,91 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import AuditLog from '../../../components/AuditLog';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getAuditLog: vi.fn(),
+    verifyAuditLog: vi.fn(),
+    getUsers: vi.fn(),
+  },
+}));
+
+const updateEntry = {
+  seq: 7,
+  createdAt: '2024-04-01T10:00:00.000Z',
+  actorId: 'user-1',
+  actorName: 'treasurer',
+  ipAddress: '10.0.0.5',
+  entityType: 'Transaction',
+  entityId: 'txn-1',
+  action: 'update',
+  changes: [{ field: 'amount', from: 500, to: 600 }],
+  context: null,
+  hash: 'a'.repeat(64),
+};
+
+const page = (entries: unknown[], total = entries.length) => ({
+  entries,
+  pagination: { page: 1, limit: 50, total, pages: Math.max(Math.ceil(total / 50), 1) },
+});
+
+const renderViewer = () =>
+  render(
+    <LanguageProvider>
+      <AuditLog />
+    </LanguageProvider>
+  );
+
+describe('AuditLog Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('shows who changed what with the before and after values', async () => {
+    vi.mocked(apiClient.getAuditLog).mockResolvedValue(page([updateEntry]));
+    renderViewer();
+
+    expect(await screen.findByText('treasurer')).toBeInTheDocument();
+    expect(screen.getByText('txn-1')).toBeInTheDocument();
+    expect(screen.getByText('500')).toBeInTheDocument();
+    expect(screen.getByText('600')).toBeInTheDocument();
+    expect(apiClient.getAuditLog).toHaveBeenCalledWith(expect.objectContaining({ page: 1, limit: 50 }));
+  });
+
+  test('searches by record and date range', async () => {
+    vi.mocked(apiClient.getAuditLog).mockResolvedValue(page([]));
+    const user = userEvent.setup();
+    renderViewer();
+
+    await screen.findByText(/no changes match/i);
+    await user.type(screen.getByLabelText(/record id/i), 'txn-1');
+    await user.type(screen.getByLabelText(/^from$/i), '2024-04-01');
+    await user.type(screen.getByLabelText(/^to$/i), '2024-04-30');
+    await user.click(screen.getByRole('button', { name: /search/i }));
+
+    await waitFor(() =>
+      expect(apiClient.getAuditLog).toHaveBeenLastCalledWith(
+        expect.objectContaining({ entityId: 'txn-1', from: '2024-04-01', to: '2024-04-30', page: 1 })
+      )
+    );
+  });
+
+  test('reports where the hash chain was broken', async () => {
+    vi.mocked(apiClient.getAuditLog).mockResolvedValue(page([updateEntry]));
+    vi.mocked(apiClient.verifyAuditLog).mockResolvedValue({
+      valid: false,
+      checked: 6,
+      brokenAt: 7,
+      headHash: 'b'.repeat(64),
+    });
+    const user = userEvent.setup();
+    renderViewer();
+
+    await user.click(await screen.findByRole('button', { name: /verify chain/i }));
+
+    expect(await screen.findByRole('status')).toHaveTextContent('#7');
+  });
+});
@@ -0,0 +1,117 @@
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import BudgetVariance from '../../../components/BudgetVariance';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+import { financialYearOf } from '../../utils/taxExemption';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getCategories: vi.fn(),
+    getBudgetReport: vi.fn(),
+    setBudget: vi.fn(),
+    deleteBudget: vi.fn(),
+  },
+}));
+
+const utsav = {
+  id: 'cat-utsav',
+  type: 'Expense',
+  parentId: null,
+  code: 'Utsav',
+  labelEn: 'Festivals',
+  labelMr: 'उत्सव',
+  active: true,
+  sortOrder: 1,
+  rules: {},
+  subCategories: [
+    { id: 'sub-dindi', type: 'Expense', parentId: 'cat-utsav', code: 'dindi', labelEn: 'Dindi', labelMr: 'दिंडी', active: true, sortOrder: 1, rules: {} },
+  ],
+};
+
+const line = (fields: Record<string, unknown>) => ({
+  budgetId: null,
+  notes: null,
+  budget: null,
+  variance: null,
+  usedPercent: null,
+  overBudget: false,
+  ...fields,
+});
+
+const report = {
+  year: '2025-26',
+  startDate: '2025-04-01',
+  endDate: '2026-03-31',
+  categories: [
+    {
+      ...line({ budgetId: 'budget-utsav', budget: 50000, actual: 62000, variance: -12000, usedPercent: 124, overBudget: true }),
+      category: 'Utsav',
+      subCategories: [
+        { ...line({ budgetId: 'budget-dindi', budget: 20000, actual: 15000, variance: 5000, usedPercent: 75 }), subCategory: 'dindi' },
+      ],
+    },
+    { ...line({ actual: 3000 }), category: 'GalaKharch', subCategories: [] },
+  ],
+  totals: { budget: 50000, actual: 62000, unbudgeted: 3000 },
+};
+
+const renderBudget = (canManage = true) =>
+  render(
+    <LanguageProvider>
+      <BudgetVariance canManage={canManage} />
+    </LanguageProvider>
+  );
+
+describe('BudgetVariance Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(apiClient.getCategories).mockResolvedValue([utsav]);
+    vi.mocked(apiClient.getBudgetReport).mockResolvedValue(report);
+  });
+
+  test('shows budget against actual for the current financial year, marking overspending', async () => {
+    renderBudget();
+
+    const festivals = (await screen.findByText('Festivals')).closest('tr')!;
+    expect(apiClient.getBudgetReport).toHaveBeenCalledWith(financialYearOf(new Date().toISOString().split('T')[0]));
+    expect(festivals).toHaveClass('bg-red-50');
+    expect(within(festivals).getByText('124%')).toBeInTheDocument();
+    expect(screen.getByText('Dindi').closest('tr')).not.toHaveClass('bg-red-50');
+    // A code no longer in the category list is shown as it is
+    expect(screen.getByText('GalaKharch')).toBeInTheDocument();
+    expect(screen.getByText(/spent under categories without a budget/i)).toBeInTheDocument();
+  });
+
+  test('sets a new amount for a sub-category budget', async () => {
+    vi.mocked(apiClient.setBudget).mockResolvedValue({});
+    const user = userEvent.setup();
+    renderBudget();
+
+    await user.click(await screen.findByRole('button', { name: /set budget for dindi/i }));
+    const amount = screen.getByLabelText('Amount');
+    expect(amount).toHaveValue(20000);
+    await user.clear(amount);
+    await user.type(amount, '25000');
+    await user.click(screen.getByRole('button', { name: /save budget/i }));
+
+    await waitFor(() => {
+      expect(apiClient.setBudget).toHaveBeenCalledWith({
+        year: financialYearOf(new Date().toISOString().split('T')[0]),
+        category: 'Utsav',
+        subCategory: 'dindi',
+        amount: 25000,
+        notes: null,
+      });
+    });
+  });
+
+  test('offers no changes without permission to manage budgets', async () => {
+    renderBudget(false);
+
+    await screen.findByText('Festivals');
+    expect(screen.queryByRole('button', { name: /set budget/i })).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /remove budget/i })).not.toBeInTheDocument();
+  });
+});
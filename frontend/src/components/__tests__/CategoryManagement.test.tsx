@@ -0,0 +1,108 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import CategoryManagement from '../../../components/CategoryManagement';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getCategories: vi.fn(),
+    createCategory: vi.fn(),
+    updateCategory: vi.fn(),
+    reorderCategories: vi.fn(),
+    deleteCategory: vi.fn(),
+  },
+}));
+
+const entry = (fields: Record<string, unknown>) => ({
+  parentId: null,
+  active: true,
+  rules: {},
+  ...fields,
+});
+
+const vargani = entry({
+  id: 'cat-vargani',
+  type: 'Donation',
+  code: 'Vargani',
+  labelEn: 'Vargani (Festival Collection)',
+  labelMr: 'वर्गणी',
+  sortOrder: 1,
+  rules: { perPerson: true },
+  subCategories: [
+    entry({ id: 'sub-diwali', type: 'Donation', parentId: 'cat-vargani', code: 'diwali', labelEn: 'Diwali', labelMr: 'दिवाळी', sortOrder: 1 }),
+    entry({ id: 'sub-dasra', type: 'Donation', parentId: 'cat-vargani', code: 'dasra', labelEn: 'Dasra', labelMr: 'दसरा', sortOrder: 2 }),
+  ],
+});
+
+const dengi = entry({
+  id: 'cat-dengi',
+  type: 'Donation',
+  code: 'Dengi',
+  labelEn: 'Dengi (Donation)',
+  labelMr: 'देणगी',
+  sortOrder: 2,
+  subCategories: [],
+});
+
+const renderCategories = () =>
+  render(
+    <LanguageProvider>
+      <CategoryManagement />
+    </LanguageProvider>
+  );
+
+describe('CategoryManagement Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(apiClient.getCategories).mockResolvedValue([vargani, dengi]);
+  });
+
+  test('lists the categories of a type with the selected one\'s sub-categories', async () => {
+    renderCategories();
+
+    expect(await screen.findByRole('button', { name: /dengi \(donation\)/i })).toBeInTheDocument();
+    expect(screen.getByText('Diwali · दिवाळी')).toBeInTheDocument();
+    expect(screen.getByText('Amount per family member')).toBeInTheDocument();
+  });
+
+  test('saves the new order when a sub-category is moved', async () => {
+    vi.mocked(apiClient.reorderCategories).mockResolvedValue([vargani, dengi]);
+    const user = userEvent.setup();
+    renderCategories();
+
+    await screen.findByText('Dasra · दसरा');
+    const moveUp = screen.getAllByRole('button', { name: /move up/i });
+    // The category list comes first, then Vargani's sub-categories
+    await user.click(moveUp[3]);
+
+    await waitFor(() => {
+      expect(apiClient.reorderCategories).toHaveBeenCalledWith(['sub-dasra', 'sub-diwali']);
+    });
+  });
+
+  test('adds a sub-category under the selected category', async () => {
+    vi.mocked(apiClient.createCategory).mockResolvedValue({ id: 'sub-holi' });
+    const user = userEvent.setup();
+    renderCategories();
+
+    await user.click(await screen.findByRole('button', { name: /add sub-category/i }));
+    await user.type(screen.getByLabelText('Code'), 'holi');
+    await user.type(screen.getByLabelText('English label'), 'Holi');
+    await user.type(screen.getByLabelText('Marathi label'), 'होळी');
+    // Rules belong to top-level categories, so only the active flag is offered
+    expect(screen.getAllByRole('checkbox')).toHaveLength(1);
+    await user.click(screen.getByRole('button', { name: /^create$/i }));
+
+    await waitFor(() => {
+      expect(apiClient.createCategory).toHaveBeenCalledWith({
+        parentId: 'cat-vargani',
+        code: 'holi',
+        labelEn: 'Holi',
+        labelMr: 'होळी',
+        active: true,
+      });
+    });
+  });
+});
@@ -1,13 +1,12 @@
 /**
  * Test suite for Donations component permissions handling
- * Tests the fix for undefined role issue
+ * The form is driven by the permissions from /api/auth/profile, not the role name
  */
 
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { render, screen, fireEvent, waitFor } from '@testing-library/react';
+import { render, screen } from '@testing-library/react';
 import '@testing-library/jest-dom';
 import Donations from '../../../components/Donations';
-import { toast } from 'sonner';
 
 // Mock dependencies
 vi.mock('sonner', () => ({
@@ -91,144 +90,57 @@ describe('Donations Component - Permissions Handling', () => {
     vi.clearAllMocks();
   });
 
-  it('should handle user with undefined role gracefully', async () => {
+  it('should hide the form when the user has no permissions loaded', () => {
     const currentUser = {
       id: '123',
       email: 'test@example.com',
-      role: undefined // This was causing the original error
-    };
-
-    render(<Donations {...mockProps} currentUser={currentUser} />);
-
-    // Fill out the form
-    const donorNameInput = screen.getByLabelText(/donations.donorName/);
-    fireEvent.change(donorNameInput, { target: { value: 'Test Donor' } });
-
-    const amountInput = screen.getByLabelText(/donations.amount/);
-    fireEvent.change(amountInput, { target: { value: '1000' } });
-
-    // Submit the form
-    const submitButton = screen.getByRole('button', { name: /donations.submitButton/ });
-    fireEvent.click(submitButton);
-
-    // Should show error message for undefined role
-    await waitFor(() => {
-      expect(toast.error).toHaveBeenCalledWith('Unable to verify permissions. Please try logging in again.');
-    });
-
-    // Should not call onAddTransaction
-    expect(mockProps.onAddTransaction).not.toHaveBeenCalled();
-  });
-
-  it('should handle user with no role property gracefully', async () => {
-    const currentUser = {
-      id: '123',
-      email: 'test@example.com'
-      // no role property at all
+      role: 'Admin'
+      // no permissions property, e.g. a stale cached user
     };
 
     render(<Donations {...mockProps} currentUser={currentUser} />);
 
-    // Fill out the form
-    const donorNameInput = screen.getByLabelText(/donations.donorName/);
-    fireEvent.change(donorNameInput, { target: { value: 'Test Donor' } });
-
-    const amountInput = screen.getByLabelText(/donations.amount/);
-    fireEvent.change(amountInput, { target: { value: '1000' } });
-
-    // Submit the form
-    const submitButton = screen.getByRole('button', { name: /donations.submitButton/ });
-    fireEvent.click(submitButton);
-
-    // Should show error message for missing role
-    await waitFor(() => {
-      expect(toast.error).toHaveBeenCalledWith('Unable to verify permissions. Please try logging in again.');
-    });
-
-    // Should not call onAddTransaction
-    expect(mockProps.onAddTransaction).not.toHaveBeenCalled();
+    expect(screen.queryByText('donations.addDonation')).not.toBeInTheDocument();
+    expect(screen.getByTestId('transaction-table')).toBeInTheDocument();
   });
 
-  it('should reject user with Viewer role', async () => {
+  it('should hide the form for a role without donation.create', () => {
     const currentUser = {
       id: '123',
       email: 'test@example.com',
-      role: 'Viewer'
+      role: 'Viewer',
+      permissions: ['donation.view']
     };
 
     render(<Donations {...mockProps} currentUser={currentUser} />);
 
-    // Fill out the form
-    const donorNameInput = screen.getByLabelText(/donations.donorName/);
-    fireEvent.change(donorNameInput, { target: { value: 'Test Donor' } });
-
-    const amountInput = screen.getByLabelText(/donations.amount/);
-    fireEvent.change(amountInput, { target: { value: '1000' } });
-
-    // Submit the form
-    const submitButton = screen.getByRole('button', { name: /donations.submitButton/ });
-    fireEvent.click(submitButton);
-
-    // Should show permission error
-    await waitFor(() => {
-      expect(toast.error).toHaveBeenCalledWith('You do not have permission to submit donations. Only Admin and Treasurer roles are allowed.');
-    });
-
-    // Should not call onAddTransaction
-    expect(mockProps.onAddTransaction).not.toHaveBeenCalled();
+    expect(screen.queryByText('donations.addDonation')).not.toBeInTheDocument();
+    expect(screen.queryByLabelText(/donations.donorName/)).not.toBeInTheDocument();
   });
 
-  it('should allow user with Admin role', async () => {
+  it('should show the form for a custom role with donation.create', () => {
     const currentUser = {
       id: '123',
       email: 'test@example.com',
-      role: 'Admin'
+      role: 'Counter Clerk',
+      permissions: ['donation.view', 'donation.create']
     };
 
     render(<Donations {...mockProps} currentUser={currentUser} />);
 
-    // Fill out the form
-    const donorNameInput = screen.getByLabelText(/donations.donorName/);
-    fireEvent.change(donorNameInput, { target: { value: 'Test Donor' } });
-
-    const amountInput = screen.getByLabelText(/donations.amount/);
-    fireEvent.change(amountInput, { target: { value: '1000' } });
-
-    // Submit the form
-    const submitButton = screen.getByRole('button', { name: /donations.submitButton/ });
-    fireEvent.click(submitButton);
-
-    // Should NOT show permission error
-    await waitFor(() => {
-      expect(toast.error).not.toHaveBeenCalledWith('Unable to verify permissions. Please try logging in again.');
-      expect(toast.error).not.toHaveBeenCalledWith('You do not have permission to submit donations. Only Admin and Treasurer roles are allowed.');
-    });
+    expect(screen.getByText('donations.addDonation')).toBeInTheDocument();
   });
 
-  it('should allow user with Treasurer role', async () => {
+  it('should not use the role name to decide access', () => {
     const currentUser = {
       id: '123',
       email: 'test@example.com',
-      role: 'Treasurer'
+      role: 'Treasurer',
+      permissions: ['donation.view']
     };
 
     render(<Donations {...mockProps} currentUser={currentUser} />);
 
-    // Fill out the form
-    const donorNameInput = screen.getByLabelText(/donations.donorName/);
-    fireEvent.change(donorNameInput, { target: { value: 'Test Donor' } });
-
-    const amountInput = screen.getByLabelText(/donations.amount/);
-    fireEvent.change(amountInput, { target: { value: '1000' } });
-
-    // Submit the form
-    const submitButton = screen.getByRole('button', { name: /donations.submitButton/ });
-    fireEvent.click(submitButton);
-
-    // Should NOT show permission error
-    await waitFor(() => {
-      expect(toast.error).not.toHaveBeenCalledWith('Unable to verify permissions. Please try logging in again.');
-      expect(toast.error).not.toHaveBeenCalledWith('You do not have permission to submit donations. Only Admin and Treasurer roles are allowed.');
-    });
+    expect(screen.queryByText('donations.addDonation')).not.toBeInTheDocument();
   });
-});
\ No newline at end of file
+});
@@ -27,7 +27,7 @@ const mockProps = {
   onDeleteTransaction: vi.fn(),
   receiptCounter: 1001,
   onUpdateReceiptCounter: vi.fn(),
-  currentUser: { id: '1', name: 'Test User', role: 'Admin' }
+  currentUser: { id: '1', name: 'Test User', role: 'Admin', permissions: ['donation.create', 'donation.update'] }
 };
 
 describe('Donations Component', () => {
@@ -0,0 +1,109 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import Donors from '../../../components/Donors';
+import DonorLookup from '../../../components/DonorLookup';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getDonors: vi.fn(),
+    getDonorDuplicates: vi.fn(),
+    mergeDonors: vi.fn(),
+    linkDonationsToDonors: vi.fn(),
+  },
+}));
+
+const ramesh = {
+  id: 'donor-1',
+  name: 'Ramesh Patil',
+  phone: '9876543210',
+  address: null,
+  gotra: 'Kashyap',
+  pan: null,
+  donationCount: 4,
+  totalGiven: 12000,
+  lastDonationDate: '2024-08-15',
+};
+
+const rameshTypo = {
+  ...ramesh,
+  id: 'donor-2',
+  name: 'Shri. Ramesh Patel',
+  gotra: null,
+  donationCount: 1,
+  totalGiven: 501,
+  lastDonationDate: '2023-10-02',
+};
+
+const renderWithLanguage = (ui: React.ReactElement) => render(<LanguageProvider>{ui}</LanguageProvider>);
+
+describe('Donors Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('lists donors with their giving and opens a profile', async () => {
+    vi.mocked(apiClient.getDonors).mockResolvedValue([ramesh]);
+    const onOpenDonor = vi.fn();
+    const user = userEvent.setup();
+    renderWithLanguage(<Donors onOpenDonor={onOpenDonor} />);
+
+    const name = await screen.findByRole('button', { name: 'Ramesh Patil' });
+    expect(screen.getByText('₹12,000')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /find duplicates/i })).not.toBeInTheDocument();
+
+    await user.click(name);
+    expect(onOpenDonor).toHaveBeenCalledWith('donor-1');
+  });
+
+  test('merges a group of duplicates into the donor kept', async () => {
+    vi.mocked(apiClient.getDonors).mockResolvedValue([ramesh, rameshTypo]);
+    vi.mocked(apiClient.getDonorDuplicates)
+      .mockResolvedValueOnce([{ reason: 'phone', donors: [ramesh, rameshTypo] }])
+      .mockResolvedValueOnce([]);
+    vi.mocked(apiClient.mergeDonors).mockResolvedValue({});
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValue(true);
+    const user = userEvent.setup();
+    renderWithLanguage(<Donors canManage onOpenDonor={vi.fn()} />);
+
+    await user.click(await screen.findByRole('button', { name: /find duplicates/i }));
+    expect(await screen.findByText('Same phone')).toBeInTheDocument();
+    // The donor with more donations is kept; the other is merged into it
+    expect(screen.getByRole('radio', { name: /keep ramesh patil/i })).toBeChecked();
+    expect(screen.getByRole('checkbox', { name: /merge shri. ramesh patel/i })).toBeChecked();
+
+    await user.click(screen.getByRole('button', { name: /merge donors/i }));
+
+    await waitFor(() => expect(apiClient.mergeDonors).toHaveBeenCalledWith('donor-1', ['donor-2']));
+    expect(await screen.findByText(/no duplicate donors found/i)).toBeInTheDocument();
+    confirm.mockRestore();
+  });
+});
+
+describe('DonorLookup Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('suggests known donors for a phone and picks one', async () => {
+    vi.mocked(apiClient.getDonors).mockResolvedValue([ramesh]);
+    const onSelect = vi.fn();
+    const user = userEvent.setup();
+    renderWithLanguage(<DonorLookup query="98765" onSelect={onSelect} />);
+
+    const option = await screen.findByRole('button', { name: /ramesh patil/i });
+    expect(apiClient.getDonors).toHaveBeenCalledWith('98765', 5);
+    expect(screen.getByText('4 donations · ₹12,000')).toBeInTheDocument();
+
+    await user.click(option);
+    expect(onSelect).toHaveBeenCalledWith(ramesh);
+  });
+
+  test('does not search for a single letter', async () => {
+    renderWithLanguage(<DonorLookup query="R" onSelect={vi.fn()} />);
+    await new Promise((resolve) => setTimeout(resolve, 300));
+    expect(apiClient.getDonors).not.toHaveBeenCalled();
+  });
+});
@@ -25,7 +25,7 @@ const mockProps = {
   onAddTransaction: vi.fn(),
   onUpdateTransaction: vi.fn(),
   onDeleteTransaction: vi.fn(),
-  currentUser: { id: '1', name: 'Test User', role: 'Admin' }
+  currentUser: { id: '1', name: 'Test User', role: 'Admin', permissions: ['expense.create', 'expense.update'] }
 };
 
 describe('Expenses Component', () => {
@@ -0,0 +1,113 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import PendingApprovals from '../../../components/PendingApprovals';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getApprovals: vi.fn(),
+    approveChange: vi.fn(),
+    rejectChange: vi.fn(),
+    cancelChange: vi.fn(),
+    listAttachmentsFor: vi.fn(),
+    downloadAttachment: vi.fn(),
+  },
+}));
+
+const editRequest = {
+  id: 'cr-1',
+  entityType: 'Donation',
+  entityId: 'txn-1',
+  action: 'update',
+  amount: 600,
+  status: 'Pending',
+  original: { amount: 500 },
+  payload: { amount: 600 },
+  changes: [{ field: 'amount', from: 500, to: 600 }],
+  requestedBy: 'user-maker',
+  requestedByName: 'maker',
+  requestedAt: '2024-04-01T10:00:00.000Z',
+  reviewedBy: null,
+  reviewedByName: null,
+  reviewedAt: null,
+  reviewNote: null,
+  canReview: true,
+};
+
+const renderQueue = (props: { currentUser?: any; onApplied?: () => void } = {}) =>
+  render(
+    <LanguageProvider>
+      <PendingApprovals {...props} />
+    </LanguageProvider>
+  );
+
+describe('PendingApprovals Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(apiClient.listAttachmentsFor).mockResolvedValue([]);
+  });
+
+  test('renders nothing when no change is waiting', async () => {
+    vi.mocked(apiClient.getApprovals).mockResolvedValue([]);
+    const { container } = renderQueue();
+
+    await waitFor(() => expect(apiClient.getApprovals).toHaveBeenCalledWith('Pending'));
+    expect(container).toBeEmptyDOMElement();
+  });
+
+  test('shows the diff and lets a reviewer approve the change', async () => {
+    vi.mocked(apiClient.getApprovals).mockResolvedValue([editRequest]);
+    vi.mocked(apiClient.approveChange).mockResolvedValue({ ...editRequest, status: 'Approved' });
+    const onApplied = vi.fn();
+    const user = userEvent.setup();
+    renderQueue({ currentUser: { id: 'user-checker' }, onApplied });
+
+    expect(await screen.findByText('500')).toBeInTheDocument();
+    expect(screen.getByText('600')).toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /withdraw/i })).not.toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: /approve/i }));
+
+    await waitFor(() => {
+      expect(apiClient.approveChange).toHaveBeenCalledWith('cr-1', undefined);
+      expect(onApplied).toHaveBeenCalled();
+    });
+    expect(screen.queryByText('600')).not.toBeInTheDocument();
+  });
+
+  test('lets the requester withdraw but not approve their own change', async () => {
+    vi.mocked(apiClient.getApprovals).mockResolvedValue([{ ...editRequest, canReview: false }]);
+    vi.mocked(apiClient.cancelChange).mockResolvedValue({});
+    const user = userEvent.setup();
+    renderQueue({ currentUser: { id: 'user-maker' } });
+
+    await user.click(await screen.findByRole('button', { name: /withdraw/i }));
+
+    expect(screen.queryByRole('button', { name: /approve/i })).not.toBeInTheDocument();
+    await waitFor(() => expect(apiClient.cancelChange).toHaveBeenCalledWith('cr-1'));
+  });
+
+  test('shows the bill sent with a held expense', async () => {
+    vi.mocked(apiClient.getApprovals).mockResolvedValue([
+      { ...editRequest, id: 'cr-2', entityType: 'Expense', action: 'create', entityId: null },
+    ]);
+    vi.mocked(apiClient.listAttachmentsFor).mockResolvedValue([
+      {
+        id: 'a1',
+        entityType: 'change_request',
+        entityId: 'cr-2',
+        name: 'bill.pdf',
+        type: 'application/pdf',
+        size: 2048,
+        uploadedBy: 'user-maker',
+        uploadedAt: '2024-04-01T10:00:00.000Z',
+      },
+    ] as any);
+    renderQueue({ currentUser: { id: 'user-checker' } });
+
+    expect(await screen.findByRole('button', { name: 'bill.pdf' })).toBeInTheDocument();
+    expect(apiClient.listAttachmentsFor).toHaveBeenCalledWith('change_request', ['cr-2']);
+  });
+});
@@ -0,0 +1,64 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter } from 'react-router-dom';
+import { vi } from 'vitest';
+import ResetPassword from '../../../components/ResetPassword';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    resetPassword: vi.fn(),
+  },
+}));
+
+const TOKEN = 'a'.repeat(64);
+
+const renderAt = (url: string) =>
+  render(
+    <LanguageProvider>
+      <MemoryRouter initialEntries={[url]}>
+        <ResetPassword />
+      </MemoryRouter>
+    </LanguageProvider>
+  );
+
+describe('ResetPassword Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('asks for a new link when the token is missing', () => {
+    renderAt('/reset-password');
+
+    expect(screen.getByText(/link is incomplete/i)).toBeInTheDocument();
+    expect(screen.queryByLabelText(/^new password/i)).not.toBeInTheDocument();
+  });
+
+  test('rejects mismatched passwords without calling the API', async () => {
+    const user = userEvent.setup();
+    renderAt(`/reset-password?token=${TOKEN}`);
+
+    await user.type(screen.getByLabelText(/^new password/i), 'NewPass123');
+    await user.type(screen.getByLabelText(/confirm new password/i), 'NewPass124');
+    await user.click(screen.getByRole('button', { name: /set password/i }));
+
+    expect(screen.getByText(/passwords do not match/i)).toBeInTheDocument();
+    expect(apiClient.resetPassword).not.toHaveBeenCalled();
+  });
+
+  test('submits the token from the link with the new password', async () => {
+    vi.mocked(apiClient.resetPassword).mockResolvedValue(undefined);
+    const user = userEvent.setup();
+    renderAt(`/reset-password?token=${TOKEN}`);
+
+    await user.type(screen.getByLabelText(/^new password/i), 'NewPass123');
+    await user.type(screen.getByLabelText(/confirm new password/i), 'NewPass123');
+    await user.click(screen.getByRole('button', { name: /set password/i }));
+
+    await waitFor(() => {
+      expect(apiClient.resetPassword).toHaveBeenCalledWith(TOKEN, 'NewPass123');
+    });
+    expect(await screen.findByText(/your password has been reset/i)).toBeInTheDocument();
+  });
+});
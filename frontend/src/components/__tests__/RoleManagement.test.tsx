@@ -0,0 +1,90 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import RoleManagement from '../../../components/RoleManagement';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getRoles: vi.fn(),
+    getPermissionCatalogue: vi.fn(),
+    updateRole: vi.fn(),
+    createRole: vi.fn(),
+    deleteRole: vi.fn(),
+  },
+}));
+
+const catalogue = [
+  {
+    group: 'rent',
+    permissions: [
+      { key: 'rent.view', description: 'View tenants, leases, invoices and rent payments' },
+      { key: 'rent.payment.create', description: 'Collect rent' },
+    ],
+  },
+];
+
+const adminRole = {
+  id: 'role-admin',
+  name: 'Admin',
+  description: null,
+  isSystem: true,
+  permissions: ['rent.view', 'rent.payment.create'],
+  userCount: 1,
+};
+
+const clerkRole = {
+  id: 'role-clerk',
+  name: 'Rent Clerk',
+  description: 'Collects rent',
+  isSystem: false,
+  permissions: ['rent.view'],
+  userCount: 0,
+};
+
+const renderRoles = () =>
+  render(
+    <LanguageProvider>
+      <RoleManagement />
+    </LanguageProvider>
+  );
+
+describe('RoleManagement Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(apiClient.getRoles).mockResolvedValue([adminRole, clerkRole]);
+    vi.mocked(apiClient.getPermissionCatalogue).mockResolvedValue(catalogue);
+  });
+
+  test('shows the Admin role as read-only', async () => {
+    renderRoles();
+
+    const collect = await screen.findByRole('checkbox', { name: 'rent.payment.create' });
+    expect(collect).toBeChecked();
+    expect(collect).toBeDisabled();
+    expect(screen.queryByRole('button', { name: /delete role/i })).not.toBeInTheDocument();
+  });
+
+  test('saves the permission set chosen for a custom role', async () => {
+    vi.mocked(apiClient.updateRole).mockResolvedValue({
+      ...clerkRole,
+      permissions: ['rent.view', 'rent.payment.create'],
+    });
+    const user = userEvent.setup();
+    renderRoles();
+
+    await user.click(await screen.findByRole('button', { name: /rent clerk/i }));
+    const collect = screen.getByRole('checkbox', { name: 'rent.payment.create' });
+    expect(collect).not.toBeChecked();
+    await user.click(collect);
+    await user.click(screen.getByRole('button', { name: /save changes/i }));
+
+    await waitFor(() => {
+      expect(apiClient.updateRole).toHaveBeenCalledWith('role-clerk', {
+        description: 'Collects rent',
+        permissions: ['rent.view', 'rent.payment.create'],
+      });
+    });
+  });
+});
@@ -0,0 +1,92 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import Trash from '../../../components/Trash';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getTrash: vi.fn(),
+    restoreFromTrash: vi.fn(),
+    purgeFromTrash: vi.fn(),
+  },
+}));
+
+const agreement = {
+  entityType: 'Agreement',
+  id: 'agr-1',
+  label: 'S-12 · Ramesh Traders',
+  detail: 'Active',
+  amount: 5000,
+  date: '2024-04-01',
+  deletedAt: '2024-06-02T10:00:00.000Z',
+  deletedBy: 'user-1',
+  deletedByName: 'treasurer',
+  deletedWith: null,
+};
+
+const loan = {
+  ...agreement,
+  entityType: 'Loan',
+  id: 'loan-1',
+  label: 'Ramesh Traders',
+  amount: 20000,
+  deletedWith: { entityType: 'Agreement', id: 'agr-1' },
+};
+
+const renderTrash = (canPurge = false) =>
+  render(
+    <LanguageProvider>
+      <Trash canPurge={canPurge} />
+    </LanguageProvider>
+  );
+
+describe('Trash Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('lists deleted records and restores an agreement', async () => {
+    vi.mocked(apiClient.getTrash).mockResolvedValue([agreement, loan]);
+    vi.mocked(apiClient.restoreFromTrash).mockResolvedValue({ restored: [] });
+    const user = userEvent.setup();
+    renderTrash();
+
+    expect(await screen.findByText('S-12 · Ramesh Traders')).toBeInTheDocument();
+    expect(screen.getByText(/deleted with its agreement/i)).toBeInTheDocument();
+    // Only the agreement offers Restore; its loan comes back with it
+    const restoreButtons = screen.getAllByRole('button', { name: /restore/i });
+    expect(restoreButtons).toHaveLength(1);
+    expect(screen.queryByRole('button', { name: /delete forever/i })).not.toBeInTheDocument();
+
+    await user.click(restoreButtons[0]);
+
+    await waitFor(() => expect(apiClient.restoreFromTrash).toHaveBeenCalledWith('Agreement', 'agr-1'));
+    await waitFor(() => expect(apiClient.getTrash).toHaveBeenCalledTimes(2));
+  });
+
+  test('purges only after confirmation', async () => {
+    vi.mocked(apiClient.getTrash).mockResolvedValue([agreement]);
+    vi.mocked(apiClient.purgeFromTrash).mockResolvedValue(undefined);
+    const confirm = vi.spyOn(window, 'confirm').mockReturnValueOnce(false).mockReturnValueOnce(true);
+    const user = userEvent.setup();
+    renderTrash(true);
+
+    const purge = await screen.findByRole('button', { name: /delete forever/i });
+    await user.click(purge);
+    expect(apiClient.purgeFromTrash).not.toHaveBeenCalled();
+
+    await user.click(purge);
+    await waitFor(() => expect(apiClient.purgeFromTrash).toHaveBeenCalledWith('Agreement', 'agr-1'));
+    confirm.mockRestore();
+  });
+
+  test('shows an empty trash', async () => {
+    vi.mocked(apiClient.getTrash).mockResolvedValue([]);
+    renderTrash();
+
+    expect(await screen.findByText(/the trash is empty/i)).toBeInTheDocument();
+    expect(apiClient.getTrash).toHaveBeenCalledWith(undefined);
+  });
+});
@@ -0,0 +1,84 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { vi } from 'vitest';
+import TwoFactorLogin from '../../../components/TwoFactorLogin';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import { useAuth } from '../../context/AuthContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    startLoginTwoFactorSetup: vi.fn(),
+  },
+}));
+
+vi.mock('../../context/AuthContext', () => ({
+  useAuth: vi.fn(),
+}));
+
+const completeTwoFactorLogin = vi.fn();
+const finishLogin = vi.fn();
+
+const renderChallenge = (twoFactor: 'verify' | 'enroll') =>
+  render(
+    <LanguageProvider>
+      <TwoFactorLogin challenge={{ twoFactor, challengeToken: 'challenge-1' }} onCancel={vi.fn()} />
+    </LanguageProvider>
+  );
+
+describe('TwoFactorLogin Component', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.mocked(useAuth).mockReturnValue({ completeTwoFactorLogin, finishLogin } as any);
+  });
+
+  test('submits the authenticator code with the challenge', async () => {
+    completeTwoFactorLogin.mockResolvedValue(null);
+    const user = userEvent.setup();
+    renderChallenge('verify');
+
+    await user.type(screen.getByLabelText(/authentication code/i), '123456');
+    await user.click(screen.getByRole('button', { name: /^verify$/i }));
+
+    await waitFor(() => {
+      expect(completeTwoFactorLogin).toHaveBeenCalledWith('challenge-1', { code: '123456' });
+    });
+  });
+
+  test('accepts a recovery code instead', async () => {
+    completeTwoFactorLogin.mockResolvedValue(null);
+    const user = userEvent.setup();
+    renderChallenge('verify');
+
+    await user.click(screen.getByRole('button', { name: /use a recovery code/i }));
+    await user.type(screen.getByLabelText(/recovery code/i), 'ab12-cd34');
+    await user.click(screen.getByRole('button', { name: /^verify$/i }));
+
+    await waitFor(() => {
+      expect(completeTwoFactorLogin).toHaveBeenCalledWith('challenge-1', { recoveryCode: 'ab12-cd34' });
+    });
+  });
+
+  test('enrolls a required role and shows recovery codes before signing in', async () => {
+    vi.mocked(apiClient.startLoginTwoFactorSetup).mockResolvedValue({
+      secret: 'JBSWY3DPEHPK3PXP',
+      otpauthUrl: 'otpauth://totp/x',
+      qrCodeDataUrl: 'data:image/png;base64,AA',
+    });
+    completeTwoFactorLogin.mockResolvedValue(['ab12-cd34', 'ef56-7890']);
+    const user = userEvent.setup();
+    renderChallenge('enroll');
+
+    expect(await screen.findByText('JBSWY3DPEHPK3PXP')).toBeInTheDocument();
+    expect(apiClient.startLoginTwoFactorSetup).toHaveBeenCalledTimes(1);
+
+    await user.type(screen.getByLabelText(/authentication code/i), '654321');
+    await user.click(screen.getByRole('button', { name: /^verify$/i }));
+
+    expect(await screen.findByText('ab12-cd34')).toBeInTheDocument();
+    expect(finishLogin).not.toHaveBeenCalled();
+
+    await user.click(screen.getByRole('button', { name: /continue/i }));
+    expect(finishLogin).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,113 @@
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import type { ComponentProps } from 'react';
+import { vi } from 'vitest';
+import UserManagement from '../../../components/UserManagement';
+import { LanguageProvider } from '../../../components/LanguageContext';
+import apiClient from '../../utils/api';
+
+vi.mock('../../utils/api', () => ({
+  default: {
+    getUserLoginHistory: vi.fn(),
+    getRoles: vi.fn().mockResolvedValue([{ name: 'Admin' }, { name: 'Treasurer' }, { name: 'Viewer' }]),
+  },
+}));
+
+const admin = {
+  id: 'admin-1',
+  username: 'admin',
+  email: 'admin@example.com',
+  role: 'Admin',
+  status: 'Active',
+  permissions: ['user.view', 'user.manage'],
+};
+
+const lockedUser = {
+  id: 'user-1',
+  username: 'ramesh',
+  email: 'ramesh@example.com',
+  role: 'Treasurer' as const,
+  status: 'Active' as const,
+  lockedUntil: new Date(Date.now() + 15 * 60 * 1000).toISOString(),
+  createdAt: '2024-04-01T00:00:00.000Z',
+};
+
+const renderUsers = (props: Partial<ComponentProps<typeof UserManagement>> = {}) =>
+  render(
+    <LanguageProvider>
+      <UserManagement
+        users={[lockedUser]}
+        onAddUser={vi.fn()}
+        onEditUser={vi.fn()}
+        onDeleteUser={vi.fn()}
+        onToggleUserStatus={vi.fn()}
+        currentUser={admin}
+        {...props}
+      />
+    </LanguageProvider>
+  );
+
+describe('UserManagement lockout and login history', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('marks a locked account and unlocks it', async () => {
+    const onUnlockUser = vi.fn().mockResolvedValue({});
+    const user = userEvent.setup();
+    renderUsers({ onUnlockUser });
+
+    expect(screen.getByText('Locked')).toBeInTheDocument();
+    await user.click(screen.getByRole('button', { name: /unlock account/i }));
+
+    expect(onUnlockUser).toHaveBeenCalledWith('user-1');
+  });
+
+  test('does not offer unlock once the lockout has expired', () => {
+    renderUsers({
+      users: [{ ...lockedUser, lockedUntil: new Date(Date.now() - 1000).toISOString() }],
+      onUnlockUser: vi.fn(),
+    });
+
+    expect(screen.queryByText('Locked')).not.toBeInTheDocument();
+    expect(screen.queryByRole('button', { name: /unlock account/i })).not.toBeInTheDocument();
+  });
+
+  test('shows login history with failures and new devices', async () => {
+    vi.mocked(apiClient.getUserLoginHistory).mockResolvedValue({
+      history: [
+        {
+          id: 'h2',
+          userId: 'user-1',
+          ipAddress: '203.0.113.7',
+          userAgent: 'Mozilla/5.0 (Android)',
+          success: true,
+          failureReason: null,
+          newDevice: true,
+          createdAt: '2024-05-02T10:00:00.000Z',
+        },
+        {
+          id: 'h1',
+          userId: 'user-1',
+          ipAddress: '198.51.100.4',
+          userAgent: 'Mozilla/5.0 (Windows)',
+          success: false,
+          failureReason: 'InvalidPassword',
+          newDevice: false,
+          createdAt: '2024-05-01T10:00:00.000Z',
+        },
+      ],
+    });
+    const user = userEvent.setup();
+    renderUsers();
+
+    await user.click(screen.getByRole('button', { name: /login history/i }));
+
+    await waitFor(() => {
+      expect(apiClient.getUserLoginHistory).toHaveBeenCalledWith('user-1');
+    });
+    expect(await screen.findByText('203.0.113.7')).toBeInTheDocument();
+    expect(screen.getByText('New device')).toBeInTheDocument();
+    expect(screen.getByText('Wrong password')).toBeInTheDocument();
+  });
+});
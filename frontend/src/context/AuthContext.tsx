@@ -7,14 +7,19 @@ import React, {
   ReactNode,
 } from "react";
 import apiClient from "../utils/api";
-import type { User, LoginCredentials, RegisterData } from "../types";
+import type { User, LoginCredentials, LoginChallenge, RegisterData } from "../types";
 
 interface AuthContextType {
   user: User | null;
   isAuthenticated: boolean;
   isLoading: boolean;
   error: string | null;
-  login: (credentials: LoginCredentials) => Promise<void>;
+  login: (credentials: LoginCredentials) => Promise<LoginChallenge | null>;
+  completeTwoFactorLogin: (
+    challengeToken: string,
+    answer: { code?: string; recoveryCode?: string }
+  ) => Promise<string[] | null>;
+  finishLogin: () => void;
   register: (userData: RegisterData) => Promise<void>;
   logout: () => Promise<void>;
   clearError: () => void;
@@ -55,6 +60,9 @@ export function AuthProvider({ children }: AuthProviderProps) {
   const [isLoading, setIsLoading] = useState(true);
   const [error, setError] = useState<string | null>(null);
 
+  // User signed in through 2FA enrollment, held back until the recovery codes have been shown
+  const pendingUserRef = useRef<User | null>(null);
+
   // Consider the user authenticated if a user object exists
   const isAuthenticated = !!user;
 
@@ -209,7 +217,7 @@ export function AuthProvider({ children }: AuthProviderProps) {
     initializeAuth();
   }, []);
 
-  const login = async (credentials: LoginCredentials) => {
+  const login = async (credentials: LoginCredentials): Promise<LoginChallenge | null> => {
     console.log('[AuthProvider] Login attempt started for:', credentials.email);
     try {
       setIsLoading(true);
@@ -226,6 +234,15 @@ export function AuthProvider({ children }: AuthProviderProps) {
         responseType: typeof response
       });
 
+      // Two-factor accounts answer with a challenge; Login asks for the code
+      if (response?.twoFactor) {
+        console.log('[AuthProvider] Two-factor step required:', response.twoFactor);
+        return {
+          twoFactor: response.twoFactor,
+          challengeToken: response.challengeToken,
+        };
+      }
+
       let nextUser: any;
       if (response?.data?.user) {
         nextUser = response.data.user;
@@ -237,6 +254,7 @@ export function AuthProvider({ children }: AuthProviderProps) {
 
       console.log('[AuthProvider] Setting user after successful login:', nextUser.email);
       setUser(nextUser as User);
+      return null;
     } catch (err: any) {
       console.error('[AuthProvider] Login failed:', err.message || err);
       setError(err?.message || "Login failed");
@@ -247,6 +265,34 @@ export function AuthProvider({ children }: AuthProviderProps) {
     }
   };
 
+  // Answer a login challenge. Returns the recovery codes when the challenge
+  // enrolled the user in 2FA; the session then starts on finishLogin(), once
+  // the codes have been shown.
+  const completeTwoFactorLogin = async (
+    challengeToken: string,
+    answer: { code?: string; recoveryCode?: string }
+  ): Promise<string[] | null> => {
+    const { user: nextUser, recoveryCodes } = await apiClient.verifyLoginTwoFactor(challengeToken, answer);
+
+    if (recoveryCodes?.length) {
+      pendingUserRef.current = nextUser;
+      return recoveryCodes;
+    }
+
+    console.log('[AuthProvider] Setting user after two-factor login:', nextUser.email);
+    setError(null);
+    setUser(nextUser);
+    return null;
+  };
+
+  const finishLogin = () => {
+    if (pendingUserRef.current) {
+      setError(null);
+      setUser(pendingUserRef.current);
+      pendingUserRef.current = null;
+    }
+  };
+
   const register = async (userData: RegisterData) => {
     console.log('[AuthProvider] Registration attempt started for:', userData.email);
     try {
@@ -314,6 +360,8 @@ export function AuthProvider({ children }: AuthProviderProps) {
     isLoading,
     error,
     login,
+    completeTwoFactorLogin,
+    finishLogin,
     register,
     logout,
     clearError,
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, ReactNode, useRef } from 'react';
 import apiClient from '../utils/api';
+import { isPendingApproval } from '../utils/approvals';
 import { useAuth } from './AuthContext';
 import type { 
   Shop, 
@@ -60,26 +61,31 @@ interface DataContextType {
   createLoan: (loanData: any) => Promise<Loan>;
   updateLoan: (id: string, loanData: any) => Promise<Loan>;
   deleteLoan: (id: string) => Promise<void>;
+  repayLoan: (id: string, repayment: { amount: number; date?: string }) => Promise<Loan>;
   
+  // Edits and deletions may be held for approval: updates and expense creates
+  // then resolve to null, and deletes resolve to false instead of true
   createTransaction: (transactionData: any) => Promise<Transaction>;
-  updateTransaction: (id: string, transactionData: any) => Promise<Transaction>;
-  deleteTransaction: (id: string) => Promise<void>;
+  updateTransaction: (id: string, transactionData: any) => Promise<Transaction | null>;
+  deleteTransaction: (id: string) => Promise<boolean>;
 
   // Specific donation methods
   createDonation: (donationData: any) => Promise<Transaction>;
-  updateDonation: (id: string, donationData: any) => Promise<Transaction>;
-  deleteDonation: (id: string) => Promise<void>;
+  updateDonation: (id: string, donationData: any) => Promise<Transaction | null>;
+  deleteDonation: (id: string) => Promise<boolean>;
   fetchDonations: () => Promise<void>;
 
   // Specific expense methods
-  createExpense: (expenseData: any) => Promise<Transaction>;
-  updateExpense: (id: string, expenseData: any) => Promise<Transaction>;
-  deleteExpense: (id: string) => Promise<void>;
+  createExpense: (expenseData: any) => Promise<Transaction | null>;
+  updateExpense: (id: string, expenseData: any) => Promise<Transaction | null>;
+  deleteExpense: (id: string) => Promise<boolean>;
   fetchExpenses: () => Promise<void>;
 
   createUser: (userData: any) => Promise<User>;
   updateUser: (id: string, userData: any) => Promise<User>;
   deleteUser: (id: string) => Promise<void>;
+  unlockUser: (id: string) => Promise<User>;
+  resetUserTwoFactor: (id: string) => Promise<User>;
   
   // Clear errors
   clearError: (entity: string) => void;
@@ -445,6 +451,13 @@ export function DataProvider({ children }: DataProviderProps) {
     return updatedLoan;
   };
 
+  // Posts an EMI repayment; the backend updates the schedule and the loan
+  const repayLoan = async (id: string, repayment: { amount: number; date?: string }): Promise<Loan> => {
+    const { loan: updatedLoan } = await apiClient.repayLoan(id, repayment);
+    setLoans(prev => prev.map(loan => loan.id === id ? updatedLoan : loan));
+    return updatedLoan;
+  };
+
   const deleteLoan = async (id: string): Promise<void> => {
     await apiClient.deleteLoan(id);
     setLoans(prev => prev.filter(loan => loan.id !== id));
@@ -457,15 +470,18 @@ export function DataProvider({ children }: DataProviderProps) {
     return newTransaction;
   };
 
-  const updateTransaction = async (id: string, transactionData: any): Promise<Transaction> => {
+  const updateTransaction = async (id: string, transactionData: any): Promise<Transaction | null> => {
     const updatedTransaction = await apiClient.updateTransaction(id, transactionData);
+    if (isPendingApproval(updatedTransaction)) return null;
     setTransactions(prev => prev.map(transaction => transaction.id === id ? updatedTransaction : transaction));
     return updatedTransaction;
   };
 
-  const deleteTransaction = async (id: string): Promise<void> => {
-    await apiClient.deleteTransaction(id);
+  const deleteTransaction = async (id: string): Promise<boolean> => {
+    const response = await apiClient.deleteTransaction(id);
+    if (isPendingApproval(response)) return false;
     setTransactions(prev => prev.filter(transaction => transaction.id !== id));
+    return true;
   };
 
   // CRUD operations for donations (specific endpoints)
@@ -587,7 +603,7 @@ export function DataProvider({ children }: DataProviderProps) {
     }
   };
 
-  const updateDonation = async (id: string, donationData: any): Promise<Transaction> => {
+  const updateDonation = async (id: string, donationData: any): Promise<Transaction | null> => {
     try {
       console.debug('🔍 updateDonation: Starting API call', {
         donationId: id,
@@ -599,6 +615,11 @@ export function DataProvider({ children }: DataProviderProps) {
       });
       
       const response = await apiClient.updateDonation(id, donationData);
+
+      if (isPendingApproval(response)) {
+        console.debug('⏸️ updateDonation: Change is waiting for approval', { donationId: id });
+        return null;
+      }
       
       // Handle both normalized and legacy response formats
       const updatedDonation = response?.data || response;
@@ -625,15 +646,21 @@ export function DataProvider({ children }: DataProviderProps) {
     }
   };
 
-  const deleteDonation = async (id: string): Promise<void> => {
+  const deleteDonation = async (id: string): Promise<boolean> => {
     try {
       console.debug('🔍 deleteDonation: Starting API call', { donationId: id });
       
-      await apiClient.deleteDonation(id);
+      const response = await apiClient.deleteDonation(id);
+
+      if (isPendingApproval(response)) {
+        console.debug('⏸️ deleteDonation: Deletion is waiting for approval', { donationId: id });
+        return false;
+      }
       
       console.debug('✅ deleteDonation: Successfully deleted donation', { donationId: id });
       
       setTransactions(prev => prev.filter(transaction => transaction.id !== id));
+      return true;
     } catch (error: any) {
       console.error('❌ deleteDonation failed:', {
         message: error.message,
@@ -728,7 +755,7 @@ export function DataProvider({ children }: DataProviderProps) {
     }
   };
 
-  const createExpense = async (expenseData: any): Promise<Transaction> => {
+  const createExpense = async (expenseData: any): Promise<Transaction | null> => {
     try {
       console.debug('🔍 createExpense: Starting API call', {
         expenseData: { 
@@ -749,6 +776,11 @@ export function DataProvider({ children }: DataProviderProps) {
       }
       
       const response = await apiClient.createExpense(apiPayload);
+
+      if (isPendingApproval(response)) {
+        console.debug('⏸️ createExpense: Expense is waiting for approval', { amount: apiPayload.amount });
+        return null;
+      }
       
       // Handle both normalized and legacy response formats
       const newExpense = response?.data || response;
@@ -780,7 +812,7 @@ export function DataProvider({ children }: DataProviderProps) {
     }
   };
 
-  const updateExpense = async (id: string, expenseData: any): Promise<Transaction> => {
+  const updateExpense = async (id: string, expenseData: any): Promise<Transaction | null> => {
     try {
       console.debug('🔍 updateExpense: Starting API call', {
         expenseId: id,
@@ -792,6 +824,11 @@ export function DataProvider({ children }: DataProviderProps) {
       });
       
       const response = await apiClient.updateExpense(id, expenseData);
+
+      if (isPendingApproval(response)) {
+        console.debug('⏸️ updateExpense: Change is waiting for approval', { expenseId: id });
+        return null;
+      }
       
       // Handle both normalized and legacy response formats
       const updatedExpense = response?.data || response;
@@ -818,15 +855,21 @@ export function DataProvider({ children }: DataProviderProps) {
     }
   };
 
-  const deleteExpense = async (id: string): Promise<void> => {
+  const deleteExpense = async (id: string): Promise<boolean> => {
     try {
       console.debug('🔍 deleteExpense: Starting API call', { expenseId: id });
       
-      await apiClient.deleteExpense(id);
+      const response = await apiClient.deleteExpense(id);
+
+      if (isPendingApproval(response)) {
+        console.debug('⏸️ deleteExpense: Deletion is waiting for approval', { expenseId: id });
+        return false;
+      }
       
       console.debug('✅ deleteExpense: Successfully deleted expense', { expenseId: id });
       
       setTransactions(prev => prev.filter(transaction => transaction.id !== id));
+      return true;
     } catch (error: any) {
       console.error('❌ deleteExpense failed:', {
         message: error.message,
@@ -856,6 +899,18 @@ export function DataProvider({ children }: DataProviderProps) {
     setUsers(prev => prev.filter(user => user.id !== id));
   };
 
+  const unlockUser = async (id: string): Promise<User> => {
+    const { user: unlockedUser } = await apiClient.unlockUser(id);
+    setUsers(prev => prev.map(user => user.id === id ? { ...user, ...unlockedUser } : user));
+    return unlockedUser;
+  };
+
+  const resetUserTwoFactor = async (id: string): Promise<User> => {
+    const { user: resetUser } = await apiClient.resetUserTwoFactor(id);
+    setUsers(prev => prev.map(user => user.id === id ? { ...user, ...resetUser } : user));
+    return resetUser;
+  };
+
   // Error management
   const clearError = (entity: string) => {
     setErrorState(entity, null);
@@ -976,6 +1031,7 @@ export function DataProvider({ children }: DataProviderProps) {
     createLoan,
     updateLoan,
     deleteLoan,
+    repayLoan,
     
     createTransaction,
     updateTransaction,
@@ -996,6 +1052,8 @@ export function DataProvider({ children }: DataProviderProps) {
     createUser,
     updateUser,
     deleteUser,
+    unlockUser,
+    resetUserTwoFactor,
     
     // Error management
     clearError,
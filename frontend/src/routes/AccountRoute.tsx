@@ -0,0 +1,34 @@
+import React from 'react';
+import { MonitorSmartphone } from 'lucide-react';
+import TwoFactorSettings from '../../components/TwoFactorSettings';
+import ActiveSessions from '../../components/ActiveSessions';
+import { Card, CardContent, CardHeader, CardTitle } from '../../components/ui/card';
+import { useLanguage } from '../../components/LanguageContext';
+import apiClient from '../utils/api';
+
+const loadSessions = async () => (await apiClient.getSessions()).sessions;
+
+export function AccountRoute() {
+  const { t } = useLanguage();
+
+  return (
+    <div className="space-y-6">
+      <TwoFactorSettings />
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <MonitorSmartphone className="h-5 w-5 text-orange-500" />
+            {t('sessions.title')}
+          </CardTitle>
+          <p className="text-sm text-gray-600">{t('sessions.description')}</p>
+        </CardHeader>
+        <CardContent>
+          <ActiveSessions
+            load={loadSessions}
+            revoke={(sessionId) => apiClient.revokeSession(sessionId)}
+          />
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
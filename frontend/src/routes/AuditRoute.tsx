@@ -0,0 +1,14 @@
+import React from 'react';
+import AuditLog from '../../components/AuditLog';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+export function AuditRoute() {
+  const { user } = useAuth();
+
+  if (!hasPermission(user, 'audit.view')) {
+    return null;
+  }
+
+  return <AuditLog canListUsers={hasPermission(user, 'user.view')} />;
+}
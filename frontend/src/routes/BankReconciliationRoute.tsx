@@ -0,0 +1,16 @@
+import React from 'react';
+import BankReconciliation from '../../components/BankReconciliation';
+import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
+
+export function BankReconciliationRoute() {
+  const { user } = useAuth();
+  const { fetchTransactions } = useData();
+
+  return (
+    <BankReconciliation
+      currentUser={user}
+      onTransactionsChanged={fetchTransactions}
+    />
+  );
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import CategoryManagement from '../../components/CategoryManagement';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+export function CategoriesRoute() {
+  const { user } = useAuth();
+
+  if (!hasPermission(user, 'category.manage')) {
+    return null;
+  }
+
+  return <CategoryManagement />;
+}
@@ -0,0 +1,29 @@
+import React from 'react';
+import PendingCheques from '../../components/PendingCheques';
+import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
+
+export function ChequesRoute() {
+  const { user } = useAuth();
+  const {
+    fetchTransactions,
+    fetchAgreements,
+    fetchLoans,
+    fetchPenalties
+  } = useData();
+
+  // A bounce reopens invoices, EMIs and penalties, so reload everything it touches
+  const handleChanged = () => {
+    fetchTransactions();
+    fetchAgreements();
+    fetchLoans();
+    fetchPenalties();
+  };
+
+  return (
+    <PendingCheques
+      currentUser={user}
+      onChanged={handleChanged}
+    />
+  );
+}
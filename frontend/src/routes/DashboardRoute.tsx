@@ -1,14 +1,17 @@
 import React from 'react';
 import Dashboard from '../../components/Dashboard';
 import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
 
 export function DashboardRoute() {
-  const { transactions } = useData();
+  const { transactions, fetchTransactions } = useData();
+  const { user } = useAuth();
   
-  // Extract data for dashboard calculations
-  const donations = transactions.filter(t => t.type === "Donation");
-  const expenses = transactions.filter(t => t.type === "Expense"); 
-  const rentIncome = transactions.filter(t => t.type === "RentIncome");
+  // Extract data for dashboard calculations; bounced cheques never reached the bank
+  const counted = transactions.filter(t => t.clearingStatus !== "Bounced");
+  const donations = counted.filter(t => t.type === "Donation");
+  const expenses = counted.filter(t => t.type === "Expense"); 
+  const rentIncome = counted.filter(t => t.type === "RentIncome");
 
   const totalDonations = donations.reduce((sum, t) => sum + t.amount, 0);
   const totalExpenses = expenses.reduce((sum, t) => sum + t.amount, 0);
@@ -22,6 +25,8 @@ export function DashboardRoute() {
       totalRentIncome={totalRentIncome}
       netBalance={netBalance}
       transactions={transactions}
+      currentUser={user}
+      onApprovalApplied={fetchTransactions}
     />
   );
 }
\ No newline at end of file
@@ -0,0 +1,41 @@
+import React from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import Donors from '../../components/Donors';
+import DonorProfile from '../../components/DonorProfile';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+export function DonorsRoute() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+
+  if (!hasPermission(user, 'donor.view')) {
+    return null;
+  }
+
+  return (
+    <Donors
+      canManage={hasPermission(user, 'donor.manage')}
+      onOpenDonor={(id) => navigate(`/admin/donors/${id}`)}
+    />
+  );
+}
+
+export function DonorProfileRoute() {
+  const { user } = useAuth();
+  const navigate = useNavigate();
+  const { id } = useParams();
+
+  if (!id || !hasPermission(user, 'donor.view')) {
+    return null;
+  }
+
+  return (
+    <DonorProfile
+      donorId={id}
+      canManage={hasPermission(user, 'donor.manage')}
+      canPrintCertificates={hasPermission(user, 'donation.receipt.print')}
+      onBack={() => navigate('/admin/donors')}
+    />
+  );
+}
@@ -0,0 +1,9 @@
+import React from 'react';
+import FinancialYears from '../../components/FinancialYears';
+import { useAuth } from '../context/AuthContext';
+
+export function FinancialYearsRoute() {
+  const { user } = useAuth();
+
+  return <FinancialYears currentUser={user} />;
+}
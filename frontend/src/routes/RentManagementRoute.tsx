@@ -33,6 +33,7 @@ export function RentManagementRoute() {
     createLoan,
     updateLoan,
     deleteLoan,
+    repayLoan,
     updatePenalty,
     createTransaction
   } = useData();
@@ -149,6 +150,15 @@ export function RentManagementRoute() {
     }
   };
 
+  const handleRepayLoan = async (id: string, repayment: { amount: number; date?: string }) => {
+    try {
+      await repayLoan(id, repayment);
+      toast.success("EMI payment recorded successfully!");
+    } catch (error: any) {
+      toast.error(error.message || "Failed to record EMI payment");
+    }
+  };
+
   const handleDeleteLoan = async (id: string) => {
     try {
       await deleteLoan(id);
@@ -210,6 +220,7 @@ export function RentManagementRoute() {
       onAddLoan={handleAddLoan}
       onUpdateLoan={handleUpdateLoan}
       onDeleteLoan={handleDeleteLoan}
+      onRepayLoan={handleRepayLoan}
       onUpdatePenalty={handleUpdatePenalty}
       onAddTransaction={handleAddTransaction}
       receiptCounter={receiptCounters.rentIncome}
@@ -1,6 +1,7 @@
 import React from 'react';
 import Reports from '../../components/Reports';
 import { useData } from '../context/DataContext';
+import { useAuth } from '../context/AuthContext';
 
 export function ReportsRoute() {
   const { 
@@ -11,6 +12,7 @@ export function ReportsRoute() {
     loans, 
     penalties 
   } = useData();
+  const { user } = useAuth();
 
   return (
     <Reports
@@ -20,6 +22,7 @@ export function ReportsRoute() {
       agreements={agreements}
       loans={loans}
       penalties={penalties}
+      currentUser={user}
     />
   );
 }
\ No newline at end of file
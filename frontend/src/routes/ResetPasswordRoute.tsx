@@ -0,0 +1,6 @@
+import React from 'react';
+import ResetPassword from '../../components/ResetPassword';
+
+export function ResetPasswordRoute() {
+  return <ResetPassword />;
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import RoleManagement from '../../components/RoleManagement';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+export function RolesRoute() {
+  const { user } = useAuth();
+
+  if (!hasPermission(user, 'role.manage')) {
+    return null;
+  }
+
+  return <RoleManagement />;
+}
@@ -0,0 +1,14 @@
+import React from 'react';
+import Trash from '../../components/Trash';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
+
+export function TrashRoute() {
+  const { user } = useAuth();
+
+  if (!hasPermission(user, 'trash.restore')) {
+    return null;
+  }
+
+  return <Trash canPurge={hasPermission(user, 'trash.purge')} />;
+}
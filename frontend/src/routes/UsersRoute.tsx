@@ -2,6 +2,7 @@ import React, { useEffect, useRef } from 'react';
 import UserManagement from '../../components/UserManagement';
 import { useData } from '../context/DataContext';
 import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/permissions';
 
 export function UsersRoute() {
   const { user } = useAuth();
@@ -12,21 +13,24 @@ export function UsersRoute() {
     createUser, 
     updateUser, 
     deleteUser,
+    unlockUser,
+    resetUserTwoFactor,
     fetchUsers
   } = useData();
 
   // Guard to ensure fetchUsers is only called once per component mount lifecycle
   const initializedRef = useRef(false);
 
-  // Fetch users when component mounts - only once per mount, and only for Admin or Treasurer
+  const canViewUsers = hasPermission(user, "user.view");
+
+  // Fetch users when component mounts - only once per mount, and only for users who may see them
   useEffect(() => {
-    // Include both Admin and Treasurer roles (fixes role gating mismatch)
-    if ((user?.role === "Admin" || user?.role === "Treasurer") && !initializedRef.current) {
-      console.debug('🔍 UsersRoute: Fetching users for user role:', user.role);
+    if (canViewUsers && !initializedRef.current) {
+      console.debug('🔍 UsersRoute: Fetching users for user role:', user?.role);
       initializedRef.current = true;
       fetchUsers();
     }
-  }, [user?.role, fetchUsers]); // Include user.role to re-run if role changes
+  }, [canViewUsers, fetchUsers]); // Re-run if the permission arrives after mount
 
   // Toggle user status handler
   const handleToggleUserStatus = (id: string) => {
@@ -37,8 +41,8 @@ export function UsersRoute() {
     }
   };
 
-  // Only render for Admin or Treasurer
-  if (user?.role !== "Admin" && user?.role !== "Treasurer") {
+  // Only render for users who may see the user list
+  if (!canViewUsers) {
     return null;
   }
 
@@ -49,6 +53,8 @@ export function UsersRoute() {
       onEditUser={updateUser}
       onDeleteUser={deleteUser}
       onToggleUserStatus={handleToggleUserStatus}
+      onUnlockUser={unlockUser}
+      onResetTwoFactor={resetUserTwoFactor}
       currentUser={user}
       loading={loading.users}
       error={errors.users}
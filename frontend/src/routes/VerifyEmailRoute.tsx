@@ -0,0 +1,6 @@
+import React from 'react';
+import VerifyEmail from '../../components/VerifyEmail';
+
+export function VerifyEmailRoute() {
+  return <VerifyEmail />;
+}
@@ -90,7 +90,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should fetch users when user is Admin', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Admin', id: '1', username: 'admin', email: 'admin@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Admin', id: '1', username: 'admin', email: 'admin@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['user.view', 'user.manage'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
@@ -104,7 +104,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should fetch users when user is Treasurer', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Treasurer', id: '2', username: 'treasurer', email: 'treasurer@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Treasurer', id: '2', username: 'treasurer', email: 'treasurer@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['user.view'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
@@ -118,7 +118,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should not fetch users when user is Viewer', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Viewer', id: '3', username: 'viewer', email: 'viewer@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Viewer', id: '3', username: 'viewer', email: 'viewer@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['donation.view'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
@@ -133,7 +133,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should not render anything for Viewer role', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Viewer', id: '3', username: 'viewer', email: 'viewer@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Viewer', id: '3', username: 'viewer', email: 'viewer@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['donation.view'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
@@ -147,7 +147,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should render UserManagement component for Admin', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Admin', id: '1', username: 'admin', email: 'admin@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Admin', id: '1', username: 'admin', email: 'admin@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['user.view', 'user.manage'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
@@ -161,7 +161,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should render UserManagement component for Treasurer', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Treasurer', id: '2', username: 'treasurer', email: 'treasurer@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Treasurer', id: '2', username: 'treasurer', email: 'treasurer@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['user.view'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
@@ -175,7 +175,7 @@ describe('UsersRoute Role and Initialization Improvements', () => {
 
   it('should only call fetchUsers once even with multiple re-renders', () => {
     mockUseAuth.mockReturnValue({
-      user: { role: 'Admin', id: '1', username: 'admin', email: 'admin@test.com', status: 'Active', createdAt: '2024-01-01' },
+      user: { role: 'Admin', id: '1', username: 'admin', email: 'admin@test.com', status: 'Active', createdAt: '2024-01-01', permissions: ['user.view', 'user.manage'] },
       isAuthenticated: true,
       login: vi.fn(),
       logout: vi.fn(),
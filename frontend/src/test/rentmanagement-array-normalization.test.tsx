@@ -12,6 +12,7 @@ vi.mock('../utils/api', () => ({
     post: vi.fn(),
     put: vi.fn(),
     delete: vi.fn(),
+    listAttachmentsFor: vi.fn().mockResolvedValue([]),
   }
 }));
 
@@ -7,12 +7,31 @@ export interface User {
   id: string;
   username: string;
   email: string;
-  role: "Admin" | "Treasurer" | "Viewer";
+  /** Role name: Admin, Treasurer, Viewer or a custom role */
+  role: string;
   status: "Active" | "Inactive";
+  /** What the role may do, from /api/auth/profile */
+  permissions?: string[];
+  emailVerified?: boolean;
+  failedLoginAttempts?: number;
+  lockedUntil?: string | null;
+  twoFactorEnabled?: boolean;
+  twoFactorRequired?: boolean;
   createdAt: string;
   lastLogin?: string;
 }
 
+export interface LoginHistoryEntry {
+  id: string;
+  userId: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  success: boolean;
+  failureReason: "InvalidPassword" | "AccountLocked" | "AccountInactive" | "UnknownAccount" | null;
+  newDevice: boolean;
+  createdAt: string;
+}
+
 export interface UploadedFile {
   id: string;
   fileName: string;
@@ -24,6 +43,40 @@ export interface UploadedFile {
   s3Url: string;
 }
 
+export type AttachmentEntityType =
+  | "agreement"
+  | "loan"
+  | "transaction"
+  | "tenant"
+  | "shop"
+  | "donor"
+  | "change_request";
+
+/**
+ * A file attached to a record; the content is fetched from
+ * /api/attachments/:id/content. A staged upload has no record yet.
+ */
+export interface Attachment {
+  id: string;
+  name: string;
+  size: number;
+  type: string;
+  sha256: string;
+  entityType: AttachmentEntityType | null;
+  entityId: string | null;
+  uploadedBy: string | null;
+  uploadedAt: string;
+  compressedSize: number | null;
+}
+
+/** GET /api/attachments/limits */
+export interface AttachmentLimits {
+  maxBytes: number;
+  maxFiles: number;
+  /** Expenses above this amount need an attachment; 0 when none do */
+  expenseRequiredAbove: number;
+}
+
 export interface Shop {
   id: string;
   shopNumber: string;
@@ -88,6 +141,21 @@ export interface Loan {
   loanDocuments?: UploadedFile[];
 }
 
+export interface LoanInstallment {
+  id: string;
+  loanId: string;
+  installmentNumber: number;
+  dueDate: string;
+  openingBalance: number;
+  emiAmount: number;
+  principalComponent: number;
+  interestComponent: number;
+  closingBalance: number;
+  amountPaid: number;
+  status: "Pending" | "Partial" | "Paid";
+  paidDate?: string | null;
+}
+
 export interface RentPenalty {
   id: string;
   agreementId: string;
@@ -103,6 +171,70 @@ export interface RentPenalty {
   waivedReason?: string;
 }
 
+export interface RentInvoice {
+  id: string;
+  agreementId: string;
+  period: string; // YYYY-MM
+  dueDate: string;
+  amount: number;
+  amountPaid: number;
+  status: "Unpaid" | "Partial" | "Paid";
+  shopId?: string;
+  shopNumber?: string;
+  tenantId?: string;
+  tenantName?: string;
+  createdAt: string;
+  updatedAt?: string;
+}
+
+export interface ShopInvoiceSummary {
+  shopId: string;
+  shopNumber: string;
+  totalBilled: number;
+  totalPaid: number;
+  outstanding: number;
+  paidCount: number;
+  partialCount: number;
+  unpaidCount: number;
+  oldestOpenDueDate: string | null;
+  status: "Unpaid" | "Partial" | "Paid";
+}
+
+export interface TenantLedgerEntry {
+  date: string;
+  type:
+    | "RentDue"
+    | "LoanDisbursement"
+    | "Penalty"
+    | "RentPayment"
+    | "EmiRepayment"
+    | "PenaltyPayment"
+    | "Payment"
+    | "ChequeBounced";
+  description: string;
+  reference: string | null;
+  shopNumber: string | null;
+  debit: number;
+  credit: number;
+  balance: number;
+  /** A cheque still waiting to clear: listed, but not in the balance or totals */
+  uncleared?: boolean;
+}
+
+export interface TenantLedger {
+  tenant: Tenant;
+  from: string | null;
+  to: string | null;
+  openingBalance: number;
+  entries: TenantLedgerEntry[];
+  totals: { debit: number; credit: number; uncleared: number };
+  closingBalance: number;
+}
+
+export type PaymentMode = "Cash" | "UPI" | "Cheque" | "Bank Transfer";
+
+export type ClearingStatus = "Cleared" | "Pending" | "Bounced";
+
 export interface Transaction {
   id: string;
   date: string;
@@ -114,6 +246,7 @@ export interface Transaction {
   receiptNumber?: string;
   donorName?: string;
   donorContact?: string;
+  donorId?: string;
   familyMembers?: number;
   amountPerPerson?: number;
   vendor?: string;
@@ -128,6 +261,16 @@ export interface Transaction {
   emiAmount?: number;
   penaltyId?: string;
   penaltyAmount?: number;
+  paymentMode?: PaymentMode;
+  paymentReference?: string;
+  chequeDate?: string;
+  clearingStatus?: ClearingStatus;
+  clearingDate?: string;
+  bounceReason?: string;
+  receiptPrintCount?: number; // every print after the first is a duplicate
+  receiptPrintedAt?: string;
+  /** Qualifies for an 80G certificate; null for entries that are not donations */
+  eligible80g?: boolean | null;
   receiptImages?: UploadedFile[];
   supportingDocuments?: UploadedFile[];
   createdAt: string;
@@ -151,11 +294,291 @@ export interface LoginCredentials {
   password: string;
 }
 
+// Returned by login instead of a session when a second step is needed:
+// 'verify' asks for a code, 'enroll' sets up 2FA first (required for the role)
+export interface LoginChallenge {
+  twoFactor: "verify" | "enroll";
+  challengeToken: string;
+}
+
+export interface TwoFactorEnrollment {
+  secret: string;
+  otpauthUrl: string;
+  qrCodeDataUrl: string;
+}
+
+export interface TwoFactorStatus {
+  enabled: boolean;
+  required: boolean;
+  recoveryCodesRemaining: number;
+}
+
+/** A signed-in device; id is the session (refresh token family) id */
+export interface ActiveSession {
+  id: string;
+  ipAddress: string | null;
+  userAgent: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
+}
+
+export interface Role {
+  id: string;
+  name: string;
+  description: string | null;
+  isSystem: boolean;
+  permissions: string[];
+  userCount: number;
+}
+
+export interface PermissionGroup {
+  group: string;
+  permissions: { key: string; description: string }[];
+}
+
+export type CategoryType = "Donation" | "Expense";
+
+/** Rules a category applies to its entries */
+export interface CategoryRules {
+  /** The amount is family members × amount per person, as for Vargani */
+  perPerson?: boolean;
+}
+
+/**
+ * A donation or expense category, or a sub-category of one. Transactions
+ * store `code`; the labels are what the screens show.
+ */
+export interface Category {
+  id: string;
+  type: CategoryType;
+  parentId: string | null;
+  code: string;
+  labelEn: string;
+  labelMr: string;
+  active: boolean;
+  sortOrder: number;
+  rules: CategoryRules;
+}
+
+/** A top-level category with its sub-categories, as the list returns them */
+export interface CategoryWithSubCategories extends Category {
+  subCategories: Category[];
+}
+
+/** Budget against actual spending for a category or sub-category */
+export interface BudgetLine {
+  /** The budget set for this line; null when it has none */
+  budgetId: string | null;
+  notes: string | null;
+  /** null when there is no budget */
+  budget: number | null;
+  actual: number;
+  /** Budget less actual; negative when over */
+  variance: number | null;
+  usedPercent: number | null;
+  overBudget: boolean;
+}
+
+export interface BudgetCategoryLine extends BudgetLine {
+  category: string;
+  subCategories: (BudgetLine & { subCategory: string })[];
+}
+
+/** Budget against actual spending for a financial year */
+export interface BudgetReport {
+  year: string;
+  startDate: string;
+  endDate: string;
+  categories: BudgetCategoryLine[];
+  totals: { budget: number; actual: number; unbudgeted: number };
+}
+
+/** A budget an expense would exceed if saved */
+export interface BudgetWarning {
+  year: string;
+  category: string;
+  /** null for the budget of the whole category */
+  subCategory: string | null;
+  budget: number;
+  /** Spent by other expenses */
+  spent: number;
+  projected: number;
+  over: number;
+}
+
+/** An edit, deletion or large expense waiting for a second user's approval */
+export interface ChangeRequest {
+  id: string;
+  entityType: Transaction["type"];
+  entityId: string | null;
+  action: "create" | "update" | "delete";
+  amount: number | null;
+  status: "Pending" | "Approved" | "Rejected" | "Cancelled";
+  original: Record<string, unknown> | null;
+  payload: Record<string, unknown> | null;
+  changes: { field: string; from: unknown; to: unknown }[];
+  requestedBy: string;
+  requestedByName: string | null;
+  requestedAt: string;
+  reviewedBy: string | null;
+  reviewedByName: string | null;
+  reviewedAt: string | null;
+  reviewNote: string | null;
+  /** The current user may approve or reject it */
+  canReview?: boolean;
+}
+
+export type AuditEntityType =
+  | "User"
+  | "Shop"
+  | "Tenant"
+  | "Agreement"
+  | "Loan"
+  | "RentPenalty"
+  | "Transaction"
+  | "Donor"
+  | "Attachment"
+  | "Category"
+  | "Budget";
+
+/** One entry in the hash-chained audit trail */
+export interface AuditEntry {
+  seq: number;
+  createdAt: string;
+  actorId: string | null;
+  actorName: string | null;
+  ipAddress: string | null;
+  entityType: AuditEntityType;
+  entityId: string;
+  action: "create" | "update" | "delete" | "restore" | "purge";
+  changes: { field: string; from: unknown; to: unknown }[];
+  context: Record<string, unknown> | null;
+  hash: string;
+}
+
+export type TrashEntityType = Exclude<AuditEntityType, "User" | "Donor" | "Attachment" | "Category" | "Budget">;
+
+/** A deleted record waiting in the trash */
+export interface TrashItem {
+  entityType: TrashEntityType;
+  id: string;
+  label: string | null;
+  detail: string | null;
+  amount: number | null;
+  date: string | null;
+  deletedAt: string;
+  deletedBy: string | null;
+  deletedByName: string | null;
+  /** Set for loans and penalties deleted along with their agreement */
+  deletedWith: { entityType: "Agreement"; id: string } | null;
+}
+
+/** A devotee; donations point at one through donorId */
+export interface Donor {
+  id: string;
+  name: string;
+  phone: string | null;
+  address: string | null;
+  /** Gotra or family */
+  gotra: string | null;
+  pan: string | null;
+  createdAt?: string;
+  updatedAt?: string;
+}
+
+/** A donor in search results, with giving that cleared */
+export interface DonorListItem extends Donor {
+  donationCount: number;
+  totalGiven: number;
+  lastDonationDate: string | null;
+}
+
+export interface DonorProfile {
+  donor: Donor;
+  summary: {
+    totalGiven: number;
+    donationCount: number;
+    firstDonationDate: string | null;
+    lastDonationDate: string | null;
+  };
+  byCategory: { category: string; total: number; count: number }[];
+  /** Financial years, e.g. "2024-25", newest first */
+  byYear: { year: string; total: number; count: number }[];
+  donations: Transaction[];
+}
+
+/** Donors that look like the same person, most donations first */
+export interface DonorDuplicateGroup {
+  reason: "phone" | "name";
+  donors: DonorListItem[];
+}
+
+/** The trust as printed on 80G certificates: the receipt letterhead with its PAN and 80G URN */
+export interface TaxIssuer {
+  templeName: string;
+  templeNameMr: string;
+  address: string;
+  registrationNumber: string;
+  signatory: string;
+  signatoryMr: string;
+  pan: string;
+  urn: string;
+  urnDate: string;
+}
+
+/** An 80G certificate for one donation */
+export interface TaxCertificate {
+  issuer: TaxIssuer;
+  donor: Donor;
+  donation: Transaction;
+  financialYear: string;
+}
+
+/** A donor's eligible donations in one financial year */
+export interface AnnualTaxStatement {
+  issuer: TaxIssuer;
+  donor: Donor;
+  financialYear: string;
+  donations: Transaction[];
+  total: number;
+}
+
+/** One Form 10BD row: a donor's eligible donations in one mode of receipt */
+export interface Form10bdRow {
+  idCode: string;
+  pan: string;
+  sectionCode: string;
+  urn: string;
+  urnDate: string;
+  donorName: string;
+  address: string;
+  donationType: string;
+  mode: string;
+  amount: number;
+}
+
+export interface Form10bd {
+  year: string;
+  rows: Form10bdRow[];
+  /** Donors left out of the return for want of a PAN */
+  missingPan: { donorId: string | null; donorName: string; donationCount: number; amount: number }[];
+}
+
+/** Result of recomputing the audit hash chain */
+export interface AuditVerification {
+  valid: boolean;
+  checked: number;
+  brokenAt: number | null;
+  headHash: string | null;
+}
+
 export interface RegisterData {
   username: string;
   email: string;
   password: string;
-  role?: "Treasurer" | "Viewer";
+  role?: string;
 }
 
 export interface AuthResponse {
@@ -245,6 +668,9 @@ export interface TransactionFormData {
   receiptNumber?: string;
   donorName?: string;
   donorContact?: string;
+  donorId?: string;
+  /** Recorded on the donor, for 80G certificates */
+  donorPan?: string;
   familyMembers?: number;
   vendor?: string;
   tenantName?: string;
@@ -255,6 +681,94 @@ export interface TransactionFormData {
   payeeContact?: string;
   loanId?: string;
   penaltyId?: string;
+  paymentMode?: PaymentMode;
+  paymentReference?: string;
+  chequeDate?: string;
   receiptImages?: File[];
   supportingDocuments?: File[];
-}
\ No newline at end of file
+}
+export type BankLineStatus = "Matched" | "Unmatched" | "Ignored";
+
+export interface BankStatementLine {
+  id: string;
+  statementId: string;
+  lineNumber: number;
+  lineDate: string;
+  description: string;
+  reference: string | null;
+  amount: number; // positive for credits to the account, negative for debits
+  balance: number | null;
+  transactionId: string | null;
+  matchType: "Auto" | "Manual" | null;
+  ignored: boolean;
+  status: BankLineStatus;
+  transaction: Transaction | null;
+}
+
+export interface BankReconciliation {
+  period: string;
+  statementBalance: number | null;
+  bookBalance: number;
+  locked: boolean;
+  notes: string | null;
+  reconciledBy: string | null;
+  reconciledAt: string;
+}
+
+export interface ReconciliationMonth {
+  period: string;
+  lineCount: number;
+  matched: number;
+  unmatched: number;
+  ignored: number;
+  reconciliation: BankReconciliation | null;
+}
+
+export interface ReconciliationMonthSummary extends ReconciliationMonth {
+  credits: number;
+  debits: number;
+  statementBalance: number | null;
+  bookBalance: number;
+  difference: number | null;
+}
+
+export type FinancialYearStatus = "Open" | "Closed";
+
+export interface FinancialYear {
+  year: string; // "2024-25" for 1 April 2024 - 31 March 2025
+  startDate: string;
+  endDate: string;
+  status: FinancialYearStatus;
+  surplus: number | null;
+  closedBy: string | null;
+  closedAt: string | null;
+}
+
+export interface FinancialYearBalance {
+  id: string;
+  year: string;
+  accountId: string;
+  accountCode: string;
+  accountName: string;
+  accountType: string;
+  debit: number;
+  credit: number;
+}
+
+export interface FinancialYearEvent {
+  id: string;
+  year: string;
+  action: "Close" | "Reopen";
+  reason: string | null;
+  userId: string | null;
+  username: string | null;
+  createdAt: string;
+}
+
+export interface FinancialYearDetail extends FinancialYear {
+  income: number;
+  expenses: number;
+  surplus: number;
+  openingBalances: FinancialYearBalance[];
+  events: FinancialYearEvent[];
+}
@@ -0,0 +1,59 @@
+import { describe, it, expect } from 'vitest';
+import {
+  formatIndianAmount,
+  amountInWordsEnglish,
+  amountInWordsMarathi,
+} from '../amountInWords';
+
+describe('formatIndianAmount', () => {
+  it('groups digits in lakh and crore', () => {
+    expect(formatIndianAmount(0)).toBe('0.00');
+    expect(formatIndianAmount(999)).toBe('999.00');
+    expect(formatIndianAmount(1000)).toBe('1,000.00');
+    expect(formatIndianAmount(125000)).toBe('1,25,000.00');
+    expect(formatIndianAmount(12345678.5)).toBe('1,23,45,678.50');
+  });
+
+  it('rounds to the nearest paisa', () => {
+    expect(formatIndianAmount(10.005)).toBe('10.01');
+    expect(formatIndianAmount(10.994)).toBe('10.99');
+  });
+});
+
+describe('amountInWordsEnglish', () => {
+  it('spells out whole rupees in the Indian system', () => {
+    expect(amountInWordsEnglish(501)).toBe('Rupees Five Hundred One Only');
+    expect(amountInWordsEnglish(11000)).toBe('Rupees Eleven Thousand Only');
+    expect(amountInWordsEnglish(125000)).toBe('Rupees One Lakh Twenty Five Thousand Only');
+    expect(amountInWordsEnglish(10000000)).toBe('Rupees One Crore Only');
+    expect(amountInWordsEnglish(1234567890)).toBe(
+      'Rupees One Hundred Twenty Three Crore Forty Five Lakh Sixty Seven Thousand Eight Hundred Ninety Only'
+    );
+  });
+
+  it('includes paise and handles zero', () => {
+    expect(amountInWordsEnglish(250.5)).toBe('Rupees Two Hundred Fifty and Fifty Paise Only');
+    expect(amountInWordsEnglish(0)).toBe('Rupees Zero Only');
+  });
+});
+
+describe('amountInWordsMarathi', () => {
+  it('uses the irregular Marathi number words', () => {
+    expect(amountInWordsMarathi(21)).toBe('रुपये एकवीस फक्त');
+    expect(amountInWordsMarathi(99)).toBe('रुपये नव्व्याण्णव फक्त');
+    expect(amountInWordsMarathi(1156)).toBe('रुपये एक हजार एकशे छप्पन्न फक्त');
+  });
+
+  it('distinguishes a bare hundred from one followed by more digits', () => {
+    expect(amountInWordsMarathi(100)).toBe('रुपये शंभर फक्त');
+    expect(amountInWordsMarathi(101)).toBe('रुपये एकशे एक फक्त');
+    expect(amountInWordsMarathi(500)).toBe('रुपये पाचशे फक्त');
+  });
+
+  it('spells out lakh, crore and paise', () => {
+    expect(amountInWordsMarathi(125000)).toBe('रुपये एक लाख पंचवीस हजार फक्त');
+    expect(amountInWordsMarathi(20000000)).toBe('रुपये दोन कोटी फक्त');
+    expect(amountInWordsMarathi(51.25)).toBe('रुपये एक्कावन्न आणि पंचवीस पैसे फक्त');
+    expect(amountInWordsMarathi(0)).toBe('रुपये शून्य फक्त');
+  });
+});
@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import apiClient from '../api';
+
+global.fetch = vi.fn();
+
+describe('Attachment API', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    apiClient.setAuthToken('test-token');
+  });
+
+  it('sends the record fields ahead of the files as multipart form data', async () => {
+    (fetch as any).mockResolvedValueOnce({
+      ok: true,
+      status: 201,
+      text: () => Promise.resolve('{"success": true, "data": [{"id": "a1", "name": "lease.pdf"}]}'),
+    });
+
+    const file = new File(['%PDF'], 'lease.pdf', { type: 'application/pdf' });
+    const result = await apiClient.uploadAttachments('agreement', 'ag-1', [file]);
+
+    expect(result).toEqual([{ id: 'a1', name: 'lease.pdf' }]);
+    const [url, options] = (fetch as any).mock.calls[0];
+    expect(url).toMatch(/\/api\/attachments$/);
+    expect(options.method).toBe('POST');
+    expect(options.body).toBeInstanceOf(FormData);
+    expect([...options.body.keys()]).toEqual(['entityType', 'entityId', 'files']);
+    // The browser sets the multipart boundary itself
+    expect(options.headers.has('Content-Type')).toBe(false);
+  });
+
+  it('stages files without a record', async () => {
+    (fetch as any).mockResolvedValueOnce({
+      ok: true,
+      status: 201,
+      text: () => Promise.resolve('{"success": true, "data": [{"id": "a2", "entityType": null, "entityId": null}]}'),
+    });
+
+    await apiClient.stageAttachments([new File(['jpg'], 'bill.jpg', { type: 'image/jpeg' })]);
+
+    const [, options] = (fetch as any).mock.calls[0];
+    expect([...options.body.keys()]).toEqual(['files']);
+  });
+
+  it('lists the attachments of several records in one request', async () => {
+    (fetch as any).mockResolvedValueOnce({
+      ok: true,
+      status: 200,
+      text: () => Promise.resolve('{"success": true, "data": []}'),
+    });
+
+    await apiClient.listAttachmentsFor('transaction', ['t1', 't2']);
+
+    const [url] = (fetch as any).mock.calls[0];
+    expect(url).toMatch(/\/api\/attachments\?entityType=transaction&entityIds=t1,t2$/);
+  });
+
+  it('downloads the content as a blob with the session token', async () => {
+    const content = new Blob(['hello'], { type: 'text/plain' });
+    (fetch as any).mockResolvedValueOnce({ ok: true, status: 200, blob: () => Promise.resolve(content) });
+
+    const blob = await apiClient.downloadAttachment('a1');
+
+    expect(blob).toBe(content);
+    const [url, options] = (fetch as any).mock.calls[0];
+    expect(url).toMatch(/\/api\/attachments\/a1\/content$/);
+    expect(options.headers.Authorization).toBe('Bearer test-token');
+  });
+
+  it('reports the server error when a download is refused', async () => {
+    (fetch as any).mockResolvedValueOnce({
+      ok: false,
+      status: 403,
+      json: () => Promise.resolve({ success: false, error: 'Insufficient permissions' }),
+    });
+
+    await expect(apiClient.downloadAttachment('a1')).rejects.toMatchObject({
+      message: 'Insufficient permissions',
+      statusCode: 403,
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { expenseNeedsAttachment, fileFromUpload } from '../attachments';
+
+describe('fileFromUpload', () => {
+  it('turns a picked data URL back into a file', () => {
+    const file = fileFromUpload({
+      name: 'bill.txt',
+      type: 'text/plain',
+      base64: `data:text/plain;base64,${btoa('paid 500')}`,
+    });
+
+    expect(file.name).toBe('bill.txt');
+    expect(file.type).toBe('text/plain');
+    expect(file.size).toBe('paid 500'.length);
+  });
+
+  it('takes the type from the data URL, which compression may have changed', () => {
+    const file = fileFromUpload({
+      name: 'cheque.png',
+      type: 'image/png',
+      base64: `data:image/jpeg;base64,${btoa('jpg')}`,
+    });
+
+    expect(file.type).toBe('image/jpeg');
+  });
+});
+
+describe('expenseNeedsAttachment', () => {
+  const limits = { maxBytes: 1024, maxFiles: 5, expenseRequiredAbove: 5000 };
+
+  it('requires an attachment only above the limit', () => {
+    expect(expenseNeedsAttachment(5000, limits)).toBe(false);
+    expect(expenseNeedsAttachment(5000.5, limits)).toBe(true);
+  });
+
+  it('requires nothing when the limit is off or not loaded', () => {
+    expect(expenseNeedsAttachment(100000, { ...limits, expenseRequiredAbove: 0 })).toBe(false);
+    expect(expenseNeedsAttachment(100000, null)).toBe(false);
+  });
+});
@@ -0,0 +1,42 @@
+import { describe, it, expect } from 'vitest';
+import { activeOnly, categoryLabel, subCategoryLabel } from '../categories';
+import type { CategoryWithSubCategories } from '../../types';
+
+const categories = [
+  {
+    id: 'cat-utsav',
+    type: 'Expense',
+    parentId: null,
+    code: 'Utsav',
+    labelEn: 'Festivals',
+    labelMr: 'उत्सव',
+    active: true,
+    sortOrder: 1,
+    rules: {},
+    subCategories: [
+      { id: 'sub-dindi', type: 'Expense', parentId: 'cat-utsav', code: 'dindi', labelEn: 'Dindi', labelMr: 'दिंडी', active: true, sortOrder: 1, rules: {} },
+      { id: 'sub-yatra', type: 'Expense', parentId: 'cat-utsav', code: 'yatra', labelEn: 'Yatra', labelMr: '', active: false, sortOrder: 2, rules: {} },
+    ],
+  },
+] as CategoryWithSubCategories[];
+
+describe('category labels', () => {
+  it('shows the label in the chosen language, falling back to English', () => {
+    expect(categoryLabel(categories, 'mr', 'Expense', 'Utsav')).toBe('उत्सव');
+    expect(subCategoryLabel(categories, 'en', 'Expense', 'Utsav', 'dindi')).toBe('Dindi');
+    expect(subCategoryLabel(categories, 'mr', 'Expense', 'Utsav', 'yatra')).toBe('Yatra');
+  });
+
+  it('shows codes that are not in the list as they are', () => {
+    expect(categoryLabel(categories, 'en', 'Donation', 'Utsav')).toBe('Utsav');
+    expect(subCategoryLabel(categories, 'en', 'Expense', 'Utsav', 'holi')).toBe('holi');
+  });
+});
+
+describe('activeOnly', () => {
+  it('leaves out inactive entries unless the form already has one selected', () => {
+    const subs = categories[0].subCategories;
+    expect(activeOnly(subs).map((sub) => sub.code)).toEqual(['dindi']);
+    expect(activeOnly(subs, 'yatra').map((sub) => sub.code)).toEqual(['dindi', 'yatra']);
+  });
+});
@@ -0,0 +1,54 @@
+import { describe, it, expect } from 'vitest';
+import { FORM_10BD_HEADERS, financialYearOf, form10bdCsv, isValidPan } from '../taxExemption';
+
+describe('isValidPan', () => {
+  it('accepts an individual or trust PAN in either case', () => {
+    expect(isValidPan('ABCPE1234F')).toBe(true);
+    expect(isValidPan('aabtk1234q')).toBe(true);
+  });
+
+  it('rejects the wrong shape or an unknown holder type', () => {
+    expect(isValidPan('ABCP1234F')).toBe(false);
+    expect(isValidPan('ABCDE1234F')).toBe(false);
+    expect(isValidPan('1BCPE1234F')).toBe(false);
+  });
+});
+
+describe('financialYearOf', () => {
+  it('starts the year in April', () => {
+    expect(financialYearOf('2024-04-01')).toBe('2024-25');
+    expect(financialYearOf('2025-03-31')).toBe('2024-25');
+    expect(financialYearOf('1999-12-31')).toBe('1999-00');
+  });
+});
+
+describe('form10bdCsv', () => {
+  const row = {
+    idCode: '1',
+    pan: 'ABCPE1234F',
+    sectionCode: 'Section 80G',
+    urn: 'AABTK1234QF20214',
+    urnDate: '2021-05-28',
+    donorName: 'Ramesh Patil',
+    address: 'Near Temple,\nKusalamb',
+    donationType: 'Others',
+    mode: 'Electronic modes including account payee cheque/draft',
+    amount: 5001,
+  };
+
+  it('writes the government columns in order with a serial number', () => {
+    const [header, first, second] = form10bdCsv([row, { ...row, mode: 'Cash', amount: 1500.5 }]).split('\n');
+    expect(header).toBe(FORM_10BD_HEADERS.join(','));
+    expect(header.split(',')).toHaveLength(12);
+    expect(first).toBe(
+      '1,,1,ABCPE1234F,Section 80G,AABTK1234QF20214,2021-05-28,Ramesh Patil,"Near Temple, Kusalamb",Others,' +
+        'Electronic modes including account payee cheque/draft,5001.00'
+    );
+    expect(second.endsWith(',Cash,1500.50')).toBe(true);
+  });
+
+  it('quotes values with quotes', () => {
+    const csv = form10bdCsv([{ ...row, donorName: 'Patil "Anna" R', address: '' }]);
+    expect(csv.split('\n')[1]).toContain(',"Patil ""Anna"" R",,Others,');
+  });
+});
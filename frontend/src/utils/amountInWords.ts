@@ -0,0 +1,98 @@
+// Amounts as printed on receipts: figures grouped the Indian way (12,34,567.00)
+// and words in lakh/crore for both English and Marathi.
+
+const ENGLISH_ONES = [
+  "", "One", "Two", "Three", "Four", "Five", "Six", "Seven", "Eight", "Nine",
+  "Ten", "Eleven", "Twelve", "Thirteen", "Fourteen", "Fifteen", "Sixteen",
+  "Seventeen", "Eighteen", "Nineteen",
+];
+
+const ENGLISH_TENS = [
+  "", "", "Twenty", "Thirty", "Forty", "Fifty", "Sixty", "Seventy", "Eighty", "Ninety",
+];
+
+// Marathi has an irregular word for every number below one hundred
+const MARATHI_UNDER_HUNDRED = [
+  "", "एक", "दोन", "तीन", "चार", "पाच", "सहा", "सात", "आठ", "नऊ",
+  "दहा", "अकरा", "बारा", "तेरा", "चौदा", "पंधरा", "सोळा", "सतरा", "अठरा", "एकोणीस",
+  "वीस", "एकवीस", "बावीस", "तेवीस", "चोवीस", "पंचवीस", "सव्वीस", "सत्तावीस", "अठ्ठावीस", "एकोणतीस",
+  "तीस", "एकतीस", "बत्तीस", "तेहेतीस", "चौतीस", "पस्तीस", "छत्तीस", "सदतीस", "अडतीस", "एकोणचाळीस",
+  "चाळीस", "एक्केचाळीस", "बेचाळीस", "त्रेचाळीस", "चव्वेचाळीस", "पंचेचाळीस", "सेहेचाळीस", "सत्तेचाळीस", "अठ्ठेचाळीस", "एकोणपन्नास",
+  "पन्नास", "एक्कावन्न", "बावन्न", "त्रेपन्न", "चोपन्न", "पंचावन्न", "छप्पन्न", "सत्तावन्न", "अठ्ठावन्न", "एकोणसाठ",
+  "साठ", "एकसष्ठ", "बासष्ठ", "त्रेसष्ठ", "चौसष्ठ", "पासष्ठ", "सहासष्ठ", "सदुसष्ठ", "अडुसष्ठ", "एकोणसत्तर",
+  "सत्तर", "एकाहत्तर", "बाहत्तर", "त्र्याहत्तर", "चौऱ्याहत्तर", "पंचाहत्तर", "शहात्तर", "सत्याहत्तर", "अठ्ठ्याहत्तर", "एकोणऐंशी",
+  "ऐंशी", "एक्क्याऐंशी", "ब्याऐंशी", "त्र्याऐंशी", "चौऱ्याऐंशी", "पंच्याऐंशी", "शहाऐंशी", "सत्त्याऐंशी", "अठ्ठ्याऐंशी", "एकोणनव्वद",
+  "नव्वद", "एक्क्याण्णव", "ब्याण्णव", "त्र्याण्णव", "चौऱ्याण्णव", "पंच्याण्णव", "शहाण्णव", "सत्त्याण्णव", "अठ्ठ्याण्णव", "नव्व्याण्णव",
+];
+
+// Splits a whole number into crore, lakh, thousand, hundred and the last two digits
+const indianGroups = (n: number) => ({
+  crore: Math.floor(n / 10000000),
+  lakh: Math.floor((n % 10000000) / 100000),
+  thousand: Math.floor((n % 100000) / 1000),
+  hundred: Math.floor((n % 1000) / 100),
+  rest: n % 100,
+});
+
+// Whole rupees and paise, rounded to the nearest paisa
+const splitAmount = (amount: number) => {
+  const totalPaise = Math.round(Math.abs(amount) * 100);
+  return { rupees: Math.floor(totalPaise / 100), paise: totalPaise % 100 };
+};
+
+const englishUnderHundred = (n: number) =>
+  n < 20
+    ? ENGLISH_ONES[n]
+    : [ENGLISH_TENS[Math.floor(n / 10)], ENGLISH_ONES[n % 10]].filter(Boolean).join(" ");
+
+const englishWords = (n: number): string => {
+  const { crore, lakh, thousand, hundred, rest } = indianGroups(n);
+  const parts: string[] = [];
+  if (crore) parts.push(`${englishWords(crore)} Crore`);
+  if (lakh) parts.push(`${englishUnderHundred(lakh)} Lakh`);
+  if (thousand) parts.push(`${englishUnderHundred(thousand)} Thousand`);
+  if (hundred) parts.push(`${ENGLISH_ONES[hundred]} Hundred`);
+  if (rest) parts.push(englishUnderHundred(rest));
+  return parts.join(" ");
+};
+
+const marathiWords = (n: number): string => {
+  const { crore, lakh, thousand, hundred, rest } = indianGroups(n);
+  const parts: string[] = [];
+  if (crore) parts.push(`${marathiWords(crore)} कोटी`);
+  if (lakh) parts.push(`${MARATHI_UNDER_HUNDRED[lakh]} लाख`);
+  if (thousand) parts.push(`${MARATHI_UNDER_HUNDRED[thousand]} हजार`);
+  if (hundred) {
+    // A bare hundred is "शंभर"; followed by more digits it becomes "एकशे"
+    if (hundred === 1) parts.push(rest ? "एकशे" : "शंभर");
+    else parts.push(`${MARATHI_UNDER_HUNDRED[hundred]}शे`);
+  }
+  if (rest) parts.push(MARATHI_UNDER_HUNDRED[rest]);
+  return parts.join(" ");
+};
+
+/** Formats an amount with Indian digit grouping and two decimals, e.g. 1234567 -> "12,34,567.00" */
+export function formatIndianAmount(amount: number): string {
+  const { rupees, paise } = splitAmount(amount);
+  const digits = String(rupees);
+  const lastThree = digits.slice(-3);
+  const leading = digits.slice(0, -3).replace(/\B(?=(\d{2})+(?!\d))/g, ",");
+  const grouped = leading ? `${leading},${lastThree}` : lastThree;
+  return `${amount < 0 ? "-" : ""}${grouped}.${String(paise).padStart(2, "0")}`;
+}
+
+/** "Rupees One Lakh Twenty Five Thousand and Fifty Paise Only" */
+export function amountInWordsEnglish(amount: number): string {
+  const { rupees, paise } = splitAmount(amount);
+  const rupeeWords = rupees ? englishWords(rupees) : "Zero";
+  const paiseWords = paise ? ` and ${englishUnderHundred(paise)} Paise` : "";
+  return `Rupees ${rupeeWords}${paiseWords} Only`;
+}
+
+/** "रुपये एक लाख पंचवीस हजार आणि पन्नास पैसे फक्त" */
+export function amountInWordsMarathi(amount: number): string {
+  const { rupees, paise } = splitAmount(amount);
+  const rupeeWords = rupees ? marathiWords(rupees) : "शून्य";
+  const paiseWords = paise ? ` आणि ${MARATHI_UNDER_HUNDRED[paise]} पैसे` : "";
+  return `रुपये ${rupeeWords}${paiseWords} फक्त`;
+}
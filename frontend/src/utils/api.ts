@@ -16,6 +16,44 @@
  * 4. 401 responses automatically clear tokens and trigger logout handler
  */
 
+import type {
+  ActiveSession,
+  AnnualTaxStatement,
+  Attachment,
+  AttachmentEntityType,
+  AttachmentLimits,
+  AuditEntry,
+  AuditVerification,
+  BankStatementLine,
+  BudgetReport,
+  BudgetWarning,
+  Category,
+  CategoryRules,
+  CategoryType,
+  CategoryWithSubCategories,
+  ChangeRequest,
+  DonorDuplicateGroup,
+  DonorListItem,
+  DonorProfile,
+  FinancialYear,
+  FinancialYearDetail,
+  Form10bd,
+  Loan,
+  LoanInstallment,
+  LoginHistoryEntry,
+  PermissionGroup,
+  ReconciliationMonth,
+  ReconciliationMonthSummary,
+  Role,
+  TaxCertificate,
+  TenantLedger,
+  Transaction,
+  TrashItem,
+  TwoFactorEnrollment,
+  TwoFactorStatus,
+  User,
+} from "../types";
+
 // Add this type declaration at the top of your file (or in a global .d.ts file)
 interface ImportMetaEnv {
   VITE_BACKEND_URL?: string;
@@ -817,14 +855,8 @@ class ApiClient {
   }
 
   // ----- Auth -----
-  async login(email: string, password: string) {
-    console.log("🔐 Auth login", { emailMasked: email.slice(0, 3) + "***" });
-    
-    const response = await this.post("/api/auth/login", { email, password });
-    
-    // Temporarily log the raw login response for diagnostics
-    console.log("🔬 Raw login response:", JSON.stringify(response, null, 2));
-    
+  // Store the tokens from a completed sign-in and cache the session
+  private startSession(response: any) {
     // Extract token from response using robust token picker
     const accessToken = pickAccessToken(response);
     
@@ -850,9 +882,61 @@ class ApiClient {
       });
       throw new Error("Login succeeded but no access token found in response");
     }
+  }
+
+  async login(email: string, password: string) {
+    console.log("🔐 Auth login", { emailMasked: email.slice(0, 3) + "***" });
+    
+    const response = await this.post("/api/auth/login", { email, password });
+    
+    // Temporarily log the raw login response for diagnostics
+    console.log("🔬 Raw login response:", JSON.stringify(response, null, 2));
     
+    // Accounts with two-factor authentication get a challenge instead of tokens
+    if (response?.twoFactor) {
+      console.log("🔐 Two-factor step required", { twoFactor: response.twoFactor });
+      return response;
+    }
+
+    this.startSession(response);
+    return response;
+  }
+  // Second sign-in step: answer the login challenge with a TOTP or recovery code
+  async verifyLoginTwoFactor(
+    challengeToken: string,
+    answer: { code?: string; recoveryCode?: string }
+  ) {
+    const response = await this.post<{ user: User; recoveryCodes?: string[] }>("/api/auth/login/2fa", {
+      challengeToken,
+      ...answer,
+    });
+    this.startSession(response);
     return response;
   }
+  startLoginTwoFactorSetup(challengeToken: string) {
+    return this.post<TwoFactorEnrollment>("/api/auth/login/2fa/setup", { challengeToken });
+  }
+  getTwoFactorStatus() {
+    return this.get<TwoFactorStatus>("/api/auth/2fa");
+  }
+  setupTwoFactor() {
+    return this.post<TwoFactorEnrollment>("/api/auth/2fa/setup");
+  }
+  enableTwoFactor(code: string) {
+    return this.post<{ recoveryCodes: string[] }>("/api/auth/2fa/enable", { code });
+  }
+  disableTwoFactor(password: string) {
+    return this.post("/api/auth/2fa/disable", { password });
+  }
+  regenerateRecoveryCodes(password: string) {
+    return this.post<{ recoveryCodes: string[] }>("/api/auth/2fa/recovery-codes", { password });
+  }
+  getSessions() {
+    return this.get<{ sessions: ActiveSession[] }>("/api/auth/sessions");
+  }
+  revokeSession(sessionId: string) {
+    return this.delete(`/api/auth/sessions/${sessionId}`);
+  }
   register(userData: any) {
     console.log("🔐 Auth register", { 
       emailMasked: userData.email ? userData.email.slice(0, 3) + "***" : "N/A"
@@ -894,6 +978,18 @@ class ApiClient {
   getProfile() {
     return this.get("/api/auth/profile");
   }
+  forgotPassword(email: string) {
+    return this.post("/api/auth/forgot-password", { email });
+  }
+  resetPassword(token: string, newPassword: string) {
+    return this.post("/api/auth/reset-password", { token, newPassword });
+  }
+  verifyEmail(token: string) {
+    return this.post("/api/auth/verify-email", { token });
+  }
+  resendVerification() {
+    return this.post("/api/auth/resend-verification");
+  }
   logout() {
     console.log("🚪 Logging out and clearing session");
     return this.post("/api/auth/logout").finally(() => {
@@ -946,6 +1042,170 @@ class ApiClient {
   deleteUser(id: string) {
     return this.delete(`/api/users/${id}`);
   }
+  unlockUser(id: string) {
+    return this.post<{ user: User }>(`/api/users/${id}/unlock`);
+  }
+  getUserLoginHistory(id: string, limit = 50) {
+    return this.get<{ history: LoginHistoryEntry[] }>(`/api/users/${id}/login-history?limit=${limit}`);
+  }
+  resetUserTwoFactor(id: string) {
+    return this.delete<{ user: User }>(`/api/users/${id}/two-factor`);
+  }
+  getUserSessions(id: string) {
+    return this.get<{ sessions: ActiveSession[] }>(`/api/users/${id}/sessions`);
+  }
+  revokeUserSession(id: string, sessionId: string) {
+    return this.delete(`/api/users/${id}/sessions/${sessionId}`);
+  }
+  revokeUserSessions(id: string) {
+    return this.delete(`/api/users/${id}/sessions`);
+  }
+
+  getRoles() {
+    return this.get<Role[]>("/api/roles");
+  }
+  getPermissionCatalogue() {
+    return this.get<PermissionGroup[]>("/api/roles/permissions");
+  }
+  createRole(d: { name: string; description?: string; permissions: string[] }) {
+    return this.post<Role>("/api/roles", d);
+  }
+  updateRole(id: string, d: { description?: string | null; permissions?: string[] }) {
+    return this.put<Role>(`/api/roles/${id}`, d);
+  }
+  deleteRole(id: string) {
+    return this.delete(`/api/roles/${id}`);
+  }
+
+  // ----- Categories -----
+  getCategories(type?: CategoryType) {
+    return this.get<CategoryWithSubCategories[]>(`/api/categories${type ? `?type=${type}` : ""}`);
+  }
+  // Pass `type` for a category, or `parentId` for a sub-category
+  createCategory(d: {
+    type?: CategoryType;
+    parentId?: string;
+    code: string;
+    labelEn: string;
+    labelMr: string;
+    active?: boolean;
+    rules?: CategoryRules;
+  }) {
+    return this.post<Category>("/api/categories", d);
+  }
+  updateCategory(
+    id: string,
+    d: { labelEn?: string; labelMr?: string; active?: boolean; sortOrder?: number; rules?: CategoryRules }
+  ) {
+    return this.put<Category>(`/api/categories/${id}`, d);
+  }
+  // Sibling ids in their new order
+  reorderCategories(ids: string[]) {
+    return this.put<CategoryWithSubCategories[]>("/api/categories/order", { ids });
+  }
+  deleteCategory(id: string) {
+    return this.delete(`/api/categories/${id}`);
+  }
+
+  // ----- Budgets -----
+  getBudgetReport(year: string) {
+    return this.get<BudgetReport>(`/api/budgets?year=${encodeURIComponent(year)}`);
+  }
+  // Leave out `subCategory` for the budget of the whole category
+  setBudget(d: { year: string; category: string; subCategory?: string | null; amount: number; notes?: string | null }) {
+    return this.put("/api/budgets", d);
+  }
+  deleteBudget(id: string) {
+    return this.delete(`/api/budgets/${id}`);
+  }
+  // The budgets an expense would exceed; for an edit pass its id as `excludeId`
+  checkExpenseBudget(d: { date: string; category: string; subCategory?: string | null; amount: number; excludeId?: string }) {
+    return this.post<BudgetWarning[]>("/api/budgets/check", d);
+  }
+
+  getApprovals(status?: string) {
+    return this.get<ChangeRequest[]>(`/api/approvals${status ? `?status=${status}` : ""}`);
+  }
+  approveChange(id: string, note?: string) {
+    return this.post(`/api/approvals/${id}/approve`, { note });
+  }
+  rejectChange(id: string, note?: string) {
+    return this.post(`/api/approvals/${id}/reject`, { note });
+  }
+  cancelChange(id: string) {
+    return this.post(`/api/approvals/${id}/cancel`);
+  }
+
+  getAuditLog(
+    filters: {
+      actorId?: string;
+      entityType?: string;
+      entityId?: string;
+      from?: string;
+      to?: string;
+      page?: number;
+      limit?: number;
+    } = {}
+  ) {
+    const params = new URLSearchParams(
+      Object.entries(filters)
+        .filter(([, v]) => !!v)
+        .map(([k, v]) => [k, String(v)])
+    ).toString();
+    return this.get<{
+      entries: AuditEntry[];
+      pagination: { page: number; limit: number; total: number; pages: number };
+    }>(`/api/audit${params ? `?${params}` : ""}`);
+  }
+  verifyAuditLog() {
+    return this.get<AuditVerification>("/api/audit/verify");
+  }
+
+  getTrash(entityType?: string) {
+    return this.get<TrashItem[]>(`/api/trash${entityType ? `?entityType=${entityType}` : ""}`);
+  }
+  restoreFromTrash(entityType: string, id: string) {
+    return this.post(`/api/trash/${entityType}/${id}/restore`);
+  }
+  purgeFromTrash(entityType: string, id: string) {
+    return this.delete(`/api/trash/${entityType}/${id}`);
+  }
+
+  getDonors(q?: string, limit?: number) {
+    const params = new URLSearchParams();
+    if (q) params.set("q", q);
+    if (limit) params.set("limit", String(limit));
+    const query = params.toString();
+    return this.get<DonorListItem[]>(`/api/donors${query ? `?${query}` : ""}`);
+  }
+  getDonorDuplicates() {
+    return this.get<DonorDuplicateGroup[]>("/api/donors/duplicates");
+  }
+  getDonorProfile(id: string) {
+    return this.get<DonorProfile>(`/api/donors/${id}`);
+  }
+  createDonor(donor: { name: string; phone?: string; address?: string; gotra?: string; pan?: string }) {
+    return this.post("/api/donors", donor);
+  }
+  updateDonor(id: string, changes: { name?: string; phone?: string; address?: string; gotra?: string; pan?: string }) {
+    return this.put(`/api/donors/${id}`, changes);
+  }
+  mergeDonors(targetId: string, sourceIds: string[]) {
+    return this.post(`/api/donors/${targetId}/merge`, { sourceIds });
+  }
+  linkDonationsToDonors() {
+    return this.post<{ linked: number; created: number }>("/api/donors/link-donations");
+  }
+
+  get80gCertificate(donationId: string) {
+    return this.get<TaxCertificate>(`/api/80g/donations/${donationId}/certificate`);
+  }
+  get80gStatement(donorId: string, year: string) {
+    return this.get<AnnualTaxStatement>(`/api/80g/donors/${donorId}/statement?year=${encodeURIComponent(year)}`);
+  }
+  getForm10bd(year: string) {
+    return this.get<Form10bd>(`/api/80g/form-10bd?year=${encodeURIComponent(year)}`);
+  }
 
   getShops() {
     return this.get("/api/shops");
@@ -1013,6 +1273,15 @@ class ApiClient {
   deleteLoan(id: string) {
     return this.delete(`/api/loans/${id}`);
   }
+  getLoanSchedule(id: string) {
+    return this.get<LoanInstallment[]>(`/api/loans/${id}/schedule`);
+  }
+  repayLoan(
+    id: string,
+    repayment: { amount: number; date?: string; receiptNumber?: string; description?: string }
+  ) {
+    return this.post<{ loan: Loan }>(`/api/loans/${id}/repayments`, repayment);
+  }
   getLoansByAgreement(agreementId: string) {
     return this.get(`/api/loans/agreement/${agreementId}`);
   }
@@ -1032,6 +1301,15 @@ class ApiClient {
   deleteRentPenalty(id: string) {
     return this.delete(`/api/rent-penalties/${id}`);
   }
+  runLatePenalties(options: {
+    dryRun?: boolean;
+    asOf?: string;
+    mode?: "flat" | "percentage" | "per_day";
+    rate?: number;
+    graceDays?: number;
+  } = {}) {
+    return this.post("/api/rent-penalties/run", { dryRun: true, ...options });
+  }
 
   getTransactions() {
     return this.get("/api/transactions");
@@ -1052,14 +1330,61 @@ class ApiClient {
     return this.get(`/api/transactions/type/${type}`);
   }
 
-  getUploadUrl(fileName: string, fileType: string) {
-    return this.post("/api/files/upload-url", { fileName, fileType });
-  }
-  getMyFiles() {
-    return this.get("/api/files/my-files");
-  }
-  deleteFile(id: string) {
-    return this.delete(`/api/uploaded-files/${id}`);
+  // ----- Attachments -----
+  listAttachments(entityType: AttachmentEntityType, entityId: string) {
+    return this.get<Attachment[]>(
+      `/api/attachments?entityType=${entityType}&entityId=${encodeURIComponent(entityId)}`
+    );
+  }
+  // Several records' attachments in one request, e.g. a page of transactions
+  listAttachmentsFor(entityType: AttachmentEntityType, entityIds: string[]) {
+    return this.get<Attachment[]>(
+      `/api/attachments?entityType=${entityType}&entityIds=${entityIds.map(encodeURIComponent).join(",")}`
+    );
+  }
+  getAttachmentLimits() {
+    return this.get<AttachmentLimits>("/api/attachments/limits");
+  }
+  // The fields go before the files: the server stores each file as it streams in
+  uploadAttachments(entityType: AttachmentEntityType, entityId: string, files: File[]) {
+    const form = new FormData();
+    form.append("entityType", entityType);
+    form.append("entityId", entityId);
+    files.forEach((file) => form.append("files", file, file.name));
+    return this.post<Attachment[]>("/api/attachments", form);
+  }
+  // Files for a record not saved yet; pass their ids (e.g. attachmentIds on an expense) when saving it
+  stageAttachments(files: File[]) {
+    const form = new FormData();
+    files.forEach((file) => form.append("files", file, file.name));
+    return this.post<Attachment[]>("/api/attachments", form);
+  }
+  deleteAttachment(id: string) {
+    return this.delete(`/api/attachments/${id}`);
+  }
+  // The file itself, for URL.createObjectURL or a save dialog
+  async downloadAttachment(id: string, retried = false): Promise<Blob> {
+    const token = this.getSessionToken();
+    const response = await fetch(`${this.baseURL}/api/attachments/${id}/content`, {
+      headers: token ? { Authorization: `Bearer ${token}` } : {},
+      credentials: "include",
+    });
+    if (response.status === 401 && token && !retried) {
+      await this.refreshAuthSession();
+      return this.downloadAttachment(id, true);
+    }
+    if (!response.ok) {
+      let message = `HTTP ${response.status}`;
+      try {
+        message = (await response.json()).error || message;
+      } catch {
+        // not JSON
+      }
+      const err = new Error(message) as ApiError;
+      err.statusCode = response.status;
+      throw err;
+    }
+    return response.blob();
   }
 
   getDonations() {
@@ -1117,6 +1442,118 @@ class ApiClient {
   createRentPayment(d: any) {
     return this.post("/api/rent/payments", d);
   }
+  getRentInvoices(filters: { agreementId?: string; status?: string; period?: string } = {}) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, v]) => !!v) as [string, string][]
+    ).toString();
+    return this.get(`/api/rent/invoices${params ? `?${params}` : ""}`);
+  }
+  getRentInvoiceSummary() {
+    return this.get("/api/rent/invoices/summary");
+  }
+  generateRentInvoices(asOf?: string) {
+    return this.post("/api/rent/invoices/generate", asOf ? { asOf } : {});
+  }
+  getTenantLedger(tenantId: string, range: { from?: string; to?: string } = {}) {
+    const params = new URLSearchParams(
+      Object.entries(range).filter(([, v]) => !!v) as [string, string][]
+    ).toString();
+    return this.get<TenantLedger>(`/api/rent/tenants/${tenantId}/ledger${params ? `?${params}` : ""}`);
+  }
+
+  // Cheque clearance
+  getCheques(status: "Pending" | "Cleared" | "Bounced" | "all" = "Pending") {
+    return this.get<Transaction[]>(`/api/cheques?status=${encodeURIComponent(status)}`);
+  }
+  clearCheque(id: string, date?: string) {
+    return this.post(`/api/cheques/${id}/clear`, date ? { date } : {});
+  }
+  bounceCheque(
+    id: string,
+    bounce: { date?: string; reason?: string; bounceCharge?: number } = {}
+  ) {
+    return this.post<{ reopenedInvoiceIds?: string[] }>(`/api/cheques/${id}/bounce`, bounce);
+  }
+
+  // Bank statement reconciliation
+  importBankStatement(statement: { fileName: string; content: string; format?: "CSV" | "OFX" }) {
+    return this.post("/api/bank-reconciliation/statements", statement);
+  }
+  getBankStatements() {
+    return this.get("/api/bank-reconciliation/statements");
+  }
+  deleteBankStatement(id: string) {
+    return this.delete(`/api/bank-reconciliation/statements/${id}`);
+  }
+  getBankStatementLines(
+    filters: { from?: string; to?: string; status?: string; statementId?: string } = {}
+  ) {
+    const params = new URLSearchParams(
+      Object.entries(filters).filter(([, v]) => !!v) as [string, string][]
+    ).toString();
+    return this.get<BankStatementLine[]>(`/api/bank-reconciliation/lines${params ? `?${params}` : ""}`);
+  }
+  getBankLineCandidates(lineId: string) {
+    return this.get<Transaction[]>(`/api/bank-reconciliation/lines/${lineId}/candidates`);
+  }
+  matchBankLine(lineId: string, transactionId: string) {
+    return this.post(`/api/bank-reconciliation/lines/${lineId}/match`, { transactionId });
+  }
+  unmatchBankLine(lineId: string) {
+    return this.delete(`/api/bank-reconciliation/lines/${lineId}/match`);
+  }
+  ignoreBankLine(lineId: string, ignored = true) {
+    return this.post(`/api/bank-reconciliation/lines/${lineId}/ignore`, { ignored });
+  }
+  createTransactionFromBankLine(
+    lineId: string,
+    details: {
+      type: "Donation" | "Expense";
+      category: string;
+      description?: string;
+      donorName?: string;
+      payeeName?: string;
+    }
+  ) {
+    return this.post(`/api/bank-reconciliation/lines/${lineId}/transaction`, details);
+  }
+  autoMatchBankLines() {
+    return this.post("/api/bank-reconciliation/auto-match", {});
+  }
+  getReconciliationMonths() {
+    return this.get<ReconciliationMonth[]>("/api/bank-reconciliation/months");
+  }
+  getReconciliationMonth(period: string) {
+    return this.get<ReconciliationMonthSummary>(`/api/bank-reconciliation/months/${period}`);
+  }
+  reconcileMonth(period: string, details: { statementBalance?: number; notes?: string } = {}) {
+    return this.post(`/api/bank-reconciliation/months/${period}/reconcile`, details);
+  }
+  reopenReconciliationMonth(period: string) {
+    return this.post(`/api/bank-reconciliation/months/${period}/reopen`, {});
+  }
+
+  // Financial years
+  getFinancialYears() {
+    return this.get<FinancialYear[]>('/api/financial-years');
+  }
+
+  getFinancialYear(year: string) {
+    return this.get<FinancialYearDetail>(`/api/financial-years/${year}`);
+  }
+
+  closeFinancialYear(year: string, notes?: string) {
+    return this.post<FinancialYearDetail>(`/api/financial-years/${year}/close`, { notes });
+  }
+
+  reopenFinancialYear(year: string, reason: string) {
+    return this.post<FinancialYearDetail>(`/api/financial-years/${year}/reopen`, { reason });
+  }
+
+  // Donation receipts
+  recordDonationReceiptPrint(id: string) {
+    return this.post(`/api/donations/${id}/receipt-prints`);
+  }
 }
 
 import MockApiClient from './mockApiClient';
@@ -0,0 +1,10 @@
+/**
+ * Edits and deletions of financial entries may be held for a second user's
+ * approval. The API then answers 202 with `{ pendingApproval: true,
+ * changeRequest }` instead of the saved entry, so callers must not treat the
+ * response as the updated record.
+ */
+
+export function isPendingApproval(response: any): boolean {
+  return response?.pendingApproval === true;
+}
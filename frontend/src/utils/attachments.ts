@@ -0,0 +1,38 @@
+/**
+ * Files picked in a form before its record exists are staged: uploaded on
+ * their own when the form is saved, and their ids sent with it as
+ * `attachmentIds` so the server attaches them (see apiClient.stageAttachments).
+ */
+
+import apiClient from "./api";
+import type { AttachmentLimits } from "../types";
+
+// What FileUpload hands back for each picked file
+interface PickedFile {
+  name: string;
+  type: string;
+  base64: string;
+}
+
+// FileUpload keeps files as data URLs (images already compressed); the
+// upload needs them as files again
+export function fileFromUpload({ name, type, base64 }: PickedFile): File {
+  const [header, data = ""] = base64.split(",");
+  const binary = header.includes(";base64") ? atob(data) : decodeURIComponent(data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+  const contentType = header.match(/^data:([^;,]+)/)?.[1] || type;
+  return new File([bytes], name, { type: contentType });
+}
+
+/** Stage the picked files and return their ids, or undefined when there are none. */
+export async function stagePickedFiles(files: PickedFile[]): Promise<string[] | undefined> {
+  if (files.length === 0) return undefined;
+  const staged = await apiClient.stageAttachments(files.map(fileFromUpload));
+  return staged.map((attachment) => attachment.id);
+}
+
+/** Whether an expense of this amount must have an attachment. */
+export function expenseNeedsAttachment(amount: number, limits: AttachmentLimits | null): boolean {
+  return !!limits && limits.expenseRequiredAbove > 0 && amount > limits.expenseRequiredAbove;
+}
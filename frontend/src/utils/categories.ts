@@ -0,0 +1,106 @@
+/**
+ * Donation and expense categories come from the server, where an Admin
+ * manages them (see CategoryManagement). Transactions store a category's
+ * code, so screens look the code up here to show its label in the current
+ * language.
+ *
+ * The list is loaded once and shared by every screen; invalidateCategories()
+ * after a change makes the screens showing it load it again.
+ */
+
+import { useEffect, useMemo, useState } from "react";
+import apiClient from "./api";
+import type { Category, CategoryType, CategoryWithSubCategories } from "../types";
+
+let loading: Promise<CategoryWithSubCategories[]> | null = null;
+const subscribers = new Set<() => void>();
+
+export function loadCategories(): Promise<CategoryWithSubCategories[]> {
+  if (!loading) {
+    loading = Promise.resolve()
+      .then(() => apiClient.getCategories())
+      .then((list) => (Array.isArray(list) ? list : []))
+      .catch((err) => {
+        // Try again next time rather than keep the failure
+        loading = null;
+        throw err;
+      });
+  }
+  return loading;
+}
+
+export function invalidateCategories() {
+  loading = null;
+  subscribers.forEach((notify) => notify());
+}
+
+/**
+ * Categories (of `type`, or of both) in order, each with its sub-categories.
+ * Inactive ones are included so old entries keep their labels; forms offer
+ * only the active ones (see activeOnly).
+ */
+export function useCategories(type?: CategoryType): CategoryWithSubCategories[] {
+  const [all, setAll] = useState<CategoryWithSubCategories[]>([]);
+  const [version, setVersion] = useState(0);
+
+  useEffect(() => {
+    const notify = () => setVersion((v) => v + 1);
+    subscribers.add(notify);
+    return () => {
+      subscribers.delete(notify);
+    };
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    loadCategories()
+      .then((list) => !cancelled && setAll(list))
+      .catch((err: any) => console.warn("[Categories] Could not load categories:", err.message));
+    return () => {
+      cancelled = true;
+    };
+  }, [version]);
+
+  return useMemo(() => (type ? all.filter((category) => category.type === type) : all), [all, type]);
+}
+
+/** The entries a form can offer: active ones, keeping `current` so an edit does not lose it. */
+export function activeOnly<T extends Category>(entries: T[], current?: string): T[] {
+  return entries.filter((entry) => entry.active || entry.code === current);
+}
+
+export function findCategory(
+  categories: CategoryWithSubCategories[],
+  type: string,
+  code: string | null | undefined
+): CategoryWithSubCategories | undefined {
+  return categories.find((category) => category.type === type && category.code === code);
+}
+
+/** The label of a category or sub-category in the given language */
+export function labelOf(entry: Category, language: string): string {
+  return (language === "mr" && entry.labelMr) || entry.labelEn;
+}
+
+/** The label of a stored category code, or the code itself if it is not in the list */
+export function categoryLabel(
+  categories: CategoryWithSubCategories[],
+  language: string,
+  type: string,
+  code: string | null | undefined
+): string {
+  const category = findCategory(categories, type, code);
+  return category ? labelOf(category, language) : code || "";
+}
+
+/** The label of a stored sub-category code, or the code itself if it is not in the list */
+export function subCategoryLabel(
+  categories: CategoryWithSubCategories[],
+  language: string,
+  type: string,
+  code: string | null | undefined,
+  subCode: string | null | undefined
+): string {
+  const sub = findCategory(categories, type, code)?.subCategories.find((entry) => entry.code === subCode);
+  return sub ? labelOf(sub, language) : subCode || "";
+}
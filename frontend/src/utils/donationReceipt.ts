@@ -0,0 +1,248 @@
+import jsPDF from "jspdf";
+import {
+  formatIndianAmount,
+  amountInWordsEnglish,
+  amountInWordsMarathi,
+} from "./amountInWords";
+
+// jsPDF's built-in fonts have no Devanagari glyphs, so the receipt is laid out on
+// a canvas (which uses the browser's fonts) and placed on an A5 page as an image.
+
+export interface ReceiptLetterhead {
+  templeName: string;
+  templeNameMr: string;
+  address?: string;
+  registrationNumber?: string;
+  signatory: string;
+  signatoryMr: string;
+}
+
+export interface DonationReceipt {
+  receiptNumber: string;
+  date: string;
+  donorName: string;
+  donorContact?: string;
+  amount: number;
+  categoryLabel: string;
+  subCategoryLabel?: string;
+  paymentModeLabel?: string;
+  paymentReference?: string;
+  description?: string;
+  copy: "Original" | "Duplicate";
+}
+
+const PAGE_WIDTH_MM = 148;
+const PAGE_HEIGHT_MM = 210;
+const PX_PER_MM = 8;
+const WIDTH = PAGE_WIDTH_MM * PX_PER_MM;
+const HEIGHT = PAGE_HEIGHT_MM * PX_PER_MM;
+const MARGIN = 64;
+const FONT_FAMILY = "'Noto Sans Devanagari', 'Mangal', 'Nirmala UI', sans-serif";
+
+export const font = (size: number, bold = false) =>
+  `${bold ? "bold " : ""}${size}px ${FONT_FAMILY}`;
+
+// Breaks text into lines that fit within maxWidth
+export const wrapText = (ctx: CanvasRenderingContext2D, text: string, maxWidth: number) => {
+  const lines: string[] = [];
+  let line = "";
+  for (const word of text.split(" ")) {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && ctx.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  }
+  if (line) lines.push(line);
+  return lines;
+};
+
+/** Draws the temple letterhead centred across a page `width` wide; returns the y of the rule beneath it */
+export const drawLetterhead = (
+  ctx: CanvasRenderingContext2D,
+  letterhead: ReceiptLetterhead,
+  t: (key: string) => string,
+  width: number,
+  margin: number
+) => {
+  const contentWidth = width - margin * 2;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "alphabetic";
+  ctx.fillStyle = "#9a3412";
+  let y = 120;
+  ctx.font = font(46, true);
+  ctx.fillText(letterhead.templeNameMr, width / 2, y, contentWidth);
+  y += 50;
+  ctx.font = font(32, true);
+  ctx.fillText(letterhead.templeName, width / 2, y, contentWidth);
+  ctx.fillStyle = "#374151";
+  ctx.font = font(24);
+  if (letterhead.address) {
+    y += 38;
+    ctx.fillText(letterhead.address, width / 2, y, contentWidth);
+  }
+  if (letterhead.registrationNumber) {
+    y += 34;
+    ctx.fillText(`${t("receipt.registrationNumber")}: ${letterhead.registrationNumber}`, width / 2, y, contentWidth);
+  }
+  y += 30;
+  ctx.strokeStyle = "#9a3412";
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.moveTo(margin, y);
+  ctx.lineTo(width - margin, y);
+  ctx.stroke();
+  return y;
+};
+
+const drawReceipt = (
+  ctx: CanvasRenderingContext2D,
+  receipt: DonationReceipt,
+  letterhead: ReceiptLetterhead,
+  t: (key: string) => string
+) => {
+  const contentWidth = WIDTH - MARGIN * 2;
+
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.strokeStyle = "#ea580c";
+  ctx.lineWidth = 6;
+  ctx.strokeRect(24, 24, WIDTH - 48, HEIGHT - 48);
+
+  let y = drawLetterhead(ctx, letterhead, t, WIDTH, MARGIN);
+
+  y += 60;
+  ctx.fillStyle = "#111827";
+  ctx.font = font(36, true);
+  ctx.fillText(t("receipt.title"), WIDTH / 2, y);
+
+  if (receipt.copy === "Duplicate") {
+    ctx.save();
+    ctx.textAlign = "right";
+    ctx.fillStyle = "#dc2626";
+    ctx.font = font(28, true);
+    ctx.fillText(t("receipt.duplicate").toUpperCase(), WIDTH - MARGIN, y);
+    ctx.restore();
+  }
+
+  // Receipt details as label/value rows
+  const rows: [string, string | undefined][] = [
+    [t("receipt.receiptNumber"), receipt.receiptNumber],
+    [t("receipt.date"), receipt.date],
+    [t("receipt.receivedFrom"), receipt.donorName],
+    [t("receipt.contact"), receipt.donorContact],
+    [t("receipt.category"), receipt.categoryLabel],
+    [t("receipt.subCategory"), receipt.subCategoryLabel],
+    [t("receipt.purpose"), receipt.description],
+    [t("receipt.paymentMode"), receipt.paymentModeLabel],
+    [t("receipt.reference"), receipt.paymentReference],
+  ];
+
+  ctx.textAlign = "left";
+  y += 40;
+  const valueX = MARGIN + 300;
+  for (const [label, value] of rows) {
+    if (!value) continue;
+    ctx.font = font(26);
+    ctx.fillStyle = "#4b5563";
+    ctx.fillText(`${label}:`, MARGIN, y + 34);
+    ctx.font = font(28, true);
+    ctx.fillStyle = "#111827";
+    const lines = wrapText(ctx, value, WIDTH - MARGIN - valueX);
+    lines.forEach((line, index) => ctx.fillText(line, valueX, y + 34 + index * 36));
+    y += 20 + lines.length * 36;
+  }
+
+  // Amount in figures and in words, in both languages
+  y += 30;
+  ctx.fillStyle = "#fff7ed";
+  ctx.fillRect(MARGIN, y, contentWidth, 90);
+  ctx.fillStyle = "#111827";
+  ctx.font = font(30);
+  ctx.fillText(`${t("receipt.amount")}:`, MARGIN + 24, y + 58);
+  ctx.textAlign = "right";
+  ctx.font = font(44, true);
+  ctx.fillText(`₹ ${formatIndianAmount(receipt.amount)}`, WIDTH - MARGIN - 24, y + 62);
+  ctx.textAlign = "left";
+
+  y += 130;
+  ctx.font = font(26);
+  ctx.fillStyle = "#4b5563";
+  ctx.fillText(`${t("receipt.amountInWords")}:`, MARGIN, y);
+  ctx.fillStyle = "#111827";
+  ctx.font = font(28, true);
+  for (const words of [amountInWordsMarathi(receipt.amount), amountInWordsEnglish(receipt.amount)]) {
+    for (const line of wrapText(ctx, words, contentWidth)) {
+      y += 40;
+      ctx.fillText(line, MARGIN, y);
+    }
+  }
+
+  // Signature block
+  const signatureY = HEIGHT - 170;
+  ctx.textAlign = "center";
+  const signatureX = WIDTH - MARGIN - 200;
+  ctx.strokeStyle = "#111827";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(signatureX - 190, signatureY);
+  ctx.lineTo(signatureX + 190, signatureY);
+  ctx.stroke();
+  ctx.font = font(26, true);
+  ctx.fillText(`${letterhead.signatoryMr} / ${letterhead.signatory}`, signatureX, signatureY + 36, 400);
+  ctx.font = font(22);
+  ctx.fillStyle = "#4b5563";
+  ctx.fillText(letterhead.templeNameMr, signatureX, signatureY + 68, 400);
+
+  ctx.textAlign = "left";
+  ctx.font = font(22);
+  ctx.fillText(t("receipt.thankYou"), MARGIN, signatureY + 36, signatureX - 200 - MARGIN);
+
+  // Reprints carry a watermark across the whole page
+  if (receipt.copy === "Duplicate") {
+    ctx.save();
+    ctx.translate(WIDTH / 2, HEIGHT / 2);
+    ctx.rotate(-Math.PI / 5);
+    ctx.textAlign = "center";
+    ctx.fillStyle = "rgba(220, 38, 38, 0.12)";
+    ctx.font = font(150, true);
+    ctx.fillText(t("receipt.duplicate").toUpperCase(), 0, 0);
+    ctx.restore();
+  }
+};
+
+/** Renders a donation receipt as an A5 PDF; category and other labels use the current language */
+export function createDonationReceiptPdf(
+  receipt: DonationReceipt,
+  letterhead: ReceiptLetterhead,
+  t: (key: string) => string
+): jsPDF {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Canvas is not supported in this browser");
+  }
+  drawReceipt(ctx, receipt, letterhead, t);
+
+  const doc = new jsPDF({ orientation: "portrait", unit: "mm", format: "a5" });
+  doc.setProperties({
+    title: `${t("receipt.title")} ${receipt.receiptNumber}`,
+    subject: receipt.copy,
+  });
+  doc.addImage(canvas.toDataURL("image/png"), "PNG", 0, 0, PAGE_WIDTH_MM, PAGE_HEIGHT_MM);
+  return doc;
+}
+
+export function downloadDonationReceipt(
+  receipt: DonationReceipt,
+  letterhead: ReceiptLetterhead,
+  t: (key: string) => string
+) {
+  const doc = createDonationReceiptPdf(receipt, letterhead, t);
+  const suffix = receipt.copy === "Duplicate" ? "-duplicate" : "";
+  doc.save(`receipt-${receipt.receiptNumber}${suffix}.pdf`);
+}
@@ -37,11 +37,8 @@ class MockApiClient {
     if (email === 'admin@example.com' && password === 'admin123') {
       this.setAuthToken(mockToken);
       return {
-        success: true,
-        data: {
-          user: mockUser,
-          accessToken: mockToken
-        }
+        user: mockUser,
+        accessToken: mockToken
       };
     } else {
       throw new Error('Invalid credentials');
@@ -59,7 +56,6 @@ class MockApiClient {
   async logout() {
     await this.delay(100);
     this.setAuthToken(null);
-    return { success: true };
   }
 
   // Shop methods
@@ -272,12 +268,7 @@ class MockApiClient {
     const baseNumber = 1000 + Math.floor(Math.random() * 9000); // Random 4-digit number
     const receiptNumber = baseNumber.toString().padStart(4, '0');
     
-    return {
-      success: true,
-      data: {
-        receiptNumber: receiptNumber
-      }
-    };
+    return { receiptNumber };
   }
 }
 
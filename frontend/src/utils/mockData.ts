@@ -89,6 +89,21 @@ export const mockUser = {
   email: 'admin@example.com',
   name: 'Admin User',
   role: 'Admin',
+  // Admin holds every permission (see backend/src/config/permissions.js)
+  permissions: [
+    'donation.view', 'donation.create', 'donation.update', 'donation.delete',
+    'donation.receipt.print', 'donor.view', 'donor.manage', 'expense.view', 'expense.create', 'expense.update',
+    'expense.delete', 'rent.view', 'rent.tenant.manage', 'rent.payment.create',
+    'rent.payment.delete', 'rent.invoice.generate', 'agreement.view', 'agreement.manage',
+    'shop.view', 'shop.manage', 'shop.delete', 'penalty.view', 'penalty.manage',
+    'penalty.delete', 'penalty.run', 'loan.view', 'loan.manage', 'loan.delete',
+    'transaction.view', 'transaction.manage', 'cheque.view', 'cheque.manage', 'bank.view',
+    'bank.reconcile', 'bank.statement.delete', 'bank.month.reopen', 'ledger.view',
+    'ledger.rebuild', 'financialYear.view', 'financialYear.close', 'approval.review',
+    'report.view',
+    'report.export', 'user.view', 'user.manage', 'role.manage', 'audit.view',
+    'trash.restore', 'trash.purge', 'file.manage',
+  ],
   createdAt: '2024-01-01T00:00:00.000Z'
 };
 
@@ -0,0 +1,19 @@
+/**
+ * Permission checks for the UI. The signed-in user's permissions come from
+ * /api/auth/profile, the same list the backend enforces, so screens only
+ * offer what the user's role can actually do.
+ */
+
+interface WithPermissions {
+  permissions?: string[];
+}
+
+/** True when the user holds at least one of the permissions */
+export function hasPermission(
+  user: WithPermissions | null | undefined,
+  ...permissions: string[]
+): boolean {
+  const granted = user?.permissions;
+  if (!granted) return false;
+  return permissions.some((permission) => granted.includes(permission));
+}
@@ -0,0 +1,271 @@
+import jsPDF from "jspdf";
+import { formatIndianAmount, amountInWordsEnglish, amountInWordsMarathi } from "./amountInWords";
+import { drawLetterhead, font, wrapText } from "./donationReceipt";
+import type { TaxIssuer } from "../types";
+
+// 80G certificates are drawn like donation receipts (see donationReceipt.ts),
+// on A4 pages so that an annual statement has room for its donations.
+
+export interface TaxCertificateDetails {
+  receiptNumber: string;
+  date: string;
+  financialYear: string;
+  donorName: string;
+  donorPan: string;
+  donorAddress?: string;
+  amount: number;
+  categoryLabel: string;
+  paymentModeLabel: string;
+  paymentReference?: string;
+}
+
+export interface TaxStatementDetails {
+  financialYear: string;
+  donorName: string;
+  donorPan: string;
+  donorAddress?: string;
+  donations: { date: string; receiptNumber: string; paymentModeLabel: string; amount: number }[];
+  total: number;
+}
+
+type Translate = (key: string) => string;
+
+const PAGE_WIDTH_MM = 210;
+const PAGE_HEIGHT_MM = 297;
+const PX_PER_MM = 8;
+const WIDTH = PAGE_WIDTH_MM * PX_PER_MM;
+const HEIGHT = PAGE_HEIGHT_MM * PX_PER_MM;
+const MARGIN = 96;
+const CONTENT_WIDTH = WIDTH - MARGIN * 2;
+const TABLE_ROW_HEIGHT = 46;
+// Room kept below a statement's last table row for the total, declaration and signature
+const CLOSING_HEIGHT = 800;
+const SIGNATURE_Y = HEIGHT - 200;
+
+const newPage = (issuer: TaxIssuer, t: Translate) => {
+  const canvas = document.createElement("canvas");
+  canvas.width = WIDTH;
+  canvas.height = HEIGHT;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) {
+    throw new Error("Canvas is not supported in this browser");
+  }
+  ctx.fillStyle = "#ffffff";
+  ctx.fillRect(0, 0, WIDTH, HEIGHT);
+  ctx.strokeStyle = "#ea580c";
+  ctx.lineWidth = 6;
+  ctx.strokeRect(32, 32, WIDTH - 64, HEIGHT - 64);
+  const y = drawLetterhead(ctx, issuer, t, WIDTH, MARGIN);
+  return { canvas, ctx, y };
+};
+
+const drawTitle = (ctx: CanvasRenderingContext2D, title: string, y: number, t: Translate) => {
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#111827";
+  ctx.font = font(40, true);
+  ctx.fillText(title, WIDTH / 2, y);
+  ctx.font = font(26);
+  ctx.fillStyle = "#4b5563";
+  ctx.fillText(t("tax80g.act"), WIDTH / 2, y + 40);
+  ctx.textAlign = "left";
+  return y + 40;
+};
+
+// Label/value rows; returns the y below the last row
+const drawRows = (ctx: CanvasRenderingContext2D, rows: [string, string | undefined][], y: number) => {
+  const valueX = MARGIN + 420;
+  ctx.textAlign = "left";
+  for (const [label, value] of rows) {
+    if (!value) continue;
+    ctx.font = font(28);
+    ctx.fillStyle = "#4b5563";
+    ctx.fillText(`${label}:`, MARGIN, y + 38);
+    ctx.font = font(30, true);
+    ctx.fillStyle = "#111827";
+    const lines = wrapText(ctx, value, WIDTH - MARGIN - valueX);
+    lines.forEach((line, index) => ctx.fillText(line, valueX, y + 38 + index * 40));
+    y += 22 + lines.length * 40;
+  }
+  return y;
+};
+
+const trustRows = (issuer: TaxIssuer, t: Translate): [string, string | undefined][] => [
+  [t("tax80g.trustPan"), issuer.pan],
+  [t("tax80g.urn"), issuer.urn],
+  [t("tax80g.urnDate"), issuer.urnDate],
+];
+
+// The amount in figures and in words, in both languages
+const drawAmount = (ctx: CanvasRenderingContext2D, label: string, amount: number, y: number) => {
+  ctx.fillStyle = "#fff7ed";
+  ctx.fillRect(MARGIN, y, CONTENT_WIDTH, 100);
+  ctx.fillStyle = "#111827";
+  ctx.font = font(32);
+  ctx.fillText(`${label}:`, MARGIN + 28, y + 64);
+  ctx.textAlign = "right";
+  ctx.font = font(48, true);
+  ctx.fillText(`₹ ${formatIndianAmount(amount)}`, WIDTH - MARGIN - 28, y + 68);
+  ctx.textAlign = "left";
+
+  y += 150;
+  ctx.font = font(30, true);
+  for (const words of [amountInWordsMarathi(amount), amountInWordsEnglish(amount)]) {
+    for (const line of wrapText(ctx, words, CONTENT_WIDTH)) {
+      ctx.fillText(line, MARGIN, y);
+      y += 42;
+    }
+  }
+  return y;
+};
+
+const drawDeclaration = (ctx: CanvasRenderingContext2D, text: string, y: number) => {
+  ctx.font = font(26);
+  ctx.fillStyle = "#374151";
+  for (const line of wrapText(ctx, text, CONTENT_WIDTH)) {
+    y += 38;
+    ctx.fillText(line, MARGIN, y);
+  }
+  return y;
+};
+
+const drawSignature = (ctx: CanvasRenderingContext2D, issuer: TaxIssuer) => {
+  const signatureX = WIDTH - MARGIN - 240;
+  ctx.textAlign = "center";
+  ctx.strokeStyle = "#111827";
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(signatureX - 230, SIGNATURE_Y);
+  ctx.lineTo(signatureX + 230, SIGNATURE_Y);
+  ctx.stroke();
+  ctx.fillStyle = "#111827";
+  ctx.font = font(28, true);
+  ctx.fillText(`${issuer.signatoryMr} / ${issuer.signatory}`, signatureX, SIGNATURE_Y + 40, 480);
+  ctx.font = font(24);
+  ctx.fillStyle = "#4b5563";
+  ctx.fillText(issuer.templeNameMr, signatureX, SIGNATURE_Y + 74, 480);
+  ctx.textAlign = "left";
+};
+
+const toPdf = (canvases: HTMLCanvasElement[], title: string) => {
+  const doc = new jsPDF({ orientation: "portrait", unit: "mm", format: "a4" });
+  doc.setProperties({ title });
+  canvases.forEach((canvas, index) => {
+    if (index > 0) doc.addPage();
+    doc.addImage(canvas.toDataURL("image/png"), "PNG", 0, 0, PAGE_WIDTH_MM, PAGE_HEIGHT_MM);
+  });
+  return doc;
+};
+
+/** Renders the 80G certificate for one donation as an A4 PDF */
+export function createTaxCertificatePdf(details: TaxCertificateDetails, issuer: TaxIssuer, t: Translate): jsPDF {
+  const { canvas, ctx, y: top } = newPage(issuer, t);
+  let y = drawTitle(ctx, t("tax80g.certificateTitle"), top + 70, t);
+
+  y = drawRows(ctx, trustRows(issuer, t), y + 30);
+  y = drawRows(
+    ctx,
+    [
+      [t("receipt.receiptNumber"), details.receiptNumber],
+      [t("receipt.date"), details.date],
+      [t("tax80g.financialYear"), details.financialYear],
+      [t("receipt.receivedFrom"), details.donorName],
+      [t("tax80g.donorPan"), details.donorPan],
+      [t("tax80g.donorAddress"), details.donorAddress],
+      [t("receipt.category"), details.categoryLabel],
+      [t("receipt.paymentMode"), details.paymentModeLabel],
+      [t("receipt.reference"), details.paymentReference],
+    ],
+    y + 20
+  );
+  y = drawAmount(ctx, t("receipt.amount"), details.amount, y + 40);
+  drawDeclaration(ctx, t("tax80g.declaration"), y + 20);
+  drawSignature(ctx, issuer);
+
+  return toPdf([canvas], `${t("tax80g.certificateTitle")} ${details.receiptNumber}`);
+}
+
+export function downloadTaxCertificate(details: TaxCertificateDetails, issuer: TaxIssuer, t: Translate) {
+  createTaxCertificatePdf(details, issuer, t).save(`80g-certificate-${details.receiptNumber}.pdf`);
+}
+
+/** Renders a donor's consolidated 80G statement for a financial year; long years run onto more pages */
+export function createTaxStatementPdf(details: TaxStatementDetails, issuer: TaxIssuer, t: Translate): jsPDF {
+  const canvases: HTMLCanvasElement[] = [];
+  const columns = [
+    { label: "#", x: MARGIN + 16, align: "left" as CanvasTextAlign },
+    { label: t("receipt.date"), x: MARGIN + 90, align: "left" as CanvasTextAlign },
+    { label: t("receipt.receiptNumber"), x: MARGIN + 390, align: "left" as CanvasTextAlign },
+    { label: t("receipt.paymentMode"), x: MARGIN + 720, align: "left" as CanvasTextAlign },
+    { label: t("receipt.amount"), x: WIDTH - MARGIN - 16, align: "right" as CanvasTextAlign },
+  ];
+  const drawHeader = (ctx: CanvasRenderingContext2D, y: number) => {
+    ctx.fillStyle = "#fed7aa";
+    ctx.fillRect(MARGIN, y, CONTENT_WIDTH, TABLE_ROW_HEIGHT);
+    ctx.fillStyle = "#111827";
+    ctx.font = font(26, true);
+    for (const column of columns) {
+      ctx.textAlign = column.align;
+      ctx.fillText(column.label, column.x, y + 32);
+    }
+    ctx.textAlign = "left";
+    return y + TABLE_ROW_HEIGHT;
+  };
+
+  let { canvas, ctx, y } = newPage(issuer, t);
+  canvases.push(canvas);
+  y = drawTitle(ctx, t("tax80g.statementTitle"), y + 70, t);
+  y = drawRows(
+    ctx,
+    [
+      ...trustRows(issuer, t),
+      [t("tax80g.financialYear"), details.financialYear],
+      [t("tax80g.donorName"), details.donorName],
+      [t("tax80g.donorPan"), details.donorPan],
+      [t("tax80g.donorAddress"), details.donorAddress],
+    ],
+    y + 30
+  );
+  y = drawHeader(ctx, y + 30);
+
+  details.donations.forEach((donation, index) => {
+    const isLast = index === details.donations.length - 1;
+    const room = HEIGHT - 120 - (isLast ? CLOSING_HEIGHT : 0);
+    if (y + TABLE_ROW_HEIGHT > room) {
+      ({ canvas, ctx, y } = newPage(issuer, t));
+      canvases.push(canvas);
+      y = drawHeader(ctx, y + 40);
+    }
+    const values = [
+      String(index + 1),
+      donation.date,
+      donation.receiptNumber,
+      donation.paymentModeLabel,
+      `₹ ${formatIndianAmount(donation.amount)}`,
+    ];
+    ctx.font = font(26);
+    ctx.fillStyle = "#111827";
+    columns.forEach((column, i) => {
+      ctx.textAlign = column.align;
+      ctx.fillText(values[i], column.x, y + 32);
+    });
+    ctx.textAlign = "left";
+    ctx.strokeStyle = "#e5e7eb";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(MARGIN, y + TABLE_ROW_HEIGHT);
+    ctx.lineTo(WIDTH - MARGIN, y + TABLE_ROW_HEIGHT);
+    ctx.stroke();
+    y += TABLE_ROW_HEIGHT;
+  });
+
+  y = drawAmount(ctx, t("tax80g.total"), details.total, y + 30);
+  drawDeclaration(ctx, t("tax80g.declaration"), y + 10);
+  drawSignature(ctx, issuer);
+
+  return toPdf(canvases, `${t("tax80g.statementTitle")} ${details.financialYear}`);
+}
+
+export function downloadTaxStatement(details: TaxStatementDetails, issuer: TaxIssuer, t: Translate) {
+  const name = details.donorName.replace(/[^\p{L}\p{N}]+/gu, "-").toLowerCase();
+  createTaxStatementPdf(details, issuer, t).save(`80g-statement-${details.financialYear}-${name}.pdf`);
+}
@@ -0,0 +1,57 @@
+import type { Form10bdRow } from "../types";
+
+// Income-tax PAN: five letters (the fourth is the holder type), four digits, a letter
+export const PAN_PATTERN = /^[A-Z]{3}[ABCFGHJLPT][A-Z][0-9]{4}[A-Z]$/;
+
+export const isValidPan = (pan: string) => PAN_PATTERN.test(pan.trim().toUpperCase());
+
+/** Financial year label for a YYYY-MM-DD date: 2024-06-15 -> "2024-25", 2025-02-01 -> "2024-25" */
+export function financialYearOf(date: string) {
+  const [year, month] = date.split("-").map(Number);
+  const startYear = month >= 4 ? year : year - 1;
+  return `${startYear}-${String((startYear + 1) % 100).padStart(2, "0")}`;
+}
+
+// Column headings of the Form 10BD upload template, in order
+export const FORM_10BD_HEADERS = [
+  "Sr. No.",
+  "Pre Acknowledgement Number",
+  "ID Code",
+  "Unique Identification Number",
+  "Section Code",
+  "Unique Registration Number (URN)",
+  "Date of Issuance of Unique Registration Number",
+  "Name of donor",
+  "Address of donor",
+  "Donation Type",
+  "Mode of receipt",
+  "Amount of donation (Indian rupees)",
+];
+
+const csvValue = (value: string | number) => {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/** Form 10BD as CSV; the pre-acknowledgement number is left for the portal to fill */
+export function form10bdCsv(rows: Form10bdRow[]) {
+  const lines = rows.map((row, index) =>
+    [
+      index + 1,
+      "",
+      row.idCode,
+      row.pan,
+      row.sectionCode,
+      row.urn,
+      row.urnDate,
+      row.donorName,
+      row.address.replace(/,?\s*\n\s*/g, ", "),
+      row.donationType,
+      row.mode,
+      row.amount.toFixed(2),
+    ]
+      .map(csvValue)
+      .join(",")
+  );
+  return [FORM_10BD_HEADERS.map(csvValue).join(","), ...lines].join("\n");
+}